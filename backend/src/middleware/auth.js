@@ -167,6 +167,19 @@ function requireAuth(req, res, next) {
   }
 }
 
+/**
+ * Look up a user who still exists and is active
+ * @param {string} userId - users.id from a token
+ * @returns {Object|null} User row with role, null when gone or inactive
+ */
+async function getActiveUser(userId) {
+  const result = await db.query(
+    'SELECT id, username, email, role, is_active FROM users WHERE id = $1 AND is_active = true',
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
 /**
  * Express middleware to require admin authentication
  */
@@ -186,19 +199,23 @@ async function requireAdmin(req, res, next) {
     const decoded = verifyToken(token);
     
     // Verify user still exists and is active
-    const userQuery = await db.query(
-      'SELECT id, username, email, is_active FROM users WHERE id = $1 AND is_active = true',
-      [decoded.userId]
-    );
+    const user = await getActiveUser(decoded.userId);
     
-    if (userQuery.rows.length === 0) {
+    if (!user) {
       return res.status(401).json({
         error: 'Access denied',
         message: 'User account not found or inactive'
       });
     }
     
-    req.user = userQuery.rows[0];
+    if (user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Admin role required'
+      });
+    }
+    
+    req.user = user;
     
     authLogger.debug('Admin authentication successful', {
       userId: decoded.userId,
@@ -245,6 +262,7 @@ module.exports = {
   hashPassword,
   comparePassword,
   authenticateUser,
+  getActiveUser,
   requireAuth,
   requireAdmin,
   optionalAuth
@@ -4,9 +4,12 @@
  */
 
 const express = require('express');
-const crypto = require('crypto');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const db = require('../database/connection');
+const { requireAdmin } = require('../middleware/auth');
+const { encryptApiKey, decryptApiKey } = require('../utils/apiKeys');
+const { BGPLookupError, communityDictionary } = require('../services/bgp');
+const { recordings } = require('../services/ssh');
 const winston = require('winston');
 
 const router = express.Router();
@@ -24,29 +27,6 @@ const adminLogger = winston.createLogger({
   ]
 });
 
-// Encryption key for API keys (should be stored securely)
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'default-encryption-key-change-in-production';
-
-/**
- * Encrypt API key for secure storage
- */
-function encryptApiKey(apiKey) {
-  const cipher = crypto.createCipher('aes-256-cbc', ENCRYPTION_KEY);
-  let encrypted = cipher.update(apiKey, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return encrypted;
-}
-
-/**
- * Decrypt API key for usage
- */
-function decryptApiKey(encryptedKey) {
-  const decipher = crypto.createDecipher('aes-256-cbc', ENCRYPTION_KEY);
-  let decrypted = decipher.update(encryptedKey, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  return decrypted;
-}
-
 // GET /api/admin/dashboard - Admin dashboard data
 router.get('/dashboard', async (req, res) => {
   try {
@@ -497,6 +477,269 @@ router.get('/usage-stats', async (req, res) => {
   }
 });
 
+// Map dictionary errors onto responses; null when the error is unexpected
+function communityErrorResponse(res, error) {
+  if (error instanceof BGPLookupError) {
+    return res.status(400).json({ error: error.message, code: error.code, field: error.field });
+  }
+  if (error.code === '23505') {
+    return res.status(409).json({ error: 'A meaning for this pattern already exists', code: 'DUPLICATE_PATTERN', field: 'pattern' });
+  }
+  return null;
+}
+
+// GET /api/admin/bgp-communities - List community dictionary entries
+router.get('/bgp-communities', requireAdmin, [
+  query('asn').optional().isInt({ min: 0, max: 4294967295 }).withMessage('ASN must be between 0 and 4294967295')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const entries = await communityDictionary.listEntries({ asn: req.query.asn });
+    res.json({ entries });
+
+  } catch (error) {
+    adminLogger.error('List BGP communities error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch community dictionary',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/bgp-communities - Add a community meaning
+router.post('/bgp-communities', requireAdmin, [
+  body('pattern').trim().isLength({ min: 3, max: 100 }).withMessage('Pattern must be 3-100 characters'),
+  body('description').trim().isLength({ min: 1, max: 500 }).withMessage('Description must be 1-500 characters'),
+  body('category').optional({ nullable: true }).trim().isLength({ max: 50 }).withMessage('Category must be at most 50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const entry = await communityDictionary.createEntry(req.body, req.user.id);
+
+    adminLogger.info('BGP community meaning created', {
+      entryId: entry.id,
+      pattern: entry.pattern,
+      createdBy: req.user.username
+    });
+
+    res.status(201).json({
+      message: 'Community meaning created successfully',
+      entry
+    });
+
+  } catch (error) {
+    if (communityErrorResponse(res, error)) return;
+    adminLogger.error('Create BGP community error:', error);
+    res.status(500).json({
+      error: 'Failed to create community meaning',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/admin/bgp-communities/:id - Update a community meaning
+router.put('/bgp-communities/:id', requireAdmin, [
+  param('id').isUUID().withMessage('Invalid entry ID'),
+  body('pattern').optional().trim().isLength({ min: 3, max: 100 }),
+  body('description').optional().trim().isLength({ min: 1, max: 500 }),
+  body('category').optional({ nullable: true }).trim().isLength({ max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const entry = await communityDictionary.updateEntry(req.params.id, req.body);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Community meaning not found'
+      });
+    }
+
+    adminLogger.info('BGP community meaning updated', {
+      entryId: entry.id,
+      updatedBy: req.user.username
+    });
+
+    res.json({
+      message: 'Community meaning updated successfully',
+      entry
+    });
+
+  } catch (error) {
+    if (communityErrorResponse(res, error)) return;
+    adminLogger.error('Update BGP community error:', error);
+    res.status(500).json({
+      error: 'Failed to update community meaning',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/bgp-communities/:id - Delete a community meaning
+router.delete('/bgp-communities/:id', requireAdmin, [
+  param('id').isUUID().withMessage('Invalid entry ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const entry = await communityDictionary.deleteEntry(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Community meaning not found'
+      });
+    }
+
+    adminLogger.info('BGP community meaning deleted', {
+      entryId: entry.id,
+      pattern: entry.pattern,
+      deletedBy: req.user.username
+    });
+
+    res.json({
+      message: 'Community meaning deleted successfully'
+    });
+
+  } catch (error) {
+    adminLogger.error('Delete BGP community error:', error);
+    res.status(500).json({
+      error: 'Failed to delete community meaning',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/terminal-recordings - List and search terminal session recordings
+router.get('/terminal-recordings', requireAdmin, [
+  query('q').optional().trim().isLength({ max: 200 }).withMessage('Search text must be at most 200 characters'),
+  query('user').optional().trim().isLength({ max: 50 }),
+  query('host').optional().trim().isLength({ max: 255 }),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { q, user, host, limit, offset } = req.query;
+    res.json(await recordings.listRecordings({ q, user, host, limit, offset }));
+
+  } catch (error) {
+    adminLogger.error('List terminal recordings error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch terminal recordings',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/terminal-recordings/:id - Recording details
+router.get('/terminal-recordings/:id', requireAdmin, [
+  param('id').isUUID().withMessage('Invalid recording ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const recording = await recordings.getRecording(req.params.id);
+
+    if (!recording) {
+      return res.status(404).json({
+        error: 'Recording not found'
+      });
+    }
+
+    res.json({ recording });
+
+  } catch (error) {
+    adminLogger.error('Get terminal recording error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch terminal recording',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/terminal-recordings/:id/cast - Download the asciicast v2 file
+router.get('/terminal-recordings/:id/cast', requireAdmin, [
+  param('id').isUUID().withMessage('Invalid recording ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const recording = await recordings.getRecording(req.params.id);
+    const cast = recording && await recordings.openCast(recording.id);
+
+    if (!cast) {
+      return res.status(404).json({
+        error: 'Recording not found'
+      });
+    }
+
+    adminLogger.info('Terminal recording viewed', {
+      recordingId: recording.id,
+      viewedBy: req.user.username
+    });
+
+    res.setHeader('Content-Type', 'application/x-asciicast');
+    res.setHeader('Content-Disposition', `attachment; filename="${recording.id}.cast"`);
+    cast.on('error', (error) => {
+      adminLogger.error('Read terminal recording error:', error);
+      res.destroy(error);
+    });
+    cast.pipe(res);
+
+  } catch (error) {
+    adminLogger.error('Get terminal recording cast error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch terminal recording',
+      message: error.message
+    });
+  }
+});
+
 // Utility function to get decrypted API key (for internal use)
 async function getDecryptedApiKey(providerId, keyType = 'api_key') {
   try {
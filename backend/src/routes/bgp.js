@@ -0,0 +1,245 @@
+/**
+ * BGP Routes - RIB dump imports and RPKI VRP files
+ * Network Engineers Toolkit Backend
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { param, validationResult } = require('express-validator');
+const { requireAuth, requireAdmin, getActiveUser } = require('../middleware/auth');
+const { importer } = require('../services/bgp');
+const rpki = require('../services/rpki');
+
+const router = express.Router();
+
+const MAX_UPLOAD_MB = parseInt(process.env.BGP_IMPORT_MAX_MB, 10) || 1024;
+
+const upload = multer({
+    dest: process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'),
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 }
+});
+
+// All routes require authentication
+router.use(requireAuth);
+
+/**
+ * POST /api/bgp/imports
+ * Upload an MRT TABLE_DUMP_V2 or bgpdump -m file (field "dump", optionally
+ * gzipped) and queue it for import; only admins may replace earlier imports,
+ * as that drops every user's
+ */
+router.post('/imports', (req, res) => {
+    upload.single('dump')(req, res, async (uploadError) => {
+        if (uploadError) {
+            const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                error: tooLarge ? `Dump files are limited to ${MAX_UPLOAD_MB} MB` : uploadError.message,
+                code: tooLarge ? 'FILE_TOO_LARGE' : 'UPLOAD_FAILED',
+                field: 'dump'
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'A dump file is required',
+                code: 'MISSING_FILE',
+                field: 'dump'
+            });
+        }
+
+        const { format, replace } = req.body;
+        if (format && format !== 'auto' && !importer.FORMATS.includes(format)) {
+            return res.status(400).json({
+                error: `Format must be auto or one of ${importer.FORMATS.join(', ')}`,
+                code: 'INVALID_FORMAT',
+                field: 'format'
+            });
+        }
+
+        const replaceExisting = replace === 'true' || replace === true;
+
+        try {
+            if (replaceExisting) {
+                const user = await getActiveUser(req.user.userId);
+                if (!user || user.role !== 'admin') {
+                    await fs.promises.unlink(req.file.path).catch(() => {});
+                    return res.status(403).json({
+                        error: 'Only an admin can replace earlier imports',
+                        code: 'FORBIDDEN',
+                        field: 'replace'
+                    });
+                }
+            }
+
+            const job = await importer.createImport({
+                filePath: req.file.path,
+                filename: req.file.originalname,
+                format,
+                replace: replaceExisting,
+                userId: req.user.userId
+            });
+
+            res.status(202).json({
+                message: 'Import queued',
+                import: job
+            });
+        } catch (error) {
+            console.error('BGP import error:', error);
+            res.status(500).json({ error: 'Failed to queue import' });
+        }
+    });
+});
+
+/**
+ * GET /api/bgp/imports
+ * List imports with their status
+ */
+router.get('/imports', async (req, res) => {
+    try {
+        const imports = await importer.listImports();
+        res.json({ imports });
+    } catch (error) {
+        console.error('BGP import list error:', error);
+        res.status(500).json({ error: 'Failed to list imports' });
+    }
+});
+
+/**
+ * GET /api/bgp/imports/:id
+ * Get the status of one import
+ */
+router.get('/imports/:id',
+    [
+        param('id').isUUID().withMessage('Invalid import ID')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const job = await importer.getImport(req.params.id);
+            if (!job) {
+                return res.status(404).json({ error: 'Import not found' });
+            }
+
+            res.json({ import: job });
+        } catch (error) {
+            console.error('BGP import status error:', error);
+            res.status(500).json({ error: 'Failed to get import' });
+        }
+    }
+);
+
+/**
+ * DELETE /api/bgp/imports/:id
+ * Delete an import and the routes it loaded; only the user who uploaded it
+ * or an admin may
+ */
+router.delete('/imports/:id',
+    [
+        param('id').isUUID().withMessage('Invalid import ID')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const existing = await importer.getImport(req.params.id);
+            if (!existing) {
+                return res.status(404).json({ error: 'Import not found' });
+            }
+
+            if (existing.created_by !== req.user.userId) {
+                const user = await getActiveUser(req.user.userId);
+                if (!user || user.role !== 'admin') {
+                    return res.status(403).json({
+                        error: 'Only the user who uploaded an import or an admin can delete it',
+                        code: 'FORBIDDEN'
+                    });
+                }
+            }
+
+            const job = await importer.deleteImport(req.params.id);
+            if (!job) {
+                return res.status(404).json({ error: 'Import not found' });
+            }
+
+            res.json({ message: 'Import deleted', import: job });
+        } catch (error) {
+            if (error.status === 409) {
+                return res.status(409).json({ error: error.message, code: 'IMPORT_RUNNING' });
+            }
+            console.error('BGP import delete error:', error);
+            res.status(500).json({ error: 'Failed to delete import' });
+        }
+    }
+);
+
+/**
+ * GET /api/bgp/vrps
+ * Status of the VRP set used for RPKI origin validation
+ */
+router.get('/vrps', async (req, res) => {
+    try {
+        const status = await rpki.getStatus();
+        res.json({ vrps: status });
+    } catch (error) {
+        if (error instanceof rpki.RPKIError) {
+            return res.json({ vrps: { loaded: false, error: error.message } });
+        }
+        console.error('VRP status error:', error);
+        res.status(500).json({ error: 'Failed to get VRP status' });
+    }
+});
+
+/**
+ * POST /api/bgp/vrps
+ * Upload a validator JSON export (field "vrps") and use it for validation,
+ * replacing the current VRP file; admins only, as every validation uses it
+ */
+router.post('/vrps', requireAdmin, (req, res) => {
+    upload.single('vrps')(req, res, async (uploadError) => {
+        if (uploadError) {
+            const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                error: tooLarge ? `VRP files are limited to ${MAX_UPLOAD_MB} MB` : uploadError.message,
+                code: tooLarge ? 'FILE_TOO_LARGE' : 'UPLOAD_FAILED',
+                field: 'vrps'
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'A VRP file is required',
+                code: 'MISSING_FILE',
+                field: 'vrps'
+            });
+        }
+
+        try {
+            const status = await rpki.installVrpFile(req.file.path);
+            res.json({
+                message: 'VRP file loaded',
+                vrps: status
+            });
+        } catch (error) {
+            if (error instanceof rpki.RPKIError) {
+                return res.status(400).json({
+                    error: error.message,
+                    code: error.code,
+                    field: error.field
+                });
+            }
+            console.error('VRP upload error:', error);
+            res.status(500).json({ error: 'Failed to load VRP file' });
+        }
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+/**
+ * Syslog Routes - events received by the syslog listeners, incidents and saved queries
+ * Network Engineers Toolkit Backend
+ */
+
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { requireAuth } = require('../middleware/auth');
+const syslog = require('../services/syslog');
+
+const { savedQueries } = syslog;
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+function syslogErrorResponse(res, error) {
+    if (!(error instanceof syslog.SyslogError)) return false;
+
+    res.status(error.code === 'DUPLICATE_NAME' ? 409 : 400).json({
+        error: error.message,
+        code: error.code,
+        field: error.field,
+        position: error.position
+    });
+    return true;
+}
+
+const validateId = [
+    param('id').isUUID().withMessage('Invalid query ID')
+];
+
+/**
+ * GET /api/syslog/events
+ * Stored events received between from and to (default the last hour,
+ * unless q has its own time conditions), newest first, matching q and
+ * filtered by host, severity, facility, program, code, source, transport
+ * and search
+ */
+router.get('/events', async (req, res) => {
+    try {
+        const result = await syslog.queryEvents(req.query);
+        res.json(result);
+    } catch (error) {
+        if (syslogErrorResponse(res, error)) return;
+        console.error('Syslog query error:', error);
+        res.status(500).json({ error: 'Failed to query syslog events' });
+    }
+});
+
+/**
+ * POST /api/syslog/incidents
+ * Correlate stored events into incidents, flap counts and storms.
+ * Body: the /events filters (limit defaults to 5000) and config, the
+ * correlation rules and storm settings (default the built-in rules)
+ */
+router.post('/incidents', async (req, res) => {
+    try {
+        const { config, ...filters } = req.body || {};
+        const result = await syslog.correlateEvents(filters, config);
+        res.json(result);
+    } catch (error) {
+        if (syslogErrorResponse(res, error)) return;
+        console.error('Syslog correlation error:', error);
+        res.status(500).json({ error: 'Failed to correlate syslog events' });
+    }
+});
+
+/**
+ * GET /api/syslog/status
+ * Which listeners are running, event counters and the retention period
+ */
+router.get('/status', async (req, res) => {
+    try {
+        const status = await syslog.getStatus();
+        res.json({ status });
+    } catch (error) {
+        console.error('Syslog status error:', error);
+        res.status(500).json({ error: 'Failed to get syslog status' });
+    }
+});
+
+/**
+ * GET /api/syslog/queries
+ * The user's saved queries followed by those shared by others
+ */
+router.get('/queries', async (req, res) => {
+    try {
+        const queries = await savedQueries.listQueries(req.user.userId);
+        res.json({ queries });
+    } catch (error) {
+        console.error('Saved query list error:', error);
+        res.status(500).json({ error: 'Failed to list saved queries' });
+    }
+});
+
+/**
+ * GET /api/syslog/queries/:id
+ * One of the user's queries or a shared one
+ */
+router.get('/queries/:id', validateId, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const query = await savedQueries.getQuery(req.user.userId, req.params.id);
+        if (!query) {
+            return res.status(404).json({ error: 'Saved query not found' });
+        }
+
+        res.json({ query });
+    } catch (error) {
+        console.error('Saved query error:', error);
+        res.status(500).json({ error: 'Failed to get saved query' });
+    }
+});
+
+/**
+ * POST /api/syslog/queries
+ * Save a query: { name, query, description, shared }
+ */
+router.post('/queries', async (req, res) => {
+    try {
+        const query = await savedQueries.createQuery(req.user.userId, req.body);
+        res.status(201).json({ message: 'Query saved', query });
+    } catch (error) {
+        if (syslogErrorResponse(res, error)) return;
+        console.error('Saved query create error:', error);
+        res.status(500).json({ error: 'Failed to save query' });
+    }
+});
+
+/**
+ * PUT /api/syslog/queries/:id
+ * Change the name, query, description or sharing of one of the user's queries
+ */
+router.put('/queries/:id', validateId, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const query = await savedQueries.updateQuery(req.user.userId, req.params.id, req.body);
+        if (!query) {
+            return res.status(404).json({ error: 'Saved query not found' });
+        }
+
+        res.json({ message: 'Query updated', query });
+    } catch (error) {
+        if (syslogErrorResponse(res, error)) return;
+        console.error('Saved query update error:', error);
+        res.status(500).json({ error: 'Failed to update saved query' });
+    }
+});
+
+/**
+ * DELETE /api/syslog/queries/:id
+ * Delete one of the user's queries
+ */
+router.delete('/queries/:id', validateId, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const deleted = await savedQueries.deleteQuery(req.user.userId, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Saved query not found' });
+        }
+
+        res.json({ message: 'Query deleted' });
+    } catch (error) {
+        console.error('Saved query delete error:', error);
+        res.status(500).json({ error: 'Failed to delete saved query' });
+    }
+});
+
+module.exports = router;
@@ -6,9 +6,30 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { requireAuth } = require('../middleware/auth');
+const subnet = require('../shared/subnet');
+const passwords = require('../shared/passwords');
+const junosConfig = require('../shared/junosConfig');
+const bgp = require('../services/bgp');
+const rpki = require('../services/rpki');
+const whois = require('../services/whois');
+const dns = require('../services/dns');
+const diagnostics = require('../services/diagnostics');
 
 const router = express.Router();
 
+// bgp-tools analysisType -> BGP lookup type
+const BGP_ANALYSIS_TYPES = {
+    route: 'route',
+    origin: 'origin',
+    prefix: 'prefix',
+    asn: 'aspath',
+    aspath: 'aspath',
+    community: 'communities',
+    communities: 'communities',
+    announcements: 'announcements',
+    'aspath-regex': 'aspath-regex'
+};
+
 // All routes require authentication
 router.use(requireAuth);
 
@@ -42,6 +63,14 @@ router.get('/', (req, res) => {
             url: 'whois-lookup.html',
             icon: '🔍'
         },
+        {
+            id: 'dns-lookup',
+            name: 'DNS Toolkit',
+            description: 'Record lookups, root traces, resolver comparison and DNSSEC checks',
+            category: 'NETWORK',
+            url: 'dns-lookup.html',
+            icon: '📡'
+        },
         {
             id: 'junos-convertor',
             name: 'Configuration Convertor',
@@ -98,7 +127,6 @@ router.get('/', (req, res) => {
 /**
  * POST /api/tools/:toolId/execute
  * Execute a tool with given parameters
- * This is a placeholder for future API-based tool execution
  */
 router.post('/:toolId/execute',
     [
@@ -115,18 +143,36 @@ router.post('/:toolId/execute',
             const { toolId } = req.params;
             const { params } = req.body;
 
-            // Placeholder for future tool execution logic
-            // This can be expanded to execute tools server-side
-            
             switch (toolId) {
                 case 'subnet-calculator':
-                    return handleSubnetCalculator(req, res, params);
+                    return await handleSubnetCalculator(req, res, params);
                     
                 case 'bgp-tools':
-                    return handleBGPTools(req, res, params);
+                    return await handleBGPTools(req, res, params);
+                    
+                case 'community-decoder':
+                    return await handleCommunityDecoder(req, res, params);
+                    
+                case 'rpki-validator':
+                    return await handleRpkiValidator(req, res, params);
                     
                 case 'whois-lookup':
-                    return handleWhoisLookup(req, res, params);
+                    return await handleWhoisLookup(req, res, params);
+                    
+                case 'dns-lookup':
+                    return await handleDnsLookup(req, res, params);
+                    
+                case 'password-decrypt':
+                    return handlePasswordDecrypt(req, res, params);
+                    
+                case 'junos-convertor':
+                    return handleJunosConvertor(req, res, params);
+                    
+                case 'ping':
+                    return await handlePing(req, res, params);
+                    
+                case 'traceroute':
+                    return await handleTraceroute(req, res, params);
                     
                 default:
                     return res.status(404).json({ 
@@ -143,75 +189,533 @@ router.post('/:toolId/execute',
 
 /**
  * Handle subnet calculator
+ * params.mode selects 'calculate' (default), 'vlsm' or 'summarise'
  */
-function handleSubnetCalculator(req, res, params) {
-    const { ipAddress, subnetMask } = params;
+function handleSubnetCalculator(req, res, params = {}) {
+    const { mode = 'calculate', ipAddress, subnetMask, macAddress, parentNetwork, requirements, prefixes } = params;
+
+    try {
+        let result;
+        switch (mode) {
+            case 'calculate':
+                result = subnet.calculate(ipAddress, subnetMask, { macAddress });
+                break;
+
+            case 'vlsm':
+                result = subnet.planVLSM(parentNetwork, requirements);
+                break;
 
-    if (!ipAddress || !subnetMask) {
-        return res.status(400).json({ 
-            error: 'IP address and subnet mask are required' 
+            case 'summarise':
+                result = subnet.summarise(prefixes);
+                break;
+
+            default:
+                return res.status(400).json({
+                    error: 'Mode must be one of calculate, vlsm or summarise',
+                    code: 'INVALID_MODE',
+                    field: 'mode'
+                });
+        }
+
+        res.json({
+            message: 'Subnet calculation completed',
+            result
         });
+    } catch (error) {
+        if (error instanceof subnet.SubnetError) {
+            return res.status(400).json({
+                error: error.message,
+                code: error.code,
+                field: error.field
+            });
+        }
+        throw error;
     }
+}
 
-    // Implement subnet calculation logic
-    // This is a simplified example - the actual calculation is in frontend
-    
-    res.json({
-        message: 'Subnet calculation completed',
-        result: {
-            ipAddress,
-            subnetMask,
-            // Add calculation results here
+/**
+ * Handle BGP tools
+ * analysisType 'route' combines the covering prefix, AS paths and
+ * communities; 'announcements' (params.asn) and 'aspath-regex'
+ * (params.pattern) search the imported RIB dumps; the other types map onto
+ * a single provider lookup of params.prefix.
+ */
+async function handleBGPTools(req, res, params = {}) {
+    const { prefix, asn, pattern, analysisType, limit } = params;
+
+    if (!analysisType) {
+        return res.status(400).json({
+            error: 'Analysis type is required',
+            code: 'MISSING_ANALYSIS_TYPE',
+            field: 'analysisType'
+        });
+    }
+
+    const lookupType = BGP_ANALYSIS_TYPES[analysisType];
+    if (!lookupType) {
+        return res.status(400).json({
+            error: `Analysis type must be one of ${Object.keys(BGP_ANALYSIS_TYPES).join(', ')}`,
+            code: 'INVALID_ANALYSIS_TYPE',
+            field: 'analysisType'
+        });
+    }
+
+    try {
+        let query;
+        let result;
+        switch (lookupType) {
+            case 'announcements':
+                query = asn;
+                result = await bgp.lookupAnnouncements(asn, { limit });
+                break;
+
+            case 'aspath-regex':
+                query = pattern;
+                result = await bgp.searchASPath(pattern, { limit });
+                break;
+
+            case 'route':
+                query = prefix;
+                result = await bgp.lookupRoute(prefix);
+                break;
+
+            default:
+                query = prefix;
+                result = await bgp.lookup(lookupType, prefix);
         }
-    });
+
+        if (!result) {
+            return res.status(404).json({
+                error: `No BGP data found for ${query}`,
+                code: 'NOT_FOUND',
+                field: lookupType === 'announcements' ? 'asn' : lookupType === 'aspath-regex' ? 'pattern' : 'prefix'
+            });
+        }
+
+        if (result.communities) {
+            const { standard, extended, large } = result.communities;
+            result.decodedCommunities = await bgp.decodeCommunities([...standard, ...extended, ...large]);
+        }
+
+        if (result.origins || result.paths) {
+            await addRpkiValidation(result);
+        }
+
+        res.json({
+            message: 'BGP analysis completed',
+            result: {
+                query,
+                analysisType,
+                ...result
+            }
+        });
+    } catch (error) {
+        if (error instanceof bgp.BGPLookupError) {
+            return res.status(400).json({
+                error: error.message,
+                code: error.code,
+                field: error.field
+            });
+        }
+        throw error;
+    }
 }
 
 /**
- * Handle BGP tools
+ * Origin of an AS path for RPKI purposes; null when it ends in an AS_SET
  */
-function handleBGPTools(req, res, params) {
-    const { prefix, analysisType } = params;
+function pathOrigin(path) {
+    const last = path.asPath[path.asPath.length - 1];
+    return typeof last === 'number' ? last : null;
+}
 
-    if (!prefix || !analysisType) {
-        return res.status(400).json({ 
-            error: 'Prefix and analysis type are required' 
+/**
+ * Add RPKI origin validation to a BGP result when a VRP file is loaded
+ * result.rpki holds one validation per origin and each path gets the
+ * state of its own origin.
+ */
+async function addRpkiValidation(result) {
+    const origins = new Set(result.origins || []);
+    (result.paths || []).forEach(path => origins.add(pathOrigin(path)));
+
+    try {
+        const validations = await rpki.validateOrigins(result.prefix, [...origins]);
+        if (!validations) return;
+
+        result.rpki = validations;
+        (result.paths || []).forEach(path => {
+            const validation = validations.find(entry => entry.asn === pathOrigin(path));
+            path.rpkiState = validation ? validation.state : null;
         });
+    } catch (error) {
+        // A broken VRP file must not fail the BGP lookup itself
+        console.error('RPKI validation error:', error.message);
     }
+}
+
+/**
+ * Handle RPKI validator
+ * Validates params.prefix originated by params.asn against the loaded VRPs
+ */
+async function handleRpkiValidator(req, res, params = {}) {
+    const { prefix, asn } = params;
+
+    if (!prefix || asn === undefined || asn === null || asn === '') {
+        return res.status(400).json({
+            error: 'Prefix and origin ASN are required',
+            code: 'MISSING_PARAMETER',
+            field: !prefix ? 'prefix' : 'asn'
+        });
+    }
+
+    if (!/^(AS)?\d{1,10}$/i.test(String(asn).trim()) || Number(String(asn).replace(/^AS/i, '')) > 4294967295) {
+        return res.status(400).json({
+            error: 'ASN must be a number between 0 and 4294967295, e.g. AS13335',
+            code: 'INVALID_ASN',
+            field: 'asn'
+        });
+    }
+
+    try {
+        const result = await rpki.validate(prefix, String(asn).trim());
+
+        if (!result) {
+            return res.status(404).json({
+                error: 'No VRP file loaded; upload a validator JSON export first',
+                code: 'NO_VRP_DATA',
+                field: 'prefix'
+            });
+        }
+
+        res.json({
+            message: 'RPKI validation completed',
+            result
+        });
+    } catch (error) {
+        if (error instanceof rpki.RPKIError) {
+            return res.status(400).json({
+                error: error.message,
+                code: error.code,
+                field: error.field
+            });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Handle BGP community decoder
+ * params.communities is an array or a whitespace/comma separated string
+ */
+async function handleCommunityDecoder(req, res, params = {}) {
+    const { communities } = params;
+    const values = Array.isArray(communities) ? communities : String(communities || '').trim();
+
+    if (values.length === 0) {
+        return res.status(400).json({
+            error: 'At least one community is required',
+            code: 'MISSING_COMMUNITY',
+            field: 'communities'
+        });
+    }
+
+    const decoded = await bgp.decodeCommunities(values);
 
-    // Implement BGP lookup logic
-    // This would typically query external BGP APIs or databases
-    
     res.json({
-        message: 'BGP analysis completed',
+        message: 'Community decoding completed',
         result: {
-            prefix,
-            analysisType,
-            // Add analysis results here
+            communities: decoded,
+            invalid: decoded.filter(entry => entry.type === 'invalid').length
         }
     });
 }
 
 /**
  * Handle WHOIS lookup
+ * params.query is a domain, address, prefix or AS number (params.domain is
+ * accepted as well); params.protocol is auto (RDAP, then WHOIS), rdap or whois
  */
-function handleWhoisLookup(req, res, params) {
-    const { domain } = params;
+async function handleWhoisLookup(req, res, params = {}) {
+    const { protocol = 'auto', refresh } = params;
+    const query = params.query !== undefined ? params.query : params.domain;
+
+    try {
+        const result = await whois.lookup(query, {
+            protocol,
+            useCache: !refresh
+        });
+
+        if (!result) {
+            return res.status(404).json({
+                error: `No registration record found for ${query}`,
+                code: 'NOT_FOUND',
+                field: 'query'
+            });
+        }
 
-    if (!domain) {
-        return res.status(400).json({ 
-            error: 'Domain is required' 
+        res.json({
+            message: 'WHOIS lookup completed',
+            result
         });
+    } catch (error) {
+        if (error instanceof whois.WhoisError) {
+            return res.status(error.code === 'LOOKUP_FAILED' ? 502 : 400).json({
+                error: error.message,
+                code: error.code,
+                field: error.field
+            });
+        }
+        throw error;
     }
+}
 
-    // Implement WHOIS lookup logic
-    // This would typically query WHOIS servers
-    
-    res.json({
-        message: 'WHOIS lookup completed',
-        result: {
-            domain,
-            // Add WHOIS results here
+// dns-lookup mode -> DNS service function
+const DNS_MODES = {
+    lookup: dns.lookup,
+    trace: dns.trace,
+    compare: dns.compare,
+    dnssec: dns.checkDnssec,
+    lint: dns.lintZone
+};
+
+// Status codes for DNS errors other than bad input
+const DNS_STATUS = {
+    TIMEOUT: 504,
+    QUERY_FAILED: 502,
+    MALFORMED_ANSWER: 502,
+    NO_SYSTEM_RESOLVER: 503
+};
+
+/**
+ * Handle DNS toolkit
+ * params.mode selects 'lookup' (default), 'trace', 'compare', 'dnssec' or
+ * 'lint'; params.name is the domain (or an address for PTR), with type,
+ * resolver (resolvers for compare) and the lookup flags dnssec, tcp and
+ * norecurse.
+ */
+async function handleDnsLookup(req, res, params = {}) {
+    const { mode = 'lookup' } = params;
+    const run = DNS_MODES[mode];
+
+    if (!run) {
+        return res.status(400).json({
+            error: `Mode must be one of ${Object.keys(DNS_MODES).join(', ')}`,
+            code: 'INVALID_MODE',
+            field: 'mode'
+        });
+    }
+
+    try {
+        res.json({
+            message: 'DNS query completed',
+            result: await run(params)
+        });
+    } catch (error) {
+        if (error instanceof dns.DNSError) {
+            return res.status(DNS_STATUS[error.code] || 400).json({
+                error: error.message,
+                code: error.code,
+                field: error.field
+            });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Handle password decrypt
+ * params.type is cisco-type7 or juniper-type9 (7 and 9 also work); without
+ * it the type is taken from the form of params.password
+ */
+function handlePasswordDecrypt(req, res, params = {}) {
+    const { password, type } = params;
+
+    if (!password) {
+        return res.status(400).json({
+            error: 'Password is required',
+            code: 'MISSING_PASSWORD',
+            field: 'password'
+        });
+    }
+
+    try {
+        res.json({
+            message: 'Password decoded',
+            result: passwords.decode(password, type)
+        });
+    } catch (error) {
+        if (error instanceof passwords.PasswordError) {
+            return res.status(400).json({
+                error: error.message,
+                code: error.code,
+                field: error.field
+            });
         }
+        throw error;
+    }
+}
+
+/**
+ * Handle JUNOS configuration conversion
+ * params.from is set, hierarchical, xml, json, yaml or auto (default) and
+ * params.to one of the same formats except auto
+ */
+function handleJunosConvertor(req, res, params = {}) {
+    const { config, from = 'auto', to } = params;
+
+    if (!config || typeof config !== 'string') {
+        return res.status(400).json({
+            error: 'Configuration is required',
+            code: 'MISSING_CONFIG',
+            field: 'config'
+        });
+    }
+
+    try {
+        const source = from === 'auto' ? junosConfig.detectFormat(config) : from;
+        res.json({
+            message: 'Configuration conversion completed',
+            result: {
+                from: source,
+                to,
+                output: junosConfig.convert(config, from, to)
+            }
+        });
+    } catch (error) {
+        if (error instanceof junosConfig.JunosConfigError) {
+            return res.status(400).json({
+                error: error.message,
+                code: error.code,
+                field: error.field,
+                line: error.line
+            });
+        }
+        throw error;
+    }
+}
+
+// Status codes for diagnostics errors other than bad input
+const DIAGNOSTICS_STATUS = {
+    TOO_MANY_PROBES: 429,
+    PING_FAILED: 502,
+    TRACEROUTE_FAILED: 502,
+    PING_UNAVAILABLE: 503,
+    TRACEROUTE_UNAVAILABLE: 503
+};
+
+function sendDiagnosticsError(res, error) {
+    return res.status(DIAGNOSTICS_STATUS[error.code] || 400).json({
+        error: error.message,
+        code: error.code,
+        field: error.field
+    });
+}
+
+/**
+ * Write one Server-Sent Event
+ * compression buffers responses, so each event is flushed through it.
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (typeof res.flush === 'function') res.flush();
+}
+
+/**
+ * Run a diagnostics probe (ping or traceroute)
+ * Answers with JSON once the probe finishes, or with
+ * "Accept: text/event-stream" streams a "start" event, the service's
+ * progress events (named in eventNames by handler) and a final "summary"
+ * event holding the full result, or an "error" event.
+ */
+async function handleDiagnostics(req, res, params, service, label, eventNames) {
+    let probe;
+    try {
+        probe = await service.prepare(params);
+    } catch (error) {
+        if (error instanceof diagnostics.DiagnosticsError) {
+            return sendDiagnosticsError(res, error);
+        }
+        throw error;
+    }
+
+    if (!(req.get('Accept') || '').includes('text/event-stream')) {
+        try {
+            const result = await service.run(probe);
+            return res.json({
+                message: `${label} completed`,
+                result
+            });
+        } catch (error) {
+            if (error instanceof diagnostics.DiagnosticsError) {
+                return sendDiagnosticsError(res, error);
+            }
+            throw error;
+        }
+    }
+
+    // Stop probing when the browser goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    sendEvent(res, 'start', {
+        host: probe.host,
+        address: probe.address,
+        family: probe.family,
+        options: probe.options
+    });
+
+    const handlers = { signal: controller.signal };
+    Object.keys(eventNames).forEach(handler => {
+        handlers[handler] = data => sendEvent(res, eventNames[handler], data);
+    });
+
+    try {
+        const result = await service.run(probe, handlers);
+        sendEvent(res, 'summary', result);
+    } catch (error) {
+        const known = error instanceof diagnostics.DiagnosticsError;
+        if (!known) console.error(`${label} error:`, error);
+        sendEvent(res, 'error', {
+            error: known ? error.message : `${label} failed`,
+            code: known ? error.code : 'DIAGNOSTICS_ERROR',
+            field: known ? error.field : undefined
+        });
+    }
+    res.end();
+}
+
+/**
+ * Handle ping
+ * params.host is a host name or address; count, interval (seconds), size
+ * (payload bytes), df and sourceInterface are optional. Streams a "packet"
+ * event per sequence.
+ */
+async function handlePing(req, res, params = {}) {
+    return handleDiagnostics(req, res, params, diagnostics.ping, 'Ping', {
+        onPacket: 'packet'
+    });
+}
+
+/**
+ * Handle traceroute
+ * params.host is a host name or address; mode (icmp, udp or tcp), maxHops,
+ * rounds, port and sourceInterface are optional. Streams a "hop" event
+ * whenever a hop's figures change and a "round" event after each round.
+ */
+async function handleTraceroute(req, res, params = {}) {
+    return handleDiagnostics(req, res, params, diagnostics.traceroute, 'Traceroute', {
+        onHop: 'hop',
+        onRound: 'round'
     });
 }
 
@@ -229,9 +733,38 @@ router.get('/:toolId/info', (req, res) => {
             description: 'Comprehensive BGP route analysis and diagnostics',
             features: [
                 'BGP route lookup',
+                'Origin AS and covering prefix lookup',
                 'AS path analysis',
-                'BGP peer information',
-                'BGP community analysis'
+                'BGP community analysis and decoding',
+                'Offline lookups from imported MRT / bgpdump RIB dumps',
+                'Origin ASN announcements and AS path regex search',
+                'RPKI origin validation of route and AS path results'
+            ],
+            documentation: '/docs/bgp-tools.md',
+            apiEnabled: true
+        },
+        'rpki-validator': {
+            id: 'rpki-validator',
+            name: 'RPKI Origin Validator',
+            description: 'Validate prefix/origin pairs against RPKI VRPs',
+            features: [
+                'RFC 6811 Valid, Invalid and NotFound states',
+                'Max-length violation reporting',
+                'Routinator, rpki-client and GoRTR JSON exports',
+                'Works offline from a local VRP file'
+            ],
+            documentation: '/docs/bgp-tools.md',
+            apiEnabled: true
+        },
+        'community-decoder': {
+            id: 'community-decoder',
+            name: 'BGP Community Decoder',
+            description: 'Decode standard, extended and large BGP communities',
+            features: [
+                'Standard (RFC 1997), extended (RFC 4360) and large (RFC 8092) communities',
+                'Well-known communities such as NO_EXPORT, BLACKHOLE and GRACEFUL_SHUTDOWN',
+                'Route target, route origin, link bandwidth and flow spec decoding',
+                'Per-ASN meanings from the admin-maintained dictionary'
             ],
             documentation: '/docs/bgp-tools.md',
             apiEnabled: true
@@ -239,12 +772,16 @@ router.get('/:toolId/info', (req, res) => {
         'subnet-calculator': {
             id: 'subnet-calculator',
             name: 'IP Subnet Calculator',
-            description: 'Calculate network information for IPv4 subnets',
+            description: 'Calculate network information for IPv4 and IPv6 subnets',
             features: [
                 'Network address calculation',
                 'Broadcast address calculation',
                 'Usable host range',
-                'CIDR notation conversion'
+                'CIDR notation conversion',
+                'Wildcard mask and binary representation',
+                'IPv6 prefixes, reverse DNS zones and EUI-64 addresses',
+                'VLSM planning from host requirements',
+                'Route summarisation and supernetting'
             ],
             documentation: '/docs/subnet-calculator.md',
             apiEnabled: true
@@ -252,15 +789,86 @@ router.get('/:toolId/info', (req, res) => {
         'whois-lookup': {
             id: 'whois-lookup',
             name: 'WHOIS Lookup',
-            description: 'Query domain and IP ownership information',
+            description: 'Query domain, IP and AS number ownership information',
             features: [
-                'Domain registration lookup',
-                'IP allocation information',
-                'Registrar details',
-                'Contact information'
+                'RDAP lookups, with port 43 WHOIS as fallback',
+                'Registry selection from IANA bootstrap data',
+                'WHOIS referral chasing to registrars and RIRs',
+                'Domain, IP address, prefix and AS number queries',
+                'Parsed records: organisation, netblock, origin AS, abuse contact, dates, status and name servers',
+                'Bulk IP ownership lookups with CSV/JSON export',
+                'Cached results and per-registry rate limits'
             ],
             documentation: '/docs/whois-lookup.md',
             apiEnabled: true
+        },
+        'dns-lookup': {
+            id: 'dns-lookup',
+            name: 'DNS Toolkit',
+            description: 'Query, trace and validate DNS from the toolkit server',
+            features: [
+                'Lookups of any record type against the system, a public or a chosen resolver',
+                'DNSSEC (DO bit), TCP and non-recursive queries',
+                'Iterative trace from the root servers, like dig +trace',
+                'Side-by-side answers from several resolvers',
+                'DNSSEC chain of trust validation from the root trust anchor',
+                'Delegation lint: lame servers, NS and glue mismatches, SOA serial drift'
+            ],
+            documentation: '/docs/dns-lookup.md',
+            apiEnabled: true
+        },
+        'password-decrypt': {
+            id: 'password-decrypt',
+            name: 'Password Decrypt',
+            description: 'Recover reversible device passwords',
+            features: [
+                'Cisco type 7 passwords',
+                'Juniper $9$ passwords',
+                'Type detection from the password\'s form'
+            ],
+            documentation: '/docs/password-decrypt.md',
+            apiEnabled: true
+        },
+        'junos-convertor': {
+            id: 'junos-convertor',
+            name: 'Configuration Convertor',
+            description: 'Convert JUNOS configuration between formats',
+            features: [
+                'Set, hierarchical, XML, JSON and YAML formats in any direction',
+                'Junos JSON conventions for lists, empty statements and attributes',
+                'Format detection from the configuration text',
+                'Inactive, protect and delete marks and annotations carried over'
+            ],
+            documentation: '/docs/junos-convertor.md',
+            apiEnabled: true
+        },
+        'ping': {
+            id: 'ping',
+            name: 'Ping',
+            description: 'ICMP echo from the toolkit server',
+            features: [
+                'IPv4 and IPv6 targets by name or address',
+                'Count, interval, packet size and DF bit control',
+                'Choice of source interface or address',
+                'Per-packet replies streamed as Server-Sent Events',
+                'Loss and min/avg/max/mdev round trip summary'
+            ],
+            documentation: '/docs/engineer-tools.md',
+            apiEnabled: true
+        },
+        'traceroute': {
+            id: 'traceroute',
+            name: 'Traceroute',
+            description: 'Path discovery and per-hop monitoring from the toolkit server',
+            features: [
+                'ICMP, UDP and TCP SYN probes',
+                'Repeated rounds with mtr-style per-hop loss, best/avg/worst and standard deviation',
+                'Reverse DNS for each hop',
+                'Origin ASN and covering prefix from the toolkit\'s BGP data',
+                'Per-hop updates streamed as Server-Sent Events'
+            ],
+            documentation: '/docs/engineer-tools.md',
+            apiEnabled: true
         }
     };
 
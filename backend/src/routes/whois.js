@@ -0,0 +1,174 @@
+/**
+ * WHOIS Routes - bulk IP ownership lookups
+ * Network Engineers Toolkit Backend
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { param, query, validationResult } = require('express-validator');
+const { requireAuth } = require('../middleware/auth');
+const bulk = require('../services/whois/bulk');
+const { WhoisError } = require('../services/whois');
+
+const router = express.Router();
+
+const MAX_LIST_MB = 5;
+
+// Address lists are small enough to parse straight from memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_LIST_MB * 1024 * 1024, files: 1 }
+});
+
+// All routes require authentication
+router.use(requireAuth);
+
+/**
+ * POST /api/whois/bulk
+ * Queue a bulk lookup. Takes JSON { entries, protocol } or a multipart
+ * upload with the list as field "list" (pasted text may also be sent as
+ * field "entries").
+ */
+router.post('/bulk', (req, res) => {
+    upload.single('list')(req, res, async (uploadError) => {
+        if (uploadError) {
+            const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                error: tooLarge ? `Address lists are limited to ${MAX_LIST_MB} MB` : uploadError.message,
+                code: tooLarge ? 'FILE_TOO_LARGE' : 'UPLOAD_FAILED',
+                field: 'list'
+            });
+        }
+
+        const { entries, protocol } = req.body;
+        const pasted = Array.isArray(entries) ? entries.join('\n') : entries || '';
+        const input = req.file ? `${req.file.buffer.toString('utf8')}\n${pasted}` : pasted;
+
+        try {
+            const job = await bulk.createJob({
+                input,
+                protocol: protocol || 'auto',
+                userId: req.user.userId
+            });
+
+            res.status(202).json({
+                message: 'Bulk lookup queued',
+                job
+            });
+        } catch (error) {
+            if (error instanceof WhoisError) {
+                return res.status(400).json({
+                    error: error.message,
+                    code: error.code,
+                    field: error.field
+                });
+            }
+            console.error('Bulk WHOIS error:', error);
+            res.status(500).json({ error: 'Failed to queue bulk lookup' });
+        }
+    });
+});
+
+/**
+ * GET /api/whois/bulk
+ * List the current user's bulk lookups with their progress
+ */
+router.get('/bulk', async (req, res) => {
+    try {
+        const jobs = await bulk.listJobs(req.user.userId);
+        res.json({ jobs });
+    } catch (error) {
+        console.error('Bulk WHOIS list error:', error);
+        res.status(500).json({ error: 'Failed to list bulk lookups' });
+    }
+});
+
+/**
+ * GET /api/whois/bulk/:id
+ * Get a bulk lookup's progress and the results so far
+ */
+router.get('/bulk/:id',
+    [
+        param('id').isUUID().withMessage('Invalid job ID')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const job = await bulk.getJob(req.params.id, req.user.userId);
+            if (!job) {
+                return res.status(404).json({ error: 'Bulk lookup not found' });
+            }
+
+            res.json({ job });
+        } catch (error) {
+            console.error('Bulk WHOIS status error:', error);
+            res.status(500).json({ error: 'Failed to get bulk lookup' });
+        }
+    }
+);
+
+/**
+ * GET /api/whois/bulk/:id/export?format=csv|json
+ * Download a bulk lookup's results
+ */
+router.get('/bulk/:id/export',
+    [
+        param('id').isUUID().withMessage('Invalid job ID'),
+        query('format').optional().isIn(bulk.EXPORT_FORMATS).withMessage(`Format must be one of ${bulk.EXPORT_FORMATS.join(', ')}`)
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const job = await bulk.getJob(req.params.id, req.user.userId);
+            if (!job) {
+                return res.status(404).json({ error: 'Bulk lookup not found' });
+            }
+
+            const file = bulk.exportResults(job, req.query.format || 'csv');
+            res.set('Content-Type', file.contentType);
+            res.attachment(file.filename);
+            res.send(file.body);
+        } catch (error) {
+            console.error('Bulk WHOIS export error:', error);
+            res.status(500).json({ error: 'Failed to export bulk lookup' });
+        }
+    }
+);
+
+/**
+ * DELETE /api/whois/bulk/:id
+ * Delete a bulk lookup, stopping it if it is still running
+ */
+router.delete('/bulk/:id',
+    [
+        param('id').isUUID().withMessage('Invalid job ID')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const job = await bulk.deleteJob(req.params.id, req.user.userId);
+            if (!job) {
+                return res.status(404).json({ error: 'Bulk lookup not found' });
+            }
+
+            res.json({ message: 'Bulk lookup deleted', job });
+        } catch (error) {
+            console.error('Bulk WHOIS delete error:', error);
+            res.status(500).json({ error: 'Failed to delete bulk lookup' });
+        }
+    }
+);
+
+module.exports = router;
@@ -12,6 +12,13 @@ const { testConnection, pool } = require('./database/connection');
 const authMiddleware = require('./middleware/auth');
 const toolsRouter = require('./routes/tools');
 const adminRouter = require('./routes/admin');
+const bgpRouter = require('./routes/bgp');
+const whoisRouter = require('./routes/whois');
+const syslogRouter = require('./routes/syslog');
+const { importer: bgpImporter } = require('./services/bgp');
+const whoisBulk = require('./services/whois/bulk');
+const sshGateway = require('./services/ssh');
+const syslogCollector = require('./services/syslog');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -67,10 +74,15 @@ const limiter = rateLimit({
   standardHeaders: true
 });
 
+app.use(compression());
+
+// Shared modules used by both the API and the frontend tool pages; every
+// tool page loads several, so they are served before the rate limiter
+app.use('/api/shared', express.static(path.join(__dirname, 'shared')));
+
 app.use('/api/', limiter);
 
 // Body parsing
-app.use(compression());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -103,6 +115,9 @@ app.get('/health', async (req, res) => {
 // API Routes
 app.use('/api/tools', toolsRouter);
 app.use('/api/admin', adminRouter);
+app.use('/api/bgp', bgpRouter);
+app.use('/api/whois', whoisRouter);
+app.use('/api/syslog', syslogRouter);
 app.use('/api/referrals', require('./routes/referrals'));
 
 // Authentication
@@ -200,6 +215,7 @@ app.use('*', (req, res) => {
 process.on('SIGINT', async () => {
   logger.info('Shutting down gracefully');
   try {
+    await syslogCollector.stop();
     await pool.end();
     logger.info('Database closed');
     process.exit(0);
@@ -214,11 +230,20 @@ async function startServer() {
   try {
     await testConnection();
     logger.info('Database connected');
+
+    await bgpImporter.recoverInterruptedImports();
+    await whoisBulk.resumeInterruptedJobs();
     
-    app.listen(PORT, '0.0.0.0', () => {
+    const server = app.listen(PORT, '0.0.0.0', () => {
       logger.info(`🚀 Server running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+
+    // Browser terminal SSH sessions (WebSocket upgrades on /api/ssh)
+    sshGateway.attach(server);
+
+    // Optional syslog listeners (SYSLOG_LISTENERS) feeding the syslog page's live mode
+    await syslogCollector.start();
   } catch (error) {
     logger.error('Failed to start:', error);
     process.exit(1);
@@ -0,0 +1,100 @@
+/**
+ * bgpdump Text Format Reader
+ * Network Engineers Toolkit Backend
+ *
+ * Reads the one-line-per-route output of `bgpdump -m` (or -M), e.g.
+ * TABLE_DUMP2|1696118400|B|192.0.2.1|64500|1.1.1.0/24|64500 13335|IGP|192.0.2.1|0|0|64500:100|NAG||
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const { isGzip } = require('./mrt');
+
+/**
+ * Parse an AS path string, keeping AS_SETs as nested arrays
+ * @param {string} text - Path such as "64500 3356 {13335,13336}"
+ * @returns {Array<number|Array<number>>} Parsed path
+ */
+function parseASPath(text) {
+  return String(text || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(token => {
+      if (token.startsWith('{') || token.startsWith('[')) {
+        return token.replace(/[{}[\]]/g, '').split(',').filter(Boolean).map(Number);
+      }
+      return Number(token);
+    })
+    .filter(hop => Array.isArray(hop) || Number.isFinite(hop));
+}
+
+/**
+ * Format a parsed AS path back into bgpdump text form
+ * @param {Array<number|Array<number>>} asPath - Parsed path
+ * @returns {string} Path such as "64500 3356 {13335,13336}"
+ */
+function formatASPath(asPath) {
+  return (asPath || [])
+    .map(hop => (Array.isArray(hop) ? `{${hop.join(',')}}` : String(hop)))
+    .join(' ');
+}
+
+/**
+ * Parse one line of bgpdump -m output
+ * @param {string} line - Input line
+ * @returns {Object|null} Route, or null for withdrawals and unparseable lines
+ */
+function parseBgpdumpLine(line) {
+  const fields = line.trim().split('|');
+
+  if (fields.length < 7 || !['B', 'A'].includes(fields[2])) {
+    return null;
+  }
+
+  const [, timestamp, , peerIp, peerAsn, prefix, asPath, origin, nextHop, localPref, med, communities] = fields;
+
+  if (!prefix || !prefix.includes('/')) {
+    return null;
+  }
+
+  return {
+    prefix,
+    peerIp,
+    peerAsn: Number(peerAsn),
+    asPath: parseASPath(asPath),
+    origin: origin || null,
+    nextHop: nextHop || null,
+    localPref: localPref ? Number(localPref) : null,
+    med: med ? Number(med) : null,
+    communities: (communities || '').split(/\s+/).filter(Boolean),
+    timestamp: timestamp ? new Date(Number(timestamp) * 1000).toISOString() : null
+  };
+}
+
+/**
+ * Read routes from a bgpdump -m file, transparently gunzipping gzipped files
+ * @param {string} filePath - Path to the dump
+ * @returns {AsyncGenerator<Object>} Routes
+ */
+async function* readBgpdumpFile(filePath) {
+  let input = fs.createReadStream(filePath);
+  if (await isGzip(filePath)) {
+    input = input.pipe(zlib.createGunzip());
+  }
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    const route = parseBgpdumpLine(line);
+    if (route) yield route;
+  }
+}
+
+module.exports = {
+  parseASPath,
+  formatASPath,
+  parseBgpdumpLine,
+  readBgpdumpFile
+};
@@ -0,0 +1,467 @@
+/**
+ * BGP Community Decoder
+ * Network Engineers Toolkit Backend
+ *
+ * Parses and names standard (RFC 1997), extended (RFC 4360) and large
+ * (RFC 8092) communities, and matches them against dictionary entries
+ * whose patterns use the community's own notation with per-field
+ * wildcards: "*" (any value), "x" (any digit, e.g. 3356:9xx) and ranges
+ * (e.g. 3356:100-199).
+ */
+
+const { BGPLookupError } = require('./provider');
+
+const UINT16_MAX = 0xffff;
+const UINT32_MAX = 0xffffffff;
+
+// IANA "BGP Well-known Communities" registry
+const WELL_KNOWN = new Map([
+  [0xffff0000, { name: 'GRACEFUL_SHUTDOWN', description: 'Planned maintenance: lower the preference of this path (RFC 8326)' }],
+  [0xffff0001, { name: 'ACCEPT_OWN', description: 'Accept routes carrying the local router\'s own originator ID (RFC 7611)' }],
+  [0xffff0002, { name: 'ROUTE_FILTER_TRANSLATED_v4', description: 'IPv4 route filter, translated (draft-l3vpn-legacy-rtc)' }],
+  [0xffff0003, { name: 'ROUTE_FILTER_v4', description: 'IPv4 route filter (draft-l3vpn-legacy-rtc)' }],
+  [0xffff0004, { name: 'ROUTE_FILTER_TRANSLATED_v6', description: 'IPv6 route filter, translated (draft-l3vpn-legacy-rtc)' }],
+  [0xffff0005, { name: 'ROUTE_FILTER_v6', description: 'IPv6 route filter (draft-l3vpn-legacy-rtc)' }],
+  [0xffff0006, { name: 'LLGR_STALE', description: 'Route retained as stale during long-lived graceful restart (RFC 9494)' }],
+  [0xffff0007, { name: 'NO_LLGR', description: 'Do not retain this route during long-lived graceful restart (RFC 9494)' }],
+  [0xffff0008, { name: 'accept-own-nexthop', description: 'Accept own routes, next-hop variant (draft-agrewal-idr-accept-own-nexthop)' }],
+  [0xffff029a, { name: 'BLACKHOLE', description: 'Remotely triggered blackhole: drop traffic to this prefix (RFC 7999)' }],
+  [0xffffff01, { name: 'NO_EXPORT', description: 'Do not advertise outside the local AS or confederation (RFC 1997)' }],
+  [0xffffff02, { name: 'NO_ADVERTISE', description: 'Do not advertise to any BGP peer (RFC 1997)' }],
+  [0xffffff03, { name: 'NO_EXPORT_SUBCONFED', description: 'Do not advertise to external peers, including confederation members (RFC 1997)' }],
+  [0xffffff04, { name: 'NOPEER', description: 'Do not advertise to bilateral peers (RFC 3765)' }]
+]);
+
+// Well-known names accepted as input, e.g. "no-export" or "NO_EXPORT"
+const WELL_KNOWN_BY_NAME = new Map(
+  [...WELL_KNOWN].map(([value, entry]) => [entry.name.toLowerCase().replace(/_/g, '-'), value])
+);
+
+// Extended community type/subtype names (IANA BGP Extended Communities registry)
+const EXTENDED_SUBTYPES = {
+  transitiveAS: {
+    0x02: { name: 'Route Target', label: 'rt' },
+    0x03: { name: 'Route Origin', label: 'soo' },
+    0x05: { name: 'OSPF Domain Identifier', label: 'ospf-domain' },
+    0x08: { name: 'BGP Data Collection', label: 'data-collection' },
+    0x09: { name: 'Source AS', label: 'source-as' },
+    0x0a: { name: 'L2VPN Identifier', label: 'l2vpn-id' },
+    0x0b: { name: 'VRF Route Import', label: 'vrf-import' },
+    0x10: { name: 'Cisco VPN Distinguisher', label: 'vpn-distinguisher' }
+  },
+  nonTransitiveAS: {
+    0x04: { name: 'Link Bandwidth', label: 'bandwidth' }
+  },
+  opaque: {
+    0x0b: { name: 'Color', label: 'color' },
+    0x0c: { name: 'Encapsulation', label: 'encapsulation' },
+    0x0d: { name: 'Default Gateway', label: 'default-gateway' }
+  },
+  evpn: {
+    0x00: { name: 'MAC Mobility', label: 'mac-mobility' },
+    0x01: { name: 'ESI Label', label: 'esi-label' },
+    0x02: { name: 'ES-Import Route Target', label: 'es-import' },
+    0x03: { name: 'EVPN Router\'s MAC', label: 'router-mac' }
+  },
+  flowspec: {
+    0x06: { name: 'Flow Spec Traffic Rate', label: 'traffic-rate' },
+    0x07: { name: 'Flow Spec Traffic Action', label: 'traffic-action' },
+    0x08: { name: 'Flow Spec Redirect', label: 'redirect' },
+    0x09: { name: 'Flow Spec Traffic Marking', label: 'traffic-marking' }
+  }
+};
+
+// Textual extended community prefixes -> subtype
+const EXTENDED_LABELS = {
+  rt: 0x02,
+  target: 0x02,
+  soo: 0x03,
+  origin: 0x03
+};
+
+const ORIGIN_VALIDATION_STATES = ['Valid', 'NotFound', 'Invalid'];
+
+function isPrivateASN(asn) {
+  return (asn >= 64512 && asn <= 65534) || (asn >= 4200000000 && asn <= 4294967294);
+}
+
+function isDocumentationASN(asn) {
+  return (asn >= 64496 && asn <= 64511) || (asn >= 65536 && asn <= 65551);
+}
+
+function parseNumber(text, max, input) {
+  if (!/^\d+$/.test(text) || Number(text) > max) {
+    throw new BGPLookupError(`"${input}" is not a valid BGP community`, 'INVALID_COMMUNITY', 'communities');
+  }
+  return Number(text);
+}
+
+function parseIPv4(text) {
+  const parts = text.split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.map(Number);
+}
+
+/**
+ * Build the eight bytes of a textual extended community such as
+ * rt:65000:100, rt:4200000000:1 or soo:192.0.2.1:7
+ */
+function encodeExtended(label, admin, local, input) {
+  const subtype = EXTENDED_LABELS[label];
+  const bytes = Buffer.alloc(8);
+  const address = parseIPv4(admin);
+
+  if (address) {
+    bytes[0] = 0x01;
+    bytes[1] = subtype;
+    address.forEach((octet, i) => { bytes[2 + i] = octet; });
+    bytes.writeUInt16BE(parseNumber(local, UINT16_MAX, input), 6);
+    return bytes;
+  }
+
+  const asn = parseNumber(admin.replace(/L$/i, ''), UINT32_MAX, input);
+  if (asn > UINT16_MAX || /L$/i.test(admin)) {
+    bytes[0] = 0x02;
+    bytes[1] = subtype;
+    bytes.writeUInt32BE(asn, 2);
+    bytes.writeUInt16BE(parseNumber(local, UINT16_MAX, input), 6);
+  } else {
+    bytes[0] = 0x00;
+    bytes[1] = subtype;
+    bytes.writeUInt16BE(asn, 2);
+    bytes.writeUInt32BE(parseNumber(local, UINT32_MAX, input), 4);
+  }
+  return bytes;
+}
+
+/**
+ * Decode the eight bytes of an extended community
+ * @param {Buffer} bytes - Community value
+ * @returns {Object} Decoded fields and canonical text
+ */
+function decodeExtendedBytes(bytes) {
+  const type = bytes[0];
+  const subtype = bytes[1];
+  const transitive = (type & 0x40) === 0;
+  const hex = bytes.toString('hex');
+  const result = {
+    type: 'extended',
+    typeCode: type,
+    subtype,
+    transitive,
+    name: null,
+    asn: null,
+    text: `ext:0x${hex.slice(0, 4)}:${hex.slice(4)}`
+  };
+
+  const baseType = type & 0xbf;
+  const lookup = (table) => table[subtype] || null;
+
+  if (baseType === 0x00 || baseType === 0x02) {
+    // Two- and four-octet AS specific
+    const fourOctet = baseType === 0x02;
+    const admin = fourOctet ? bytes.readUInt32BE(2) : bytes.readUInt16BE(2);
+    const local = fourOctet ? bytes.readUInt16BE(6) : bytes.readUInt32BE(4);
+    const info = lookup(transitive ? EXTENDED_SUBTYPES.transitiveAS : EXTENDED_SUBTYPES.nonTransitiveAS);
+
+    result.asn = admin;
+    result.administrator = admin;
+    result.assigned = local;
+    if (info) {
+      result.name = info.name;
+      if (info.label === 'bandwidth') {
+        const bytesPerSecond = bytes.readFloatBE(4);
+        result.bandwidthBps = Math.round(bytesPerSecond * 8);
+        result.text = `bandwidth:${admin}:${result.bandwidthBps}`;
+      } else {
+        result.text = `${info.label}:${admin}${fourOctet && admin <= UINT16_MAX ? 'L' : ''}:${local}`;
+      }
+    }
+  } else if (baseType === 0x01) {
+    // IPv4 address specific
+    const admin = Array.from(bytes.subarray(2, 6)).join('.');
+    const local = bytes.readUInt16BE(6);
+    const info = lookup(EXTENDED_SUBTYPES.transitiveAS);
+
+    result.administrator = admin;
+    result.assigned = local;
+    if (info) {
+      result.name = info.name;
+      result.text = `${info.label}:${admin}:${local}`;
+    }
+  } else if (baseType === 0x03) {
+    const info = lookup(EXTENDED_SUBTYPES.opaque);
+    if (info) {
+      result.name = info.name;
+      result.text = `${info.label}:${bytes.readUInt32BE(4)}`;
+      if (info.label === 'color') {
+        result.text = `color:${bytes.readUInt16BE(2) >> 14}:${bytes.readUInt32BE(4)}`;
+      }
+    }
+    if (type === 0x43 && subtype === 0x00) {
+      // Non-transitive opaque: BGP origin validation state (RFC 8097)
+      const state = ORIGIN_VALIDATION_STATES[bytes[7]] || 'Unknown';
+      result.name = 'Origin Validation State';
+      result.validationState = state;
+      result.text = `origin-validation:${state.toLowerCase()}`;
+    }
+  } else if (baseType === 0x06) {
+    const info = lookup(EXTENDED_SUBTYPES.evpn);
+    if (info) {
+      result.name = info.name;
+      result.text = `${info.label}:${hex.slice(4)}`;
+    }
+  } else if (type === 0x80 || type === 0x81 || type === 0x82) {
+    // Flow spec actions (RFC 8955), two-octet AS, IPv4 and four-octet AS redirects
+    const info = lookup(EXTENDED_SUBTYPES.flowspec);
+    if (info) {
+      result.name = info.name;
+      if (info.label === 'traffic-rate') {
+        const rate = bytes.readFloatBE(4);
+        result.text = `traffic-rate:${bytes.readUInt16BE(2)}:${rate}`;
+        result.description = rate === 0 ? 'Discard all matching traffic' : `Police matching traffic to ${Math.round(rate * 8)} bit/s`;
+      } else if (info.label === 'redirect') {
+        result.text = type === 0x81
+          ? `redirect:${Array.from(bytes.subarray(2, 6)).join('.')}:${bytes.readUInt16BE(6)}`
+          : type === 0x82
+            ? `redirect:${bytes.readUInt32BE(2)}:${bytes.readUInt16BE(6)}`
+            : `redirect:${bytes.readUInt16BE(2)}:${bytes.readUInt32BE(4)}`;
+        result.description = `Redirect matching traffic to the VRF with route target ${result.text.slice('redirect:'.length)}`;
+      } else if (info.label === 'traffic-marking') {
+        result.text = `traffic-marking:${bytes[7] & 0x3f}`;
+        result.description = `Set DSCP ${bytes[7] & 0x3f} on matching traffic`;
+      } else {
+        result.text = `${info.label}:${hex.slice(4)}`;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse one community in any of the usual notations
+ * Standard: 65535:65281, 4294967041 or a well-known name (no-export);
+ * large: 4200000000:1:2; extended: rt:65000:100, target:192.0.2.1:7,
+ * soo:4200000000:1, ext:0x0002:fde800000064 or a raw 0x0002fde800000064.
+ * @param {string} input - Community text
+ * @returns {Object} Decoded community with type and canonical text
+ */
+function parseCommunity(input) {
+  const text = String(input === undefined || input === null ? '' : input).trim();
+  const lower = text.toLowerCase();
+
+  if (text === '') {
+    throw new BGPLookupError('Community is required', 'MISSING_COMMUNITY', 'communities');
+  }
+
+  if (WELL_KNOWN_BY_NAME.has(lower.replace(/_/g, '-'))) {
+    return parseCommunity(String(WELL_KNOWN_BY_NAME.get(lower.replace(/_/g, '-'))));
+  }
+
+  const rawHex = /^0x([0-9a-f]{16})$/.exec(lower);
+  const extHex = /^ext:0x([0-9a-f]{4}):([0-9a-f]{12})$/.exec(lower);
+  if (rawHex || extHex) {
+    return decodeExtendedBytes(Buffer.from(extHex ? extHex[1] + extHex[2] : rawHex[1], 'hex'));
+  }
+
+  const parts = lower.split(':');
+
+  if (parts.length === 3 && EXTENDED_LABELS[parts[0]] !== undefined) {
+    return decodeExtendedBytes(encodeExtended(parts[0], parts[1], parts[2], text));
+  }
+
+  if (parts.length === 3) {
+    const [global, local1, local2] = parts.map(part => parseNumber(part, UINT32_MAX, text));
+    return {
+      type: 'large',
+      asn: global,
+      globalAdministrator: global,
+      localData1: local1,
+      localData2: local2,
+      text: `${global}:${local1}:${local2}`
+    };
+  }
+
+  let value;
+  if (parts.length === 2) {
+    value = parseNumber(parts[0], UINT16_MAX, text) * 0x10000 + parseNumber(parts[1], UINT16_MAX, text);
+  } else if (parts.length === 1) {
+    value = parseNumber(parts[0], UINT32_MAX, text);
+  } else {
+    throw new BGPLookupError(`"${text}" is not a valid BGP community`, 'INVALID_COMMUNITY', 'communities');
+  }
+
+  const asn = Math.floor(value / 0x10000);
+  return {
+    type: 'standard',
+    asn,
+    value,
+    localValue: value % 0x10000,
+    text: `${asn}:${value % 0x10000}`
+  };
+}
+
+/**
+ * Describe well-known values and reserved or private ranges
+ * @param {Object} community - Result of parseCommunity
+ * @returns {Object} { name, description } (either may be null)
+ */
+function describeCommunity(community) {
+  if (community.type === 'standard') {
+    const wellKnown = WELL_KNOWN.get(community.value);
+    if (wellKnown) return { ...wellKnown, wellKnown: true };
+
+    if (community.asn === 0 || community.asn === UINT16_MAX) {
+      return { name: null, description: 'Reserved range (RFC 1997)', wellKnown: false };
+    }
+  }
+
+  if (community.type === 'extended') {
+    return { name: community.name, description: community.description || null, wellKnown: false };
+  }
+
+  if (community.asn !== null && community.asn !== undefined) {
+    if (isPrivateASN(community.asn)) {
+      return { name: null, description: `Private-use ASN ${community.asn}: meaning is local to the network that set it`, wellKnown: false };
+    }
+    if (isDocumentationASN(community.asn)) {
+      return { name: null, description: `Documentation ASN ${community.asn} (RFC 5398)`, wellKnown: false };
+    }
+  }
+
+  return { name: null, description: null, wellKnown: false };
+}
+
+/**
+ * Compile a dictionary pattern into a matcher
+ * @param {string} pattern - e.g. 3356:2, 3356:9xx, 3356:100-199, rt:65000:*, 4200000000:1:*
+ * @returns {Function} (community) => boolean
+ */
+function compilePattern(pattern) {
+  const text = String(pattern === undefined || pattern === null ? '' : pattern).trim().toLowerCase();
+  const fields = text.split(':')
+    .map(field => (field === 'target' ? 'rt' : field === 'origin' ? 'soo' : field))
+    .map(field => field.replace(/^(\d+)l$/, '$1'));
+
+  if (text === '' || fields.length < 2 || fields.length > 3 || fields.some(field => field === '')) {
+    throw new BGPLookupError(`"${pattern}" is not a valid community pattern`, 'INVALID_PATTERN', 'pattern');
+  }
+
+  const matchers = fields.map(field => {
+    if (field === '*') return () => true;
+
+    const range = /^(\d+)-(\d+)$/.exec(field);
+    if (range) {
+      const low = Number(range[1]);
+      const high = Number(range[2]);
+      if (low > high) {
+        throw new BGPLookupError(`Range ${field} in "${pattern}" is reversed`, 'INVALID_PATTERN', 'pattern');
+      }
+      return value => /^\d+$/.test(value) && Number(value) >= low && Number(value) <= high;
+    }
+
+    if (/^[\dx]+$/.test(field)) {
+      const regex = new RegExp(`^${field.replace(/x/g, '\\d')}$`);
+      return value => regex.test(value);
+    }
+
+    if (/^[a-z][a-z-]*$/.test(field) || /^[\d.]+$/.test(field)) {
+      return value => value === field;
+    }
+
+    throw new BGPLookupError(`"${pattern}" is not a valid community pattern`, 'INVALID_PATTERN', 'pattern');
+  });
+
+  return community => {
+    const values = community.text.toLowerCase().replace(/^(\w[\w-]*:\d+)l:/, '$1:').split(':');
+    return values.length === matchers.length && matchers.every((match, i) => match(values[i]));
+  };
+}
+
+/**
+ * Rank a pattern by how much it leaves open; lower is more specific
+ * @param {string} pattern - Dictionary pattern
+ * @returns {number}
+ */
+function patternSpecificity(pattern) {
+  return String(pattern).split(':').reduce((score, field) => {
+    if (field === '*') return score + 1000;
+    if (field.includes('-') && /^\d/.test(field)) return score + 100;
+    return score + (field.match(/x/gi) || []).length;
+  }, 0);
+}
+
+/**
+ * ASN a dictionary pattern belongs to: the global administrator field,
+ * which is the first field, or the second after an extended type label
+ * @param {string} pattern - Dictionary pattern
+ * @returns {number|null} null when that field is not a literal ASN
+ */
+function patternASN(pattern) {
+  const fields = String(pattern).trim().split(':');
+  const field = /^[a-z]/i.test(fields[0]) ? fields[1] : fields[0];
+  const asn = /^\d+L?$/i.test(field || '') ? parseInt(field, 10) : NaN;
+  return Number.isInteger(asn) && asn <= UINT32_MAX ? asn : null;
+}
+
+/**
+ * Split user input into community strings
+ * @param {string|Array<string>} input - Array or whitespace/comma separated text
+ * @returns {Array<string>}
+ */
+function splitCommunities(input) {
+  const values = Array.isArray(input) ? input : String(input === undefined || input === null ? '' : input).split(/[\s,;]+/);
+  return values.map(value => String(value).trim()).filter(Boolean);
+}
+
+/**
+ * Decode a list of communities, naming dictionary matches
+ * Unparseable entries are reported in place rather than failing the list.
+ * @param {string|Array<string>} input - Communities
+ * @param {Array<Object>} [dictionary] - Entries with pattern, description and category
+ * @returns {Array<Object>} One decoded entry per input community
+ */
+function decodeCommunities(input, dictionary = []) {
+  // Most specific entries first, so 3356:2 wins over 3356:*
+  const compiled = dictionary
+    .map(entry => ({ entry, match: compilePattern(entry.pattern) }))
+    .sort((a, b) => patternSpecificity(a.entry.pattern) - patternSpecificity(b.entry.pattern));
+
+  return splitCommunities(input).map(value => {
+    let community;
+    try {
+      community = parseCommunity(value);
+    } catch (error) {
+      if (!(error instanceof BGPLookupError)) throw error;
+      return { input: value, type: 'invalid', error: error.message };
+    }
+
+    const described = describeCommunity(community);
+    const matches = compiled
+      .filter(({ match }) => match(community))
+      .map(({ entry }) => ({ pattern: entry.pattern, description: entry.description, category: entry.category || null }));
+
+    return {
+      input: value,
+      ...community,
+      name: described.name,
+      wellKnown: described.wellKnown,
+      description: matches.length > 0 ? matches[0].description : described.description,
+      dictionary: matches
+    };
+  });
+}
+
+module.exports = {
+  WELL_KNOWN,
+  parseCommunity,
+  decodeExtendedBytes,
+  describeCommunity,
+  compilePattern,
+  patternASN,
+  splitCommunities,
+  decodeCommunities
+};
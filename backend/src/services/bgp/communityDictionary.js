@@ -0,0 +1,158 @@
+/**
+ * BGP Community Dictionary
+ * Network Engineers Toolkit Backend
+ *
+ * Admin-maintained meanings for provider communities (e.g. "3356:2 =
+ * customer route"), stored in bgp_community_dictionary and keyed by the
+ * ASN in the pattern so decoding only loads the entries it can use.
+ */
+
+const db = require('../../database/connection');
+const { BGPLookupError } = require('./provider');
+const decoder = require('./communityDecoder');
+
+const ENTRY_COLUMNS = 'id, asn, pattern, description, category, created_by, created_at, updated_at';
+
+/**
+ * Validate a pattern and work out the ASN it belongs to
+ * @param {string} pattern - Dictionary pattern
+ * @returns {Object} { pattern, asn }
+ */
+function normalisePattern(pattern) {
+  decoder.compilePattern(pattern);
+
+  const text = String(pattern).trim().toLowerCase();
+  const asn = decoder.patternASN(text);
+  if (asn === null) {
+    throw new BGPLookupError('Pattern must name an ASN, e.g. 3356:2 or rt:65000:*', 'INVALID_PATTERN', 'pattern');
+  }
+
+  return { pattern: text, asn };
+}
+
+/**
+ * List dictionary entries
+ * @param {Object} [filter]
+ * @param {number} [filter.asn] - Only entries for this ASN
+ * @returns {Promise<Array<Object>>}
+ */
+async function listEntries(filter = {}) {
+  if (filter.asn !== undefined && filter.asn !== null && filter.asn !== '') {
+    const result = await db.query(
+      `SELECT ${ENTRY_COLUMNS} FROM bgp_community_dictionary WHERE asn = $1 ORDER BY pattern`,
+      [Number(filter.asn)]
+    );
+    return result.rows;
+  }
+
+  const result = await db.query(`SELECT ${ENTRY_COLUMNS} FROM bgp_community_dictionary ORDER BY asn, pattern`);
+  return result.rows;
+}
+
+/**
+ * Add a dictionary entry
+ * @param {Object} entry - { pattern, description, category }
+ * @param {string} userId - Creating user
+ * @returns {Promise<Object>} Created row
+ */
+async function createEntry(entry, userId) {
+  const { pattern, asn } = normalisePattern(entry.pattern);
+
+  const result = await db.query(`
+    INSERT INTO bgp_community_dictionary (asn, pattern, description, category, created_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING ${ENTRY_COLUMNS}
+  `, [asn, pattern, entry.description, entry.category || null, userId]);
+
+  return result.rows[0];
+}
+
+/**
+ * Update a dictionary entry
+ * @param {string} id - Entry ID
+ * @param {Object} fields - Any of pattern, description, category
+ * @returns {Promise<Object|null>} Updated row, null when not found
+ */
+async function updateEntry(id, fields) {
+  const updates = [];
+  const values = [];
+
+  if (fields.pattern !== undefined) {
+    const { pattern, asn } = normalisePattern(fields.pattern);
+    values.push(pattern, asn);
+    updates.push(`pattern = $${values.length - 1}`, `asn = $${values.length}`);
+  }
+  if (fields.description !== undefined) {
+    values.push(fields.description);
+    updates.push(`description = $${values.length}`);
+  }
+  if (fields.category !== undefined) {
+    values.push(fields.category || null);
+    updates.push(`category = $${values.length}`);
+  }
+
+  if (updates.length === 0) {
+    throw new BGPLookupError('No fields to update', 'NO_CHANGES', 'pattern');
+  }
+
+  values.push(id);
+  const result = await db.query(`
+    UPDATE bgp_community_dictionary
+    SET ${updates.join(', ')}
+    WHERE id = $${values.length}
+    RETURNING ${ENTRY_COLUMNS}
+  `, values);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a dictionary entry
+ * @param {string} id - Entry ID
+ * @returns {Promise<Object|null>} Deleted row, null when not found
+ */
+async function deleteEntry(id) {
+  const result = await db.query(
+    `DELETE FROM bgp_community_dictionary WHERE id = $1 RETURNING ${ENTRY_COLUMNS}`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Decode communities with well-known names and dictionary meanings
+ * @param {string|Array<string>} communities - Communities to decode
+ * @returns {Promise<Array<Object>>} See communityDecoder.decodeCommunities
+ */
+async function decode(communities) {
+  const values = decoder.splitCommunities(communities);
+  const asns = new Set();
+
+  values.forEach(value => {
+    try {
+      const community = decoder.parseCommunity(value);
+      if (community.asn !== null && community.asn !== undefined) asns.add(community.asn);
+    } catch (error) {
+      // Reported per entry by decodeCommunities
+    }
+  });
+
+  let dictionary = [];
+  if (asns.size > 0) {
+    const result = await db.query(
+      'SELECT pattern, description, category FROM bgp_community_dictionary WHERE asn = ANY($1) ORDER BY pattern',
+      [[...asns]]
+    );
+    dictionary = result.rows;
+  }
+
+  return decoder.decodeCommunities(values, dictionary);
+}
+
+module.exports = {
+  listEntries,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  decode
+};
@@ -0,0 +1,233 @@
+/**
+ * RIB Dump Importer
+ * Network Engineers Toolkit Backend
+ *
+ * Background job that loads uploaded MRT TABLE_DUMP_V2 or bgpdump -m files
+ * into bgp_routes. Imports run one at a time in upload order; progress and
+ * failures are recorded on the bgp_imports row so the page can poll it.
+ */
+
+const fs = require('fs');
+const winston = require('winston');
+const db = require('../../database/connection');
+const { readMrtFile, detectFormat } = require('./mrt');
+const { readBgpdumpFile } = require('./bgpdump');
+const { insertRoutes } = require('./routeStore');
+
+const importLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'bgp-import' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/bgp-import.log' }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const BATCH_SIZE = 1000;
+const FORMATS = ['mrt', 'bgpdump'];
+
+const IMPORT_COLUMNS = `
+  id, filename, file_format, status, routes_imported, replace_existing,
+  error_message, created_by, created_at, started_at, completed_at
+`;
+
+const queue = [];
+let running = false;
+
+function readerFor(format) {
+  return format === 'mrt' ? readMrtFile : readBgpdumpFile;
+}
+
+/**
+ * Record a new import and queue it for processing
+ * @param {Object} upload
+ * @param {string} upload.filePath - Uploaded file on disk; removed once processed
+ * @param {string} upload.filename - Original file name
+ * @param {string} [upload.format] - 'mrt' or 'bgpdump', detected when omitted
+ * @param {boolean} [upload.replace=false] - Drop earlier imports once this one completes
+ * @param {string} [upload.userId] - Uploading user
+ * @returns {Promise<Object>} The bgp_imports row
+ */
+async function createImport(upload) {
+  const { filePath, filename, format, replace = false, userId = null } = upload;
+
+  const result = await db.query(`
+    INSERT INTO bgp_imports (filename, file_format, replace_existing, created_by)
+    VALUES ($1, $2, $3, $4)
+    RETURNING ${IMPORT_COLUMNS}
+  `, [filename, FORMATS.includes(format) ? format : null, replace, userId]);
+
+  const job = result.rows[0];
+  queue.push({ id: job.id, filePath });
+  setImmediate(processQueue);
+
+  importLogger.info(`Queued BGP import ${job.id} (${filename})`);
+  return job;
+}
+
+async function processQueue() {
+  if (running) return;
+  running = true;
+
+  try {
+    while (queue.length > 0) {
+      const { id, filePath } = queue.shift();
+      await runImport(id, filePath);
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Load one uploaded dump into bgp_routes
+ * @param {string} id - bgp_imports.id
+ * @param {string} filePath - Uploaded file
+ */
+async function runImport(id, filePath) {
+  try {
+    const jobResult = await db.query('SELECT file_format, replace_existing FROM bgp_imports WHERE id = $1', [id]);
+    if (jobResult.rows.length === 0) {
+      importLogger.info(`BGP import ${id} was deleted before it started`);
+      return;
+    }
+
+    const format = jobResult.rows[0].file_format || await detectFormat(filePath);
+    await db.query(`
+      UPDATE bgp_imports
+      SET status = 'running', file_format = $2, started_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [id, format]);
+
+    let imported = 0;
+    let batch = [];
+
+    const flush = async () => {
+      imported += await insertRoutes(id, batch);
+      batch = [];
+      await db.query('UPDATE bgp_imports SET routes_imported = $2 WHERE id = $1', [id, imported]);
+    };
+
+    for await (const route of readerFor(format)(filePath)) {
+      batch.push(route);
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    await db.query(`
+      UPDATE bgp_imports
+      SET status = 'completed', routes_imported = $2, completed_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [id, imported]);
+
+    if (jobResult.rows[0].replace_existing) {
+      await db.query("DELETE FROM bgp_imports WHERE id <> $1 AND status IN ('completed', 'failed')", [id]);
+    }
+    await clearLookupCache();
+
+    importLogger.info(`BGP import ${id} completed with ${imported} routes`);
+  } catch (error) {
+    importLogger.error(`BGP import ${id} failed:`, error.message);
+
+    try {
+      await db.query('DELETE FROM bgp_routes WHERE import_id = $1', [id]);
+      await db.query(`
+        UPDATE bgp_imports
+        SET status = 'failed', error_message = $2, completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [id, error.message]);
+    } catch (updateError) {
+      importLogger.error(`Could not record failure of BGP import ${id}:`, updateError.message);
+    }
+  } finally {
+    fs.promises.unlink(filePath).catch(() => {});
+  }
+}
+
+/**
+ * Drop cached provider answers so lookups see the new table contents
+ */
+async function clearLookupCache() {
+  try {
+    await db.query('DELETE FROM bgp_cache');
+  } catch (error) {
+    importLogger.warn('Could not clear BGP cache:', error.message);
+  }
+}
+
+/**
+ * List imports, newest first
+ * @returns {Promise<Array<Object>>}
+ */
+async function listImports() {
+  const result = await db.query(`SELECT ${IMPORT_COLUMNS} FROM bgp_imports ORDER BY created_at DESC`);
+  return result.rows;
+}
+
+/**
+ * Get one import
+ * @param {string} id - bgp_imports.id
+ * @returns {Promise<Object|null>}
+ */
+async function getImport(id) {
+  const result = await db.query(`SELECT ${IMPORT_COLUMNS} FROM bgp_imports WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete an import and its routes
+ * A queued import is dropped before it runs; a running one cannot be deleted.
+ * @param {string} id - bgp_imports.id
+ * @returns {Promise<Object|null>} Deleted row, null when not found
+ */
+async function deleteImport(id) {
+  const job = await getImport(id);
+  if (!job) return null;
+
+  if (job.status === 'running') {
+    const error = new Error('Import is still running');
+    error.status = 409;
+    throw error;
+  }
+
+  await db.query('DELETE FROM bgp_imports WHERE id = $1', [id]);
+  await clearLookupCache();
+  return job;
+}
+
+/**
+ * Mark imports interrupted by a restart as failed; their upload is gone
+ * with the in-memory queue.
+ */
+async function recoverInterruptedImports() {
+  try {
+    const result = await db.query(`
+      UPDATE bgp_imports
+      SET status = 'failed', error_message = 'Interrupted by server restart', completed_at = CURRENT_TIMESTAMP
+      WHERE status IN ('pending', 'running')
+      RETURNING id
+    `);
+
+    for (const row of result.rows) {
+      await db.query('DELETE FROM bgp_routes WHERE import_id = $1', [row.id]);
+    }
+    if (result.rows.length > 0) {
+      importLogger.warn(`Marked ${result.rows.length} interrupted BGP import(s) as failed`);
+    }
+  } catch (error) {
+    importLogger.error('Could not recover interrupted BGP imports:', error.message);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  createImport,
+  listImports,
+  getImport,
+  deleteImport,
+  recoverInterruptedImports
+};
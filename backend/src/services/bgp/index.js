@@ -0,0 +1,244 @@
+/**
+ * BGP Lookup Service
+ * Network Engineers Toolkit Backend
+ *
+ * Runs lookups against the configured providers in order (BGP_PROVIDERS,
+ * comma separated; offline imported and local RIBs unless ripestat is
+ * added) and caches answers in bgp_cache for
+ * app_settings.cache_expiry_hours.
+ */
+
+const winston = require('winston');
+const db = require('../../database/connection');
+const subnet = require('../../shared/subnet');
+const { getNumberSetting } = require('../../utils/settings');
+const { BGPProvider, BGPLookupError, RouteSetProvider, classifyCommunities, originsOf } = require('./provider');
+const routeStore = require('./routeStore');
+const importer = require('./importer');
+const communityDictionary = require('./communityDictionary');
+const ImportedRibProvider = require('./providers/importedRib');
+const LocalRibProvider = require('./providers/localRib');
+const RipeStatProvider = require('./providers/ripestat');
+
+const bgpLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'bgp' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/bgp.log' }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const DEFAULT_PROVIDERS = 'imported-rib,local-rib';
+const DEFAULT_CACHE_HOURS = 24;
+
+// Lookup type -> provider method
+const LOOKUP_METHODS = {
+  origin: 'originAS',
+  prefix: 'coveringPrefix',
+  aspath: 'asPaths',
+  communities: 'communities'
+};
+
+const providerFactories = new Map([
+  ['imported-rib', () => new ImportedRibProvider()],
+  ['local-rib', () => new LocalRibProvider()],
+  ['ripestat', () => new RipeStatProvider()]
+]);
+
+let providers = null;
+
+/**
+ * Register an additional provider adapter
+ * @param {string} name - Name used in BGP_PROVIDERS
+ * @param {Function} factory - Returns a BGPProvider instance
+ */
+function registerProvider(name, factory) {
+  providerFactories.set(name, factory);
+  providers = null;
+}
+
+/**
+ * Get the configured provider instances in lookup order
+ * @returns {Array<BGPProvider>}
+ */
+function getProviders() {
+  if (!providers) {
+    providers = (process.env.BGP_PROVIDERS || DEFAULT_PROVIDERS)
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => {
+        if (!providerFactories.has(name)) {
+          bgpLogger.warn(`Unknown BGP provider "${name}" ignored`);
+          return false;
+        }
+        return true;
+      })
+      .map(name => providerFactories.get(name)());
+  }
+  return providers;
+}
+
+/**
+ * Validate and normalise a prefix or address query
+ * @param {string} query - User supplied prefix or address
+ * @returns {string} Normalised query
+ */
+function normaliseQuery(query) {
+  if (!query || String(query).trim() === '') {
+    throw new BGPLookupError('Prefix or IP address is required', 'MISSING_PREFIX');
+  }
+
+  const text = String(query).trim();
+  try {
+    const parsed = subnet.parseCidr(text, 'prefix');
+    const address = subnet.formatAddress(parsed.version, parsed.network);
+    return text.includes('/') ? `${address}/${parsed.prefix}` : text;
+  } catch (error) {
+    if (error instanceof subnet.SubnetError) {
+      throw new BGPLookupError(error.message, 'INVALID_PREFIX');
+    }
+    throw error;
+  }
+}
+
+async function readCache(key) {
+  try {
+    const result = await db.query(`
+      SELECT bgp_data
+      FROM bgp_cache
+      WHERE query = $1 AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [key]);
+    return result.rows.length > 0 ? result.rows[0].bgp_data : null;
+  } catch (error) {
+    bgpLogger.warn('BGP cache read failed:', error.message);
+    return null;
+  }
+}
+
+async function writeCache(key, data) {
+  try {
+    const hours = await getNumberSetting('cache_expiry_hours', DEFAULT_CACHE_HOURS);
+    const expiresAt = new Date(Date.now() + hours * 3600 * 1000);
+    const asn = data.origins && data.origins.length === 1 ? data.origins[0] : null;
+
+    await db.query(
+      'INSERT INTO bgp_cache (asn, query, bgp_data, expires_at) VALUES ($1, $2, $3, $4)',
+      [asn, key, data, expiresAt]
+    );
+  } catch (error) {
+    bgpLogger.warn('BGP cache write failed:', error.message);
+  }
+}
+
+/**
+ * Run a lookup against the providers, using the cache when possible
+ * @param {string} type - origin, prefix, aspath or communities
+ * @param {string} query - Prefix or address
+ * @param {Object} [options]
+ * @param {boolean} [options.useCache=true] - Read and write bgp_cache
+ * @returns {Promise<Object|null>} Provider answer tagged with its source, or null
+ */
+async function lookup(type, query, options = {}) {
+  const { useCache = true } = options;
+  const method = LOOKUP_METHODS[type];
+
+  if (!method) {
+    throw new BGPLookupError(`Unknown lookup type "${type}"`, 'INVALID_LOOKUP_TYPE', 'analysisType');
+  }
+
+  const normalised = normaliseQuery(query);
+  const cacheKey = `${type}:${normalised}`;
+
+  if (useCache) {
+    const cached = await readCache(cacheKey);
+    if (cached) return { ...cached, cached: true };
+  }
+
+  for (const provider of getProviders()) {
+    if (!(await provider.isAvailable())) continue;
+
+    try {
+      const result = await provider[method](normalised);
+      if (result) {
+        const data = { ...result, source: provider.name };
+        if (useCache) await writeCache(cacheKey, data);
+        return data;
+      }
+    } catch (error) {
+      if (error instanceof BGPLookupError && error.code === 'NOT_SUPPORTED') continue;
+      bgpLogger.warn(`BGP provider ${provider.name} failed for ${cacheKey}:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Full route view: covering prefix and origin, then paths and communities
+ * for that prefix
+ * @param {string} query - Prefix or address
+ * @returns {Promise<Object|null>} Combined result or null when nothing is known
+ */
+async function lookupRoute(query) {
+  const covering = await lookup('prefix', query);
+  if (!covering) return null;
+
+  const [paths, communities] = await Promise.all([
+    lookup('aspath', covering.prefix),
+    lookup('communities', covering.prefix)
+  ]);
+
+  return {
+    prefix: covering.prefix,
+    origins: covering.origins,
+    paths: paths ? paths.paths : [],
+    communities: communities ? communities.communities : classifyCommunities([]),
+    source: covering.source
+  };
+}
+
+/**
+ * Prefixes announced by an origin AS in the imported dumps
+ * @param {string|number} asn - Origin ASN, e.g. AS13335
+ * @param {Object} [options] - See routeStore.findByOrigin
+ * @returns {Promise<Object|null>} Announcements, or null when none are known
+ */
+async function lookupAnnouncements(asn, options) {
+  const result = await routeStore.findByOrigin(asn, options);
+  return result.prefixes.length > 0 ? { ...result, source: 'imported-rib' } : null;
+}
+
+/**
+ * Routes in the imported dumps whose AS path matches a regex
+ * @param {string} pattern - AS path regex
+ * @param {Object} [options] - See routeStore.searchASPath
+ * @returns {Promise<Object|null>} Matches, or null when nothing matched
+ */
+async function searchASPath(pattern, options) {
+  const result = await routeStore.searchASPath(pattern, options);
+  return result.matches.length > 0 ? { ...result, source: 'imported-rib' } : null;
+}
+
+module.exports = {
+  BGPProvider,
+  RouteSetProvider,
+  BGPLookupError,
+  LOOKUP_METHODS,
+  registerProvider,
+  getProviders,
+  lookup,
+  lookupRoute,
+  lookupAnnouncements,
+  searchASPath,
+  importer,
+  communityDictionary,
+  decodeCommunities: communityDictionary.decode,
+  originsOf
+};
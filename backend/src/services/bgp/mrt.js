@@ -0,0 +1,440 @@
+/**
+ * MRT Reader (RFC 6396 TABLE_DUMP_V2)
+ * Network Engineers Toolkit Backend
+ *
+ * Streams RIB entries out of raw MRT dumps as produced by route collectors
+ * (RIPE RIS bview/rib, RouteViews rib). Gzipped files are decompressed on
+ * the fly. Other MRT types (BGP4MP updates, legacy TABLE_DUMP) are skipped.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const subnet = require('../../shared/subnet');
+
+const MRT_HEADER_LENGTH = 12;
+const MRT_TYPE_TABLE_DUMP_V2 = 13;
+
+const SUBTYPE_PEER_INDEX_TABLE = 1;
+const RIB_SUBTYPES = {
+  2: { afi: 4 },  // RIB_IPV4_UNICAST
+  3: { afi: 4 },  // RIB_IPV4_MULTICAST
+  4: { afi: 6 },  // RIB_IPV6_UNICAST
+  5: { afi: 6 }   // RIB_IPV6_MULTICAST
+};
+
+const ATTR_ORIGIN = 1;
+const ATTR_AS_PATH = 2;
+const ATTR_NEXT_HOP = 3;
+const ATTR_MED = 4;
+const ATTR_LOCAL_PREF = 5;
+const ATTR_COMMUNITIES = 8;
+const ATTR_MP_REACH_NLRI = 14;
+const ATTR_EXTENDED_COMMUNITIES = 16;
+const ATTR_LARGE_COMMUNITIES = 32;
+
+// Bytes read from the start of fixed-size attributes
+const ATTR_MIN_LENGTHS = {
+  [ATTR_ORIGIN]: 1,
+  [ATTR_NEXT_HOP]: 4,
+  [ATTR_MED]: 4,
+  [ATTR_LOCAL_PREF]: 4,
+  [ATTR_MP_REACH_NLRI]: 1
+};
+
+const ORIGIN_CODES = ['IGP', 'EGP', 'INCOMPLETE'];
+const AS_SET = 1;
+
+/**
+ * Error raised for malformed MRT input
+ */
+class MRTParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MRTParseError';
+  }
+}
+
+// Throw rather than read past the end of a record whose lengths do not add up
+function need(buffer, offset, length, what) {
+  if (offset + length > buffer.length) {
+    throw new MRTParseError(`Truncated ${what}: ${length} bytes needed at offset ${offset} of ${buffer.length}`);
+  }
+}
+
+function formatIPv4Bytes(buffer) {
+  return Array.from(buffer).join('.');
+}
+
+function formatIPv6Bytes(buffer) {
+  // Compress via the shared formatter so prefixes match the rest of the toolkit
+  return subnet.formatIPv6(BigInt(`0x${buffer.toString('hex')}`));
+}
+
+function formatAddressBytes(buffer, afi) {
+  if (afi === 6) {
+    const padded = Buffer.alloc(16);
+    buffer.copy(padded);
+    return formatIPv6Bytes(padded);
+  }
+  const padded = Buffer.alloc(4);
+  buffer.copy(padded);
+  return formatIPv4Bytes(padded);
+}
+
+/**
+ * Parse a PEER_INDEX_TABLE record body
+ * @param {Buffer} body - Record body
+ * @returns {Array<Object>} Peers as { peerIp, peerAsn, bgpId }
+ */
+function parsePeerIndexTable(body) {
+  need(body, 0, 6, 'PEER_INDEX_TABLE');
+  let offset = 4; // collector BGP ID
+  const viewNameLength = body.readUInt16BE(offset);
+  offset += 2 + viewNameLength;
+
+  need(body, offset, 2, 'PEER_INDEX_TABLE');
+  const peerCount = body.readUInt16BE(offset);
+  offset += 2;
+
+  const peers = [];
+  for (let i = 0; i < peerCount; i++) {
+    need(body, offset, 1, 'PEER_INDEX_TABLE');
+    const peerType = body.readUInt8(offset);
+    const isIPv6 = (peerType & 0x01) !== 0;
+    const isAS4 = (peerType & 0x02) !== 0;
+    offset += 1;
+    need(body, offset, 4 + (isIPv6 ? 16 : 4) + (isAS4 ? 4 : 2), `PEER_INDEX_TABLE entry ${i}`);
+
+    const bgpId = formatIPv4Bytes(body.subarray(offset, offset + 4));
+    offset += 4;
+
+    const addressLength = isIPv6 ? 16 : 4;
+    const peerIp = isIPv6
+      ? formatIPv6Bytes(body.subarray(offset, offset + 16))
+      : formatIPv4Bytes(body.subarray(offset, offset + 4));
+    offset += addressLength;
+
+    const peerAsn = isAS4 ? body.readUInt32BE(offset) : body.readUInt16BE(offset);
+    offset += isAS4 ? 4 : 2;
+
+    peers.push({ peerIp, peerAsn, bgpId });
+  }
+
+  return peers;
+}
+
+/**
+ * Decode an extended community into its textual form
+ * @param {Buffer} value - Eight byte community
+ * @returns {string} e.g. rt:65000:100, soo:192.0.2.1:7 or ext:0x0303:000000000001
+ */
+function formatExtendedCommunity(value) {
+  const type = value.readUInt8(0) & 0x3f;
+  const subtype = value.readUInt8(1);
+  const label = { 0x02: 'rt', 0x03: 'soo' }[subtype];
+
+  if (label && type === 0x00) {
+    return `${label}:${value.readUInt16BE(2)}:${value.readUInt32BE(4)}`;
+  }
+  if (label && type === 0x01) {
+    return `${label}:${formatIPv4Bytes(value.subarray(2, 6))}:${value.readUInt16BE(6)}`;
+  }
+  if (label && type === 0x02) {
+    return `${label}:${value.readUInt32BE(2)}:${value.readUInt16BE(6)}`;
+  }
+
+  const typeHex = value.subarray(0, 2).toString('hex');
+  return `ext:0x${typeHex}:${value.subarray(2).toString('hex')}`;
+}
+
+/**
+ * Parse BGP path attributes as encoded in TABLE_DUMP_V2 (4-byte AS paths)
+ * @param {Buffer} buffer - Attribute block
+ * @param {number} afi - 4 or 6
+ * @returns {Object} Decoded attributes
+ */
+function parseAttributes(buffer, afi) {
+  const attributes = {
+    origin: null,
+    asPath: [],
+    nextHop: null,
+    med: null,
+    localPref: null,
+    communities: []
+  };
+
+  let offset = 0;
+  while (offset < buffer.length) {
+    need(buffer, offset, 3, 'path attribute header');
+    const flags = buffer.readUInt8(offset);
+    const type = buffer.readUInt8(offset + 1);
+    const extendedLength = (flags & 0x10) !== 0;
+    if (extendedLength) need(buffer, offset, 4, 'path attribute header');
+    const length = extendedLength ? buffer.readUInt16BE(offset + 2) : buffer.readUInt8(offset + 2);
+    offset += extendedLength ? 4 : 3;
+
+    need(buffer, offset, length, `path attribute ${type}`);
+    const value = buffer.subarray(offset, offset + length);
+    offset += length;
+    need(value, 0, ATTR_MIN_LENGTHS[type] || 0, `path attribute ${type}`);
+
+    switch (type) {
+      case ATTR_ORIGIN:
+        attributes.origin = ORIGIN_CODES[value.readUInt8(0)] || null;
+        break;
+
+      case ATTR_AS_PATH: {
+        let position = 0;
+        while (position < value.length) {
+          need(value, position, 2, 'AS_PATH segment');
+          const segmentType = value.readUInt8(position);
+          const count = value.readUInt8(position + 1);
+          position += 2;
+          need(value, position, count * 4, 'AS_PATH segment');
+
+          const asns = [];
+          for (let i = 0; i < count; i++) {
+            asns.push(value.readUInt32BE(position));
+            position += 4;
+          }
+
+          if (segmentType === AS_SET) {
+            attributes.asPath.push(asns);
+          } else {
+            attributes.asPath.push(...asns);
+          }
+        }
+        break;
+      }
+
+      case ATTR_NEXT_HOP:
+        attributes.nextHop = formatIPv4Bytes(value.subarray(0, 4));
+        break;
+
+      case ATTR_MP_REACH_NLRI: {
+        // TABLE_DUMP_V2 only keeps the next hop length and address (RFC 6396 4.3.4)
+        const nextHopLength = value.readUInt8(0);
+        need(value, 1, nextHopLength, 'MP_REACH_NLRI next hop');
+        if (nextHopLength >= 16) {
+          attributes.nextHop = formatIPv6Bytes(value.subarray(1, 17));
+        } else if (nextHopLength === 4) {
+          attributes.nextHop = formatIPv4Bytes(value.subarray(1, 5));
+        }
+        break;
+      }
+
+      case ATTR_MED:
+        attributes.med = value.readUInt32BE(0);
+        break;
+
+      case ATTR_LOCAL_PREF:
+        attributes.localPref = value.readUInt32BE(0);
+        break;
+
+      case ATTR_COMMUNITIES:
+        for (let i = 0; i + 4 <= value.length; i += 4) {
+          attributes.communities.push(`${value.readUInt16BE(i)}:${value.readUInt16BE(i + 2)}`);
+        }
+        break;
+
+      case ATTR_EXTENDED_COMMUNITIES:
+        for (let i = 0; i + 8 <= value.length; i += 8) {
+          attributes.communities.push(formatExtendedCommunity(value.subarray(i, i + 8)));
+        }
+        break;
+
+      case ATTR_LARGE_COMMUNITIES:
+        for (let i = 0; i + 12 <= value.length; i += 12) {
+          attributes.communities.push(`${value.readUInt32BE(i)}:${value.readUInt32BE(i + 4)}:${value.readUInt32BE(i + 8)}`);
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  if (afi === 6 && attributes.nextHop && !attributes.nextHop.includes(':')) {
+    attributes.nextHop = null;
+  }
+
+  return attributes;
+}
+
+/**
+ * Parse a RIB_IPV4/IPV6 record body into routes
+ * @param {Buffer} body - Record body
+ * @param {number} afi - 4 or 6
+ * @param {Array<Object>} peers - Peer index table
+ * @returns {Array<Object>} Routes, one per RIB entry
+ */
+function parseRibRecord(body, afi, peers) {
+  const what = afi === 6 ? 'RIB_IPV6 record' : 'RIB_IPV4 record';
+  need(body, 0, 5, what);
+  let offset = 4; // sequence number
+  const prefixLength = body.readUInt8(offset);
+  offset += 1;
+  if (prefixLength > (afi === 6 ? 128 : 32)) {
+    throw new MRTParseError(`${what} has prefix length ${prefixLength}`);
+  }
+
+  const prefixBytes = Math.ceil(prefixLength / 8);
+  need(body, offset, prefixBytes + 2, what);
+  const prefix = `${formatAddressBytes(body.subarray(offset, offset + prefixBytes), afi)}/${prefixLength}`;
+  offset += prefixBytes;
+
+  const entryCount = body.readUInt16BE(offset);
+  offset += 2;
+
+  const routes = [];
+  for (let i = 0; i < entryCount; i++) {
+    need(body, offset, 8, `${what} for ${prefix}`);
+    const peerIndex = body.readUInt16BE(offset);
+    const originatedTime = body.readUInt32BE(offset + 2);
+    const attributeLength = body.readUInt16BE(offset + 6);
+    offset += 8;
+    need(body, offset, attributeLength, `${what} for ${prefix}`);
+
+    const attributes = parseAttributes(body.subarray(offset, offset + attributeLength), afi);
+    offset += attributeLength;
+
+    const peer = peers[peerIndex];
+    if (!peer) {
+      throw new MRTParseError(`RIB entry for ${prefix} references unknown peer index ${peerIndex}`);
+    }
+
+    routes.push({
+      prefix,
+      peerIp: peer.peerIp,
+      peerAsn: peer.peerAsn,
+      ...attributes,
+      timestamp: new Date(originatedTime * 1000).toISOString()
+    });
+  }
+
+  return routes;
+}
+
+/**
+ * Read MRT records from a stream
+ * @param {stream.Readable} input - Raw MRT byte stream
+ * @returns {AsyncGenerator<Object>} Records as { timestamp, type, subtype, body }
+ */
+async function* readRecords(input) {
+  let pending = Buffer.alloc(0);
+
+  for await (const chunk of input) {
+    pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+    let offset = 0;
+    while (pending.length - offset >= MRT_HEADER_LENGTH) {
+      const length = pending.readUInt32BE(offset + 8);
+      if (pending.length - offset < MRT_HEADER_LENGTH + length) break;
+
+      yield {
+        timestamp: pending.readUInt32BE(offset),
+        type: pending.readUInt16BE(offset + 4),
+        subtype: pending.readUInt16BE(offset + 6),
+        body: pending.subarray(offset + MRT_HEADER_LENGTH, offset + MRT_HEADER_LENGTH + length)
+      };
+      offset += MRT_HEADER_LENGTH + length;
+    }
+
+    pending = pending.subarray(offset);
+  }
+
+  if (pending.length > 0) {
+    throw new MRTParseError(`Truncated MRT record at end of file (${pending.length} bytes left)`);
+  }
+}
+
+/**
+ * Read routes from a TABLE_DUMP_V2 file
+ * @param {string} filePath - Path to the dump, optionally gzipped
+ * @returns {AsyncGenerator<Object>} Routes
+ */
+async function* readMrtFile(filePath) {
+  let input = fs.createReadStream(filePath);
+  if (await isGzip(filePath)) {
+    input = input.pipe(zlib.createGunzip());
+  }
+
+  let peers = null;
+
+  for await (const record of readRecords(input)) {
+    if (record.type !== MRT_TYPE_TABLE_DUMP_V2) continue;
+
+    if (record.subtype === SUBTYPE_PEER_INDEX_TABLE) {
+      peers = parsePeerIndexTable(record.body);
+      continue;
+    }
+
+    const rib = RIB_SUBTYPES[record.subtype];
+    if (!rib) continue;
+
+    if (!peers) {
+      throw new MRTParseError('RIB record found before PEER_INDEX_TABLE');
+    }
+
+    yield* parseRibRecord(record.body, rib.afi, peers);
+  }
+}
+
+/**
+ * Check a file for the gzip magic number
+ * @param {string} filePath - File to check
+ * @returns {Promise<boolean>}
+ */
+async function isGzip(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(2), 0, 2, 0);
+    return bytesRead === 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Work out whether a dump is raw MRT or bgpdump -m text
+ * @param {string} filePath - File to inspect
+ * @returns {Promise<string>} 'mrt' or 'bgpdump'
+ */
+async function detectFormat(filePath) {
+  let input = fs.createReadStream(filePath, { start: 0, end: 65535 });
+  if (await isGzip(filePath)) {
+    input = input.pipe(zlib.createGunzip());
+  }
+
+  let head = Buffer.alloc(0);
+  try {
+    for await (const chunk of input) {
+      head = Buffer.concat([head, chunk]);
+      if (head.length >= MRT_HEADER_LENGTH) break;
+    }
+  } catch (error) {
+    // A gzip stream cut at 64 KiB ends early; whatever was inflated is enough
+  } finally {
+    input.destroy();
+  }
+
+  if (/^(TABLE_DUMP2?|BGP4MP)\|/.test(head.toString('latin1', 0, 16))) {
+    return 'bgpdump';
+  }
+  if (head.length >= MRT_HEADER_LENGTH && head.readUInt16BE(4) >= 11 && head.readUInt16BE(4) <= 49) {
+    return 'mrt';
+  }
+
+  throw new MRTParseError('Unrecognised dump format: expected MRT TABLE_DUMP_V2 or bgpdump -m text');
+}
+
+module.exports = {
+  MRTParseError,
+  parsePeerIndexTable,
+  parseAttributes,
+  parseRibRecord,
+  readRecords,
+  readMrtFile,
+  isGzip,
+  detectFormat
+};
@@ -0,0 +1,190 @@
+/**
+ * BGP Provider Interface
+ * Network Engineers Toolkit Backend
+ *
+ * Every BGP data source (local RIB dumps, route collector APIs, ...) extends
+ * BGPProvider and answers the same four lookups. A lookup resolves to null
+ * when the provider has no data for the query so the next provider can be
+ * tried.
+ */
+
+const { getServiceApiKey } = require('../../utils/apiKeys');
+
+/**
+ * Error raised for invalid lookups or provider failures
+ */
+class BGPLookupError extends Error {
+  constructor(message, code = 'PROVIDER_ERROR', field = 'prefix') {
+    super(message);
+    this.name = 'BGPLookupError';
+    this.code = code;
+    this.field = field;
+  }
+}
+
+class BGPProvider {
+  /**
+   * @param {string} name - Provider identifier used in BGP_PROVIDERS
+   * @param {Object} [options]
+   * @param {string} [options.serviceName] - api_keys.service_name holding this provider's key
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.serviceName = options.serviceName || null;
+  }
+
+  /**
+   * Whether the provider can currently answer lookups
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    return true;
+  }
+
+  /**
+   * Get this provider's API key from the admin api_keys table
+   * @returns {Promise<string|null>} Decrypted key or null
+   */
+  async getApiKey() {
+    return this.serviceName ? getServiceApiKey(this.serviceName) : null;
+  }
+
+  /**
+   * Origin AS lookup
+   * @param {string} query - Prefix or address
+   * @returns {Promise<Object|null>} { prefix, origins: [asn] }
+   */
+  async originAS(query) {
+    throw new BGPLookupError(`${this.name} does not support origin AS lookups`, 'NOT_SUPPORTED');
+  }
+
+  /**
+   * Longest covering prefix lookup
+   * @param {string} query - Prefix or address
+   * @returns {Promise<Object|null>} { prefix, origins: [asn] }
+   */
+  async coveringPrefix(query) {
+    throw new BGPLookupError(`${this.name} does not support covering prefix lookups`, 'NOT_SUPPORTED');
+  }
+
+  /**
+   * AS path lookup
+   * @param {string} query - Prefix or address
+   * @returns {Promise<Object|null>} { prefix, paths: [{ peerIp, peerAsn, asPath, nextHop }] }
+   */
+  async asPaths(query) {
+    throw new BGPLookupError(`${this.name} does not support AS path lookups`, 'NOT_SUPPORTED');
+  }
+
+  /**
+   * Community lookup
+   * @param {string} query - Prefix or address
+   * @returns {Promise<Object|null>} { prefix, communities: { standard, extended, large } }
+   */
+  async communities(query) {
+    throw new BGPLookupError(`${this.name} does not support community lookups`, 'NOT_SUPPORTED');
+  }
+}
+
+/**
+ * Base class for providers that hold whole routes (RIB dumps, imported
+ * tables). Subclasses only implement findRoutes(); the four lookups are
+ * derived from the matching route set.
+ */
+class RouteSetProvider extends BGPProvider {
+  /**
+   * Find the most specific route set covering a query
+   * @param {string} query - Prefix or address
+   * @returns {Promise<Object|null>} { prefix, routes }
+   */
+  async findRoutes(query) {
+    throw new BGPLookupError(`${this.name} does not implement findRoutes`, 'NOT_SUPPORTED');
+  }
+
+  async originAS(query) {
+    const entry = await this.findRoutes(query);
+    if (!entry) return null;
+
+    const origins = new Set();
+    entry.routes.forEach(route => originsOf(route.asPath).forEach(asn => origins.add(asn)));
+
+    return { prefix: entry.prefix, origins: [...origins] };
+  }
+
+  async coveringPrefix(query) {
+    return this.originAS(query);
+  }
+
+  async asPaths(query) {
+    const entry = await this.findRoutes(query);
+    if (!entry) return null;
+
+    return {
+      prefix: entry.prefix,
+      paths: entry.routes.map(route => ({
+        peerIp: route.peerIp,
+        peerAsn: route.peerAsn,
+        asPath: route.asPath,
+        nextHop: route.nextHop,
+        timestamp: route.timestamp
+      }))
+    };
+  }
+
+  async communities(query) {
+    const entry = await this.findRoutes(query);
+    if (!entry) return null;
+
+    return {
+      prefix: entry.prefix,
+      communities: classifyCommunities(entry.routes.flatMap(route => route.communities || []))
+    };
+  }
+}
+
+/**
+ * Sort community strings into standard, extended and large sets
+ * Extended communities are expected in "type:admin:value" form with a
+ * textual type (e.g. rt:65000:1), large communities as three numbers.
+ * @param {Array<string>} values - Community strings
+ * @returns {Object} { standard, extended, large } with duplicates removed
+ */
+function classifyCommunities(values) {
+  const result = { standard: new Set(), extended: new Set(), large: new Set() };
+
+  values.forEach(value => {
+    const parts = String(value).trim().split(':');
+    if (parts.length === 2) {
+      result.standard.add(value);
+    } else if (parts.length === 3 && parts.every(part => /^\d+$/.test(part))) {
+      result.large.add(value);
+    } else if (parts.length >= 3) {
+      result.extended.add(value);
+    }
+  });
+
+  return {
+    standard: [...result.standard],
+    extended: [...result.extended],
+    large: [...result.large]
+  };
+}
+
+/**
+ * Origin ASNs of an AS path; an AS_SET at the end yields all its members
+ * @param {Array<number|Array<number>>} asPath - Parsed AS path
+ * @returns {Array<number>} Origin ASNs
+ */
+function originsOf(asPath) {
+  if (!asPath || asPath.length === 0) return [];
+  const last = asPath[asPath.length - 1];
+  return Array.isArray(last) ? last : [last];
+}
+
+module.exports = {
+  BGPProvider,
+  RouteSetProvider,
+  BGPLookupError,
+  classifyCommunities,
+  originsOf
+};
@@ -0,0 +1,26 @@
+/**
+ * Imported RIB Provider
+ * Network Engineers Toolkit Backend
+ *
+ * Answers lookups from the bgp_routes table filled by uploaded MRT and
+ * bgpdump imports, so the BGP tools work without any network access.
+ */
+
+const { RouteSetProvider } = require('../provider');
+const routeStore = require('../routeStore');
+
+class ImportedRibProvider extends RouteSetProvider {
+  constructor() {
+    super('imported-rib');
+  }
+
+  async isAvailable() {
+    return routeStore.hasRoutes();
+  }
+
+  async findRoutes(query) {
+    return routeStore.findLongestMatch(query);
+  }
+}
+
+module.exports = ImportedRibProvider;
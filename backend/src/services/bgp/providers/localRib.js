@@ -0,0 +1,78 @@
+/**
+ * Local RIB Dump Provider
+ * Network Engineers Toolkit Backend
+ *
+ * Answers lookups from a RIB dump on local disk in bgpdump -m format
+ * (optionally gzipped). The file is loaded on first use and reloaded when
+ * its modification time changes.
+ */
+
+const fs = require('fs');
+const { RouteSetProvider } = require('../provider');
+const RoutingTable = require('../rib');
+const { readBgpdumpFile } = require('../bgpdump');
+
+class LocalRibProvider extends RouteSetProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dumpPath] - Dump file, defaults to BGP_RIB_DUMP_PATH
+   */
+  constructor(options = {}) {
+    super('local-rib');
+    this.dumpPath = options.dumpPath || process.env.BGP_RIB_DUMP_PATH || null;
+    this.table = null;
+    this.loadedMtime = null;
+    this.loading = null;
+  }
+
+  async isAvailable() {
+    if (!this.dumpPath) return false;
+
+    try {
+      await fs.promises.access(this.dumpPath, fs.constants.R_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async findRoutes(query) {
+    const table = await this.getTable();
+    return table.longestMatch(query);
+  }
+
+  /**
+   * Get the routing table, (re)loading the dump when it has changed
+   * @returns {Promise<RoutingTable>}
+   */
+  async getTable() {
+    const { mtimeMs } = await fs.promises.stat(this.dumpPath);
+
+    if (this.table && this.loadedMtime === mtimeMs) {
+      return this.table;
+    }
+
+    // Concurrent lookups share a single load
+    if (!this.loading) {
+      this.loading = this.load(mtimeMs).finally(() => {
+        this.loading = null;
+      });
+    }
+
+    return this.loading;
+  }
+
+  async load(mtimeMs) {
+    const table = new RoutingTable();
+
+    for await (const route of readBgpdumpFile(this.dumpPath)) {
+      table.add(route);
+    }
+
+    this.table = table;
+    this.loadedMtime = mtimeMs;
+    return table;
+  }
+}
+
+module.exports = LocalRibProvider;
@@ -0,0 +1,110 @@
+/**
+ * RIPEstat Provider
+ * Network Engineers Toolkit Backend
+ *
+ * Queries the RIPEstat Data API (RIS route collectors). RIPEstat needs no
+ * secret, but asks callers to identify themselves: an active 'ripestat'
+ * entry in the api_keys table is sent as the sourceapp parameter.
+ */
+
+const axios = require('axios');
+const { BGPProvider, classifyCommunities } = require('../provider');
+const { parseASPath } = require('../bgpdump');
+
+const DEFAULT_BASE_URL = 'https://stat.ripe.net';
+const DEFAULT_SOURCE_APP = 'network-engineers-toolkit';
+
+class RipeStatProvider extends BGPProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - API base URL, defaults to RIPESTAT_URL
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    super('ripestat', { serviceName: 'ripestat' });
+    this.baseUrl = options.baseUrl || process.env.RIPESTAT_URL || DEFAULT_BASE_URL;
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Call a RIPEstat data call
+   * @param {string} call - Data call name, e.g. 'network-info'
+   * @param {string} resource - Queried resource
+   * @returns {Promise<Object>} The response's data member
+   */
+  async fetch(call, resource) {
+    const sourceapp = (await this.getApiKey()) || DEFAULT_SOURCE_APP;
+    const response = await axios.get(`${this.baseUrl}/data/${call}/data.json`, {
+      params: { resource, sourceapp },
+      timeout: this.timeout
+    });
+    return response.data && response.data.data;
+  }
+
+  async originAS(query) {
+    const data = await this.fetch('prefix-overview', query);
+    if (!data || !data.announced || !Array.isArray(data.asns) || data.asns.length === 0) {
+      return null;
+    }
+
+    return {
+      prefix: data.resource,
+      origins: data.asns.map(entry => Number(entry.asn))
+    };
+  }
+
+  async coveringPrefix(query) {
+    const data = await this.fetch('network-info', query.split('/')[0]);
+    if (!data || !data.prefix) {
+      return null;
+    }
+
+    return {
+      prefix: data.prefix,
+      origins: (data.asns || []).map(Number)
+    };
+  }
+
+  async asPaths(query) {
+    const peers = await this.lookingGlass(query);
+    if (peers.length === 0) return null;
+
+    return {
+      prefix: peers[0].prefix,
+      paths: peers.map(peer => {
+        const asPath = parseASPath(peer.as_path);
+        return {
+          peerIp: peer.peer,
+          peerAsn: typeof asPath[0] === 'number' ? asPath[0] : null,
+          asPath,
+          nextHop: peer.next_hop || null,
+          collector: peer.collector,
+          timestamp: peer.last_updated || null
+        };
+      })
+    };
+  }
+
+  async communities(query) {
+    const peers = await this.lookingGlass(query);
+    if (peers.length === 0) return null;
+
+    const values = peers.flatMap(peer => String(peer.community || '').split(/\s+/).filter(Boolean));
+    return {
+      prefix: peers[0].prefix,
+      communities: classifyCommunities(values)
+    };
+  }
+
+  /**
+   * Flatten looking-glass peers across all route collectors
+   */
+  async lookingGlass(query) {
+    const data = await this.fetch('looking-glass', query);
+    if (!data || !Array.isArray(data.rrcs)) return [];
+
+    return data.rrcs.flatMap(rrc => (rrc.peers || []).map(peer => ({ ...peer, collector: rrc.rrc })));
+  }
+}
+
+module.exports = RipeStatProvider;
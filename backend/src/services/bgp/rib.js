@@ -0,0 +1,87 @@
+/**
+ * In-memory Routing Table
+ * Network Engineers Toolkit Backend
+ *
+ * Holds BGP routes (or any records with a prefix, such as RPKI VRPs) keyed
+ * by prefix and answers longest-prefix and covering-prefix matches for both
+ * address families.
+ */
+
+const subnet = require('../../shared/subnet');
+
+class RoutingTable {
+  constructor() {
+    this.routes = new Map();
+    this.lengths = { 4: new Set(), 6: new Set() };
+    this.sortedLengths = { 4: [], 6: [] };
+  }
+
+  /**
+   * Add a route
+   * @param {Object} route - Route with at least a prefix property
+   */
+  add(route) {
+    const parsed = subnet.parseCidr(route.prefix, 'prefix');
+    const key = this.key(parsed.version, parsed.network, parsed.prefix);
+
+    if (!this.routes.has(key)) {
+      this.routes.set(key, {
+        prefix: `${subnet.formatAddress(parsed.version, parsed.network)}/${parsed.prefix}`,
+        routes: []
+      });
+
+      if (!this.lengths[parsed.version].has(parsed.prefix)) {
+        this.lengths[parsed.version].add(parsed.prefix);
+        this.sortedLengths[parsed.version] = [...this.lengths[parsed.version]].sort((a, b) => b - a);
+      }
+    }
+
+    this.routes.get(key).routes.push(route);
+  }
+
+  /**
+   * Find the most specific entry covering a prefix or address
+   * @param {string} query - Prefix or bare address
+   * @returns {Object|null} { prefix, routes }
+   */
+  longestMatch(query) {
+    return this.coveringMatches(query, 1)[0] || null;
+  }
+
+  /**
+   * Find every entry covering a prefix or address, most specific first
+   * @param {string} query - Prefix or bare address
+   * @param {number} [limit=Infinity] - Stop after this many entries
+   * @returns {Array<Object>} Entries as { prefix, routes }
+   */
+  coveringMatches(query, limit = Infinity) {
+    const parsed = subnet.parseCidr(query, 'prefix');
+    const matches = [];
+
+    for (const length of this.sortedLengths[parsed.version]) {
+      if (length > parsed.prefix) continue;
+
+      const mask = ((1n << BigInt(parsed.bits)) - 1n) ^ ((1n << BigInt(parsed.bits - length)) - 1n);
+      const entry = this.routes.get(this.key(parsed.version, parsed.network & mask, length));
+      if (entry) {
+        matches.push(entry);
+        if (matches.length >= limit) break;
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Number of distinct prefixes held
+   */
+  get size() {
+    return this.routes.size;
+  }
+
+  key(version, network, length) {
+    return `${version}|${network.toString(16)}|${length}`;
+  }
+}
+
+module.exports = RoutingTable;
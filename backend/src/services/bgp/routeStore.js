@@ -0,0 +1,253 @@
+/**
+ * Imported Route Store
+ * Network Engineers Toolkit Backend
+ *
+ * Queries over the bgp_routes table filled by the MRT importer. Only routes
+ * belonging to completed imports are visible.
+ */
+
+const db = require('../../database/connection');
+const { BGPLookupError } = require('./provider');
+const { parseASPath, formatASPath } = require('./bgpdump');
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 5000;
+const MAX_PATTERN_LENGTH = 200;
+
+// Columns per route row, used to build multi-row INSERTs
+const ROUTE_COLUMNS = [
+  'import_id', 'prefix', 'origin_asn', 'as_path', 'peer_ip', 'peer_asn',
+  'next_hop', 'origin', 'local_pref', 'med', 'communities', 'originated_at'
+];
+
+function clampLimit(limit) {
+  const value = Number(limit) || DEFAULT_LIMIT;
+  return Math.min(Math.max(value, 1), MAX_LIMIT);
+}
+
+/**
+ * Map a bgp_routes row back to the route shape used by the providers
+ * @param {Object} row - Database row
+ * @returns {Object} Route
+ */
+function rowToRoute(row) {
+  return {
+    prefix: row.prefix,
+    peerIp: row.peer_ip,
+    peerAsn: row.peer_asn !== null ? Number(row.peer_asn) : null,
+    asPath: parseASPath(row.as_path),
+    origin: row.origin,
+    nextHop: row.next_hop,
+    localPref: row.local_pref !== null ? Number(row.local_pref) : null,
+    med: row.med !== null ? Number(row.med) : null,
+    communities: row.communities || [],
+    timestamp: row.originated_at ? new Date(row.originated_at).toISOString() : null
+  };
+}
+
+/**
+ * Insert a batch of parsed routes for an import
+ * @param {string} importId - bgp_imports.id
+ * @param {Array<Object>} routes - Routes from the MRT or bgpdump reader
+ * @returns {Promise<number>} Rows inserted
+ */
+async function insertRoutes(importId, routes) {
+  if (routes.length === 0) return 0;
+
+  const values = [];
+  const rows = routes.map((route, index) => {
+    const lastHop = route.asPath[route.asPath.length - 1];
+    values.push(
+      importId,
+      route.prefix,
+      typeof lastHop === 'number' ? lastHop : null,
+      formatASPath(route.asPath),
+      route.peerIp || null,
+      route.peerAsn,
+      route.nextHop || null,
+      route.origin,
+      route.localPref,
+      route.med,
+      route.communities,
+      route.timestamp
+    );
+
+    const base = index * ROUTE_COLUMNS.length;
+    return `(${ROUTE_COLUMNS.map((column, i) => `$${base + i + 1}`).join(', ')})`;
+  });
+
+  const result = await db.query(
+    `INSERT INTO bgp_routes (${ROUTE_COLUMNS.join(', ')}) VALUES ${rows.join(', ')}`,
+    values
+  );
+  return result.rowCount;
+}
+
+/**
+ * Whether any completed import holds routes
+ * @returns {Promise<boolean>}
+ */
+async function hasRoutes() {
+  const result = await db.query(`
+    SELECT EXISTS (
+      SELECT 1 FROM bgp_imports WHERE status = 'completed' AND routes_imported > 0
+    ) AS available
+  `);
+  return result.rows[0].available;
+}
+
+/**
+ * Longest-prefix match against the imported routes
+ * @param {string} query - Normalised prefix or address
+ * @returns {Promise<Object|null>} { prefix, routes } for the most specific match
+ */
+async function findLongestMatch(query) {
+  const result = await db.query(`
+    WITH best AS (
+      SELECT r.prefix
+      FROM bgp_routes r
+      JOIN bgp_imports i ON i.id = r.import_id
+      WHERE i.status = 'completed' AND r.prefix >>= $1::inet
+      ORDER BY masklen(r.prefix) DESC
+      LIMIT 1
+    )
+    SELECT r.*
+    FROM bgp_routes r
+    JOIN bgp_imports i ON i.id = r.import_id
+    JOIN best ON best.prefix = r.prefix
+    WHERE i.status = 'completed'
+    ORDER BY r.peer_asn, r.peer_ip
+  `, [query]);
+
+  if (result.rows.length === 0) return null;
+
+  return {
+    prefix: result.rows[0].prefix,
+    routes: result.rows.map(rowToRoute)
+  };
+}
+
+/**
+ * Parse an ASN given as "13335", "AS13335" or "as13335"
+ * @param {string|number} value - User supplied ASN
+ * @returns {number} ASN
+ */
+function parseASN(value) {
+  const match = /^(?:AS)?(\d{1,10})$/i.exec(String(value === undefined || value === null ? '' : value).trim());
+  const asn = match ? Number(match[1]) : NaN;
+
+  if (!Number.isInteger(asn) || asn > 4294967295) {
+    throw new BGPLookupError('ASN must be a number between 0 and 4294967295, e.g. AS13335', 'INVALID_ASN', 'asn');
+  }
+  return asn;
+}
+
+/**
+ * All prefixes announced by an origin AS
+ * @param {string|number} asn - Origin ASN
+ * @param {Object} [options]
+ * @param {number} [options.limit=500] - Maximum prefixes returned
+ * @returns {Promise<Object>} { asn, prefixes: [{ prefix, peerCount, paths }], truncated }
+ */
+async function findByOrigin(asn, options = {}) {
+  const originAsn = parseASN(asn);
+  const limit = clampLimit(options.limit);
+
+  const result = await db.query(`
+    SELECT r.prefix,
+           COUNT(*) AS peer_count,
+           ARRAY_AGG(DISTINCT r.as_path) AS as_paths
+    FROM bgp_routes r
+    JOIN bgp_imports i ON i.id = r.import_id
+    WHERE i.status = 'completed' AND r.origin_asn = $1
+    GROUP BY r.prefix
+    ORDER BY family(r.prefix), r.prefix
+    LIMIT $2
+  `, [originAsn, limit + 1]);
+
+  const rows = result.rows.slice(0, limit);
+
+  return {
+    asn: originAsn,
+    prefixes: rows.map(row => ({
+      prefix: row.prefix,
+      peerCount: Number(row.peer_count),
+      paths: row.as_paths.map(parseASPath)
+    })),
+    truncated: result.rows.length > limit
+  };
+}
+
+/**
+ * Translate a router-style AS path regex into a PostgreSQL one
+ * "_" matches a path delimiter as on Cisco and Junos-style filters, so
+ * "_13335$" finds paths originated by AS13335.
+ * @param {string} pattern - User supplied regex
+ * @returns {string} Regex for the ~ operator on bgp_routes.as_path
+ */
+function toPathRegex(pattern) {
+  const text = String(pattern === undefined || pattern === null ? '' : pattern).trim();
+
+  if (text === '') {
+    throw new BGPLookupError('AS path regex is required', 'MISSING_PATTERN', 'pattern');
+  }
+  if (text.length > MAX_PATTERN_LENGTH) {
+    throw new BGPLookupError(`AS path regex must be at most ${MAX_PATTERN_LENGTH} characters`, 'INVALID_PATTERN', 'pattern');
+  }
+
+  const translated = text.replace(/_/g, '(^|[ {},]|$)');
+
+  try {
+    new RegExp(translated);
+  } catch (error) {
+    throw new BGPLookupError(`Invalid AS path regex: ${error.message}`, 'INVALID_PATTERN', 'pattern');
+  }
+
+  return translated;
+}
+
+/**
+ * Find routes whose AS path matches a regex
+ * @param {string} pattern - AS path regex, e.g. "^64500_" or "_3356_13335$"
+ * @param {Object} [options]
+ * @param {number} [options.limit=500] - Maximum routes returned
+ * @returns {Promise<Object>} { pattern, matches: [route], truncated }
+ */
+async function searchASPath(pattern, options = {}) {
+  const regex = toPathRegex(pattern);
+  const limit = clampLimit(options.limit);
+
+  let result;
+  try {
+    result = await db.query(`
+      SELECT r.*
+      FROM bgp_routes r
+      JOIN bgp_imports i ON i.id = r.import_id
+      WHERE i.status = 'completed' AND r.as_path ~ $1
+      ORDER BY family(r.prefix), r.prefix, r.peer_asn
+      LIMIT $2
+    `, [regex, limit + 1]);
+  } catch (error) {
+    // 2201B: invalid_regular_expression (PostgreSQL and JavaScript syntax differ slightly)
+    if (error.code === '2201B') {
+      throw new BGPLookupError(`Invalid AS path regex: ${error.message}`, 'INVALID_PATTERN', 'pattern');
+    }
+    throw error;
+  }
+
+  return {
+    pattern: String(pattern).trim(),
+    matches: result.rows.slice(0, limit).map(rowToRoute),
+    truncated: result.rows.length > limit
+  };
+}
+
+module.exports = {
+  insertRoutes,
+  hasRoutes,
+  findLongestMatch,
+  findByOrigin,
+  searchASPath,
+  parseASN,
+  toPathRegex
+};
@@ -0,0 +1,18 @@
+/**
+ * Network Diagnostics Service
+ * Network Engineers Toolkit Backend
+ *
+ * Probes sent from this server: ICMP echo (ping.js) and traceroute with
+ * per-hop monitoring over repeated rounds (traceroute.js).
+ */
+
+const { DiagnosticsError, resolveTarget } = require('./target');
+const ping = require('./ping');
+const traceroute = require('./traceroute');
+
+module.exports = {
+  DiagnosticsError,
+  resolveTarget,
+  ping,
+  traceroute
+};
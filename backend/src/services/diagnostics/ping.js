@@ -0,0 +1,252 @@
+/**
+ * ICMP Echo (Ping)
+ * Network Engineers Toolkit Backend
+ *
+ * Runs the system iputils ping so probes carry real ICMP echo from this
+ * server with DF and source interface control (the Node ping wrappers
+ * expose neither). Each reply line is parsed as it arrives so callers can
+ * stream packets; the summary is worked out from the packets themselves.
+ */
+
+const winston = require('winston');
+const { DiagnosticsError, resolveTarget, checkSourceInterface, readNumber } = require('./target');
+const { runCommand } = require('./runner');
+
+const pingLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'ping' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/ping.log' }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const PING_PATH = process.env.PING_PATH || 'ping';
+const MAX_COUNT = parseInt(process.env.PING_MAX_COUNT, 10) || 100;
+const REPLY_TIMEOUT_S = parseInt(process.env.PING_TIMEOUT_S, 10) || 2;
+
+// iputils refuses intervals below 0.2s for unprivileged users
+const MIN_INTERVAL = 0.2;
+const MAX_INTERVAL = 10;
+const MAX_SIZE = 65507;
+
+const REPLY_LINE = /^(\d+) bytes from (.+?)(?: \(([^)]+)\))?: icmp_[rs]eq=(\d+) ttl=(\d+) time=([\d.]+) ms( \(DUP!\))?/;
+const NO_ANSWER_LINE = /^no answer yet for icmp_[rs]eq=(\d+)/;
+const ICMP_ERROR_LINE = /^From (\S+?)(?: \(([^)]+)\))?:? icmp_[rs]eq=(\d+) (.+)$/;
+const LOCAL_ERROR_LINE = /^ping: local error: (.+)$/;
+const STATS_LINE = /^(\d+) packets transmitted, (\d+) received/;
+
+/**
+ * Check ping options and resolve the target
+ * @param {Object} params
+ * @param {string} params.host - Host name or address
+ * @param {number} [params.count=4] - Echo requests to send
+ * @param {number} [params.interval=1] - Seconds between requests
+ * @param {number} [params.size=56] - ICMP payload bytes
+ * @param {boolean} [params.df=false] - Set the don't-fragment bit
+ * @param {string} [params.sourceInterface] - Interface name or local address to send from
+ * @returns {Promise<Object>} Resolved probe, passed to run()
+ */
+async function prepare(params = {}) {
+  const count = readNumber(params.count, 'count', { min: 1, max: MAX_COUNT, fallback: 4, integer: true });
+  const interval = readNumber(params.interval, 'interval', { min: MIN_INTERVAL, max: MAX_INTERVAL, fallback: 1 });
+  const size = readNumber(params.size, 'size', { min: 0, max: MAX_SIZE, fallback: 56, integer: true });
+  const df = params.df === true || params.df === 'true';
+
+  const target = await resolveTarget(params.host);
+  const sourceInterface = checkSourceInterface(params.sourceInterface, target.family);
+
+  return {
+    ...target,
+    options: { count, interval, size, df, sourceInterface }
+  };
+}
+
+/**
+ * Parse one line of ping output
+ * @param {string} line
+ * @returns {Object|null} A packet, { stats } or null for other lines
+ */
+function parseLine(line) {
+  let match = line.match(REPLY_LINE);
+  if (match) {
+    return {
+      sequence: parseInt(match[4], 10),
+      status: 'reply',
+      from: match[3] || match[2],
+      bytes: parseInt(match[1], 10),
+      ttl: parseInt(match[5], 10),
+      time: parseFloat(match[6]),
+      duplicate: Boolean(match[7])
+    };
+  }
+
+  match = line.match(NO_ANSWER_LINE);
+  if (match) {
+    return { sequence: parseInt(match[1], 10), status: 'timeout' };
+  }
+
+  match = line.match(ICMP_ERROR_LINE);
+  if (match) {
+    return {
+      sequence: parseInt(match[3], 10),
+      status: 'unreachable',
+      from: match[2] || match[1],
+      message: match[4].trim()
+    };
+  }
+
+  match = line.match(LOCAL_ERROR_LINE);
+  if (match) {
+    return { sequence: null, status: 'error', message: match[1].trim() };
+  }
+
+  match = line.match(STATS_LINE);
+  if (match) {
+    return { stats: { transmitted: parseInt(match[1], 10), received: parseInt(match[2], 10) } };
+  }
+
+  return null;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Work out loss and round trip statistics
+ * mdev is the standard deviation, as iputils reports it.
+ * @param {Object[]} packets - One entry per sequence
+ * @param {number} sent - Echo requests sent
+ * @param {number} [duplicates=0] - Duplicate replies seen
+ * @returns {Object} { sent, received, lost, loss, duplicates, errors, min, avg, max, mdev }
+ */
+function summarise(packets, sent, duplicates = 0) {
+  const times = packets.filter(packet => packet.status === 'reply').map(packet => packet.time);
+  const received = times.length;
+  const summary = {
+    sent,
+    received,
+    lost: Math.max(sent - received, 0),
+    loss: sent > 0 ? Math.round(((sent - received) / sent) * 1000) / 10 : 0,
+    duplicates,
+    errors: packets.filter(packet => packet.status === 'unreachable' || packet.status === 'error').length,
+    min: null,
+    avg: null,
+    max: null,
+    mdev: null
+  };
+
+  if (received > 0) {
+    const avg = times.reduce((sum, time) => sum + time, 0) / received;
+    const meanSquare = times.reduce((sum, time) => sum + time * time, 0) / received;
+    summary.min = round(Math.min(...times));
+    summary.max = round(Math.max(...times));
+    summary.avg = round(avg);
+    summary.mdev = round(Math.sqrt(Math.max(meanSquare - avg * avg, 0)));
+  }
+
+  return summary;
+}
+
+function buildArgs(probe) {
+  const { count, interval, size, df, sourceInterface } = probe.options;
+  const args = [
+    `-${probe.family}`,
+    '-n',
+    '-O',
+    '-c', String(count),
+    '-i', String(interval),
+    '-s', String(size),
+    '-W', String(REPLY_TIMEOUT_S),
+    '-M', df ? 'do' : 'dont'
+  ];
+  if (sourceInterface) args.push('-I', sourceInterface);
+  args.push(probe.address);
+  return args;
+}
+
+/**
+ * Send echo requests
+ * @param {Object} probe - From prepare()
+ * @param {Object} [handlers]
+ * @param {Function} [handlers.onPacket] - Called with each packet as it is answered or given up on
+ * @param {AbortSignal} [handlers.signal] - Stops the run early; the packets so far are summarised
+ * @returns {Promise<Object>} { host, address, family, options, packets, summary, startedAt, finishedAt }
+ */
+async function run(probe, handlers = {}) {
+  const { onPacket = () => {}, signal } = handlers;
+  const startedAt = new Date().toISOString();
+  const packets = new Map();
+  let stats = null;
+  let duplicates = 0;
+
+  const record = (packet) => {
+    if (packet.sequence === null) {
+      packet.sequence = Math.max(0, ...packets.keys()) + 1;
+    }
+    if (packet.duplicate) {
+      duplicates++;
+      return;
+    }
+    // A late reply replaces the timeout reported for it
+    const previous = packets.get(packet.sequence);
+    if (previous && (previous.status !== 'timeout' || packet.status === 'timeout')) return;
+
+    packets.set(packet.sequence, packet);
+    onPacket(previous ? { ...packet, late: true } : packet);
+  };
+
+  const { code, stderr } = await runCommand(PING_PATH, buildArgs(probe), {
+    name: 'ping',
+    signal,
+    // Replies can outlive the last request by the reply timeout
+    limitMs: (probe.options.count * probe.options.interval + REPLY_TIMEOUT_S + 5) * 1000,
+    onLine: (line, stream) => {
+      if (stream === 'stderr' && !LOCAL_ERROR_LINE.test(line)) return;
+      const parsed = parseLine(line);
+      if (!parsed) return;
+      if (parsed.stats) {
+        stats = parsed.stats;
+      } else {
+        record(parsed);
+      }
+    }
+  });
+
+  if (code === 2 && !stats && packets.size === 0) {
+    const message = stderr.join('; ').replace(/^ping: /, '') || 'ping failed';
+    pingLogger.warn(`Ping to ${probe.address} failed: ${message}`);
+    throw new DiagnosticsError(message, 'PING_FAILED');
+  }
+
+  // Requests still unanswered when ping exits were lost
+  const sent = stats ? stats.transmitted : Math.max(0, ...packets.keys());
+  for (let sequence = 1; sequence <= sent; sequence++) {
+    if (!packets.has(sequence)) record({ sequence, status: 'timeout' });
+  }
+
+  const ordered = Array.from(packets.values()).sort((a, b) => a.sequence - b.sequence);
+  return {
+    host: probe.host,
+    address: probe.address,
+    family: probe.family,
+    options: probe.options,
+    packets: ordered,
+    summary: summarise(ordered, sent, duplicates),
+    startedAt,
+    finishedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  MAX_COUNT,
+  prepare,
+  parseLine,
+  summarise,
+  run
+};
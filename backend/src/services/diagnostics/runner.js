@@ -0,0 +1,84 @@
+/**
+ * Probe Command Runner
+ * Network Engineers Toolkit Backend
+ *
+ * Spawns the system probe tools (ping, traceroute) line by line, with a
+ * cap on how many run at once across all users, a hard time limit and
+ * early stopping. Commands are never run through a shell.
+ */
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { DiagnosticsError } = require('./target');
+
+const MAX_RUNNING = parseInt(process.env.DIAGNOSTICS_MAX_RUNNING, 10) || 10;
+
+let running = 0;
+
+/**
+ * Run a probe command
+ * @param {string} command - Binary path
+ * @param {string[]} args - Arguments
+ * @param {Object} options
+ * @param {string} options.name - Tool name for messages, e.g. "ping"
+ * @param {Function} options.onLine - Called with (line, stream) for each trimmed, non-empty line
+ * @param {number} options.limitMs - Interrupt the command after this long
+ * @param {AbortSignal} [options.signal] - Interrupts the command early
+ * @returns {Promise<Object>} { code, stderr } once the command exits; stderr holds its lines
+ */
+function runCommand(command, args, options) {
+  const { name, onLine, limitMs, signal } = options;
+  const code = `${name.toUpperCase()}_UNAVAILABLE`;
+
+  if (running >= MAX_RUNNING) {
+    return Promise.reject(new DiagnosticsError('Too many probes are running, try again shortly', 'TOO_MANY_PROBES'));
+  }
+  if (signal && signal.aborted) {
+    return Promise.resolve({ code: null, stderr: [] });
+  }
+
+  return new Promise((resolve, reject) => {
+    const stderr = [];
+    let settled = false;
+
+    running++;
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    // SIGINT lets ping and traceroute print what they have so far
+    const stop = () => child.kill('SIGINT');
+    const timer = setTimeout(stop, limitMs);
+    if (signal) signal.addEventListener('abort', stop);
+
+    readline.createInterface({ input: child.stdout }).on('line', (line) => {
+      if (line.trim()) onLine(line.trim(), 'stdout');
+    });
+    readline.createInterface({ input: child.stderr }).on('line', (line) => {
+      if (!line.trim()) return;
+      stderr.push(line.trim());
+      onLine(line.trim(), 'stderr');
+    });
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      running--;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', stop);
+      if (error) reject(error); else resolve(result);
+    };
+
+    child.on('error', (error) => {
+      finish(new DiagnosticsError(
+        error.code === 'ENOENT' ? `${name} is not installed on this server` : `Could not run ${name}: ${error.message}`,
+        code
+      ));
+    });
+
+    // 'close' waits for the output streams, so every line has been seen
+    child.on('close', exitCode => finish(null, { code: exitCode, stderr }));
+  });
+}
+
+module.exports = {
+  runCommand
+};
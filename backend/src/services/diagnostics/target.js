@@ -0,0 +1,121 @@
+/**
+ * Diagnostic Targets
+ * Network Engineers Toolkit Backend
+ *
+ * Checks probe options and resolves the host and source interface a probe
+ * is sent with. Only resolved addresses, known interface names and checked
+ * numbers reach the command line.
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const os = require('os');
+
+/**
+ * Error raised for probes that cannot be run
+ */
+class DiagnosticsError extends Error {
+  constructor(message, code = 'DIAGNOSTICS_ERROR', field = 'host') {
+    super(message);
+    this.name = 'DiagnosticsError';
+    this.code = code;
+    this.field = field;
+  }
+}
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?)(\.[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?)*\.?$/i;
+
+/**
+ * Read a numeric option within bounds
+ * The error code is derived from the field, e.g. maxHops gives INVALID_MAX_HOPS.
+ * @param {*} value - User supplied value
+ * @param {string} field - Parameter name
+ * @param {Object} bounds - { min, max, fallback, integer }
+ * @returns {number} The value, or fallback when none was given
+ */
+function readNumber(value, field, { min, max, fallback, integer = false }) {
+  if (value === undefined || value === null || value === '') return fallback;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+    throw new DiagnosticsError(
+      `${field.charAt(0).toUpperCase()}${field.slice(1)} must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}`,
+      `INVALID_${field.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`,
+      field
+    );
+  }
+  return number;
+}
+
+/**
+ * Resolve a host name or address literal
+ * @param {string} input - Host name, IPv4 or IPv6 address
+ * @param {Object} [options]
+ * @param {number} [options.family] - 4 or 6 to restrict resolution
+ * @returns {Promise<Object>} { host, address, family }
+ */
+async function resolveTarget(input, options = {}) {
+  const host = String(input || '').trim().replace(/^\[(.*)\]$/, '$1');
+  const { family } = options;
+
+  if (!host) {
+    throw new DiagnosticsError('Host is required', 'MISSING_HOST');
+  }
+
+  const literal = net.isIP(host);
+  if (literal) {
+    if (family && literal !== family) {
+      throw new DiagnosticsError(`${host} is not an IPv${family} address`, 'FAMILY_MISMATCH');
+    }
+    return { host, address: host, family: literal };
+  }
+
+  if (!HOSTNAME_PATTERN.test(host)) {
+    throw new DiagnosticsError(`"${host}" is not a valid host name or address`, 'INVALID_HOST');
+  }
+
+  try {
+    const resolved = await dns.lookup(host, { family: family || 0 });
+    return { host, address: resolved.address, family: resolved.family };
+  } catch (error) {
+    throw new DiagnosticsError(`Could not resolve ${host}`, 'UNRESOLVED_HOST');
+  }
+}
+
+/**
+ * Check a source interface name or local address against this server
+ * @param {string} input - Interface name (eth0) or one of its addresses
+ * @param {number} family - Address family of the target
+ * @returns {string|null} The interface or address, null when none was given
+ */
+function checkSourceInterface(input, family) {
+  const source = String(input || '').trim();
+  if (!source) return null;
+
+  const interfaces = os.networkInterfaces();
+  if (interfaces[source]) return source;
+
+  const owned = Object.values(interfaces)
+    .flat()
+    .find(entry => entry.address === source);
+
+  if (!owned) {
+    throw new DiagnosticsError(
+      `${source} is not an interface or address on this server (available: ${Object.keys(interfaces).join(', ')})`,
+      'UNKNOWN_INTERFACE',
+      'sourceInterface'
+    );
+  }
+  if (net.isIP(source) !== family) {
+    throw new DiagnosticsError(`Source ${source} is not an IPv${family} address`, 'FAMILY_MISMATCH', 'sourceInterface');
+  }
+
+  return source;
+}
+
+module.exports = {
+  DiagnosticsError,
+  readNumber,
+  resolveTarget,
+  checkSourceInterface
+};
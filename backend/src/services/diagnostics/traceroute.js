@@ -0,0 +1,332 @@
+/**
+ * Traceroute and Path Monitoring
+ * Network Engineers Toolkit Backend
+ *
+ * Runs the system traceroute in ICMP, UDP or TCP SYN mode for a number of
+ * rounds, one probe per hop per round, and keeps mtr-style loss and
+ * latency figures per hop. Hop addresses get reverse DNS and the origin
+ * ASN of their covering prefix from the BGP service (imported RIB dumps
+ * first, then the configured providers).
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const winston = require('winston');
+const bgp = require('../bgp');
+const { classifyQuery } = require('../whois/query');
+const { DiagnosticsError, resolveTarget, checkSourceInterface, readNumber } = require('./target');
+const { runCommand } = require('./runner');
+
+const tracerouteLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'traceroute' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/traceroute.log' }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const TRACEROUTE_PATH = process.env.TRACEROUTE_PATH || 'traceroute';
+const MAX_ROUNDS = parseInt(process.env.TRACEROUTE_MAX_ROUNDS, 10) || 10;
+const PROBE_TIMEOUT_S = parseInt(process.env.TRACEROUTE_TIMEOUT_S, 10) || 2;
+const RDNS_TIMEOUT_MS = 2000;
+
+const MODES = ['icmp', 'udp', 'tcp'];
+const DEFAULT_PORTS = { udp: 33434, tcp: 80 };
+const MAX_HOPS = 64;
+
+const HOP_LINE = /^(\d+)\s+(.*)$/;
+const ADDRESS_TOKEN = /^[0-9a-f.:]+$/i;
+
+// traceroute's !X annotations for ICMP errors and other replies
+const ANNOTATIONS = {
+  '!H': 'host unreachable',
+  '!N': 'network unreachable',
+  '!P': 'protocol unreachable',
+  '!S': 'source route failed',
+  '!F': 'fragmentation needed',
+  '!X': 'administratively prohibited',
+  '!V': 'host precedence violation',
+  '!C': 'precedence cutoff'
+};
+
+/**
+ * Check traceroute options and resolve the target
+ * @param {Object} params
+ * @param {string} params.host - Host name or address
+ * @param {string} [params.mode='icmp'] - icmp, udp or tcp (SYN)
+ * @param {number} [params.maxHops=30] - Highest TTL probed
+ * @param {number} [params.rounds=3] - Times the path is probed
+ * @param {number} [params.port] - Destination port for udp (base port) and tcp
+ * @param {string} [params.sourceInterface] - Interface name or local address to send from
+ * @returns {Promise<Object>} Resolved probe, passed to run()
+ */
+async function prepare(params = {}) {
+  const mode = String(params.mode || 'icmp').toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new DiagnosticsError(`Mode must be one of ${MODES.join(', ')}`, 'INVALID_MODE', 'mode');
+  }
+
+  const maxHops = readNumber(params.maxHops, 'maxHops', { min: 1, max: MAX_HOPS, fallback: 30, integer: true });
+  const rounds = readNumber(params.rounds, 'rounds', { min: 1, max: MAX_ROUNDS, fallback: 3, integer: true });
+  const port = mode === 'icmp'
+    ? null
+    : readNumber(params.port, 'port', { min: 1, max: 65535, fallback: DEFAULT_PORTS[mode], integer: true });
+
+  const target = await resolveTarget(params.host);
+  const sourceInterface = checkSourceInterface(params.sourceInterface, target.family);
+
+  return {
+    ...target,
+    options: { mode, maxHops, rounds, port, sourceInterface }
+  };
+}
+
+/**
+ * Parse one hop line of traceroute -n output
+ * e.g. " 3  10.0.0.1  5.123 ms !H" or " 4  *  192.0.2.9  7.2 ms"
+ * @param {string} line
+ * @returns {Object|null} { hop, probes: [{ address, time, annotation }] }, time null when lost
+ */
+function parseHopLine(line) {
+  const match = line.match(HOP_LINE);
+  if (!match) return null;
+
+  const probes = [];
+  const tokens = match[2].split(/\s+/);
+  let address = null;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token === '*') {
+      probes.push({ address: null, time: null, annotation: null });
+    } else if (tokens[i + 1] === 'ms' && /^[\d.]+$/.test(token)) {
+      probes.push({ address, time: parseFloat(token), annotation: null });
+      i++;
+    } else if (token.startsWith('!') && probes.length > 0) {
+      probes[probes.length - 1].annotation = token;
+    } else if (ADDRESS_TOKEN.test(token)) {
+      address = token;
+    }
+  }
+
+  return { hop: parseInt(match[1], 10), probes };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Loss and latency for one hop, as mtr reports them
+ * @param {Object} hop - Hop with sent count and times
+ * @returns {Object} { sent, received, loss, last, best, avg, worst, stdev }
+ */
+function hopStats(hop) {
+  const times = hop.times;
+  const received = times.length;
+  const stats = {
+    sent: hop.sent,
+    received,
+    loss: hop.sent > 0 ? Math.round(((hop.sent - received) / hop.sent) * 1000) / 10 : 0,
+    last: hop.last,
+    best: null,
+    avg: null,
+    worst: null,
+    stdev: null
+  };
+
+  if (received > 0) {
+    const avg = times.reduce((sum, time) => sum + time, 0) / received;
+    const variance = times.reduce((sum, time) => sum + (time - avg) * (time - avg), 0) / received;
+    stats.best = round(Math.min(...times));
+    stats.worst = round(Math.max(...times));
+    stats.avg = round(avg);
+    stats.stdev = round(Math.sqrt(variance));
+  }
+
+  return stats;
+}
+
+async function reverseLookup(address) {
+  let timer;
+  try {
+    const names = await Promise.race([
+      dns.reverse(address),
+      new Promise((resolve) => { timer = setTimeout(() => resolve([]), RDNS_TIMEOUT_MS); })
+    ]);
+    return names[0] || null;
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Private and other special-use addresses are not routed, so are not looked up
+async function lookupOrigin(address) {
+  try {
+    classifyQuery(address);
+  } catch (error) {
+    return { prefix: null, asn: null };
+  }
+
+  try {
+    const route = await bgp.lookup('prefix', address);
+    if (!route) return { prefix: null, asn: null };
+    return {
+      prefix: route.prefix,
+      asn: route.origins && route.origins.length > 0 ? route.origins[0] : null
+    };
+  } catch (error) {
+    tracerouteLogger.warn(`Origin lookup failed for ${address}:`, error.message);
+    return { prefix: null, asn: null };
+  }
+}
+
+function buildArgs(probe) {
+  const { mode, maxHops, port, sourceInterface } = probe.options;
+  const args = [
+    `-${probe.family}`,
+    '-n',
+    '-q', '1',
+    '-w', String(PROBE_TIMEOUT_S),
+    '-m', String(maxHops)
+  ];
+  if (mode === 'icmp') args.push('-I');
+  if (mode === 'tcp') args.push('-T');
+  if (port) args.push('-p', String(port));
+  if (sourceInterface) args.push(net.isIP(sourceInterface) ? '-s' : '-i', sourceInterface);
+  args.push(probe.address);
+  return args;
+}
+
+/**
+ * Trace the path to a host over several rounds
+ * @param {Object} probe - From prepare()
+ * @param {Object} [handlers]
+ * @param {Function} [handlers.onHop] - Called with a hop whenever its figures or details change
+ * @param {Function} [handlers.onRound] - Called with { round, rounds } after each round
+ * @param {AbortSignal} [handlers.signal] - Stops after the current round's probes so far
+ * @returns {Promise<Object>} { host, address, family, options, hops, reached,
+ *   roundsCompleted, startedAt, finishedAt }
+ */
+async function run(probe, handlers = {}) {
+  const { onHop = () => {}, onRound = () => {}, signal } = handlers;
+  const startedAt = new Date().toISOString();
+  const hops = new Map();
+  const details = new Map();
+  let roundsCompleted = 0;
+  let reached = false;
+
+  const snapshot = (hop) => {
+    const known = details.get(hop.address) || {};
+    return {
+      hop: hop.hop,
+      address: hop.address,
+      host: known.host || null,
+      asn: known.asn || null,
+      prefix: known.prefix || null,
+      addresses: hop.addresses,
+      annotation: hop.annotation,
+      ...hopStats(hop)
+    };
+  };
+
+  // Each address is described once; hops are re-sent when the details arrive
+  const pending = [];
+  const describe = (address) => {
+    if (!address || details.has(address)) return;
+    details.set(address, {});
+    pending.push(Promise.all([reverseLookup(address), lookupOrigin(address)]).then(([host, origin]) => {
+      details.set(address, { host, ...origin });
+      hops.forEach((hop) => {
+        if (hop.address === address) onHop(snapshot(hop));
+      });
+    }));
+  };
+
+  const record = (parsed) => {
+    let hop = hops.get(parsed.hop);
+    if (!hop) {
+      hop = { hop: parsed.hop, address: null, addresses: [], annotation: null, sent: 0, times: [], last: null };
+      hops.set(parsed.hop, hop);
+    }
+
+    parsed.probes.forEach((result) => {
+      hop.sent++;
+      if (result.time === null) return;
+      hop.times.push(result.time);
+      hop.last = result.time;
+      if (result.address) {
+        hop.address = result.address;
+        if (!hop.addresses.includes(result.address)) hop.addresses.push(result.address);
+        if (result.address === probe.address) reached = true;
+      }
+      if (result.annotation) {
+        hop.annotation = ANNOTATIONS[result.annotation] || result.annotation;
+      }
+      describe(result.address);
+    });
+
+    onHop(snapshot(hop));
+  };
+
+  for (let roundNumber = 1; roundNumber <= probe.options.rounds; roundNumber++) {
+    if (signal && signal.aborted) break;
+
+    let hopLines = 0;
+    const { code, stderr } = await runCommand(TRACEROUTE_PATH, buildArgs(probe), {
+      name: 'traceroute',
+      signal,
+      // Probes go out in parallel, but unanswered hops each wait out the timeout
+      limitMs: (probe.options.maxHops * PROBE_TIMEOUT_S + 10) * 1000,
+      onLine: (line, stream) => {
+        if (stream !== 'stdout') return;
+        const parsed = parseHopLine(line);
+        if (parsed) {
+          hopLines++;
+          record(parsed);
+        }
+      }
+    });
+
+    if (code !== 0 && hopLines === 0) {
+      if (signal && signal.aborted) break;
+      const message = stderr.filter(line => !line.startsWith('traceroute to')).join('; ') || 'traceroute failed';
+      tracerouteLogger.warn(`Traceroute to ${probe.address} failed: ${message}`);
+      throw new DiagnosticsError(message, 'TRACEROUTE_FAILED');
+    }
+
+    if (signal && signal.aborted) break;
+    roundsCompleted = roundNumber;
+    onRound({ round: roundNumber, rounds: probe.options.rounds });
+  }
+
+  await Promise.all(pending);
+
+  return {
+    host: probe.host,
+    address: probe.address,
+    family: probe.family,
+    options: probe.options,
+    hops: Array.from(hops.values()).sort((a, b) => a.hop - b.hop).map(snapshot),
+    reached,
+    roundsCompleted,
+    startedAt,
+    finishedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  MODES,
+  MAX_ROUNDS,
+  prepare,
+  parseHopLine,
+  hopStats,
+  run
+};
@@ -0,0 +1,192 @@
+/**
+ * DNS Client
+ * Network Engineers Toolkit Backend
+ *
+ * Sends single DNS queries to a chosen server, the way dig does: UDP with
+ * EDNS0 first and TCP when the answer is truncated. Node's resolver only
+ * hands back record data, so queries are built with dns-packet to control
+ * the RD, CD and DO bits and to see the header flags, authority and
+ * additional sections of every answer.
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const crypto = require('crypto');
+const packet = require('dns-packet');
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.DNS_TIMEOUT_MS, 10) || 3000;
+const EDNS_PAYLOAD_SIZE = 1232;
+
+/**
+ * Error raised for DNS queries that cannot be made or answered
+ */
+class DNSError extends Error {
+  constructor(message, code = 'DNS_ERROR', field = 'name') {
+    super(message);
+    this.name = 'DNSError';
+    this.code = code;
+    this.field = field;
+  }
+}
+
+/**
+ * Read a server given as "address", "address:port" or "[v6 address]:port"
+ * @param {string} text
+ * @returns {Object|null} { address, port, family }, null for anything else
+ */
+function parseServer(text) {
+  const value = String(text || '').trim();
+  const bracketed = /^\[([^\]]+)\](?::(\d+))?$/.exec(value);
+  const withPort = /^([^:]+):(\d+)$/.exec(value);
+
+  let address = value;
+  let port = 53;
+  if (bracketed) {
+    address = bracketed[1];
+    port = bracketed[2] ? parseInt(bracketed[2], 10) : 53;
+  } else if (withPort) {
+    address = withPort[1];
+    port = parseInt(withPort[2], 10);
+  }
+
+  const family = net.isIP(address);
+  if (!family || port < 1 || port > 65535) return null;
+  return { address, port, family };
+}
+
+function serverLabel(server) {
+  const host = server.family === 6 ? `[${server.address}]` : server.address;
+  return server.port === 53 ? server.address : `${host}:${server.port}`;
+}
+
+function buildQuery(name, type, options) {
+  const flags = (options.recursion === false ? 0 : packet.RECURSION_DESIRED)
+    | (options.checkingDisabled ? packet.CHECKING_DISABLED : 0);
+
+  return {
+    type: 'query',
+    id: crypto.randomInt(0, 65536),
+    flags,
+    questions: [{ type, name, class: 'IN' }],
+    additionals: [{
+      type: 'OPT',
+      name: '.',
+      udpPayloadSize: EDNS_PAYLOAD_SIZE,
+      flags: options.dnssec ? packet.DNSSEC_OK : 0
+    }]
+  };
+}
+
+function sendUdp(server, query, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(server.family === 6 ? 'udp6' : 'udp4');
+    const timer = setTimeout(() => finish(new DNSError(`${serverLabel(server)} did not answer`, 'TIMEOUT', 'server')), timeoutMs);
+
+    function finish(error, response) {
+      clearTimeout(timer);
+      socket.close();
+      if (error) reject(error);
+      else resolve(response);
+    }
+
+    socket.on('error', error => finish(new DNSError(`${serverLabel(server)}: ${error.message}`, 'QUERY_FAILED', 'server')));
+    socket.on('message', (message) => {
+      try {
+        const response = packet.decode(message);
+        // Stray datagrams are ignored, as a resolver would
+        if (response.id !== query.id) return;
+        finish(null, { response, size: message.length });
+      } catch (error) {
+        finish(new DNSError(`${serverLabel(server)} sent a malformed answer`, 'MALFORMED_ANSWER', 'server'));
+      }
+    });
+
+    socket.send(packet.encode(query), server.port, server.address);
+  });
+}
+
+function sendTcp(server, query, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host: server.address, port: server.port });
+    let buffer = Buffer.alloc(0);
+
+    function finish(error, response) {
+      socket.destroy();
+      if (error) reject(error);
+      else resolve(response);
+    }
+
+    socket.setTimeout(timeoutMs, () => finish(new DNSError(`${serverLabel(server)} did not answer over TCP`, 'TIMEOUT', 'server')));
+    socket.on('error', error => finish(new DNSError(`${serverLabel(server)}: ${error.message}`, 'QUERY_FAILED', 'server')));
+    socket.on('connect', () => socket.write(packet.streamEncode(query)));
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (buffer.length < 2 || buffer.length < buffer.readUInt16BE(0) + 2) return;
+
+      try {
+        finish(null, { response: packet.streamDecode(buffer), size: buffer.length - 2 });
+      } catch (error) {
+        finish(new DNSError(`${serverLabel(server)} sent a malformed answer`, 'MALFORMED_ANSWER', 'server'));
+      }
+    });
+  });
+}
+
+/**
+ * Send one query
+ * @param {Object} server - { address, port, family } from parseServer
+ * @param {string} name - Query name
+ * @param {string} type - Record type, e.g. "A" or "UNKNOWN_65"
+ * @param {Object} [options]
+ * @param {boolean} [options.recursion=true] - Set RD; off for iterative queries
+ * @param {boolean} [options.dnssec=false] - Set DO to receive RRSIG, NSEC and NSEC3
+ * @param {boolean} [options.checkingDisabled=false] - Set CD so a validating resolver returns bogus data too
+ * @param {boolean} [options.tcp=false] - Skip UDP
+ * @param {number} [options.timeoutMs] - Per-transport timeout (DNS_TIMEOUT_MS, default 3000)
+ * @returns {Promise<Object>} { server, transport, time, size, rcode, flags, answers, authorities, additionals }
+ */
+async function query(server, name, type, options = {}) {
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const message = buildQuery(name, type, options);
+  const start = process.hrtime.bigint();
+
+  let transport = options.tcp ? 'tcp' : 'udp';
+  let reply = options.tcp
+    ? await sendTcp(server, message, timeoutMs)
+    : await sendUdp(server, message, timeoutMs);
+
+  if (!options.tcp && reply.response.flag_tc) {
+    transport = 'tcp';
+    reply = await sendTcp(server, message, timeoutMs);
+  }
+
+  const { response } = reply;
+  const opt = response.additionals.find(record => record.type === 'OPT');
+
+  return {
+    server: serverLabel(server),
+    transport,
+    time: Math.round(Number(process.hrtime.bigint() - start) / 10000) / 100,
+    size: reply.size,
+    rcode: response.rcode,
+    flags: {
+      aa: response.flag_aa,
+      tc: response.flag_tc,
+      rd: response.flag_rd,
+      ra: response.flag_ra,
+      ad: response.flag_ad,
+      cd: response.flag_cd
+    },
+    edns: opt ? { udpPayloadSize: opt.udpPayloadSize, do: opt.flag_do } : null,
+    answers: response.answers,
+    authorities: response.authorities,
+    additionals: response.additionals.filter(record => record.type !== 'OPT')
+  };
+}
+
+module.exports = {
+  DNSError,
+  parseServer,
+  serverLabel,
+  query
+};
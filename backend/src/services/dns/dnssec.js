@@ -0,0 +1,520 @@
+/**
+ * DNSSEC Chain of Trust
+ * Network Engineers Toolkit Backend
+ *
+ * Walks a name's zones from the root: each zone's DNSKEY set must be
+ * signed by a key that matches a DS record, and each DS set must be
+ * signed by the parent's keys, starting from the root trust anchors.
+ * Signatures are checked here (RFC 4034/4035) rather than trusting the
+ * resolver's AD bit, so queries go out with CD set and a broken chain
+ * still shows which link failed.
+ */
+
+const crypto = require('crypto');
+const packet = require('dns-packet');
+const { query } = require('./client');
+const { normaliseName, fqdn, base32hex } = require('./records');
+
+// IANA root KSK-2017 and KSK-2024 (https://data.iana.org/root-anchors/root-anchors.xml)
+const ROOT_TRUST_ANCHORS = [
+  '20326 8 2 E06D44B80B8F1D39A95C0B0D7C65D08458E880409BBC683457104237C7F8EC8D',
+  '38696 8 2 683D2D0ACB8C9B712A1948B27F741219298D0A450D612C483AF444A4C0FB2B16'
+];
+
+const ALGORITHMS = {
+  5: { name: 'RSASHA1', hash: 'sha1', kind: 'rsa' },
+  7: { name: 'RSASHA1-NSEC3-SHA1', hash: 'sha1', kind: 'rsa' },
+  8: { name: 'RSASHA256', hash: 'sha256', kind: 'rsa' },
+  10: { name: 'RSASHA512', hash: 'sha512', kind: 'rsa' },
+  13: { name: 'ECDSAP256SHA256', hash: 'sha256', kind: 'ec', curve: 'P-256', size: 32 },
+  14: { name: 'ECDSAP384SHA384', hash: 'sha384', kind: 'ec', curve: 'P-384', size: 48 },
+  15: { name: 'ED25519', hash: null, kind: 'okp', curve: 'Ed25519' },
+  16: { name: 'ED448', hash: null, kind: 'okp', curve: 'Ed448' }
+};
+
+const DIGESTS = {
+  1: 'sha1',
+  2: 'sha256',
+  4: 'sha384'
+};
+
+// Types whose data holds domain names that are lower-cased in canonical form (RFC 4034 6.2)
+const NAME_FIELDS = {
+  NS: null,
+  CNAME: null,
+  DNAME: null,
+  PTR: null,
+  MX: ['exchange'],
+  SOA: ['mname', 'rname'],
+  SRV: ['target'],
+  NAPTR: ['replacement'],
+  RRSIG: ['signersName']
+};
+
+// DNSKEY flag bits (RFC 4034 2.1.1, RFC 5011 3); dns-packet's own constants have them reversed
+const ZONE_KEY = 0x0100;
+const REVOKED = 0x0080;
+const SECURE_ENTRY_POINT = 0x0001;
+
+// Signatures this close to expiry are reported
+const EXPIRY_WARNING_S = 3 * 86400;
+
+/**
+ * Trust anchors for the root, from DNS_TRUST_ANCHORS ("keyTag algorithm
+ * digestType digest" entries separated by ";") or the IANA root KSKs
+ * @returns {Array<Object>} DS data { keyTag, algorithm, digestType, digest }
+ */
+function getTrustAnchors() {
+  const text = process.env.DNS_TRUST_ANCHORS;
+  const entries = text ? text.split(/[;\n]/) : ROOT_TRUST_ANCHORS;
+
+  return entries
+    .map(entry => entry.trim().replace(/^\.?\s*(IN\s+)?DS\s+/i, '').split(/\s+/))
+    .filter(parts => parts.length === 4)
+    .map(([keyTag, algorithm, digestType, digest]) => ({
+      keyTag: parseInt(keyTag, 10),
+      algorithm: parseInt(algorithm, 10),
+      digestType: parseInt(digestType, 10),
+      digest: Buffer.from(digest, 'hex')
+    }));
+}
+
+function nameWire(name) {
+  return packet.name.encode(normaliseName(name));
+}
+
+function dnskeyRdata(key) {
+  return packet.dnskey.encode(key).slice(2);
+}
+
+/**
+ * Key tag of a DNSKEY (RFC 4034 appendix B)
+ */
+function keyTag(key) {
+  const rdata = dnskeyRdata(key);
+  let total = 0;
+  for (let i = 0; i < rdata.length; i++) {
+    total += i & 1 ? rdata[i] : rdata[i] << 8;
+  }
+  total += (total >> 16) & 0xffff;
+  return total & 0xffff;
+}
+
+/**
+ * DS digest of a DNSKEY (RFC 4034 5.1.4)
+ * @returns {Buffer|null} null for unsupported digest types
+ */
+function dsDigest(owner, key, digestType) {
+  const hash = DIGESTS[digestType];
+  if (!hash) return null;
+  return crypto.createHash(hash).update(Buffer.concat([nameWire(owner), dnskeyRdata(key)])).digest();
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Public key of a DNSKEY in the form crypto.verify takes
+ */
+function publicKey(key) {
+  const algorithm = ALGORITHMS[key.algorithm];
+  const data = key.key;
+
+  if (algorithm.kind === 'rsa') {
+    // RFC 3110: one length byte (or zero and two bytes), the exponent, then the modulus
+    const long = data[0] === 0;
+    const exponentLength = long ? data.readUInt16BE(1) : data[0];
+    const start = long ? 3 : 1;
+    return crypto.createPublicKey({
+      format: 'jwk',
+      key: {
+        kty: 'RSA',
+        e: base64url(data.slice(start, start + exponentLength)),
+        n: base64url(data.slice(start + exponentLength))
+      }
+    });
+  }
+
+  if (algorithm.kind === 'ec') {
+    return crypto.createPublicKey({
+      format: 'jwk',
+      key: {
+        kty: 'EC',
+        crv: algorithm.curve,
+        x: base64url(data.slice(0, algorithm.size)),
+        y: base64url(data.slice(algorithm.size))
+      }
+    });
+  }
+
+  return crypto.createPublicKey({
+    format: 'jwk',
+    key: { kty: 'OKP', crv: algorithm.curve, x: base64url(data) }
+  });
+}
+
+function canonicalData(record) {
+  const fields = NAME_FIELDS[record.type];
+  if (fields === null) return normaliseName(record.data);
+  if (!fields) return record.data;
+
+  const data = { ...record.data };
+  fields.forEach((field) => {
+    data[field] = normaliseName(data[field]);
+  });
+  return data;
+}
+
+/**
+ * Data covered by an RRSIG: its own fields, then the RRset in canonical
+ * form and order (RFC 4034 3.1.8.1 and 6)
+ */
+function signedData(rrset, signature) {
+  const sig = signature.data;
+  const header = packet.rrsig.encode({ ...sig, signersName: normaliseName(sig.signersName), signature: Buffer.alloc(0) }).slice(2);
+
+  // Wildcard expansions are signed with the wildcard owner
+  const name = normaliseName(rrset[0].name);
+  const labels = name === '.' ? [] : name.split('.');
+  const owner = labels.length > sig.labels
+    ? ['*', ...labels.slice(labels.length - sig.labels)].join('.')
+    : name;
+
+  const records = rrset.map((record) => {
+    const wire = packet.answer.encode({
+      name: owner,
+      type: record.type,
+      class: 'IN',
+      ttl: sig.originalTTL,
+      data: canonicalData(record)
+    });
+    return { wire, rdata: wire.slice(nameWire(owner).length + 10) };
+  });
+
+  records.sort((a, b) => Buffer.compare(a.rdata, b.rdata));
+  const unique = records.filter((record, index) => index === 0 || !record.rdata.equals(records[index - 1].rdata));
+
+  return Buffer.concat([header, ...unique.map(record => record.wire)]);
+}
+
+/**
+ * Check one RRSIG over an RRset
+ * @param {Array<Object>} rrset - Records with the same owner and type
+ * @param {Object} signature - RRSIG record
+ * @param {Array<Object>} keys - Candidate DNSKEY data
+ * @param {number} [now] - Seconds since the epoch
+ * @returns {Object} { covers, keyTag, algorithm, signer, inception, expiration, valid, error }
+ */
+function verifySignature(rrset, signature, keys, now = Math.floor(Date.now() / 1000)) {
+  const sig = signature.data;
+  const result = {
+    covers: sig.typeCovered,
+    keyTag: sig.keyTag,
+    algorithm: sig.algorithm,
+    signer: fqdn(sig.signersName),
+    inception: new Date(sig.inception * 1000).toISOString(),
+    expiration: new Date(sig.expiration * 1000).toISOString(),
+    valid: false,
+    error: null
+  };
+
+  const algorithm = ALGORITHMS[sig.algorithm];
+  if (!algorithm) {
+    result.error = `Unsupported algorithm ${sig.algorithm}`;
+    return result;
+  }
+  if (now < sig.inception) {
+    result.error = 'Signature is not valid yet';
+    return result;
+  }
+  if (now > sig.expiration) {
+    result.error = 'Signature has expired';
+    return result;
+  }
+
+  const candidates = keys.filter(key => key.algorithm === sig.algorithm && (key.flags & ZONE_KEY) && keyTag(key) === sig.keyTag);
+  if (candidates.length === 0) {
+    result.error = `No DNSKEY with tag ${sig.keyTag}`;
+    return result;
+  }
+
+  const data = signedData(rrset, signature);
+  result.valid = candidates.some((key) => {
+    try {
+      const options = { key: publicKey(key), dsaEncoding: 'ieee-p1363' };
+      return crypto.verify(algorithm.hash, data, options, sig.signature);
+    } catch (error) {
+      return false;
+    }
+  });
+  if (!result.valid) result.error = 'Signature does not verify';
+  return result;
+}
+
+/**
+ * Records of one owner and type from a section, with the RRSIGs covering them
+ */
+function rrsetOf(records, owner, type) {
+  const name = normaliseName(owner);
+  return {
+    records: records.filter(record => record.type === type && normaliseName(record.name) === name),
+    signatures: records.filter(record => record.type === 'RRSIG' && record.data.typeCovered === type && normaliseName(record.name) === name)
+  };
+}
+
+/**
+ * Check an RRset's signatures
+ * @returns {Object} { valid, signatures, problems }
+ */
+function checkRRset(rrset, keys, label) {
+  const now = Math.floor(Date.now() / 1000);
+  const problems = [];
+
+  if (rrset.signatures.length === 0) {
+    return { valid: false, signatures: [], problems: [`${label} is not signed`] };
+  }
+
+  const signatures = rrset.signatures.map(signature => verifySignature(rrset.records, signature, keys, now));
+  const valid = signatures.some(signature => signature.valid);
+
+  if (!valid) {
+    problems.push(`No valid signature over ${label}: ${signatures.map(signature => signature.error).join('; ')}`);
+  }
+  rrset.signatures
+    .filter((signature, index) => signatures[index].valid && signature.data.expiration - now < EXPIRY_WARNING_S)
+    .forEach(signature => problems.push(`Signature over ${label} by key ${signature.data.keyTag} expires ${new Date(signature.data.expiration * 1000).toISOString()}`));
+
+  return { valid, signatures, problems };
+}
+
+function describeKey(key) {
+  const algorithm = ALGORITHMS[key.algorithm];
+  return {
+    keyTag: keyTag(key),
+    flags: key.flags,
+    role: key.flags & SECURE_ENTRY_POINT ? 'KSK' : 'ZSK',
+    algorithm: key.algorithm,
+    algorithmName: algorithm ? algorithm.name : null,
+    revoked: Boolean(key.flags & REVOKED)
+  };
+}
+
+/**
+ * NSEC3 owner hash of a name (RFC 5155 5)
+ */
+function nsec3Hash(name, salt, iterations) {
+  let hash = crypto.createHash('sha1').update(Buffer.concat([nameWire(name), salt])).digest();
+  for (let i = 0; i < iterations; i++) {
+    hash = crypto.createHash('sha1').update(Buffer.concat([hash, salt])).digest();
+  }
+  return base32hex(hash).toLowerCase();
+}
+
+/**
+ * Look for a signed NSEC or NSEC3 record proving a delegation has no DS
+ * Opt-out NSEC3 spans are accepted as insecure delegations (RFC 5155 6).
+ * @returns {Object} { proven, problems }
+ */
+function checkNoDS(zone, authorities, parentKeys) {
+  const name = normaliseName(zone);
+
+  const nsec = authorities.find(record => record.type === 'NSEC' && normaliseName(record.name) === name);
+  if (nsec) {
+    const checked = checkRRset(rrsetOf(authorities, nsec.name, 'NSEC'), parentKeys, `NSEC for ${fqdn(zone)}`);
+    const proven = checked.valid && !nsec.data.rrtypes.includes('DS') && nsec.data.rrtypes.includes('NS');
+    return { proven, problems: checked.problems };
+  }
+
+  const nsec3 = authorities.find((record) => {
+    if (record.type !== 'NSEC3') return false;
+    const hash = nsec3Hash(name, record.data.salt, record.data.iterations);
+    const owner = normaliseName(record.name);
+    if (owner.split('.')[0] === hash) return true;
+
+    // Opt-out: the hash falls inside the span of an NSEC3 with the opt-out flag
+    const next = base32hex(record.data.nextDomain).toLowerCase();
+    const start = owner.split('.')[0];
+    const covered = start < next ? hash > start && hash < next : hash > start || hash < next;
+    return (record.data.flags & 1) === 1 && covered;
+  });
+  if (nsec3) {
+    const checked = checkRRset(rrsetOf(authorities, nsec3.name, 'NSEC3'), parentKeys, `NSEC3 for ${fqdn(zone)}`);
+    const proven = checked.valid && !nsec3.data.rrtypes.includes('DS');
+    return { proven, problems: checked.problems };
+  }
+
+  return { proven: false, problems: [`No DS records for ${fqdn(zone)} and no signed proof that there are none`] };
+}
+
+/**
+ * Zones a name passes through, root first, found by asking for each
+ * ancestor's SOA
+ */
+async function findZones(server, name) {
+  const labels = name === '.' ? [] : name.split('.');
+  const candidates = labels.map((label, index) => labels.slice(index).join('.')).reverse();
+
+  const apexes = await Promise.all(candidates.map(async (candidate) => {
+    const reply = await query(server, candidate, 'SOA', { dnssec: true, checkingDisabled: true });
+    return reply.answers.some(record => record.type === 'SOA' && normaliseName(record.name) === candidate) ? candidate : null;
+  }));
+
+  return ['.', ...apexes.filter(Boolean)];
+}
+
+/**
+ * Check the chain of trust of a name
+ * @param {Object} server - Resolver from parseServer
+ * @param {string} name - Normalised query name
+ * @param {string} type - Record type whose signatures are checked at the end
+ * @returns {Promise<Object>} { name, type, status, zones, answer, problems }
+ *   status is secure, insecure or bogus; each zone has its DS and
+ *   DNSKEY records, the signatures checked and its own status
+ */
+async function checkChain(server, name, type) {
+  const zones = await findZones(server, name);
+  const results = [];
+  let parentKeys = null;
+  let status = 'secure';
+
+  for (const zone of zones) {
+    const result = { zone: fqdn(zone), status: 'secure', ds: [], keys: [], signatures: [], problems: [] };
+    results.push(result);
+
+    if (status !== 'secure') {
+      result.status = status;
+      continue;
+    }
+
+    let dsSet;
+    if (zone === '.') {
+      dsSet = getTrustAnchors();
+      result.trustAnchor = true;
+    } else {
+      const reply = await query(server, zone, 'DS', { dnssec: true, checkingDisabled: true });
+      const rrset = rrsetOf(reply.answers, zone, 'DS');
+      dsSet = rrset.records.map(record => record.data);
+
+      if (dsSet.length === 0) {
+        const denial = checkNoDS(zone, reply.authorities, parentKeys);
+        result.problems.push(...denial.problems);
+        result.status = denial.proven ? 'insecure' : 'bogus';
+        status = result.status;
+        continue;
+      }
+
+      const checked = checkRRset(rrset, parentKeys, `DS ${fqdn(zone)}`);
+      result.signatures.push(...checked.signatures);
+      result.problems.push(...checked.problems);
+      if (!checked.valid) {
+        result.status = status = 'bogus';
+        continue;
+      }
+    }
+
+    const reply = await query(server, zone, 'DNSKEY', { dnssec: true, checkingDisabled: true });
+    const keyset = rrsetOf(reply.answers, zone, 'DNSKEY');
+    const keys = keyset.records.map(record => record.data);
+    result.keys = keys.map(describeKey);
+
+    // DS records point at the keys allowed to sign the DNSKEY set
+    const trusted = [];
+    result.ds = dsSet.map((ds) => {
+      const key = keys.find(candidate => candidate.algorithm === ds.algorithm && keyTag(candidate) === ds.keyTag);
+      const digest = key ? dsDigest(zone, key, ds.digestType) : null;
+      const matched = Boolean(digest && digest.equals(ds.digest));
+      if (matched) trusted.push(key);
+      return {
+        keyTag: ds.keyTag,
+        algorithm: ds.algorithm,
+        digestType: ds.digestType,
+        digest: ds.digest.toString('hex').toUpperCase(),
+        matched,
+        error: matched ? null : !key ? 'No DNSKEY with this tag' : !digest ? `Unsupported digest type ${ds.digestType}` : 'Digest does not match the DNSKEY'
+      };
+    });
+
+    if (keys.length === 0) {
+      result.problems.push(`${fqdn(zone)} has DS records but no DNSKEY records`);
+      result.status = status = 'bogus';
+      continue;
+    }
+    if (trusted.length === 0) {
+      result.problems.push(`No DNSKEY of ${fqdn(zone)} matches its DS records`);
+      result.status = status = 'bogus';
+      continue;
+    }
+
+    const checked = checkRRset(keyset, trusted, `DNSKEY ${fqdn(zone)}`);
+    result.signatures.push(...checked.signatures);
+    result.problems.push(...checked.problems);
+    if (!checked.valid) {
+      result.status = status = 'bogus';
+      continue;
+    }
+    parentKeys = keys;
+  }
+
+  const answer = await checkAnswer(server, name, type, zones[zones.length - 1], status === 'secure' ? parentKeys : null);
+  if (status === 'secure' && answer.status === 'bogus') status = 'bogus';
+
+  return {
+    name: fqdn(name),
+    type,
+    status,
+    zones: results,
+    answer,
+    problems: [...results.flatMap(result => result.problems), ...answer.problems]
+  };
+}
+
+/**
+ * Check the signatures over the answer to the query itself
+ * @param {string} zone - The name's zone
+ * @param {Array<Object>|null} keys - Keys of the zone, null when the chain is not secure
+ */
+async function checkAnswer(server, name, type, zone, keys) {
+  const reply = await query(server, name, type, { dnssec: true, checkingDisabled: true });
+  const result = { rcode: reply.rcode, rrsets: [], status: keys ? 'secure' : 'unchecked', problems: [] };
+
+  // Answers and, for NXDOMAIN and NODATA, the NSEC/NSEC3 proofs
+  const section = reply.answers.some(record => record.type !== 'RRSIG') ? reply.answers : reply.authorities;
+  const seen = new Set();
+
+  section.filter(record => record.type !== 'RRSIG').forEach((record) => {
+    const key = `${normaliseName(record.name)} ${record.type}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const rrset = rrsetOf(section, record.name, record.type);
+    const entry = { name: fqdn(record.name), type: record.type, records: rrset.records.length, valid: null, signatures: [] };
+    result.rrsets.push(entry);
+    if (!keys) return;
+
+    // CNAME targets in other zones are signed with keys this walk did not fetch
+    const signers = rrset.signatures.map(signature => normaliseName(signature.data.signersName));
+    if (signers.length > 0 && !signers.includes(zone)) {
+      entry.valid = null;
+      result.problems.push(`${entry.name} ${entry.type} is signed by ${fqdn(signers[0])}, outside this chain`);
+      return;
+    }
+
+    const checked = checkRRset(rrset, keys, `${entry.name} ${entry.type}`);
+    entry.valid = checked.valid;
+    entry.signatures = checked.signatures;
+    result.problems.push(...checked.problems);
+    if (!checked.valid) result.status = 'bogus';
+  });
+
+  return result;
+}
+
+module.exports = {
+  ALGORITHMS,
+  getTrustAnchors,
+  keyTag,
+  dsDigest,
+  verifySignature,
+  checkChain
+};
@@ -0,0 +1,235 @@
+/**
+ * DNS Toolkit Service
+ * Network Engineers Toolkit Backend
+ *
+ * Record lookups of any type against a chosen resolver, an iterative trace
+ * from the root (trace.js), the same question put to several resolvers
+ * side by side, a DNSSEC chain of trust check (dnssec.js) and a zone
+ * delegation lint (lint.js).
+ */
+
+const dns = require('dns');
+const winston = require('winston');
+const { DNSError, parseServer, serverLabel, query } = require('./client');
+const records = require('./records');
+const { trace } = require('./trace');
+const { checkChain } = require('./dnssec');
+const { lintDelegation } = require('./lint');
+
+const dnsLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'dns' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/dns.log' }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+// Public resolvers that can be picked by name; "system" is this server's own
+const RESOLVERS = {
+  cloudflare: '1.1.1.1',
+  google: '8.8.8.8',
+  quad9: '9.9.9.9',
+  opendns: '208.67.222.222'
+};
+
+const DEFAULT_COMPARE = ['system', 'cloudflare', 'google', 'quad9'];
+const MAX_COMPARE = 8;
+
+const NAME_PATTERN = /^(?=.{1,253}$)(\*\.)?([a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?)(\.[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?)*\.?$/i;
+
+/**
+ * Check a query name; an address with type PTR (or no type) becomes its
+ * reverse lookup name
+ * @returns {Object} { name, type } with the normalised name and wire type
+ */
+function readQuestion(params) {
+  const input = String(params.name || '').trim();
+  if (!input) {
+    throw new DNSError('Name is required', 'MISSING_NAME', 'name');
+  }
+
+  const reverse = records.reverseName(input);
+  const type = records.typeName(params.type || (reverse ? 'PTR' : 'A'));
+  if (!type) {
+    throw new DNSError(`"${params.type}" is not a DNS record type`, 'INVALID_TYPE', 'type');
+  }
+
+  if (reverse && type === 'PTR') {
+    return { name: reverse, type };
+  }
+  if (input !== '.' && !NAME_PATTERN.test(input)) {
+    throw new DNSError(`"${input}" is not a valid domain name`, 'INVALID_NAME', 'name');
+  }
+  return { name: records.normaliseName(input), type };
+}
+
+/**
+ * Resolve a resolver given by preset name, address or address:port
+ * @returns {Object} { label, server }
+ */
+function readResolver(value, field = 'resolver') {
+  const text = String(value || 'system').trim().toLowerCase();
+
+  if (text === 'system') {
+    const server = parseServer(dns.getServers()[0]);
+    if (!server) {
+      throw new DNSError('This server has no resolver configured', 'NO_SYSTEM_RESOLVER', field);
+    }
+    return { label: 'system', server };
+  }
+
+  const server = parseServer(RESOLVERS[text] || text);
+  if (!server) {
+    throw new DNSError(
+      `Resolver must be an address, address:port or one of system, ${Object.keys(RESOLVERS).join(', ')}`,
+      'INVALID_RESOLVER',
+      field
+    );
+  }
+  return { label: RESOLVERS[text] ? text : serverLabel(server), server };
+}
+
+function formatReply(reply) {
+  return {
+    server: reply.server,
+    transport: reply.transport,
+    time: reply.time,
+    size: reply.size,
+    rcode: reply.rcode,
+    flags: reply.flags,
+    edns: reply.edns,
+    answers: reply.answers.map(records.formatRecord),
+    authorities: reply.authorities.map(records.formatRecord),
+    additionals: reply.additionals.map(records.formatRecord)
+  };
+}
+
+/**
+ * Look up records
+ * @param {Object} params
+ * @param {string} params.name - Domain name, or an address for a PTR lookup
+ * @param {string} [params.type] - Record type (default A, PTR for addresses); any type name or TYPEnnn
+ * @param {string} [params.resolver] - system (default), a preset name, or address[:port]
+ * @param {boolean} [params.dnssec] - Ask for RRSIG records (DO bit)
+ * @param {boolean} [params.tcp] - Query over TCP
+ * @param {boolean} [params.norecurse] - Clear RD, to ask an authoritative server directly
+ * @returns {Promise<Object>} { name, type, resolver, server, rcode, flags, answers, authorities, additionals, time }
+ */
+async function lookup(params = {}) {
+  const { name, type } = readQuestion(params);
+  const resolver = readResolver(params.resolver);
+
+  const reply = await query(resolver.server, name, type, {
+    dnssec: params.dnssec === true || params.dnssec === 'true',
+    tcp: params.tcp === true || params.tcp === 'true',
+    recursion: !(params.norecurse === true || params.norecurse === 'true')
+  });
+
+  return {
+    name: records.fqdn(name),
+    type: records.displayType(type),
+    resolver: resolver.label,
+    ...formatReply(reply)
+  };
+}
+
+/**
+ * Put one question to several resolvers
+ * @param {Object} params - name and type as for lookup
+ * @param {Array<string>|string} [params.resolvers] - Resolvers to ask (default system, cloudflare, google, quad9)
+ * @returns {Promise<Object>} { name, type, consistent, answerSets, results }
+ *   answerSets groups resolvers that gave the same rcode and record data (TTLs aside)
+ */
+async function compare(params = {}) {
+  const { name, type } = readQuestion(params);
+  const list = Array.isArray(params.resolvers)
+    ? params.resolvers
+    : String(params.resolvers || DEFAULT_COMPARE.join(',')).split(/[\s,]+/).filter(Boolean);
+
+  if (list.length < 2 || list.length > MAX_COMPARE) {
+    throw new DNSError(`Compare needs between 2 and ${MAX_COMPARE} resolvers`, 'INVALID_RESOLVERS', 'resolvers');
+  }
+  const resolvers = list.map(entry => readResolver(entry, 'resolvers'));
+
+  const results = await Promise.all(resolvers.map(async (resolver) => {
+    try {
+      const reply = await query(resolver.server, name, type);
+      const answers = reply.answers.map(records.formatRecord);
+      return { resolver: resolver.label, server: reply.server, rcode: reply.rcode, time: reply.time, ad: reply.flags.ad, answers, error: null };
+    } catch (error) {
+      if (!(error instanceof DNSError)) throw error;
+      return { resolver: resolver.label, server: serverLabel(resolver.server), rcode: null, time: null, ad: null, answers: [], error: error.message };
+    }
+  }));
+
+  const answerSets = [];
+  results.forEach((result) => {
+    const data = result.error
+      ? []
+      : result.answers.map(record => `${record.name} ${record.type} ${record.data}`).sort();
+    const key = `${result.error ? 'ERROR' : result.rcode}|${data.join('|')}`;
+
+    let set = answerSets.find(entry => entry.key === key);
+    if (!set) {
+      set = { key, rcode: result.rcode, records: data, resolvers: [] };
+      answerSets.push(set);
+    }
+    set.resolvers.push(result.resolver);
+  });
+
+  return {
+    name: records.fqdn(name),
+    type: records.displayType(type),
+    consistent: answerSets.length === 1,
+    answerSets: answerSets.map(({ key, ...set }) => set),
+    results
+  };
+}
+
+/**
+ * Trace a name from the root, like dig +trace
+ * @param {Object} params - name and type as for lookup; dnssec shows DS and RRSIG records
+ */
+async function traceName(params = {}) {
+  const { name, type } = readQuestion(params);
+  const result = await trace(name, type, { dnssec: params.dnssec === true || params.dnssec === 'true' });
+  if (result.error) {
+    dnsLogger.warn(`Trace of ${name} ${type} stopped: ${result.error}`);
+  }
+  return { ...result, type: records.displayType(type) };
+}
+
+/**
+ * Check the DNSSEC chain of trust of a name through a resolver
+ * @param {Object} params - name, type (default A) and resolver as for lookup
+ */
+async function checkDnssec(params = {}) {
+  const { name, type } = readQuestion(params);
+  const resolver = readResolver(params.resolver);
+  const result = await checkChain(resolver.server, name, type);
+  return { ...result, type: records.displayType(type), resolver: resolver.label };
+}
+
+/**
+ * Lint a zone's delegation
+ * @param {Object} params - params.name is the zone
+ */
+async function lintZone(params = {}) {
+  const { name } = readQuestion({ name: params.name, type: 'NS' });
+  return lintDelegation(name);
+}
+
+module.exports = {
+  RESOLVERS,
+  DNSError,
+  lookup,
+  compare,
+  trace: traceName,
+  checkDnssec,
+  lintZone
+};
@@ -0,0 +1,241 @@
+/**
+ * Zone Delegation Lint
+ * Network Engineers Toolkit Backend
+ *
+ * Compares a zone's delegation in its parent with what the zone's own
+ * name servers say: lame servers (no answer, or not authoritative), NS
+ * sets that differ between parent and child, glue that does not match the
+ * child's address records, missing glue and SOA serials that disagree.
+ */
+
+const net = require('net');
+const { DNSError, parseServer, query } = require('./client');
+const { normaliseName, fqdn } = require('./records');
+const { trace, inZone, usable, resolveServer } = require('./trace');
+
+const SEVERITY_ORDER = ['error', 'warning', 'info'];
+
+/**
+ * Find the parent's delegation of a zone
+ * @returns {Promise<Object>} { zone, server, nameservers: [{ name, glue }], shared }
+ */
+async function findDelegation(zone) {
+  const traced = await trace(zone, 'NS');
+  const referral = traced.steps.find(step => step.referral && normaliseName(step.referral.zone) === zone);
+
+  if (referral) {
+    return {
+      zone: referral.zone,
+      server: referral.server,
+      nameservers: referral.referral.nameservers.map(ns => ({ name: normaliseName(ns.name), glue: ns.glue })),
+      shared: false
+    };
+  }
+
+  // Parent and child served from the same servers answer for the child directly
+  const last = traced.steps[traced.steps.length - 1];
+  const answers = last ? last.answers.filter(record => record.type === 'NS' && normaliseName(record.name) === zone) : [];
+  if (answers.length > 0) {
+    return {
+      zone: last.zone,
+      server: last.server,
+      nameservers: answers.map(record => ({ name: normaliseName(record.data), glue: [] })),
+      shared: true
+    };
+  }
+
+  if (traced.rcode === 'NXDOMAIN') {
+    throw new DNSError(`${fqdn(zone)} does not exist`, 'NOT_FOUND', 'name');
+  }
+  throw new DNSError(traced.error || `${fqdn(zone)} is not a delegated zone`, 'NOT_DELEGATED', 'name');
+}
+
+/**
+ * Ask one name server about the zone
+ */
+async function probeServer(zone, ns, address) {
+  const server = parseServer(address);
+  const result = {
+    name: fqdn(ns.name),
+    address,
+    responded: false,
+    authoritative: false,
+    rcode: null,
+    serial: null,
+    nameservers: [],
+    time: null,
+    error: null
+  };
+
+  try {
+    const soa = await query(server, zone, 'SOA', { recursion: false });
+    result.responded = true;
+    result.rcode = soa.rcode;
+    result.time = soa.time;
+    result.authoritative = soa.flags.aa;
+
+    const record = soa.answers.find(answer => answer.type === 'SOA' && normaliseName(answer.name) === zone);
+    if (record) result.serial = record.data.serial;
+
+    const ns = await query(server, zone, 'NS', { recursion: false });
+    result.nameservers = ns.answers
+      .filter(answer => answer.type === 'NS' && normaliseName(answer.name) === zone)
+      .map(answer => normaliseName(answer.data));
+  } catch (error) {
+    if (!(error instanceof DNSError)) throw error;
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+/**
+ * Addresses the child's own servers give for in-zone name server names
+ */
+async function childAddresses(zone, nsName, servers) {
+  const responsive = servers.find(server => server.authoritative);
+  if (!responsive) return null;
+
+  const server = parseServer(responsive.address);
+  const addresses = [];
+  for (const type of ['A', 'AAAA']) {
+    try {
+      const reply = await query(server, nsName, type, { recursion: false });
+      reply.answers
+        .filter(answer => answer.type === type && normaliseName(answer.name) === nsName)
+        .forEach(answer => addresses.push(answer.data));
+    } catch (error) {
+      if (!(error instanceof DNSError)) throw error;
+    }
+  }
+  return addresses;
+}
+
+function sameSet(a, b) {
+  return a.length === b.length && a.every(value => b.includes(value));
+}
+
+/**
+ * Lint a zone's delegation
+ * @param {string} zone - Normalised zone name
+ * @returns {Promise<Object>} { zone, status, parent, child, findings }
+ *   findings are { severity: error|warning|info, code, message }; status
+ *   is the worst severity found, or "ok"
+ */
+async function lintDelegation(zone) {
+  if (zone === '.') {
+    throw new DNSError('The root zone has no parent delegation to check', 'INVALID_ZONE', 'name');
+  }
+
+  const findings = [];
+  const add = (severity, code, message) => findings.push({ severity, code, message });
+
+  const delegation = await findDelegation(zone);
+  const parentNames = delegation.nameservers.map(ns => ns.name);
+
+  if (delegation.shared) {
+    add('info', 'SHARED_SERVERS', `${delegation.server} serves both ${delegation.zone} and ${fqdn(zone)}, so the parent's NS set could not be seen separately`);
+  }
+  if (parentNames.length < 2) {
+    add('warning', 'TOO_FEW_NAMESERVERS', `Only ${parentNames.length} name server is delegated; at least two are recommended (RFC 1034 4.1)`);
+  }
+
+  // Addresses to probe: glue for in-zone servers, otherwise a lookup
+  const servers = [];
+  for (const ns of delegation.nameservers) {
+    const inBailiwick = inZone(ns.name, zone);
+    if (inBailiwick && ns.glue.length === 0 && !delegation.shared) {
+      add('error', 'MISSING_GLUE', `${fqdn(ns.name)} is inside ${fqdn(zone)} but the parent has no glue for it`);
+    }
+
+    const addresses = ns.glue.length > 0 ? ns.glue : await resolveServer(ns.name);
+    if (addresses.length === 0) {
+      add('error', 'UNRESOLVABLE_NAMESERVER', `${fqdn(ns.name)} has no address records`);
+      continue;
+    }
+
+    for (const address of addresses) {
+      if (!usable(address)) {
+        servers.push({ name: fqdn(ns.name), address, responded: null, skipped: 'IPv6 probing is disabled (DNS_IPV6)' });
+        continue;
+      }
+      servers.push(await probeServer(zone, ns, address));
+    }
+  }
+
+  const probed = servers.filter(server => server.responded !== null);
+  probed.forEach((server) => {
+    if (!server.responded) {
+      add('error', 'LAME_UNREACHABLE', `${server.name}: ${server.error}`);
+    } else if (server.rcode !== 'NOERROR') {
+      add('error', 'LAME_DELEGATION', `${server.name} (${server.address}) answered ${server.rcode} for ${fqdn(zone)}`);
+    } else if (!server.authoritative || server.serial === null) {
+      add('error', 'LAME_DELEGATION', `${server.name} (${server.address}) is not authoritative for ${fqdn(zone)}`);
+    }
+  });
+
+  // NS sets: parent against each authoritative server
+  const authoritative = probed.filter(server => server.authoritative && server.serial !== null);
+  const childNames = [...new Set(authoritative.flatMap(server => server.nameservers))];
+  if (authoritative.length > 0) {
+    const onlyParent = parentNames.filter(name => !childNames.includes(name));
+    const onlyChild = childNames.filter(name => !parentNames.includes(name));
+    if (onlyParent.length > 0 || onlyChild.length > 0) {
+      const differences = [
+        onlyParent.length > 0 ? `only in the parent: ${onlyParent.map(fqdn).join(', ')}` : null,
+        onlyChild.length > 0 ? `only in the zone: ${onlyChild.map(fqdn).join(', ')}` : null
+      ];
+      add('warning', 'NS_MISMATCH', `The parent and the zone list different name servers (${differences.filter(Boolean).join('; ')})`);
+    }
+
+    const inconsistent = authoritative.filter(server => !sameSet(server.nameservers, authoritative[0].nameservers));
+    if (inconsistent.length > 0) {
+      add('warning', 'NS_INCONSISTENT', `The zone's servers disagree on its NS set (${authoritative.map(server => `${server.name}: ${server.nameservers.map(fqdn).join(' ')}`).join('; ')})`);
+    }
+
+    const serials = [...new Set(authoritative.map(server => server.serial))];
+    if (serials.length > 1) {
+      add('warning', 'SERIAL_MISMATCH', `SOA serials differ between servers: ${authoritative.map(server => `${server.name} ${server.serial}`).join(', ')}`);
+    }
+  }
+
+  // Glue against the child's own address records
+  for (const ns of delegation.nameservers.filter(entry => entry.glue.length > 0 && inZone(entry.name, zone))) {
+    const addresses = await childAddresses(zone, ns.name, authoritative);
+    if (addresses === null) continue;
+
+    const missing = ns.glue.filter(address => !addresses.includes(address));
+    const extra = addresses.filter(address => !ns.glue.includes(address));
+    if (missing.length > 0 || extra.length > 0) {
+      add('error', 'GLUE_MISMATCH', `Glue for ${fqdn(ns.name)} (${ns.glue.join(', ')}) does not match the zone's records (${addresses.join(', ') || 'none'})`);
+    }
+  }
+
+  // All servers in one IPv4 /24 share a failure domain
+  const networks = new Set(probed.filter(server => net.isIP(server.address) === 4).map(server => server.address.split('.').slice(0, 3).join('.')));
+  if (probed.length > 1 && networks.size === 1) {
+    add('info', 'SINGLE_NETWORK', `All name servers are in ${[...networks][0]}.0/24`);
+  }
+
+  findings.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+  const worst = findings.find(finding => finding.severity !== 'info');
+
+  return {
+    zone: fqdn(zone),
+    status: worst ? worst.severity : 'ok',
+    parent: {
+      zone: delegation.zone,
+      server: delegation.server,
+      nameservers: delegation.nameservers.map(ns => ({ name: fqdn(ns.name), glue: ns.glue }))
+    },
+    child: {
+      nameservers: childNames.map(fqdn),
+      servers: servers.map(server => (server.nameservers ? { ...server, nameservers: server.nameservers.map(fqdn) } : server))
+    },
+    findings
+  };
+}
+
+module.exports = {
+  lintDelegation
+};
@@ -0,0 +1,199 @@
+/**
+ * DNS Record Presentation
+ * Network Engineers Toolkit Backend
+ *
+ * Record type names and the zone file (RFC 1035 presentation) text of
+ * record data, so answers read the way dig prints them. Types dns-packet
+ * has no codec for are shown in the RFC 3597 "\# length hex" form.
+ */
+
+const net = require('net');
+const types = require('dns-packet/types');
+const subnet = require('../../shared/subnet');
+
+// Types dns-packet only knows by number
+const EXTRA_TYPES = {
+  SVCB: 64,
+  HTTPS: 65
+};
+
+const TYPE_PATTERN = /^(?:[A-Z][A-Z0-9-]*|TYPE\d{1,5})$/i;
+
+/**
+ * Wire type name for a type given as text, e.g. "mx", "HTTPS" or "TYPE65"
+ * @param {string} text
+ * @returns {string|null} Name understood by dns-packet, null when unknown
+ */
+function typeName(text) {
+  const value = String(text || '').trim().toUpperCase();
+  if (!TYPE_PATTERN.test(value)) return null;
+
+  if (EXTRA_TYPES[value]) return `UNKNOWN_${EXTRA_TYPES[value]}`;
+  if (value.startsWith('TYPE')) {
+    const number = parseInt(value.slice(4), 10);
+    return number > 0 && number < 65536 ? types.toString(number) : null;
+  }
+  return types.toType(value) ? value : null;
+}
+
+/**
+ * Display name of a wire type name, e.g. UNKNOWN_65 gives HTTPS
+ */
+function displayType(type) {
+  if (!type.startsWith('UNKNOWN_')) return type;
+  const number = parseInt(type.slice(8), 10);
+  const extra = Object.keys(EXTRA_TYPES).find(name => EXTRA_TYPES[name] === number);
+  return extra || `TYPE${number}`;
+}
+
+/**
+ * Domain names are compared lower case, without the trailing dot; the
+ * root is "."
+ */
+function normaliseName(name) {
+  const value = String(name || '').trim().toLowerCase().replace(/\.$/, '');
+  return value || '.';
+}
+
+function fqdn(name) {
+  const value = normaliseName(name);
+  return value === '.' ? '.' : `${value}.`;
+}
+
+/**
+ * Reverse lookup name of an address, e.g. 192.0.2.1 gives 1.2.0.192.in-addr.arpa
+ * @returns {string|null} null when text is not an address
+ */
+function reverseName(text) {
+  const value = String(text || '').trim();
+  const family = net.isIP(value);
+
+  if (family === 4) {
+    return `${value.split('.').reverse().join('.')}.in-addr.arpa`;
+  }
+  if (family === 6) {
+    return subnet.ipv6ReverseZones(subnet.parseIPv6(value), 128)[0];
+  }
+  return null;
+}
+
+function quote(buffer) {
+  const text = Buffer.from(buffer).toString('latin1')
+    .replace(/[\\"]/g, '\\$&')
+    .replace(/[^\x20-\x7e]/g, character => `\\${String(character.charCodeAt(0)).padStart(3, '0')}`);
+  return `"${text}"`;
+}
+
+function signatureTime(seconds) {
+  return new Date(seconds * 1000).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+/**
+ * Presentation text of a record's data
+ * @param {Object} record - Record decoded by dns-packet
+ * @returns {string}
+ */
+function formatData(record) {
+  const data = record.data;
+
+  switch (record.type) {
+    case 'A':
+    case 'AAAA':
+      return data;
+
+    case 'NS':
+    case 'CNAME':
+    case 'DNAME':
+    case 'PTR':
+      return fqdn(data);
+
+    case 'MX':
+      return `${data.preference} ${fqdn(data.exchange)}`;
+
+    case 'SOA':
+      return `${fqdn(data.mname)} ${fqdn(data.rname)} ${data.serial} ${data.refresh} ${data.retry} ${data.expire} ${data.minimum}`;
+
+    case 'TXT':
+    case 'SPF':
+      return (Array.isArray(data) ? data : [data]).map(quote).join(' ');
+
+    case 'SRV':
+      return `${data.priority} ${data.weight} ${data.port} ${fqdn(data.target)}`;
+
+    case 'CAA':
+      return `${data.flags} ${data.tag} ${quote(Buffer.from(String(data.value)))}`;
+
+    case 'HINFO':
+      return `${quote(Buffer.from(data.cpu))} ${quote(Buffer.from(data.os))}`;
+
+    case 'NAPTR':
+      return `${data.order} ${data.preference} ${quote(Buffer.from(data.flags))} ${quote(Buffer.from(data.services))} ${quote(Buffer.from(data.regexp))} ${fqdn(data.replacement)}`;
+
+    case 'DS':
+      return `${data.keyTag} ${data.algorithm} ${data.digestType} ${data.digest.toString('hex').toUpperCase()}`;
+
+    case 'DNSKEY':
+      return `${data.flags} 3 ${data.algorithm} ${data.key.toString('base64')}`;
+
+    case 'RRSIG':
+      return `${data.typeCovered} ${data.algorithm} ${data.labels} ${data.originalTTL} ${signatureTime(data.expiration)} ${signatureTime(data.inception)} ${data.keyTag} ${fqdn(data.signersName)} ${data.signature.toString('base64')}`;
+
+    case 'NSEC':
+      return `${fqdn(data.nextDomain)} ${data.rrtypes.join(' ')}`;
+
+    case 'NSEC3':
+      return `${data.algorithm} ${data.flags} ${data.iterations} ${data.salt.length > 0 ? data.salt.toString('hex').toUpperCase() : '-'} ${base32hex(data.nextDomain)} ${data.rrtypes.join(' ')}`;
+
+    case 'SSHFP':
+      return `${data.algorithm} ${data.hash} ${data.fingerprint}`;
+
+    case 'TLSA':
+      return `${data.usage} ${data.selector} ${data.matchingType} ${data.certificate.toString('hex').toUpperCase()}`;
+
+    default:
+      if (Buffer.isBuffer(data)) {
+        return `\\# ${data.length}${data.length > 0 ? ` ${data.toString('hex').toUpperCase()}` : ''}`;
+      }
+      return JSON.stringify(data);
+  }
+}
+
+const BASE32HEX = '0123456789ABCDEFGHIJKLMNOPQRSTUV';
+
+/**
+ * Base32 with the extended hex alphabet (RFC 4648), used by NSEC3 hashes
+ */
+function base32hex(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let text = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    text += BASE32HEX[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return text;
+}
+
+/**
+ * Record as returned by the API
+ * @param {Object} record - Record decoded by dns-packet
+ * @returns {Object} { name, type, ttl, data }
+ */
+function formatRecord(record) {
+  return {
+    name: fqdn(record.name),
+    type: displayType(record.type),
+    ttl: record.ttl,
+    data: formatData(record)
+  };
+}
+
+module.exports = {
+  typeName,
+  displayType,
+  normaliseName,
+  fqdn,
+  reverseName,
+  base32hex,
+  formatData,
+  formatRecord
+};
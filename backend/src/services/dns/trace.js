@@ -0,0 +1,196 @@
+/**
+ * Iterative DNS Trace
+ * Network Engineers Toolkit Backend
+ *
+ * Resolves a name from the root the way "dig +trace" does: one
+ * non-recursive query per zone, following referrals down the tree and
+ * using glue where the parent supplies it. Name servers without glue are
+ * looked up through this server's own resolver.
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const { DNSError, parseServer, query } = require('./client');
+const { normaliseName, fqdn, formatRecord } = require('./records');
+
+// IANA root hints (https://www.internic.net/domain/named.root)
+const ROOT_SERVERS = [
+  ['a.root-servers.net', '198.41.0.4'],
+  ['b.root-servers.net', '170.247.170.2'],
+  ['c.root-servers.net', '192.33.4.12'],
+  ['d.root-servers.net', '199.7.91.13'],
+  ['e.root-servers.net', '192.203.230.10'],
+  ['f.root-servers.net', '192.5.5.241'],
+  ['g.root-servers.net', '192.112.36.4'],
+  ['h.root-servers.net', '198.97.190.53'],
+  ['i.root-servers.net', '192.36.148.17'],
+  ['j.root-servers.net', '192.58.128.30'],
+  ['k.root-servers.net', '193.0.14.129'],
+  ['l.root-servers.net', '199.7.83.42'],
+  ['m.root-servers.net', '202.12.27.33']
+];
+
+const MAX_REFERRALS = 30;
+const MAX_ATTEMPTS = 3;
+
+// IPv6 name server addresses are only used when this server has IPv6 connectivity
+const USE_IPV6 = process.env.DNS_IPV6 === 'true';
+
+/**
+ * Root servers, from DNS_ROOT_SERVERS ("address[:port]" entries separated
+ * by commas, e.g. a local stand-in for tests) or the IANA root hints
+ * @returns {Array<Object>} { name, server }
+ */
+function getRootServers() {
+  if (process.env.DNS_ROOT_SERVERS) {
+    return process.env.DNS_ROOT_SERVERS.split(',')
+      .map(entry => ({ name: entry.trim(), server: parseServer(entry) }))
+      .filter(entry => entry.server);
+  }
+  return ROOT_SERVERS.map(([name, address]) => ({ name: fqdn(name), server: parseServer(address) }));
+}
+
+/**
+ * True when name is zone or below it
+ */
+function inZone(name, zone) {
+  const child = normaliseName(name);
+  const parent = normaliseName(zone);
+  return parent === '.' || child === parent || child.endsWith(`.${parent}`);
+}
+
+function usable(address) {
+  return net.isIP(address) === 4 || (USE_IPV6 && net.isIP(address) === 6);
+}
+
+/**
+ * Name servers of a referral with their glue addresses
+ * @returns {Array<Object>} { name, glue }
+ */
+function referralServers(reply, zone) {
+  return reply.authorities
+    .filter(record => record.type === 'NS' && normaliseName(record.name) === zone)
+    .map((record) => {
+      const name = normaliseName(record.data);
+      const glue = reply.additionals
+        .filter(extra => (extra.type === 'A' || extra.type === 'AAAA') && normaliseName(extra.name) === name)
+        .map(extra => extra.data);
+      return { name, glue };
+    });
+}
+
+/**
+ * Addresses of a name server through this server's resolver
+ */
+async function resolveServer(name) {
+  const lookups = [dns.resolve4(name)];
+  if (USE_IPV6) lookups.push(dns.resolve6(name));
+  const results = await Promise.allSettled(lookups);
+  return results.filter(result => result.status === 'fulfilled').flatMap(result => result.value);
+}
+
+/**
+ * Servers to ask next: glued addresses first, then a few glueless names
+ */
+async function nextServers(nameservers) {
+  const glued = nameservers.flatMap(ns => ns.glue.filter(usable).map(address => ({ name: fqdn(ns.name), server: parseServer(address) })));
+  if (glued.length > 0) return glued;
+
+  const resolved = [];
+  for (const ns of nameservers.slice(0, MAX_ATTEMPTS)) {
+    const addresses = await resolveServer(ns.name);
+    addresses.filter(usable).forEach(address => resolved.push({ name: fqdn(ns.name), server: parseServer(address) }));
+    if (resolved.length > 0) break;
+  }
+  return resolved;
+}
+
+/**
+ * Ask the servers of a zone in turn until one answers
+ */
+async function askZone(servers, name, type, options) {
+  const errors = [];
+  for (const candidate of servers.slice(0, MAX_ATTEMPTS)) {
+    try {
+      const reply = await query(candidate.server, name, type, { recursion: false, dnssec: options.dnssec });
+      return { candidate, reply, errors };
+    } catch (error) {
+      if (!(error instanceof DNSError)) throw error;
+      errors.push(`${candidate.name}: ${error.message}`);
+    }
+  }
+  return { candidate: null, reply: null, errors };
+}
+
+/**
+ * Trace a name from the root
+ * @param {string} name - Normalised query name
+ * @param {string} type - Record type
+ * @param {Object} [options]
+ * @param {boolean} [options.dnssec=false] - Ask for DS and RRSIG records along the way
+ * @returns {Promise<Object>} { name, type, steps, rcode, answers, complete, error }
+ *   Each step has the zone asked, the server that answered, its flags and
+ *   records, and the referral (zone and name servers with glue) it gave.
+ */
+async function trace(name, type, options = {}) {
+  let servers = getRootServers();
+  let zone = '.';
+  const steps = [];
+
+  for (let i = 0; i < MAX_REFERRALS; i++) {
+    const { candidate, reply, errors } = await askZone(servers, name, type, options);
+
+    if (!reply) {
+      return { name: fqdn(name), type, steps, rcode: null, answers: [], complete: false, error: `No server for ${fqdn(zone)} answered (${errors.join('; ')})` };
+    }
+
+    const step = {
+      zone: fqdn(zone),
+      server: candidate.name,
+      address: reply.server,
+      rcode: reply.rcode,
+      time: reply.time,
+      authoritative: reply.flags.aa,
+      answers: reply.answers.map(formatRecord),
+      authorities: reply.authorities.map(formatRecord),
+      referral: null,
+      failures: errors
+    };
+    steps.push(step);
+
+    const cut = reply.authorities.find(record => record.type === 'NS');
+    const finished = reply.rcode !== 'NOERROR'
+      || reply.answers.length > 0
+      || reply.authorities.some(record => record.type === 'SOA')
+      || !cut;
+
+    if (finished) {
+      return { name: fqdn(name), type, steps, rcode: reply.rcode, answers: step.answers, complete: true, error: null };
+    }
+
+    const next = normaliseName(cut.name);
+    if (next === zone || !inZone(next, zone) || !inZone(name, next)) {
+      return { name: fqdn(name), type, steps, rcode: reply.rcode, answers: [], complete: false, error: `${candidate.name} gave a referral to ${fqdn(next)}, which does not lead towards ${fqdn(name)}` };
+    }
+
+    const nameservers = referralServers(reply, next);
+    step.referral = { zone: fqdn(next), nameservers: nameservers.map(ns => ({ name: fqdn(ns.name), glue: ns.glue })) };
+
+    servers = await nextServers(nameservers);
+    if (servers.length === 0) {
+      return { name: fqdn(name), type, steps, rcode: reply.rcode, answers: [], complete: false, error: `None of the name servers for ${fqdn(next)} could be resolved` };
+    }
+    zone = next;
+  }
+
+  return { name: fqdn(name), type, steps, rcode: null, answers: [], complete: false, error: `Gave up after ${MAX_REFERRALS} referrals` };
+}
+
+module.exports = {
+  getRootServers,
+  inZone,
+  usable,
+  referralServers,
+  resolveServer,
+  trace
+};
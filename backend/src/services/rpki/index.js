@@ -0,0 +1,286 @@
+/**
+ * RPKI Origin Validation Service
+ * Network Engineers Toolkit Backend
+ *
+ * Validates prefix/origin pairs (RFC 6811) against a set of Validated ROA
+ * Payloads read from a local JSON export, as written by routinator
+ * (`--format json`/`jsonext`), rpki-client (`-j`) or GoRTR/StayRTR. The file
+ * at RPKI_VRP_PATH is loaded on first use and reloaded when it changes, so
+ * validation works without network access.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const subnet = require('../../shared/subnet');
+const RoutingTable = require('../bgp/rib');
+
+const rpkiLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'rpki' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/rpki.log' }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const STATES = {
+  VALID: 'Valid',
+  INVALID: 'Invalid',
+  NOT_FOUND: 'NotFound'
+};
+
+/**
+ * Error raised for invalid VRP files or validation input
+ */
+class RPKIError extends Error {
+  constructor(message, code = 'RPKI_ERROR', field = 'prefix') {
+    super(message);
+    this.name = 'RPKIError';
+    this.code = code;
+    this.field = field;
+  }
+}
+
+let vrpSet = null;
+let loadedMtime = null;
+let loading = null;
+
+/**
+ * Path of the VRP file used for validation
+ * @returns {string}
+ */
+function getVrpPath() {
+  return process.env.RPKI_VRP_PATH
+    || path.join(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'), 'vrps.json');
+}
+
+function parseASN(value) {
+  const match = /^(?:AS)?(\d{1,10})$/i.exec(String(value).trim());
+  const asn = match ? Number(match[1]) : NaN;
+  return Number.isInteger(asn) && asn <= 4294967295 ? asn : null;
+}
+
+/**
+ * Parse a validator JSON export
+ * Accepts { roas: [...] } (routinator, rpki-client, GoRTR) and a bare array.
+ * Each entry needs prefix and asn ("AS13335" or 13335); maxLength (or
+ * max_length) defaults to the prefix length.
+ * @param {string} text - File contents
+ * @returns {Object} { vrps: RoutingTable, count, metadata }
+ */
+function parseVrpJson(text) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new RPKIError(`VRP file is not valid JSON: ${error.message}`, 'INVALID_VRP_FILE', 'vrps');
+  }
+
+  const entries = Array.isArray(document) ? document : document && (document.roas || document.vrps);
+  if (!Array.isArray(entries)) {
+    throw new RPKIError('VRP file must contain a "roas" array', 'INVALID_VRP_FILE', 'vrps');
+  }
+
+  const vrps = new RoutingTable();
+  let skipped = 0;
+
+  entries.forEach(entry => {
+    const asn = parseASN(entry.asn);
+    let parsed;
+    try {
+      parsed = subnet.parseCidr(entry.prefix, 'prefix');
+    } catch (error) {
+      parsed = null;
+    }
+
+    const maxLength = entry.maxLength !== undefined ? Number(entry.maxLength)
+      : entry.max_length !== undefined ? Number(entry.max_length)
+        : parsed && parsed.prefix;
+
+    if (asn === null || !parsed || !Number.isInteger(maxLength) || maxLength < parsed.prefix || maxLength > parsed.bits) {
+      skipped++;
+      return;
+    }
+
+    vrps.add({
+      prefix: `${subnet.formatAddress(parsed.version, parsed.network)}/${parsed.prefix}`,
+      asn,
+      maxLength,
+      ta: entry.ta || entry.tal || null
+    });
+  });
+
+  const count = entries.length - skipped;
+  if (count === 0 && entries.length > 0) {
+    throw new RPKIError('VRP file contains no usable entries', 'INVALID_VRP_FILE', 'vrps');
+  }
+
+  return {
+    vrps,
+    count,
+    skipped,
+    metadata: (document && document.metadata) || null
+  };
+}
+
+/**
+ * Get the loaded VRP set, (re)loading the file when it has changed
+ * @returns {Promise<Object|null>} Parsed set, or null when no file is present
+ */
+async function getVrpSet() {
+  const vrpPath = getVrpPath();
+
+  let stat;
+  try {
+    stat = await fs.promises.stat(vrpPath);
+  } catch (error) {
+    vrpSet = null;
+    loadedMtime = null;
+    return null;
+  }
+
+  if (vrpSet && loadedMtime === stat.mtimeMs) {
+    return vrpSet;
+  }
+
+  // Concurrent validations share a single load
+  if (!loading) {
+    loading = fs.promises.readFile(vrpPath, 'utf8')
+      .then(text => {
+        const parsed = parseVrpJson(text);
+        vrpSet = { ...parsed, loadedAt: new Date().toISOString(), path: vrpPath };
+        loadedMtime = stat.mtimeMs;
+        rpkiLogger.info(`Loaded ${parsed.count} VRPs from ${vrpPath}${parsed.skipped ? ` (${parsed.skipped} skipped)` : ''}`);
+        return vrpSet;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+
+  return loading;
+}
+
+/**
+ * Validate one prefix/origin pair (RFC 6811)
+ * @param {string} prefix - Route prefix
+ * @param {number|null} originAsn - Origin AS, null when it cannot be
+ *   determined (e.g. the path ends in an AS_SET)
+ * @returns {Promise<Object|null>} { prefix, asn, state, reason, matched, covering },
+ *   or null when no VRP file is loaded
+ */
+async function validate(prefix, originAsn) {
+  const set = await getVrpSet();
+  if (!set) return null;
+
+  let parsed;
+  try {
+    parsed = subnet.parseCidr(prefix, 'prefix');
+  } catch (error) {
+    if (error instanceof subnet.SubnetError) {
+      throw new RPKIError(error.message, 'INVALID_PREFIX', 'prefix');
+    }
+    throw error;
+  }
+
+  const asn = originAsn === null || originAsn === undefined ? null : parseASN(originAsn);
+  const covering = set.vrps.coveringMatches(prefix).flatMap(entry => entry.routes);
+
+  const result = {
+    prefix: `${subnet.formatAddress(parsed.version, parsed.network)}/${parsed.prefix}`,
+    asn,
+    state: STATES.NOT_FOUND,
+    reason: null,
+    matched: [],
+    covering
+  };
+
+  if (covering.length === 0) {
+    return result;
+  }
+
+  // AS0 ROAs (RFC 7607) never match; a route without a single origin cannot either
+  const sameOrigin = covering.filter(vrp => asn !== null && vrp.asn !== 0 && vrp.asn === asn);
+  result.matched = sameOrigin.filter(vrp => parsed.prefix <= vrp.maxLength);
+
+  if (result.matched.length > 0) {
+    result.state = STATES.VALID;
+  } else if (sameOrigin.length > 0) {
+    result.state = STATES.INVALID;
+    result.reason = 'MAX_LENGTH';
+    result.maxLength = Math.max(...sameOrigin.map(vrp => vrp.maxLength));
+  } else {
+    result.state = STATES.INVALID;
+    result.reason = asn === null ? 'NO_ORIGIN' : 'ORIGIN_MISMATCH';
+  }
+
+  return result;
+}
+
+/**
+ * Validate a prefix against each of its origins
+ * @param {string} prefix - Route prefix
+ * @param {Array<number>} origins - Origin ASNs seen for the prefix
+ * @returns {Promise<Array<Object>|null>} One result per origin, or null without VRPs
+ */
+async function validateOrigins(prefix, origins) {
+  const set = await getVrpSet();
+  if (!set) return null;
+
+  const list = origins && origins.length > 0 ? origins : [null];
+  return Promise.all(list.map(asn => validate(prefix, asn)));
+}
+
+/**
+ * Replace the VRP file with an uploaded export after checking it parses
+ * @param {string} uploadPath - Uploaded file
+ * @returns {Promise<Object>} Status of the new set
+ */
+async function installVrpFile(uploadPath) {
+  try {
+    parseVrpJson(await fs.promises.readFile(uploadPath, 'utf8'));
+
+    const vrpPath = getVrpPath();
+    await fs.promises.mkdir(path.dirname(vrpPath), { recursive: true });
+    await fs.promises.copyFile(uploadPath, vrpPath);
+  } finally {
+    fs.promises.unlink(uploadPath).catch(() => {});
+  }
+
+  return getStatus();
+}
+
+/**
+ * Describe the loaded VRP set
+ * @returns {Promise<Object>} { loaded, path, count, skipped, loadedAt, metadata }
+ */
+async function getStatus() {
+  const set = await getVrpSet();
+  if (!set) {
+    return { loaded: false, path: getVrpPath() };
+  }
+
+  return {
+    loaded: true,
+    path: set.path,
+    count: set.count,
+    skipped: set.skipped,
+    loadedAt: set.loadedAt,
+    metadata: set.metadata
+  };
+}
+
+module.exports = {
+  STATES,
+  RPKIError,
+  parseVrpJson,
+  validate,
+  validateOrigins,
+  installVrpFile,
+  getStatus
+};
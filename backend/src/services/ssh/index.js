@@ -0,0 +1,425 @@
+/**
+ * SSH WebSocket Gateway
+ * Network Engineers Toolkit Backend
+ *
+ * Bridges the browser terminal to SSH sessions on devices. The browser
+ * opens a WebSocket on /api/ssh and sends one "connect" message carrying
+ * its JWT and the device details; from then on shell output is sent as
+ * binary frames and JSON text frames carry input, resizes and status.
+ *
+ * Client messages:
+ *   { type: 'connect', token, host, port, username, password | privateKey,
+ *     passphrase, hostFingerprint, cols, rows }
+ *   { type: 'data', data }
+ *   { type: 'resize', cols, rows }
+ *   { type: 'disconnect' }
+ * Server messages:
+ *   { type: 'status', status: 'connected' | 'closed', message, fingerprint,
+ *     hostKey: 'new' | 'known' | 'changed' }
+ *   { type: 'error', error, code, field }
+ *
+ * Each user may hold SSH_MAX_SESSIONS_PER_USER sessions and sessions
+ * without keyboard input for SSH_IDLE_TIMEOUT_MINUTES are closed. Devices
+ * must lie in SSH_ALLOWED_NETWORKS, which allows nothing when empty. Host
+ * keys are trusted on first use and checked on later sessions
+ * (knownHosts.js). Every session is recorded (recorder.js); one that cannot
+ * be recorded is not opened.
+ */
+
+const WebSocket = require('ws');
+const winston = require('winston');
+const subnet = require('../../shared/subnet');
+const { verifyToken, getActiveUser } = require('../../middleware/auth');
+const { DiagnosticsError, resolveTarget } = require('../diagnostics');
+const { SshError, openShell } = require('./session');
+const recorder = require('./recorder');
+const knownHosts = require('./knownHosts');
+
+const sshLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'ssh' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/ssh.log' }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const GATEWAY_PATH = '/api/ssh';
+const MAX_SESSIONS_PER_USER = parseInt(process.env.SSH_MAX_SESSIONS_PER_USER, 10) || 3;
+const IDLE_TIMEOUT_MS = (parseInt(process.env.SSH_IDLE_TIMEOUT_MINUTES, 10) || 15) * 60 * 1000;
+const CONNECT_MESSAGE_TIMEOUT_MS = 10000;
+const HEARTBEAT_INTERVAL_MS = 30000;
+const MAX_MESSAGE_BYTES = 256 * 1024;
+const MAX_TERMINAL_SIZE = 1000;
+
+// WebSocket close codes in the private range, mirroring HTTP statuses
+const CLOSE_CODES = {
+  BAD_REQUEST: 4400,
+  UNAUTHORIZED: 4401,
+  TIMEOUT: 4408,
+  TOO_MANY_SESSIONS: 4429,
+  SSH_FAILED: 4502,
+  SERVER_ERROR: 1011
+};
+
+// Errors from the device end rather than from the request
+const SSH_FAILURES = ['AUTH_FAILED', 'CONNECT_FAILED', 'CONNECT_TIMEOUT', 'HOST_KEY_MISMATCH', 'SHELL_FAILED', 'SSH_ERROR'];
+
+// userId -> Set of live sessions, including ones still connecting
+const sessions = new Map();
+
+function allowedNetworks() {
+  return String(process.env.SSH_ALLOWED_NETWORKS || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => subnet.parseCidr(item, 'SSH_ALLOWED_NETWORKS'));
+}
+
+function isAllowed(networks, address) {
+  const parsed = subnet.parseCidr(address);
+  return networks.some((network) => {
+    const shift = BigInt(network.bits - network.prefix);
+    return network.version === parsed.version && (parsed.network >> shift) === (network.network >> shift);
+  });
+}
+
+function terminalSize(value, fallback) {
+  const size = parseInt(value, 10);
+  return Number.isInteger(size) && size > 0 ? Math.min(size, MAX_TERMINAL_SIZE) : fallback;
+}
+
+/**
+ * Check a connect message and resolve the device
+ * @param {Object} message - Client connect message
+ * @returns {Promise<Object>} Target for session.openShell
+ */
+async function prepareTarget(message) {
+  const username = String(message.username || '').trim();
+  if (!username || username.length > 64 || /[\s\x00-\x1f]/.test(username)) {
+    throw new SshError('A username without spaces is required', 'INVALID_USERNAME', 'username');
+  }
+  if (!message.password && !message.privateKey) {
+    throw new SshError('A password or private key is required', 'MISSING_CREDENTIALS', 'password');
+  }
+
+  const port = message.port === undefined || message.port === '' ? 22 : Number(message.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new SshError('Port must be a whole number from 1 to 65535', 'INVALID_PORT', 'port');
+  }
+
+  // Empty means no device may be reached; 0.0.0.0/0,::/0 allows any
+  const networks = allowedNetworks();
+  if (networks.length === 0) {
+    throw new SshError('SSH sessions are disabled until SSH_ALLOWED_NETWORKS lists the networks they may reach', 'HOST_NOT_ALLOWED');
+  }
+
+  let target;
+  try {
+    target = await resolveTarget(message.host);
+  } catch (error) {
+    if (error instanceof DiagnosticsError) throw new SshError(error.message, error.code, 'host');
+    throw error;
+  }
+
+  if (!isAllowed(networks, target.address)) {
+    throw new SshError(`${target.host} is outside the networks SSH sessions may reach`, 'HOST_NOT_ALLOWED');
+  }
+
+  return {
+    host: target.host,
+    address: target.address,
+    port,
+    username,
+    password: message.password ? String(message.password) : null,
+    privateKey: message.privateKey ? String(message.privateKey) : null,
+    passphrase: message.passphrase ? String(message.passphrase) : null,
+    hostFingerprint: message.hostFingerprint ? String(message.hostFingerprint).trim() : null,
+    cols: terminalSize(message.cols, 80),
+    rows: terminalSize(message.rows, 24)
+  };
+}
+
+function send(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+}
+
+function closeWithError(ws, closeCode, error) {
+  send(ws, { type: 'error', error: error.message, code: error.code, field: error.field });
+  ws.close(closeCode, error.code);
+}
+
+function userSessions(userId) {
+  if (!sessions.has(userId)) sessions.set(userId, new Set());
+  return sessions.get(userId);
+}
+
+function releaseSession(userId, session) {
+  const owned = sessions.get(userId);
+  if (!owned) return;
+  owned.delete(session);
+  if (owned.size === 0) sessions.delete(userId);
+}
+
+/**
+ * Run one WebSocket from connect message to close
+ * @param {WebSocket} ws
+ * @param {http.IncomingMessage} req - Upgrade request
+ */
+function handleConnection(ws, req) {
+  const remote = req.headers['x-real-ip'] || req.socket.remoteAddress;
+  let state = 'waiting';
+  let user = null;
+  let session = null;
+  let shell = null;
+  let recording = null;
+  let idleTimer = null;
+  const pending = [];
+
+  const connectTimer = setTimeout(() => {
+    closeWithError(ws, CLOSE_CODES.TIMEOUT, new SshError('No connect message received', 'NO_CONNECT_MESSAGE', null));
+  }, CONNECT_MESSAGE_TIMEOUT_MS);
+
+  const resetIdle = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      send(ws, {
+        type: 'status',
+        status: 'closed',
+        message: `Session closed after ${IDLE_TIMEOUT_MS / 60000} minutes without input`
+      });
+      ws.close(CLOSE_CODES.TIMEOUT, 'IDLE_TIMEOUT');
+    }, IDLE_TIMEOUT_MS);
+  };
+
+  const start = async (message) => {
+    clearTimeout(connectTimer);
+    state = 'connecting';
+
+    try {
+      user = verifyToken(message.token);
+    } catch (error) {
+      return closeWithError(ws, CLOSE_CODES.UNAUTHORIZED, new SshError('Invalid or expired token', 'UNAUTHORIZED', 'token'));
+    }
+
+    // A valid token may outlive its account, as on the HTTP admin routes
+    let account;
+    try {
+      account = await getActiveUser(user.userId);
+    } catch (error) {
+      sshLogger.error('SSH user lookup error:', error);
+      return closeWithError(ws, CLOSE_CODES.SERVER_ERROR, new SshError('SSH session failed', 'SSH_ERROR', null));
+    }
+    if (!account) {
+      return closeWithError(ws, CLOSE_CODES.UNAUTHORIZED, new SshError('User account not found or inactive', 'UNAUTHORIZED', 'token'));
+    }
+    // Closed while looking up, so no close handler would release a slot
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    const owned = userSessions(user.userId);
+    if (owned.size >= MAX_SESSIONS_PER_USER) {
+      return closeWithError(ws, CLOSE_CODES.TOO_MANY_SESSIONS, new SshError(
+        `You already have ${owned.size} SSH sessions open (limit ${MAX_SESSIONS_PER_USER})`,
+        'TOO_MANY_SESSIONS',
+        null
+      ));
+    }
+
+    // Hold the slot while connecting so parallel sockets cannot exceed the limit
+    session = { userId: user.userId, host: null, port: null, username: null, openedAt: null, remote };
+    owned.add(session);
+
+    let target;
+    let knownHost;
+    try {
+      target = await prepareTarget(message);
+      Object.assign(session, { host: target.host, port: target.port, username: target.username });
+
+      knownHost = await knownHosts.getKnownHost(target.address, target.port);
+      target.knownFingerprint = knownHost ? knownHost.fingerprint : null;
+
+      shell = await openShell(target, {
+        onData: (data) => {
+          // Banners can arrive before the connected status has been sent
+          if (state !== 'open') return pending.push(data);
+          recording.output(data);
+          if (ws.readyState === WebSocket.OPEN) ws.send(data, { binary: true });
+        },
+        onClose: () => {
+          send(ws, { type: 'status', status: 'closed', message: `Connection to ${target.host} closed` });
+          ws.close(1000, 'SSH_CLOSED');
+        }
+      });
+    } catch (error) {
+      if (!(error instanceof SshError)) {
+        sshLogger.error('SSH session error:', error);
+        error = new SshError('SSH session failed', 'SSH_ERROR', null);
+      }
+      sshLogger.warn(`SSH connect failed for user ${user.userId} to ${session.host || message.host}: ${error.code}`);
+      if (error.code === 'HOST_KEY_MISMATCH') sshLogger.warn(`SSH host key rejected: ${error.message}`);
+      return closeWithError(ws, SSH_FAILURES.includes(error.code) ? CLOSE_CODES.SSH_FAILED : CLOSE_CODES.BAD_REQUEST, error);
+    }
+
+    // The browser may have gone away while the device was answering
+    if (ws.readyState !== WebSocket.OPEN) {
+      shell.close();
+      return;
+    }
+
+    // A key accepted through hostFingerprint replaces the stored one
+    const hostKey = !knownHost ? 'new' : knownHost.fingerprint === shell.fingerprint ? 'known' : 'changed';
+    if (hostKey === 'changed') {
+      sshLogger.warn(`SSH host key for ${target.address}:${target.port} changed from ${knownHost.fingerprint} to ${shell.fingerprint}, accepted by user ${user.userId}`);
+    }
+
+    try {
+      await knownHosts.rememberHostKey({ ...target, fingerprint: shell.fingerprint, userId: user.userId });
+    } catch (error) {
+      sshLogger.error('SSH known host error:', error);
+      shell.close();
+      return closeWithError(ws, CLOSE_CODES.SERVER_ERROR, new SshError('The host key could not be stored', 'KNOWN_HOSTS_FAILED', null));
+    }
+
+    try {
+      recording = await recorder.startRecording({ userId: user.userId, ...target });
+    } catch (error) {
+      sshLogger.error('SSH recording error:', error);
+      shell.close();
+      return closeWithError(ws, CLOSE_CODES.SERVER_ERROR, new SshError('The session could not be recorded', 'RECORDING_FAILED', null));
+    }
+    if (ws.readyState !== WebSocket.OPEN) {
+      shell.close();
+      recording.finish().catch(error => sshLogger.error('SSH recording error:', error));
+      return;
+    }
+
+    state = 'open';
+    session.openedAt = new Date();
+    resetIdle();
+    sshLogger.info('SSH session opened', {
+      userId: user.userId,
+      recordingId: recording.id,
+      host: target.host,
+      address: target.address,
+      port: target.port,
+      username: target.username,
+      fingerprint: shell.fingerprint,
+      hostKey,
+      remote
+    });
+    send(ws, {
+      type: 'status',
+      status: 'connected',
+      message: `Connected to ${target.username}@${target.host}:${target.port}`,
+      fingerprint: shell.fingerprint,
+      hostKey
+    });
+    pending.splice(0).forEach((data) => {
+      recording.output(data);
+      ws.send(data, { binary: true });
+    });
+  };
+
+  ws.on('message', (raw, isBinary) => {
+    let message;
+    try {
+      message = JSON.parse(isBinary ? raw.toString('utf8') : raw);
+    } catch (error) {
+      return closeWithError(ws, CLOSE_CODES.BAD_REQUEST, new SshError('Messages must be JSON', 'INVALID_MESSAGE', null));
+    }
+
+    if (state === 'waiting') {
+      if (message.type !== 'connect') {
+        return closeWithError(ws, CLOSE_CODES.BAD_REQUEST, new SshError('The first message must be "connect"', 'INVALID_MESSAGE', null));
+      }
+      return start(message).catch((error) => {
+        sshLogger.error('SSH session error:', error);
+        closeWithError(ws, CLOSE_CODES.SERVER_ERROR, new SshError('SSH session failed', 'SSH_ERROR', null));
+      });
+    }
+    if (state !== 'open') return;
+
+    if (message.type === 'data' && typeof message.data === 'string') {
+      resetIdle();
+      recording.input(message.data);
+      shell.write(message.data);
+    } else if (message.type === 'resize') {
+      const cols = terminalSize(message.cols, 80);
+      const rows = terminalSize(message.rows, 24);
+      recording.resize(cols, rows);
+      shell.resize(cols, rows);
+    } else if (message.type === 'disconnect') {
+      ws.close(1000, 'DISCONNECTED');
+    }
+  });
+
+  ws.on('close', () => {
+    clearTimeout(connectTimer);
+    clearTimeout(idleTimer);
+    if (shell) shell.close();
+    if (recording) {
+      recording.finish().catch(error => sshLogger.error('SSH recording error:', error));
+    }
+    if (session) {
+      releaseSession(session.userId, session);
+      if (session.openedAt) {
+        sshLogger.info('SSH session closed', {
+          userId: session.userId,
+          host: session.host,
+          port: session.port,
+          username: session.username,
+          durationSeconds: Math.round((Date.now() - session.openedAt.getTime()) / 1000)
+        });
+      }
+    }
+  });
+
+  ws.on('error', error => sshLogger.warn('SSH WebSocket error:', error.message));
+}
+
+/**
+ * Serve the gateway on an HTTP server's upgrade requests
+ * @param {http.Server} server - Server returned by app.listen
+ * @returns {WebSocket.Server}
+ */
+function attach(server) {
+  const wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== GATEWAY_PATH) {
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.isAlive = true;
+      ws.on('pong', () => { ws.isAlive = true; });
+      handleConnection(ws, req);
+    });
+  });
+
+  // Drop sockets whose browser vanished without closing them
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (ws.isAlive === false) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  sshLogger.info(`SSH gateway listening on ${GATEWAY_PATH}`);
+  return wss;
+}
+
+module.exports = {
+  GATEWAY_PATH,
+  SshError,
+  attach,
+  recordings: recorder
+};
@@ -0,0 +1,53 @@
+/**
+ * SSH Known Hosts
+ * Network Engineers Toolkit Backend
+ *
+ * Host keys seen by the browser terminal, keyed by address and port. A key
+ * is trusted the first time a device is reached; later sessions must see
+ * the same key unless the user names the new one in hostFingerprint.
+ */
+
+const db = require('../../database/connection');
+
+/**
+ * Stored host key for a device
+ * @param {string} address - Resolved device address
+ * @param {number} port - SSH port
+ * @returns {Promise<Object|null>} ssh_known_hosts row, null when never seen
+ */
+async function getKnownHost(address, port) {
+  const result = await db.query(
+    'SELECT address, port, host, fingerprint, first_seen_at, last_seen_at FROM ssh_known_hosts WHERE address = $1 AND port = $2',
+    [address, port]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record the host key a session was opened with
+ * @param {Object} seen
+ * @param {string} seen.address
+ * @param {number} seen.port
+ * @param {string} seen.host - Host as entered
+ * @param {string} seen.fingerprint - SHA256 host key fingerprint
+ * @param {string} seen.userId - User who opened the session
+ */
+async function rememberHostKey(seen) {
+  await db.query(`
+    INSERT INTO ssh_known_hosts (address, port, host, fingerprint, accepted_by)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (address, port) DO UPDATE SET
+      host = EXCLUDED.host,
+      last_seen_at = CURRENT_TIMESTAMP,
+      fingerprint = EXCLUDED.fingerprint,
+      accepted_by = CASE WHEN ssh_known_hosts.fingerprint = EXCLUDED.fingerprint
+        THEN ssh_known_hosts.accepted_by ELSE EXCLUDED.accepted_by END,
+      first_seen_at = CASE WHEN ssh_known_hosts.fingerprint = EXCLUDED.fingerprint
+        THEN ssh_known_hosts.first_seen_at ELSE CURRENT_TIMESTAMP END
+  `, [seen.address, seen.port, seen.host, seen.fingerprint, seen.userId]);
+}
+
+module.exports = {
+  getKnownHost,
+  rememberHostKey
+};
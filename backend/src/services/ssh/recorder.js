@@ -0,0 +1,201 @@
+/**
+ * SSH Session Recordings
+ * Network Engineers Toolkit Backend
+ *
+ * Records browser terminal sessions in asciicast v2 format
+ * (https://docs.asciinema.org/manual/asciicast/v2/): a JSON header line
+ * followed by one [seconds, code, data] line per event, where code is
+ * "o" for output, "i" for keystrokes and "r" for resizes ("COLSxROWS").
+ * Casts are written to SSH_RECORDINGS_DIR as the session runs; the
+ * terminal_recordings row holds who connected where and when, plus the
+ * plain text of the output so recordings can be searched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const db = require('../../database/connection');
+
+const RECORDINGS_DIR = process.env.SSH_RECORDINGS_DIR || path.join(process.cwd(), 'recordings');
+const MAX_TRANSCRIPT_CHARS = 1000000;
+
+const RECORDING_COLUMNS = `id, user_id, username, host, address, port, device_username, cols, rows,
+  bytes, duration, started_at, ended_at`;
+
+// CSI, OSC and two-character escape sequences
+const ANSI_PATTERN = /\x1b(?:\[[0-?]*[ -/]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)|[@-Z\\-_])/g;
+const CONTROL_PATTERN = /[\x00-\x08\x0b-\x1f\x7f]/g;
+
+/**
+ * Plain text of terminal output, for searching
+ * @param {string} text - Output with escape sequences
+ * @returns {string}
+ */
+function stripAnsi(text) {
+  return text
+    .replace(ANSI_PATTERN, '')
+    .replace(/\r\n/g, '\n')
+    .replace(CONTROL_PATTERN, '');
+}
+
+function castPath(id) {
+  return path.join(RECORDINGS_DIR, `${id}.cast`);
+}
+
+/**
+ * Start recording a session
+ * @param {Object} session
+ * @param {string} session.userId - Toolkit user who opened the session
+ * @param {string} session.host - Host as entered
+ * @param {string} session.address - Resolved address
+ * @param {number} session.port
+ * @param {string} session.username - User name on the device
+ * @param {number} session.cols
+ * @param {number} session.rows
+ * @returns {Promise<Object>} { id, output(buffer), input(text), resize(cols, rows), finish() }
+ */
+async function startRecording(session) {
+  await fs.promises.mkdir(RECORDINGS_DIR, { recursive: true });
+
+  const startedAt = new Date();
+  const result = await db.query(`
+    INSERT INTO terminal_recordings (user_id, username, host, address, port, device_username, cols, rows, started_at)
+    VALUES ($1, (SELECT username FROM users WHERE id = $1), $2, $3, $4, $5, $6, $7, $8)
+    RETURNING id
+  `, [session.userId, session.host, session.address, session.port, session.username, session.cols, session.rows, startedAt]);
+
+  const { id } = result.rows[0];
+  const file = fs.createWriteStream(castPath(id), { flags: 'wx' });
+  const decoder = new StringDecoder('utf8');
+  const start = process.hrtime.bigint();
+  let transcript = '';
+  let bytes = 0;
+  let finished = false;
+
+  const elapsed = () => Math.round(Number(process.hrtime.bigint() - start) / 1000) / 1000000;
+  const event = (code, data) => {
+    if (!finished) file.write(`${JSON.stringify([elapsed(), code, data])}\n`);
+  };
+
+  file.write(`${JSON.stringify({
+    version: 2,
+    width: session.cols,
+    height: session.rows,
+    timestamp: Math.floor(startedAt.getTime() / 1000),
+    env: { TERM: 'xterm-256color' },
+    title: `${session.username}@${session.host}:${session.port}`
+  })}\n`);
+
+  return {
+    id,
+
+    output(chunk) {
+      // Multi-byte characters can be split across chunks
+      const text = decoder.write(chunk);
+      bytes += chunk.length;
+      if (!text) return;
+      event('o', text);
+      if (transcript.length < MAX_TRANSCRIPT_CHARS) {
+        transcript += stripAnsi(text).slice(0, MAX_TRANSCRIPT_CHARS - transcript.length);
+      }
+    },
+
+    input(text) {
+      event('i', text);
+    },
+
+    resize(cols, rows) {
+      event('r', `${cols}x${rows}`);
+    },
+
+    async finish() {
+      if (finished) return;
+      const duration = elapsed();
+      const rest = decoder.end();
+      if (rest) event('o', rest);
+      finished = true;
+
+      await new Promise(resolve => file.end(resolve));
+      await db.query(`
+        UPDATE terminal_recordings
+        SET ended_at = CURRENT_TIMESTAMP, duration = $2, bytes = $3, transcript = $4
+        WHERE id = $1
+      `, [id, duration, bytes, transcript]);
+    }
+  };
+}
+
+/**
+ * List recordings, newest first
+ * @param {Object} [filter]
+ * @param {string} [filter.q] - Text that appeared in the session output
+ * @param {string} [filter.user] - Toolkit user name
+ * @param {string} [filter.host] - Device host or address
+ * @param {number} [filter.limit=50]
+ * @param {number} [filter.offset=0]
+ * @returns {Promise<Object>} { recordings, total }
+ */
+async function listRecordings(filter = {}) {
+  const conditions = [];
+  const values = [];
+  const like = value => `%${String(value).replace(/[\\%_]/g, '\\$&')}%`;
+
+  if (filter.q) {
+    values.push(like(filter.q));
+    conditions.push(`transcript ILIKE $${values.length}`);
+  }
+  if (filter.user) {
+    values.push(like(filter.user));
+    conditions.push(`username ILIKE $${values.length}`);
+  }
+  if (filter.host) {
+    values.push(like(filter.host));
+    conditions.push(`(host ILIKE $${values.length} OR address ILIKE $${values.length})`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const total = await db.query(`SELECT COUNT(*) AS count FROM terminal_recordings ${where}`, values);
+
+  values.push(filter.limit || 50, filter.offset || 0);
+  const result = await db.query(`
+    SELECT ${RECORDING_COLUMNS} FROM terminal_recordings ${where}
+    ORDER BY started_at DESC
+    LIMIT $${values.length - 1} OFFSET $${values.length}
+  `, values);
+
+  return { recordings: result.rows, total: parseInt(total.rows[0].count, 10) };
+}
+
+/**
+ * Get one recording's details
+ * @param {string} id - Recording ID
+ * @returns {Promise<Object|null>}
+ */
+async function getRecording(id) {
+  const result = await db.query(`SELECT ${RECORDING_COLUMNS} FROM terminal_recordings WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Open a recording's asciicast file
+ * @param {string} id - Recording ID
+ * @returns {Promise<fs.ReadStream|null>} null when the file is missing
+ */
+async function openCast(id) {
+  const file = castPath(id);
+  try {
+    await fs.promises.access(file, fs.constants.R_OK);
+  } catch (error) {
+    return null;
+  }
+  return fs.createReadStream(file);
+}
+
+module.exports = {
+  RECORDINGS_DIR,
+  stripAnsi,
+  startRecording,
+  listRecordings,
+  getRecording,
+  openCast
+};
@@ -0,0 +1,162 @@
+/**
+ * SSH Shell Sessions
+ * Network Engineers Toolkit Backend
+ *
+ * Opens an interactive shell on a device with ssh2 and exposes it as a
+ * small write/resize/close handle for the WebSocket gateway.
+ */
+
+const crypto = require('crypto');
+const { Client } = require('ssh2');
+
+const CONNECT_TIMEOUT_MS = parseInt(process.env.SSH_CONNECT_TIMEOUT_MS, 10) || 20000;
+const KEEPALIVE_INTERVAL_MS = 30000;
+
+/**
+ * Error raised for sessions that cannot be opened
+ */
+class SshError extends Error {
+  constructor(message, code = 'SSH_ERROR', field = 'host') {
+    super(message);
+    this.name = 'SshError';
+    this.code = code;
+    this.field = field;
+  }
+}
+
+/**
+ * OpenSSH-style fingerprint of a raw host key, e.g. SHA256:nThbg6kX...
+ * @param {Buffer} key - Host key blob
+ * @returns {string} Fingerprint
+ */
+function fingerprintKey(key) {
+  return `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+}
+
+/**
+ * Connect and start a shell
+ * @param {Object} target
+ * @param {string} target.address - Resolved device address
+ * @param {number} target.port - SSH port
+ * @param {string} target.username
+ * @param {string} [target.password] - Also answers keyboard-interactive prompts
+ * @param {string} [target.privateKey] - PEM or OpenSSH private key
+ * @param {string} [target.passphrase] - Private key passphrase
+ * @param {string} [target.hostFingerprint] - Expected SHA256 host key fingerprint
+ * @param {string} [target.knownFingerprint] - Fingerprint seen on earlier sessions,
+ *   checked when hostFingerprint is not given
+ * @param {number} target.cols - Terminal width
+ * @param {number} target.rows - Terminal height
+ * @param {Object} handlers
+ * @param {Function} handlers.onData - Called with each Buffer of shell output
+ * @param {Function} handlers.onClose - Called once when the shell or connection ends
+ * @returns {Promise<Object>} { fingerprint, write(data), resize(cols, rows), close() }
+ */
+function openShell(target, handlers) {
+  const { onData, onClose } = handlers;
+
+  return new Promise((resolve, reject) => {
+    const conn = new Client();
+    let fingerprint = null;
+    let hostKeyRejected = false;
+    let opened = false;
+    let closed = false;
+    let failed = false;
+
+    const fail = (error) => {
+      failed = true;
+      conn.end();
+      reject(error);
+    };
+
+    const finish = () => {
+      if (closed) return;
+      closed = true;
+      if (opened) {
+        onClose();
+      } else if (!failed) {
+        fail(new SshError(`${target.address}:${target.port} closed the connection`, 'CONNECT_FAILED'));
+      }
+    };
+
+    conn.on('keyboard-interactive', (name, instructions, lang, prompts, answer) => {
+      answer(prompts.map(() => target.password || ''));
+    });
+
+    conn.on('ready', () => {
+      conn.shell({ term: 'xterm-256color', cols: target.cols, rows: target.rows }, (error, stream) => {
+        if (error) {
+          return fail(new SshError(`Could not start a shell: ${error.message}`, 'SHELL_FAILED'));
+        }
+
+        opened = true;
+        stream.on('data', onData);
+        stream.stderr.on('data', onData);
+        stream.on('close', () => {
+          conn.end();
+          finish();
+        });
+
+        resolve({
+          fingerprint,
+          write: data => stream.write(data),
+          resize: (cols, rows) => stream.setWindow(rows, cols, 0, 0),
+          close: () => conn.end()
+        });
+      });
+    });
+
+    conn.on('error', (error) => {
+      if (opened) return finish();
+      if (failed) return;
+
+      if (hostKeyRejected) {
+        fail(new SshError(
+          target.hostFingerprint
+            ? `Host key ${fingerprint} does not match the expected fingerprint`
+            : `Host key ${fingerprint} differs from ${target.knownFingerprint} seen on earlier sessions; ` +
+              'reconnect with the new fingerprint if the device\'s key was replaced',
+          'HOST_KEY_MISMATCH',
+          'hostFingerprint'
+        ));
+      } else if (error.level === 'client-authentication') {
+        fail(new SshError('Authentication failed', 'AUTH_FAILED', 'password'));
+      } else if (error.level === 'client-timeout') {
+        fail(new SshError(`Timed out connecting to ${target.address}:${target.port}`, 'CONNECT_TIMEOUT'));
+      } else {
+        fail(new SshError(`Could not connect to ${target.address}:${target.port}: ${error.message}`, 'CONNECT_FAILED'));
+      }
+    });
+
+    conn.on('close', finish);
+
+    try {
+      conn.connect({
+        host: target.address,
+        port: target.port,
+        username: target.username,
+        password: target.password || undefined,
+        privateKey: target.privateKey || undefined,
+        passphrase: target.passphrase || undefined,
+        tryKeyboard: Boolean(target.password),
+        readyTimeout: CONNECT_TIMEOUT_MS,
+        keepaliveInterval: KEEPALIVE_INTERVAL_MS,
+        hostVerifier: (key) => {
+          const expected = target.hostFingerprint || target.knownFingerprint;
+          fingerprint = fingerprintKey(key);
+          hostKeyRejected = Boolean(expected) && expected !== fingerprint;
+          return !hostKeyRejected;
+        }
+      });
+    } catch (error) {
+      // ssh2 throws straight away for keys it cannot parse
+      fail(new SshError(error.message, 'INVALID_KEY', 'privateKey'));
+    }
+  });
+}
+
+module.exports = {
+  SshError,
+  fingerprintKey,
+  openShell
+};
@@ -0,0 +1,132 @@
+/**
+ * Syslog Stream Framing
+ * Network Engineers Toolkit Backend
+ *
+ * Splits TCP and TLS byte streams into syslog messages. RFC 6587 allows
+ * two framings on plain TCP: octet counting ("<length> <message>") and
+ * non-transparent framing, where each message ends with LF. RFC 5425 (TLS)
+ * only allows octet counting. Senders may switch framing between messages,
+ * so every frame is detected from its first bytes. Messages longer than the
+ * receiver's limit are truncated, as RFC 5425 4.3.1 permits.
+ */
+
+const { SyslogError } = require('../../shared/syslog');
+
+const DEFAULT_MAX_LENGTH = 8192;
+const LF = 0x0a;
+
+// MSG-LEN is a non-zero decimal with no leading zeros, followed by one space
+const OCTET_COUNT_PATTERN = /^([1-9]\d{0,8}) /;
+const PARTIAL_COUNT_PATTERN = /^[1-9]\d{0,8}$/;
+
+class FrameDecoder {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxLength=8192] - Longest message kept, in octets
+   * @param {boolean} [options.octetCountingOnly=false] - Reject LF-framed
+   *   messages (RFC 5425)
+   */
+  constructor(options = {}) {
+    this.maxLength = options.maxLength || DEFAULT_MAX_LENGTH;
+    this.octetCountingOnly = Boolean(options.octetCountingOnly);
+    this.buffer = Buffer.alloc(0);
+    this.frame = null;
+    this.discarding = false;
+  }
+
+  /**
+   * Add received bytes and return the messages they complete
+   * @param {Buffer} chunk
+   * @returns {Array<string>} Complete messages
+   * @throws {SyslogError} When octet counting is required and a frame lacks it
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const messages = [];
+
+    while (this.buffer.length > 0) {
+      if (this.frame) {
+        this.readCounted(messages);
+        continue;
+      }
+
+      const head = this.buffer.subarray(0, 11).toString('latin1');
+      const count = OCTET_COUNT_PATTERN.exec(head);
+      if (count) {
+        this.frame = { remaining: Number(count[1]), parts: [], length: 0 };
+        this.buffer = this.buffer.subarray(count[0].length);
+        continue;
+      }
+      if (PARTIAL_COUNT_PATTERN.test(head)) break;
+
+      if (this.octetCountingOnly) {
+        throw new SyslogError('Messages must be framed with an octet count (RFC 5425)', 'FRAMING_ERROR', 'stream');
+      }
+      if (!this.readLine(messages)) break;
+    }
+
+    return messages;
+  }
+
+  /**
+   * Return a final LF-framed message left without its LF when the
+   * connection closes
+   * @returns {string|null}
+   */
+  end() {
+    const rest = this.frame || this.discarding ? '' : this.buffer.toString('utf8');
+    this.buffer = Buffer.alloc(0);
+    this.frame = null;
+    this.discarding = false;
+    return rest.trim() === '' ? null : rest;
+  }
+
+  readCounted(messages) {
+    const take = Math.min(this.frame.remaining, this.buffer.length);
+    const keep = Math.min(take, this.maxLength - this.frame.length);
+    if (keep > 0) {
+      this.frame.parts.push(this.buffer.subarray(0, keep));
+      this.frame.length += keep;
+    }
+    this.frame.remaining -= take;
+    this.buffer = this.buffer.subarray(take);
+
+    if (this.frame.remaining === 0) {
+      messages.push(Buffer.concat(this.frame.parts).toString('utf8'));
+      this.frame = null;
+    }
+  }
+
+  /**
+   * Take one LF-terminated message from the buffer
+   * @returns {boolean} false when more data is needed
+   */
+  readLine(messages) {
+    const end = this.buffer.indexOf(LF);
+
+    if (end < 0) {
+      if (this.discarding) {
+        this.buffer = Buffer.alloc(0);
+      } else if (this.buffer.length > this.maxLength) {
+        messages.push(this.buffer.subarray(0, this.maxLength).toString('utf8'));
+        this.buffer = Buffer.alloc(0);
+        this.discarding = true;
+      }
+      return false;
+    }
+
+    const line = this.buffer.subarray(0, Math.min(end, this.maxLength));
+    this.buffer = this.buffer.subarray(end + 1);
+    if (this.discarding) {
+      this.discarding = false;
+    } else {
+      messages.push(line.toString('utf8').replace(/\r$/, ''));
+    }
+    return true;
+  }
+}
+
+module.exports = {
+  FrameDecoder,
+  DEFAULT_MAX_LENGTH
+};
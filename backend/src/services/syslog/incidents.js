@@ -0,0 +1,34 @@
+/**
+ * Syslog Incidents
+ * Network Engineers Toolkit Backend
+ *
+ * Runs the shared correlation engine (shared/syslogCorrelate.js) over stored
+ * events, so incidents, flap counts and storms can be pulled from the API
+ * with the same rules the syslog page uses.
+ */
+
+const SyslogCorrelate = require('../../shared/syslogCorrelate');
+const store = require('./store');
+
+/**
+ * Correlate stored events into incidents
+ * @param {Object} [filters] - As for store.queryEvents; limit defaults to the most allowed
+ * @param {Object} [config] - Rules and storm settings, default SyslogCorrelate.DEFAULT_CONFIG
+ * @returns {Promise<Object>} The correlation with range { from, to } and truncated
+ * @throws {SyslogError} INVALID_RULE, INVALID_QUERY or INVALID_FILTER
+ */
+async function correlateEvents(filters = {}, config) {
+  // Check the rules before reading thousands of events
+  SyslogCorrelate.compileConfig(config);
+
+  const result = await store.queryEvents({ limit: store.MAX_LIMIT, ...filters });
+  return {
+    ...SyslogCorrelate.correlate(result.events, config),
+    range: { from: result.from, to: result.to },
+    truncated: result.truncated
+  };
+}
+
+module.exports = {
+  correlateEvents
+};
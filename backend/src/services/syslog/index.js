@@ -0,0 +1,353 @@
+/**
+ * Syslog Collector
+ * Network Engineers Toolkit Backend
+ *
+ * Optional listeners that receive syslog from devices and store it for the
+ * syslog page's live mode:
+ *   udp - RFC 5426, one message per datagram (SYSLOG_UDP_PORT, default 514)
+ *   tcp - RFC 6587, octet-counted or LF-framed (SYSLOG_TCP_PORT, default 601)
+ *   tls - RFC 5425, octet-counted (SYSLOG_TLS_PORT, default 6514)
+ * SYSLOG_LISTENERS picks which run; none do unless it is set. Messages are
+ * parsed with the shared parser and written to syslog_events in batches.
+ * When the database falls behind, up to SYSLOG_MAX_QUEUE events wait and
+ * later ones are dropped and counted.
+ */
+
+const dgram = require('dgram');
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
+const winston = require('winston');
+const subnet = require('../../shared/subnet');
+const { SyslogError, parseLine } = require('../../shared/syslog');
+const { getNumberSetting } = require('../../utils/settings');
+const { FrameDecoder } = require('./framing');
+const store = require('./store');
+const savedQueries = require('./savedQueries');
+const incidents = require('./incidents');
+
+const syslogLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'syslog' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/syslog.log' }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const DEFAULT_PORTS = { udp: 514, tcp: 601, tls: 6514 };
+const MAX_MESSAGE_BYTES = parseInt(process.env.SYSLOG_MAX_MESSAGE_BYTES, 10) || 8192;
+const MAX_QUEUE = parseInt(process.env.SYSLOG_MAX_QUEUE, 10) || 20000;
+const MAX_CONNECTIONS = parseInt(process.env.SYSLOG_MAX_CONNECTIONS, 10) || 500;
+const BATCH_SIZE = 500;
+const FLUSH_INTERVAL_MS = 1000;
+const MAINTENANCE_INTERVAL_MS = 3600000;
+const CONNECTION_IDLE_TIMEOUT_MS = 10 * 60 * 1000;
+
+const listeners = [];
+const counters = { received: 0, stored: 0, dropped: 0, rejected: 0 };
+let queue = [];
+let flushing = null;
+let flushTimer = null;
+let maintenanceTimer = null;
+
+function enabledTransports() {
+  const names = String(process.env.SYSLOG_LISTENERS || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+
+  names.forEach((name) => {
+    if (!DEFAULT_PORTS[name]) {
+      throw new SyslogError(`SYSLOG_LISTENERS entries must be udp, tcp or tls, not "${name}"`, 'INVALID_CONFIG', 'SYSLOG_LISTENERS');
+    }
+  });
+  return [...new Set(names)];
+}
+
+function listenerPort(transport) {
+  const port = parseInt(process.env[`SYSLOG_${transport.toUpperCase()}_PORT`], 10);
+  return Number.isInteger(port) && port > 0 && port < 65536 ? port : DEFAULT_PORTS[transport];
+}
+
+function allowedNetworks() {
+  return String(process.env.SYSLOG_ALLOWED_NETWORKS || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => subnet.parseCidr(item, 'SYSLOG_ALLOWED_NETWORKS'));
+}
+
+// Dual-stack sockets report IPv4 senders as ::ffff:a.b.c.d
+function senderAddress(address) {
+  return /^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(address) ? address.slice(7) : address;
+}
+
+function isAllowed(networks, address) {
+  if (networks.length === 0) return true;
+
+  const parsed = subnet.parseCidr(address);
+  return networks.some((network) => {
+    const shift = BigInt(network.bits - network.prefix);
+    return network.version === parsed.version && (parsed.network >> shift) === (network.network >> shift);
+  });
+}
+
+/**
+ * Parse one received message and queue it for storage
+ * @param {string} message - Message text without framing
+ * @param {string} address - Sender address
+ * @param {string} transport - udp, tcp or tls
+ */
+function receive(message, address, transport) {
+  const text = message.replace(/[\r\n\0]+$/, '');
+  if (text.trim() === '') return;
+
+  counters.received++;
+  if (queue.length >= MAX_QUEUE) {
+    counters.dropped++;
+    return;
+  }
+
+  const receivedAt = new Date();
+  const entry = parseLine(text, { now: receivedAt }) || { 'event.original': text, message: text.trim() };
+  if (!entry['host.name']) entry['host.name'] = address;
+
+  queue.push({ receivedAt, sourceAddress: address, transport, entry });
+  if (queue.length >= BATCH_SIZE) flush();
+}
+
+/**
+ * Write queued events to the store
+ * @returns {Promise<void>} Resolves once everything queued so far is written
+ */
+function flush() {
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    while (queue.length > 0) {
+      const batch = queue.slice(0, BATCH_SIZE);
+      queue = queue.slice(batch.length);
+      try {
+        counters.stored += await store.insertEvents(batch);
+      } catch (error) {
+        counters.dropped += batch.length;
+        syslogLogger.error('Failed to store syslog events', { count: batch.length, error: error.message });
+      }
+    }
+  })().finally(() => {
+    flushing = null;
+  });
+  return flushing;
+}
+
+function startUdp(listener, networks) {
+  const socket = dgram.createSocket({ type: net.isIPv6(listener.address) ? 'udp6' : 'udp4', reuseAddr: true });
+
+  socket.on('message', (datagram, remote) => {
+    const address = senderAddress(remote.address);
+    if (!isAllowed(networks, address)) {
+      counters.rejected++;
+      return;
+    }
+    receive(datagram.subarray(0, MAX_MESSAGE_BYTES).toString('utf8'), address, 'udp');
+  });
+
+  return new Promise((resolve, reject) => {
+    socket.once('error', reject);
+    socket.bind(listener.port, listener.address, () => {
+      socket.removeListener('error', reject);
+      socket.on('error', error => syslogLogger.error('UDP listener error', { error: error.message }));
+      resolve(socket);
+    });
+  });
+}
+
+/**
+ * Read framed messages from one TCP or TLS connection
+ */
+function handleConnection(socket, transport, networks) {
+  const address = senderAddress(socket.remoteAddress || '');
+  if (!address || !isAllowed(networks, address) || listeners.reduce((total, item) => total + item.connections.size, 0) > MAX_CONNECTIONS) {
+    counters.rejected++;
+    socket.destroy();
+    return;
+  }
+
+  const decoder = new FrameDecoder({ maxLength: MAX_MESSAGE_BYTES, octetCountingOnly: transport === 'tls' });
+  socket.setTimeout(CONNECTION_IDLE_TIMEOUT_MS, () => socket.destroy());
+
+  socket.on('data', (chunk) => {
+    try {
+      decoder.push(chunk).forEach(message => receive(message, address, transport));
+    } catch (error) {
+      syslogLogger.warn('Closing syslog connection', { transport, address, error: error.message });
+      socket.destroy();
+    }
+  });
+  socket.on('end', () => {
+    const rest = decoder.end();
+    if (rest) receive(rest, address, transport);
+  });
+  socket.on('error', (error) => {
+    syslogLogger.warn('Syslog connection error', { transport, address, error: error.message });
+  });
+}
+
+function tlsOptions() {
+  const { SYSLOG_TLS_CERT, SYSLOG_TLS_KEY, SYSLOG_TLS_CA } = process.env;
+  if (!SYSLOG_TLS_CERT || !SYSLOG_TLS_KEY) {
+    throw new SyslogError('The TLS listener needs SYSLOG_TLS_CERT and SYSLOG_TLS_KEY', 'INVALID_CONFIG', 'SYSLOG_TLS_CERT');
+  }
+
+  // RFC 5425 5.2: with a CA configured, senders must present a certificate it issued
+  const options = {
+    cert: fs.readFileSync(SYSLOG_TLS_CERT),
+    key: fs.readFileSync(SYSLOG_TLS_KEY),
+    minVersion: 'TLSv1.2'
+  };
+  if (SYSLOG_TLS_CA) {
+    options.ca = fs.readFileSync(SYSLOG_TLS_CA);
+    options.requestCert = true;
+    options.rejectUnauthorized = true;
+  }
+  return options;
+}
+
+function startStream(listener, networks) {
+  const server = listener.transport === 'tls'
+    ? tls.createServer(tlsOptions())
+    : net.createServer();
+
+  server.on(listener.transport === 'tls' ? 'secureConnection' : 'connection', (socket) => {
+    listener.connections.add(socket);
+    socket.on('close', () => listener.connections.delete(socket));
+    handleConnection(socket, listener.transport, networks);
+  });
+  if (listener.transport === 'tls') {
+    server.on('tlsClientError', (error, socket) => {
+      counters.rejected++;
+      syslogLogger.warn('TLS handshake failed', { address: socket.remoteAddress, error: error.message });
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(listener.port, listener.address, () => {
+      server.removeListener('error', reject);
+      server.on('error', error => syslogLogger.error('Syslog listener error', { transport: listener.transport, error: error.message }));
+      resolve(server);
+    });
+  });
+}
+
+async function runMaintenance() {
+  try {
+    const dropped = await store.maintainPartitions();
+    if (dropped.length > 0) {
+      syslogLogger.info('Dropped expired syslog partitions', { partitions: dropped });
+    }
+  } catch (error) {
+    syslogLogger.error('Syslog partition maintenance failed', { error: error.message });
+  }
+}
+
+/**
+ * Start the listeners named in SYSLOG_LISTENERS and the partition
+ * maintenance. A listener that cannot start is logged and left stopped;
+ * the others still run.
+ * @returns {Promise<Array<Object>>} Listener status
+ */
+async function start() {
+  await runMaintenance();
+  maintenanceTimer = setInterval(runMaintenance, MAINTENANCE_INTERVAL_MS);
+  maintenanceTimer.unref();
+
+  let transports;
+  let networks;
+  try {
+    transports = enabledTransports();
+    networks = allowedNetworks();
+  } catch (error) {
+    syslogLogger.error('Syslog listeners not started', { error: error.message });
+    return getListeners();
+  }
+  if (transports.length === 0) return getListeners();
+
+  flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+  flushTimer.unref();
+
+  const address = process.env.SYSLOG_BIND_ADDRESS || '0.0.0.0';
+  for (const transport of transports) {
+    const listener = { transport, address, port: listenerPort(transport), connections: new Set(), server: null, error: null };
+    listeners.push(listener);
+
+    try {
+      listener.server = transport === 'udp'
+        ? await startUdp(listener, networks)
+        : await startStream(listener, networks);
+      syslogLogger.info(`Syslog ${transport.toUpperCase()} listener on ${address}:${listener.port}`);
+    } catch (error) {
+      listener.error = error.message;
+      syslogLogger.error(`Syslog ${transport.toUpperCase()} listener failed to start`, { port: listener.port, error: error.message });
+    }
+  }
+
+  return getListeners();
+}
+
+/**
+ * Close the listeners and write out queued events
+ * @returns {Promise<void>}
+ */
+async function stop() {
+  clearInterval(flushTimer);
+  clearInterval(maintenanceTimer);
+
+  await Promise.all(listeners.splice(0).map(listener => new Promise((resolve) => {
+    listener.connections.forEach(socket => socket.destroy());
+    if (listener.server) listener.server.close(() => resolve());
+    else resolve();
+  })));
+
+  await flush();
+}
+
+function getListeners() {
+  return listeners.map(listener => ({
+    transport: listener.transport,
+    address: listener.address,
+    port: listener.port,
+    listening: Boolean(listener.server),
+    connections: listener.connections.size,
+    error: listener.error
+  }));
+}
+
+/**
+ * Listener status and counters since the server started
+ * @returns {Promise<Object>} { listeners, received, stored, dropped, rejected, queued, retentionDays }
+ */
+async function getStatus() {
+  return {
+    listeners: getListeners(),
+    ...counters,
+    queued: queue.length,
+    retentionDays: await getNumberSetting('syslog_retention_days', store.DEFAULT_RETENTION_DAYS)
+  };
+}
+
+module.exports = {
+  SyslogError,
+  start,
+  stop,
+  flush,
+  getStatus,
+  queryEvents: store.queryEvents,
+  correlateEvents: incidents.correlateEvents,
+  savedQueries
+};
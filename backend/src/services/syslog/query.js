@@ -0,0 +1,143 @@
+/**
+ * Syslog Query SQL
+ * Network Engineers Toolkit Backend
+ *
+ * Turns a tree from the shared query parser (shared/syslogQuery.js) into a
+ * WHERE clause over syslog_events that matches what the browser's
+ * compile() matches: wildcards become ILIKE, regular expressions use
+ * PostgreSQL's ~ / ~*, and fields without a column are read from the
+ * fields JSONB. Every term is wrapped in COALESCE(..., false) so that NOT
+ * of a missing field is true, as it is in the browser.
+ */
+
+const { CONTAINS_FIELDS, resolveTime } = require('../../shared/syslogQuery');
+
+// Query fields stored in their own columns
+const COLUMNS = {
+  '@timestamp': 'COALESCE(event_time, received_at)',
+  'event.created': 'received_at',
+  'host.name': 'host',
+  'message': 'message',
+  'event.original': 'original',
+  'event.code': 'event_code',
+  'process.name': 'program',
+  'process.pid': 'pid',
+  'log.source.address': 'source_address',
+  'network.transport': 'transport',
+  'log.syslog.format': 'format',
+  'log.syslog.priority': '(facility * 8 + severity)',
+  'log.syslog.severity.code': 'severity',
+  'log.syslog.facility.code': 'facility'
+};
+
+const NUMERIC_COLUMNS = ['log.syslog.priority', 'log.syslog.severity.code', 'log.syslog.facility.code'];
+const NUMBER_PATTERN = "'^-?[0-9]+(\\.[0-9]+)?$'";
+
+const SEARCH_EXPRESSIONS = ['message', 'host', 'program', 'event_code', "fields->>'event.category'"];
+
+// "*" matches anything; other LIKE wildcards are taken literally
+function likePattern(text, literal) {
+  const escaped = text.replace(/[\\%_]/g, '\\$&');
+  return literal ? escaped : escaped.replace(/\*/g, '%');
+}
+
+class SqlBuilder {
+  constructor(values, now) {
+    this.values = values;
+    this.now = now;
+  }
+
+  param(value) {
+    this.values.push(value);
+    return `$${this.values.length}`;
+  }
+
+  // Text form of a field
+  text(term) {
+    if (term.field === 'log.source.address') return 'host(source_address)';
+    if (NUMERIC_COLUMNS.includes(term.field)) return `${COLUMNS[term.field]}::text`;
+    if (COLUMNS[term.field]) return COLUMNS[term.field];
+    return `(fields->>${this.param(term.field)})`;
+  }
+
+  // Numeric form of a field, NULL when its text is not a number
+  number(term) {
+    if (NUMERIC_COLUMNS.includes(term.field)) return COLUMNS[term.field];
+    const text = this.text(term);
+    return `(CASE WHEN ${text} ~ ${NUMBER_PATTERN} THEN ${text}::numeric END)`;
+  }
+
+  // Condition on one value expression
+  test(term, expression) {
+    if (term.op === '~') {
+      return `${expression} ${term.flags === 'i' ? '~*' : '~'} ${this.param(term.value)}`;
+    }
+    if (term.op === ':') {
+      const anywhere = term.kind === 'search' || CONTAINS_FIELDS.includes(term.field);
+      const pattern = likePattern(term.value, term.quoted);
+      return `${expression} ILIKE ${this.param(anywhere ? `%${pattern}%` : pattern)}`;
+    }
+    return `${expression} ${term.op} ${this.param(term.value)}`;
+  }
+
+  structuredData(term) {
+    const name = this.param(term.param);
+    const data = "jsonb_each(fields->'log.syslog.structured_data') AS sd(id, params)";
+    if (term.exists) return `EXISTS (SELECT 1 FROM ${data} WHERE sd.params ? ${name})`;
+
+    const value = `(sd.params->>${name})`;
+    const condition = term.number !== undefined && term.op !== ':'
+      ? `(CASE WHEN ${value} ~ ${NUMBER_PATTERN} THEN ${value}::numeric END) ${term.op} ${this.param(term.number)}`
+      : this.test(term, value);
+    return `EXISTS (SELECT 1 FROM ${data} WHERE ${condition})`;
+  }
+
+  term(term) {
+    if (term.kind === 'search') {
+      const pattern = this.param(`%${likePattern(term.value, term.quoted)}%`);
+      return SEARCH_EXPRESSIONS.map(expression => `${expression} ILIKE ${pattern}`).join(' OR ');
+    }
+    if (term.kind === 'sd') return this.structuredData(term);
+
+    if (term.exists) {
+      return COLUMNS[term.field]
+        ? `${COLUMNS[term.field]} IS NOT NULL`
+        : `fields ? ${this.param(term.field)}`;
+    }
+
+    if (term.op === '~') return this.test(term, this.text(term));
+    if (term.kind === 'time') {
+      return `${COLUMNS[term.field]} ${term.op} ${this.param(resolveTime(term.time, this.now))}`;
+    }
+    if (term.op === ':' && term.cidr) {
+      return `source_address <<= ${this.param(term.cidr)}::inet`;
+    }
+    if (term.number !== undefined) {
+      return `${this.number(term)} ${term.op === ':' ? '=' : term.op} ${this.param(term.number)}`;
+    }
+    return this.test(term, this.text(term));
+  }
+
+  node(node) {
+    if (node.type === 'term') return `COALESCE((${this.term(node)}), false)`;
+    if (node.type === 'not') return `NOT ${this.node(node.child)}`;
+    return `(${node.children.map(child => this.node(child)).join(node.type === 'and' ? ' AND ' : ' OR ')})`;
+  }
+}
+
+/**
+ * Build a WHERE condition for a query tree
+ * @param {Object|null} tree - From the shared parser
+ * @param {Array} values - Query parameters; the condition's are appended
+ * @param {Date} [now] - Reference time for relative times
+ * @returns {string|null} SQL condition, or null when the tree is empty
+ */
+function toSql(tree, values, now = new Date()) {
+  if (!tree) return null;
+  return new SqlBuilder(values, now).node(tree);
+}
+
+module.exports = {
+  toSql,
+  likePattern
+};
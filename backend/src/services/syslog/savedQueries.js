@@ -0,0 +1,165 @@
+/**
+ * Saved Syslog Queries
+ * Network Engineers Toolkit Backend
+ *
+ * Named queries kept in syslog_saved_queries. Each user sees their own
+ * and the ones teammates have shared; only the owner can change or delete
+ * a query. Queries are parsed before saving so a saved query always runs.
+ */
+
+const db = require('../../database/connection');
+const { SyslogError } = require('../../shared/syslog');
+const syslogQuery = require('../../shared/syslogQuery');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_QUERY_LENGTH = 2000;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Postgres unique_violation, raised for a second query with the same name
+const DUPLICATE_NAME = '23505';
+
+const QUERY_COLUMNS = `
+  q.id, q.name, q.query, q.description, q.is_shared, q.created_by,
+  u.username AS created_by_username, q.created_at, q.updated_at
+`;
+
+function checkText(value, field, maxLength, required) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (required && text === '') {
+    throw new SyslogError(`${field} is required`, 'MISSING_FIELD', field);
+  }
+  if (text.length > maxLength) {
+    throw new SyslogError(`${field} is limited to ${maxLength} characters`, 'INVALID_FIELD', field);
+  }
+  return text;
+}
+
+function checkQuery(value) {
+  const text = checkText(value, 'query', MAX_QUERY_LENGTH, true);
+  syslogQuery.parse(text);
+  return text;
+}
+
+async function withOwner(id) {
+  const result = await db.query(`
+    SELECT ${QUERY_COLUMNS}
+    FROM syslog_saved_queries q
+    LEFT JOIN users u ON u.id = q.created_by
+    WHERE q.id = $1
+  `, [id]);
+  return result.rows[0] || null;
+}
+
+async function saveRow(sql, values) {
+  try {
+    const result = await db.query(sql, values);
+    return result.rows[0] ? withOwner(result.rows[0].id) : null;
+  } catch (error) {
+    if (error.code === DUPLICATE_NAME) {
+      throw new SyslogError('You already have a saved query with that name', 'DUPLICATE_NAME', 'name');
+    }
+    throw error;
+  }
+}
+
+/**
+ * List the user's own queries and those shared by others
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>}
+ */
+async function listQueries(userId) {
+  const result = await db.query(`
+    SELECT ${QUERY_COLUMNS}
+    FROM syslog_saved_queries q
+    LEFT JOIN users u ON u.id = q.created_by
+    WHERE q.created_by = $1 OR q.is_shared
+    ORDER BY q.created_by = $1 DESC, lower(q.name)
+  `, [userId]);
+  return result.rows;
+}
+
+/**
+ * Get one query the user can see
+ * @param {string} userId
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+async function getQuery(userId, id) {
+  const query = await withOwner(id);
+  return query && (query.is_shared || query.created_by === userId) ? query : null;
+}
+
+/**
+ * Save a new query
+ * @param {string} userId
+ * @param {Object} fields - { name, query, description, shared }
+ * @returns {Promise<Object>}
+ */
+async function createQuery(userId, fields) {
+  const name = checkText(fields.name, 'name', MAX_NAME_LENGTH, true);
+  const query = checkQuery(fields.query);
+  const description = checkText(fields.description, 'description', MAX_DESCRIPTION_LENGTH, false);
+
+  return saveRow(`
+    INSERT INTO syslog_saved_queries (name, query, description, is_shared, created_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id
+  `, [name, query, description || null, Boolean(fields.shared), userId]);
+}
+
+/**
+ * Change one of the user's queries
+ * @param {string} userId
+ * @param {string} id
+ * @param {Object} fields - Any of name, query, description, shared
+ * @returns {Promise<Object|null>} null when the user has no such query
+ */
+async function updateQuery(userId, id, fields) {
+  const updates = [];
+  const values = [];
+  const set = (column, value) => {
+    values.push(value);
+    updates.push(`${column} = $${values.length}`);
+  };
+
+  if (fields.name !== undefined) set('name', checkText(fields.name, 'name', MAX_NAME_LENGTH, true));
+  if (fields.query !== undefined) set('query', checkQuery(fields.query));
+  if (fields.description !== undefined) {
+    set('description', checkText(fields.description, 'description', MAX_DESCRIPTION_LENGTH, false) || null);
+  }
+  if (fields.shared !== undefined) set('is_shared', Boolean(fields.shared));
+
+  if (updates.length === 0) {
+    throw new SyslogError('No fields to update', 'NO_CHANGES', 'name');
+  }
+
+  values.push(id, userId);
+  return saveRow(`
+    UPDATE syslog_saved_queries
+    SET ${updates.join(', ')}
+    WHERE id = $${values.length - 1} AND created_by = $${values.length}
+    RETURNING id
+  `, values);
+}
+
+/**
+ * Delete one of the user's queries
+ * @param {string} userId
+ * @param {string} id
+ * @returns {Promise<boolean>} false when the user has no such query
+ */
+async function deleteQuery(userId, id) {
+  const result = await db.query(
+    'DELETE FROM syslog_saved_queries WHERE id = $1 AND created_by = $2',
+    [id, userId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  listQueries,
+  getQuery,
+  createQuery,
+  updateQuery,
+  deleteQuery
+};
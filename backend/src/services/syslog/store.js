@@ -0,0 +1,351 @@
+/**
+ * Syslog Event Store
+ * Network Engineers Toolkit Backend
+ *
+ * Writes received events to syslog_events and queries them for the syslog
+ * page. The table is partitioned by day on received_at: partitions are
+ * created a few days ahead and whole days are dropped once they are older
+ * than the syslog_retention_days setting, so expiry never deletes rows one
+ * by one. Events are returned with the same field names as the shared
+ * parser's entries.
+ */
+
+const net = require('net');
+const db = require('../../database/connection');
+const { SyslogError, FACILITIES, SEVERITIES, decodePriority } = require('../../shared/syslog');
+const syslogQuery = require('../../shared/syslogQuery');
+const { getNumberSetting } = require('../../utils/settings');
+const { toSql, likePattern } = require('./query');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PARTITIONS_AHEAD = 2;
+const DAY_MS = 86400000;
+const DEFAULT_RANGE_MS = 3600000;
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 5000;
+const MAX_FILTER_LENGTH = 200;
+const MAX_QUERY_LENGTH = 2000;
+const PARTITION_PATTERN = /^syslog_events_(\d{4})(\d{2})(\d{2})$/;
+
+// Check violation raised when no partition accepts a row
+const NO_PARTITION = '23514';
+const INVALID_REGEX = '2201B';
+
+const EVENT_COLUMNS = [
+  'received_at', 'event_time', 'source_address', 'transport', 'host', 'facility',
+  'severity', 'program', 'pid', 'event_code', 'format', 'message', 'original', 'fields'
+];
+
+// Entry fields kept in their own columns; anything else goes to fields
+const COLUMN_FIELDS = [
+  '@timestamp', 'host.name', 'process.name', 'process.pid', 'event.code', 'message',
+  'event.original', 'log.syslog.format', 'log.syslog.priority',
+  'log.syslog.facility.code', 'log.syslog.facility.name',
+  'log.syslog.severity.code', 'log.syslog.severity.name'
+];
+
+const TRANSPORTS = ['udp', 'tcp', 'tls'];
+
+function dayStart(time) {
+  const date = new Date(time);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+function partitionName(day) {
+  return `syslog_events_${new Date(day).toISOString().slice(0, 10).replace(/-/g, '')}`;
+}
+
+/**
+ * Create the daily partitions covering a time range
+ * @param {Date|number} from
+ * @param {Date|number} to
+ * @returns {Promise<void>}
+ */
+async function ensurePartitions(from, to) {
+  for (let day = dayStart(from); day <= dayStart(to); day += DAY_MS) {
+    const start = new Date(day).toISOString();
+    const end = new Date(day + DAY_MS).toISOString();
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS ${partitionName(day)} PARTITION OF syslog_events
+       FOR VALUES FROM ('${start}') TO ('${end}')`
+    );
+  }
+}
+
+/**
+ * Drop the daily partitions that fall entirely outside the retention period
+ * @param {Date} [now]
+ * @returns {Promise<Array<string>>} Names of the partitions dropped
+ */
+async function dropExpiredPartitions(now = new Date()) {
+  const days = await getNumberSetting('syslog_retention_days', DEFAULT_RETENTION_DAYS);
+  if (days <= 0) return [];
+
+  const cutoff = now.getTime() - days * DAY_MS;
+  const result = await db.query(`
+    SELECT c.relname AS name
+    FROM pg_inherits i
+    JOIN pg_class c ON c.oid = i.inhrelid
+    WHERE i.inhparent = 'syslog_events'::regclass
+  `);
+
+  const dropped = [];
+  for (const { name } of result.rows) {
+    const match = PARTITION_PATTERN.exec(name);
+    if (!match) continue;
+
+    const end = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) + DAY_MS;
+    if (end <= cutoff) {
+      await db.query(`DROP TABLE IF EXISTS ${name}`);
+      dropped.push(name);
+    }
+  }
+  return dropped;
+}
+
+/**
+ * Create partitions for the coming days and drop expired ones
+ * @param {Date} [now]
+ * @returns {Promise<Array<string>>} Names of the partitions dropped
+ */
+async function maintainPartitions(now = new Date()) {
+  await ensurePartitions(now, now.getTime() + PARTITIONS_AHEAD * DAY_MS);
+  return dropExpiredPartitions(now);
+}
+
+function eventValues(event) {
+  const { entry } = event;
+  const fields = {};
+  Object.keys(entry).forEach((field) => {
+    if (!COLUMN_FIELDS.includes(field)) fields[field] = entry[field];
+  });
+
+  return [
+    event.receivedAt,
+    entry['@timestamp'] || null,
+    event.sourceAddress || null,
+    event.transport,
+    entry['host.name'] || null,
+    entry['log.syslog.facility.code'] !== undefined ? entry['log.syslog.facility.code'] : null,
+    entry['log.syslog.severity.code'] !== undefined ? entry['log.syslog.severity.code'] : null,
+    entry['process.name'] || null,
+    entry['process.pid'] || null,
+    entry['event.code'] || null,
+    entry['log.syslog.format'] || null,
+    entry.message || '',
+    entry['event.original'],
+    Object.keys(fields).length > 0 ? JSON.stringify(fields) : null
+  ];
+}
+
+/**
+ * Insert a batch of received events
+ * A batch that arrives for a day without a partition (a clock change, or a
+ * server that was down past midnight) creates it and is retried once.
+ * @param {Array<Object>} events - { receivedAt, sourceAddress, transport, entry }
+ * @returns {Promise<number>} Rows inserted
+ */
+async function insertEvents(events) {
+  if (events.length === 0) return 0;
+
+  const values = [];
+  const rows = events.map((event, index) => {
+    values.push(...eventValues(event));
+    const base = index * EVENT_COLUMNS.length;
+    return `(${EVENT_COLUMNS.map((column, i) => `$${base + i + 1}`).join(', ')})`;
+  });
+  const sql = `INSERT INTO syslog_events (${EVENT_COLUMNS.join(', ')}) VALUES ${rows.join(', ')}`;
+
+  try {
+    return (await db.query(sql, values)).rowCount;
+  } catch (error) {
+    if (error.code !== NO_PARTITION) throw error;
+
+    const times = events.map(event => event.receivedAt.getTime());
+    await ensurePartitions(Math.min(...times), Math.max(...times));
+    return (await db.query(sql, values)).rowCount;
+  }
+}
+
+function setField(entry, field, value) {
+  if (value !== undefined && value !== null && value !== '') entry[field] = value;
+}
+
+/**
+ * Map a syslog_events row to a parser-style entry
+ * @param {Object} row - Database row
+ * @returns {Object} Entry
+ */
+function rowToEntry(row) {
+  const entry = {
+    _id: String(row.id),
+    '@timestamp': new Date(row.event_time || row.received_at).toISOString(),
+    'event.created': new Date(row.received_at).toISOString()
+  };
+
+  setField(entry, 'host.name', row.host);
+  setField(entry, 'log.source.address', row.source_address);
+  setField(entry, 'network.transport', row.transport);
+  setField(entry, 'process.name', row.program);
+  setField(entry, 'process.pid', row.pid);
+  setField(entry, 'event.code', row.event_code);
+  setField(entry, 'log.syslog.format', row.format);
+  entry.message = row.message;
+  entry['event.original'] = row.original;
+
+  if (row.facility !== null && row.severity !== null) {
+    const priority = decodePriority(row.facility * 8 + row.severity);
+    entry['log.syslog.priority'] = priority.priority;
+    entry['log.syslog.facility.code'] = priority.facility;
+    entry['log.syslog.facility.name'] = priority.facilityName;
+    entry['log.syslog.severity.code'] = priority.severity;
+    entry['log.syslog.severity.name'] = priority.severityName;
+  }
+
+  return Object.assign(entry, row.fields || {});
+}
+
+function parseTime(value, field, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new SyslogError(`${field} must be an ISO 8601 date and time`, 'INVALID_TIME', field);
+  }
+  return date;
+}
+
+function parseLevel(value, names, field) {
+  const text = String(value).trim().toLowerCase();
+  const level = /^\d+$/.test(text) ? Number(text) : names.indexOf(text);
+  if (level < 0 || level >= names.length) {
+    throw new SyslogError(`${field} must be one of ${names.join(', ')} or its number`, 'INVALID_FILTER', field);
+  }
+  return level;
+}
+
+function filterText(value, field) {
+  const text = String(value).trim();
+  if (text.length > MAX_FILTER_LENGTH) {
+    throw new SyslogError(`${field} is limited to ${MAX_FILTER_LENGTH} characters`, 'INVALID_FILTER', field);
+  }
+  return text;
+}
+
+/**
+ * Query stored events, newest first
+ * Without from and to, events from the last hour are searched unless the
+ * query has its own time conditions.
+ * @param {Object} [filters]
+ * @param {string} [filters.q] - Query in the shared syslog query language
+ * @param {string} [filters.from] - Received at or after (default an hour before to)
+ * @param {string} [filters.to] - Received before (default now)
+ * @param {string} [filters.host] - Host name, "*" as a wildcard
+ * @param {string} [filters.severity] - This severity and worse, by name or number
+ * @param {string} [filters.facility] - Facility name or number
+ * @param {string} [filters.program] - Program, "*" as a wildcard
+ * @param {string} [filters.code] - Message type (event.code), "*" as a wildcard
+ * @param {string} [filters.source] - Sender address or CIDR
+ * @param {string} [filters.transport] - udp, tcp or tls
+ * @param {string} [filters.search] - Text the message contains
+ * @param {number} [filters.limit=500] - Most events returned (up to 5000)
+ * @returns {Promise<Object>} { events, from, to, truncated }
+ */
+async function queryEvents(filters = {}) {
+  const now = new Date();
+  const q = filters.q ? String(filters.q) : '';
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw new SyslogError(`Queries are limited to ${MAX_QUERY_LENGTH} characters`, 'INVALID_QUERY', 'q');
+  }
+  const tree = syslogQuery.parse(q);
+
+  const ownRange = syslogQuery.hasTimeCondition(tree) && !filters.from && !filters.to;
+  const to = parseTime(filters.to, 'to', ownRange ? null : now);
+  const from = parseTime(filters.from, 'from', ownRange || !to ? null : new Date(to.getTime() - DEFAULT_RANGE_MS));
+  if (from && to && from >= to) {
+    throw new SyslogError('from must be before to', 'INVALID_TIME', 'from');
+  }
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const values = [];
+  const conditions = [];
+  const add = (condition, value) => {
+    values.push(value);
+    conditions.push(condition.replace('?', `$${values.length}`));
+  };
+
+  if (from) add('received_at >= ?', from);
+  if (to) add('received_at < ?', to);
+
+  [['host', 'host'], ['program', 'program'], ['code', 'event_code']].forEach(([field, column]) => {
+    const text = filters[field] ? filterText(filters[field], field) : '';
+    if (text) add(`${column} ILIKE ?`, likePattern(text));
+  });
+
+  if (filters.severity !== undefined && filters.severity !== '') {
+    add('severity <= ?', parseLevel(filters.severity, SEVERITIES, 'severity'));
+  }
+  if (filters.facility !== undefined && filters.facility !== '') {
+    add('facility = ?', parseLevel(filters.facility, FACILITIES, 'facility'));
+  }
+
+  if (filters.source) {
+    const source = filterText(filters.source, 'source');
+    const [address, prefix] = source.split('/');
+    const bits = net.isIPv6(address) ? 128 : 32;
+    if (!net.isIP(address) || (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= bits))) {
+      throw new SyslogError('source must be an IP address or CIDR prefix', 'INVALID_FILTER', 'source');
+    }
+    add('source_address <<= ?::inet', source);
+  }
+
+  if (filters.transport) {
+    const transport = String(filters.transport).toLowerCase();
+    if (!TRANSPORTS.includes(transport)) {
+      throw new SyslogError(`transport must be one of ${TRANSPORTS.join(', ')}`, 'INVALID_FILTER', 'transport');
+    }
+    add('transport = ?', transport);
+  }
+
+  const search = filters.search ? filterText(filters.search, 'search') : '';
+  if (search) add('message ILIKE ?', `%${likePattern(search)}%`);
+
+  const condition = toSql(tree, values, now);
+  if (condition) conditions.push(condition);
+
+  values.push(limit + 1);
+  let result;
+  try {
+    result = await db.query(`
+      SELECT id, ${EVENT_COLUMNS.join(', ')}
+      FROM syslog_events
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY received_at DESC, id DESC
+      LIMIT $${values.length}
+    `, values);
+  } catch (error) {
+    // PostgreSQL regular expressions differ slightly from JavaScript's
+    if (error.code === INVALID_REGEX) {
+      throw new SyslogError(`Invalid regular expression: ${error.message.replace(/^invalid regular expression: /i, '')}`, 'INVALID_QUERY', 'q');
+    }
+    throw error;
+  }
+
+  return {
+    events: result.rows.slice(0, limit).map(rowToEntry),
+    from: from ? from.toISOString() : null,
+    to: to ? to.toISOString() : null,
+    truncated: result.rows.length > limit
+  };
+}
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  MAX_LIMIT,
+  ensurePartitions,
+  dropExpiredPartitions,
+  maintainPartitions,
+  insertEvents,
+  queryEvents,
+  rowToEntry
+};
@@ -0,0 +1,162 @@
+/**
+ * IANA RDAP Bootstrap Registry
+ * Network Engineers Toolkit Backend
+ *
+ * Picks the registry that answers for an address, AS number or TLD from
+ * the IANA bootstrap files (RFC 9224). Files are fetched from
+ * RDAP_BOOTSTRAP_URL on first use and kept for a day.
+ */
+
+const axios = require('axios');
+const subnet = require('../../shared/subnet');
+
+const DEFAULT_BOOTSTRAP_URL = 'https://data.iana.org/rdap';
+const REFRESH_MS = 24 * 3600 * 1000;
+
+// Bootstrap file per query type
+const REGISTRY_FILES = {
+  ipv4: 'ipv4.json',
+  ipv6: 'ipv6.json',
+  asn: 'asn.json',
+  domain: 'dns.json'
+};
+
+// RDAP host -> port 43 server of the same registry
+const WHOIS_HOSTS = {
+  'rdap.arin.net': 'whois.arin.net',
+  'rdap.db.ripe.net': 'whois.ripe.net',
+  'rdap.apnic.net': 'whois.apnic.net',
+  'rdap.lacnic.net': 'whois.lacnic.net',
+  'rdap.afrinic.net': 'whois.afrinic.net'
+};
+
+// RDAP host -> RIR name
+const RIR_NAMES = {
+  'rdap.arin.net': 'ARIN',
+  'rdap.db.ripe.net': 'RIPE',
+  'rdap.apnic.net': 'APNIC',
+  'rdap.lacnic.net': 'LACNIC',
+  'rdap.afrinic.net': 'AFRINIC'
+};
+
+const registries = new Map();
+const loading = new Map();
+
+function getBootstrapUrl() {
+  return (process.env.RDAP_BOOTSTRAP_URL || DEFAULT_BOOTSTRAP_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Load one bootstrap file, refreshing it once a day
+ * @param {string} kind - ipv4, ipv6, asn or domain
+ * @returns {Promise<Array>} The file's services member
+ */
+async function loadRegistry(kind) {
+  const entry = registries.get(kind);
+  if (entry && Date.now() - entry.loadedAt < REFRESH_MS) {
+    return entry.services;
+  }
+
+  // Concurrent lookups share a single fetch
+  if (!loading.has(kind)) {
+    loading.set(kind, axios.get(`${getBootstrapUrl()}/${REGISTRY_FILES[kind]}`, { timeout: 10000 })
+      .then(response => {
+        const services = response.data && response.data.services;
+        if (!Array.isArray(services)) {
+          throw new Error(`Bootstrap file ${REGISTRY_FILES[kind]} has no services`);
+        }
+        registries.set(kind, { services, loadedAt: Date.now() });
+        return services;
+      })
+      .finally(() => {
+        loading.delete(kind);
+      }));
+  }
+
+  return loading.get(kind);
+}
+
+// Prefer HTTPS when a registry lists several base URLs
+function pickUrl(urls) {
+  return urls.find(item => item.startsWith('https://')) || urls[0];
+}
+
+function matchAddress(services, classified) {
+  const target = subnet.parseCidr(classified.query);
+  let best = null;
+
+  services.forEach(([ranges, urls]) => {
+    ranges.forEach(range => {
+      const block = subnet.parseCidr(range);
+      if (block.version !== target.version || block.prefix > target.prefix) return;
+
+      const shift = BigInt(block.bits - block.prefix);
+      if ((target.network >> shift) === (block.network >> shift) && (!best || block.prefix > best.prefix)) {
+        best = { prefix: block.prefix, urls };
+      }
+    });
+  });
+
+  return best && best.urls;
+}
+
+function matchAsn(services, asn) {
+  const service = services.find(([ranges]) => ranges.some(range => {
+    const [low, high = low] = range.split('-').map(Number);
+    return asn >= low && asn <= high;
+  }));
+  return service && service[1];
+}
+
+function matchDomain(services, domain) {
+  const labels = domain.split('.');
+
+  // Longest matching suffix wins, e.g. "co.uk" over "uk"
+  for (let i = 0; i < labels.length; i++) {
+    const suffix = labels.slice(i).join('.');
+    const service = services.find(([zones]) => zones.includes(suffix));
+    if (service) return service[1];
+  }
+  return null;
+}
+
+/**
+ * Find the registry for a classified query
+ * @param {Object} classified - Result of classifyQuery
+ * @returns {Promise<Object|null>} { rdapUrl, whoisHost, rir }, or null when
+ *   the bootstrap data has no entry
+ */
+async function findRegistry(classified) {
+  let urls;
+  if (classified.type === 'ip') {
+    const kind = classified.version === 6 ? 'ipv6' : 'ipv4';
+    urls = matchAddress(await loadRegistry(kind), classified);
+  } else if (classified.type === 'asn') {
+    urls = matchAsn(await loadRegistry('asn'), classified.asn);
+  } else {
+    urls = matchDomain(await loadRegistry('domain'), classified.query);
+  }
+
+  if (!urls || urls.length === 0) return null;
+
+  const rdapUrl = pickUrl(urls).replace(/\/+$/, '');
+  const host = new URL(rdapUrl).hostname;
+
+  return {
+    rdapUrl,
+    whoisHost: WHOIS_HOSTS[host] || null,
+    rir: RIR_NAMES[host] || null
+  };
+}
+
+/**
+ * Drop loaded bootstrap files so the next lookup fetches them again
+ */
+function clearRegistries() {
+  registries.clear();
+}
+
+module.exports = {
+  findRegistry,
+  clearRegistries
+};
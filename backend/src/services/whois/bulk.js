@@ -0,0 +1,465 @@
+/**
+ * Bulk IP Ownership Lookups
+ * Network Engineers Toolkit Backend
+ *
+ * Background jobs that look up owner, netblock, origin AS and country for
+ * a list of addresses (e.g. from firewall logs). Addresses are worked
+ * through in numeric order and one answer serves every address its netblock
+ * covers, so a /24 full of scanners costs one query. Lookups go through
+ * whois.lookup and so use whois_cache and the per-registry rate limits.
+ * Jobs run one at a time; progress is kept on the whois_bulk_jobs row and
+ * each address's result in whois_bulk_results so the page can poll them.
+ */
+
+const net = require('net');
+const winston = require('winston');
+const db = require('../../database/connection');
+const subnet = require('../../shared/subnet');
+const bgp = require('../bgp');
+const whois = require('./index');
+
+const bulkLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'whois-bulk' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/whois-bulk.log' }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const DEFAULT_MAX_ENTRIES = 5000;
+const MAX_INVALID_SAMPLES = 100;
+const PROGRESS_EVERY = 10;
+const EXPORT_FORMATS = ['csv', 'json'];
+
+const JOB_COLUMNS = `
+  id, status, protocol, total_entries, processed_entries, lookups_made,
+  invalid_entries, error_message, created_by, created_at, started_at, completed_at
+`;
+
+const CSV_COLUMNS = [
+  ['address', 'Address'],
+  ['status', 'Status'],
+  ['coveredBy', 'Covered By'],
+  ['owner', 'Owner'],
+  ['netname', 'Net Name'],
+  ['range', 'Range'],
+  ['cidrs', 'CIDRs'],
+  ['originAsn', 'Origin AS'],
+  ['country', 'Country'],
+  ['registry', 'Registry'],
+  ['abuseEmail', 'Abuse Email'],
+  ['source', 'Source'],
+  ['error', 'Error']
+];
+
+const queue = [];
+let running = false;
+
+function getMaxEntries() {
+  const value = parseInt(process.env.WHOIS_BULK_MAX_ENTRIES, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_MAX_ENTRIES;
+}
+
+/**
+ * Normalise one list token to an address or prefix
+ * Accepts host:port and [v6]:port forms as they appear in logs.
+ * @param {string} token
+ * @returns {string|null}
+ */
+function normaliseEntry(token) {
+  let text = token.replace(/^["'([<]+|["')\]>]+$/g, '');
+
+  const bracketed = /^\[([0-9a-f:.]+)\](?::\d+)?$/i.exec(token);
+  if (bracketed) text = bracketed[1];
+  if (/^\d{1,3}(\.\d{1,3}){3}:\d+$/.test(text)) text = text.split(':')[0];
+
+  const [address, prefix] = text.split('/');
+  if (!net.isIP(address)) return null;
+
+  try {
+    const parsed = subnet.parseCidr(text);
+    const network = subnet.formatAddress(parsed.version, parsed.network);
+    return prefix === undefined ? network : `${network}/${parsed.prefix}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Split a pasted or uploaded list into unique addresses
+ * Entries may be separated by whitespace, commas or semicolons.
+ * @param {string|Array<string>} input
+ * @returns {Object} { entries, invalid, invalidCount }
+ */
+function parseEntries(input) {
+  const tokens = (Array.isArray(input) ? input.map(String) : String(input || '').split(/[\s,;]+/))
+    .map(token => token.trim())
+    .filter(Boolean);
+
+  const entries = new Set();
+  const invalid = [];
+  let invalidCount = 0;
+
+  tokens.forEach(token => {
+    const entry = normaliseEntry(token);
+    if (entry) {
+      entries.add(entry);
+    } else {
+      invalidCount++;
+      if (invalid.length < MAX_INVALID_SAMPLES) invalid.push(token);
+    }
+  });
+
+  return { entries: [...entries], invalid, invalidCount };
+}
+
+// Numeric order keeps addresses of one netblock together
+function sortEntries(entries) {
+  return entries
+    .map(entry => ({ entry, parsed: subnet.parseCidr(entry) }))
+    .sort((a, b) => (a.parsed.version - b.parsed.version)
+      || (a.parsed.network < b.parsed.network ? -1 : a.parsed.network > b.parsed.network ? 1 : 0))
+    .map(item => item.entry);
+}
+
+function toRange(netblock) {
+  if (!netblock) return null;
+  try {
+    return {
+      version: netblock.start.includes(':') ? 6 : 4,
+      start: subnet.parseCidr(netblock.start).network,
+      end: subnet.parseCidr(netblock.end).network
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function covers(range, parsed) {
+  const last = parsed.network | ((1n << BigInt(parsed.bits - parsed.prefix)) - 1n);
+  return range.version === parsed.version && range.start <= parsed.network && last <= range.end;
+}
+
+function summarise(entry, result, originAsn) {
+  const record = result.record;
+  const registrant = record.registrant || {};
+
+  return {
+    address: entry,
+    status: result.cached ? 'cached' : 'ok',
+    coveredBy: null,
+    owner: registrant.organization || registrant.name || null,
+    netname: record.name,
+    range: record.netblock ? `${record.netblock.start} - ${record.netblock.end}` : null,
+    cidrs: record.netblock ? record.netblock.cidrs : [],
+    originAsn: record.originAsn !== null ? record.originAsn : originAsn,
+    country: record.country,
+    registry: record.registry,
+    abuseEmail: record.abuse ? record.abuse.email : null,
+    source: result.protocol,
+    error: null
+  };
+}
+
+// Registry records rarely name the origin AS outside ARIN; fall back to routing data
+async function lookupOrigin(entry) {
+  try {
+    const route = await bgp.lookup('prefix', entry);
+    return route && route.origins && route.origins.length === 1 ? route.origins[0] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Look up one entry, reusing an earlier answer whose netblock covers it
+ * @param {string} entry - Address or prefix
+ * @param {string} protocol - See whois.lookup
+ * @param {Array<Object>} blocks - Netblocks answered so far in this job
+ * @returns {Promise<Object>} { row, lookedUp }
+ */
+async function processEntry(entry, protocol, blocks) {
+  const parsed = subnet.parseCidr(entry);
+  const known = blocks.find(block => covers(block.range, parsed));
+  if (known) {
+    return {
+      row: { ...known.row, address: entry, status: 'deduplicated', coveredBy: known.row.address },
+      lookedUp: false
+    };
+  }
+
+  try {
+    const result = await whois.lookup(entry, { protocol });
+    if (!result) {
+      return { row: { address: entry, status: 'not_found', cidrs: [], error: null }, lookedUp: true };
+    }
+
+    const originAsn = result.record.originAsn !== null ? null : await lookupOrigin(entry);
+    const row = summarise(entry, result, originAsn);
+    const range = toRange(result.record.netblock);
+    if (range) blocks.push({ range, row });
+
+    return { row, lookedUp: !result.cached };
+  } catch (error) {
+    const skipped = error instanceof whois.WhoisError && error.code === 'NON_PUBLIC_ADDRESS';
+    return {
+      row: { address: entry, status: skipped ? 'skipped' : 'error', cidrs: [], error: error.message },
+      lookedUp: !skipped
+    };
+  }
+}
+
+/**
+ * Record a new bulk job and queue it
+ * @param {Object} job
+ * @param {string|Array<string>} job.input - Pasted or uploaded list
+ * @param {string} [job.protocol='auto'] - See whois.lookup
+ * @param {string} [job.userId] - Requesting user
+ * @returns {Promise<Object>} The whois_bulk_jobs row
+ */
+async function createJob(job) {
+  const { input, protocol = 'auto', userId = null } = job;
+
+  if (!whois.PROTOCOLS.includes(protocol)) {
+    throw new whois.WhoisError(`Protocol must be one of ${whois.PROTOCOLS.join(', ')}`, 'INVALID_PROTOCOL', 'protocol');
+  }
+
+  const { entries, invalid, invalidCount } = parseEntries(input);
+  if (entries.length === 0) {
+    throw new whois.WhoisError('The list contains no IP addresses', 'NO_ENTRIES', 'entries');
+  }
+  if (entries.length > getMaxEntries()) {
+    throw new whois.WhoisError(`Bulk lookups are limited to ${getMaxEntries()} unique addresses`, 'TOO_MANY_ENTRIES', 'entries');
+  }
+
+  const result = await db.query(`
+    INSERT INTO whois_bulk_jobs (protocol, entries, total_entries, invalid_entries, created_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING ${JOB_COLUMNS}
+  `, [protocol, JSON.stringify(sortEntries(entries)), entries.length, JSON.stringify({ count: invalidCount, samples: invalid }), userId]);
+
+  const created = result.rows[0];
+  queue.push(created.id);
+  setImmediate(processQueue);
+
+  bulkLogger.info(`Queued bulk WHOIS job ${created.id} (${entries.length} addresses)`);
+  return created;
+}
+
+async function processQueue() {
+  if (running) return;
+  running = true;
+
+  try {
+    while (queue.length > 0) {
+      await runJob(queue.shift());
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Work through one job's entries
+ * A job deleted while it runs stops at its next progress update.
+ * @param {string} id - whois_bulk_jobs.id
+ */
+async function runJob(id) {
+  try {
+    const jobResult = await db.query(`
+      UPDATE whois_bulk_jobs
+      SET status = 'running', started_at = CURRENT_TIMESTAMP, processed_entries = 0, lookups_made = 0
+      WHERE id = $1
+      RETURNING entries, protocol
+    `, [id]);
+    if (jobResult.rows.length === 0) {
+      bulkLogger.info(`Bulk WHOIS job ${id} was deleted before it started`);
+      return;
+    }
+
+    const { entries, protocol } = jobResult.rows[0];
+    const blocks = [];
+    const results = [];
+    let saved = 0;
+    let lookups = 0;
+
+    // A resumed job starts over, so results of its earlier run go first
+    await db.query('DELETE FROM whois_bulk_results WHERE job_id = $1', [id]);
+
+    // Store only the results since the last update, so each result is written once
+    const saveProgress = async (status) => {
+      const update = await db.query(`
+        UPDATE whois_bulk_jobs
+        SET processed_entries = $2, lookups_made = $3,
+            status = COALESCE($4, status),
+            completed_at = CASE WHEN $4::text IS NULL THEN completed_at ELSE CURRENT_TIMESTAMP END
+        WHERE id = $1
+        RETURNING id
+      `, [id, results.length, lookups, status]);
+      if (update.rows.length === 0) return false;
+
+      if (results.length > saved) {
+        await db.query(`
+          INSERT INTO whois_bulk_results (job_id, position, result)
+          SELECT $1::uuid, $2::integer + ordinality::integer - 1, value
+          FROM jsonb_array_elements($3::jsonb) WITH ORDINALITY
+        `, [id, saved, JSON.stringify(results.slice(saved))]);
+        saved = results.length;
+      }
+      return true;
+    };
+
+    for (const entry of entries) {
+      const { row, lookedUp } = await processEntry(entry, protocol, blocks);
+      results.push(row);
+      if (lookedUp) lookups++;
+
+      if (results.length % PROGRESS_EVERY === 0 && !(await saveProgress(null))) {
+        bulkLogger.info(`Bulk WHOIS job ${id} was deleted while running`);
+        return;
+      }
+    }
+
+    await saveProgress('completed');
+    bulkLogger.info(`Bulk WHOIS job ${id} completed: ${results.length} addresses, ${lookups} lookups`);
+  } catch (error) {
+    bulkLogger.error(`Bulk WHOIS job ${id} failed:`, error.message);
+
+    try {
+      await db.query(`
+        UPDATE whois_bulk_jobs
+        SET status = 'failed', error_message = $2, completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [id, error.message]);
+    } catch (updateError) {
+      bulkLogger.error(`Could not record failure of bulk WHOIS job ${id}:`, updateError.message);
+    }
+  }
+}
+
+/**
+ * List a user's jobs, newest first, without their results
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>}
+ */
+async function listJobs(userId) {
+  const result = await db.query(
+    `SELECT ${JOB_COLUMNS} FROM whois_bulk_jobs WHERE created_by = $1 ORDER BY created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get one of a user's jobs with its results so far
+ * @param {string} id - whois_bulk_jobs.id
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+async function getJob(id, userId) {
+  const result = await db.query(`
+    SELECT ${JOB_COLUMNS},
+      COALESCE((
+        SELECT jsonb_agg(result ORDER BY position) FROM whois_bulk_results WHERE job_id = whois_bulk_jobs.id
+      ), '[]'::jsonb) AS results
+    FROM whois_bulk_jobs
+    WHERE id = $1 AND created_by = $2
+  `, [id, userId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a job, stopping it if it is running
+ * @param {string} id - whois_bulk_jobs.id
+ * @param {string} userId
+ * @returns {Promise<Object|null>} Deleted row, null when not found
+ */
+async function deleteJob(id, userId) {
+  const result = await db.query(
+    `DELETE FROM whois_bulk_jobs WHERE id = $1 AND created_by = $2 RETURNING ${JOB_COLUMNS}`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Registry text starting with = + - @ (or a tab or CR) would run as a spreadsheet formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  let text = Array.isArray(value) ? value.join(' ') : value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a job's results for download
+ * @param {Object} job - Row from getJob
+ * @param {string} format - csv or json
+ * @returns {Object} { contentType, filename, body }
+ */
+function exportResults(job, format) {
+  const filename = `whois-bulk-${job.id}.${format}`;
+  const rows = job.results || [];
+
+  if (format === 'json') {
+    return {
+      contentType: 'application/json',
+      filename,
+      body: JSON.stringify({
+        id: job.id,
+        status: job.status,
+        createdAt: job.created_at,
+        completedAt: job.completed_at,
+        results: rows
+      }, null, 2)
+    };
+  }
+
+  const lines = [CSV_COLUMNS.map(([, title]) => csvField(title)).join(',')]
+    .concat(rows.map(row => CSV_COLUMNS.map(([key]) => csvField(row[key])).join(',')));
+
+  return {
+    contentType: 'text/csv',
+    filename,
+    body: `${lines.join('\r\n')}\r\n`
+  };
+}
+
+/**
+ * Queue jobs interrupted by a restart again; their entries are stored on
+ * the row and finished lookups come back from whois_cache.
+ */
+async function resumeInterruptedJobs() {
+  try {
+    const result = await db.query(`
+      UPDATE whois_bulk_jobs
+      SET status = 'pending'
+      WHERE status IN ('pending', 'running')
+      RETURNING id
+    `);
+
+    result.rows.forEach(row => queue.push(row.id));
+    if (result.rows.length > 0) {
+      bulkLogger.warn(`Resuming ${result.rows.length} interrupted bulk WHOIS job(s)`);
+      setImmediate(processQueue);
+    }
+  } catch (error) {
+    bulkLogger.error('Could not resume interrupted bulk WHOIS jobs:', error.message);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseEntries,
+  createJob,
+  listJobs,
+  getJob,
+  deleteJob,
+  exportResults,
+  resumeInterruptedJobs
+};
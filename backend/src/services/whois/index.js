@@ -0,0 +1,223 @@
+/**
+ * WHOIS / RDAP Lookup Service
+ * Network Engineers Toolkit Backend
+ *
+ * Looks up domains, addresses and AS numbers at the registry the IANA
+ * bootstrap data names. RDAP is preferred; port 43 WHOIS with referral
+ * chasing is used when a registry has no RDAP service or it fails. Answers
+ * are cached in whois_cache for app_settings.cache_expiry_hours; queries
+ * that go out to a registry wait for its rate limit (see rateLimit.js).
+ */
+
+const winston = require('winston');
+const db = require('../../database/connection');
+const { getNumberSetting } = require('../../utils/settings');
+const { WhoisError, classifyQuery } = require('./query');
+const bootstrap = require('./bootstrap');
+const rdap = require('./rdap');
+const port43 = require('./port43');
+const parser = require('./parser');
+const rateLimit = require('./rateLimit');
+
+const whoisLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'whois' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/whois.log' }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const PROTOCOLS = ['auto', 'rdap', 'whois'];
+const DEFAULT_CACHE_HOURS = 24;
+
+// Answers that only point at another server carry no record fields
+const REFERRAL_ONLY_SERVERS = ['whois.iana.org'];
+
+async function readCache(key) {
+  try {
+    const result = await db.query(`
+      SELECT whois_data
+      FROM whois_cache
+      WHERE domain = $1 AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [key]);
+    return result.rows.length > 0 ? result.rows[0].whois_data : null;
+  } catch (error) {
+    whoisLogger.warn('WHOIS cache read failed:', error.message);
+    return null;
+  }
+}
+
+async function writeCache(key, data) {
+  try {
+    const hours = await getNumberSetting('cache_expiry_hours', DEFAULT_CACHE_HOURS);
+    const expiresAt = new Date(Date.now() + hours * 3600 * 1000);
+
+    await db.query(
+      'INSERT INTO whois_cache (domain, whois_data, expires_at) VALUES ($1, $2, $3)',
+      [key, data, expiresAt]
+    );
+  } catch (error) {
+    whoisLogger.warn('WHOIS cache write failed:', error.message);
+  }
+}
+
+/**
+ * Parse a lookup result into a record
+ * Thin domain registries hold dates and status while the registrar holds
+ * contacts, so domain WHOIS answers along the referral chain are merged,
+ * the last (most authoritative) answer first.
+ * @param {Object} result - Lookup result
+ * @returns {Object} Record, see parser.parseWhois
+ */
+function buildRecord(result) {
+  let record;
+
+  if (result.protocol === 'rdap') {
+    record = parser.parseRdap(result.rdap, result.related && result.related.data);
+  } else if (result.queryType === 'domain') {
+    const answers = result.referrals
+      .filter(answer => !REFERRAL_ONLY_SERVERS.includes(answer.server) && answer.data.trim())
+      .reverse();
+    if (answers.length === 0) answers.push({ server: result.server, data: result.raw });
+
+    record = answers
+      .map(answer => parser.parseWhois(answer.data, { queryType: 'domain', server: answer.server }))
+      .reduce((merged, next) => {
+        Object.keys(merged).forEach(key => {
+          const empty = merged[key] === null || (Array.isArray(merged[key]) && merged[key].length === 0);
+          if (empty) merged[key] = next[key];
+        });
+        return merged;
+      });
+  } else {
+    record = parser.parseWhois(result.raw, { queryType: result.queryType, server: result.server });
+  }
+
+  record.registry = record.registry || result.rir;
+  return record;
+}
+
+async function findRegistry(classified) {
+  try {
+    return await bootstrap.findRegistry(classified);
+  } catch (error) {
+    whoisLogger.warn(`RDAP bootstrap lookup failed for ${classified.query}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Look up a domain, address, prefix or AS number
+ * @param {string} input - Query text, e.g. example.com, 8.8.8.8 or AS15169
+ * @param {Object} [options]
+ * @param {string} [options.protocol='auto'] - auto (RDAP, then WHOIS), rdap or whois
+ * @param {boolean} [options.useCache=true] - Read and write whois_cache
+ * @returns {Promise<Object|null>} { query, queryType, protocol, rir, server,
+ *   url, record, raw, rdap, related, referrals, lookedUpAt }, or null when
+ *   the registry has no record
+ */
+async function lookup(input, options = {}) {
+  const { protocol = 'auto', useCache = true } = options;
+
+  if (!PROTOCOLS.includes(protocol)) {
+    throw new WhoisError(`Protocol must be one of ${PROTOCOLS.join(', ')}`, 'INVALID_PROTOCOL', 'protocol');
+  }
+
+  const classified = classifyQuery(input);
+  const cacheKey = `${protocol}:${classified.query}`;
+
+  if (useCache) {
+    const cached = await readCache(cacheKey);
+    if (cached) return { ...cached, record: buildRecord(cached), cached: true };
+  }
+
+  const registry = await findRegistry(classified);
+  const limitKey = registry && (registry.rir || new URL(registry.rdapUrl).hostname);
+  const base = {
+    query: classified.query,
+    queryType: classified.type,
+    rir: registry ? registry.rir : null
+  };
+
+  const failures = [];
+  let answered = false;
+  let result = null;
+
+  if (protocol !== 'whois') {
+    if (protocol === 'rdap' && !registry && !process.env.RDAP_SERVER_URL) {
+      throw new WhoisError(`No RDAP service is registered for ${classified.query}`, 'RDAP_UNAVAILABLE');
+    }
+
+    try {
+      await rateLimit.acquire(limitKey);
+      const answer = await rdap.query(classified, registry && registry.rdapUrl);
+      answered = answered || Boolean(registry || process.env.RDAP_SERVER_URL);
+      if (answer) {
+        result = {
+          ...base,
+          protocol: 'rdap',
+          server: answer.server,
+          url: answer.url,
+          raw: JSON.stringify(answer.data, null, 2),
+          rdap: answer.data,
+          related: answer.related,
+          referrals: []
+        };
+      }
+    } catch (error) {
+      failures.push(`RDAP: ${error.message}`);
+      whoisLogger.warn(`RDAP lookup failed for ${classified.query}:`, error.message);
+    }
+  }
+
+  if (!result && protocol !== 'rdap') {
+    try {
+      await rateLimit.acquire(limitKey);
+      const answer = await port43.query(classified, registry && registry.whoisHost);
+      answered = true;
+      if (answer.refused) whoisLogger.warn(`WHOIS referral not followed for ${classified.query}: ${answer.refused.reason}`);
+      if (!answer.notFound) {
+        result = {
+          ...base,
+          protocol: 'whois',
+          server: answer.server,
+          url: null,
+          raw: answer.data,
+          rdap: null,
+          related: null,
+          referrals: answer.referrals
+        };
+      }
+    } catch (error) {
+      failures.push(`WHOIS: ${error.message}`);
+      whoisLogger.warn(`WHOIS lookup failed for ${classified.query}:`, error.message);
+    }
+  }
+
+  if (!result) {
+    if (!answered && failures.length > 0) {
+      throw new WhoisError(`Lookup failed for ${classified.query} (${failures.join('; ')})`, 'LOOKUP_FAILED');
+    }
+    return null;
+  }
+
+  result.lookedUpAt = new Date().toISOString();
+  if (useCache) await writeCache(cacheKey, result);
+
+  // Parsed on the way out so cached answers pick up parser improvements
+  return { ...result, record: buildRecord(result) };
+}
+
+module.exports = {
+  PROTOCOLS,
+  WhoisError,
+  classifyQuery,
+  lookup
+};
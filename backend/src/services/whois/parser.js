@@ -0,0 +1,509 @@
+/**
+ * WHOIS / RDAP Record Parser
+ * Network Engineers Toolkit Backend
+ *
+ * Turns registry answers into one record shape: ARIN, RPSL (RIPE, APNIC,
+ * AFRINIC, LACNIC) and domain registry/registrar WHOIS text, and RDAP JSON
+ * from any registry. Fields the answer does not carry are null or empty.
+ */
+
+const subnet = require('../../shared/subnet');
+
+// Values registrars print in place of withheld data
+const REDACTED_PATTERN = /redacted|not disclosed|data protected|withheld|privacy/i;
+
+const REGISTRY_SOURCES = {
+  ARIN: 'ARIN',
+  RIPE: 'RIPE',
+  APNIC: 'APNIC',
+  AFRINIC: 'AFRINIC',
+  LACNIC: 'LACNIC'
+};
+
+const REGISTRY_SERVERS = {
+  'whois.arin.net': 'ARIN',
+  'whois.ripe.net': 'RIPE',
+  'whois.apnic.net': 'APNIC',
+  'whois.afrinic.net': 'AFRINIC',
+  'whois.lacnic.net': 'LACNIC'
+};
+
+// Domain WHOIS keys (lower case) per record field, most common first
+const DOMAIN_KEYS = {
+  name: ['domain name', 'domain', 'domain_name'],
+  handle: ['registry domain id', 'roid'],
+  registrar: ['registrar', 'sponsoring registrar', 'registrar name', 'registrar organization'],
+  created: ['creation date', 'created', 'created on', 'registered on', 'registration time', 'domain registration date', 'registered', 'domain record activated'],
+  updated: ['updated date', 'last updated', 'last modified', 'last-modified', 'changed', 'updated', 'last update'],
+  expires: ['registry expiry date', 'registrar registration expiration date', 'expiry date', 'expiration date', 'expires', 'expires on', 'paid-till', 'expiration time', 'renewal date', 'domain expiration date'],
+  status: ['domain status', 'status', 'state'],
+  nameservers: ['name server', 'name servers', 'nserver', 'nameserver', 'nameservers', 'dns'],
+  organization: ['registrant organization', 'registrant organisation', 'org', 'organisation', 'registrant'],
+  registrantName: ['registrant name', 'registrant contact name', 'person'],
+  country: ['registrant country', 'registrant country/economy', 'country'],
+  abuseEmail: ['registrar abuse contact email', 'abuse email', 'abuse-mailbox'],
+  abusePhone: ['registrar abuse contact phone', 'abuse phone']
+};
+
+/**
+ * Split WHOIS text into blocks of attributes
+ * Blocks are separated by blank lines; comment lines (%, #) are dropped.
+ * Lines without a key continue the previous attribute, which covers both
+ * RPSL continuation lines and indented value lists (e.g. Nominet name servers).
+ * @param {string} text - WHOIS response
+ * @returns {Array<Array<Object>>} Blocks of { key, values }
+ */
+function parseBlocks(text) {
+  const blocks = [];
+  let block = [];
+
+  String(text || '').replace(/\r/g, '').split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+
+    if (!line) {
+      if (block.length > 0) blocks.push(block);
+      block = [];
+      return;
+    }
+    if (/^[%#]/.test(line) || /^>>>/.test(line)) return;
+
+    const match = /^([A-Za-z][A-Za-z0-9 _\-/.()]{0,60}?):(?:\s+(.*)|$)/.exec(line);
+    if (match) {
+      const value = (match[2] || '').trim();
+      block.push({ key: match[1].trim().toLowerCase(), values: value ? [value] : [] });
+    } else if (block.length > 0) {
+      block[block.length - 1].values.push(line.replace(/^\+\s*/, ''));
+    }
+  });
+
+  if (block.length > 0) blocks.push(block);
+  return blocks;
+}
+
+function first(block, keys) {
+  for (const key of [].concat(keys)) {
+    const attribute = block.find(item => item.key === key && item.values.length > 0);
+    if (attribute) return attribute.values[0];
+  }
+  return null;
+}
+
+function all(block, keys) {
+  const list = [].concat(keys);
+  return block.filter(item => list.includes(item.key)).flatMap(item => item.values);
+}
+
+function findLastBlock(blocks, keys) {
+  const list = [].concat(keys);
+  return [...blocks].reverse().find(block => list.includes(block[0].key)) || null;
+}
+
+function disclosed(value) {
+  return value && !REDACTED_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Normalise a registry date to ISO 8601
+ * @param {string} value - e.g. 2014-03-14, 20040101, 26-Aug-1999
+ * @returns {string|null} ISO string, or the input when it cannot be read
+ */
+function normaliseDate(value) {
+  if (!value) return null;
+
+  const text = String(value).trim().replace(/\s*\(.*\)$/, '');
+  const compact = /^(\d{4})(\d{2})(\d{2})$/.exec(text);
+  const date = compact
+    ? new Date(Date.UTC(Number(compact[1]), Number(compact[2]) - 1, Number(compact[3])))
+    : new Date(text.replace(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})$/, '$1T$2Z'));
+
+  return Number.isNaN(date.getTime()) ? text : date.toISOString();
+}
+
+function parseAsn(value) {
+  const match = /AS?(\d{1,10})\b/i.exec(String(value || ''));
+  return match ? Number(match[1]) : null;
+}
+
+function unique(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+function parseAddress(text) {
+  const value = String(text).trim();
+  return value.includes(':')
+    ? { version: 6, bits: 128, value: subnet.parseIPv6(value) }
+    : { version: 4, bits: 32, value: BigInt(subnet.parseIPv4(value)) };
+}
+
+// LACNIC abbreviates IPv4 prefixes, e.g. 200.3.12/22
+function expandIPv4Prefix(text) {
+  const [address, prefix] = text.split('/');
+  if (address.includes(':')) return text;
+
+  const octets = address.split('.');
+  while (octets.length < 4) octets.push('0');
+  return `${octets.join('.')}/${prefix}`;
+}
+
+/**
+ * Build a netblock from a range ("a - b") or a CIDR prefix
+ * @param {string} text - Range or prefix
+ * @returns {Object|null} { start, end, cidrs }
+ */
+function parseNetblock(text) {
+  if (!text) return null;
+
+  try {
+    const range = /^\s*([0-9a-f.:]+)\s*-\s*([0-9a-f.:]+)\s*$/i.exec(text);
+    let start;
+    let end;
+
+    if (range) {
+      start = parseAddress(range[1]);
+      end = parseAddress(range[2]);
+    } else {
+      const parsed = subnet.parseCidr(expandIPv4Prefix(String(text).trim().split(/[\s,]/)[0]));
+      start = { version: parsed.version, bits: parsed.bits, value: parsed.network };
+      end = { ...start, value: parsed.network | ((1n << BigInt(parsed.bits - parsed.prefix)) - 1n) };
+    }
+
+    if (start.version !== end.version || start.value > end.value) return null;
+
+    return {
+      start: subnet.formatAddress(start.version, start.value),
+      end: subnet.formatAddress(end.version, end.value),
+      cidrs: subnet.rangeToCidrs(start.value, end.value, start.bits)
+        .map(block => `${subnet.formatAddress(start.version, block.network)}/${block.prefix}`)
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function emptyRecord(objectType) {
+  return {
+    objectType,
+    registry: null,
+    handle: null,
+    name: null,
+    registrant: null,
+    netblock: null,
+    asn: null,
+    originAsn: null,
+    abuse: null,
+    registrar: null,
+    created: null,
+    updated: null,
+    expires: null,
+    status: [],
+    nameservers: [],
+    country: null
+  };
+}
+
+function contact(fields) {
+  return Object.values(fields).some(Boolean) ? fields : null;
+}
+
+function objectTypeFor(queryType) {
+  return queryType === 'asn' ? 'autnum' : queryType === 'domain' ? 'domain' : 'network';
+}
+
+/**
+ * Parse an ARIN WHOIS answer
+ * "n +" answers list the covering networks from least to most specific, so
+ * the last NetRange block describes the queried address.
+ */
+function parseArin(blocks, objectType) {
+  const record = emptyRecord(objectType);
+  record.registry = 'ARIN';
+
+  const org = findLastBlock(blocks, ['orgname', 'customer', 'custname']);
+  if (org) {
+    record.registrant = contact({
+      name: null,
+      organization: first(org, ['orgname', 'custname']),
+      handle: first(org, ['orgid'])
+    });
+    record.country = first(org, 'country');
+  }
+
+  const abuse = blocks.filter(block => first(block, ['orgabuseemail', 'rabuseemail'])).pop();
+  if (abuse) {
+    record.abuse = contact({
+      email: first(abuse, ['orgabuseemail', 'rabuseemail']),
+      phone: first(abuse, ['orgabusephone', 'rabusephone'])
+    });
+  }
+
+  const main = objectType === 'autnum'
+    ? findLastBlock(blocks, ['asnumber'])
+    : blocks.filter(block => first(block, 'netrange')).pop();
+  if (!main) return record;
+
+  if (objectType === 'autnum') {
+    record.asn = parseAsn(first(main, 'asnumber'));
+    record.name = first(main, 'asname');
+    record.handle = first(main, 'ashandle');
+  } else {
+    record.netblock = parseNetblock(first(main, 'netrange'));
+    record.name = first(main, 'netname');
+    record.handle = first(main, 'nethandle');
+    record.originAsn = parseAsn(first(main, 'originas'));
+    record.status = unique([first(main, 'nettype')]);
+
+    // Reassignments name their customer in the network block
+    const organization = first(main, ['organization', 'customer']);
+    if (organization && !record.registrant) {
+      record.registrant = { name: null, organization: organization.replace(/\s*\([^)]*\)$/, ''), handle: null };
+    }
+  }
+
+  record.created = normaliseDate(first(main, 'regdate'));
+  record.updated = normaliseDate(first(main, 'updated'));
+  return record;
+}
+
+/**
+ * Parse an RPSL answer (RIPE, APNIC, AFRINIC, LACNIC)
+ */
+function parseRpsl(blocks, objectType, text) {
+  const record = emptyRecord(objectType);
+  const main = objectType === 'autnum'
+    ? findLastBlock(blocks, ['aut-num'])
+    : findLastBlock(blocks, ['inetnum', 'inet6num']);
+
+  if (!main) return record;
+
+  const source = first(main, 'source');
+  record.registry = source ? REGISTRY_SOURCES[source.split(/\s/)[0].toUpperCase()] || null : null;
+  if (!record.registry && first(main, 'owner')) record.registry = 'LACNIC';
+
+  if (objectType === 'autnum') {
+    record.asn = parseAsn(first(main, 'aut-num'));
+    record.name = first(main, ['as-name', 'owner']);
+    record.handle = first(main, 'aut-num');
+  } else {
+    record.netblock = parseNetblock(first(main, ['inetnum', 'inet6num']));
+    record.name = first(main, ['netname', 'owner']);
+    record.handle = first(main, ['inetnum', 'inet6num']);
+    record.nameservers = unique(all(main, 'nserver').map(value => value.split(/\s/)[0].toLowerCase()));
+  }
+
+  record.status = unique([first(main, 'status')]);
+  record.country = first(main, 'country');
+  record.created = normaliseDate(first(main, 'created'));
+  record.updated = normaliseDate(first(main, ['last-modified', 'changed']));
+
+  // Organisation object (RIPE, AFRINIC, APNIC) or LACNIC's owner line
+  const orgHandle = first(main, 'org');
+  const org = orgHandle && blocks.find(block => block[0].key === 'organisation' && first(block, 'organisation') === orgHandle);
+  const organization = org ? first(org, 'org-name') : first(main, ['owner', 'descr']);
+  record.registrant = contact({
+    name: null,
+    organization,
+    handle: orgHandle || first(main, 'ownerid')
+  });
+
+  const route = findLastBlock(blocks, ['route', 'route6']);
+  record.originAsn = parseAsn(first(main, 'origin') || (route && first(route, 'origin')));
+
+  record.abuse = findRpslAbuse(blocks, main, text);
+  return record;
+}
+
+function findRpslAbuse(blocks, main, text) {
+  const comment = /^%\s*Abuse contact for .* is '([^']+)'/m.exec(text);
+  if (comment) return { email: comment[1], phone: null };
+
+  // IRT objects (APNIC) and roles carry abuse-mailbox
+  const mailbox = blocks.find(block => first(block, 'abuse-mailbox'));
+  if (mailbox) {
+    return { email: first(mailbox, 'abuse-mailbox'), phone: first(mailbox, 'phone') };
+  }
+
+  // LACNIC names the contact by handle
+  const handle = first(main, 'abuse-c');
+  const person = handle && blocks.find(block => block[0].key === 'nic-hdl' && first(block, 'nic-hdl') === handle);
+  return person ? contact({ email: first(person, 'e-mail'), phone: first(person, 'phone') }) : null;
+}
+
+/**
+ * Parse a domain registry or registrar answer
+ * gTLD answers use the ICANN format; ccTLD formats differ, so keys are
+ * looked up by their common spellings across the whole answer.
+ */
+function parseDomain(blocks) {
+  const record = emptyRecord('domain');
+  const attributes = blocks.flat();
+
+  const get = field => first(attributes, DOMAIN_KEYS[field]);
+
+  record.name = (get('name') || '').toLowerCase() || null;
+  record.handle = get('handle');
+  record.registrar = get('registrar');
+  record.created = normaliseDate(get('created'));
+  record.updated = normaliseDate(get('updated'));
+  record.expires = normaliseDate(get('expires'));
+  record.status = unique(all(attributes, DOMAIN_KEYS.status).map(value => value.split(/\s+/)[0]));
+  record.nameservers = unique(all(attributes, DOMAIN_KEYS.nameservers)
+    .map(value => value.split(/\s+/)[0].toLowerCase().replace(/\.$/, '')));
+  record.country = disclosed(get('country'));
+  record.registrant = contact({
+    name: disclosed(get('registrantName')),
+    organization: disclosed(get('organization')),
+    handle: null
+  });
+  record.abuse = contact({
+    email: get('abuseEmail'),
+    phone: get('abusePhone')
+  });
+
+  return record;
+}
+
+/**
+ * Parse WHOIS text into a record
+ * @param {string} text - WHOIS answer
+ * @param {Object} [options]
+ * @param {string} [options.queryType] - ip, asn or domain (classifyQuery type)
+ * @param {string} [options.server] - Server that answered
+ * @returns {Object} Parsed record
+ */
+function parseWhois(text, options = {}) {
+  const objectType = objectTypeFor(options.queryType);
+  const blocks = parseBlocks(text);
+
+  let record;
+  if (objectType === 'domain') {
+    record = parseDomain(blocks);
+  } else if (/^(NetRange|ASNumber|OrgName):/m.test(text)) {
+    record = parseArin(blocks, objectType);
+  } else {
+    record = parseRpsl(blocks, objectType, String(text || ''));
+  }
+
+  if (!record.registry && options.server) {
+    record.registry = REGISTRY_SERVERS[options.server.split(':')[0].toLowerCase()] || null;
+  }
+  return record;
+}
+
+/**
+ * Read a jCard (RFC 7095) into flat properties
+ * @param {Object} entity - RDAP entity
+ * @returns {Object} { name, organization, email, phone, country }
+ */
+function readVcard(entity) {
+  const properties = (entity && Array.isArray(entity.vcardArray) && entity.vcardArray[1]) || [];
+  const value = name => {
+    const property = properties.find(item => item[0] === name);
+    return property ? property[3] : null;
+  };
+
+  const address = value('adr');
+  const phone = value('tel');
+  const kind = value('kind');
+  const fn = value('fn');
+
+  return {
+    name: kind === 'org' ? null : disclosed(fn),
+    organization: disclosed(value('org') || (kind === 'org' ? fn : null)),
+    email: value('email'),
+    phone: phone ? String(phone).replace(/^tel:/, '') : null,
+    country: Array.isArray(address) && typeof address[6] === 'string' && address[6] ? address[6] : null
+  };
+}
+
+// Entities may be nested, e.g. a registrar's abuse contact
+function findEntity(entities, role) {
+  for (const entity of entities || []) {
+    if ((entity.roles || []).includes(role)) return entity;
+    const nested = findEntity(entity.entities, role);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+function eventDate(data, action) {
+  const event = (data.events || []).find(item => item.eventAction === action);
+  return event ? normaliseDate(event.eventDate) : null;
+}
+
+function rdapNetblock(data) {
+  if (!data.startAddress || !data.endAddress) return null;
+
+  const netblock = parseNetblock(`${data.startAddress} - ${data.endAddress}`);
+  if (netblock && Array.isArray(data.cidr0_cidrs) && data.cidr0_cidrs.length > 0) {
+    netblock.cidrs = data.cidr0_cidrs.map(entry => `${entry.v4prefix || entry.v6prefix}/${entry.length}`);
+  }
+  return netblock;
+}
+
+/**
+ * Parse an RDAP object into a record
+ * @param {Object} data - RDAP response
+ * @param {Object} [related] - Registrar's RDAP record for a domain, used
+ *   for contacts the registry does not publish
+ * @returns {Object} Parsed record
+ */
+function parseRdap(data, related = null) {
+  const objectType = data.objectClassName === 'autnum' ? 'autnum'
+    : data.objectClassName === 'domain' ? 'domain' : 'network';
+  const record = emptyRecord(objectType);
+  const sources = related ? [data, related] : [data];
+  const entityFor = role => sources.map(source => findEntity(source.entities, role)).find(Boolean) || null;
+
+  record.registry = REGISTRY_SERVERS[String(data.port43 || '').toLowerCase()] || null;
+  record.handle = data.handle || null;
+  record.name = objectType === 'domain' ? (data.ldhName || '').toLowerCase() || null : data.name || null;
+  record.status = unique([...(data.status || []), objectType === 'network' ? data.type : null]);
+  record.created = eventDate(data, 'registration');
+  record.updated = eventDate(data, 'last changed');
+  record.expires = eventDate(data, 'expiration');
+
+  if (objectType === 'network') {
+    record.netblock = rdapNetblock(data);
+    const origins = data.arin_originas0_originautnums;
+    record.originAsn = Array.isArray(origins) && origins.length > 0 ? Number(origins[0]) : null;
+  } else if (objectType === 'autnum') {
+    record.asn = data.startAutnum !== undefined ? Number(data.startAutnum) : null;
+  } else {
+    record.nameservers = unique((data.nameservers || [])
+      .map(server => (server.ldhName || '').toLowerCase().replace(/\.$/, '')));
+  }
+
+  const registrant = entityFor('registrant');
+  if (registrant) {
+    const card = readVcard(registrant);
+    record.registrant = contact({
+      name: card.name,
+      organization: card.organization || (card.name && objectType !== 'domain' ? card.name : null),
+      handle: registrant.handle || null
+    });
+    record.country = card.country;
+  }
+  record.country = data.country || record.country;
+
+  const registrar = entityFor('registrar');
+  if (registrar) {
+    const card = readVcard(registrar);
+    record.registrar = card.organization || card.name;
+  }
+
+  const abuse = entityFor('abuse');
+  if (abuse) {
+    const card = readVcard(abuse);
+    record.abuse = contact({ email: card.email, phone: card.phone });
+  }
+
+  return record;
+}
+
+module.exports = {
+  parseBlocks,
+  parseNetblock,
+  normaliseDate,
+  parseWhois,
+  parseRdap
+};
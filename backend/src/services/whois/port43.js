@@ -0,0 +1,222 @@
+/**
+ * Port 43 WHOIS Client
+ * Network Engineers Toolkit Backend
+ *
+ * Queries WHOIS servers (RFC 3912) and follows "refer:", "ReferralServer:"
+ * and "Registrar WHOIS Server:" lines to the authoritative server. Referrals
+ * are followed here rather than by the whois package, which drops the port
+ * of referrals such as rwhois://rwhois.example.net:4321.
+ * An answer names the next server, so referrals are only followed to ports
+ * 43 and 4321 on public addresses, and the connection goes to the address
+ * that was checked. WHOIS_ALLOWED_REFERRALS lists servers exempt from this,
+ * such as an internal registry.
+ * WHOIS_SERVER sends every query to one server first (host, host:port or
+ * [IPv6]:port), which is how tests point lookups at a local stand-in.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const whois = require('whois');
+const { WhoisError, classifyQuery } = require('./query');
+
+const DEFAULT_IANA_SERVER = 'whois.iana.org';
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_REFERRALS = 3;
+const WHOIS_PORT = 43;
+
+// WHOIS and RWHOIS, the only ports a referral may send a query to
+const REFERRAL_PORTS = [WHOIS_PORT, 4321];
+
+// Query templates for servers that need more than the bare query
+const QUERY_TEMPLATES = {
+  'whois.arin.net': { ip: 'n + $addr\r\n' }
+};
+
+// Same labels the whois package follows, plus an optional :port and [IPv6] hosts
+const REFERRAL_PATTERN = /(?:ReferralServer|Registrar Whois|Whois Server|WHOIS Server|Registrar WHOIS Server|refer):[^\S\n]*(?:(?:r?whois|https?):\/\/)?((?:\[[0-9A-Fa-f:.]+\]|[0-9A-Za-z.\-_]+)(?::\d+)?)/;
+
+const NOT_FOUND_PATTERN = /^\s*(no match|not found|no entries found|no data found|no object found|%error:101|no information available)/im;
+
+function getNumberEnv(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : defaultValue;
+}
+
+/**
+ * Split a server into host and port
+ * @param {string} server - host, host:port, IPv6 address or [IPv6]:port
+ * @returns {Object} { host, port }
+ */
+function parseServer(server) {
+  const value = String(server).trim();
+  const bracketed = /^\[([^\]]+)\](?::(\d+))?$/.exec(value);
+  const withPort = /^([^:]+):(\d+)$/.exec(value);
+
+  if (bracketed) {
+    return { host: bracketed[1], port: bracketed[2] ? parseInt(bracketed[2], 10) : WHOIS_PORT };
+  }
+  if (withPort) {
+    return { host: withPort[1], port: parseInt(withPort[2], 10) };
+  }
+  return { host: value, port: WHOIS_PORT };
+}
+
+/**
+ * Build the server argument for a lookup
+ * @param {string} server - host or host:port
+ * @param {string} type - Query type from classifyQuery
+ * @param {string|null} [address] - Address to connect to instead of resolving the host again
+ * @returns {Object} { host, port, query }
+ */
+function serverFor(server, type, address = null) {
+  const { host, port } = parseServer(server);
+  const templates = QUERY_TEMPLATES[host.toLowerCase()] || {};
+
+  return {
+    host: address || host,
+    port,
+    query: templates[type] || '$addr\r\n'
+  };
+}
+
+function serverName(server) {
+  const { host, port } = parseServer(server);
+  if (port === WHOIS_PORT) return host;
+  return net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`;
+}
+
+function isAllowedReferral(server) {
+  const name = serverName(server).toLowerCase();
+  return (process.env.WHOIS_ALLOWED_REFERRALS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .some(entry => serverName(entry).toLowerCase() === name);
+}
+
+// Registries only answer for public addresses, so classifyQuery refuses the rest
+function isPublicAddress(address) {
+  try {
+    classifyQuery(address);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a referral before following it: only WHOIS and RWHOIS ports, and
+ * only names whose every address is public
+ * @param {string} server - host or host:port from an answer
+ * @returns {Promise<string|null>} Address to connect to (null: a WHOIS_ALLOWED_REFERRALS server)
+ * @throws {WhoisError} REFERRAL_REFUSED
+ */
+async function referralAddress(server) {
+  if (isAllowedReferral(server)) return null;
+
+  const { host, port } = parseServer(server);
+  if (!REFERRAL_PORTS.includes(port)) {
+    throw new WhoisError(`Referral to ${serverName(server)} refused: port ${port} is not a WHOIS port`, 'REFERRAL_REFUSED');
+  }
+
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true, verbatim: true });
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw new WhoisError(`Referral to ${serverName(server)} refused: ${blocked.address} is not a public address`, 'REFERRAL_REFUSED');
+  }
+  return addresses[0].address;
+}
+
+/**
+ * Server an answer refers the query on to
+ * @param {string} data - WHOIS answer
+ * @returns {string|null} host or host:port
+ */
+function findReferral(data) {
+  const match = REFERRAL_PATTERN.exec(data.replace(/\r/g, ''));
+  return match ? match[1] : null;
+}
+
+/**
+ * Ask one server, without following referrals
+ * @param {string} text - Query text
+ * @param {string} server - host or host:port
+ * @param {string} type - Query type from classifyQuery
+ * @param {string|null} address - Checked address of a referral
+ * @returns {Promise<string>} Answer
+ */
+function ask(text, server, type, address) {
+  return new Promise((resolve, reject) => {
+    whois.lookup(text, {
+      server: serverFor(server, type, address),
+      follow: 0,
+      timeout: getNumberEnv('WHOIS_TIMEOUT_MS', DEFAULT_TIMEOUT_MS)
+    }, (error, data) => {
+      if (error) return reject(error);
+      resolve(data || '');
+    });
+  });
+}
+
+/**
+ * Run a WHOIS query and follow referrals
+ * @param {Object} classified - Result of classifyQuery
+ * @param {string|null} registryHost - Registry server picked from bootstrap
+ *   data; whois.iana.org (WHOIS_IANA_SERVER) is asked when null
+ * @returns {Promise<Object>} { server, data, notFound, referrals: [{ server, data }],
+ *   refused: { server, reason } for a referral that was not followed, or null }
+ */
+async function query(classified, registryHost) {
+  const start = process.env.WHOIS_SERVER
+    || registryHost
+    || process.env.WHOIS_IANA_SERVER
+    || DEFAULT_IANA_SERVER;
+
+  // Prefix queries go to registries by their network address
+  const text = classified.type === 'ip' ? classified.address : classified.query;
+  const maxReferrals = getNumberEnv('WHOIS_MAX_REFERRALS', DEFAULT_MAX_REFERRALS);
+
+  const referrals = [];
+  const asked = new Set();
+  let refused = null;
+  let server = start;
+  let address = null;
+
+  while (server) {
+    const data = await ask(text, server, classified.type, address);
+    referrals.push({ server: serverName(server), data });
+    asked.add(serverName(server).toLowerCase());
+
+    const next = referrals.length <= maxReferrals ? findReferral(data) : null;
+    server = null;
+    if (next && !asked.has(serverName(next).toLowerCase())) {
+      try {
+        address = await referralAddress(next);
+        server = next;
+      } catch (error) {
+        refused = { server: serverName(next), reason: error.message };
+      }
+    }
+  }
+
+  // An empty registrar answer leaves the registry's record standing
+  const answer = [...referrals].reverse().find(response => response.data.trim());
+
+  if (!answer) {
+    throw new Error(`No response from ${start}`);
+  }
+
+  return {
+    server: answer.server,
+    data: answer.data,
+    notFound: NOT_FOUND_PATTERN.test(answer.data),
+    referrals,
+    refused
+  };
+}
+
+module.exports = {
+  query
+};
@@ -0,0 +1,116 @@
+/**
+ * WHOIS Query Classification
+ * Network Engineers Toolkit Backend
+ *
+ * Works out whether a lookup is for an address, an AS number or a domain
+ * and puts it in the form registries expect.
+ */
+
+const net = require('net');
+const url = require('url');
+const subnet = require('../../shared/subnet');
+
+/**
+ * Error raised for lookups that cannot be made
+ */
+class WhoisError extends Error {
+  constructor(message, code = 'WHOIS_ERROR', field = 'query') {
+    super(message);
+    this.name = 'WhoisError';
+    this.code = code;
+    this.field = field;
+  }
+}
+
+// IPv4 ranges that no registry answers for (RFC 6890)
+const IPV4_SPECIAL = [
+  { prefix: '0.0.0.0/8', name: '"This network" (RFC 791)' },
+  { prefix: '10.0.0.0/8', name: 'private-use (RFC 1918)' },
+  { prefix: '100.64.0.0/10', name: 'shared address space (RFC 6598)' },
+  { prefix: '127.0.0.0/8', name: 'loopback (RFC 1122)' },
+  { prefix: '169.254.0.0/16', name: 'link-local (RFC 3927)' },
+  { prefix: '172.16.0.0/12', name: 'private-use (RFC 1918)' },
+  { prefix: '192.0.2.0/24', name: 'documentation (RFC 5737)' },
+  { prefix: '192.168.0.0/16', name: 'private-use (RFC 1918)' },
+  { prefix: '198.18.0.0/15', name: 'benchmarking (RFC 2544)' },
+  { prefix: '198.51.100.0/24', name: 'documentation (RFC 5737)' },
+  { prefix: '203.0.113.0/24', name: 'documentation (RFC 5737)' },
+  { prefix: '224.0.0.0/4', name: 'multicast (RFC 5771)' },
+  { prefix: '240.0.0.0/4', name: 'reserved (RFC 1112)' }
+];
+
+const IPV6_PUBLIC_TYPES = ['Global unicast'];
+
+function specialIPv4(parsed) {
+  return IPV4_SPECIAL.find(entry => {
+    const range = subnet.parseCidr(entry.prefix);
+    const shift = BigInt(32 - range.prefix);
+    return (BigInt(parsed.network) >> shift) === (BigInt(range.network) >> shift);
+  });
+}
+
+/**
+ * Classify and normalise a lookup
+ * @param {string} input - Domain, address, prefix or AS number
+ * @returns {Object} { type: 'ip'|'asn'|'domain', query, address?, prefix?, asn? }
+ */
+function classifyQuery(input) {
+  const text = String(input === undefined || input === null ? '' : input).trim();
+  if (!text) {
+    throw new WhoisError('A domain, IP address or AS number is required', 'MISSING_QUERY');
+  }
+
+  const asnMatch = /^AS(\d{1,10})$/i.exec(text) || /^(\d{1,10})$/.exec(text);
+  if (asnMatch && !net.isIP(text)) {
+    const asn = Number(asnMatch[1]);
+    if (asn > 4294967295) {
+      throw new WhoisError(`${text} is not a valid AS number`, 'INVALID_ASN');
+    }
+    return { type: 'asn', query: `AS${asn}`, asn };
+  }
+
+  const address = text.split('/')[0];
+  if (net.isIP(address)) {
+    let parsed;
+    try {
+      parsed = subnet.parseCidr(text, 'query');
+    } catch (error) {
+      throw new WhoisError(error.message, 'INVALID_ADDRESS');
+    }
+
+    const network = subnet.formatAddress(parsed.version, parsed.network);
+    if (parsed.version === 4) {
+      const special = specialIPv4(parsed);
+      if (special) {
+        throw new WhoisError(`${text} is a ${special.name} address and has no registry record`, 'NON_PUBLIC_ADDRESS');
+      }
+    } else {
+      const type = subnet.ipv6AddressType(parsed.network);
+      if (!IPV6_PUBLIC_TYPES.includes(type)) {
+        throw new WhoisError(`${text} is a ${type.toLowerCase()} address and has no registry record`, 'NON_PUBLIC_ADDRESS');
+      }
+    }
+
+    const prefixed = text.includes('/');
+    return {
+      type: 'ip',
+      query: prefixed ? `${network}/${parsed.prefix}` : network,
+      address: prefixed ? network : address.toLowerCase(),
+      prefix: prefixed ? parsed.prefix : null,
+      version: parsed.version
+    };
+  }
+
+  // Internationalised names are looked up by their A-label
+  const domain = url.domainToASCII(text.toLowerCase().replace(/^https?:\/\//, '').replace(/[/.]+$/, ''));
+  if (!domain || !/^(?=.{1,253}$)([a-z0-9_]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,62}$/.test(domain)) {
+    throw new WhoisError(`"${text}" is not a domain, IP address or AS number`, 'INVALID_QUERY');
+  }
+
+  return { type: 'domain', query: domain };
+}
+
+module.exports = {
+  WhoisError,
+  classifyQuery
+};
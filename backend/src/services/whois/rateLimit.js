@@ -0,0 +1,73 @@
+/**
+ * Per-Registry Query Rate Limits
+ * Network Engineers Toolkit Backend
+ *
+ * Registries block clients that query too fast (LACNIC and RIPE especially),
+ * so network lookups take a slot from their registry's budget first.
+ * WHOIS_RATE_LIMITS overrides the queries per second, e.g.
+ * "ARIN=2,RIPE=4,LACNIC=0.2,default=2"; 0 means unlimited.
+ */
+
+const DEFAULT_RATES = {
+  ARIN: 2,
+  RIPE: 2,
+  APNIC: 1,
+  AFRINIC: 1,
+  LACNIC: 0.5,
+  default: 2
+};
+
+const nextSlots = new Map();
+
+function getRates() {
+  const rates = { ...DEFAULT_RATES };
+
+  String(process.env.WHOIS_RATE_LIMITS || '').split(',').forEach(item => {
+    const [name, value] = item.split('=').map(part => part && part.trim());
+    const rate = parseFloat(value);
+    if (name && Number.isFinite(rate) && rate >= 0) {
+      rates[name.toLowerCase() === 'default' ? 'default' : name.toUpperCase()] = rate;
+    }
+  });
+
+  return rates;
+}
+
+/**
+ * Queries per second allowed for a registry
+ * @param {string|null} registry - RIR name or registry host
+ * @returns {number} Rate, 0 when unlimited
+ */
+function rateFor(registry) {
+  const rates = getRates();
+  const key = String(registry || 'default').toUpperCase();
+  return rates[key] !== undefined ? rates[key] : rates.default;
+}
+
+/**
+ * Wait until the registry has a free slot
+ * Slots are reserved in call order, so concurrent callers queue up
+ * instead of bursting once the interval has passed.
+ * @param {string|null} registry - RIR name or registry host
+ * @returns {Promise<number>} Milliseconds waited
+ */
+async function acquire(registry) {
+  const rate = rateFor(registry);
+  if (!(rate > 0)) return 0;
+
+  const key = String(registry || 'default').toUpperCase();
+  const now = Date.now();
+  const slot = Math.max(now, nextSlots.get(key) || 0);
+  nextSlots.set(key, slot + 1000 / rate);
+
+  const wait = slot - now;
+  if (wait > 0) {
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+  return wait;
+}
+
+module.exports = {
+  rateFor,
+  acquire
+};
@@ -0,0 +1,89 @@
+/**
+ * RDAP Client
+ * Network Engineers Toolkit Backend
+ *
+ * Queries a registry's RDAP service (RFC 9082/9083). RDAP_SERVER_URL sends
+ * every query to one base URL instead of the bootstrap choice, e.g. a local
+ * stand-in server for tests.
+ */
+
+const axios = require('axios');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const RDAP_MEDIA_TYPE = 'application/rdap+json';
+
+function getTimeout() {
+  const value = parseInt(process.env.RDAP_TIMEOUT_MS, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TIMEOUT_MS;
+}
+
+/**
+ * Path of the RDAP object for a classified query
+ * @param {Object} classified - Result of classifyQuery
+ * @returns {string}
+ */
+function objectPath(classified) {
+  switch (classified.type) {
+    case 'ip':
+      return `ip/${classified.query}`;
+    case 'asn':
+      return `autnum/${classified.asn}`;
+    default:
+      return `domain/${classified.query}`;
+  }
+}
+
+async function fetchObject(url) {
+  const response = await axios.get(url, {
+    timeout: getTimeout(),
+    headers: { Accept: `${RDAP_MEDIA_TYPE}, application/json` },
+    validateStatus: status => (status >= 200 && status < 300) || status === 404
+  });
+  return response.status === 404 ? null : response.data;
+}
+
+/**
+ * Look a query up over RDAP
+ * Domain answers from a registry that link to the registrar's RDAP record
+ * include that record as well.
+ * @param {Object} classified - Result of classifyQuery
+ * @param {string|null} baseUrl - Registry base URL from bootstrap data
+ * @returns {Promise<Object|null>} { server, url, data, related }, or null
+ *   when the registry has no record
+ */
+async function query(classified, baseUrl) {
+  const base = (process.env.RDAP_SERVER_URL || baseUrl || '').replace(/\/+$/, '');
+  if (!base) return null;
+
+  const url = `${base}/${objectPath(classified)}`;
+  const data = await fetchObject(url);
+  if (!data) return null;
+
+  const result = {
+    server: new URL(url).host,
+    url,
+    data,
+    related: null
+  };
+
+  const link = classified.type === 'domain' && Array.isArray(data.links)
+    && data.links.find(item => item.rel === 'related' && item.href && item.href !== url
+      && (!item.type || item.type === RDAP_MEDIA_TYPE));
+
+  if (link) {
+    try {
+      const related = await fetchObject(link.href);
+      if (related) {
+        result.related = { server: new URL(link.href).host, url: link.href, data: related };
+      }
+    } catch (error) {
+      // The registry record stands on its own when the registrar is unreachable
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  query
+};
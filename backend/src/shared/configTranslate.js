@@ -0,0 +1,1662 @@
+/**
+ * Cross-Vendor Configuration Translation
+ * Network Engineers Toolkit - shared between the backend API and the browser
+ *
+ * Translates the common building blocks of a router or switch configuration
+ * between Cisco IOS/IOS-XE, JUNOS and Arista EOS: the hostname,
+ * interfaces (addresses, switchport modes, subinterfaces, ACLs), VLANs,
+ * static routes, BGP neighbors and peer groups, prefix-lists, community
+ * lists, route-maps/policy-statements and ACLs/firewall filters.
+ *
+ * Each source is read into one vendor-neutral model: IOS and EOS from their
+ * indented text, JUNOS from the shared/junosConfig.js tree (any JUNOS
+ * format). Every source line the reader does not consume, and everything
+ * the target cannot express, goes into the untranslated report with its
+ * line so nothing is dropped silently. Encrypted BGP keys are never
+ * decrypted into the output. Interface names are mapped by type
+ * (ge-0/0/1, GigabitEthernet0/0/1, Ethernet2) unless options.interfaceMap
+ * names them. Served to the frontend at /api/shared/configTranslate.js as
+ * window.ConfigTranslate; load subnet.js and junosConfig.js first.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./junosConfig'), require('./subnet'));
+    } else {
+        root.ConfigTranslate = factory(root.JunosConfig, root.SubnetCalc);
+    }
+}(typeof self !== 'undefined' ? self : this, function (JunosConfig, SubnetCalc) {
+    'use strict';
+
+    const { JunosConfigError } = JunosConfig;
+
+    const VENDORS = ['ios', 'junos', 'eos'];
+    const VENDOR_NAMES = { ios: 'IOS', junos: 'JUNOS', eos: 'EOS' };
+
+    const REASONS = {
+        UNSUPPORTED: 'Not supported by the translator',
+        INACTIVE: 'Inactive in the source configuration',
+        DELETED: 'Delete in the source configuration'
+    };
+
+    // JUNOS interface prefixes and the IOS names for the same port types; EOS calls them all Ethernet
+    const ETHERNET_TYPES = [
+        { junos: 'fe', ios: 'FastEthernet', abbreviations: ['fa'] },
+        { junos: 'ge', ios: 'GigabitEthernet', abbreviations: ['gi', 'gig', 'ethernet', 'eth'] },
+        { junos: 'mge', ios: 'TwoGigabitEthernet', abbreviations: ['tw'] },
+        { junos: 'xe', ios: 'TenGigabitEthernet', abbreviations: ['te', 'ten'] },
+        { junos: 'et', ios: 'HundredGigE', abbreviations: ['hu', 'fortygigabitethernet', 'fo', 'twentyfivegige'] }
+    ];
+    const INTERFACE_KINDS = [
+        { kind: 'loopback', ios: 'Loopback', eos: 'Loopback', abbreviations: ['lo'] },
+        { kind: 'lag', ios: 'Port-channel', eos: 'Port-Channel', abbreviations: ['po', 'port-channel'] },
+        { kind: 'vlan', ios: 'Vlan', eos: 'Vlan', abbreviations: ['vl'] }
+    ];
+
+    const PORT_NUMBERS = {
+        'ftp-data': 20, 'ftp': 21, 'ssh': 22, 'telnet': 23, 'smtp': 25, 'domain': 53, 'dns': 53,
+        'bootps': 67, 'bootpc': 68, 'tftp': 69, 'www': 80, 'http': 80, 'pop3': 110, 'ntp': 123,
+        'snmp': 161, 'snmptrap': 162, 'bgp': 179, 'ldap': 389, 'https': 443, 'syslog': 514
+    };
+    // JUNOS ICMP type names with the IOS/EOS name where it differs
+    const ICMP_TYPES = {
+        'echo-request': 'echo', 'echo-reply': 'echo-reply', 'unreachable': 'unreachable',
+        'time-exceeded': 'time-exceeded', 'redirect': 'redirect', 'parameter-problem': 'parameter-problem',
+        'source-quench': 'source-quench'
+    };
+    const PROTOCOL_ALIASES = { ahp: 'ah' };
+
+    // IOS/EOS lines that carry nothing to translate
+    const IGNORED = /^(end|exit|exit-address-family|version\s.*|Building configuration.*|Current configuration.*)$/;
+
+    function createModel() {
+        return {
+            hostname: null,
+            interfaces: [],
+            vlans: [],
+            routes: [],
+            bgp: null,
+            prefixLists: [],
+            communityLists: [],
+            policies: [],
+            acls: []
+        };
+    }
+
+    function skip(report, origin, reason) {
+        report.untranslated.push({ line: origin ? origin.line : null, text: origin ? origin.text : '', reason });
+    }
+
+    function findByName(items, name) {
+        return items.find(item => item.name === name) || null;
+    }
+
+    // Addresses and prefixes
+
+    function isIPv6(prefix) {
+        return String(prefix).includes(':');
+    }
+
+    function prefixLength(prefix) {
+        return parseInt(String(prefix).split('/')[1], 10);
+    }
+
+    function maxLength(prefix) {
+        return isIPv6(prefix) ? 128 : 32;
+    }
+
+    function maskedPrefix(address, mask) {
+        try {
+            SubnetCalc.parseIPv4(address);
+            return `${address}/${SubnetCalc.parseMask(mask)}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function wildcardPrefix(address, wildcard) {
+        try {
+            const mask = SubnetCalc.formatIPv4((~SubnetCalc.parseIPv4(wildcard)) >>> 0);
+            return maskedPrefix(address, mask);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function prefixAddress(prefix) {
+        return String(prefix).split('/')[0];
+    }
+
+    function prefixMask(prefix) {
+        return SubnetCalc.formatIPv4(SubnetCalc.prefixToMask(prefixLength(prefix)));
+    }
+
+    function prefixWildcard(prefix) {
+        return SubnetCalc.formatIPv4((~SubnetCalc.prefixToMask(prefixLength(prefix))) >>> 0);
+    }
+
+    function isPrefix(text) {
+        return /^[0-9a-f.:]+\/\d{1,3}$/i.test(text);
+    }
+
+    // VLAN lists such as 10,20,30-32
+    function parseVlanList(text) {
+        const ids = [];
+        for (const part of String(text).split(',')) {
+            const range = /^(\d+)(?:-(\d+))?$/.exec(part.trim());
+            if (!range) return null;
+            const first = parseInt(range[1], 10);
+            const last = range[2] ? parseInt(range[2], 10) : first;
+            if (last < first || last > 4094) return null;
+            for (let id = first; id <= last; id++) ids.push(id);
+        }
+        return ids;
+    }
+
+    function formatVlanList(ids) {
+        const sorted = Array.from(new Set(ids)).sort((a, b) => a - b);
+        const parts = [];
+        sorted.forEach((id, index) => {
+            const last = parts[parts.length - 1];
+            if (last && id === sorted[index - 1] + 1) last[1] = id;
+            else parts.push([id, id]);
+        });
+        return parts.map(([first, last]) => (first === last ? String(first) : `${first}-${last}`)).join(',');
+    }
+
+    // Interface names
+
+    /**
+     * Read an interface name into { kind, type, numbers, unit }: numbers are
+     * the slot/port numbers as JUNOS counts them (from zero), unit the
+     * logical unit or subinterface
+     * @param {string} name
+     * @param {string} vendor
+     * @returns {Object|null} null for names of no known type
+     */
+    function parseInterfaceName(name, vendor) {
+        const [base, unitText] = String(name).split('.');
+        const unit = unitText === undefined ? null : parseInt(unitText, 10);
+
+        if (vendor === 'junos') {
+            let match = /^([a-z]+)-(\d+(?:\/\d+)*)$/.exec(base);
+            if (match && ETHERNET_TYPES.some(type => type.junos === match[1])) {
+                return { kind: 'ethernet', type: match[1], numbers: match[2].split('/').map(Number), unit };
+            }
+            if ((match = /^ae(\d+)$/.exec(base))) return { kind: 'lag', number: Number(match[1]), unit };
+            if (base === 'lo0') return { kind: 'loopback', number: unit || 0, unit: null };
+            if ((base === 'irb' || base === 'vlan') && unit !== null) return { kind: 'vlan', number: unit, unit: null };
+            return null;
+        }
+
+        const match = /^([A-Za-z-]+?)\s*(\d+(?:\/\d+)*)$/.exec(base);
+        if (!match) return null;
+        const typeName = match[1].toLowerCase();
+        const numbers = match[2].split('/').map(Number);
+
+        const kind = INTERFACE_KINDS.find(item =>
+            item.ios.toLowerCase() === typeName || item.abbreviations.includes(typeName));
+        if (kind) return { kind: kind.kind, number: numbers[numbers.length - 1], unit };
+
+        if (vendor === 'eos' && (typeName === 'ethernet' || typeName === 'et')) {
+            // EOS counts ports from one
+            numbers[numbers.length - 1] -= 1;
+            return { kind: 'ethernet', type: 'ge', numbers, unit };
+        }
+        const type = ETHERNET_TYPES.find(item =>
+            item.ios.toLowerCase() === typeName || item.abbreviations.includes(typeName));
+        return type ? { kind: 'ethernet', type: type.junos, numbers, unit } : null;
+    }
+
+    function formatInterfaceName(port, vendor) {
+        const unit = port.unit === null || port.unit === undefined ? '' : `.${port.unit}`;
+        if (port.kind === 'ethernet') {
+            if (vendor === 'junos') {
+                const numbers = port.numbers.slice();
+                while (numbers.length < 3) numbers.unshift(0);
+                return `${port.type}-${numbers.join('/')}${unit}`;
+            }
+            if (vendor === 'eos') {
+                const numbers = port.numbers.slice();
+                while (numbers.length > 1 && numbers[0] === 0) numbers.shift();
+                numbers[numbers.length - 1] += 1;
+                return `Ethernet${numbers.join('/')}${unit}`;
+            }
+            return `${ETHERNET_TYPES.find(type => type.junos === port.type).ios}${port.numbers.join('/')}${unit}`;
+        }
+
+        if (vendor === 'junos') {
+            if (port.kind === 'lag') return `ae${port.number}${unit}`;
+            if (port.kind === 'loopback') return port.number ? `lo0.${port.number}` : 'lo0';
+            return `irb.${port.number}`;
+        }
+        const kind = INTERFACE_KINDS.find(item => item.kind === port.kind);
+        return `${kind[vendor]}${port.number}${unit}`;
+    }
+
+    function createInterface(name, origin) {
+        return {
+            name,
+            description: null,
+            shutdown: null,
+            mtu: null,
+            addresses: [],
+            ipv6Addresses: [],
+            mode: null,
+            accessVlan: null,
+            trunkVlans: [],
+            nativeVlan: null,
+            vlanId: null,
+            filters: { input: null, output: null },
+            origin
+        };
+    }
+
+    function createPeer(id, origin) {
+        return {
+            id,
+            group: null,
+            remoteAs: null,
+            description: null,
+            password: null,
+            importPolicies: [],
+            exportPolicies: [],
+            maxPrefix: null,
+            teardown: false,
+            shutdown: false,
+            origin
+        };
+    }
+
+    function createTerm(name, origin) {
+        return {
+            name,
+            action: null,
+            description: null,
+            match: { prefixLists: [], communities: [] },
+            set: { localPreference: null, metric: null, community: null, prepend: [] },
+            origin
+        };
+    }
+
+    // IOS and EOS
+
+    /**
+     * Split IOS/EOS text into lines with the lines indented under them
+     * @param {string} text
+     * @returns {Array<Object>} { text, line, children, used }
+     */
+    function readBlocks(text) {
+        const roots = [];
+        const stack = [];
+        let banner = null;
+
+        String(text).split(/\r?\n/).forEach((raw, index) => {
+            const line = index + 1;
+            if (banner) {
+                banner.item.children.push({ text: raw.trim(), line, indent: 1, children: [], used: false });
+                if (raw.includes(banner.delimiter)) banner = null;
+                return;
+            }
+
+            const content = raw.trim();
+            if (content === '') return;
+            const indent = raw.length - raw.replace(/^\s+/, '').length;
+            if (content.startsWith('!')) {
+                if (indent === 0) stack.length = 0;
+                return;
+            }
+
+            const item = { text: content, line, indent, children: [], used: false };
+            while (stack.length > 0 && stack[stack.length - 1].indent >= indent) stack.pop();
+            (stack.length > 0 ? stack[stack.length - 1].children : roots).push(item);
+            stack.push(item);
+
+            // banner motd ^C ... ^C runs until the delimiter comes back
+            const match = /^banner\s+\S+\s+(\^C|\S)(.*)$/.exec(content);
+            if (match && !match[2].includes(match[1])) banner = { item, delimiter: match[1] };
+        });
+        return roots;
+    }
+
+    function origin(item) {
+        return { line: item.line, text: item.text };
+    }
+
+    // Try each [pattern, handler] on a line; the line is used when a pattern matches and the handler does not return false
+    function dispatch(item, rules) {
+        for (const [pattern, handler] of rules) {
+            const match = pattern.exec(item.text);
+            if (match) {
+                if (handler(match) !== false) item.used = true;
+                return;
+            }
+        }
+    }
+
+    function reportUnusedLines(items, report) {
+        items.forEach((item) => {
+            if (!item.used) skip(report, origin(item), REASONS.UNSUPPORTED);
+            reportUnusedLines(item.children, report);
+        });
+    }
+
+    function readCiscoAddress(tokens, vendor) {
+        const token = tokens.shift();
+        if (token === 'any') return { prefix: null };
+        if (token === 'host') return tokens.length > 0 ? { prefix: `${tokens.shift()}/32` } : null;
+        if (token && isPrefix(token)) return { prefix: token };
+        if (token && vendor !== 'eos' && tokens.length > 0) {
+            const prefix = wildcardPrefix(token, tokens.shift());
+            return prefix ? { prefix } : null;
+        }
+        return null;
+    }
+
+    function portNumber(token) {
+        if (/^\d+$/.test(token)) return parseInt(token, 10);
+        return Object.prototype.hasOwnProperty.call(PORT_NUMBERS, token) ? PORT_NUMBERS[token] : null;
+    }
+
+    // eq/range/gt/lt port conditions; undefined when absent, null when not translatable
+    function readCiscoPorts(tokens) {
+        const operator = tokens[0];
+        if (!['eq', 'range', 'gt', 'lt', 'neq'].includes(operator)) return undefined;
+        tokens.shift();
+        if (operator === 'neq') return null;
+
+        if (operator === 'eq') {
+            const values = [];
+            while (tokens.length > 0 && portNumber(tokens[0]) !== null) values.push(portNumber(tokens.shift()));
+            return values.length > 0 ? { op: 'eq', values } : null;
+        }
+        const first = portNumber(tokens.shift());
+        if (first === null) return null;
+        if (operator === 'gt') return { op: 'range', values: [first + 1, 65535] };
+        if (operator === 'lt') return { op: 'range', values: [0, first - 1] };
+        const last = portNumber(tokens.shift());
+        return last === null ? null : { op: 'range', values: [first, last] };
+    }
+
+    /**
+     * Read one IOS/EOS ACL entry
+     * @param {string} text - [seq] permit|deny ...
+     * @param {boolean} standard - Standard ACL (source only)
+     * @param {string} vendor
+     * @returns {Object|null} null when the entry cannot be translated
+     */
+    function readCiscoAclEntry(text, standard, vendor) {
+        const tokens = text.split(/\s+/);
+        const entry = {
+            seq: null,
+            action: null,
+            protocol: null,
+            source: null,
+            sourcePorts: null,
+            destination: null,
+            destinationPorts: null,
+            icmpType: null,
+            established: false,
+            log: false
+        };
+        if (/^\d+$/.test(tokens[0])) entry.seq = parseInt(tokens.shift(), 10);
+        entry.action = tokens.shift();
+        if (entry.action !== 'permit' && entry.action !== 'deny') return null;
+
+        if (!standard) {
+            const protocol = tokens.shift();
+            if (!protocol) return null;
+            entry.protocol = protocol === 'ip' ? null : (PROTOCOL_ALIASES[protocol] || protocol);
+        }
+
+        const source = readCiscoAddress(tokens, vendor);
+        if (!source) return null;
+        entry.source = source.prefix;
+
+        if (!standard) {
+            const ports = readCiscoPorts(tokens);
+            if (ports === null) return null;
+            entry.sourcePorts = ports || null;
+
+            const destination = readCiscoAddress(tokens, vendor);
+            if (!destination) return null;
+            entry.destination = destination.prefix;
+
+            const destinationPorts = readCiscoPorts(tokens);
+            if (destinationPorts === null) return null;
+            entry.destinationPorts = destinationPorts || null;
+
+            if (entry.protocol === 'icmp' && tokens.length > 0) {
+                const type = Object.keys(ICMP_TYPES).find(name => ICMP_TYPES[name] === tokens[0] || name === tokens[0]);
+                if (type) {
+                    entry.icmpType = type;
+                    tokens.shift();
+                } else if (tokens[0] === 'ttl-exceeded') {
+                    entry.icmpType = 'time-exceeded';
+                    tokens.shift();
+                }
+            }
+        }
+
+        for (const token of tokens) {
+            if (token === 'established') entry.established = true;
+            else if (token === 'log' || token === 'log-input') entry.log = true;
+            else return null;
+        }
+        return entry;
+    }
+
+    function readCiscoInterface(item, vendor, model) {
+        const iface = createInterface(item.text.replace(/^interface\s+/, '').replace(/\s+/g, ''), origin(item));
+        item.used = true;
+        model.interfaces.push(iface);
+
+        item.children.forEach(child => dispatch(child, [
+            [/^description\s+(.+)$/, (m) => { iface.description = m[1]; }],
+            [/^ip address\s+(\S+)\s+(\d+\.\d+\.\d+\.\d+)(\s+secondary)?$/, (m) => {
+                const prefix = maskedPrefix(m[1], m[2]);
+                if (!prefix) return false;
+                iface.addresses.push(prefix);
+            }],
+            [/^ip address\s+(\S+\/\d+)(\s+secondary)?$/, (m) => { iface.addresses.push(m[1]); }],
+            [/^ipv6 address\s+(\S+\/\d+)$/, (m) => { iface.ipv6Addresses.push(m[1].toLowerCase()); }],
+            [/^shutdown$/, () => { iface.shutdown = true; }],
+            [/^no shutdown$/, () => { iface.shutdown = false; }],
+            [/^mtu\s+(\d+)$/, (m) => { iface.mtu = parseInt(m[1], 10); }],
+            [/^switchport mode (access|trunk)$/, (m) => { iface.mode = m[1]; }],
+            [/^switchport access vlan (\d+)$/, (m) => { iface.accessVlan = parseInt(m[1], 10); }],
+            [/^switchport trunk allowed vlan (add\s+)?(\S+)$/, (m) => {
+                const ids = parseVlanList(m[2]);
+                if (!ids) return false;
+                iface.trunkVlans = m[1] ? iface.trunkVlans.concat(ids) : ids;
+            }],
+            [/^switchport trunk native vlan (\d+)$/, (m) => { iface.nativeVlan = parseInt(m[1], 10); }],
+            [/^(no )?switchport$|^switchport trunk encapsulation dot1q$/, () => {}],
+            [/^ip access-group (\S+) (in|out)$/, (m) => { iface.filters[m[2] === 'in' ? 'input' : 'output'] = m[1]; }],
+            [/^encapsulation dot1q (\d+)$/i, (m) => { iface.vlanId = parseInt(m[1], 10); }]
+        ]));
+        // Access is the default switchport mode
+        if (!iface.mode && iface.accessVlan !== null) iface.mode = 'access';
+    }
+
+    function readCiscoVlan(item, model) {
+        const ids = parseVlanList(item.text.replace(/^vlan\s+/, ''));
+        if (!ids) return;
+        item.used = true;
+        const vlans = ids.map((id) => {
+            const vlan = { id, name: null, origin: origin(item) };
+            model.vlans.push(vlan);
+            return vlan;
+        });
+        item.children.forEach(child => dispatch(child, [
+            [/^name\s+(.+)$/, (m) => {
+                if (vlans.length !== 1) return false;
+                vlans[0].name = m[1];
+            }]
+        ]));
+    }
+
+    function readCiscoRoute(item, model) {
+        const tokens = item.text.split(/\s+/);
+        const ipv6 = tokens[0] === 'ipv6';
+        tokens.splice(0, 2);
+        if (tokens[0] === 'vrf') return;
+
+        let prefix = tokens.shift();
+        if (!ipv6 && prefix && !isPrefix(prefix)) prefix = maskedPrefix(prefix, tokens.shift());
+        if (!prefix || !isPrefix(prefix)) return;
+
+        const route = { prefix: prefix.toLowerCase(), nextHop: null, distance: null, name: null, origin: origin(item) };
+        while (tokens.length > 0) {
+            const token = tokens.shift();
+            if (/^null0$/i.test(token)) route.nextHop = 'discard';
+            else if (!route.nextHop && /^[0-9a-f.:]+$/i.test(token) && /[.:]/.test(token)) route.nextHop = token.toLowerCase();
+            else if (route.nextHop && /^\d+$/.test(token)) route.distance = parseInt(token, 10);
+            else if (token === 'name' && tokens.length > 0) route.name = tokens.shift();
+            else if (!route.nextHop && /^[A-Za-z]/.test(token) && /^[0-9a-f.:]+$/i.test(tokens[0] || '')) continue;
+            else return;
+        }
+        if (!route.nextHop) return;
+        item.used = true;
+        model.routes.push(route);
+    }
+
+    function prefixList(model, name, item) {
+        let list = findByName(model.prefixLists, name);
+        if (!list) {
+            list = { name, entries: [], origin: origin(item) };
+            model.prefixLists.push(list);
+        }
+        return list;
+    }
+
+    // [seq N] permit|deny prefix [ge N] [le N]
+    function readPrefixListEntry(text, list, item) {
+        const match = /^(?:seq\s+(\d+)\s+)?(permit|deny)\s+(\S+\/\d+)(?:\s+ge\s+(\d+))?(?:\s+le\s+(\d+))?$/.exec(text);
+        if (!match) return false;
+        list.entries.push({
+            seq: match[1] ? parseInt(match[1], 10) : null,
+            action: match[2],
+            prefix: match[3].toLowerCase(),
+            ge: match[4] ? parseInt(match[4], 10) : null,
+            le: match[5] ? parseInt(match[5], 10) : null,
+            origin: origin(item)
+        });
+        return true;
+    }
+
+    function readCiscoPrefixList(item, model) {
+        const match = /^ipv?6? ?prefix-list\s+(\S+)(?:\s+(.*))?$/.exec(item.text);
+        if (!match) return;
+        const list = prefixList(model, match[1], item);
+        if (match[2] === undefined) {
+            // EOS: ip prefix-list NAME with the entries indented under it
+            item.used = true;
+            item.children.forEach((child) => {
+                if (readPrefixListEntry(child.text, list, child)) child.used = true;
+            });
+            return;
+        }
+        if (readPrefixListEntry(match[2], list, item)) item.used = true;
+    }
+
+    function readCiscoCommunityList(item, model) {
+        const match = /^ip community-list\s+(?:standard\s+)?(\S+)\s+permit\s+(.+)$/.exec(item.text);
+        if (!match || match[1] === 'expanded') return;
+        let list = findByName(model.communityLists, match[1]);
+        if (!list) {
+            list = { name: match[1], entries: [], origin: origin(item) };
+            model.communityLists.push(list);
+        }
+        list.entries.push({ members: match[2].split(/\s+/) });
+        item.used = true;
+    }
+
+    function readCiscoRouteMap(item, model) {
+        const match = /^route-map\s+(\S+)(?:\s+(permit|deny))?(?:\s+(\d+))?$/.exec(item.text);
+        if (!match) return;
+        let policy = findByName(model.policies, match[1]);
+        if (!policy) {
+            policy = { name: match[1], implicitDeny: true, terms: [], origin: origin(item) };
+            model.policies.push(policy);
+        }
+        const term = createTerm(match[3] || String((policy.terms.length + 1) * 10), origin(item));
+        term.action = match[2] || 'permit';
+        policy.terms.push(term);
+        item.used = true;
+
+        item.children.forEach(child => dispatch(child, [
+            [/^match ip address prefix-list\s+(.+)$/, (m) => { term.match.prefixLists.push(...m[1].split(/\s+/)); }],
+            [/^match ipv6 address prefix-list\s+(.+)$/, (m) => { term.match.prefixLists.push(...m[1].split(/\s+/)); }],
+            [/^match community\s+(.+)$/, (m) => { term.match.communities.push(...m[1].split(/\s+/)); }],
+            [/^set local-preference\s+(\d+)$/, (m) => { term.set.localPreference = parseInt(m[1], 10); }],
+            [/^set metric\s+(\d+)$/, (m) => { term.set.metric = parseInt(m[1], 10); }],
+            [/^set community\s+(.+?)(\s+additive)?$/, (m) => {
+                if (m[1] === 'none') return false;
+                term.set.community = { action: m[2] ? 'add' : 'set', members: m[1].split(/\s+/), list: null };
+            }],
+            [/^set comm-list\s+(\S+)\s+delete$/, (m) => { term.set.community = { action: 'delete', members: [], list: m[1] }; }],
+            [/^set as-path prepend\s+([\d\s]+)$/, (m) => { term.set.prepend = m[1].trim().split(/\s+/); }],
+            [/^continue(\s+\d+)?$/, () => { term.action = term.action === 'permit' ? null : false; return term.action !== false; }],
+            [/^description\s+(.+)$/, (m) => { term.description = m[1]; }]
+        ]));
+        if (term.action === false) term.action = 'deny';
+    }
+
+    function readCiscoBgp(item, vendor, model) {
+        const bgp = model.bgp || { asn: item.text.split(/\s+/)[2], routerId: null, groups: [], neighbors: [], networks: [], origin: origin(item) };
+        model.bgp = bgp;
+        item.used = true;
+
+        const peer = (id, line) => {
+            const group = bgp.groups.find(candidate => candidate.id === id);
+            if (group) return group;
+            let neighbor = bgp.neighbors.find(candidate => candidate.id === id);
+            if (!neighbor) {
+                neighbor = createPeer(id, origin(line));
+                bgp.neighbors.push(neighbor);
+            }
+            return neighbor;
+        };
+
+        const readLines = lines => lines.forEach(child => dispatch(child, [
+            [/^(?:bgp )?router-id\s+(\S+)$/, (m) => { bgp.routerId = m[1]; }],
+            [/^bgp log-neighbor-changes$|^no bgp default ipv4-unicast$/, () => {}],
+            [/^neighbor\s+(\S+)\s+peer[- ]group$/, (m) => {
+                const index = bgp.neighbors.findIndex(candidate => candidate.id === m[1]);
+                const group = index >= 0 ? bgp.neighbors.splice(index, 1)[0] : createPeer(m[1], origin(child));
+                bgp.groups.push(group);
+            }],
+            [/^neighbor\s+(\S+)\s+peer[- ]group\s+(\S+)$/, (m) => { peer(m[1], child).group = m[2]; }],
+            [/^neighbor\s+(\S+)\s+remote-as\s+(\d+)$/, (m) => { peer(m[1], child).remoteAs = m[2]; }],
+            [/^neighbor\s+(\S+)\s+description\s+(.+)$/, (m) => { peer(m[1], child).description = m[2]; }],
+            [/^neighbor\s+(\S+)\s+password\s+(?:(0|7)\s+)?(\S+)$/, (m) => {
+                peer(m[1], child).password = { value: m[3], encryptedFor: m[2] === '7' ? vendor : null, origin: origin(child) };
+            }],
+            [/^neighbor\s+(\S+)\s+route-map\s+(\S+)\s+(in|out)$/, (m) => {
+                const target = peer(m[1], child);
+                (m[3] === 'in' ? target.importPolicies : target.exportPolicies).push(m[2]);
+            }],
+            [/^neighbor\s+(\S+)\s+maximum-(?:prefix|routes)\s+(\d+)(.*)$/, (m) => {
+                const target = peer(m[1], child);
+                target.maxPrefix = parseInt(m[2], 10);
+                target.teardown = !/warning-only/.test(m[3]);
+            }],
+            [/^neighbor\s+(\S+)\s+shutdown$/, (m) => { peer(m[1], child).shutdown = true; }],
+            [/^neighbor\s+(\S+)\s+(activate|send-community(\s+\S+)?)$/, () => {}],
+            [/^network\s+(\S+)\s+mask\s+(\S+)$/, (m) => {
+                const prefix = maskedPrefix(m[1], m[2]);
+                if (!prefix) return false;
+                bgp.networks.push({ prefix, origin: origin(child) });
+            }],
+            [/^network\s+(\S+\/\d+)$/, (m) => { bgp.networks.push({ prefix: m[1], origin: origin(child) }); }],
+            [/^address-family ipv4( unicast)?$/, () => { readLines(child.children); }],
+            [IGNORED, () => {}]
+        ]));
+        readLines(item.children);
+    }
+
+    function readCiscoAcl(item, vendor, model) {
+        let match = /^ip access-list\s+(?:(standard|extended)\s+)?(\S+)$/.exec(item.text);
+        if (match) {
+            const acl = { name: match[2], entries: [], origin: origin(item) };
+            model.acls.push(acl);
+            item.used = true;
+            item.children.forEach((child) => {
+                const entry = readCiscoAclEntry(child.text, match[1] === 'standard', vendor);
+                if (!entry) return;
+                entry.origin = origin(child);
+                acl.entries.push(entry);
+                child.used = true;
+            });
+            return;
+        }
+
+        // Numbered: access-list 10 permit ..., 1-99 and 1300-1999 are standard
+        match = /^access-list\s+(\d+)\s+(.+)$/.exec(item.text);
+        if (!match) return;
+        const number = parseInt(match[1], 10);
+        const entry = readCiscoAclEntry(match[2], number < 100 || (number >= 1300 && number < 2000), vendor);
+        if (!entry) return;
+        let acl = findByName(model.acls, match[1]);
+        if (!acl) {
+            acl = { name: match[1], entries: [], origin: origin(item) };
+            model.acls.push(acl);
+        }
+        entry.origin = origin(item);
+        acl.entries.push(entry);
+        item.used = true;
+    }
+
+    /**
+     * Read IOS/IOS-XE or EOS configuration into the model
+     * @param {string} text
+     * @param {string} vendor - ios or eos
+     * @param {Object} report
+     * @returns {Object} Model
+     */
+    function readCisco(text, vendor, report) {
+        const model = createModel();
+        const items = readBlocks(text);
+
+        items.forEach((item) => {
+            if (IGNORED.test(item.text)) {
+                item.used = true;
+            } else if (/^hostname\s+\S+$/.test(item.text)) {
+                model.hostname = item.text.split(/\s+/)[1];
+                item.used = true;
+            } else if (/^interface\s/.test(item.text)) {
+                readCiscoInterface(item, vendor, model);
+            } else if (/^vlan\s+[\d,-]+$/.test(item.text)) {
+                readCiscoVlan(item, model);
+            } else if (/^ipv?6? ?route\s/.test(item.text)) {
+                readCiscoRoute(item, model);
+            } else if (/^ipv?6? ?prefix-list\s/.test(item.text)) {
+                readCiscoPrefixList(item, model);
+            } else if (/^ip community-list\s/.test(item.text)) {
+                readCiscoCommunityList(item, model);
+            } else if (/^route-map\s/.test(item.text)) {
+                readCiscoRouteMap(item, model);
+            } else if (/^router bgp\s+\d+(\.\d+)?$/.test(item.text)) {
+                readCiscoBgp(item, vendor, model);
+            } else if (/^(ip )?access-list\s/.test(item.text)) {
+                readCiscoAcl(item, vendor, model);
+            }
+        });
+
+        reportUnusedLines(items, report);
+        return model;
+    }
+
+    // JUNOS
+
+    /**
+     * Read paths out of a JUNOS tree, remembering which nodes were used so
+     * the rest can be reported. Inactive and deleted statements read as absent.
+     * @param {Object} tree
+     * @returns {Object}
+     */
+    function createJunosReader(tree) {
+        const used = new Set();
+
+        const active = node => node && !node.inactive && node.operation !== 'delete';
+
+        const find = (path, mark) => {
+            let node = tree;
+            for (const word of path) {
+                node = JunosConfig.findNode(node, [word]);
+                if (!active(node)) return null;
+                if (mark) used.add(node);
+            }
+            return node;
+        };
+
+        const reader = {
+            // Mark a path as translated and return its node
+            node: path => find(path, true),
+            has: path => Boolean(find(path, true)),
+            // Names under a path, without marking them
+            names: (path) => {
+                const node = find(path, false);
+                return node ? node.children.filter(active).map(child => child.word) : [];
+            },
+            values: (path) => {
+                const node = find(path, true);
+                if (!node) return [];
+                return node.children.filter(child => active(child) && child.children.length === 0).map((child) => {
+                    used.add(child);
+                    return child.word;
+                });
+            },
+            value: path => reader.values(path)[0] || null,
+            origin: (path) => {
+                const node = find(path, false);
+                return { line: node ? node.line : null, text: `set ${path.map(word => JunosConfig.formatWord(word)).join(' ')}` };
+            },
+            reportUnused: (report) => {
+                const walk = (node, path, reason) => {
+                    node.children.forEach((child) => {
+                        const childPath = path.concat(JunosConfig.formatWord(child.word, child.quoted));
+                        let childReason = reason;
+                        if (!childReason && child.inactive) childReason = REASONS.INACTIVE;
+                        if (!childReason && child.operation === 'delete') childReason = REASONS.DELETED;
+                        if (child.children.length === 0) {
+                            if (!used.has(child)) {
+                                skip(report, { line: child.line, text: `${childReason === REASONS.DELETED ? 'delete' : 'set'} ${childPath.join(' ')}` }, childReason || REASONS.UNSUPPORTED);
+                            }
+                        } else {
+                            walk(child, childPath, childReason);
+                        }
+                    });
+                };
+                walk(tree, [], null);
+            }
+        };
+        return reader;
+    }
+
+    function readJunosInterfaces(reader, model) {
+        reader.names(['interfaces']).forEach((name) => {
+            const base = ['interfaces', name];
+            if (!parseInterfaceName(name, 'junos') && name !== 'irb' && name !== 'vlan' && name !== 'lo0') return;
+            reader.node(base);
+
+            const physical = {
+                description: reader.value(base.concat('description')),
+                shutdown: reader.has(base.concat('disable')) || null,
+                mtu: reader.value(base.concat('mtu')),
+                nativeVlan: reader.value(base.concat('native-vlan-id'))
+            };
+            reader.has(base.concat('vlan-tagging'));
+            const units = reader.names(base.concat('unit'));
+            let main = null;
+
+            units.forEach((unitName) => {
+                const unit = base.concat('unit', unitName);
+                reader.node(unit);
+                const vlanId = reader.value(unit.concat('vlan-id'));
+                const fullName = unitName === '0' && !vlanId ? name : `${name}.${unitName}`;
+                const iface = createInterface(fullName, reader.origin(unit));
+                if (fullName === name) main = iface;
+                iface.vlanId = vlanId ? parseInt(vlanId, 10) : null;
+                iface.description = reader.value(unit.concat('description'));
+                if (reader.has(unit.concat('disable'))) iface.shutdown = true;
+
+                const inet = unit.concat('family', 'inet');
+                reader.names(inet.concat('address')).forEach((address) => {
+                    reader.node(inet.concat('address', address));
+                    reader.has(inet.concat('address', address, 'primary'));
+                    reader.has(inet.concat('address', address, 'preferred'));
+                    iface.addresses.push(address);
+                });
+                // Marking a statement only hides it from the report when it has nothing under it
+                reader.has(inet);
+                iface.filters.input = reader.value(inet.concat('filter', 'input'));
+                iface.filters.output = reader.value(inet.concat('filter', 'output'));
+                reader.names(unit.concat('family', 'inet6', 'address')).forEach((address) => {
+                    reader.node(unit.concat('family', 'inet6', 'address', address));
+                    iface.ipv6Addresses.push(address.toLowerCase());
+                });
+
+                const switching = unit.concat('family', 'ethernet-switching');
+                const mode = reader.value(switching.concat('interface-mode')) || reader.value(switching.concat('port-mode'));
+                const members = reader.values(switching.concat('vlan', 'members'));
+                if (mode || members.length > 0) {
+                    iface.mode = mode || 'access';
+                    iface.junosMembers = members;
+                } else if (reader.names(switching).length === 0 && reader.has(switching)) {
+                    iface.mode = 'access';
+                    iface.junosMembers = [];
+                }
+                model.interfaces.push(iface);
+            });
+
+            const hasPhysical = Object.keys(physical).some(key => physical[key] !== null);
+            if (!main && (hasPhysical || units.length === 0)) {
+                main = createInterface(name, reader.origin(base));
+                model.interfaces.splice(model.interfaces.length - units.length, 0, main);
+            }
+            if (main) {
+                if (physical.description !== null) main.description = physical.description;
+                if (physical.shutdown) main.shutdown = true;
+                if (physical.mtu !== null) main.mtu = parseInt(physical.mtu, 10);
+                if (physical.nativeVlan !== null) main.nativeVlan = parseInt(physical.nativeVlan, 10);
+            }
+        });
+    }
+
+    function readJunosVlans(reader, model) {
+        reader.names(['vlans']).forEach((name) => {
+            const path = ['vlans', name];
+            const id = reader.value(path.concat('vlan-id'));
+            if (!id || !/^\d+$/.test(id)) return;
+            reader.node(path);
+            reader.value(path.concat('l3-interface'));
+            model.vlans.push({ id: parseInt(id, 10), name, origin: reader.origin(path) });
+        });
+
+        // Access and trunk members may name VLANs or give their IDs
+        model.interfaces.forEach((iface) => {
+            if (!iface.junosMembers) return;
+            const ids = iface.junosMembers.map((member) => {
+                if (/^\d+$/.test(member)) return parseInt(member, 10);
+                const vlan = findByName(model.vlans, member);
+                return vlan ? vlan.id : null;
+            }).filter(id => id !== null);
+            if (iface.mode === 'trunk') iface.trunkVlans = ids;
+            else iface.accessVlan = ids.length > 0 ? ids[0] : null;
+            delete iface.junosMembers;
+        });
+    }
+
+    function readJunosRoutes(reader, model) {
+        const base = ['routing-options', 'static', 'route'];
+        reader.names(base).forEach((prefix) => {
+            const path = base.concat(prefix);
+            const nextHops = reader.values(path.concat('next-hop'));
+            if (reader.has(path.concat('discard')) || reader.has(path.concat('reject'))) nextHops.push('discard');
+            if (nextHops.length === 0) return;
+            reader.node(path);
+            const preference = reader.value(path.concat('preference'));
+            nextHops.forEach(nextHop => model.routes.push({
+                prefix: prefix.toLowerCase(),
+                nextHop: nextHop.toLowerCase(),
+                distance: preference ? parseInt(preference, 10) : null,
+                name: null,
+                origin: reader.origin(path)
+            }));
+        });
+    }
+
+    function readJunosPeer(reader, path, peer) {
+        peer.description = reader.value(path.concat('description'));
+        const key = reader.value(path.concat('authentication-key'));
+        if (key !== null) {
+            peer.password = { value: key, encryptedFor: key.startsWith('$9$') ? 'junos' : null, origin: reader.origin(path.concat('authentication-key')) };
+        }
+        peer.importPolicies = reader.values(path.concat('import'));
+        peer.exportPolicies = reader.values(path.concat('export'));
+        const limit = path.concat('family', 'inet', 'unicast', 'prefix-limit');
+        const maximum = reader.value(limit.concat('maximum'));
+        if (maximum) {
+            peer.maxPrefix = parseInt(maximum, 10);
+            peer.teardown = reader.has(limit.concat('teardown'));
+        }
+        if (reader.names(path.concat('family', 'inet', 'unicast')).length === 0) reader.has(path.concat('family', 'inet', 'unicast'));
+    }
+
+    function readJunosBgp(reader, model, report) {
+        const asn = reader.value(['routing-options', 'autonomous-system']);
+        const routerId = reader.value(['routing-options', 'router-id']);
+        const groups = reader.names(['protocols', 'bgp', 'group']);
+        if (groups.length === 0) return;
+        reader.node(['protocols', 'bgp']);
+
+        const bgp = { asn, routerId, groups: [], neighbors: [], networks: [], origin: reader.origin(['protocols', 'bgp']) };
+        model.bgp = bgp;
+
+        groups.forEach((name) => {
+            const path = ['protocols', 'bgp', 'group', name];
+            reader.node(path);
+            const group = createPeer(name, reader.origin(path));
+            const type = reader.value(path.concat('type'));
+            group.remoteAs = reader.value(path.concat('peer-as')) || (type === 'internal' ? asn : null);
+            readJunosPeer(reader, path, group);
+            bgp.groups.push(group);
+
+            reader.names(path.concat('neighbor')).forEach((address) => {
+                const neighborPath = path.concat('neighbor', address);
+                reader.node(neighborPath);
+                const neighbor = createPeer(address, reader.origin(neighborPath));
+                neighbor.group = name;
+                neighbor.remoteAs = reader.value(neighborPath.concat('peer-as'));
+                readJunosPeer(reader, neighborPath, neighbor);
+                bgp.neighbors.push(neighbor);
+            });
+        });
+    }
+
+    // route-filter match types as prefix-list ge/le, an entry for each
+    function readRouteFilter(reader, path, prefix) {
+        const length = prefixLength(prefix);
+        const max = maxLength(prefix);
+        const entry = (ge, le) => ({ seq: null, action: 'permit', prefix: prefix.toLowerCase(), ge, le, origin: reader.origin(path) });
+
+        return reader.names(path).flatMap((type) => {
+            const typePath = path.concat(type);
+            if (type === 'exact') {
+                reader.has(typePath);
+                return [entry(null, null)];
+            }
+            if (type === 'orlonger') {
+                reader.has(typePath);
+                return [entry(null, max)];
+            }
+            if (type === 'longer') {
+                reader.has(typePath);
+                return [entry(length + 1, max)];
+            }
+            return reader.names(typePath).map((argument) => {
+                if (type === 'upto' && /^\/\d+$/.test(argument)) {
+                    reader.has(typePath.concat(argument));
+                    return entry(null, parseInt(argument.slice(1), 10));
+                }
+                if (type === 'prefix-length-range' && /^\/\d+-\/\d+$/.test(argument)) {
+                    reader.has(typePath.concat(argument));
+                    const [ge, le] = argument.split('-').map(part => parseInt(part.slice(1), 10));
+                    return entry(ge, le);
+                }
+                return null;
+            }).filter(Boolean);
+        });
+    }
+
+    function readJunosTerm(reader, path, policy, termName, model) {
+        const term = createTerm(termName, reader.origin(path));
+        const from = path.concat('from');
+        term.match.prefixLists = reader.values(from.concat('prefix-list')).concat(reader.values(from.concat('route-filter-list')));
+        term.match.communities = reader.values(from.concat('community'));
+
+        const filters = reader.names(from.concat('route-filter'))
+            .flatMap(prefix => readRouteFilter(reader, from.concat('route-filter', prefix), prefix));
+        if (filters.length > 0) {
+            const name = `${policy.name}-${termName}`;
+            model.prefixLists.push({ name, entries: filters, origin: filters[0].origin });
+            term.match.prefixLists.push(name);
+        }
+
+        const then = path.concat('then');
+        if (reader.has(then.concat('accept'))) term.action = 'permit';
+        else if (reader.has(then.concat('reject'))) term.action = 'deny';
+        else reader.has(then.concat('next', 'term'));
+
+        const localPreference = reader.value(then.concat('local-preference'));
+        const metric = reader.value(then.concat('metric'));
+        term.set.localPreference = localPreference ? parseInt(localPreference, 10) : null;
+        term.set.metric = metric ? parseInt(metric, 10) : null;
+        ['add', 'set', 'delete'].forEach((action) => {
+            const name = reader.value(then.concat('community', action));
+            if (!name) return;
+            const list = findByName(model.communityLists, name);
+            term.set.community = { action, members: list ? list.entries[0].members : [], list: name };
+        });
+        const prepend = reader.value(then.concat('as-path-prepend'));
+        term.set.prepend = prepend ? prepend.split(/\s+/) : [];
+        return term;
+    }
+
+    function readJunosPolicies(reader, model) {
+        const options = ['policy-options'];
+        reader.names(options.concat('community')).forEach((name) => {
+            const members = reader.values(options.concat('community', name, 'members'));
+            if (members.length === 0) return;
+            model.communityLists.push({ name, entries: [{ members }], origin: reader.origin(options.concat('community', name)) });
+        });
+
+        reader.names(options.concat('prefix-list')).forEach((name) => {
+            const path = options.concat('prefix-list', name);
+            const prefixes = reader.values(path);
+            if (prefixes.length === 0) return;
+            model.prefixLists.push({
+                name,
+                entries: prefixes.map(prefix => ({ seq: null, action: 'permit', prefix: prefix.toLowerCase(), ge: null, le: null, origin: reader.origin(path.concat(prefix)) })),
+                origin: reader.origin(path)
+            });
+        });
+
+        reader.names(options.concat('route-filter-list')).forEach((name) => {
+            const path = options.concat('route-filter-list', name);
+            const entries = reader.names(path).flatMap(prefix => readRouteFilter(reader, path.concat(prefix), prefix));
+            if (entries.length > 0) model.prefixLists.push({ name, entries, origin: reader.origin(path) });
+        });
+
+        reader.names(options.concat('policy-statement')).forEach((name) => {
+            const path = options.concat('policy-statement', name);
+            reader.node(path);
+            const policy = { name, implicitDeny: false, terms: [], origin: reader.origin(path) };
+            reader.names(path.concat('term')).forEach((termName) => {
+                reader.node(path.concat('term', termName));
+                policy.terms.push(readJunosTerm(reader, path.concat('term', termName), policy, termName, model));
+            });
+            // from/then straight under the policy act as a last, unnamed term
+            if (reader.names(path).some(word => word === 'from' || word === 'then')) {
+                policy.terms.push(readJunosTerm(reader, path, policy, 'final', model));
+            }
+            model.policies.push(policy);
+        });
+    }
+
+    function readJunosFilterTerm(reader, path, name, acl) {
+        const then = path.concat('then');
+        const actions = reader.names(then);
+        const action = actions.includes('accept') ? 'permit' : (actions.some(word => word === 'discard' || word === 'reject') ? 'deny' : null);
+        if (!action) return;
+        ['accept', 'discard', 'reject'].forEach(word => reader.has(then.concat(word)));
+
+        const from = path.concat('from');
+        const sources = reader.names(from.concat('source-address')).concat(reader.names(from.concat('address')));
+        const destinations = reader.names(from.concat('destination-address'));
+        const protocols = reader.values(from.concat('protocol'));
+        const ports = (key) => {
+            const values = reader.values(from.concat(key));
+            const singles = values.filter(value => portNumber(value) !== null).map(portNumber);
+            const ranges = values.filter(value => /^\d+-\d+$/.test(value)).map(value => ({ op: 'range', values: value.split('-').map(Number) }));
+            return (singles.length > 0 ? [{ op: 'eq', values: singles }] : []).concat(ranges);
+        };
+        const sourcePorts = ports('source-port');
+        const destinationPorts = ports('destination-port').concat(ports('port'));
+        const icmpTypes = reader.values(from.concat('icmp-type')).filter(type => ICMP_TYPES[type]);
+        const established = reader.has(from.concat('tcp-established'));
+
+        reader.node(path);
+        const log = reader.has(then.concat('log')) || reader.has(then.concat('syslog'));
+
+        // One JUNOS term can list several addresses, protocols and ports; IOS needs an entry for each combination
+        const addresses = (prefixes, key) => prefixes.filter((prefix) => {
+            const node = reader.names(from.concat(key, prefix));
+            if (node.length > 0) return false;
+            reader.node(from.concat(key, prefix));
+            return true;
+        });
+        const sourceList = addresses(reader.names(from.concat('source-address')), 'source-address')
+            .concat(addresses(reader.names(from.concat('address')), 'address'));
+        const destinationList = addresses(destinations, 'destination-address');
+        const combinations = [];
+        (sourceList.length > 0 ? sourceList : (sources.length > 0 ? [] : [null])).forEach((source) => {
+            (destinationList.length > 0 ? destinationList : (destinations.length > 0 ? [] : [null])).forEach((destination) => {
+                (protocols.length > 0 ? protocols : [null]).forEach((protocol) => {
+                    (sourcePorts.length > 0 ? sourcePorts : [null]).forEach((sourcePort) => {
+                        (destinationPorts.length > 0 ? destinationPorts : [null]).forEach((destinationPort) => {
+                            (icmpTypes.length > 0 ? icmpTypes : [null]).forEach((icmpType) => {
+                                combinations.push({ source, destination, protocol, sourcePort, destinationPort, icmpType });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        combinations.forEach((combination, index) => acl.entries.push({
+            seq: null,
+            name: combinations.length > 1 ? `${name}-${index + 1}` : name,
+            action,
+            protocol: combination.protocol,
+            source: combination.source,
+            sourcePorts: combination.sourcePort,
+            destination: combination.destination,
+            destinationPorts: combination.destinationPort,
+            icmpType: combination.icmpType,
+            established,
+            log,
+            origin: reader.origin(path)
+        }));
+    }
+
+    function readJunosFilters(reader, model) {
+        [['firewall', 'family', 'inet', 'filter'], ['firewall', 'filter']].forEach((base) => {
+            reader.names(base).forEach((name) => {
+                const path = base.concat(name);
+                reader.node(path);
+                const acl = { name, entries: [], origin: reader.origin(path) };
+                reader.names(path.concat('term')).forEach(term => readJunosFilterTerm(reader, path.concat('term', term), term, acl));
+                model.acls.push(acl);
+            });
+        });
+    }
+
+    /**
+     * Read JUNOS configuration in any format into the model
+     * @param {string} text
+     * @param {Object} report
+     * @returns {Object} Model
+     */
+    function readJunos(text, report) {
+        const tree = JunosConfig.parse(text);
+        const reader = createJunosReader(tree);
+        const model = createModel();
+
+        model.hostname = reader.value(['system', 'host-name']);
+        readJunosInterfaces(reader, model);
+        readJunosVlans(reader, model);
+        readJunosRoutes(reader, model);
+        readJunosPolicies(reader, model);
+        readJunosBgp(reader, model, report);
+        readJunosFilters(reader, model);
+
+        reader.reportUnused(report);
+        return model;
+    }
+
+    // Interface names in the target
+
+    function createNamer(model, from, to, options, report) {
+        const map = options.interfaceMap || {};
+        const names = new Map();
+        const unknown = new Set();
+
+        return (name, source) => {
+            if (names.has(name)) return names.get(name);
+            let result = map[name];
+            if (!result) {
+                const [base, unit] = name.split('.');
+                if (map[base]) {
+                    result = unit === undefined ? map[base] : `${map[base]}.${unit}`;
+                } else if (from === to) {
+                    result = name;
+                } else {
+                    const port = parseInterfaceName(name, from);
+                    result = port ? formatInterfaceName(port, to) : name;
+                    if (!port && !unknown.has(name)) {
+                        unknown.add(name);
+                        skip(report, source, `Interface name has no ${VENDOR_NAMES[to]} equivalent; kept as ${name}`);
+                    }
+                }
+            }
+            names.set(name, result);
+            if (result !== name) report.renamed.push({ from: name, to: result });
+            return result;
+        };
+    }
+
+    // Community lists generated for inline set community values
+    function policyCommunity(model, policy, term) {
+        const community = term.set.community;
+        if (community.list && findByName(model.communityLists, community.list)) return community.list;
+        const name = `${policy.name}-${term.name}`;
+        if (!findByName(model.communityLists, name)) {
+            model.communityLists.push({ name, entries: [{ members: community.members }], origin: term.origin });
+        }
+        return name;
+    }
+
+    // IOS and EOS output
+
+    /**
+     * A BGP key as the target writes it. Encrypted keys are never decrypted
+     * into the output: each vendor's cipher only carries to that vendor, and
+     * any other target gets the key in the untranslated report instead
+     * @param {Object} peer
+     * @param {string} vendor - Target vendor
+     * @param {Object} report
+     * @returns {string|null}
+     */
+    function peerPassword(peer, vendor, report) {
+        const password = peer.password;
+        if (!password) return null;
+        if (password.encryptedFor === null) return password.value;
+        if (password.encryptedFor !== vendor) {
+            skip(report, password.origin, `Key is encrypted for ${VENDOR_NAMES[password.encryptedFor]}; set it again on ${VENDOR_NAMES[vendor]}`);
+            return null;
+        }
+        return vendor === 'junos' ? password.value : `7 ${password.value}`;
+    }
+
+    function writeCiscoAddress(prefix, vendor) {
+        if (prefix === null) return 'any';
+        if (prefixLength(prefix) === maxLength(prefix)) return `host ${prefixAddress(prefix)}`;
+        return vendor === 'eos' || isIPv6(prefix) ? prefix : `${prefixAddress(prefix)} ${prefixWildcard(prefix)}`;
+    }
+
+    function writeCiscoPorts(ports) {
+        if (!ports) return '';
+        return ports.op === 'eq' ? ` eq ${ports.values.join(' ')}` : ` range ${ports.values[0]} ${ports.values[1]}`;
+    }
+
+    function writeCisco(model, vendor, options, report) {
+        const lines = [];
+        const name = createNamer(model, options.from, vendor, options, report);
+        const section = (...items) => {
+            lines.push(...items);
+            lines.push('!');
+        };
+
+        if (model.hostname) section(`hostname ${model.hostname}`);
+
+        model.vlans.forEach((vlan) => {
+            section(`vlan ${vlan.id}`, ...(vlan.name ? [` name ${vlan.name}`] : []));
+        });
+
+        model.interfaces.forEach((iface) => {
+            const interfaceName = name(iface.name, iface.origin);
+            const port = parseInterfaceName(interfaceName, vendor);
+            const body = [];
+            if (iface.description) body.push(` description ${iface.description}`);
+            if (iface.vlanId !== null) body.push(` encapsulation dot1Q ${iface.vlanId}`);
+            if (iface.mode === 'access') {
+                body.push(' switchport mode access');
+                if (iface.accessVlan !== null) body.push(` switchport access vlan ${iface.accessVlan}`);
+            } else if (iface.mode === 'trunk') {
+                body.push(' switchport mode trunk');
+                if (iface.nativeVlan !== null) body.push(` switchport trunk native vlan ${iface.nativeVlan}`);
+                if (iface.trunkVlans.length > 0) body.push(` switchport trunk allowed vlan ${formatVlanList(iface.trunkVlans)}`);
+            } else if (vendor === 'eos' && iface.addresses.length > 0 && port && (port.kind === 'ethernet' || port.kind === 'lag') && iface.vlanId === null) {
+                body.push(' no switchport');
+            }
+            if (iface.mtu !== null) body.push(` mtu ${iface.mtu}`);
+            iface.addresses.forEach((address, index) => {
+                const secondary = index > 0 ? ' secondary' : '';
+                body.push(vendor === 'eos' ? ` ip address ${address}${secondary}` : ` ip address ${prefixAddress(address)} ${prefixMask(address)}${secondary}`);
+            });
+            iface.ipv6Addresses.forEach(address => body.push(` ipv6 address ${address}`));
+            if (iface.filters.input) body.push(` ip access-group ${iface.filters.input} in`);
+            if (iface.filters.output) body.push(` ip access-group ${iface.filters.output} out`);
+            if (iface.shutdown) body.push(' shutdown');
+            else if (vendor === 'ios' || iface.shutdown === false) body.push(' no shutdown');
+            section(`interface ${interfaceName}`, ...body);
+        });
+
+        if (model.routes.length > 0) {
+            section(...model.routes.map((route) => {
+                const nextHop = route.nextHop === 'discard' ? 'Null0' : route.nextHop;
+                const distance = route.distance !== null ? ` ${route.distance}` : '';
+                const routeName = route.name ? ` name ${route.name}` : '';
+                if (isIPv6(route.prefix)) return `ipv6 route ${route.prefix} ${nextHop}${distance}${routeName}`;
+                const prefix = vendor === 'eos' ? route.prefix : `${prefixAddress(route.prefix)} ${prefixMask(route.prefix)}`;
+                return `ip route ${prefix} ${nextHop}${distance}${routeName}`;
+            }));
+        }
+
+        // Community lists named by policies are needed before the route-maps
+        model.policies.forEach(policy => policy.terms.forEach((term) => {
+            if (term.set.community && term.set.community.action === 'delete') term.set.community.list = policyCommunity(model, policy, term);
+        }));
+
+        model.prefixLists.forEach((list) => {
+            section(...list.entries.map((entry, index) => {
+                const family = isIPv6(entry.prefix) ? 'ipv6' : 'ip';
+                const ge = entry.ge !== null ? ` ge ${entry.ge}` : '';
+                const le = entry.le !== null ? ` le ${entry.le}` : '';
+                return `${family} prefix-list ${list.name} seq ${entry.seq || (index + 1) * 5} ${entry.action} ${entry.prefix}${ge}${le}`;
+            }));
+        });
+
+        model.communityLists.forEach((list) => {
+            section(...list.entries.map(entry =>
+                `ip community-list ${vendor === 'ios' ? 'standard ' : ''}${list.name} permit ${entry.members.join(' ')}`));
+        });
+
+        model.policies.forEach((policy) => {
+            let seq = 0;
+            policy.terms.forEach((term) => {
+                seq = /^\d+$/.test(term.name) && parseInt(term.name, 10) > seq ? parseInt(term.name, 10) : seq + 10;
+                const body = [];
+                if (term.description) body.push(` description ${term.description}`);
+                if (term.match.prefixLists.length > 0) {
+                    const ipv6 = term.match.prefixLists.every((listName) => {
+                        const list = findByName(model.prefixLists, listName);
+                        return list && list.entries.every(entry => isIPv6(entry.prefix));
+                    });
+                    body.push(` match ${ipv6 ? 'ipv6' : 'ip'} address prefix-list ${term.match.prefixLists.join(' ')}`);
+                }
+                if (term.match.communities.length > 0) body.push(` match community ${term.match.communities.join(' ')}`);
+                if (term.set.localPreference !== null) body.push(` set local-preference ${term.set.localPreference}`);
+                if (term.set.metric !== null) body.push(` set metric ${term.set.metric}`);
+                if (term.set.community) {
+                    const community = term.set.community;
+                    if (community.action === 'delete') body.push(` set comm-list ${community.list} delete`);
+                    else body.push(` set community ${community.members.join(' ')}${community.action === 'add' ? ' additive' : ''}`);
+                }
+                if (term.set.prepend.length > 0) body.push(` set as-path prepend ${term.set.prepend.join(' ')}`);
+                if (term.action === null) body.push(' continue');
+                section(`route-map ${policy.name} ${term.action === 'deny' ? 'deny' : 'permit'} ${seq}`, ...body);
+            });
+
+            // JUNOS hands routes no term accepted or rejected to the default policy of the protocol
+            const last = policy.terms[policy.terms.length - 1];
+            const final = last && last.match.prefixLists.length === 0 && last.match.communities.length === 0 && last.action !== null;
+            if (!policy.implicitDeny && !final) {
+                section(`route-map ${policy.name} permit ${seq + 10}`, ' description Routes left to the JUNOS default policy');
+            }
+        });
+
+        if (model.bgp) {
+            const bgp = model.bgp;
+            const body = [];
+            if (bgp.routerId) body.push(vendor === 'eos' ? ` router-id ${bgp.routerId}` : ` bgp router-id ${bgp.routerId}`);
+            const peerLines = (peer) => {
+                const id = peer.id;
+                if (peer.remoteAs && !(peer.group && bgp.groups.some(group => group.id === peer.group && group.remoteAs === peer.remoteAs))) {
+                    body.push(` neighbor ${id} remote-as ${peer.remoteAs}`);
+                }
+                if (peer.description) body.push(` neighbor ${id} description ${peer.description}`);
+                const password = peerPassword(peer, vendor, report);
+                if (password) body.push(` neighbor ${id} password ${password}`);
+                [['importPolicies', 'in'], ['exportPolicies', 'out']].forEach(([key, direction]) => {
+                    if (peer[key].length === 0) return;
+                    if (peer[key].length > 1) {
+                        skip(report, peer.origin, `${VENDOR_NAMES[vendor]} applies one route-map per direction; ${peer[key].slice(1).join(', ')} not applied to ${id}`);
+                    }
+                    body.push(` neighbor ${id} route-map ${peer[key][0]} ${direction}`);
+                });
+                if (peer.maxPrefix !== null) {
+                    const warning = peer.teardown ? '' : ' warning-only';
+                    body.push(` neighbor ${id} ${vendor === 'eos' ? 'maximum-routes' : 'maximum-prefix'} ${peer.maxPrefix}${warning}`);
+                }
+                if (peer.shutdown) body.push(` neighbor ${id} shutdown`);
+            };
+            bgp.groups.forEach((group) => {
+                body.push(` neighbor ${group.id} ${vendor === 'eos' ? 'peer group' : 'peer-group'}`);
+                peerLines(group);
+            });
+            bgp.neighbors.forEach((neighbor) => {
+                if (neighbor.group) body.push(` neighbor ${neighbor.id} ${vendor === 'eos' ? 'peer group' : 'peer-group'} ${neighbor.group}`);
+                peerLines(neighbor);
+            });
+            bgp.networks.forEach((network) => {
+                body.push(vendor === 'eos' ? ` network ${network.prefix}` : ` network ${prefixAddress(network.prefix)} mask ${prefixMask(network.prefix)}`);
+            });
+            if (!bgp.asn) skip(report, bgp.origin, 'No autonomous system number in the source');
+            section(`router bgp ${bgp.asn || 'ASN'}`, ...body);
+        }
+
+        model.acls.forEach((acl) => {
+            const body = acl.entries.map((entry, index) => {
+                const protocol = entry.protocol || 'ip';
+                const icmp = entry.icmpType ? ` ${ICMP_TYPES[entry.icmpType]}` : '';
+                return ` ${entry.seq || (index + 1) * 10} ${entry.action} ${protocol} ${writeCiscoAddress(entry.source, vendor)}${writeCiscoPorts(entry.sourcePorts)}` +
+                    ` ${writeCiscoAddress(entry.destination, vendor)}${writeCiscoPorts(entry.destinationPorts)}${icmp}` +
+                    `${entry.established ? ' established' : ''}${entry.log ? ' log' : ''}`;
+            });
+            section(vendor === 'eos' ? `ip access-list ${acl.name}` : `ip access-list extended ${acl.name}`, ...body);
+        });
+
+        lines.push('end');
+        return lines.join('\n');
+    }
+
+    // JUNOS output
+
+    function writeJunos(model, options, report) {
+        const lines = [];
+        const set = (...words) => lines.push(`set ${words.map(word => JunosConfig.formatWord(String(word))).join(' ')}`);
+        const setList = (words, values) => {
+            if (values.length === 1) set(...words, values[0]);
+            else lines.push(`set ${words.map(word => JunosConfig.formatWord(String(word))).join(' ')} [ ${values.map(value => JunosConfig.formatWord(String(value))).join(' ')} ]`);
+        };
+        const name = createNamer(model, options.from, 'junos', options, report);
+        const vlanName = (id) => {
+            const vlan = model.vlans.find(candidate => candidate.id === id);
+            return vlan ? (vlan.name || `vlan${id}`) : id;
+        };
+
+        if (model.hostname) set('system', 'host-name', model.hostname);
+
+        const svis = new Map();
+        model.interfaces.forEach((iface) => {
+            const interfaceName = name(iface.name, iface.origin);
+            const [base, unitName] = interfaceName.split('.');
+            const unit = unitName === undefined ? '0' : unitName;
+            const path = ['interfaces', base];
+            const unitPath = path.concat('unit', unit);
+            const main = unitName === undefined;
+            if (base === 'irb') svis.set(parseInt(unit, 10), interfaceName);
+
+            if (iface.description) set(...(main ? path : unitPath), 'description', iface.description);
+            if (iface.shutdown) set(...(main ? path : unitPath), 'disable');
+            if (iface.mtu !== null) set(...path, 'mtu', iface.mtu);
+            if (iface.vlanId !== null) {
+                set(...path, 'vlan-tagging');
+                set(...unitPath, 'vlan-id', iface.vlanId);
+            }
+            iface.addresses.forEach(address => set(...unitPath, 'family', 'inet', 'address', address));
+            iface.ipv6Addresses.forEach(address => set(...unitPath, 'family', 'inet6', 'address', address));
+            if (iface.filters.input) set(...unitPath, 'family', 'inet', 'filter', 'input', iface.filters.input);
+            if (iface.filters.output) set(...unitPath, 'family', 'inet', 'filter', 'output', iface.filters.output);
+
+            if (iface.mode) {
+                const switching = unitPath.concat('family', 'ethernet-switching');
+                set(...switching, 'interface-mode', iface.mode);
+                const members = iface.mode === 'trunk' ? iface.trunkVlans : (iface.accessVlan !== null ? [iface.accessVlan] : []);
+                if (members.length > 0) setList(switching.concat('vlan', 'members'), members.map(vlanName));
+                if (iface.nativeVlan !== null) set(...path, 'native-vlan-id', iface.nativeVlan);
+            }
+        });
+
+        model.vlans.forEach((vlan) => {
+            const path = ['vlans', vlanName(vlan.id)];
+            set(...path, 'vlan-id', vlan.id);
+            if (svis.has(vlan.id)) set(...path, 'l3-interface', svis.get(vlan.id));
+        });
+
+        // Routes to one prefix share a preference unless each next hop has its own
+        const routes = new Map();
+        model.routes.forEach((route) => {
+            if (!routes.has(route.prefix)) routes.set(route.prefix, []);
+            routes.get(route.prefix).push(route);
+        });
+        routes.forEach((group, prefix) => {
+            const path = ['routing-options', 'static', 'route', prefix];
+            const distances = new Set(group.map(route => route.distance));
+            group.forEach((route) => {
+                if (route.name) skip(report, route.origin, 'JUNOS static routes have no name');
+                if (route.nextHop === 'discard') {
+                    set(...path, 'discard');
+                } else if (distances.size > 1) {
+                    set(...path, 'qualified-next-hop', route.nextHop, ...(route.distance !== null ? ['preference', route.distance] : []));
+                } else {
+                    set(...path, 'next-hop', route.nextHop);
+                }
+            });
+            if (distances.size === 1 && group[0].distance !== null) set(...path, 'preference', group[0].distance);
+        });
+
+        // Exact permits are a prefix-list; anything with lengths is a route-filter-list, which cannot deny
+        const filterLists = new Set();
+        model.prefixLists.forEach((list) => {
+            const plain = list.entries.every(entry => entry.action === 'permit' && entry.ge === null && entry.le === null);
+            if (!plain) filterLists.add(list.name);
+            list.entries.forEach((entry) => {
+                if (plain) {
+                    set('policy-options', 'prefix-list', list.name, entry.prefix);
+                    return;
+                }
+                if (entry.action === 'deny') {
+                    skip(report, entry.origin, 'JUNOS route-filter-lists cannot deny a prefix');
+                    return;
+                }
+                const path = ['policy-options', 'route-filter-list', list.name, entry.prefix];
+                const length = prefixLength(entry.prefix);
+                const max = maxLength(entry.prefix);
+                const ge = entry.ge === null ? length : entry.ge;
+                const le = entry.le === null ? (entry.ge === null ? length : max) : entry.le;
+                if (ge === length && le === length) set(...path, 'exact');
+                else if (ge === length && le === max) set(...path, 'orlonger');
+                else if (ge === length + 1 && le === max) set(...path, 'longer');
+                else if (ge === length) set(...path, 'upto', `/${le}`);
+                else set(...path, 'prefix-length-range', `/${ge}-/${le}`);
+            });
+        });
+
+        model.policies.forEach(policy => policy.terms.forEach((term) => {
+            if (term.set.community && term.set.community.action !== 'delete') term.set.community.list = policyCommunity(model, policy, term);
+        }));
+
+        // An IOS community list with several lines matches any of them: one JUNOS community per line
+        const communityNames = new Map();
+        model.communityLists.forEach((list) => {
+            const names = list.entries.map((entry, index) => {
+                const communityName = index === 0 ? list.name : `${list.name}-${index + 1}`;
+                setList(['policy-options', 'community', communityName, 'members'], entry.members);
+                return communityName;
+            });
+            communityNames.set(list.name, names);
+        });
+
+        model.policies.forEach((policy) => {
+            policy.terms.forEach((term) => {
+                const path = ['policy-options', 'policy-statement', policy.name, 'term', term.name];
+                if (term.description) skip(report, term.origin, 'JUNOS policy terms have no description');
+                const plain = term.match.prefixLists.filter(listName => !filterLists.has(listName));
+                const filters = term.match.prefixLists.filter(listName => filterLists.has(listName));
+                if (plain.length > 0) setList(path.concat('from', 'prefix-list'), plain);
+                if (filters.length > 0) setList(path.concat('from', 'route-filter-list'), filters);
+                const communities = [].concat(...term.match.communities.map(listName => communityNames.get(listName) || [listName]));
+                if (communities.length > 0) setList(path.concat('from', 'community'), communities);
+                if (term.set.localPreference !== null) set(...path, 'then', 'local-preference', term.set.localPreference);
+                if (term.set.metric !== null) set(...path, 'then', 'metric', term.set.metric);
+                if (term.set.community) set(...path, 'then', 'community', term.set.community.action, term.set.community.list);
+                if (term.set.prepend.length > 0) set(...path, 'then', 'as-path-prepend', term.set.prepend.join(' '));
+                if (term.action === 'permit') set(...path, 'then', 'accept');
+                else if (term.action === 'deny') set(...path, 'then', 'reject');
+                else if (!term.set.localPreference && !term.set.metric && !term.set.community && term.set.prepend.length === 0) set(...path, 'then', 'next', 'term');
+            });
+            // A route-map denies whatever no entry permitted
+            if (policy.implicitDeny) set('policy-options', 'policy-statement', policy.name, 'term', 'implicit-deny', 'then', 'reject');
+        });
+
+        if (model.bgp) {
+            const bgp = model.bgp;
+            if (bgp.asn) set('routing-options', 'autonomous-system', bgp.asn);
+            else skip(report, bgp.origin, 'No autonomous system number in the source');
+            if (bgp.routerId) set('routing-options', 'router-id', bgp.routerId);
+
+            const peerLines = (path, peer, group) => {
+                if (peer.remoteAs && peer.remoteAs !== bgp.asn && (!group || group.remoteAs !== peer.remoteAs)) set(...path, 'peer-as', peer.remoteAs);
+                if (peer.description) set(...path, 'description', peer.description);
+                const password = peerPassword(peer, 'junos', report);
+                if (password) set(...path, 'authentication-key', password);
+                if (peer.importPolicies.length > 0) setList(path.concat('import'), peer.importPolicies);
+                if (peer.exportPolicies.length > 0) setList(path.concat('export'), peer.exportPolicies);
+                if (peer.maxPrefix !== null) {
+                    const limit = path.concat('family', 'inet', 'unicast', 'prefix-limit');
+                    set(...limit, 'maximum', peer.maxPrefix);
+                    if (peer.teardown) set(...limit, 'teardown');
+                }
+            };
+            const internal = peer => peer.remoteAs !== null && peer.remoteAs === bgp.asn;
+
+            bgp.groups.forEach((group) => {
+                const path = ['protocols', 'bgp', 'group', group.id];
+                const members = bgp.neighbors.filter(neighbor => neighbor.group === group.id);
+                const isInternal = internal(group) || (group.remoteAs === null && members.length > 0 && members.every(internal));
+                set(...path, 'type', isInternal ? 'internal' : 'external');
+                peerLines(path, group, null);
+            });
+            bgp.neighbors.forEach((neighbor) => {
+                const group = bgp.groups.find(candidate => candidate.id === neighbor.group) || null;
+                const groupName = group ? group.id : (internal(neighbor) ? 'IBGP' : 'EBGP');
+                if (!group) set('protocols', 'bgp', 'group', groupName, 'type', internal(neighbor) ? 'internal' : 'external');
+                const path = ['protocols', 'bgp', 'group', groupName, 'neighbor', neighbor.id];
+                set(...path);
+                peerLines(path, neighbor, group);
+                if (neighbor.shutdown) lines.push(`deactivate ${path.map(word => JunosConfig.formatWord(String(word))).join(' ')}`);
+            });
+            bgp.networks.forEach(network => skip(report, network.origin, 'JUNOS announces prefixes with an export policy, not network statements'));
+        }
+
+        model.acls.forEach((acl) => {
+            const path = ['firewall', 'family', 'inet', 'filter', acl.name];
+            const termNames = new Set();
+            acl.entries.forEach((entry, index) => {
+                let termName = entry.name || String(entry.seq || (index + 1) * 10);
+                while (termNames.has(termName)) termName = `${termName}-${index + 1}`;
+                termNames.add(termName);
+                const term = path.concat('term', termName);
+                const ports = ranges => (ranges.op === 'eq' ? ranges.values : [`${ranges.values[0]}-${ranges.values[1]}`]);
+                if (entry.source) set(...term, 'from', 'source-address', entry.source);
+                if (entry.destination) set(...term, 'from', 'destination-address', entry.destination);
+                if (entry.protocol) set(...term, 'from', 'protocol', entry.protocol);
+                if (entry.sourcePorts) setList(term.concat('from', 'source-port'), ports(entry.sourcePorts));
+                if (entry.destinationPorts) setList(term.concat('from', 'destination-port'), ports(entry.destinationPorts));
+                if (entry.icmpType) set(...term, 'from', 'icmp-type', entry.icmpType);
+                if (entry.established) set(...term, 'from', 'tcp-established');
+                if (entry.log) set(...term, 'then', 'log');
+                set(...term, 'then', entry.action === 'permit' ? 'accept' : 'discard');
+            });
+        });
+
+        const tree = JunosConfig.parseSet(lines.join('\n'));
+        return JunosConfig.format(tree, options.junosFormat || 'hierarchical');
+    }
+
+    function checkVendor(vendor, field) {
+        if (!VENDORS.includes(vendor)) {
+            throw new JunosConfigError(`Vendor must be one of ${VENDORS.join(', ')}`, 'INVALID_VENDOR', field);
+        }
+    }
+
+    /**
+     * Translate a configuration between vendors
+     * @param {string} text - Source configuration
+     * @param {string} from - ios, junos or eos
+     * @param {string} to - ios, junos or eos
+     * @param {Object} [options]
+     * @param {Object} [options.interfaceMap] - Source interface name to target name
+     * @param {string} [options.junosFormat='hierarchical'] - set, hierarchical or xml for JUNOS output
+     * @returns {Object} { output, untranslated: [{ line, text, reason }], renamed: [{ from, to }], counts }
+     * @throws {JunosConfigError} INVALID_VENDOR, MISSING_CONFIG or JUNOS parse errors
+     */
+    function translate(text, from, to, options = {}) {
+        checkVendor(from, 'from');
+        checkVendor(to, 'to');
+        if (String(text || '').trim() === '') throw new JunosConfigError('Configuration is empty', 'MISSING_CONFIG', 'config');
+
+        const report = { untranslated: [], renamed: [] };
+        const model = from === 'junos' ? readJunos(text, report) : readCisco(text, from, report);
+        const settings = Object.assign({}, options, { from });
+        const output = to === 'junos' ? writeJunos(model, settings, report) : writeCisco(model, to, settings, report);
+
+        report.untranslated.sort((a, b) => (a.line || 0) - (b.line || 0));
+        return {
+            output,
+            untranslated: report.untranslated,
+            renamed: report.renamed,
+            counts: {
+                interfaces: model.interfaces.length,
+                vlans: model.vlans.length,
+                routes: model.routes.length,
+                neighbors: model.bgp ? model.bgp.neighbors.length : 0,
+                prefixLists: model.prefixLists.length,
+                policies: model.policies.length,
+                acls: model.acls.length
+            }
+        };
+    }
+
+    return {
+        VENDORS,
+        parseInterfaceName,
+        formatInterfaceName,
+        translate
+    };
+}));
@@ -0,0 +1,461 @@
+/**
+ * JUNOS Configuration Audit
+ * Network Engineers Toolkit - shared between the backend API and the browser
+ *
+ * Runs rules over the configuration tree from shared/junosConfig.js and
+ * reports what each finds with its severity and the input line of the
+ * offending statement. A rule is a plain object:
+ *   {
+ *     id: 'telnet',                 unique, used to disable or re-rate it
+ *     severity: 'high',             critical, high, medium, low or info
+ *     title: 'Telnet enabled',
+ *     description: '...',
+ *     check(context)                calls context.report for each finding
+ *   }
+ * The context has the tree and helpers to walk it: match(pattern, from)
+ * finds the statements at a path of words ('*' for any word) below the
+ * root or an earlier match, instances() the root, logical systems and
+ * routing instances, walk(visit) every statement, has(found, words) and
+ * contains(found, words) look for child or descendant words, and
+ * report(found, message, severity) records a finding. Deactivated and
+ * deleted statements are skipped everywhere. RULES holds the built-in
+ * rules; pass [...RULES, myRule] to add one. Served to the frontend at
+ * /api/shared/junosAudit.js as window.JunosAudit; load junosConfig.js first.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./junosConfig'));
+    } else {
+        root.JunosAudit = factory(root.JunosConfig);
+    }
+}(typeof self !== 'undefined' ? self : this, function (JunosConfig) {
+    'use strict';
+
+    const { JunosConfigError, findNode } = JunosConfig;
+
+    const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+    // Statements that name a policy-statement: export [ A B ], import "( A && B )", from policy A
+    const POLICY_REFERENCES = new Set([
+        'import', 'export', 'vrf-import', 'vrf-export', 'import-policy', 'export-policy',
+        'instance-import', 'instance-export'
+    ]);
+
+    // Statements that name a prefix-list outside its definition
+    const PREFIX_LIST_REFERENCES = new Set([
+        'prefix-list', 'prefix-list-filter', 'source-prefix-list', 'destination-prefix-list'
+    ]);
+
+    // Where secrets are written, as the path words before the value
+    const SECRET_PATHS = [
+        ['authentication-key'],
+        ['hello-authentication-key'],
+        ['secret'],
+        ['encrypted-password'],
+        ['simple-password'],
+        ['pre-shared-key', 'ascii-text'],
+        ['pre-shared-key', 'hexadecimal'],
+        ['md5', '*', 'key'],
+        ['authentication-key', '*', 'value']
+    ];
+
+    // $9$ obfuscation and $1$, $5$, $6$, $sha1$ hashes
+    const ENCRYPTED = /^\$[0-9a-z]+\$/i;
+
+    // Tree walking
+
+    // Deactivated statements are not applied; delete commands in set input leave deleted nodes behind
+    function isActive(node) {
+        return !node.inactive && node.operation !== 'delete';
+    }
+
+    function childrenOf(node, word) {
+        const children = word === '*' ? node.children : [findNode(node, [word])].filter(Boolean);
+        return children.filter(isActive);
+    }
+
+    /**
+     * Statements at a path of words
+     * @param {Object} tree
+     * @param {Array<string>} pattern - Words, '*' for any word
+     * @param {Object} [from] - Earlier match to start from, default the root
+     * @returns {Array<Object>} Matches { node, nodes, path }
+     */
+    function match(tree, pattern, from) {
+        let found = [from || { node: tree, nodes: [], path: [] }];
+        pattern.forEach((word) => {
+            const next = [];
+            found.forEach((item) => {
+                childrenOf(item.node, word).forEach((child) => {
+                    next.push({ node: child, nodes: item.nodes.concat(child), path: item.path.concat(child.word) });
+                });
+            });
+            found = next;
+        });
+        return found;
+    }
+
+    // Every active statement below a match, parents before children
+    function walk(from, visit) {
+        childrenOf(from.node, '*').forEach((child) => {
+            const item = { node: child, nodes: from.nodes.concat(child), path: from.path.concat(child.word) };
+            visit(item);
+            walk(item, visit);
+        });
+    }
+
+    function has(found, words) {
+        return words.some(word => childrenOf(found.node, word).length > 0);
+    }
+
+    function contains(found, words) {
+        let result = false;
+        walk(found, (item) => {
+            if (words.includes(item.node.word)) result = true;
+        });
+        return result;
+    }
+
+    // First word of a value statement: peer-as 65001; gives 65001
+    function valueOf(found, word) {
+        const [node] = childrenOf(found.node, word);
+        if (!node) return null;
+        const [value] = childrenOf(node, '*');
+        return value ? value.word : null;
+    }
+
+    // The root, logical systems and routing instances, which each have their own protocols
+    function instances(tree) {
+        const top = { node: tree, nodes: [], path: [] };
+        return [top].concat(
+            match(tree, ['logical-systems', '*']),
+            match(tree, ['logical-systems', '*', 'routing-instances', '*']),
+            match(tree, ['routing-instances', '*'])
+        );
+    }
+
+    function endsWith(path, pattern) {
+        if (path.length < pattern.length) return false;
+        const tail = path.slice(path.length - pattern.length);
+        return pattern.every((word, index) => word === '*' || word === tail[index]);
+    }
+
+    // Line of the deepest node that has one; JSON input has no lines
+    function lineOf(found) {
+        for (let i = found.nodes.length - 1; i >= 0; i--) {
+            if (found.nodes[i].line) return found.nodes[i].line;
+        }
+        return null;
+    }
+
+    function statementOf(found) {
+        return found.path.map((word, index) => JunosConfig.formatWord(word, found.nodes[index].quoted)).join(' ');
+    }
+
+    // BGP neighbors of every instance with their group and the bgp statement
+    function bgpNeighbors(tree) {
+        const neighbors = [];
+        instances(tree).forEach((instance) => {
+            match(tree, ['protocols', 'bgp'], instance).forEach((bgp) => {
+                match(tree, ['group', '*'], bgp).forEach((group) => {
+                    match(tree, ['neighbor', '*'], group).forEach((neighbor) => {
+                        neighbors.push({ instance, bgp, group, neighbor });
+                    });
+                });
+            });
+        });
+        return neighbors;
+    }
+
+    // autonomous-system of an instance, else of the logical system or root it belongs to
+    function autonomousSystem(tree, instance) {
+        for (let length = instance.path.length; length >= 0; length -= 2) {
+            const [options] = match(tree, instance.path.slice(0, length).concat('routing-options'));
+            const value = options ? valueOf(options, 'autonomous-system') : null;
+            if (value) return value;
+        }
+        return null;
+    }
+
+    function isExternal(tree, peer) {
+        const type = valueOf(peer.neighbor, 'type') || valueOf(peer.group, 'type');
+        if (type) return type === 'external';
+
+        const peerAs = valueOf(peer.neighbor, 'peer-as') || valueOf(peer.group, 'peer-as');
+        const localAs = valueOf(peer.neighbor, 'local-as') || valueOf(peer.group, 'local-as') ||
+            autonomousSystem(tree, peer.instance);
+        return peerAs !== null && localAs !== null && peerAs !== localAs;
+    }
+
+    function describeNeighbor(peer) {
+        const where = peer.instance.path.length > 0 ? ` in ${peer.instance.path.join(' ')}` : '';
+        return `BGP neighbor ${peer.neighbor.node.word} (group ${peer.group.node.word}${where})`;
+    }
+
+    // Names given to the reference statements anywhere in the configuration
+    function referencedNames(tree, isReference) {
+        const names = new Set();
+        walk({ node: tree, nodes: [], path: [] }, (item) => {
+            if (!isReference(item)) return;
+            childrenOf(item.node, '*').forEach((child) => {
+                child.word.split(/[\s()!&|]+/).filter(Boolean).forEach(name => names.add(name));
+            });
+        });
+        return names;
+    }
+
+    // policy-options definitions of the root and each logical system
+    function definitions(tree, word) {
+        return [{ node: tree, nodes: [], path: [] }]
+            .concat(match(tree, ['logical-systems', '*']))
+            .reduce((found, instance) => found.concat(match(tree, ['policy-options', word, '*'], instance)), []);
+    }
+
+    // Built-in rules
+
+    const RULES = [
+        {
+            id: 'no-redirects',
+            severity: 'medium',
+            title: 'ICMP redirects enabled',
+            description: 'Interfaces send ICMP redirects unless family inet or the system has no-redirects',
+            check(context) {
+                if (context.match(['system', 'no-redirects']).length > 0) return;
+                context.instances().forEach((instance) => {
+                    context.match(['interfaces', '*', 'unit', '*', 'family', 'inet'], instance).forEach((inet) => {
+                        const [, name, , unit] = inet.path.slice(instance.path.length);
+                        if (name === 'lo0' || context.has(inet, ['no-redirects'])) return;
+                        context.report(inet, `${name}.${unit} sends ICMP redirects; set family inet no-redirects or system no-redirects`);
+                    });
+                });
+            }
+        },
+        {
+            id: 'telnet',
+            severity: 'high',
+            title: 'Telnet enabled',
+            description: 'Telnet management sends logins and sessions in clear text',
+            check(context) {
+                context.match(['system', 'services', 'telnet']).forEach((found) => {
+                    context.report(found, 'Telnet is enabled; use SSH');
+                });
+            }
+        },
+        {
+            id: 'http-management',
+            severity: 'high',
+            title: 'HTTP management enabled',
+            description: 'J-Web over HTTP sends logins in clear text',
+            check(context) {
+                context.match(['system', 'services', 'web-management', 'http']).forEach((found) => {
+                    context.report(found, 'Web management is enabled over HTTP; use HTTPS');
+                });
+            }
+        },
+        {
+            id: 'snmp-community',
+            severity: 'medium',
+            title: 'SNMP v1/v2c community',
+            description: 'SNMP v1 and v2c send the community in clear text; read-write communities can change the configuration',
+            check(context) {
+                context.match(['snmp', 'community', '*']).forEach((found) => {
+                    const [authorization] = context.match(['authorization', '*'], found);
+                    const writable = authorization && authorization.node.word === 'read-write';
+                    context.report(
+                        found,
+                        `SNMP ${writable ? 'read-write ' : ''}community "${found.node.word}" uses v1/v2c; use SNMPv3`,
+                        writable ? 'high' : null
+                    );
+                });
+            }
+        },
+        {
+            id: 'bgp-authentication',
+            severity: 'high',
+            title: 'BGP neighbor without authentication',
+            description: 'BGP sessions without an MD5 key or key chain on the neighbor, its group or BGP',
+            check(context) {
+                const keys = ['authentication-key', 'authentication-key-chain'];
+                bgpNeighbors(context.tree).forEach((peer) => {
+                    if ([peer.neighbor, peer.group, peer.bgp].some(found => context.has(found, keys))) return;
+                    context.report(peer.neighbor, `${describeNeighbor(peer)} has no authentication`);
+                });
+            }
+        },
+        {
+            id: 'bgp-prefix-limit',
+            severity: 'medium',
+            title: 'External BGP neighbor without a prefix limit',
+            description: 'External BGP neighbors without prefix-limit or accepted-prefix-limit on the neighbor, its group or BGP',
+            check(context) {
+                const limits = ['prefix-limit', 'accepted-prefix-limit'];
+                bgpNeighbors(context.tree).forEach((peer) => {
+                    if (!isExternal(context.tree, peer)) return;
+                    const limited = [peer.neighbor, peer.group, peer.bgp].some((found) => {
+                        return context.match(['family'], found).some(family => context.contains(family, limits));
+                    });
+                    if (!limited) context.report(peer.neighbor, `${describeNeighbor(peer)} has no prefix limit`);
+                });
+            }
+        },
+        {
+            id: 'unused-policy',
+            severity: 'low',
+            title: 'Unused policy-statement',
+            description: 'policy-statements that no import, export or from policy names',
+            check(context) {
+                const used = referencedNames(context.tree, (item) => {
+                    if (POLICY_REFERENCES.has(item.node.word)) return true;
+                    return item.node.word === 'policy' && item.path[item.path.length - 2] === 'from';
+                });
+                definitions(context.tree, 'policy-statement').forEach((found) => {
+                    if (!used.has(found.node.word)) context.report(found, `policy-statement ${found.node.word} is not used`);
+                });
+            }
+        },
+        {
+            id: 'unused-prefix-list',
+            severity: 'low',
+            title: 'Unused prefix-list',
+            description: 'prefix-lists that no policy, firewall filter or other statement names',
+            check(context) {
+                const used = referencedNames(context.tree, (item) => {
+                    return PREFIX_LIST_REFERENCES.has(item.node.word) && item.path[item.path.length - 2] !== 'policy-options';
+                });
+                definitions(context.tree, 'prefix-list').forEach((found) => {
+                    if (!used.has(found.node.word)) context.report(found, `prefix-list ${found.node.word} is not used`);
+                });
+            }
+        },
+        {
+            id: 'plaintext-secret',
+            severity: 'critical',
+            title: 'Plaintext secret',
+            description: 'Keys, secrets and passwords that are neither $9$ encrypted nor hashed',
+            check(context) {
+                context.walk((item) => {
+                    const { node, path } = item;
+                    if (node.children.length > 0 || ENCRYPTED.test(node.word)) return;
+                    const before = path.slice(0, -1);
+                    if (!SECRET_PATHS.some(pattern => endsWith(before, pattern))) return;
+                    // The finding names the statement, not the secret
+                    const statement = { node: item.nodes[item.nodes.length - 2], nodes: item.nodes.slice(0, -1), path: before };
+                    context.report(statement, `${statementOf(statement)} is in plain text`);
+                });
+            }
+        }
+    ];
+
+    function ruleError(message) {
+        return new JunosConfigError(message, 'INVALID_RULE', 'rules');
+    }
+
+    function checkSeverity(severity, label) {
+        if (!SEVERITIES.includes(severity)) {
+            throw ruleError(`${label} severity must be one of ${SEVERITIES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Check rules and apply the options to them
+     * @param {Array<Object>} rules
+     * @param {Object} options - { disabled, severity } as for audit
+     * @returns {Array<Object>} Rules to run, with their severity
+     * @throws {JunosConfigError} INVALID_RULE naming the rule at fault
+     */
+    function compileRules(rules, options = {}) {
+        if (!Array.isArray(rules)) throw ruleError('rules must be a list');
+
+        const ids = new Set();
+        rules.forEach((rule, index) => {
+            const label = `Rule ${index + 1}`;
+            if (!rule || typeof rule !== 'object') throw ruleError(`${label} must be an object`);
+            if (typeof rule.id !== 'string' || rule.id === '') throw ruleError(`${label} needs an id`);
+            if (ids.has(rule.id)) throw ruleError(`${label}: there is already a rule "${rule.id}"`);
+            if (typeof rule.check !== 'function') throw ruleError(`${label} (${rule.id}) needs a check function`);
+            checkSeverity(rule.severity, `${label} (${rule.id})`);
+            ids.add(rule.id);
+        });
+
+        const disabled = options.disabled || [];
+        const severity = options.severity || {};
+        disabled.concat(Object.keys(severity)).forEach((id) => {
+            if (!ids.has(id)) throw ruleError(`There is no rule "${id}"`);
+        });
+        Object.keys(severity).forEach(id => checkSeverity(severity[id], `Rule ${id}`));
+
+        return rules
+            .filter(rule => !disabled.includes(rule.id))
+            .map(rule => Object.assign({}, rule, { severity: severity[rule.id] || rule.severity }));
+    }
+
+    /**
+     * Audit a configuration
+     * @param {string|Object} config - Configuration text or tree
+     * @param {Object} [options]
+     * @param {string} [options.from='auto'] - Format of the text: set, hierarchical, xml, json, yaml or auto
+     * @param {Array<Object>} [options.rules=RULES] - Rules to run
+     * @param {Array<string>} [options.disabled] - Ids of rules to skip
+     * @param {Object} [options.severity] - Severity by rule id, replacing the rule's own
+     * @returns {Object} { findings: [{ rule, severity, title, message, statement, line }], summary, rules }
+     *   findings come most severe first, then by line; summary counts them by severity
+     * @throws {JunosConfigError} INVALID_RULE for bad rules or options, RULE_FAILED when a rule throws
+     */
+    function audit(config, options = {}) {
+        const tree = typeof config === 'object' && config !== null ? config : JunosConfig.parse(config, options.from || 'auto');
+        const rules = compileRules(options.rules === undefined ? RULES : options.rules, options);
+
+        const findings = [];
+        const counts = rules.map((rule) => {
+            const before = findings.length;
+            const context = {
+                tree,
+                match: (pattern, from) => match(tree, pattern, from),
+                instances: () => instances(tree),
+                walk: (visit, from) => walk(from || { node: tree, nodes: [], path: [] }, visit),
+                has,
+                contains,
+                report(found, message, severity) {
+                    if (severity) checkSeverity(severity, `Rule ${rule.id} finding`);
+                    findings.push({
+                        rule: rule.id,
+                        severity: severity || rule.severity,
+                        title: rule.title || rule.id,
+                        message: String(message),
+                        statement: statementOf(found),
+                        line: lineOf(found)
+                    });
+                }
+            };
+
+            try {
+                rule.check(context);
+            } catch (error) {
+                if (error instanceof JunosConfigError) throw error;
+                throw new JunosConfigError(`Rule ${rule.id} failed: ${error.message}`, 'RULE_FAILED', 'rules');
+            }
+            return { id: rule.id, severity: rule.severity, title: rule.title || rule.id, findings: findings.length - before };
+        });
+
+        // Findings without a line (JSON input) go last within their severity
+        const position = finding => (finding.line === null ? Number.MAX_SAFE_INTEGER : finding.line);
+        findings.sort((a, b) => {
+            return SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || position(a) - position(b);
+        });
+
+        const summary = { total: findings.length };
+        SEVERITIES.forEach((severity) => { summary[severity] = 0; });
+        findings.forEach((finding) => { summary[finding.severity]++; });
+
+        return { findings, summary, rules: counts };
+    }
+
+    return {
+        SEVERITIES,
+        RULES,
+        match,
+        compileRules,
+        audit
+    };
+}));
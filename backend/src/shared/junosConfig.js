@@ -0,0 +1,1645 @@
+/**
+ * JUNOS Configuration Model
+ * Network Engineers Toolkit - shared between the backend API and the browser
+ *
+ * Parses JUNOS configuration in set, hierarchical (curly brace), XML, JSON
+ * and YAML formats into one tree and prints the tree in any of them. The tree is a
+ * trie of words: every statement is the path of words from the root, so
+ * "set interfaces ge-0/0/0 unit 0 family inet address 10.0.0.1/30" and the
+ * nested braces for the same statement build the same nodes. Each node
+ * keeps what the formats carry besides words:
+ *   inactive, protect     inactive:/protect: tags, deactivate/protect commands
+ *                         and inactive="inactive"/protect="protect" attributes
+ *   operation             'delete' or 'replace' from delete:/replace: tags,
+ *                         delete commands and delete/replace attributes
+ *   annotation            /* comments *\/, annotate commands and junos:comment
+ *   list                  values written as a [ ... ] list
+ *   quoted                the word was a quoted string
+ *   line                  first input line that mentioned the node
+ * Hash comments (## Last commit, ## SECRET-DATA) are not configuration and
+ * are dropped.
+ *
+ * Without the JUNOS schema, which words start a statement comes from the
+ * keyword tables below, falling back to the shape of the tree for keywords
+ * they do not list. Served to the frontend at /api/shared/junosConfig.js as
+ * window.JunosConfig.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.JunosConfig = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Error raised for configuration that cannot be parsed
+     * @param {string} message - Human readable description, with the line
+     * @param {string} code - Machine readable error code
+     * @param {string} field - Name of the offending input field
+     */
+    class JunosConfigError extends Error {
+        constructor(message, code, field, line) {
+            super(line ? `${message} at line ${line}` : message);
+            this.name = 'JunosConfigError';
+            this.code = code;
+            this.field = field;
+            if (line) this.line = line;
+        }
+    }
+
+    const FORMATS = ['set', 'hierarchical', 'xml', 'json', 'yaml'];
+
+    // How a keyword's children are written
+    const KIND = {
+        CONTAINER: 'container', // system { ... }
+        NAMED: 'named',         // unit 0 { ... }, XML <unit><name>0</name>
+        JOINED: 'joined',       // family inet { ... }, XML <family><inet>
+        VALUE: 'value',         // description "text"; XML <description>text</description>
+        ENTRIES: 'entries'      // interfaces { ge-0/0/0 { ... } }, children are names
+    };
+
+    const CONTAINERS = new Set([
+        'system', 'services', 'login', 'authentication', 'root-authentication', 'syslog', 'ntp',
+        'chassis', 'snmp', 'protocols', 'routing-options', 'static', 'policy-options', 'firewall',
+        'security', 'zones', 'policies', 'nat', 'screen', 'flow', 'ike', 'ipsec', 'address-book',
+        'class-of-service', 'forwarding-options', 'event-options', 'switch-options', 'virtual-chassis',
+        'bgp', 'ospf', 'ospf3', 'isis', 'mpls', 'rsvp', 'ldp', 'lldp', 'lldp-med', 'rstp', 'mstp',
+        'vstp', 'igmp-snooping', 'pim', 'bfd-liveness-detection', 'graceful-restart', 'multipath',
+        'traceoptions', 'from', 'then', 'to', 'ssh', 'telnet', 'netconf', 'web-management', 'archival',
+        'host-inbound-traffic', 'vlan', 'applications', 'access', 'poe', 'storm-control'
+    ]);
+
+    const NAMED = new Set([
+        'unit', 'address', 'area', 'interface', 'neighbor', 'group', 'term', 'policy-statement',
+        'prefix-list', 'user', 'host', 'file', 'server', 'route', 'route-filter', 'filter',
+        'security-zone', 'zone', 'policy', 'from-zone', 'to-zone', 'rule-set', 'rule', 'pool',
+        'label-switched-path', 'path', 'interface-range', 'vrrp-group', 'rib', 'rib-group',
+        'application', 'application-set', 'address-set', 'proposal', 'gateway', 'vpn', 'profile',
+        'instance', 'routing-instance', 'authentication-key-chains', 'key'
+    ]);
+
+    const JOINED = new Set(['family']);
+
+    // Keywords followed by values; a value with statements of its own is written as a name
+    const VALUES = new Set([
+        'description', 'host-name', 'domain-name', 'time-zone', 'mtu', 'vlan-id', 'native-vlan-id',
+        'encapsulation', 'router-id', 'autonomous-system', 'peer-as', 'local-as', 'local-address',
+        'type', 'preference', 'metric', 'next-hop', 'members', 'apply-groups', 'apply-groups-except',
+        'import', 'export', 'authentication-key', 'encrypted-password', 'class', 'community',
+        'as-path', 'version', 'uid', 'speed', 'local-preference', 'hold-time', 'secret'
+    ]);
+
+    // Values that a later set replaces rather than adds to
+    const SINGLE_VALUES = new Set([
+        'description', 'host-name', 'domain-name', 'time-zone', 'mtu', 'vlan-id', 'native-vlan-id',
+        'encapsulation', 'router-id', 'autonomous-system', 'peer-as', 'local-as', 'local-address',
+        'type', 'preference', 'metric', 'encrypted-password', 'authentication-key', 'class',
+        'version', 'uid', 'speed', 'local-preference', 'hold-time', 'secret'
+    ]);
+
+    // Containers of names, with the XML element of each entry (null: the container repeats)
+    const ENTRY_ELEMENTS = {
+        'interfaces': 'interface',
+        'vlans': 'vlan',
+        'routing-instances': 'instance',
+        'bridge-domains': 'domain',
+        'groups': null,
+        'logical-systems': null,
+        'system-services': null,
+        'name-server': null
+    };
+
+    // Named statements JUNOS writes on one line when the rest is a single chain,
+    // with the statements they do that under (null: anywhere):
+    // route 0.0.0.0/0 next-hop 192.0.2.1; community BLOCK members 65535:666;
+    const ONE_LINERS = {
+        'route': null,
+        'community': ['policy-options', 'then'],
+        'as-path': ['policy-options'],
+        'route-filter': null,
+        'prefix-list-filter': null,
+        'source-address-filter': null,
+        'destination-address-filter': null
+    };
+
+    // Route filter match types, which JUNOS writes on the prefix's line, and whether each takes a value:
+    // route-filter 10.0.0.0/8 upto /24; route-filter-list LIST { 10.0.0.0/8 prefix-length-range /16-/24; }
+    const MATCH_TYPES = {
+        'exact': false,
+        'longer': false,
+        'orlonger': false,
+        'upto': true,
+        'through': true,
+        'prefix-length-range': true
+    };
+    const PREFIX = /^[0-9A-Fa-f:.]+\/\d+$/;
+
+    // XML elements for values inside a named statement: <prefix-list-item><name>10.0.0.0/8</name>
+    const ITEM_ELEMENTS = {
+        'prefix-list': { tag: 'prefix-list-item', named: true },
+        'as-path': { tag: 'path', named: false }
+    };
+    // Any other value that is not an element name
+    const VALUE_ELEMENT = { tag: 'value', named: false };
+
+    const KEYWORD = /^[a-z][a-z0-9-]*$/;
+    const XML_NAME = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+    const NEEDS_QUOTES = /[\s;{}[\]"'#\\$<>*|&()!]/;
+    const TAG_PREFIXES = { 'inactive:': 'inactive', 'protect:': 'protect', 'delete:': 'delete', 'replace:': 'replace' };
+
+    // Tree nodes
+
+    const childIndex = new WeakMap();
+
+    function createNode(word, line) {
+        const node = {
+            word,
+            quoted: false,
+            line: line || null,
+            children: [],
+            list: false,
+            inactive: false,
+            protect: false,
+            operation: null,
+            annotation: null
+        };
+        childIndex.set(node, new Map());
+        return node;
+    }
+
+    /**
+     * Empty configuration tree
+     * @returns {Object} Root node
+     */
+    function createTree() {
+        return createNode(null);
+    }
+
+    function getChild(node, word) {
+        return childIndex.get(node).get(word) || null;
+    }
+
+    function addChild(node, word, line) {
+        let child = getChild(node, word);
+        if (!child) {
+            child = createNode(word, line);
+            node.children.push(child);
+            childIndex.get(node).set(word, child);
+        }
+        return child;
+    }
+
+    function clearChildren(node) {
+        node.children = [];
+        childIndex.set(node, new Map());
+    }
+
+    /**
+     * Node at a path of words, or null
+     * @param {Object} tree
+     * @param {Array<string>} path
+     * @returns {Object|null}
+     */
+    function findNode(tree, path) {
+        let node = tree;
+        for (const word of path) {
+            node = getChild(node, word);
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    function isLeaf(node) {
+        return node.children.length === 0;
+    }
+
+    function isRootContext(path) {
+        return path.length === 0 || (path.length === 2 && (path[0] === 'groups' || path[0] === 'logical-systems'));
+    }
+
+    /**
+     * How a node's children are written, from the keyword tables or the shape of the tree
+     * @param {Object} node
+     * @param {Array<string>} path - Words above the node
+     * @returns {string} One of KIND
+     */
+    function kindOf(node, path) {
+        const word = node.word;
+        if (Object.prototype.hasOwnProperty.call(ENTRY_ELEMENTS, word)) return KIND.ENTRIES;
+        if (JOINED.has(word)) return KIND.JOINED;
+        if (CONTAINERS.has(word)) return KIND.CONTAINER;
+        if (NAMED.has(word)) return KIND.NAMED;
+        if (VALUES.has(word)) return KIND.VALUE;
+
+        const children = node.children;
+        if (children.length === 0) return KIND.CONTAINER;
+        if (children.some(child => !isLeaf(child))) return KIND.NAMED;
+        if (node.list || children.length === 1) return KIND.VALUE;
+        return children.every(child => KEYWORD.test(child.word)) ? KIND.CONTAINER : KIND.VALUE;
+    }
+
+    function entryElement(word, path) {
+        if (word === 'interfaces') return isRootContext(path) ? 'interface' : null;
+        return ENTRY_ELEMENTS[word];
+    }
+
+    // Statements: how the tree is laid out in the set and hierarchical formats
+
+    function hasMarks(node) {
+        return node.inactive || node.protect || node.operation !== null || node.annotation !== null;
+    }
+
+    function isOneLiner(word, parentWord) {
+        if (!Object.prototype.hasOwnProperty.call(ONE_LINERS, word)) return false;
+        return ONE_LINERS[word] === null || ONE_LINERS[word].includes(parentWord);
+    }
+
+    // A run of single children ending in a value or a list, with nothing marked along it
+    function isChain(node) {
+        if (hasMarks(node)) return false;
+        if (isLeaf(node)) return true;
+        if (node.list && node.children.every(isLeaf)) return true;
+        return node.children.length === 1 && isChain(node.children[0]);
+    }
+
+    function isMatchType(word) {
+        return Object.prototype.hasOwnProperty.call(MATCH_TYPES, word);
+    }
+
+    // A route filter prefix whose statements are all match types
+    function isRouteFilterEntry(node) {
+        return !isLeaf(node) && !node.list && node.children.every(child => isMatchType(child.word));
+    }
+
+    /**
+     * One statement per match type of a route filter entry, as JUNOS keeps
+     * them: route-filter 10.0.0.0/8 upto /24; route-filter 10.0.0.0/8 exact;
+     * An action chain stays on the line, several actions go in braces
+     * @param {Array<string>} path - Words above the statement
+     * @param {Array<Object>} lead - Nodes up to and including the prefix
+     * @returns {Array<Object>}
+     */
+    function matchTypeStatements(path, lead) {
+        const statements = [];
+        lead[lead.length - 1].children.forEach((type) => {
+            const ends = MATCH_TYPES[type.word] && !isLeaf(type) && !type.list ? type.children.map(value => [type, value]) : [[type]];
+            ends.forEach((end) => {
+                const nodes = lead.concat(end);
+                let next = nodes[nodes.length - 1];
+                if (next.children.length === 1 && isChain(next.children[0])) {
+                    while (!isLeaf(next) && !next.list) {
+                        next = next.children[0];
+                        nodes.push(next);
+                    }
+                }
+                statements.push(statement(path, nodes, type, null));
+            });
+        });
+        return statements;
+    }
+
+    function statement(path, nodes, target, entries) {
+        const last = nodes[nodes.length - 1];
+        const words = nodes.map(node => node.word);
+        const values = last.list && last.children.length > 0 && last.children.every(isLeaf) ? last.children : null;
+        const childPath = path.concat(words);
+        return {
+            path,
+            nodes,
+            target,
+            values,
+            children: values || isLeaf(last) ? null : buildStatements(last, childPath, entries)
+        };
+    }
+
+    function buildStatements(parent, path, entries = null) {
+        const statements = [];
+        parent.children.forEach((node) => {
+            if (entries) {
+                statements.push(statement(path, [node], node, null));
+                return;
+            }
+
+            if (path[path.length - 2] === 'route-filter-list' && isRouteFilterEntry(node)) {
+                statements.push(...matchTypeStatements(path, [node]));
+                return;
+            }
+
+            const kind = kindOf(node, path);
+            if (isLeaf(node) || kind === KIND.CONTAINER || (node.list && node.children.every(isLeaf))) {
+                statements.push(statement(path, [node], node, null));
+                return;
+            }
+            if (kind === KIND.ENTRIES) {
+                statements.push(statement(path, [node], node, kind));
+                return;
+            }
+
+            node.children.forEach((child) => {
+                if (node.word === 'route-filter' && isRouteFilterEntry(child)) {
+                    statements.push(...matchTypeStatements(path, [node, child]));
+                    return;
+                }
+
+                const nodes = [node, child];
+                if (isOneLiner(node.word, path[path.length - 1]) && !isLeaf(child) && child.children.length === 1 && isChain(child.children[0])) {
+                    let next = child.children[0];
+                    nodes.push(next);
+                    while (!isLeaf(next) && !next.list) {
+                        next = next.children[0];
+                        nodes.push(next);
+                    }
+                }
+                const target = kind === KIND.VALUE && isLeaf(child) ? node : child;
+                statements.push(statement(path, nodes, target, null));
+            });
+        });
+        return statements;
+    }
+
+    /**
+     * The tree as statements, each { path, nodes, target, values, children }:
+     * nodes are the words on the statement's line, target the node its
+     * marks belong to, values a [ ... ] list and children the statements in
+     * its braces (null for a leaf)
+     * @param {Object} tree
+     * @returns {Array<Object>}
+     */
+    function statements(tree) {
+        return buildStatements(tree, []);
+    }
+
+    // Marks on any node of a statement; nodes other than the target only carry them from set input
+    function statementMarks(stmt) {
+        const marks = { inactive: false, protect: false };
+        stmt.nodes.forEach((node) => {
+            marks.inactive = marks.inactive || node.inactive;
+            marks.protect = marks.protect || node.protect;
+        });
+        return marks;
+    }
+
+    /**
+     * Which word of a parsed statement its marks belong to, mirroring buildStatements
+     * @param {Array<string>} words - Words of the statement
+     * @param {string} end - '{', ';' or '['
+     * @param {string|null} parentWord - Word of the statement it is in
+     * @returns {number} Index into words
+     */
+    function targetIndex(words, end, parentWord) {
+        const last = words.length - 1;
+        const matchType = words.findIndex((word, index) => index > 0 && isMatchType(word) && PREFIX.test(words[index - 1]));
+        if (matchType >= 0) return matchType;
+        const oneLiner = words.findIndex((word, index) =>
+            index < last && isOneLiner(word, index === 0 ? parentWord : words[index - 1]));
+        if (oneLiner >= 0) return oneLiner + 1;
+        if (end !== ';' || last === 0) return last;
+
+        const keyword = words[last - 1];
+        if (NAMED.has(keyword) || JOINED.has(keyword) || Object.prototype.hasOwnProperty.call(ENTRY_ELEMENTS, keyword)) {
+            return last;
+        }
+        return last - 1;
+    }
+
+    // Text tokens
+
+    function normalizeAnnotation(text) {
+        return text.split('\n').map(line => line.trim()).join('\n').trim();
+    }
+
+    /**
+     * A word as written in set and hierarchical output, quoted when needed
+     * @param {string} word
+     * @param {boolean} [quoted] - Quote even when not needed
+     * @returns {string}
+     */
+    function formatWord(word, quoted) {
+        if (!quoted && word !== '' && !NEEDS_QUOTES.test(word)) return word;
+        return `"${word.replace(/["\\]/g, '\\$&')}"`;
+    }
+
+    /**
+     * Split set or hierarchical text into tokens
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {boolean} [options.newlines] - Emit newline tokens (set format)
+     * @returns {Array<Object>} { type: word|string|{|}|;|[|]|annotation|newline, value, line }
+     */
+    function tokenize(text, options = {}) {
+        const tokens = [];
+        let line = 1;
+        let index = 0;
+
+        while (index < text.length) {
+            const character = text[index];
+
+            if (character === '\n') {
+                if (options.newlines) tokens.push({ type: 'newline', line });
+                line++;
+                index++;
+            } else if (/\s/.test(character)) {
+                index++;
+            } else if (character === '#') {
+                while (index < text.length && text[index] !== '\n') index++;
+            } else if (character === '/' && text[index + 1] === '*') {
+                const end = text.indexOf('*/', index + 2);
+                if (end < 0) throw new JunosConfigError('Unterminated /* annotation */', 'INVALID_CONFIG', 'config', line);
+                const value = text.slice(index + 2, end);
+                tokens.push({ type: 'annotation', value: normalizeAnnotation(value), line });
+                line += value.split('\n').length - 1;
+                index = end + 2;
+            } else if (character === '"') {
+                const start = line;
+                let value = '';
+                index++;
+                while (index < text.length && text[index] !== '"') {
+                    if (text[index] === '\\' && index + 1 < text.length) index++;
+                    if (text[index] === '\n') line++;
+                    value += text[index];
+                    index++;
+                }
+                if (index >= text.length) throw new JunosConfigError('Unterminated quoted string', 'INVALID_CONFIG', 'config', start);
+                tokens.push({ type: 'string', value, line: start });
+                index++;
+            } else if ('{};[]'.includes(character)) {
+                tokens.push({ type: character, line });
+                index++;
+            } else {
+                const start = index;
+                while (index < text.length && !/[\s{};[\]"]/.test(text[index])) index++;
+                tokens.push({ type: 'word', value: text.slice(start, index), line });
+            }
+        }
+
+        return tokens;
+    }
+
+    // Set format
+
+    function setPath(parent, words, line) {
+        let node = parent;
+        words.forEach((word) => {
+            if (node.operation === 'delete') node.operation = 'replace';
+            node = addChild(node, word.value, line);
+            if (word.quoted) node.quoted = true;
+        });
+        return node;
+    }
+
+    function readSetLine(tokens, lineNumber) {
+        const words = [];
+        let values = null;
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type === 'word' || token.type === 'string') {
+                (values || words).push({ value: token.value, quoted: token.type === 'string' });
+            } else if (token.type === '[' && !values && words.length > 0) {
+                values = [];
+            } else if (token.type === ']' && values && i === tokens.length - 1) {
+                return { words, values };
+            } else {
+                throw new JunosConfigError(`Unexpected "${token.type === 'annotation' ? '/*' : token.type}"`, 'INVALID_CONFIG', 'config', lineNumber);
+            }
+        }
+        if (values) throw new JunosConfigError('Missing ] after the value list', 'INVALID_CONFIG', 'config', lineNumber);
+        return { words, values: null };
+    }
+
+    /**
+     * Parse set commands: set, delete, deactivate, activate, protect,
+     * unprotect and annotate, with edit, up and top moving the level that
+     * relative commands apply at
+     * @param {string} text
+     * @returns {Object} Tree
+     * @throws {JunosConfigError} INVALID_CONFIG naming the line
+     */
+    function parseSet(text) {
+        const tree = createTree();
+        const lines = [];
+        let current = [];
+        tokenize(text, { newlines: true }).forEach((token) => {
+            if (token.type === 'newline') {
+                if (current.length > 0) lines.push(current);
+                current = [];
+            } else {
+                current.push(token);
+            }
+        });
+        if (current.length > 0) lines.push(current);
+
+        let level = [];
+        lines.forEach((tokens) => {
+            const lineNumber = tokens[0].line;
+            const command = tokens[0].value;
+            // Prompts pasted from the CLI: [edit interfaces] and {master:0}
+            if (tokens[0].type === '[' || tokens[0].type === '{') return;
+            if (tokens[0].type !== 'word') {
+                throw new JunosConfigError('Expected a command such as set or delete', 'INVALID_CONFIG', 'config', lineNumber);
+            }
+
+            if (command === 'annotate') {
+                const rest = tokens.slice(1);
+                const comment = rest[rest.length - 1];
+                if (rest.length < 2 || comment.type !== 'string') {
+                    throw new JunosConfigError('annotate needs a statement and a quoted comment', 'INVALID_CONFIG', 'config', lineNumber);
+                }
+                const { words } = readSetLine(rest.slice(0, -1), lineNumber);
+                const node = setPath(tree, level.concat(words), lineNumber);
+                node.annotation = normalizeAnnotation(comment.value) || null;
+                return;
+            }
+
+            const { words, values } = readSetLine(tokens.slice(1), lineNumber);
+            const path = level.concat(words);
+
+            switch (command) {
+                case 'set': {
+                    if (words.length === 0) throw new JunosConfigError('set needs a statement', 'INVALID_CONFIG', 'config', lineNumber);
+                    const parentWords = values ? path : path.slice(0, -1);
+                    const parent = setPath(tree, parentWords, lineNumber);
+                    if (values) {
+                        parent.list = true;
+                        values.forEach(value => setPath(parent, [value], lineNumber));
+                        break;
+                    }
+                    const last = path[path.length - 1];
+                    // A second host-name replaces the first; statements without a value just add up
+                    if (SINGLE_VALUES.has(parent.word) && parent.children.length > 0 && !getChild(parent, last.value)) {
+                        clearChildren(parent);
+                    }
+                    setPath(parent, [last], lineNumber);
+                    break;
+                }
+                case 'delete': {
+                    if (path.length === 0) throw new JunosConfigError('delete needs a statement', 'INVALID_CONFIG', 'config', lineNumber);
+                    const node = setPath(tree, path, lineNumber);
+                    clearChildren(node);
+                    node.list = false;
+                    node.operation = 'delete';
+                    break;
+                }
+                case 'deactivate':
+                case 'activate':
+                case 'protect':
+                case 'unprotect': {
+                    if (path.length === 0) throw new JunosConfigError(`${command} needs a statement`, 'INVALID_CONFIG', 'config', lineNumber);
+                    const node = setPath(tree, path, lineNumber);
+                    if (command.endsWith('activate')) node.inactive = command === 'deactivate';
+                    else node.protect = command === 'protect';
+                    break;
+                }
+                case 'edit':
+                    level = path;
+                    break;
+                case 'top':
+                    level = [];
+                    break;
+                case 'up':
+                case 'exit': {
+                    const count = command === 'up' && words.length > 0 ? parseInt(words[0].value, 10) || 1 : 1;
+                    level = level.slice(0, Math.max(level.length - count, 0));
+                    break;
+                }
+                default:
+                    throw new JunosConfigError(`Unsupported command "${command}"`, 'INVALID_CONFIG', 'config', lineNumber);
+            }
+        });
+
+        return tree;
+    }
+
+    function setLines(stmts, prefix, output, annotations) {
+        stmts.forEach((stmt) => {
+            const words = prefix.concat(stmt.nodes.map(node => formatWord(node.word, node.quoted)));
+            const targetAt = prefix.length + stmt.nodes.indexOf(stmt.target);
+            const targetPath = words.slice(0, targetAt + 1).join(' ');
+            const marks = statementMarks(stmt);
+
+            if (stmt.target.operation) output.push(`delete ${targetPath}`);
+            if (stmt.target.operation !== 'delete') {
+                if (stmt.values) {
+                    output.push(`set ${words.join(' ')} [ ${stmt.values.map(node => formatWord(node.word, node.quoted)).join(' ')} ]`);
+                } else if (stmt.children) {
+                    setLines(stmt.children, words, output, annotations);
+                } else {
+                    output.push(`set ${words.join(' ')}`);
+                }
+            }
+            if (marks.inactive) output.push(`deactivate ${targetPath}`);
+            if (marks.protect) output.push(`protect ${targetPath}`);
+
+            if (stmt.target.annotation !== null) {
+                annotations.push({ level: prefix, words: words.slice(prefix.length, targetAt + 1), text: stmt.target.annotation });
+            }
+        });
+    }
+
+    /**
+     * Print a tree as set commands; annotations follow as edit/annotate/top
+     * @param {Object} tree
+     * @returns {string}
+     */
+    function toSet(tree) {
+        const output = [];
+        const annotations = [];
+        setLines(statements(tree), [], output, annotations);
+
+        annotations.forEach((annotation) => {
+            const comment = formatWord(annotation.text, true);
+            if (annotation.level.length > 0) {
+                output.push(`edit ${annotation.level.join(' ')}`, `annotate ${annotation.words.join(' ')} ${comment}`, 'top');
+            } else {
+                output.push(`annotate ${annotation.words.join(' ')} ${comment}`);
+            }
+        });
+        return output.join('\n');
+    }
+
+    // Hierarchical format
+
+    /**
+     * Parse hierarchical (curly brace) configuration with inactive:, protect:,
+     * delete: and replace: tags, [ ... ] lists and /* annotations *\/
+     * @param {string} text
+     * @returns {Object} Tree
+     * @throws {JunosConfigError} INVALID_CONFIG naming the line
+     */
+    function parseHierarchical(text) {
+        const tree = createTree();
+        const tokens = tokenize(text);
+        const stack = [{ node: tree, line: null, words: [] }];
+        let words = [];
+        let tags = [];
+        let annotation = null;
+
+        const finish = (end, line, values) => {
+            if (words.length === 0) {
+                throw new JunosConfigError(`Expected a statement before "${end}"`, 'INVALID_CONFIG', 'config', line);
+            }
+            const top = stack[stack.length - 1];
+            const nodes = [];
+            let node = top.node;
+            words.forEach((word) => {
+                node = addChild(node, word.value, word.line);
+                if (word.quoted) node.quoted = true;
+                nodes.push(node);
+            });
+
+            const target = nodes[targetIndex(words.map(word => word.value), values ? '[' : end, top.node.word)];
+            tags.forEach((tag) => {
+                if (tag === 'inactive' || tag === 'protect') target[tag] = true;
+                else target.operation = tag;
+            });
+            if (annotation !== null) target.annotation = annotation;
+
+            if (values) {
+                node.list = true;
+                values.forEach((value) => {
+                    const child = addChild(node, value.value, value.line);
+                    if (value.quoted) child.quoted = true;
+                });
+            }
+
+            words = [];
+            tags = [];
+            annotation = null;
+            return node;
+        };
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            switch (token.type) {
+                case 'annotation':
+                    if (words.length > 0) throw new JunosConfigError('Annotations go before a statement', 'INVALID_CONFIG', 'config', token.line);
+                    annotation = token.value;
+                    break;
+                case 'word':
+                    if (words.length === 0 && TAG_PREFIXES[token.value]) {
+                        tags.push(TAG_PREFIXES[token.value]);
+                        break;
+                    }
+                    words.push({ value: token.value, quoted: false, line: token.line });
+                    break;
+                case 'string':
+                    words.push({ value: token.value, quoted: true, line: token.line });
+                    break;
+                case ';':
+                    // A ; after } is allowed and means nothing
+                    if (words.length === 0 && tags.length === 0) break;
+                    finish(';', token.line);
+                    break;
+                case '{': {
+                    const line = words.length > 0 ? words[0].line : token.line;
+                    const label = words.map(word => word.value).join(' ');
+                    const node = finish('{', token.line);
+                    stack.push({ node, line, label });
+                    break;
+                }
+                case '}':
+                    if (words.length > 0) throw new JunosConfigError('Missing ; before }', 'INVALID_CONFIG', 'config', token.line);
+                    if (stack.length === 1) throw new JunosConfigError('Unexpected }', 'INVALID_CONFIG', 'config', token.line);
+                    stack.pop();
+                    break;
+                case '[': {
+                    const values = [];
+                    i++;
+                    while (i < tokens.length && (tokens[i].type === 'word' || tokens[i].type === 'string')) {
+                        values.push({ value: tokens[i].value, quoted: tokens[i].type === 'string', line: tokens[i].line });
+                        i++;
+                    }
+                    if (i >= tokens.length || tokens[i].type !== ']') {
+                        throw new JunosConfigError('Missing ] after the value list', 'INVALID_CONFIG', 'config', token.line);
+                    }
+                    if (tokens[i + 1] && tokens[i + 1].type === ';') i++;
+                    finish(';', token.line, values);
+                    break;
+                }
+                default:
+                    throw new JunosConfigError(`Unexpected "${token.type}"`, 'INVALID_CONFIG', 'config', token.line);
+            }
+        }
+
+        if (words.length > 0 || tags.length > 0) {
+            throw new JunosConfigError('Missing ; at the end of the configuration', 'INVALID_CONFIG', 'config', tokens[tokens.length - 1].line);
+        }
+        if (stack.length > 1) {
+            const open = stack[stack.length - 1];
+            throw new JunosConfigError(`Missing } for "${open.label}"`, 'INVALID_CONFIG', 'config', open.line);
+        }
+        return tree;
+    }
+
+    function hierarchicalLines(stmts, depth, output) {
+        const indent = '    '.repeat(depth);
+        stmts.forEach((stmt) => {
+            const target = stmt.target;
+            if (target.annotation !== null) {
+                target.annotation.split('\n').forEach((line, index, all) => {
+                    const open = index === 0 ? '/* ' : '   ';
+                    const close = index === all.length - 1 ? ' */' : '';
+                    output.push(`${indent}${open}${line.trim()}${close}`);
+                });
+            }
+
+            const marks = statementMarks(stmt);
+            const tags = [
+                target.operation ? `${target.operation}: ` : '',
+                marks.protect ? 'protect: ' : '',
+                marks.inactive ? 'inactive: ' : ''
+            ].join('');
+            // A deleted statement has no value or contents, only its name
+            const nodes = target.operation === 'delete' ? stmt.nodes.slice(0, stmt.nodes.indexOf(target) + 1) : stmt.nodes;
+            const words = nodes.map(node => formatWord(node.word, node.quoted)).join(' ');
+
+            if (target.operation === 'delete' || (!stmt.values && !stmt.children)) {
+                output.push(`${indent}${tags}${words};`);
+            } else if (stmt.values) {
+                output.push(`${indent}${tags}${words} [ ${stmt.values.map(node => formatWord(node.word, node.quoted)).join(' ')} ];`);
+            } else {
+                output.push(`${indent}${tags}${words} {`);
+                hierarchicalLines(stmt.children, depth + 1, output);
+                output.push(`${indent}}`);
+            }
+        });
+    }
+
+    /**
+     * Print statements in the hierarchical format with four-space indents
+     * @param {Array<Object>} stmts - From statements()
+     * @param {number} [depth=0] - Indent level of the outermost statements
+     * @returns {Array<string>} Lines
+     */
+    function formatStatements(stmts, depth = 0) {
+        const output = [];
+        hierarchicalLines(stmts, depth, output);
+        return output;
+    }
+
+    /**
+     * Print a tree in the hierarchical format with four-space indents
+     * @param {Object} tree
+     * @returns {string}
+     */
+    function toHierarchical(tree) {
+        return formatStatements(statements(tree)).join('\n');
+    }
+
+    // XML format
+
+    const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+    function decodeXml(text) {
+        return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return XML_ENTITIES[entity.toLowerCase()] || match;
+        });
+    }
+
+    function escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Read XML into elements { tag, attributes, children, text, line }
+     * Enough XML for configurations: no DTDs or namespaces beyond prefixes.
+     * @param {string} text
+     * @returns {Object} Document element
+     */
+    function readXml(text) {
+        const document = { tag: null, attributes: {}, children: [], text: '', line: 1 };
+        const stack = [document];
+        let index = 0;
+        let line = 1;
+
+        const advance = (to) => {
+            for (let i = index; i < to; i++) {
+                if (text[i] === '\n') line++;
+            }
+            index = to;
+        };
+        const skipTo = (marker, what) => {
+            const end = text.indexOf(marker, index);
+            if (end < 0) throw new JunosConfigError(`Unterminated ${what}`, 'INVALID_CONFIG', 'config', line);
+            advance(end + marker.length);
+        };
+
+        while (index < text.length) {
+            const current = stack[stack.length - 1];
+            if (text[index] !== '<') {
+                const end = text.indexOf('<', index);
+                const stop = end < 0 ? text.length : end;
+                current.text += decodeXml(text.slice(index, stop));
+                advance(stop);
+            } else if (text.startsWith('<!--', index)) {
+                skipTo('-->', 'XML comment');
+            } else if (text.startsWith('<![CDATA[', index)) {
+                const end = text.indexOf(']]>', index);
+                if (end < 0) throw new JunosConfigError('Unterminated CDATA section', 'INVALID_CONFIG', 'config', line);
+                current.text += text.slice(index + 9, end);
+                advance(end + 3);
+            } else if (text.startsWith('<?', index)) {
+                skipTo('?>', 'XML declaration');
+            } else if (text.startsWith('<!', index)) {
+                skipTo('>', 'XML declaration');
+            } else if (text.startsWith('</', index)) {
+                const match = /^<\/([^\s>]+)\s*>/.exec(text.slice(index));
+                if (!match) throw new JunosConfigError('Malformed closing tag', 'INVALID_CONFIG', 'config', line);
+                if (stack.length === 1 || current.tag !== match[1]) {
+                    throw new JunosConfigError(`Unexpected </${match[1]}>${stack.length > 1 ? `, expected </${current.tag}>` : ''}`, 'INVALID_CONFIG', 'config', line);
+                }
+                stack.pop();
+                advance(index + match[0].length);
+            } else {
+                const match = /^<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(text.slice(index));
+                if (!match) throw new JunosConfigError('Malformed tag', 'INVALID_CONFIG', 'config', line);
+                const element = { tag: match[1], attributes: {}, children: [], text: '', line };
+                const attributePattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+                let attribute;
+                while ((attribute = attributePattern.exec(match[2])) !== null) {
+                    element.attributes[attribute[1]] = decodeXml(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+                }
+                current.children.push(element);
+                advance(index + match[0].length);
+                if (!match[3]) stack.push(element);
+            }
+        }
+
+        if (stack.length > 1) {
+            const open = stack[stack.length - 1];
+            throw new JunosConfigError(`Missing </${open.tag}>`, 'INVALID_CONFIG', 'config', open.line);
+        }
+        return document;
+    }
+
+    function findElement(element, tag) {
+        if (element.tag === tag) return element;
+        for (const child of element.children) {
+            const found = findElement(child, tag);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    function applyAttributes(node, attributes) {
+        if (attributes.inactive === 'inactive') node.inactive = true;
+        if (attributes.protect === 'protect') node.protect = true;
+        if (attributes.delete === 'delete') node.operation = 'delete';
+        if (attributes.replace === 'replace') node.operation = 'replace';
+    }
+
+    function addElements(parent, path, elements) {
+        const entry = parent.word === null ? null : entryElement(parent.word, path.slice(0, -1));
+        const item = itemElement(path);
+        const valueCounts = new Map();
+        let annotation = null;
+
+        elements.forEach((element) => {
+            if (element.tag === 'junos:comment') {
+                annotation = normalizeAnnotation(element.text.trim().replace(/^\/\*/, '').replace(/\*\/$/, ''));
+                return;
+            }
+
+            const nameElement = element.children.find(child => child.tag === 'name');
+            const rest = element.children.filter(child => child !== nameElement);
+            let target;
+
+            if (nameElement && ((entry && element.tag === entry) || element.tag === item.tag)) {
+                // <interfaces><interface><name>ge-0/0/0</name>: the name sits under interfaces
+                target = addChild(parent, nameElement.text.trim(), element.line);
+                addElements(target, path.concat(target.word), rest);
+            } else if (element.tag === item.tag && element.children.length === 0 && element.text.trim() !== '') {
+                target = addChild(parent, element.text.trim(), element.line);
+            } else if (nameElement) {
+                const keyword = addChild(parent, element.tag, element.line);
+                target = addChild(keyword, nameElement.text.trim(), element.line);
+                addElements(target, path.concat(keyword.word, target.word), rest);
+            } else if (element.children.length > 0) {
+                target = addChild(parent, element.tag, element.line);
+                addElements(target, path.concat(target.word), element.children);
+            } else if (element.text.trim() !== '') {
+                target = addChild(parent, element.tag, element.line);
+                addChild(target, element.text.trim(), element.line);
+                valueCounts.set(target, (valueCounts.get(target) || 0) + 1);
+            } else {
+                target = addChild(parent, element.tag, element.line);
+            }
+
+            applyAttributes(target, element.attributes);
+            if (annotation !== null) {
+                target.annotation = annotation;
+                annotation = null;
+            }
+        });
+
+        // <community>a</community><community>b</community> is community [ a b ]
+        valueCounts.forEach((count, node) => {
+            if (count > 1) node.list = true;
+        });
+    }
+
+    /**
+     * Parse XML as shown by "show configuration | display xml" or NETCONF,
+     * with inactive, protect, delete and replace attributes and junos:comment
+     * annotations
+     * @param {string} text
+     * @returns {Object} Tree
+     * @throws {JunosConfigError} INVALID_CONFIG
+     */
+    function parseXml(text) {
+        const configuration = findElement(readXml(text), 'configuration');
+        if (!configuration) throw new JunosConfigError('Missing <configuration> element', 'INVALID_CONFIG', 'config');
+
+        const tree = createTree();
+        addElements(tree, [], configuration.children);
+        return tree;
+    }
+
+    function markAttributes(node, extra) {
+        const attributes = {};
+        if (node.inactive || (extra && extra.inactive)) attributes.inactive = 'inactive';
+        if (node.protect || (extra && extra.protect)) attributes.protect = 'protect';
+        if (node.operation) attributes[node.operation] = node.operation;
+        return attributes;
+    }
+
+    function element(tag, node, children, text, extra) {
+        return {
+            tag,
+            attributes: markAttributes(node, extra),
+            annotation: node.annotation,
+            children: children || [],
+            text: text === undefined ? null : text
+        };
+    }
+
+    // The element for a value under path that is not an element name itself
+    function itemElement(path) {
+        return ITEM_ELEMENTS[path[path.length - 2]] || VALUE_ELEMENT;
+    }
+
+    function nameElement(node) {
+        return { tag: 'name', attributes: {}, annotation: null, children: [], text: node.word };
+    }
+
+    /**
+     * The tree as JUNOS XML elements { tag, attributes, annotation, children, text }
+     * @param {Object} parent
+     * @param {Array<string>} path - Words down to parent
+     * @returns {Array<Object>}
+     */
+    function toElements(parent, path = []) {
+        const elements = [];
+        parent.children.forEach((node) => {
+            const kind = kindOf(node, path);
+            const childPath = path.concat(node.word);
+
+            if (!XML_NAME.test(node.word)) {
+                const item = itemElement(childPath.slice(0, -1));
+                if (isLeaf(node) && !item.named) {
+                    elements.push(element(item.tag, node, null, node.word));
+                } else {
+                    elements.push(element(item.tag, node, [nameElement(node), ...toElements(node, childPath)]));
+                }
+                return;
+            }
+            if (node.operation === 'delete' || isLeaf(node)) {
+                elements.push(element(node.word, node));
+                return;
+            }
+
+            switch (kind) {
+                case KIND.ENTRIES: {
+                    const tag = entryElement(node.word, path);
+                    if (tag) {
+                        const entries = node.children.map(child =>
+                            element(tag, child, [nameElement(child), ...toElements(child, childPath.concat(child.word))]));
+                        elements.push(element(node.word, node, entries));
+                    } else {
+                        node.children.forEach(child => elements.push(
+                            element(node.word, child, [nameElement(child), ...toElements(child, childPath.concat(child.word))], undefined, node)));
+                    }
+                    break;
+                }
+                case KIND.JOINED:
+                    elements.push(element(node.word, node, node.children.map(child =>
+                        element(child.word, child, toElements(child, childPath.concat(child.word))))));
+                    break;
+                case KIND.CONTAINER:
+                    elements.push(element(node.word, node, toElements(node, childPath)));
+                    break;
+                default:
+                    // NAMED and VALUE: values become text, anything with statements of its own a name
+                    node.children.forEach((child, index) => {
+                        if (isLeaf(child) && (kind === KIND.VALUE || node.list)) {
+                            const value = element(node.word, node, null, child.word);
+                            // One junos:comment for the whole list
+                            if (index > 0) value.annotation = null;
+                            elements.push(value);
+                        } else {
+                            elements.push(element(node.word, child, [nameElement(child), ...toElements(child, childPath.concat(child.word))], undefined, node));
+                        }
+                    });
+            }
+        });
+        return elements;
+    }
+
+    function hasAnnotations(elements) {
+        return elements.some(item => item.annotation !== null || hasAnnotations(item.children));
+    }
+
+    function xmlLines(elements, depth, output) {
+        const indent = '    '.repeat(depth);
+        elements.forEach((item) => {
+            if (item.annotation !== null) {
+                output.push(`${indent}<junos:comment>/* ${escapeXml(item.annotation)} */</junos:comment>`);
+            }
+            const attributes = Object.keys(item.attributes).map(name => ` ${name}="${escapeXml(item.attributes[name])}"`).join('');
+            if (item.children.length > 0) {
+                output.push(`${indent}<${item.tag}${attributes}>`);
+                xmlLines(item.children, depth + 1, output);
+                output.push(`${indent}</${item.tag}>`);
+            } else if (item.text !== null) {
+                output.push(`${indent}<${item.tag}${attributes}>${escapeXml(item.text)}</${item.tag}>`);
+            } else {
+                output.push(`${indent}<${item.tag}${attributes}/>`);
+            }
+        });
+    }
+
+    /**
+     * Print a tree as JUNOS XML
+     * @param {Object} tree
+     * @returns {string}
+     */
+    function toXml(tree) {
+        const elements = toElements(tree);
+        const namespace = hasAnnotations(elements) ? ' xmlns:junos="http://xml.juniper.net/junos/*/junos"' : '';
+        const output = [`<configuration${namespace}>`];
+        xmlLines(elements, 1, output);
+        output.push('</configuration>');
+        return output.join('\n');
+    }
+
+    // JSON and YAML formats: the XML elements as "show configuration | display json" writes them
+
+    // "@" attributes of an element: { "inactive": true, "junos:comment": "/* text */" }
+    function jsonAttributes(item) {
+        const attributes = {};
+        if (item.attributes.inactive) attributes.inactive = true;
+        if (item.attributes.protect) attributes.protect = true;
+        if (item.attributes.delete) attributes.operation = 'delete';
+        if (item.attributes.replace) attributes.operation = 'replace';
+        if (item.annotation !== null) attributes['junos:comment'] = `/* ${item.annotation} */`;
+        return Object.keys(attributes).length > 0 ? attributes : null;
+    }
+
+    /**
+     * Elements as a JUNOS JSON object: containers are objects, named entries
+     * arrays of objects with a "name", values strings (arrays of strings when
+     * repeated), empty statements [null], and marks "@" inside an object or
+     * "@tag" beside a value
+     * @param {Array<Object>} elements
+     * @param {Object|null} attributes - "@" of the object
+     * @returns {Object}
+     */
+    function elementsToJson(elements, attributes) {
+        const object = {};
+        if (attributes) object['@'] = attributes;
+
+        const groups = new Map();
+        elements.forEach((item) => {
+            if (!groups.has(item.tag)) groups.set(item.tag, []);
+            groups.get(item.tag).push(item);
+        });
+
+        groups.forEach((items, tag) => {
+            const leaves = items.every(item => item.children.length === 0);
+            const named = items.some(item => item.children.some(child => child.tag === 'name'));
+            const value = (item) => {
+                if (item.children.length > 0) return elementsToJson(item.children, jsonAttributes(item));
+                return item.text;
+            };
+
+            if (items.length === 1 && !named) {
+                object[tag] = leaves && items[0].text === null ? [null] : value(items[0]);
+            } else {
+                object[tag] = items.map(value);
+            }
+            // Marks of values go beside them; objects carry their own "@"
+            if (leaves) {
+                const marks = items.map(jsonAttributes);
+                if (marks.some(Boolean)) object[`@${tag}`] = items.length === 1 ? marks[0] : marks;
+            }
+        });
+        return object;
+    }
+
+    function jsonToAttributes(marks) {
+        const attributes = {};
+        if (!marks || typeof marks !== 'object') return attributes;
+        if (marks.inactive === true || marks.inactive === 'inactive') attributes.inactive = 'inactive';
+        if (marks.protect === true || marks.protect === 'protect') attributes.protect = 'protect';
+        if (marks.operation === 'delete' || marks.operation === 'replace') attributes[marks.operation] = marks.operation;
+        return attributes;
+    }
+
+    /**
+     * A JUNOS JSON object as elements for addElements
+     * @param {Object} object
+     * @param {WeakMap} [lines] - Object or array to the input line of each key or item (YAML)
+     * @returns {Array<Object>}
+     */
+    function jsonToElements(object, lines) {
+        const elements = [];
+        const lineOf = (container, key) => {
+            const known = lines && lines.get(container);
+            return known && known[key] !== undefined ? known[key] : null;
+        };
+
+        Object.keys(object).forEach((tag) => {
+            if (tag.startsWith('@')) return;
+            const content = object[tag];
+            const values = Array.isArray(content) ? content : [content];
+            const marks = object[`@${tag}`];
+
+            values.forEach((value, index) => {
+                const line = Array.isArray(content) ? lineOf(content, index) || lineOf(object, tag) : lineOf(object, tag);
+                let item;
+                let mark = Array.isArray(marks) ? marks[index] : marks;
+
+                if (Array.isArray(value)) {
+                    throw new JunosConfigError(`Unexpected list inside the "${tag}" list`, 'INVALID_CONFIG', 'config', line);
+                } else if (value !== null && typeof value === 'object') {
+                    mark = value['@'];
+                    item = { tag, attributes: jsonToAttributes(mark), children: jsonToElements(value, lines), text: '', line };
+                } else {
+                    item = { tag, attributes: jsonToAttributes(mark), children: [], text: value === null ? '' : String(value), line };
+                }
+
+                if (mark && typeof mark['junos:comment'] === 'string') {
+                    elements.push({ tag: 'junos:comment', attributes: {}, children: [], text: mark['junos:comment'], line });
+                }
+                elements.push(item);
+            });
+        });
+        return elements;
+    }
+
+    function jsonTree(data, lines) {
+        let configuration = data && typeof data === 'object' ? data.configuration : null;
+        if (Array.isArray(configuration)) configuration = configuration[0];
+        if (!configuration || typeof configuration !== 'object') {
+            throw new JunosConfigError('Missing "configuration" object', 'INVALID_CONFIG', 'config');
+        }
+
+        const tree = createTree();
+        addElements(tree, [], jsonToElements(configuration, lines));
+        return tree;
+    }
+
+    /**
+     * Parse JSON as shown by "show configuration | display json"
+     * @param {string} text
+     * @returns {Object} Tree
+     * @throws {JunosConfigError} INVALID_CONFIG
+     */
+    function parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            const position = /position (\d+)/.exec(error.message);
+            const line = position ? text.slice(0, parseInt(position[1], 10)).split('\n').length : null;
+            throw new JunosConfigError(`Invalid JSON: ${error.message.replace(/ in JSON at position \d+.*$/, '')}`, 'INVALID_CONFIG', 'config', line);
+        }
+        return jsonTree(data);
+    }
+
+    /**
+     * Print a tree as JUNOS JSON with four-space indents
+     * @param {Object} tree
+     * @returns {string}
+     */
+    function toJson(tree) {
+        return JSON.stringify({ configuration: elementsToJson(toElements(tree), null) }, null, 4);
+    }
+
+    // Plain YAML scalars that would read back as something other than the same string
+    const YAML_SPECIAL = /^$|^[\s\-?:,[\]{}#&*!|>'"%@`]|\s$|: | #|[\u0000-\u001f\\]|^(null|~|true|false|yes|no|on|off|y|n)$|^[-+]?(\.\d+|\d[\d_]*(\.\d*)?)([eE][-+]?\d+)?$|^[-+]?\d[\d_]*(:[0-5]?\d)+(\.\d*)?$|^0[xob]|^[-+]?\.(inf|nan)$|^\d{4}-\d\d?-\d\d?/i;
+
+    function yamlScalar(value) {
+        if (value === null) return 'null';
+        if (typeof value === 'boolean') return String(value);
+        const text = String(value);
+        return YAML_SPECIAL.test(text) ? JSON.stringify(text) : text;
+    }
+
+    function yamlLines(object, indent, output) {
+        const pad = ' '.repeat(indent);
+        Object.keys(object).forEach((key) => {
+            const value = object[key];
+            const label = `${pad}${yamlScalar(key)}:`;
+
+            if (Array.isArray(value)) {
+                if (value.every(item => item === null)) {
+                    output.push(`${label} [${value.map(() => 'null').join(', ')}]`);
+                    return;
+                }
+                output.push(label);
+                value.forEach((item) => {
+                    if (item !== null && typeof item === 'object') {
+                        // - name: ge-0/0/0 with the rest of the entry under the name
+                        const entry = [];
+                        yamlLines(item, indent + 4, entry);
+                        output.push(`${pad}  - ${entry[0].slice(indent + 4)}`, ...entry.slice(1));
+                    } else {
+                        output.push(`${pad}  - ${yamlScalar(item)}`);
+                    }
+                });
+            } else if (value !== null && typeof value === 'object') {
+                if (Object.keys(value).length === 0) {
+                    output.push(`${label} {}`);
+                    return;
+                }
+                output.push(label);
+                yamlLines(value, indent + 2, output);
+            } else {
+                output.push(`${label} ${yamlScalar(value)}`);
+            }
+        });
+    }
+
+    /**
+     * Print a tree as YAML with the structure of JUNOS JSON, as used by Ansible
+     * @param {Object} tree
+     * @returns {string}
+     */
+    function toYaml(tree) {
+        const output = ['---'];
+        yamlLines({ configuration: elementsToJson(toElements(tree), null) }, 0, output);
+        return output.join('\n');
+    }
+
+    // Text of a YAML line without its # comment
+    function stripYamlComment(text) {
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const character = text[i];
+            if (quote) {
+                if (character === '\\' && quote === '"') i++;
+                else if (character === quote) quote = null;
+            } else if ((character === '"' || character === "'") && (i === 0 || /[\s:[{,-]/.test(text[i - 1]))) {
+                quote = character;
+            } else if (character === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                return text.slice(0, i).trimEnd();
+            }
+        }
+        return text.trimEnd();
+    }
+
+    function yamlQuoted(text, line) {
+        if (text[0] === "'") return text.slice(1, -1).replace(/''/g, "'");
+        try {
+            return JSON.parse(text.replace(/\\x([0-9a-fA-F]{2})/g, '\\u00$1').replace(/\t/g, '\\t'));
+        } catch (error) {
+            throw new JunosConfigError(`Invalid quoted string ${text}`, 'INVALID_CONFIG', 'config', line);
+        }
+    }
+
+    function yamlPlain(text) {
+        if (/^(null|~)?$/i.test(text)) return null;
+        if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+        return text;
+    }
+
+    // Flow collections and scalars on one line: [null], [a, "b c"], { inactive: true }
+    function readYamlFlow(text, line) {
+        let index = 0;
+        const fail = () => {
+            throw new JunosConfigError(`Cannot read "${text}"`, 'INVALID_CONFIG', 'config', line);
+        };
+        const space = () => {
+            while (index < text.length && /\s/.test(text[index])) index++;
+        };
+        const value = (terminators) => {
+            space();
+            const character = text[index];
+            if (character === '[' || character === '{') {
+                const close = character === '[' ? ']' : '}';
+                const result = character === '[' ? [] : {};
+                index++;
+                space();
+                while (text[index] !== close) {
+                    if (index >= text.length) fail();
+                    if (close === ']') {
+                        result.push(value(',]'));
+                    } else {
+                        const key = value(':,}');
+                        if (text[index] !== ':') fail();
+                        index++;
+                        result[key === null ? 'null' : String(key)] = value(',}');
+                    }
+                    space();
+                    if (text[index] === ',') index++;
+                    else if (text[index] !== close) fail();
+                    space();
+                }
+                index++;
+                return result;
+            }
+            if (character === '"' || character === "'") {
+                const start = index;
+                index++;
+                while (index < text.length && text[index] !== character) {
+                    if (text[index] === '\\' && character === '"') index++;
+                    else if (text[index] === "'" && text[index + 1] === "'" && character === "'") index++;
+                    index++;
+                }
+                if (index >= text.length) fail();
+                index++;
+                return yamlQuoted(text.slice(start, index), line);
+            }
+            const start = index;
+            while (index < text.length && !terminators.includes(text[index])) index++;
+            return yamlPlain(text.slice(start, index).trim());
+        };
+
+        const result = value('');
+        space();
+        if (index < text.length) fail();
+        return result;
+    }
+
+    /**
+     * Read the block YAML the toolkit and Ansible write: mappings,
+     * sequences, quoted and plain scalars, flow collections on one line and
+     * | or > block scalars. No anchors, tags or multi-line plain scalars.
+     * @param {string} text
+     * @returns {Object} { value, lines } - lines maps each object and array to the line of each key or item
+     * @throws {JunosConfigError} INVALID_CONFIG naming the line
+     */
+    function readYaml(text) {
+        const rows = text.split('\n').map((raw, index) => {
+            const source = raw.replace(/\r$/, '');
+            const indent = source.length - source.replace(/^ */, '').length;
+            if (source[indent] === '\t') {
+                throw new JunosConfigError('Tabs are not allowed for YAML indentation', 'INVALID_CONFIG', 'config', index + 1);
+            }
+            return { raw: source, indent, text: stripYamlComment(source.slice(indent)), line: index + 1 };
+        });
+        const lines = new WeakMap();
+        let index = 0;
+
+        const KEY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#-][^]*?|-[^\s][^]*?)\s*:(?:\s+(.*))?$/;
+        const isItem = row => /^-(\s|$)/.test(row.text);
+        const next = () => {
+            while (index < rows.length && (rows[index].text === '' || /^(---|\.\.\.|%)/.test(rows[index].text))) index++;
+            return index < rows.length ? rows[index] : null;
+        };
+        const unexpected = (row) => {
+            throw new JunosConfigError('Unexpected indentation', 'INVALID_CONFIG', 'config', row.line);
+        };
+
+        const blockScalar = (header, indent) => {
+            const body = [];
+            while (index < rows.length && (rows[index].raw.trim() === '' || rows[index].indent > indent)) {
+                body.push(rows[index].raw);
+                index++;
+            }
+            while (body.length > 0 && body[body.length - 1].trim() === '') body.pop();
+            const first = body.find(raw => raw.trim() !== '');
+            const margin = first ? first.length - first.trimStart().length : 0;
+            const content = body.map(raw => raw.slice(margin));
+            const value = header[0] === '|' ? content.join('\n') : content.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ');
+            return header.includes('+') ? `${value}\n` : value;
+        };
+
+        let block;
+
+        const sequence = (indent) => {
+            const result = [];
+            const itemLines = [];
+            let row;
+            while ((row = next()) && row.indent === indent && isItem(row)) {
+                itemLines.push(row.line);
+                const rest = row.text.replace(/^-\s*/, '');
+                if (rest === '') {
+                    index++;
+                    const child = next();
+                    result.push(child && child.indent > indent ? block(child.indent) : null);
+                    continue;
+                }
+                // - name: x is a mapping starting where name does
+                row.indent = indent + (row.text.length - rest.length);
+                row.text = rest;
+                result.push(block(row.indent));
+            }
+            lines.set(result, itemLines);
+            return result;
+        };
+
+        const mapping = (indent) => {
+            const result = {};
+            const keyLines = {};
+            let row;
+            while ((row = next()) && row.indent === indent && !isItem(row)) {
+                const match = KEY.exec(row.text);
+                if (!match) throw new JunosConfigError('Expected "key: value"', 'INVALID_CONFIG', 'config', row.line);
+                const key = /^["']/.test(match[1]) ? yamlQuoted(match[1], row.line) : match[1];
+                const rest = match[2] === undefined ? '' : match[2].trim();
+                if (Object.prototype.hasOwnProperty.call(result, key)) {
+                    throw new JunosConfigError(`Duplicate key "${key}"`, 'INVALID_CONFIG', 'config', row.line);
+                }
+                index++;
+
+                let value = null;
+                if (/^[|>][-+0-9]*$/.test(rest)) {
+                    value = blockScalar(rest, indent);
+                } else if (rest !== '') {
+                    value = readYamlFlow(rest, row.line);
+                } else {
+                    const child = next();
+                    if (child && child.indent > indent) value = block(child.indent);
+                    else if (child && child.indent === indent && isItem(child)) value = sequence(indent);
+                }
+                result[key] = value;
+                keyLines[key] = row.line;
+            }
+            lines.set(result, keyLines);
+            return result;
+        };
+
+        block = (indent) => {
+            const row = next();
+            if (isItem(row)) return sequence(indent);
+            if (KEY.test(row.text)) return mapping(indent);
+            index++;
+            return readYamlFlow(row.text, row.line);
+        };
+
+        const first = next();
+        const value = first ? block(first.indent) : null;
+        const rest = next();
+        if (rest) unexpected(rest);
+        return { value, lines };
+    }
+
+    /**
+     * Parse YAML with the structure of JUNOS JSON
+     * @param {string} text
+     * @returns {Object} Tree
+     * @throws {JunosConfigError} INVALID_CONFIG
+     */
+    function parseYaml(text) {
+        const { value, lines } = readYaml(text);
+        return jsonTree(value, lines);
+    }
+
+    // Formats
+
+    /**
+     * Guess the format of a configuration
+     * @param {string} text
+     * @returns {string|null} set, hierarchical, xml, json, yaml or null when empty
+     */
+    function detectFormat(text) {
+        const trimmed = text.replace(/^(\s*#[^\n]*\n)*/, '').trim();
+        if (trimmed === '') return null;
+        if (trimmed.startsWith('<')) return 'xml';
+        // A quoted key after the brace, so a pasted {master:0} prompt stays hierarchical
+        if (/^\{\s*["}]/.test(trimmed)) return 'json';
+        if (/^(---|%YAML)/.test(trimmed) || /^["']?configuration["']?\s*:/.test(trimmed)) return 'yaml';
+        if (/^(set|delete|deactivate|activate|protect|unprotect|annotate|edit)\s/m.test(trimmed) && !/[{}]\s*$/m.test(trimmed)) {
+            return 'set';
+        }
+        return 'hierarchical';
+    }
+
+    function checkFormat(format, field) {
+        if (!FORMATS.includes(format)) {
+            throw new JunosConfigError(`Format must be one of ${FORMATS.join(', ')}`, 'INVALID_FORMAT', field);
+        }
+    }
+
+    /**
+     * Parse a configuration in any format
+     * @param {string} text
+     * @param {string} [format='auto'] - set, hierarchical, xml, json, yaml or auto
+     * @returns {Object} Tree
+     */
+    function parse(text, format = 'auto') {
+        const source = format === 'auto' ? detectFormat(String(text || '')) : format;
+        if (source === null) throw new JunosConfigError('Configuration is empty', 'MISSING_CONFIG', 'config');
+        checkFormat(source, 'from');
+
+        if (source === 'set') return parseSet(text);
+        if (source === 'xml') return parseXml(text);
+        if (source === 'json') return parseJson(text);
+        if (source === 'yaml') return parseYaml(text);
+        return parseHierarchical(text);
+    }
+
+    /**
+     * Print a tree in a format
+     * @param {Object} tree
+     * @param {string} format - set, hierarchical, xml, json or yaml
+     * @returns {string}
+     */
+    function format(tree, target) {
+        checkFormat(target, 'to');
+        if (target === 'set') return toSet(tree);
+        if (target === 'xml') return toXml(tree);
+        if (target === 'json') return toJson(tree);
+        if (target === 'yaml') return toYaml(tree);
+        return toHierarchical(tree);
+    }
+
+    /**
+     * Convert a configuration between formats
+     * @param {string} text
+     * @param {string} from - set, hierarchical, xml, json, yaml or auto
+     * @param {string} to - set, hierarchical, xml, json or yaml
+     * @returns {string}
+     */
+    function convert(text, from, to) {
+        checkFormat(to, 'to');
+        return format(parse(text, from), to);
+    }
+
+    return {
+        JunosConfigError,
+        FORMATS,
+        KIND,
+        SINGLE_VALUES,
+        createTree,
+        findNode,
+        formatWord,
+        kindOf,
+        statements,
+        formatStatements,
+        tokenize,
+        parseSet,
+        parseHierarchical,
+        parseXml,
+        parseJson,
+        parseYaml,
+        toSet,
+        toHierarchical,
+        toXml,
+        toJson,
+        toYaml,
+        toElements,
+        detectFormat,
+        parse,
+        format,
+        convert
+    };
+}));
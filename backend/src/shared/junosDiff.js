@@ -0,0 +1,438 @@
+/**
+ * JUNOS Configuration Diff
+ * Network Engineers Toolkit - shared between the backend API and the browser
+ *
+ * Compares two JUNOS configurations (any format shared/junosConfig.js
+ * reads) statement by statement rather than line by line. The two trees
+ * are merged into one, each node marked as in both, only in the old
+ * configuration or only in the new one, and the merged tree is printed:
+ *   compare    show | compare style, [edit ...] headers with + and - lines
+ *              and ! for statements that were only deactivated, protected
+ *              or moved; this is also the patch that load patch applies
+ *   commands   the fewest set, delete, insert, activate/deactivate,
+ *              protect/unprotect and annotate commands that turn the old
+ *              configuration into the new one
+ * Statements are matched by name, so order only counts where JUNOS
+ * evaluates it: policy and filter terms, security and NAT rules, and
+ * import/export policy chains. Served to the frontend at
+ * /api/shared/junosDiff.js as window.JunosDiff; load junosConfig.js first.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./junosConfig'));
+    } else {
+        root.JunosDiff = factory(root.JunosConfig);
+    }
+}(typeof self !== 'undefined' ? self : this, function (JunosConfig) {
+    'use strict';
+
+    const { formatWord, SINGLE_VALUES } = JunosConfig;
+
+    const STATUS = {
+        SAME: 'same',
+        ADDED: 'added',
+        REMOVED: 'removed'
+    };
+
+    // Named statements whose entries JUNOS evaluates in order: term a, term b
+    const ORDERED_ENTRIES = new Set(['term', 'policy', 'rule']);
+
+    // Value lists JUNOS evaluates in order: import [ first second ]
+    const ORDERED_VALUES = new Set([
+        'import', 'export', 'vrf-import', 'vrf-export', 'apply-groups', 'apply-groups-except'
+    ]);
+
+    // Merged tree
+
+    // Children that are part of the configuration; delete commands in set input leave deleted nodes behind
+    function present(node) {
+        return node ? node.children.filter(child => child.operation !== 'delete') : [];
+    }
+
+    function mergedNode(oldNode, newNode) {
+        const source = newNode || oldNode;
+        let status = STATUS.SAME;
+        if (!oldNode) status = STATUS.ADDED;
+        else if (!newNode) status = STATUS.REMOVED;
+
+        return {
+            word: source.word,
+            quoted: source.quoted,
+            line: source.line,
+            children: [],
+            list: Boolean((oldNode && oldNode.list) || (newNode && newNode.list)),
+            inactive: source.inactive,
+            protect: source.protect,
+            operation: null,
+            annotation: source.annotation,
+            status,
+            old: oldNode,
+            new: newNode,
+            move: null
+        };
+    }
+
+    // Longest common subsequence of two word lists, as a set of the words in it
+    function commonOrder(first, second) {
+        const lengths = first.map(() => new Array(second.length + 1).fill(0));
+        lengths.push(new Array(second.length + 1).fill(0));
+        for (let i = first.length - 1; i >= 0; i--) {
+            for (let j = second.length - 1; j >= 0; j--) {
+                lengths[i][j] = first[i] === second[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const common = new Set();
+        let i = 0;
+        let j = 0;
+        while (i < first.length && j < second.length) {
+            if (first[i] === second[j]) {
+                common.add(first[i]);
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+        return common;
+    }
+
+    /**
+     * Where ordered entries have to be inserted so the old order becomes the
+     * new one: entries outside the longest common order are placed, in the
+     * new order, right after the entry before them
+     * @param {Array<string>} oldOrder
+     * @param {Array<string>} newOrder
+     * @returns {Map<string, Object>} Word to { after } or { before }
+     */
+    function orderMoves(oldOrder, newOrder) {
+        const kept = oldOrder.filter(word => newOrder.includes(word));
+        const stable = commonOrder(kept, newOrder.filter(word => oldOrder.includes(word)));
+        // Statements set for the first time go to the end
+        const current = kept.concat(newOrder.filter(word => !oldOrder.includes(word)));
+        const moves = new Map();
+
+        newOrder.forEach((word, index) => {
+            if (stable.has(word)) return;
+            const position = current.indexOf(word);
+            const previous = index > 0 ? newOrder[index - 1] : null;
+            if (previous === null ? position === 0 : current[position - 1] === previous) return;
+
+            current.splice(position, 1);
+            if (previous === null) {
+                moves.set(word, { before: current[0] });
+                current.unshift(word);
+            } else {
+                moves.set(word, { after: previous });
+                current.splice(current.indexOf(previous) + 1, 0, word);
+            }
+        });
+        return moves;
+    }
+
+    /**
+     * Merge two trees: children in the new order, with removed ones after
+     * the statement they followed
+     * @param {Object|null} oldNode
+     * @param {Object|null} newNode
+     * @returns {Object} Merged node
+     */
+    function merge(oldNode, newNode) {
+        const node = mergedNode(oldNode, newNode);
+        const oldChildren = present(oldNode);
+        const newChildren = present(newNode);
+        const oldByWord = new Map(oldChildren.map(child => [child.word, child]));
+
+        const merged = newChildren.map(child => merge(oldByWord.get(child.word) || null, child));
+        let position = 0;
+        oldChildren.forEach((child) => {
+            const index = merged.findIndex(candidate => candidate.word === child.word);
+            if (index >= 0) {
+                position = index + 1;
+                return;
+            }
+            merged.splice(position, 0, merge(child, null));
+            position++;
+        });
+        node.children = merged;
+
+        if (oldNode && newNode && ORDERED_ENTRIES.has(node.word)) {
+            const moves = orderMoves(oldChildren.map(child => child.word), newChildren.map(child => child.word));
+            merged.forEach((child) => {
+                if (moves.has(child.word)) child.move = moves.get(child.word);
+            });
+        }
+        return node;
+    }
+
+    // Printing
+
+    function words(nodes) {
+        return nodes.map(node => formatWord(node.word, node.quoted));
+    }
+
+    function marksOf(nodes, side) {
+        const marks = { inactive: false, protect: false };
+        nodes.forEach((node) => {
+            const version = node[side];
+            if (!version) return;
+            marks.inactive = marks.inactive || version.inactive;
+            marks.protect = marks.protect || version.protect;
+        });
+        return marks;
+    }
+
+    // One line standing for a statement: unit 0 { ... } or description text;
+    function summaryLine(stmt, values) {
+        const text = words(stmt.nodes).join(' ');
+        if (values) return `${text}${values.length === 1 && !stmt.nodes[stmt.nodes.length - 1].list ? ` ${values[0]}` : ` [ ${values.join(' ')} ]`};`;
+        return stmt.children ? `${text} { ... }` : `${text};`;
+    }
+
+    function prefixed(mark, lines) {
+        return lines.map(line => mark + line.slice(1));
+    }
+
+    function valueWords(node) {
+        return present(node).map(child => formatWord(child.word, child.quoted));
+    }
+
+    function createState() {
+        return {
+            compare: [],
+            header: null,
+            deletes: [],
+            sets: [],
+            inserts: [],
+            marks: [],
+            annotations: [],
+            changes: []
+        };
+    }
+
+    function showHeader(state, context) {
+        const header = context.length > 0 ? `[edit ${context.join(' ')}]` : '[edit]';
+        if (state.header !== header) state.compare.push(header);
+        state.header = header;
+    }
+
+    function record(state, type, path, stmt) {
+        const target = stmt.target;
+        state.changes.push({
+            type,
+            statement: path.join(' '),
+            oldLine: target.old ? target.old.line : null,
+            newLine: target.new ? target.new.line : null
+        });
+    }
+
+    function annotate(state, prefix, statementWords, text) {
+        state.annotations.push({ level: prefix, words: statementWords, text });
+    }
+
+    // set commands for a statement that is only in the new configuration, with its marks and annotations
+    function addCommands(stmt, prefix, state) {
+        const statementWords = words(stmt.nodes);
+        const path = prefix.concat(statementWords);
+        const targetAt = prefix.length + stmt.nodes.indexOf(stmt.target);
+        const targetPath = path.slice(0, targetAt + 1);
+
+        if (stmt.values) {
+            state.sets.push(`set ${path.join(' ')} [ ${words(stmt.values).join(' ')} ]`);
+        } else if (stmt.children) {
+            stmt.children.forEach(child => addCommands(child, path, state));
+        } else {
+            state.sets.push(`set ${path.join(' ')}`);
+        }
+
+        // Marks on words shared with the old configuration were there before
+        const added = stmt.nodes.filter(node => node.status === STATUS.ADDED);
+        if (added.some(node => node.inactive)) state.marks.push(`deactivate ${targetPath.join(' ')}`);
+        if (added.some(node => node.protect)) state.marks.push(`protect ${targetPath.join(' ')}`);
+        if (stmt.target.status === STATUS.ADDED && stmt.target.annotation !== null) {
+            annotate(state, prefix, targetPath.slice(prefix.length), stmt.target.annotation);
+        }
+    }
+
+    // insert term b after term a: set puts new entries last and leaves existing ones where they are
+    function insertCommand(stmt, prefix, state) {
+        const target = stmt.target;
+        const targetAt = stmt.nodes.indexOf(target);
+        const keyword = formatWord(stmt.nodes[targetAt - 1].word);
+        const entryPath = prefix.concat(words(stmt.nodes.slice(0, targetAt + 1)));
+        const [position, other] = target.move.after !== undefined ? ['after', target.move.after] : ['before', target.move.before];
+        state.inserts.push(`insert ${entryPath.join(' ')} ${position} ${keyword} ${formatWord(other)}`);
+    }
+
+    function compareAddedOrRemoved(stmt, changedAt, prefix, context, state) {
+        const node = stmt.nodes[changedAt];
+        const statementWords = words(stmt.nodes);
+        const path = prefix.concat(statementWords.slice(0, changedAt + 1));
+        showHeader(state, context);
+        state.compare.push(...prefixed(node.status === STATUS.ADDED ? '+' : '-', JunosConfig.formatStatements([stmt], 1)));
+
+        // A new value for host-name or description replaces the old one without a delete
+        const keyword = changedAt > 0 ? stmt.nodes[changedAt - 1] : null;
+        const single = keyword && node.children.length === 0 && SINGLE_VALUES.has(keyword.word) && !keyword.list;
+        const replaced = single && keyword.children.some(child => child.status === STATUS.ADDED);
+
+        if (node.status === STATUS.ADDED) {
+            record(state, replaced ? 'changed' : 'added', prefix.concat(statementWords), stmt);
+            addCommands(stmt, prefix, state);
+            if (node === stmt.target && node.move) insertCommand(stmt, prefix, state);
+        } else if (!replaced) {
+            record(state, 'removed', prefix.concat(statementWords), stmt);
+            state.deletes.push(`delete ${(single ? path.slice(0, -1) : path).join(' ')}`);
+        }
+    }
+
+    function compareValues(stmt, prefix, context, state) {
+        const node = stmt.nodes[stmt.nodes.length - 1];
+        const oldValues = valueWords(node.old);
+        const newValues = valueWords(node.new);
+        const ordered = ORDERED_VALUES.has(node.word);
+        const same = ordered
+            ? oldValues.join(' ') === newValues.join(' ')
+            : oldValues.length === newValues.length && oldValues.every(value => newValues.includes(value));
+        if (same) return;
+
+        const path = prefix.concat(words(stmt.nodes));
+        showHeader(state, context);
+        if (oldValues.length > 0) state.compare.push(`-   ${summaryLine(stmt, oldValues)}`);
+        if (newValues.length > 0) state.compare.push(`+   ${summaryLine(stmt, newValues)}`);
+        record(state, 'changed', path, stmt);
+
+        if (ordered) {
+            state.deletes.push(`delete ${path.join(' ')}`);
+            state.sets.push(`set ${path.join(' ')} [ ${newValues.join(' ')} ]`);
+            return;
+        }
+        oldValues.filter(value => !newValues.includes(value)).forEach(value => state.deletes.push(`delete ${path.join(' ')} ${value}`));
+        const added = newValues.filter(value => !oldValues.includes(value));
+        if (added.length > 0) state.sets.push(`set ${path.join(' ')} [ ${added.join(' ')} ]`);
+    }
+
+    // Tags, annotations and order of a statement in both configurations
+    function compareMarks(stmt, prefix, context, state) {
+        const target = stmt.target;
+        const statementWords = words(stmt.nodes);
+        const targetAt = stmt.nodes.indexOf(target);
+        const targetPath = prefix.concat(statementWords.slice(0, targetAt + 1));
+        const values = stmt.values ? valueWords(target.new) : null;
+        const line = summaryLine(stmt, values);
+        const before = marksOf(stmt.nodes, 'old');
+        const after = marksOf(stmt.nodes, 'new');
+
+        if (before.inactive !== after.inactive) {
+            showHeader(state, context);
+            state.compare.push(`!   ${after.inactive ? 'inactive' : 'active'}: ${line}`);
+            state.marks.push(`${after.inactive ? 'deactivate' : 'activate'} ${targetPath.join(' ')}`);
+            record(state, 'changed', targetPath, stmt);
+        }
+        if (before.protect !== after.protect) {
+            showHeader(state, context);
+            state.compare.push(`!   ${after.protect ? 'protect' : 'unprotect'}: ${line}`);
+            state.marks.push(`${after.protect ? 'protect' : 'unprotect'} ${targetPath.join(' ')}`);
+            record(state, 'changed', targetPath, stmt);
+        }
+        if (target.old.annotation !== target.new.annotation) {
+            showHeader(state, context);
+            if (target.old.annotation !== null) state.compare.push(`-   /* ${target.old.annotation.split('\n').join(' ')} */`);
+            if (target.new.annotation !== null) state.compare.push(`+   /* ${target.new.annotation.split('\n').join(' ')} */`);
+            state.compare.push(`    ${line}`);
+            annotate(state, prefix, targetPath.slice(prefix.length), target.new.annotation || '');
+            record(state, 'changed', targetPath, stmt);
+        }
+        if (target.move) {
+            showHeader(state, context);
+            state.compare.push(`!   ${line}`);
+            insertCommand(stmt, prefix, state);
+            record(state, 'moved', targetPath, stmt);
+        }
+    }
+
+    function compareStatements(stmts, prefix, state) {
+        stmts.forEach((stmt) => {
+            const changedAt = stmt.nodes.findIndex(node => node.status !== STATUS.SAME);
+            if (changedAt >= 0) {
+                compareAddedOrRemoved(stmt, changedAt, prefix, prefix, state);
+                return;
+            }
+
+            compareMarks(stmt, prefix, prefix, state);
+            if (stmt.values) {
+                compareValues(stmt, prefix, prefix, state);
+            } else if (stmt.children) {
+                compareStatements(stmt.children, prefix.concat(words(stmt.nodes)), state);
+            } else if (stmt.nodes[stmt.nodes.length - 1].list) {
+                // An emptied or new empty list
+                compareValues(stmt, prefix, prefix, state);
+            }
+        });
+    }
+
+    function annotationCommands(annotations) {
+        const output = [];
+        annotations.forEach((annotation) => {
+            const comment = formatWord(annotation.text, true);
+            if (annotation.level.length > 0) {
+                output.push(`edit ${annotation.level.join(' ')}`, `annotate ${annotation.words.join(' ')} ${comment}`, 'top');
+            } else {
+                output.push(`annotate ${annotation.words.join(' ')} ${comment}`);
+            }
+        });
+        return output;
+    }
+
+    function readConfig(config, format, field) {
+        if (typeof config === 'object' && config !== null) return config;
+        try {
+            return JunosConfig.parse(config, format);
+        } catch (error) {
+            if (error instanceof JunosConfig.JunosConfigError) error.field = field;
+            throw error;
+        }
+    }
+
+    /**
+     * Compare two configurations
+     * @param {string|Object} before - Old configuration text or tree
+     * @param {string|Object} after - New configuration text or tree
+     * @param {Object} [options]
+     * @param {string} [options.from='auto'] - Format of the text: set, hierarchical, xml, json, yaml or auto
+     * @returns {Object} { compare, commands, changes: [{ type, statement, oldLine, newLine }], summary }
+     *   compare and commands are text; type is added, removed, changed or moved
+     * @throws {JunosConfigError} With field before or after when a configuration cannot be parsed
+     */
+    function diff(before, after, options = {}) {
+        const format = options.from || 'auto';
+        const oldTree = readConfig(before, format, 'before');
+        const newTree = readConfig(after, format, 'after');
+
+        const state = createState();
+        compareStatements(JunosConfig.statements(merge(oldTree, newTree)), [], state);
+
+        const commands = state.deletes.concat(state.sets, state.inserts, state.marks, annotationCommands(state.annotations));
+        const summary = { added: 0, removed: 0, changed: 0, moved: 0 };
+        state.changes.forEach((change) => { summary[change.type]++; });
+
+        return {
+            compare: state.compare.join('\n'),
+            commands: commands.join('\n'),
+            changes: state.changes,
+            summary
+        };
+    }
+
+    return {
+        ORDERED_ENTRIES,
+        ORDERED_VALUES,
+        merge,
+        diff
+    };
+}));
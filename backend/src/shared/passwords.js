@@ -0,0 +1,164 @@
+/**
+ * Device Password Decoding
+ * Network Engineers Toolkit - shared between the backend API and the browser
+ *
+ * Reverses the reversible "encryption" vendors use in configurations:
+ * Cisco type 7 (XOR with a fixed key) and Juniper $9$ (obfuscation with a
+ * fixed alphabet). Loaded with require() by routes/tools.js and served to
+ * the frontend at /api/shared/passwords.js as window.PasswordDecoder.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PasswordDecoder = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Error raised for input that cannot be decoded
+     * @param {string} message - Human readable description
+     * @param {string} code - Machine readable error code
+     * @param {string} field - Name of the offending input field
+     */
+    class PasswordError extends Error {
+        constructor(message, code, field) {
+            super(message);
+            this.name = 'PasswordError';
+            this.code = code;
+            this.field = field;
+        }
+    }
+
+    const CISCO_TYPE7_KEY = 'dsfd;kfoA,.iyewrkldJKDHSUBsgvca69834ncxv9873254k;fg87';
+
+    const JUNIPER_ENCODING = [
+        [1, 4, 32],
+        [1, 16, 32],
+        [1, 8, 32],
+        [1, 64],
+        [1, 32],
+        [1, 4, 16, 128],
+        [1, 32, 64]
+    ];
+    const JUNIPER_KEYS = ['QzF3n6/9CAtpu0O', 'B1IREhcSyrleKvMW8LXx', '7N-dVbwsY2g4oaJZGUDj', 'iHkq.mPf5T'];
+    const JUNIPER_ALPHABET = JUNIPER_KEYS.join('');
+
+    // Number of extra characters after the first, keyed by the first character
+    const JUNIPER_EXTRA = {};
+    JUNIPER_KEYS.forEach((key, index) => {
+        key.split('').forEach((character) => {
+            JUNIPER_EXTRA[character] = 3 - index;
+        });
+    });
+
+    /**
+     * Decode a Cisco type 7 password, e.g. 0822455D0A16
+     * @param {string} encoded - Two decimal salt digits then hex pairs
+     * @returns {string} Plain text
+     */
+    function decodeCiscoType7(encoded) {
+        const text = String(encoded || '').trim().toUpperCase();
+        if (!/^\d{2}([0-9A-F]{2})+$/.test(text)) {
+            throw new PasswordError(
+                'A Cisco type 7 password is two decimal digits followed by pairs of hex digits',
+                'INVALID_TYPE7',
+                'password'
+            );
+        }
+
+        const salt = parseInt(text.substring(0, 2), 10);
+        if (salt > 15) {
+            throw new PasswordError('Cisco type 7 salt must be from 00 to 15', 'INVALID_TYPE7', 'password');
+        }
+
+        let decoded = '';
+        for (let i = 2; i < text.length; i += 2) {
+            const keyIndex = (i / 2 - 1 + salt) % CISCO_TYPE7_KEY.length;
+            decoded += String.fromCharCode(parseInt(text.substring(i, i + 2), 16) ^ CISCO_TYPE7_KEY.charCodeAt(keyIndex));
+        }
+        return decoded;
+    }
+
+    /**
+     * Decode a Juniper $9$ password
+     * Follows the netutils implementation of the Junos algorithm.
+     * @param {string} encoded - e.g. $9$dkVb2Zj.PTQ
+     * @returns {string} Plain text
+     */
+    function decodeJuniperType9(encoded) {
+        const text = String(encoded || '').trim();
+        const body = text.startsWith('$9$') ? text.slice(3) : null;
+        if (!body || body.split('').some(character => !JUNIPER_ALPHABET.includes(character))) {
+            throw new PasswordError('A Juniper $9$ password starts with $9$ followed by its alphabet', 'INVALID_TYPE9', 'password');
+        }
+
+        let previous = body.charAt(0);
+        let remaining = body.substring(JUNIPER_EXTRA[previous] + 1);
+        let decoded = '';
+
+        while (remaining.length > 0) {
+            const decode = JUNIPER_ENCODING[decoded.length % JUNIPER_ENCODING.length];
+            if (remaining.length < decode.length) {
+                throw new PasswordError('Juniper $9$ password is truncated', 'INVALID_TYPE9', 'password');
+            }
+
+            const nibble = remaining.substring(0, decode.length);
+            remaining = remaining.substring(decode.length);
+
+            let value = 0;
+            nibble.split('').forEach((character, index) => {
+                const gap = ((JUNIPER_ALPHABET.indexOf(character) - JUNIPER_ALPHABET.indexOf(previous)) % JUNIPER_ALPHABET.length
+                    + JUNIPER_ALPHABET.length) % JUNIPER_ALPHABET.length - 1;
+                value += gap * decode[index];
+                previous = character;
+            });
+            decoded += String.fromCharCode(value);
+        }
+        return decoded;
+    }
+
+    // Accepted names for each type, e.g. "7" from the terminal or "cisco-type7" from the page
+    const TYPES = {
+        'cisco-type7': decodeCiscoType7,
+        'juniper-type9': decodeJuniperType9
+    };
+    const TYPE_ALIASES = {
+        '7': 'cisco-type7',
+        'type7': 'cisco-type7',
+        '9': 'juniper-type9',
+        'type9': 'juniper-type9'
+    };
+
+    /**
+     * Decode a password of a given type, or guess the type from its form
+     * @param {string} password - Encoded password
+     * @param {string} [type] - cisco-type7, juniper-type9, 7 or 9
+     * @returns {Object} { type, decoded }
+     */
+    function decode(password, type) {
+        let name = type ? String(type).trim().toLowerCase() : '';
+        name = TYPE_ALIASES[name] || name;
+        if (!name) {
+            name = String(password || '').trim().startsWith('$9$') ? 'juniper-type9' : 'cisco-type7';
+        }
+        if (!TYPES[name]) {
+            throw new PasswordError(
+                `Type must be one of ${Object.keys(TYPES).concat(Object.keys(TYPE_ALIASES)).join(', ')}`,
+                'INVALID_TYPE',
+                'type'
+            );
+        }
+        return { type: name, decoded: TYPES[name](password) };
+    }
+
+    return {
+        PasswordError,
+        TYPES: Object.keys(TYPES),
+        decodeCiscoType7,
+        decodeJuniperType9,
+        decode
+    };
+}));
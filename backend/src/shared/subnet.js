@@ -0,0 +1,748 @@
+/**
+ * Subnet Calculation Engine
+ * Network Engineers Toolkit - shared between the backend API and the browser
+ *
+ * Loaded with require() by routes/tools.js and served to the frontend at
+ * /api/shared/subnet.js, where it registers itself as window.SubnetCalc.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SubnetCalc = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Error raised for invalid calculator input
+     * @param {string} message - Human readable description
+     * @param {string} code - Machine readable error code
+     * @param {string} field - Name of the offending input field
+     */
+    class SubnetError extends Error {
+        constructor(message, code, field) {
+            super(message);
+            this.name = 'SubnetError';
+            this.code = code;
+            this.field = field;
+        }
+    }
+
+    /**
+     * Parse a dotted-quad IPv4 address into an unsigned 32-bit integer
+     * @param {string} address - Address such as 192.168.1.1
+     * @param {string} field - Field name reported on error
+     * @returns {number} Address as an unsigned integer
+     */
+    function parseIPv4(address, field = 'ipAddress') {
+        const parts = String(address).trim().split('.');
+
+        if (parts.length !== 4) {
+            throw new SubnetError('Invalid IPv4 address format. Use xxx.xxx.xxx.xxx', 'INVALID_ADDRESS', field);
+        }
+
+        let value = 0;
+        for (const part of parts) {
+            if (!/^\d{1,3}$/.test(part) || Number(part) > 255) {
+                throw new SubnetError('Invalid IPv4 address. Octets must be between 0 and 255', 'INVALID_ADDRESS', field);
+            }
+            value = (value * 256) + Number(part);
+        }
+
+        return value >>> 0;
+    }
+
+    /**
+     * Format an unsigned 32-bit integer as a dotted-quad address
+     * @param {number} value - Address as an unsigned integer
+     * @returns {string} Dotted-quad address
+     */
+    function formatIPv4(value) {
+        return [24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.');
+    }
+
+    /**
+     * Format an unsigned 32-bit integer as dotted binary octets
+     * @param {number} value - Address as an unsigned integer
+     * @returns {string} Binary form such as 11000000.10101000.00000001.00000001
+     */
+    function toBinary(value) {
+        return [24, 16, 8, 0]
+            .map(shift => ((value >>> shift) & 255).toString(2).padStart(8, '0'))
+            .join('.');
+    }
+
+    /**
+     * Build the netmask for a prefix length
+     * @param {number} prefix - Prefix length 0-32
+     * @returns {number} Netmask as an unsigned integer
+     */
+    function prefixToMask(prefix) {
+        return prefix === 0 ? 0 : (0xFFFFFFFF << (32 - prefix)) >>> 0;
+    }
+
+    /**
+     * Parse a subnet mask given as /nn, nn or a dotted netmask
+     * @param {string|number} mask - Mask in any supported notation
+     * @returns {number} Prefix length 0-32
+     */
+    function parseMask(mask) {
+        const text = String(mask).trim();
+
+        if (/^\/?\d{1,2}$/.test(text)) {
+            const prefix = parseInt(text.replace('/', ''), 10);
+            if (prefix > 32) {
+                throw new SubnetError('Invalid CIDR notation. Prefix must be between 0 and 32', 'INVALID_PREFIX', 'subnetMask');
+            }
+            return prefix;
+        }
+
+        if (text.startsWith('/')) {
+            throw new SubnetError('Invalid CIDR notation. Prefix must be between 0 and 32', 'INVALID_PREFIX', 'subnetMask');
+        }
+
+        const value = parseIPv4(text, 'subnetMask');
+        const inverted = (~value) >>> 0;
+
+        // A valid netmask is a run of ones followed by a run of zeros,
+        // so its inverse plus one must be a power of two
+        if ((inverted & (inverted + 1)) !== 0) {
+            throw new SubnetError('Invalid subnet mask. Mask bits must be contiguous', 'INVALID_MASK', 'subnetMask');
+        }
+
+        return 32 - Math.log2(inverted + 1);
+    }
+
+    /**
+     * Determine the classful network class of an address
+     * @param {number} value - Address as an unsigned integer
+     * @returns {string} Network class label
+     */
+    function networkClass(value) {
+        const firstOctet = value >>> 24;
+
+        if (firstOctet < 128) return 'A';
+        if (firstOctet < 192) return 'B';
+        if (firstOctet < 224) return 'C';
+        if (firstOctet < 240) return 'D (Multicast)';
+        return 'E (Reserved)';
+    }
+
+    /**
+     * Calculate IPv4 subnet information
+     * @param {string} ipAddress - Address, optionally with a /nn suffix
+     * @param {string|number} [subnetMask] - Mask as /nn, nn or dotted netmask
+     * @returns {Object} Subnet details
+     */
+    function calculateIPv4(ipAddress, subnetMask) {
+        if (ipAddress === undefined || ipAddress === null || String(ipAddress).trim() === '') {
+            throw new SubnetError('IP address is required', 'MISSING_ADDRESS', 'ipAddress');
+        }
+
+        let addressText = String(ipAddress).trim();
+        let maskText = subnetMask;
+
+        if (addressText.includes('/')) {
+            const [address, prefix, extra] = addressText.split('/');
+            if (extra !== undefined) {
+                throw new SubnetError(`Invalid CIDR notation "${addressText}". Use one prefix, such as 192.168.1.0/24`, 'INVALID_PREFIX', 'ipAddress');
+            }
+            addressText = address;
+            if (maskText === undefined || maskText === null || String(maskText).trim() === '') {
+                maskText = prefix;
+            }
+        }
+
+        if (maskText === undefined || maskText === null || String(maskText).trim() === '') {
+            throw new SubnetError('Subnet mask or CIDR prefix is required', 'MISSING_MASK', 'subnetMask');
+        }
+
+        const address = parseIPv4(addressText);
+        const prefix = parseMask(maskText);
+        const mask = prefixToMask(prefix);
+        const wildcard = (~mask) >>> 0;
+        const network = (address & mask) >>> 0;
+        const broadcast = (network | wildcard) >>> 0;
+        const totalHosts = Math.pow(2, 32 - prefix);
+
+        // /31 point-to-point links (RFC 3021) and /32 host routes have no
+        // network or broadcast address to reserve
+        let usableHosts = totalHosts - 2;
+        let firstHost = network + 1;
+        let lastHost = broadcast - 1;
+        if (prefix >= 31) {
+            usableHosts = totalHosts;
+            firstHost = network;
+            lastHost = broadcast;
+        }
+
+        return {
+            version: 4,
+            ipAddress: formatIPv4(address),
+            networkAddress: formatIPv4(network),
+            broadcastAddress: formatIPv4(broadcast),
+            subnetMask: formatIPv4(mask),
+            wildcardMask: formatIPv4(wildcard),
+            prefixLength: prefix,
+            cidrNotation: `${formatIPv4(network)}/${prefix}`,
+            totalHosts,
+            usableHosts,
+            firstHost: formatIPv4(firstHost >>> 0),
+            lastHost: formatIPv4(lastHost >>> 0),
+            networkClass: networkClass(address),
+            binary: {
+                ipAddress: toBinary(address),
+                subnetMask: toBinary(mask),
+                wildcardMask: toBinary(wildcard),
+                networkAddress: toBinary(network),
+                broadcastAddress: toBinary(broadcast)
+            }
+        };
+    }
+
+    const IPV6_BITS = 128n;
+    const IPV6_ALL_ONES = (1n << IPV6_BITS) - 1n;
+
+    /**
+     * Parse an IPv6 address in compressed or expanded notation
+     * @param {string} address - Address such as 2001:db8::1 or ::ffff:192.0.2.1
+     * @param {string} field - Field name reported on error
+     * @returns {bigint} Address as a 128-bit integer
+     */
+    function parseIPv6(address, field = 'ipAddress') {
+        const text = String(address).trim().toLowerCase();
+        const invalid = () => new SubnetError('Invalid IPv6 address format', 'INVALID_ADDRESS', field);
+
+        if (!/^[0-9a-f:.]+$/.test(text) || text.split('::').length > 2) {
+            throw invalid();
+        }
+
+        // Only the end of the address may be a dotted quad, so the head before :: never is
+        const expandGroups = (part, dottedTail) => {
+            if (part === '') return [];
+            const groups = part.split(':');
+            const last = groups[groups.length - 1];
+
+            // Trailing dotted quad, e.g. ::ffff:192.0.2.1
+            if (dottedTail && last.includes('.')) {
+                const value = parseIPv4(last, field);
+                groups.splice(-1, 1, (value >>> 16).toString(16), (value & 0xFFFF).toString(16));
+            }
+
+            groups.forEach(group => {
+                if (!/^[0-9a-f]{1,4}$/.test(group)) throw invalid();
+            });
+            return groups;
+        };
+
+        let groups;
+        if (text.includes('::')) {
+            const [head, tail] = text.split('::');
+            const headGroups = expandGroups(head, false);
+            const tailGroups = expandGroups(tail, true);
+            const missing = 8 - headGroups.length - tailGroups.length;
+            if (missing < 1) throw invalid();
+            groups = [...headGroups, ...new Array(missing).fill('0'), ...tailGroups];
+        } else {
+            groups = expandGroups(text, true);
+            if (groups.length !== 8) throw invalid();
+        }
+
+        return groups.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n);
+    }
+
+    /**
+     * Split a 128-bit address into its eight 16-bit groups
+     * @param {bigint} value - Address as a 128-bit integer
+     * @returns {Array<number>} Groups, most significant first
+     */
+    function ipv6Groups(value) {
+        const groups = [];
+        for (let shift = 112n; shift >= 0n; shift -= 16n) {
+            groups.push(Number((value >> shift) & 0xFFFFn));
+        }
+        return groups;
+    }
+
+    /**
+     * Format a 128-bit integer as a compressed IPv6 address (RFC 5952)
+     * @param {bigint} value - Address as a 128-bit integer
+     * @returns {string} Compressed address
+     */
+    function formatIPv6(value) {
+        const groups = ipv6Groups(value);
+
+        // Find the longest run of two or more zero groups, first one wins ties
+        let bestStart = -1;
+        let bestLength = 1;
+        for (let i = 0; i < 8; i++) {
+            let length = 0;
+            while (i + length < 8 && groups[i + length] === 0) length++;
+            if (length > bestLength) {
+                bestStart = i;
+                bestLength = length;
+            }
+        }
+
+        const hex = groups.map(group => group.toString(16));
+        if (bestStart === -1) {
+            return hex.join(':');
+        }
+
+        const head = hex.slice(0, bestStart).join(':');
+        const tail = hex.slice(bestStart + bestLength).join(':');
+        return `${head}::${tail}`;
+    }
+
+    /**
+     * Format a 128-bit integer as a fully expanded IPv6 address
+     * @param {bigint} value - Address as a 128-bit integer
+     * @returns {string} Expanded address
+     */
+    function expandIPv6(value) {
+        return ipv6Groups(value).map(group => group.toString(16).padStart(4, '0')).join(':');
+    }
+
+    /**
+     * Parse an IPv6 prefix length given as /nn or nn
+     * @param {string|number} prefix - Prefix length 0-128
+     * @returns {number} Prefix length
+     */
+    function parseIPv6Prefix(prefix) {
+        const text = String(prefix).trim();
+
+        if (!/^\/?\d{1,3}$/.test(text) || parseInt(text.replace('/', ''), 10) > 128) {
+            throw new SubnetError('Invalid IPv6 prefix. Prefix must be between /0 and /128', 'INVALID_PREFIX', 'subnetMask');
+        }
+
+        return parseInt(text.replace('/', ''), 10);
+    }
+
+    /**
+     * Build the netmask for an IPv6 prefix length
+     * @param {number} prefix - Prefix length 0-128
+     * @returns {bigint} Netmask as a 128-bit integer
+     */
+    function ipv6PrefixToMask(prefix) {
+        return IPV6_ALL_ONES ^ ((1n << (IPV6_BITS - BigInt(prefix))) - 1n);
+    }
+
+    const IPV6_ADDRESS_TYPES = [
+        { prefix: '::', length: 128, type: 'Unspecified' },
+        { prefix: '::1', length: 128, type: 'Loopback' },
+        { prefix: '::ffff:0:0', length: 96, type: 'IPv4-mapped' },
+        { prefix: '64:ff9b::', length: 96, type: 'IPv4/IPv6 translation (NAT64)' },
+        { prefix: '2001:db8::', length: 32, type: 'Documentation' },
+        { prefix: '2002::', length: 16, type: '6to4' },
+        { prefix: 'fe80::', length: 10, type: 'Link-local unicast' },
+        { prefix: 'fc00::', length: 7, type: 'Unique local address (ULA)' },
+        { prefix: 'ff00::', length: 8, type: 'Multicast' },
+        { prefix: '2000::', length: 3, type: 'Global unicast' }
+    ];
+
+    /**
+     * Classify an IPv6 address by its well-known prefix
+     * @param {bigint} value - Address as a 128-bit integer
+     * @returns {string} Address type label
+     */
+    function ipv6AddressType(value) {
+        for (const entry of IPV6_ADDRESS_TYPES) {
+            const mask = ipv6PrefixToMask(entry.length);
+            if ((value & mask) === parseIPv6(entry.prefix)) {
+                return entry.type;
+            }
+        }
+        return 'Reserved';
+    }
+
+    /**
+     * List the ip6.arpa zones covering a prefix
+     * Prefixes that are not nibble aligned span several zones.
+     * @param {bigint} network - Network address as a 128-bit integer
+     * @param {number} prefix - Prefix length 0-128
+     * @returns {Array<string>} Reverse DNS zone names
+     */
+    function ipv6ReverseZones(network, prefix) {
+        const nibbles = Math.ceil(prefix / 4);
+        const spare = (nibbles * 4) - prefix;
+        const zones = [];
+
+        for (let i = 0n; i < (1n << BigInt(spare)); i++) {
+            const value = network | (i << (IPV6_BITS - BigInt(nibbles * 4)));
+            const digits = expandIPv6(value).replace(/:/g, '').slice(0, nibbles);
+            zones.push([...digits].reverse().concat('ip6.arpa').join('.'));
+        }
+
+        return zones;
+    }
+
+    /**
+     * Parse a MAC address in colon, hyphen, Cisco dotted or bare notation
+     * @param {string} mac - MAC address
+     * @returns {Array<number>} Six octets
+     */
+    function parseMac(mac) {
+        const hex = String(mac).trim().toLowerCase().replace(/[:.-]/g, '');
+
+        if (!/^[0-9a-f]{12}$/.test(hex)) {
+            throw new SubnetError('Invalid MAC address format', 'INVALID_MAC', 'macAddress');
+        }
+
+        return hex.match(/../g).map(octet => parseInt(octet, 16));
+    }
+
+    /**
+     * Derive a modified EUI-64 interface identifier and address from a MAC
+     * @param {bigint} network - Network address as a 128-bit integer
+     * @param {number} prefix - Prefix length, must be /64 or shorter
+     * @param {string} mac - MAC address
+     * @returns {Object} EUI-64 details
+     */
+    function eui64(network, prefix, mac) {
+        if (prefix > 64) {
+            throw new SubnetError('EUI-64 addressing requires a prefix of /64 or shorter', 'EUI64_PREFIX', 'macAddress');
+        }
+
+        const octets = parseMac(mac);
+
+        // Flip the universal/local bit and insert ff:fe in the middle
+        const interfaceOctets = [octets[0] ^ 0x02, octets[1], octets[2], 0xff, 0xfe, octets[3], octets[4], octets[5]];
+        const interfaceId = interfaceOctets.reduce((value, octet) => (value << 8n) | BigInt(octet), 0n);
+        const address = (network & ipv6PrefixToMask(64)) | interfaceId;
+
+        return {
+            macAddress: octets.map(octet => octet.toString(16).padStart(2, '0')).join(':'),
+            interfaceId: ipv6Groups(interfaceId).slice(4).map(group => group.toString(16)).join(':'),
+            address: formatIPv6(address)
+        };
+    }
+
+    /**
+     * Calculate IPv6 subnet information
+     * @param {string} ipAddress - Address, optionally with a /nn suffix
+     * @param {string|number} [prefixLength] - Prefix as /nn or nn
+     * @param {Object} [options] - Extra calculations
+     * @param {string} [options.macAddress] - MAC address for EUI-64 derivation
+     * @returns {Object} Subnet details; large counts are decimal strings
+     */
+    function calculateIPv6(ipAddress, prefixLength, options = {}) {
+        if (ipAddress === undefined || ipAddress === null || String(ipAddress).trim() === '') {
+            throw new SubnetError('IP address is required', 'MISSING_ADDRESS', 'ipAddress');
+        }
+
+        let addressText = String(ipAddress).trim();
+        let prefixText = prefixLength;
+
+        if (addressText.includes('/')) {
+            const [address, prefix, extra] = addressText.split('/');
+            if (extra !== undefined) {
+                throw new SubnetError(`Invalid CIDR notation "${addressText}". Use one prefix, such as 2001:db8::/32`, 'INVALID_PREFIX', 'ipAddress');
+            }
+            addressText = address;
+            if (prefixText === undefined || prefixText === null || String(prefixText).trim() === '') {
+                prefixText = prefix;
+            }
+        }
+
+        if (prefixText === undefined || prefixText === null || String(prefixText).trim() === '') {
+            throw new SubnetError('Prefix length is required', 'MISSING_MASK', 'subnetMask');
+        }
+
+        const address = parseIPv6(addressText);
+        const prefix = parseIPv6Prefix(prefixText);
+        const mask = ipv6PrefixToMask(prefix);
+        const network = address & mask;
+        const last = network | (IPV6_ALL_ONES ^ mask);
+
+        const result = {
+            version: 6,
+            ipAddress: formatIPv6(address),
+            expandedAddress: expandIPv6(address),
+            networkAddress: formatIPv6(network),
+            expandedNetwork: expandIPv6(network),
+            lastAddress: formatIPv6(last),
+            prefixLength: prefix,
+            cidrNotation: `${formatIPv6(network)}/${prefix}`,
+            totalAddresses: (1n << (IPV6_BITS - BigInt(prefix))).toString(),
+            subnets64: prefix <= 64 ? (1n << BigInt(64 - prefix)).toString() : '0',
+            addressType: ipv6AddressType(address),
+            reverseDnsZones: ipv6ReverseZones(network, prefix)
+        };
+
+        if (options.macAddress) {
+            result.eui64 = eui64(network, prefix, options.macAddress);
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse a prefix in CIDR notation for either address family
+     * A bare address is treated as a host route.
+     * @param {string} text - Prefix such as 10.0.0.0/8 or 2001:db8::/32
+     * @param {string} field - Field name reported on error
+     * @returns {Object} Version, prefix length, bit width and network as a bigint
+     */
+    function parseCidr(text, field) {
+        const [addressText, prefixText, extra] = String(text).trim().split('/');
+
+        if (extra !== undefined || (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText))) {
+            throw new SubnetError(`Invalid prefix "${text}"`, 'INVALID_PREFIX', field);
+        }
+
+        const version = addressText.includes(':') ? 6 : 4;
+        const bits = version === 6 ? 128 : 32;
+        const prefix = prefixText === undefined ? bits : parseInt(prefixText, 10);
+
+        if (prefix > bits) {
+            throw new SubnetError(`Invalid prefix "${text}". Prefix must be between 0 and ${bits}`, 'INVALID_PREFIX', field);
+        }
+
+        const address = version === 6 ? parseIPv6(addressText, field) : BigInt(parseIPv4(addressText, field));
+        const mask = ((1n << BigInt(bits)) - 1n) ^ ((1n << BigInt(bits - prefix)) - 1n);
+
+        return { version, bits, prefix, network: address & mask };
+    }
+
+    /**
+     * Format a bigint address for the given address family
+     * @param {number} version - 4 or 6
+     * @param {bigint} value - Address
+     * @returns {string} Formatted address
+     */
+    function formatAddress(version, value) {
+        return version === 6 ? formatIPv6(value) : formatIPv4(Number(value));
+    }
+
+    /**
+     * Split an inclusive address range into the fewest CIDR blocks
+     * @param {bigint} start - First address
+     * @param {bigint} end - Last address
+     * @param {number} bits - Address width, 32 or 128
+     * @returns {Array<Object>} Blocks as { network, prefix }
+     */
+    function rangeToCidrs(start, end, bits) {
+        const blocks = [];
+        let current = start;
+
+        while (current <= end) {
+            let hostBits = 0;
+            while (hostBits < bits) {
+                const size = 1n << BigInt(hostBits + 1);
+                if ((current & (size - 1n)) !== 0n || current + size - 1n > end) break;
+                hostBits++;
+            }
+
+            blocks.push({ network: current, prefix: bits - hostBits });
+            current += 1n << BigInt(hostBits);
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Find the longest IPv4 prefix whose usable host count meets a requirement
+     * One host gets a /32 host route. /31 is skipped: it is a point-to-point
+     * link (RFC 3021) rather than a LAN of two hosts, so two hosts get a /30
+     * like any other subnet that needs a network and broadcast address.
+     * @param {number} hosts - Required number of hosts
+     * @returns {number} Prefix length
+     */
+    function prefixForHosts(hosts) {
+        for (let prefix = 32; prefix >= 0; prefix--) {
+            if (prefix === 31) continue;
+            const size = Math.pow(2, 32 - prefix);
+            const usable = prefix >= 31 ? size : size - 2;
+            if (usable >= hosts) return prefix;
+        }
+
+        throw new SubnetError(`${hosts} hosts do not fit in any IPv4 subnet`, 'INVALID_REQUIREMENT', 'requirements');
+    }
+
+    /**
+     * Plan a VLSM layout by packing host requirements into a parent prefix
+     * @param {string} parentNetwork - Parent block such as 10.10.0.0/22
+     * @param {Array<Object>} requirements - Entries as { name, hosts }
+     * @returns {Object} Allocations, leftover free space and utilisation
+     */
+    function planVLSM(parentNetwork, requirements) {
+        if (parentNetwork === undefined || parentNetwork === null || String(parentNetwork).trim() === '') {
+            throw new SubnetError('Parent network is required', 'MISSING_ADDRESS', 'parentNetwork');
+        }
+
+        const parent = parseCidr(parentNetwork, 'parentNetwork');
+        if (parent.version !== 4) {
+            throw new SubnetError('VLSM planning supports IPv4 parent networks only', 'UNSUPPORTED_FAMILY', 'parentNetwork');
+        }
+
+        if (!Array.isArray(requirements) || requirements.length === 0) {
+            throw new SubnetError('At least one host requirement is required', 'MISSING_REQUIREMENTS', 'requirements');
+        }
+
+        const parsed = requirements.map((requirement, index) => {
+            const hosts = Number(requirement && requirement.hosts);
+            if (!Number.isInteger(hosts) || hosts < 1) {
+                throw new SubnetError(`Requirement ${index + 1} must ask for at least one host`, 'INVALID_REQUIREMENT', 'requirements');
+            }
+            return {
+                name: (requirement.name && String(requirement.name).trim()) || `Subnet ${index + 1}`,
+                hosts,
+                prefix: prefixForHosts(hosts),
+                index
+            };
+        });
+
+        // Allocating power-of-two blocks largest first from an aligned start
+        // keeps every block aligned and leaves no gaps between them
+        const ordered = [...parsed].sort((a, b) => a.prefix - b.prefix || a.index - b.index);
+        const parentStart = Number(parent.network);
+        const parentEnd = parentStart + Math.pow(2, 32 - parent.prefix) - 1;
+        let cursor = parentStart;
+
+        const allocations = ordered.map(requirement => {
+            const size = Math.pow(2, 32 - requirement.prefix);
+            if (requirement.prefix < parent.prefix || cursor + size - 1 > parentEnd) {
+                throw new SubnetError(
+                    `Not enough space in ${formatIPv4(parentStart)}/${parent.prefix} for "${requirement.name}" (${requirement.hosts} hosts)`,
+                    'INSUFFICIENT_SPACE',
+                    'requirements'
+                );
+            }
+
+            const info = calculateIPv4(formatIPv4(cursor), requirement.prefix);
+            cursor += size;
+
+            return {
+                name: requirement.name,
+                hostsRequested: requirement.hosts,
+                cidrNotation: info.cidrNotation,
+                networkAddress: info.networkAddress,
+                broadcastAddress: info.broadcastAddress,
+                subnetMask: info.subnetMask,
+                prefixLength: info.prefixLength,
+                firstHost: info.firstHost,
+                lastHost: info.lastHost,
+                usableHosts: info.usableHosts,
+                unusedHosts: info.usableHosts - requirement.hosts
+            };
+        });
+
+        const freeSpace = cursor <= parentEnd
+            ? rangeToCidrs(BigInt(cursor), BigInt(parentEnd), 32).map(block => `${formatIPv4(Number(block.network))}/${block.prefix}`)
+            : [];
+        const totalAddresses = parentEnd - parentStart + 1;
+        const allocatedAddresses = cursor - parentStart;
+
+        return {
+            parentNetwork: `${formatIPv4(parentStart)}/${parent.prefix}`,
+            allocations,
+            freeSpace,
+            totalAddresses,
+            allocatedAddresses,
+            freeAddresses: totalAddresses - allocatedAddresses,
+            utilisation: Math.round((allocatedAddresses / totalAddresses) * 10000) / 100
+        };
+    }
+
+    /**
+     * Summarise a list of prefixes into covering aggregates
+     * @param {Array<string>|string} prefixes - Prefixes as an array or a whitespace/comma separated list
+     * @returns {Object} Exact aggregates plus the single shortest covering supernet
+     */
+    function summarise(prefixes) {
+        const list = (Array.isArray(prefixes) ? prefixes : String(prefixes === undefined || prefixes === null ? '' : prefixes).split(/[\s,]+/))
+            .map(prefix => String(prefix).trim())
+            .filter(Boolean);
+
+        if (list.length === 0) {
+            throw new SubnetError('At least one prefix is required', 'MISSING_PREFIXES', 'prefixes');
+        }
+
+        const parsed = list.map(prefix => parseCidr(prefix, 'prefixes'));
+        const { version, bits } = parsed[0];
+
+        if (parsed.some(prefix => prefix.version !== version)) {
+            throw new SubnetError('IPv4 and IPv6 prefixes cannot be summarised together', 'MIXED_FAMILIES', 'prefixes');
+        }
+
+        // Merge overlapping and adjacent ranges before splitting into CIDRs
+        const ranges = parsed
+            .map(prefix => ({ start: prefix.network, end: prefix.network + (1n << BigInt(bits - prefix.prefix)) - 1n }))
+            .sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+        const merged = [];
+        for (const range of ranges) {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end + 1n) {
+                if (range.end > last.end) last.end = range.end;
+            } else {
+                merged.push({ ...range });
+            }
+        }
+
+        const aggregates = merged
+            .flatMap(range => rangeToCidrs(range.start, range.end, bits))
+            .map(block => `${formatAddress(version, block.network)}/${block.prefix}`);
+
+        const lowest = merged[0].start;
+        const highest = merged[merged.length - 1].end;
+        const supernetPrefix = bits - (lowest ^ highest).toString(2).replace(/^0$/, '').length;
+        const supernetMask = ((1n << BigInt(bits)) - 1n) ^ ((1n << BigInt(bits - supernetPrefix)) - 1n);
+        const covered = merged.reduce((total, range) => total + (range.end - range.start + 1n), 0n);
+
+        return {
+            version,
+            inputCount: list.length,
+            aggregates,
+            supernet: {
+                cidrNotation: `${formatAddress(version, lowest & supernetMask)}/${supernetPrefix}`,
+                prefixLength: supernetPrefix,
+                extraAddresses: ((1n << BigInt(bits - supernetPrefix)) - covered).toString()
+            }
+        };
+    }
+
+    /**
+     * Calculate subnet information for any supported address family
+     * @param {string} ipAddress - Address, optionally with a prefix suffix
+     * @param {string|number} [subnetMask] - Mask or prefix length
+     * @param {Object} [options] - Family specific options, see calculateIPv6
+     * @returns {Object} Subnet details
+     */
+    function calculate(ipAddress, subnetMask, options = {}) {
+        if (String(ipAddress === undefined || ipAddress === null ? '' : ipAddress).includes(':')) {
+            return calculateIPv6(ipAddress, subnetMask, options);
+        }
+        return calculateIPv4(ipAddress, subnetMask);
+    }
+
+    return {
+        SubnetError,
+        parseIPv4,
+        formatIPv4,
+        toBinary,
+        prefixToMask,
+        parseMask,
+        networkClass,
+        calculateIPv4,
+        parseIPv6,
+        formatIPv6,
+        expandIPv6,
+        parseIPv6Prefix,
+        ipv6PrefixToMask,
+        ipv6AddressType,
+        ipv6ReverseZones,
+        parseMac,
+        eui64,
+        calculateIPv6,
+        parseCidr,
+        formatAddress,
+        rangeToCidrs,
+        prefixForHosts,
+        planVLSM,
+        summarise,
+        calculate
+    };
+}));
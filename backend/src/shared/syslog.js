@@ -0,0 +1,431 @@
+/**
+ * Syslog Parsing
+ * Network Engineers Toolkit - shared between the backend API and the browser
+ *
+ * Turns raw syslog lines into flat entries with Elastic-style field names
+ * (the same names as the CSV exports the syslog page already reads):
+ * RFC 5424, RFC 3164 (BSD) as written by collectors, Cisco IOS/NX-OS
+ * %FAC-SEV-MNEMONIC messages and Junos messages, structured or not. Served
+ * to the frontend at /api/shared/syslog.js as window.SyslogParser.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SyslogParser = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Error raised for input that cannot be parsed at all
+     * @param {string} message - Human readable description
+     * @param {string} code - Machine readable error code
+     * @param {string} field - Name of the offending input field
+     */
+    class SyslogError extends Error {
+        constructor(message, code, field) {
+            super(message);
+            this.name = 'SyslogError';
+            this.code = code;
+            this.field = field;
+        }
+    }
+
+    // RFC 5424 6.2.1 facility and severity keywords
+    const FACILITIES = [
+        'kern', 'user', 'mail', 'daemon', 'auth', 'syslog', 'lpr', 'news',
+        'uucp', 'cron', 'authpriv', 'ftp', 'ntp', 'audit', 'alert', 'clock',
+        'local0', 'local1', 'local2', 'local3', 'local4', 'local5', 'local6', 'local7'
+    ];
+    const SEVERITIES = ['emergency', 'alert', 'critical', 'error', 'warning', 'notice', 'informational', 'debug'];
+
+    const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+    // Juniper's IANA enterprise number, carried in Junos structured-data IDs
+    const JUNIPER_ENTERPRISE = '2636';
+
+    // Fields the CSV exports of the syslog page use for the same values
+    const CSV_FIELDS = ['@timestamp', 'host.name', 'message'];
+
+    const PRI_PATTERN = /^<(\d{1,3})>/;
+    const RFC5424_PATTERN = /^([1-9]\d{0,2}) (\S+) (\S+) (\S+) (\S+) (\S+) ?/;
+    const ISO_TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)\s+/;
+    // "Mar  5 10:12:01", with the year before or after the day, fractions and a zone as Cisco adds them
+    const BSD_TIMESTAMP_PATTERN = /^[*.]?(?:(\d{4}) +)?([A-Z][a-z]{2}) +(\d{1,2})(?: +(\d{4}))? +(\d{1,2}):(\d{2}):(\d{2})(?:\.(\d{1,6}))?(?: +([A-Z]{2,5})(?=:))?:?\s+/;
+    const CISCO_PATTERN = /%([A-Z][A-Z0-9_]*(?:-[A-Z][A-Z0-9_]*)*)-([0-7])-([A-Z][A-Z0-9_]*)\s*:?\s*/;
+    const TAG_PATTERN = /^([^\s:[\]]+)(?:\[([^\]]*)\])?: ?/;
+    const JUNOS_TAG_PATTERN = /^([A-Z][A-Z0-9]*_[A-Z0-9_]+): ?/;
+
+    /**
+     * Split a PRI value into facility and severity (RFC 5424 6.2.1)
+     * @param {number|string} pri - PRI value, 0-191
+     * @returns {Object|null} { priority, facility, facilityName, severity, severityName }
+     */
+    function decodePriority(pri) {
+        const priority = Number(pri);
+        if (!Number.isInteger(priority) || priority < 0 || priority > 191) return null;
+
+        const facility = Math.floor(priority / 8);
+        const severity = priority % 8;
+        return {
+            priority,
+            facility,
+            facilityName: FACILITIES[facility],
+            severity,
+            severityName: SEVERITIES[severity]
+        };
+    }
+
+    function set(entry, field, value) {
+        if (value !== undefined && value !== null && value !== '') entry[field] = value;
+    }
+
+    function setSeverity(entry, severity) {
+        entry['log.syslog.severity.code'] = severity;
+        entry['log.syslog.severity.name'] = SEVERITIES[severity];
+    }
+
+    function setPriority(entry, pri) {
+        const decoded = decodePriority(pri);
+        if (!decoded) return;
+        entry['log.syslog.priority'] = decoded.priority;
+        entry['log.syslog.facility.code'] = decoded.facility;
+        entry['log.syslog.facility.name'] = decoded.facilityName;
+        setSeverity(entry, decoded.severity);
+    }
+
+    /**
+     * ISO timestamp of a BSD-style date, which usually has no year and at
+     * most a zone abbreviation; times are taken as UTC, and a missing year as
+     * the one that does not put the date in the future
+     */
+    function bsdTimestamp(match, now) {
+        const month = MONTHS.indexOf(match[2].toLowerCase());
+        if (month < 0) return null;
+
+        const fraction = match[8] ? Number(`0.${match[8]}`) * 1000 : 0;
+        const build = year => new Date(Date.UTC(year, month, Number(match[3]), Number(match[5]), Number(match[6]), Number(match[7]), fraction));
+
+        const explicitYear = match[1] || match[4];
+        let date = build(explicitYear ? Number(explicitYear) : now.getUTCFullYear());
+        if (!explicitYear && date.getTime() - now.getTime() > 86400000) {
+            date = build(now.getUTCFullYear() - 1);
+        }
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    function isoTimestamp(text) {
+        const date = new Date(text.replace(' ', 'T').replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * Read RFC 5424 STRUCTURED-DATA: "-" or one or more [id name="value" ...]
+     * @returns {Object|null} { data: { id: { name: value } }, rest } or null when malformed
+     */
+    function readStructuredData(text) {
+        if (text.startsWith('-')) return { data: null, rest: text.slice(1) };
+
+        const data = {};
+        let i = 0;
+        while (text[i] === '[') {
+            const idMatch = /^\[([^\s\]=]+)/.exec(text.slice(i));
+            if (!idMatch) return null;
+            const params = {};
+            data[idMatch[1]] = params;
+            i += idMatch[0].length;
+
+            while (text[i] === ' ') {
+                const nameMatch = /^ ([^\s\]="]+)="/.exec(text.slice(i));
+                if (!nameMatch) return null;
+                i += nameMatch[0].length;
+
+                // PARAM-VALUE escapes ", \ and ] with a backslash
+                let value = '';
+                while (i < text.length && text[i] !== '"') {
+                    if (text[i] === '\\' && '"\\]'.includes(text[i + 1])) i++;
+                    value += text[i++];
+                }
+                if (text[i] !== '"') return null;
+                i++;
+                params[nameMatch[1]] = value;
+            }
+            if (text[i] !== ']') return null;
+            i++;
+        }
+        return i === 0 ? null : { data, rest: text.slice(i) };
+    }
+
+    /**
+     * Parse an RFC 5424 line after its PRI
+     * Junos structured syslog is RFC 5424 with a junos@2636 SD-ID and the
+     * event tag as MSGID.
+     */
+    function parse5424(entry, text) {
+        const match = RFC5424_PATTERN.exec(text);
+        if (!match) return false;
+
+        const sd = readStructuredData(text.slice(match[0].length));
+        if (!sd) return false;
+
+        const nil = value => (value === '-' ? null : value);
+        const timestamp = nil(match[2]);
+        entry['log.syslog.version'] = Number(match[1]);
+        set(entry, '@timestamp', timestamp ? isoTimestamp(timestamp) : null);
+        set(entry, 'host.name', nil(match[3]));
+        set(entry, 'process.name', nil(match[4]));
+        set(entry, 'process.pid', nil(match[5]));
+        set(entry, 'log.syslog.msgid', nil(match[6]));
+        set(entry, 'log.syslog.structured_data', sd.data);
+        entry.message = sd.rest.replace(/^ /, '').replace(/^\uFEFF/, '');
+        entry['log.syslog.format'] = 'rfc5424';
+
+        const junos = sd.data && Object.keys(sd.data).find(id => id.split('@')[1] && id.split('@')[1].split('.')[0] === JUNIPER_ENTERPRISE);
+        if (junos) {
+            entry['log.syslog.format'] = 'junos';
+            entry['observer.vendor'] = 'Juniper';
+            set(entry, 'event.code', nil(match[6]));
+        }
+        return true;
+    }
+
+    /**
+     * Parse the Cisco part of a message: an optional sequence number, origin
+     * host name and device timestamp before %FACILITY-SEVERITY-MNEMONIC
+     */
+    function parseCisco(entry, content, now) {
+        const match = CISCO_PATTERN.exec(content);
+        if (!match) return false;
+
+        let prefix = content.slice(0, match.index).trim();
+        const sequence = /^(\d+):\s*/.exec(prefix);
+        if (sequence) {
+            entry['event.sequence'] = Number(sequence[1]);
+            prefix = prefix.slice(sequence[0].length);
+        }
+        const origin = /^([A-Za-z0-9][\w.-]*):\s*/.exec(prefix);
+        if (origin) {
+            if (!entry['host.name']) entry['host.name'] = origin[1];
+            prefix = prefix.slice(origin[0].length);
+        }
+        const deviceTime = BSD_TIMESTAMP_PATTERN.exec(`${prefix} `);
+        if (deviceTime && !entry['@timestamp']) {
+            set(entry, '@timestamp', bsdTimestamp(deviceTime, now));
+        }
+
+        entry['cisco.facility'] = match[1];
+        entry['cisco.mnemonic'] = match[3];
+        entry['event.code'] = `${match[1]}-${match[2]}-${match[3]}`;
+        entry['observer.vendor'] = 'Cisco';
+        entry['log.syslog.format'] = 'cisco';
+        entry.message = content.slice(match.index + match[0].length);
+        // The PRI, when present, already carries the same severity
+        if (entry['log.syslog.severity.code'] === undefined) setSeverity(entry, Number(match[2]));
+        return true;
+    }
+
+    /**
+     * Parse one syslog line
+     * @param {string} line - Raw line
+     * @param {Object} [options]
+     * @param {Date} [options.now] - Reference time for dates without a year
+     * @returns {Object|null} Entry, or null when the line is not syslog
+     */
+    function parseLine(line, options = {}) {
+        const now = options.now || new Date();
+        const entry = { 'event.original': line };
+        let text = line.trim();
+
+        // A value above 191 is not a PRI (RFC 3164 4.3.3)
+        const match = PRI_PATTERN.exec(text);
+        const pri = match && decodePriority(match[1]) ? match : null;
+        if (pri) {
+            setPriority(entry, pri[1]);
+            text = text.slice(pri[0].length);
+            if (parse5424(entry, text)) return entry;
+            // NX-OS sends "<189>: 2024 Mar  5 ..."
+            text = text.replace(/^:\s*/, '');
+        }
+
+        // Collector header: timestamp and host name; a date that cannot be
+        // read (month "Foo") means there is no header
+        let headerTime = false;
+        const iso = ISO_TIMESTAMP_PATTERN.exec(text);
+        const bsd = !iso && BSD_TIMESTAMP_PATTERN.exec(text);
+        const header = iso || (bsd && !/^[*.]/.test(text) ? bsd : null);
+        const headerTimestamp = header && (iso ? isoTimestamp(iso[1]) : bsdTimestamp(bsd, now));
+        if (headerTimestamp) {
+            entry['@timestamp'] = headerTimestamp;
+            text = text.slice(header[0].length);
+            headerTime = true;
+
+            const host = /^(\S+)\s+/.exec(text);
+            if (host && /^[^%:[\]][^[\]]*$/.test(host[1]) && !host[1].endsWith(':')) {
+                entry['host.name'] = host[1];
+                text = text.slice(host[0].length);
+            }
+        }
+
+        if (parseCisco(entry, text, now)) return entry;
+        if (!pri && !headerTime) return null;
+
+        entry['log.syslog.format'] = 'rfc3164';
+        const tag = TAG_PATTERN.exec(text);
+        if (tag && !/^\d+$/.test(tag[1])) {
+            entry['process.name'] = tag[1];
+            set(entry, 'process.pid', tag[2]);
+            text = text.slice(tag[0].length);
+        }
+
+        // Junos without structured-data: "mgd[3046]: UI_COMMIT: User ..."
+        const junos = JUNOS_TAG_PATTERN.exec(text);
+        if (junos) {
+            entry['event.code'] = junos[1];
+            entry['observer.vendor'] = 'Juniper';
+            entry['log.syslog.format'] = 'junos';
+            text = text.slice(junos[0].length);
+        }
+
+        entry.message = text;
+        return entry;
+    }
+
+    /**
+     * Split one CSV line, honouring quotes and doubled quotes
+     */
+    function parseCSVLine(line) {
+        const result = [];
+        let inQuotes = false;
+        let currentValue = '';
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (char === '"') {
+                if (inQuotes && line[i + 1] === '"') {
+                    currentValue += '"';
+                    i++;
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if (char === ',' && !inQuotes) {
+                result.push(currentValue);
+                currentValue = '';
+            } else {
+                currentValue += char;
+            }
+        }
+
+        result.push(currentValue);
+        return result;
+    }
+
+    /**
+     * Parse a CSV export with a header row (e.g. Elastic @timestamp,
+     * host.name, event.category, message columns)
+     * @returns {Object} { entries, skipped }
+     */
+    function parseCSV(text) {
+        const lines = String(text).split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) {
+            throw new SyslogError('CSV data must contain at least a header row and one data row', 'INVALID_CSV', 'logs');
+        }
+
+        const headers = parseCSVLine(lines[0]).map(header => header.trim());
+        const entries = [];
+        let skipped = 0;
+        lines.slice(1).forEach((line) => {
+            const values = parseCSVLine(line);
+            if (values.length !== headers.length) {
+                skipped++;
+                return;
+            }
+            const entry = {};
+            headers.forEach((header, index) => {
+                entry[header] = values[index];
+            });
+            entries.push(entry);
+        });
+
+        return { entries, skipped };
+    }
+
+    function looksLikeCSVHeader(line) {
+        const columns = parseCSVLine(line).map(column => column.trim().toLowerCase());
+        return columns.length >= 2 && CSV_FIELDS.some(field => columns.includes(field));
+    }
+
+    /**
+     * Guess the format of a block of log text from its first lines
+     * @returns {string} 'csv' or 'syslog'
+     */
+    function detectFormat(text, options = {}) {
+        const lines = String(text).split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 50);
+        if (lines.length === 0) return 'syslog';
+        if (looksLikeCSVHeader(lines[0])) return 'csv';
+
+        const parsed = lines.filter(line => parseLine(line, options)).length;
+        const commas = lines.filter(line => line.includes(',')).length;
+        return parsed === 0 && commas === lines.length && lines.length > 1 ? 'csv' : 'syslog';
+    }
+
+    /**
+     * Parse a block of log text
+     * Indented lines continue the message before them; other lines that are
+     * not syslog are counted as skipped.
+     * @param {string} text - File contents
+     * @param {Object} [options]
+     * @param {string} [options.format='auto'] - auto, syslog or csv
+     * @param {Date} [options.now] - Reference time for dates without a year
+     * @returns {Object} { format, entries, skipped, formats } where formats
+     *   counts the syslog entries per line format
+     */
+    function parse(text, options = {}) {
+        const format = !options.format || options.format === 'auto' ? detectFormat(text, options) : options.format;
+
+        if (format === 'csv') {
+            return { format, ...parseCSV(text), formats: {} };
+        }
+        if (format !== 'syslog') {
+            throw new SyslogError('Format must be one of auto, syslog or csv', 'INVALID_FORMAT', 'format');
+        }
+
+        const entries = [];
+        const formats = {};
+        let skipped = 0;
+        String(text).split(/\r?\n/).forEach((line) => {
+            if (line.trim() === '') return;
+
+            const previous = entries[entries.length - 1];
+            if (/^\s/.test(line) && previous) {
+                previous.message += `\n${line.trim()}`;
+                previous['event.original'] += `\n${line}`;
+                return;
+            }
+
+            const entry = parseLine(line, options);
+            if (!entry) {
+                skipped++;
+                return;
+            }
+            formats[entry['log.syslog.format']] = (formats[entry['log.syslog.format']] || 0) + 1;
+            entries.push(entry);
+        });
+
+        return { format, entries, skipped, formats };
+    }
+
+    return {
+        SyslogError,
+        FACILITIES,
+        SEVERITIES,
+        decodePriority,
+        parseLine,
+        parseCSVLine,
+        parseCSV,
+        detectFormat,
+        parse
+    };
+}));
@@ -0,0 +1,392 @@
+/**
+ * Syslog Event Correlation
+ * Network Engineers Toolkit - shared between the backend API and the browser
+ *
+ * Collapses related events into incidents. Each rule picks events with a
+ * query (shared/syslogQuery.js), takes the interface or neighbor from the
+ * message with a regular expression and reads down/up transitions from it;
+ * events for the same host and subject join one incident while they are no
+ * more than the rule's window apart, so a down/up pair or a burst of flaps
+ * becomes one incident. Flaps (a down followed by an up) are counted per
+ * subject, and storms are stretches where more than a threshold of events
+ * arrive within the storm window. Served to the frontend at
+ * /api/shared/syslogCorrelate.js as window.SyslogCorrelate; load syslog.js,
+ * subnet.js and syslogQuery.js first.
+ *
+ * Configuration (plain JSON so the page can edit and store it):
+ *   {
+ *     rules: [{ name, match, subject, down, up, window, flapThreshold }],
+ *     storm: { window, threshold, by }
+ *   }
+ * Rules are tried in order and an event joins the first whose query matches
+ * and whose subject pattern finds a subject. Windows are in seconds.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./syslog'), require('./syslogQuery'));
+    } else {
+        root.SyslogCorrelate = factory(root.SyslogParser, root.SyslogQuery);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SyslogParser, SyslogQuery) {
+    'use strict';
+
+    const { SyslogError } = SyslogParser;
+
+    const DEFAULT_WINDOW = 300;
+    const DEFAULT_FLAP_THRESHOLD = 3;
+    const MAX_RULES = 50;
+
+    // Cisco IOS/NX-OS and Junos interface, BGP and OSPF state changes
+    const DEFAULT_CONFIG = {
+        rules: [
+            {
+                name: 'Interface',
+                match: 'code:LINK-*-UPDOWN OR code:LINK-*-CHANGED OR code:LINEPROTO-*-UPDOWN OR code:SNMP_TRAP_LINK_*',
+                subject: '(?:Interface|ifName) ([^\\s,]+)',
+                down: 'changed state to (administratively )?down|ifOperStatus down',
+                up: 'changed state to up|ifOperStatus up',
+                window: DEFAULT_WINDOW,
+                flapThreshold: DEFAULT_FLAP_THRESHOLD
+            },
+            {
+                name: 'BGP neighbor',
+                match: 'code:*BGP-*-ADJCHANGE OR code:BGP_NEIGHBOR_STATE_CHANGED',
+                subject: '(?:neighbor|peer) ([0-9A-Fa-f:.]+)',
+                down: '\\bDown\\b|from Established to',
+                up: '\\bUp\\b|to Established',
+                window: DEFAULT_WINDOW,
+                flapThreshold: DEFAULT_FLAP_THRESHOLD
+            },
+            {
+                name: 'OSPF neighbor',
+                match: 'code:*OSPF-*-ADJCHG OR code:RPD_OSPF_NBR*',
+                subject: '(?:Nbr|neighbor) ([0-9A-Fa-f:.]+)',
+                down: 'from FULL to|to DOWN\\b',
+                up: 'to FULL\\b',
+                window: DEFAULT_WINDOW,
+                flapThreshold: DEFAULT_FLAP_THRESHOLD
+            }
+        ],
+        storm: {
+            window: 60,
+            threshold: 100,
+            by: 'host.name'
+        }
+    };
+
+    function configError(message) {
+        return new SyslogError(message, 'INVALID_RULE', 'rules');
+    }
+
+    function positiveNumber(value, fallback, label) {
+        if (value === undefined || value === null || value === '') return fallback;
+        const number = Number(value);
+        if (!Number.isFinite(number) || number <= 0) throw configError(`${label} must be a positive number`);
+        return number;
+    }
+
+    function compileRegex(source, label, required) {
+        if (source === undefined || source === null || source === '') {
+            if (required) throw configError(`${label} is required`);
+            return null;
+        }
+        try {
+            return new RegExp(String(source), 'i');
+        } catch (error) {
+            throw configError(`${label} is not a valid regular expression: ${error.message.replace(/^Invalid regular expression: /, '')}`);
+        }
+    }
+
+    function compileRule(rule, index, names) {
+        const label = `Rule ${index + 1}`;
+        if (!rule || typeof rule !== 'object') throw configError(`${label} must be an object`);
+
+        const name = String(rule.name || '').trim();
+        if (!name) throw configError(`${label} needs a name`);
+        if (names.has(name)) throw configError(`${label}: there is already a rule named "${name}"`);
+        names.add(name);
+
+        if (!String(rule.match || '').trim()) throw configError(`${label} (${name}) needs a match query`);
+        let matches;
+        try {
+            matches = SyslogQuery.compile(SyslogQuery.parse(String(rule.match)));
+        } catch (error) {
+            throw configError(`${label} (${name}) match query: ${error.message}`);
+        }
+
+        return {
+            name,
+            matches,
+            subject: compileRegex(rule.subject, `${label} (${name}) subject`, true),
+            down: compileRegex(rule.down, `${label} (${name}) down`, false),
+            up: compileRegex(rule.up, `${label} (${name}) up`, false),
+            window: positiveNumber(rule.window, DEFAULT_WINDOW, `${label} (${name}) window`) * 1000,
+            flapThreshold: positiveNumber(rule.flapThreshold, DEFAULT_FLAP_THRESHOLD, `${label} (${name}) flapThreshold`)
+        };
+    }
+
+    /**
+     * Check a configuration and prepare its rules
+     * @param {Object} [config] - Defaults to DEFAULT_CONFIG
+     * @returns {Object} { rules, storm } with compiled rules
+     * @throws {SyslogError} INVALID_RULE naming the rule at fault
+     */
+    function compileConfig(config = DEFAULT_CONFIG) {
+        if (!config || typeof config !== 'object') throw configError('Correlation settings must be an object');
+
+        const rules = config.rules === undefined ? DEFAULT_CONFIG.rules : config.rules;
+        if (!Array.isArray(rules)) throw configError('rules must be a list');
+        if (rules.length > MAX_RULES) throw configError(`At most ${MAX_RULES} rules are allowed`);
+
+        const names = new Set();
+        const storm = config.storm === undefined ? DEFAULT_CONFIG.storm : config.storm;
+        if (storm !== null && typeof storm !== 'object') throw configError('storm must be an object or null');
+
+        return {
+            rules: rules.map((rule, index) => compileRule(rule, index, names)),
+            storm: storm && {
+                window: positiveNumber(storm.window, DEFAULT_CONFIG.storm.window, 'storm window') * 1000,
+                threshold: positiveNumber(storm.threshold, DEFAULT_CONFIG.storm.threshold, 'storm threshold'),
+                by: storm.by === undefined ? DEFAULT_CONFIG.storm.by : String(storm.by || '')
+            }
+        };
+    }
+
+    function timeOf(entry) {
+        const time = Date.parse(entry['@timestamp'] || entry['event.created']);
+        return Number.isNaN(time) ? null : time;
+    }
+
+    function hostOf(entry) {
+        return entry['host.name'] || entry['log.source.address'] || '';
+    }
+
+    function stateOf(rule, message) {
+        if (rule.down && rule.down.test(message)) return 'down';
+        if (rule.up && rule.up.test(message)) return 'up';
+        return null;
+    }
+
+    function countCodes(entries) {
+        const counts = {};
+        entries.forEach((entry) => {
+            const code = entry['event.code'] || entry['process.name'] || 'unknown';
+            counts[code] = (counts[code] || 0) + 1;
+        });
+        return Object.keys(counts)
+            .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+            .map(code => ({ code, count: counts[code] }));
+    }
+
+    function openIncident(rule, host, subject, item) {
+        return {
+            rule: rule.name,
+            host,
+            subject,
+            start: item.time,
+            end: item.time,
+            downs: 0,
+            ups: 0,
+            flaps: 0,
+            state: null,
+            severity: null,
+            items: []
+        };
+    }
+
+    function addToIncident(incident, item) {
+        incident.items.push(item);
+        incident.end = item.time;
+
+        if (item.state === 'down') incident.downs++;
+        if (item.state === 'up') {
+            incident.ups++;
+            if (incident.state === 'down') incident.flaps++;
+        }
+        // Repeated lines for one transition (LINK and LINEPROTO) leave the state as it was
+        if (item.state) incident.state = item.state;
+
+        const severity = item.entry['log.syslog.severity.code'];
+        if (severity !== undefined && (incident.severity === null || severity < incident.severity)) {
+            incident.severity = severity;
+        }
+    }
+
+    function finishIncident(incident, index, rule) {
+        const entries = incident.items.map(item => item.entry);
+        return {
+            id: `INC-${String(index + 1).padStart(4, '0')}`,
+            rule: incident.rule,
+            host: incident.host,
+            subject: incident.subject,
+            start: new Date(incident.start).toISOString(),
+            end: new Date(incident.end).toISOString(),
+            duration: (incident.end - incident.start) / 1000,
+            count: entries.length,
+            downs: incident.downs,
+            ups: incident.ups,
+            flaps: incident.flaps,
+            flapping: incident.flaps >= rule.flapThreshold,
+            state: incident.state,
+            severity: incident.severity,
+            codes: countCodes(entries),
+            events: entries
+        };
+    }
+
+    // Flaps and incidents per rule, host and subject, most flaps first
+    function summariseSubjects(incidents, rules) {
+        const subjects = new Map();
+        incidents.forEach((incident) => {
+            const key = JSON.stringify([incident.rule, incident.host, incident.subject]);
+            if (!subjects.has(key)) {
+                subjects.set(key, {
+                    rule: incident.rule,
+                    host: incident.host,
+                    subject: incident.subject,
+                    incidents: 0,
+                    events: 0,
+                    downs: 0,
+                    ups: 0,
+                    flaps: 0,
+                    first: incident.start,
+                    last: incident.end,
+                    state: null
+                });
+            }
+            const subject = subjects.get(key);
+            subject.incidents++;
+            subject.events += incident.count;
+            subject.downs += incident.downs;
+            subject.ups += incident.ups;
+            subject.flaps += incident.flaps;
+            subject.last = incident.end;
+            if (incident.state) subject.state = incident.state;
+        });
+
+        const thresholds = new Map(rules.map(rule => [rule.name, rule.flapThreshold]));
+        return Array.from(subjects.values())
+            .map(subject => ({ ...subject, flapping: subject.flaps >= thresholds.get(subject.rule) }))
+            .sort((a, b) => b.flaps - a.flaps || b.events - a.events || a.host.localeCompare(b.host) || a.subject.localeCompare(b.subject));
+    }
+
+    /**
+     * Stretches where at least storm.threshold events arrived within
+     * storm.window, per value of storm.by (all events together when empty)
+     */
+    function findStorms(items, storm) {
+        if (!storm) return [];
+
+        const groups = new Map();
+        items.forEach((item) => {
+            const key = storm.by ? String(item.entry[storm.by] || '') : '';
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+
+        const storms = [];
+        groups.forEach((group, key) => {
+            let current = null;
+            let first = 0;
+            for (let last = 0; last < group.length; last++) {
+                while (group[last].time - group[first].time > storm.window) first++;
+                const count = last - first + 1;
+                if (count < storm.threshold) continue;
+
+                if (current && first <= current.lastIndex) {
+                    current.lastIndex = last;
+                    current.peak = Math.max(current.peak, count);
+                } else {
+                    current = { key, firstIndex: first, lastIndex: last, peak: count, group };
+                    storms.push(current);
+                }
+            }
+        });
+
+        return storms
+            .map((found) => {
+                const entries = found.group.slice(found.firstIndex, found.lastIndex + 1).map(item => item.entry);
+                const start = found.group[found.firstIndex].time;
+                const end = found.group[found.lastIndex].time;
+                return {
+                    by: storm.by || null,
+                    value: storm.by ? found.key : null,
+                    start: new Date(start).toISOString(),
+                    end: new Date(end).toISOString(),
+                    duration: (end - start) / 1000,
+                    count: entries.length,
+                    peak: found.peak,
+                    window: storm.window / 1000,
+                    codes: countCodes(entries).slice(0, 5)
+                };
+            })
+            .sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    /**
+     * Correlate parsed entries into incidents, per-subject flap counts and storms
+     * @param {Array<Object>} entries - Parsed entries in any order
+     * @param {Object} [config] - Rules and storm settings, default DEFAULT_CONFIG
+     * @returns {Object} { incidents, subjects, storms, total, correlated, untimed, from, to }
+     * @throws {SyslogError} INVALID_RULE when the configuration is wrong
+     */
+    function correlate(entries, config) {
+        const compiled = compileConfig(config);
+        const rulesByName = new Map(compiled.rules.map(rule => [rule.name, rule]));
+
+        // Entries without a usable time cannot be placed in a window
+        const items = [];
+        entries.forEach((entry, index) => {
+            const time = timeOf(entry);
+            if (time !== null) items.push({ entry, time, index });
+        });
+        items.sort((a, b) => a.time - b.time || a.index - b.index);
+
+        const open = new Map();
+        const incidents = [];
+        items.forEach((item) => {
+            const message = String(item.entry.message || '');
+            for (const rule of compiled.rules) {
+                if (!rule.matches(item.entry)) continue;
+                const found = rule.subject.exec(message);
+                if (!found) continue;
+
+                const subject = found[1] || found[0];
+                const host = hostOf(item.entry);
+                const key = JSON.stringify([rule.name, host, subject]);
+                let incident = open.get(key);
+                if (!incident || item.time - incident.end > rule.window) {
+                    incident = openIncident(rule, host, subject, item);
+                    open.set(key, incident);
+                    incidents.push(incident);
+                }
+
+                item.state = stateOf(rule, message);
+                addToIncident(incident, item);
+                break;
+            }
+        });
+
+        const finished = incidents
+            .sort((a, b) => a.start - b.start)
+            .map((incident, index) => finishIncident(incident, index, rulesByName.get(incident.rule)));
+
+        return {
+            incidents: finished,
+            subjects: summariseSubjects(finished, compiled.rules),
+            storms: findStorms(items, compiled.storm),
+            total: entries.length,
+            correlated: finished.reduce((sum, incident) => sum + incident.count, 0),
+            untimed: entries.length - items.length,
+            from: items.length > 0 ? new Date(items[0].time).toISOString() : null,
+            to: items.length > 0 ? new Date(items[items.length - 1].time).toISOString() : null
+        };
+    }
+
+    return {
+        DEFAULT_CONFIG,
+        compileConfig,
+        correlate
+    };
+}));
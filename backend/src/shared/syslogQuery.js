@@ -0,0 +1,570 @@
+/**
+ * Syslog Query Language
+ * Network Engineers Toolkit - shared between the backend API and the browser
+ *
+ * Parses queries such as
+ *   host:core-rtr* AND severity<=3 AND msg~/BGP.*Down/ AND @timestamp>-2h
+ * into a plain-object tree. The browser evaluates the tree against parsed
+ * entries (compile) and the backend turns the same tree into SQL over
+ * syslog_events (services/syslog/query.js), so a query means the same thing
+ * on an uploaded file and on stored events. Served to the frontend at
+ * /api/shared/syslogQuery.js as window.SyslogQuery; load syslog.js and
+ * subnet.js first.
+ *
+ * Syntax:
+ *   word, "a phrase"       text in the message, host, program, message type
+ *                          or category (case-insensitive, * as a wildcard)
+ *   field:value            field equals value (case-insensitive, * as a
+ *                          wildcard; msg and raw contain it); field:* when
+ *                          the field is present
+ *   field!=value           field does not equal value
+ *   field<n, <=, >, >=     numbers, severities/facilities by name or
+ *                          number, and times: -15m, -2h, -7d, -1w, now or
+ *                          an ISO date (UTC unless it has a zone)
+ *   field~/regex/i         regular expression, case-sensitive without i
+ *   AND, OR, NOT, -term, !term, ( ... ); adjacent terms are ANDed and NOT
+ *   binds tighter than AND, which binds tighter than OR
+ * Any parsed field name may be used; sd.<param> matches an RFC 5424
+ * structured-data parameter in any element.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./syslog'), require('./subnet'));
+    } else {
+        root.SyslogQuery = factory(root.SyslogParser, root.SubnetCalc);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SyslogParser, SubnetCalc) {
+    'use strict';
+
+    const { SyslogError, SEVERITIES, FACILITIES } = SyslogParser;
+
+    // Known fields and how their values compare
+    const FIELDS = {
+        '@timestamp': 'time',
+        'event.created': 'time',
+        'host.name': 'text',
+        'message': 'text',
+        'event.original': 'text',
+        'event.code': 'text',
+        'event.category': 'text',
+        'event.sequence': 'number',
+        'process.name': 'text',
+        'process.pid': 'text',
+        'log.source.address': 'address',
+        'network.transport': 'text',
+        'log.syslog.format': 'text',
+        'log.syslog.priority': 'number',
+        'log.syslog.severity.code': 'severity',
+        'log.syslog.facility.code': 'facility',
+        'log.syslog.msgid': 'text',
+        'observer.vendor': 'text'
+    };
+
+    const ALIASES = {
+        time: '@timestamp',
+        timestamp: '@timestamp',
+        received: 'event.created',
+        host: 'host.name',
+        hostname: 'host.name',
+        msg: 'message',
+        raw: 'event.original',
+        code: 'event.code',
+        type: 'event.code',
+        category: 'event.category',
+        seq: 'event.sequence',
+        program: 'process.name',
+        prog: 'process.name',
+        app: 'process.name',
+        pid: 'process.pid',
+        source: 'log.source.address',
+        src: 'log.source.address',
+        transport: 'network.transport',
+        format: 'log.syslog.format',
+        priority: 'log.syslog.priority',
+        pri: 'log.syslog.priority',
+        severity: 'log.syslog.severity.code',
+        sev: 'log.syslog.severity.code',
+        level: 'log.syslog.severity.code',
+        'log.syslog.severity.name': 'log.syslog.severity.code',
+        facility: 'log.syslog.facility.code',
+        'log.syslog.facility.name': 'log.syslog.facility.code',
+        msgid: 'log.syslog.msgid',
+        vendor: 'observer.vendor'
+    };
+
+    // Fields searched by terms without a field name
+    const SEARCH_FIELDS = ['message', 'host.name', 'process.name', 'event.code', 'event.category'];
+
+    // Fields where field:value looks for the value anywhere in the text
+    const CONTAINS_FIELDS = ['message', 'event.original'];
+
+    const COMPARISONS = ['<', '<=', '>', '>='];
+    const KEYWORDS = { AND: 'and', OR: 'or', NOT: 'not', '&&': 'and', '||': 'or' };
+    const FIELD_PATTERN = /^([A-Za-z_@][\w.@-]*)(!=|<=|>=|:|=|<|>|~)/;
+    const RELATIVE_PATTERN = /^-(\d+(?:\.\d+)?)([smhdw])$/;
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+    const UNIT_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+    function queryError(message, position) {
+        const error = new SyslogError(
+            position === undefined ? message : `${message} at character ${position + 1}`,
+            'INVALID_QUERY',
+            'q'
+        );
+        error.position = position;
+        return error;
+    }
+
+    /**
+     * Canonical name and kind of a field as written in a query
+     * @param {string} name
+     * @returns {Object} { field, kind, param }
+     */
+    function resolveField(name) {
+        if (/^sd\./i.test(name) && name.length > 3) {
+            return { field: 'log.syslog.structured_data', kind: 'sd', param: name.slice(3) };
+        }
+        const field = ALIASES[name.toLowerCase()] || ALIASES[name] || name;
+        return { field, kind: FIELDS[field] || 'text' };
+    }
+
+    function readQuoted(text, start) {
+        let value = '';
+        for (let i = start + 1; i < text.length; i++) {
+            if (text[i] === '\\' && i + 1 < text.length) {
+                value += text[++i];
+            } else if (text[i] === '"') {
+                return { value, end: i + 1 };
+            } else {
+                value += text[i];
+            }
+        }
+        throw queryError('Unterminated quoted text', start);
+    }
+
+    function readRegex(text, start) {
+        for (let i = start + 1; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === '/') {
+                const flags = /^[a-z]*/i.exec(text.slice(i + 1))[0];
+                return { value: text.slice(start + 1, i).replace(/\\\//g, '/'), flags, end: i + 1 + flags.length };
+            }
+        }
+        throw queryError('Unterminated regular expression', start);
+    }
+
+    function readWord(text, start) {
+        let end = start;
+        while (end < text.length && !/[\s()]/.test(text[end])) end++;
+        return { value: text.slice(start, end), end };
+    }
+
+    /**
+     * Split a query into tokens
+     * @param {string} text
+     * @returns {Array<Object>} Tokens with type, position and value
+     */
+    function tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const ch = text[i];
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+            if (ch === '(' || ch === ')') {
+                tokens.push({ type: ch, position: i });
+                i++;
+                continue;
+            }
+            if ((ch === '-' || ch === '!') && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+                tokens.push({ type: 'not', position: i });
+                i++;
+                continue;
+            }
+            if (ch === '"') {
+                const quoted = readQuoted(text, i);
+                tokens.push({ type: 'term', position: i, field: null, op: ':', value: quoted.value, quoted: true });
+                i = quoted.end;
+                continue;
+            }
+
+            const field = FIELD_PATTERN.exec(text.slice(i));
+            if (field) {
+                const token = { type: 'term', position: i, field: field[1], op: field[2] };
+                const start = i + field[0].length;
+                let read;
+                if (text[start] === '"') {
+                    read = readQuoted(text, start);
+                    token.quoted = true;
+                } else if (token.op === '~' && text[start] === '/') {
+                    read = readRegex(text, start);
+                    token.flags = read.flags;
+                } else {
+                    read = readWord(text, start);
+                }
+                if (read.value === '' && !token.quoted) {
+                    throw queryError(`Missing value after ${field[0]}`, i);
+                }
+                token.value = read.value;
+                tokens.push(token);
+                i = read.end;
+                continue;
+            }
+
+            const word = readWord(text, i);
+            const keyword = KEYWORDS[word.value];
+            tokens.push(keyword
+                ? { type: keyword, position: i }
+                : { type: 'term', position: i, field: null, op: ':', value: word.value });
+            i = word.end;
+        }
+
+        return tokens;
+    }
+
+    function parseNumber(text) {
+        return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+    }
+
+    function parseLevel(text, names, kind, position) {
+        const lower = text.toLowerCase();
+        const level = /^\d+$/.test(lower) ? Number(lower) : names.indexOf(lower);
+        if (level < 0 || level >= names.length) {
+            throw queryError(`Unknown ${kind} "${text}"; use ${names.join(', ')} or 0-${names.length - 1}`, position);
+        }
+        return level;
+    }
+
+    /**
+     * Read a time value: relative (-2h), now, or an ISO date taken as UTC
+     * when it has no zone
+     */
+    function parseTime(text, position) {
+        if (text.toLowerCase() === 'now') return { offset: 0 };
+
+        const relative = RELATIVE_PATTERN.exec(text);
+        if (relative) return { offset: -Number(relative[1]) * UNIT_MS[relative[2]] };
+
+        const date = DATE_PATTERN.exec(text);
+        if (date) {
+            const iso = text.replace(' ', 'T') + (date[1] && !date[4] ? 'Z' : '');
+            const time = new Date(iso);
+            if (!Number.isNaN(time.getTime())) return { at: time.toISOString() };
+        }
+        throw queryError(`"${text}" is not a time; use -15m, -2h, -7d, now or an ISO date`, position);
+    }
+
+    function isAddressOrCidr(text) {
+        try {
+            SubnetCalc.parseCidr(text);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Turn a term token into a tree node, checking its value against the field
+     */
+    function buildTerm(token) {
+        if (token.op === '!=') {
+            return { type: 'not', child: buildTerm({ ...token, op: ':' }) };
+        }
+
+        const op = token.op === '=' ? ':' : token.op;
+        const node = { type: 'term', op, value: token.value, position: token.position };
+
+        if (token.field === null) {
+            node.field = null;
+            node.kind = 'search';
+            if (token.quoted) node.quoted = true;
+            return node;
+        }
+
+        Object.assign(node, resolveField(token.field));
+        if (op === ':' && token.value === '*' && !token.quoted) {
+            node.exists = true;
+            return node;
+        }
+
+        if (op === '~') {
+            if (node.kind === 'time') throw queryError(`${token.field} takes <, <=, > or >=, not a regular expression`, token.position);
+            const flags = token.flags || '';
+            if (!/^i?$/.test(flags)) throw queryError(`Only the i flag is supported, not "${flags}"`, token.position);
+            try {
+                new RegExp(token.value, flags);
+            } catch (error) {
+                throw queryError(`Invalid regular expression: ${error.message.replace(/^Invalid regular expression: /, '')}`, token.position);
+            }
+            node.flags = flags;
+            return node;
+        }
+
+        if (node.kind === 'time') {
+            if (op === ':') throw queryError(`${token.field} takes <, <=, > or >=, e.g. ${token.field}>-2h`, token.position);
+            node.time = parseTime(token.value, token.position);
+        } else if (node.kind === 'severity' || node.kind === 'facility') {
+            node.number = parseLevel(token.value, node.kind === 'severity' ? SEVERITIES : FACILITIES, node.kind, token.position);
+        } else if (node.kind === 'address') {
+            if (COMPARISONS.includes(op)) throw queryError(`${token.field} takes : or ~, not ${op}`, token.position);
+            if (!token.quoted && isAddressOrCidr(token.value)) node.cidr = token.value;
+        } else {
+            const number = parseNumber(token.value);
+            if (number !== null && (node.kind === 'number' || COMPARISONS.includes(op))) node.number = number;
+            if (node.kind === 'number' && number === null) {
+                throw queryError(`${token.field} takes a number, not "${token.value}"`, token.position);
+            }
+        }
+
+        if (token.quoted) node.quoted = true;
+        return node;
+    }
+
+    /**
+     * Parse a query
+     * @param {string} text - Query text
+     * @returns {Object|null} Query tree, or null for an empty query (matches everything)
+     * @throws {SyslogError} INVALID_QUERY with the character position
+     */
+    function parse(text) {
+        const tokens = tokenize(String(text || ''));
+        if (tokens.length === 0) return null;
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const describe = (token) => {
+            if (token.type === 'term') return `"${token.value}"`;
+            return token.type === '(' || token.type === ')' ? `"${token.type}"` : token.type.toUpperCase();
+        };
+
+        function parseOr() {
+            const children = [parseAnd()];
+            while (peek() && peek().type === 'or') {
+                index++;
+                children.push(parseAnd());
+            }
+            return children.length === 1 ? children[0] : { type: 'or', children };
+        }
+
+        function parseAnd() {
+            const children = [parseNot()];
+            while (peek() && peek().type !== 'or' && peek().type !== ')') {
+                if (peek().type === 'and') index++;
+                children.push(parseNot());
+            }
+            return children.length === 1 ? children[0] : { type: 'and', children };
+        }
+
+        function parseNot() {
+            if (peek() && peek().type === 'not') {
+                index++;
+                return { type: 'not', child: parseNot() };
+            }
+            return parsePrimary();
+        }
+
+        function parsePrimary() {
+            const token = tokens[index++];
+            if (!token) throw queryError('Query ends too early');
+            if (token.type === '(') {
+                const node = parseOr();
+                const close = tokens[index++];
+                if (!close || close.type !== ')') throw queryError('Missing ")"', token.position);
+                return node;
+            }
+            if (token.type !== 'term') throw queryError(`Unexpected ${describe(token)}`, token.position);
+            return buildTerm(token);
+        }
+
+        const tree = parseOr();
+        if (index < tokens.length) {
+            throw queryError(`Unexpected ${describe(tokens[index])}`, tokens[index].position);
+        }
+        return tree;
+    }
+
+    /**
+     * Visit every term, with whether it sits under a NOT
+     */
+    function eachTerm(node, visit, negated = false) {
+        if (!node) return;
+        if (node.type === 'term') visit(node, negated);
+        else if (node.type === 'not') eachTerm(node.child, visit, !negated);
+        else node.children.forEach(child => eachTerm(child, visit, negated));
+    }
+
+    /**
+     * Whether a query sets its own time range (so a default range should not apply)
+     * @param {Object|null} tree
+     * @returns {boolean}
+     */
+    function hasTimeCondition(tree) {
+        let found = false;
+        eachTerm(tree, (term) => {
+            if (term.kind === 'time') found = true;
+        });
+        return found;
+    }
+
+    /**
+     * Absolute time of a time term
+     * @param {Object} time - { offset } or { at }
+     * @param {Date} now
+     * @returns {Date}
+     */
+    function resolveTime(time, now) {
+        return time.at ? new Date(time.at) : new Date(now.getTime() + time.offset);
+    }
+
+    function escapeRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Regular expression for a wildcard value: whole value, or anywhere
+     * for free-text terms
+     */
+    function wildcardRegex(value, anywhere, literal) {
+        const source = literal ? escapeRegex(value) : value.split('*').map(escapeRegex).join('.*');
+        return new RegExp(anywhere ? source : `^${source}$`, 'i');
+    }
+
+    function present(value) {
+        return value !== undefined && value !== null && value !== '';
+    }
+
+    function levelOf(entry, kind) {
+        const code = entry[`log.syslog.${kind}.code`];
+        if (present(code)) return Number(code);
+        const names = kind === 'severity' ? SEVERITIES : FACILITIES;
+        const index = names.indexOf(String(entry[`log.syslog.${kind}.name`] || '').toLowerCase());
+        return index >= 0 ? index : undefined;
+    }
+
+    function valuesOf(entry, term) {
+        if (term.kind === 'search') return SEARCH_FIELDS.map(field => entry[field]).filter(present);
+        if (term.kind === 'sd') {
+            const data = entry[term.field] || {};
+            return Object.keys(data).map(id => data[id] && data[id][term.param]).filter(present);
+        }
+        if (term.kind === 'severity' || term.kind === 'facility') {
+            const level = levelOf(entry, term.kind);
+            return level === undefined ? [] : [level];
+        }
+        return present(entry[term.field]) ? [entry[term.field]] : [];
+    }
+
+    function inCidr(value, cidr) {
+        try {
+            const network = SubnetCalc.parseCidr(cidr);
+            const address = SubnetCalc.parseCidr(String(value));
+            const shift = BigInt(network.bits - network.prefix);
+            return network.version === address.version && (address.network >> shift) === (network.network >> shift);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function compare(left, op, right) {
+        if (op === '<') return left < right;
+        if (op === '<=') return left <= right;
+        if (op === '>') return left > right;
+        return left >= right;
+    }
+
+    function compileTerm(term, now) {
+        if (term.exists) return entry => valuesOf(entry, term).length > 0;
+
+        let test;
+        if (term.op === '~') {
+            const regex = new RegExp(term.value, term.flags);
+            test = value => regex.test(String(value));
+        } else if (term.kind === 'time') {
+            const limit = resolveTime(term.time, now).getTime();
+            test = (value) => {
+                const time = new Date(value).getTime();
+                return !Number.isNaN(time) && compare(time, term.op, limit);
+            };
+        } else if (term.op === ':' && term.cidr) {
+            test = value => inCidr(value, term.cidr);
+        } else if (term.number !== undefined) {
+            test = (value) => {
+                const number = typeof value === 'number' ? value : parseNumber(String(value).trim());
+                return number !== null && (term.op === ':' ? number === term.number : compare(number, term.op, term.number));
+            };
+        } else if (term.op === ':') {
+            const regex = wildcardRegex(term.value, term.kind === 'search' || CONTAINS_FIELDS.includes(term.field), term.quoted);
+            test = value => regex.test(String(value));
+        } else {
+            test = value => compare(String(value), term.op, term.value);
+        }
+
+        return entry => valuesOf(entry, term).some(test);
+    }
+
+    /**
+     * Build a matcher for parsed entries
+     * @param {Object|null} tree - From parse()
+     * @param {Object} [options]
+     * @param {Date} [options.now] - Reference time for relative times
+     * @returns {Function} entry => boolean
+     */
+    function compile(tree, options = {}) {
+        const now = options.now || new Date();
+
+        function build(node) {
+            if (!node) return () => true;
+            if (node.type === 'term') return compileTerm(node, now);
+            if (node.type === 'not') {
+                const child = build(node.child);
+                return entry => !child(entry);
+            }
+            const children = node.children.map(build);
+            return node.type === 'and'
+                ? entry => children.every(child => child(entry))
+                : entry => children.some(child => child(entry));
+        }
+
+        return build(tree);
+    }
+
+    /**
+     * Regular expression for highlighting what a query looks for in
+     * messages: free text and message values outside any NOT
+     * @param {Object|null} tree
+     * @returns {RegExp|null} Global, case-insensitive pattern
+     */
+    function highlightPattern(tree) {
+        const sources = [];
+        eachTerm(tree, (term, negated) => {
+            if (negated || term.exists) return;
+            if (term.kind === 'search' || (term.field === 'message' && term.op === ':')) {
+                sources.push(term.quoted ? escapeRegex(term.value) : term.value.split('*').map(escapeRegex).join('.*?'));
+            } else if (term.field === 'message' && term.op === '~') {
+                sources.push(term.value);
+            }
+        });
+        const usable = sources.filter(source => source !== '' && source !== '.*?');
+        return usable.length > 0 ? new RegExp(usable.map(source => `(?:${source})`).join('|'), 'gi') : null;
+    }
+
+    return {
+        FIELDS,
+        ALIASES,
+        SEARCH_FIELDS,
+        CONTAINS_FIELDS,
+        resolveField,
+        tokenize,
+        parse,
+        eachTerm,
+        hasTimeCondition,
+        resolveTime,
+        compile,
+        highlightPattern
+    };
+}));
@@ -0,0 +1,57 @@
+/**
+ * API Key Storage Helpers
+ * Network Engineers Toolkit Backend
+ */
+
+const crypto = require('crypto');
+const db = require('../database/connection');
+
+// Encryption key for API keys (should be stored securely)
+const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'default-encryption-key-change-in-production';
+
+/**
+ * Encrypt API key for secure storage
+ */
+function encryptApiKey(apiKey) {
+  const cipher = crypto.createCipher('aes-256-cbc', ENCRYPTION_KEY);
+  let encrypted = cipher.update(apiKey, 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+  return encrypted;
+}
+
+/**
+ * Decrypt API key for usage
+ */
+function decryptApiKey(encryptedKey) {
+  const decipher = crypto.createDecipher('aes-256-cbc', ENCRYPTION_KEY);
+  let decrypted = decipher.update(encryptedKey, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+  return decrypted;
+}
+
+/**
+ * Get the newest active API key for an external service
+ * @param {string} serviceName - Value of api_keys.service_name, e.g. 'ripestat'
+ * @returns {Promise<string|null>} Decrypted key or null when none is stored
+ */
+async function getServiceApiKey(serviceName) {
+  const result = await db.query(`
+    SELECT api_key_encrypted
+    FROM api_keys
+    WHERE service_name = $1 AND is_active = true
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [serviceName]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return decryptApiKey(result.rows[0].api_key_encrypted);
+}
+
+module.exports = {
+  encryptApiKey,
+  decryptApiKey,
+  getServiceApiKey
+};
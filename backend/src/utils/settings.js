@@ -0,0 +1,41 @@
+/**
+ * Application Settings Access
+ * Network Engineers Toolkit Backend
+ */
+
+const db = require('../database/connection');
+
+/**
+ * Read a value from the app_settings table
+ * @param {string} key - Setting key
+ * @param {*} defaultValue - Value returned when the setting is missing
+ * @returns {Promise<string|*>} Raw setting value or the default
+ */
+async function getSetting(key, defaultValue = null) {
+  const result = await db.query(
+    'SELECT setting_value FROM app_settings WHERE setting_key = $1',
+    [key]
+  );
+
+  if (result.rows.length === 0 || result.rows[0].setting_value === null) {
+    return defaultValue;
+  }
+
+  return result.rows[0].setting_value;
+}
+
+/**
+ * Read a numeric value from the app_settings table
+ * @param {string} key - Setting key
+ * @param {number} defaultValue - Value returned when missing or not numeric
+ * @returns {Promise<number>} Setting value
+ */
+async function getNumberSetting(key, defaultValue) {
+  const value = parseFloat(await getSetting(key));
+  return Number.isFinite(value) ? value : defaultValue;
+}
+
+module.exports = {
+  getSetting,
+  getNumberSetting
+};
@@ -0,0 +1,162 @@
+/**
+ * BGP route permission tests
+ * Network Engineers Toolkit Backend
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bgp-uploads-'));
+
+jest.mock('../../src/database/connection', () => ({ query: jest.fn() }));
+jest.mock('../../src/services/bgp', () => ({
+  importer: {
+    FORMATS: ['mrt', 'bgpdump'],
+    createImport: jest.fn(),
+    listImports: jest.fn(),
+    getImport: jest.fn(),
+    deleteImport: jest.fn()
+  }
+}));
+jest.mock('../../src/services/rpki', () => ({
+  RPKIError: jest.requireActual('../../src/services/rpki').RPKIError,
+  installVrpFile: jest.fn(),
+  getStatus: jest.fn()
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const db = require('../../src/database/connection');
+const { importer } = require('../../src/services/bgp');
+const rpki = require('../../src/services/rpki');
+const bgpRouter = require('../../src/routes/bgp');
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const OTHER_ID = '22222222-2222-4222-8222-222222222222';
+const ADMIN_ID = '33333333-3333-4333-8333-333333333333';
+const IMPORT_ID = '44444444-4444-4444-8444-444444444444';
+
+const USERS = {
+  [USER_ID]: { id: USER_ID, username: 'alice', role: 'user', is_active: true },
+  [OTHER_ID]: { id: OTHER_ID, username: 'bob', role: 'user', is_active: true },
+  [ADMIN_ID]: { id: ADMIN_ID, username: 'root', role: 'admin', is_active: true }
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/bgp', bgpRouter);
+
+function tokenFor(userId) {
+  return `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET)}`;
+}
+
+function upload(userId, replace) {
+  return request(app)
+    .post('/api/bgp/imports')
+    .set('Authorization', tokenFor(userId))
+    .field('replace', String(replace))
+    .attach('dump', Buffer.from('TABLE_DUMP2|1700000000|B|192.0.2.1|64500|10.0.0.0/8|64500|IGP\n'), 'rib.txt');
+}
+
+function uploadVrps(userId) {
+  return request(app)
+    .post('/api/bgp/vrps')
+    .set('Authorization', tokenFor(userId))
+    .attach('vrps', Buffer.from(JSON.stringify({ roas: [{ prefix: '192.0.2.0/24', maxLength: 24, asn: 'AS64500' }] })), 'vrps.json');
+}
+
+describe('BGP routes', () => {
+  afterAll(() => {
+    fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // The mocked importer never consumes uploads, so clear what earlier tests left
+    fs.readdirSync(process.env.UPLOAD_DIR).forEach(name => fs.unlinkSync(path.join(process.env.UPLOAD_DIR, name)));
+    db.query.mockImplementation(async (sql, params) => ({ rows: USERS[params[0]] ? [USERS[params[0]]] : [] }));
+    importer.createImport.mockImplementation(async upload => ({ id: IMPORT_ID, replace_existing: upload.replace }));
+    importer.getImport.mockResolvedValue({ id: IMPORT_ID, status: 'completed', created_by: OTHER_ID });
+    importer.deleteImport.mockResolvedValue({ id: IMPORT_ID });
+  });
+
+  test('a user can upload without replacing earlier imports', async () => {
+    const response = await upload(USER_ID, false);
+
+    expect(response.status).toBe(202);
+    expect(importer.createImport).toHaveBeenCalledWith(expect.objectContaining({ replace: false, userId: USER_ID }));
+  });
+
+  test('a non-admin cannot replace other users\' imports', async () => {
+    const response = await upload(USER_ID, true);
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ error: 'Only an admin can replace earlier imports', code: 'FORBIDDEN', field: 'replace' });
+    expect(importer.createImport).not.toHaveBeenCalled();
+    expect(fs.readdirSync(process.env.UPLOAD_DIR)).toEqual([]);
+  });
+
+  test('an admin can replace earlier imports', async () => {
+    const response = await upload(ADMIN_ID, true);
+
+    expect(response.status).toBe(202);
+    expect(importer.createImport).toHaveBeenCalledWith(expect.objectContaining({ replace: true, userId: ADMIN_ID }));
+  });
+
+  test('a non-admin cannot delete another user\'s import', async () => {
+    const response = await request(app)
+      .delete(`/api/bgp/imports/${IMPORT_ID}`)
+      .set('Authorization', tokenFor(USER_ID));
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('FORBIDDEN');
+    expect(importer.deleteImport).not.toHaveBeenCalled();
+  });
+
+  test('the uploader and admins can delete an import', async () => {
+    for (const userId of [OTHER_ID, ADMIN_ID]) {
+      const response = await request(app)
+        .delete(`/api/bgp/imports/${IMPORT_ID}`)
+        .set('Authorization', tokenFor(userId));
+      expect(response.status).toBe(200);
+    }
+    expect(importer.deleteImport).toHaveBeenCalledTimes(2);
+  });
+
+  test('requests without a token are refused', async () => {
+    const response = await request(app).delete(`/api/bgp/imports/${IMPORT_ID}`);
+
+    expect(response.status).toBe(401);
+    expect(importer.getImport).not.toHaveBeenCalled();
+  });
+
+  test('a non-admin cannot replace the VRP file', async () => {
+    const response = await uploadVrps(USER_ID);
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ error: 'Access denied', message: 'Admin role required' });
+    expect(rpki.installVrpFile).not.toHaveBeenCalled();
+  });
+
+  test('an admin can replace the VRP file', async () => {
+    rpki.installVrpFile.mockResolvedValue({ loaded: true, count: 1, skipped: 0 });
+
+    const response = await uploadVrps(ADMIN_ID);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ message: 'VRP file loaded', vrps: { loaded: true, count: 1, skipped: 0 } });
+    expect(rpki.installVrpFile).toHaveBeenCalledWith(expect.stringContaining(process.env.UPLOAD_DIR));
+  });
+
+  test('a VRP file that does not parse is refused', async () => {
+    rpki.installVrpFile.mockRejectedValue(new rpki.RPKIError('VRP file must contain a "roas" array', 'INVALID_VRP_FILE', 'vrps'));
+
+    const response = await uploadVrps(ADMIN_ID);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error: 'VRP file must contain a "roas" array', code: 'INVALID_VRP_FILE', field: 'vrps' });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * JUNOS convertor tool API tests
+ * Network Engineers Toolkit Backend
+ */
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../../src/database/connection', () => ({ query: jest.fn() }));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const toolsRouter = require('../../src/routes/tools');
+
+const app = express();
+app.use(express.json());
+app.use('/api/tools', toolsRouter);
+
+const TOKEN = `Bearer ${jwt.sign({ userId: '11111111-1111-4111-8111-111111111111' }, process.env.JWT_SECRET)}`;
+
+const SET = `set system host-name edge1
+set interfaces ge-0/0/0 unit 0 family inet address 192.0.2.1/30
+set protocols lldp interface all`;
+
+function convert(params) {
+  return request(app)
+    .post('/api/tools/junos-convertor/execute')
+    .set('Authorization', TOKEN)
+    .send({ params });
+}
+
+describe('junos-convertor tool', () => {
+  test('converts set commands to Junos JSON, reporting the detected format', async () => {
+    const response = await convert({ config: SET, to: 'json' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Configuration conversion completed');
+    expect(response.body.result).toMatchObject({ from: 'set', to: 'json' });
+    expect(JSON.parse(response.body.result.output)).toEqual({
+      configuration: {
+        system: { 'host-name': 'edge1' },
+        interfaces: {
+          interface: [{ name: 'ge-0/0/0', unit: [{ name: '0', family: { inet: { address: [{ name: '192.0.2.1/30' }] } } }] }]
+        },
+        protocols: { lldp: { interface: [{ name: 'all' }] } }
+      }
+    });
+  });
+
+  test('converts YAML back to set commands', async () => {
+    const yaml = (await convert({ config: SET, to: 'yaml' })).body.result.output;
+    const response = await convert({ config: yaml, from: 'yaml', to: 'set' });
+
+    expect(yaml.startsWith('---\nconfiguration:\n  system:\n    host-name: edge1\n')).toBe(true);
+    expect(response.body.result).toEqual({ from: 'yaml', to: 'set', output: SET });
+  });
+
+  test('reports the line of a configuration that does not parse', async () => {
+    const response = await convert({ config: 'configuration:\n  system:\n\thost-name: edge1', from: 'yaml', to: 'set' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      error: 'Tabs are not allowed for YAML indentation at line 3',
+      code: 'INVALID_CONFIG',
+      field: 'config',
+      line: 3
+    });
+  });
+
+  test.each([
+    ['no configuration', { to: 'json' }, 'MISSING_CONFIG', 'config'],
+    ['JSON without a configuration object', { config: '{ "configuration": 1 }', from: 'json', to: 'set' }, 'INVALID_CONFIG', 'config'],
+    ['an unknown output format', { config: SET, to: 'toml' }, 'INVALID_FORMAT', 'to']
+  ])('rejects %s', async (label, params, code, field) => {
+    const response = await convert(params);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ code, field });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * BGP community decoder and dictionary tests
+ * Network Engineers Toolkit Backend
+ */
+
+jest.mock('../../../src/database/connection', () => ({ query: jest.fn() }));
+
+const db = require('../../../src/database/connection');
+const decoder = require('../../../src/services/bgp/communityDecoder');
+const dictionary = require('../../../src/services/bgp/communityDictionary');
+
+const DICTIONARY = [
+  { pattern: '3356:*', description: 'Any Lumen community', category: null },
+  { pattern: '3356:2', description: 'Customer route', category: 'origin' },
+  { pattern: '3356:9xx', description: 'Learned in a region', category: 'geo' },
+  { pattern: 'rt:65000:100-199', description: 'Customer VPN', category: 'vpn' }
+];
+
+describe('BGP community decoder', () => {
+  describe('parseCommunity', () => {
+    test.each(['no-export', 'NO_EXPORT', '65535:65281', '4294967041'])('reads %s as NO_EXPORT', (input) => {
+      expect(decoder.parseCommunity(input)).toEqual({
+        type: 'standard', asn: 65535, value: 4294967041, localValue: 65281, text: '65535:65281'
+      });
+    });
+
+    test('reads large communities', () => {
+      expect(decoder.parseCommunity('4200000000:1:2')).toEqual({
+        type: 'large', asn: 4200000000, globalAdministrator: 4200000000, localData1: 1, localData2: 2, text: '4200000000:1:2'
+      });
+    });
+
+    test.each([
+      ['rt:65000:100', { typeCode: 0x00, name: 'Route Target', asn: 65000, administrator: 65000, assigned: 100, text: 'rt:65000:100' }],
+      ['target:192.0.2.1:7', { typeCode: 0x01, name: 'Route Target', asn: null, administrator: '192.0.2.1', text: 'rt:192.0.2.1:7' }],
+      ['soo:4200000000:1', { typeCode: 0x02, name: 'Route Origin', asn: 4200000000, text: 'soo:4200000000:1' }],
+      ['rt:65000L:5', { typeCode: 0x02, asn: 65000, text: 'rt:65000L:5' }],
+      ['0x0002fde800000064', { typeCode: 0x00, text: 'rt:65000:100' }],
+      ['ext:0x4300:000000000002', { transitive: false, name: 'Origin Validation State', validationState: 'Invalid', text: 'origin-validation:invalid' }],
+      ['0x8006000000000000', { name: 'Flow Spec Traffic Rate', description: 'Discard all matching traffic', text: 'traffic-rate:0:0' }],
+      ['0x8008fde800000064', { name: 'Flow Spec Redirect', text: 'redirect:65000:100' }]
+    ])('reads extended community %s', (input, expected) => {
+      expect(decoder.parseCommunity(input)).toMatchObject({ type: 'extended', ...expected });
+    });
+
+    test('reads link bandwidth in bits per second', () => {
+      const bytes = Buffer.from('4004fde800000000', 'hex');
+      bytes.writeFloatBE(125000000, 4);
+
+      expect(decoder.decodeExtendedBytes(bytes)).toMatchObject({ name: 'Link Bandwidth', bandwidthBps: 1000000000, text: 'bandwidth:65000:1000000000' });
+    });
+
+    test.each(['65536:1', 'x:1', '1:2:3:4', '4294967296', 'rt:65000:70000:1'])('rejects %s', (input) => {
+      expect(() => decoder.parseCommunity(input)).toThrow(expect.objectContaining({
+        message: `"${input}" is not a valid BGP community`,
+        code: 'INVALID_COMMUNITY',
+        field: 'communities'
+      }));
+    });
+
+    test('requires a value', () => {
+      expect(() => decoder.parseCommunity(' ')).toThrow(expect.objectContaining({ code: 'MISSING_COMMUNITY' }));
+    });
+  });
+
+  describe('describeCommunity', () => {
+    test.each([
+      ['blackhole', { name: 'BLACKHOLE', wellKnown: true }],
+      ['0:1', { name: null, description: 'Reserved range (RFC 1997)' }],
+      ['65001:5', { description: 'Private-use ASN 65001: meaning is local to the network that set it' }],
+      ['4200000000:1:1', { description: 'Private-use ASN 4200000000: meaning is local to the network that set it' }],
+      ['64496:1', { description: 'Documentation ASN 64496 (RFC 5398)' }],
+      ['3356:2', { name: null, description: null, wellKnown: false }]
+    ])('describes %s', (input, expected) => {
+      expect(decoder.describeCommunity(decoder.parseCommunity(input))).toMatchObject(expected);
+    });
+  });
+
+  describe('patterns', () => {
+    test.each([
+      ['3356:2', '3356:2', true],
+      ['3356:2', '3356:20', false],
+      ['3356:9xx', '3356:901', true],
+      ['3356:9xx', '3356:9001', false],
+      ['3356:100-199', '3356:150', true],
+      ['3356:100-199', '3356:200', false],
+      ['4200000000:1:*', '4200000000:1:77', true],
+      ['4200000000:1:*', '4200000000:2:77', false],
+      ['target:65000:*', 'rt:65000:5', true],
+      ['rt:65000:*', 'rt:65000L:5', true],
+      ['rt:65000:*', 'soo:65000:5', false],
+      ['3356:*', '3356:1:1', false]
+    ])('%s matching %s is %s', (pattern, community, expected) => {
+      expect(decoder.compilePattern(pattern)(decoder.parseCommunity(community))).toBe(expected);
+    });
+
+    test.each(['3356', '3356:', '3356:200-100', '3356:a$b', ''])('rejects pattern %p', (pattern) => {
+      expect(() => decoder.compilePattern(pattern)).toThrow(expect.objectContaining({ code: 'INVALID_PATTERN', field: 'pattern' }));
+    });
+
+    test('finds the ASN a pattern belongs to', () => {
+      expect(decoder.patternASN('3356:9xx')).toBe(3356);
+      expect(decoder.patternASN('rt:65000:*')).toBe(65000);
+      expect(decoder.patternASN('4200000000:1:*')).toBe(4200000000);
+      expect(decoder.patternASN('*:1')).toBeNull();
+    });
+  });
+
+  describe('decodeCommunities', () => {
+    test('names the most specific dictionary match and lists the others', () => {
+      const [customer, region, vpn] = decoder.decodeCommunities('3356:2, 3356:901 rt:65000:100', DICTIONARY);
+
+      expect(customer).toMatchObject({
+        input: '3356:2',
+        description: 'Customer route',
+        dictionary: [
+          { pattern: '3356:2', description: 'Customer route', category: 'origin' },
+          { pattern: '3356:*', description: 'Any Lumen community', category: null }
+        ]
+      });
+      expect(region.description).toBe('Learned in a region');
+      expect(vpn).toMatchObject({ name: 'Route Target', description: 'Customer VPN' });
+    });
+
+    test('reports unparseable entries in place', () => {
+      expect(decoder.decodeCommunities(['no-export', 'bogus'])).toEqual([
+        expect.objectContaining({ input: 'no-export', name: 'NO_EXPORT', wellKnown: true, dictionary: [] }),
+        { input: 'bogus', type: 'invalid', error: '"bogus" is not a valid BGP community' }
+      ]);
+    });
+  });
+
+  describe('dictionary', () => {
+    beforeEach(() => {
+      db.query.mockReset();
+    });
+
+    test('loads only the entries for the ASNs being decoded', async () => {
+      db.query.mockResolvedValueOnce({ rows: DICTIONARY.filter(entry => entry.pattern.startsWith('3356')) });
+
+      const decoded = await dictionary.decode('3356:2 no-export rt:65000:100 bogus');
+
+      expect(db.query.mock.calls[0][1]).toEqual([[3356, 65535, 65000]]);
+      expect(decoded.map(entry => entry.description)).toEqual([
+        'Customer route',
+        'Do not advertise outside the local AS or confederation (RFC 1997)',
+        null,
+        undefined
+      ]);
+    });
+
+    test('skips the database when no community names an ASN', async () => {
+      expect(await dictionary.decode('bogus')).toEqual([{ input: 'bogus', type: 'invalid', error: '"bogus" is not a valid BGP community' }]);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('stores patterns in lower case under their ASN', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'entry-1' }] });
+
+      await dictionary.createEntry({ pattern: ' Target:65000L:* ', description: 'VPN routes' }, 'user-1');
+
+      expect(db.query.mock.calls[0][1]).toEqual([65000, 'target:65000l:*', 'VPN routes', null, 'user-1']);
+    });
+
+    test('refuses patterns without a literal ASN', async () => {
+      await expect(dictionary.createEntry({ pattern: '*:100', description: 'x' }, 'user-1'))
+        .rejects.toMatchObject({ message: 'Pattern must name an ASN, e.g. 3356:2 or rt:65000:*', code: 'INVALID_PATTERN' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
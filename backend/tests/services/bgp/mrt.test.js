@@ -0,0 +1,339 @@
+/**
+ * MRT TABLE_DUMP_V2 reader tests with hand-built records
+ * Network Engineers Toolkit Backend
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const mrt = require('../../../src/services/bgp/mrt');
+
+const { MRTParseError } = mrt;
+
+const TABLE_DUMP_V2 = 13;
+const BGP4MP = 16;
+const PEER_INDEX_TABLE = 1;
+const RIB_IPV4_UNICAST = 2;
+const RIB_IPV6_UNICAST = 4;
+const ORIGINATED = 1700000000;
+
+function u8(value) {
+  return Buffer.from([value]);
+}
+
+function u16(value) {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16BE(value);
+  return buffer;
+}
+
+function u32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+}
+
+function ipv4(address) {
+  return Buffer.from(address.split('.').map(Number));
+}
+
+function ipv6(address) {
+  const [head, tail = ''] = address.split('::');
+  const groups = part => (part ? part.split(':') : []);
+  const missing = 8 - groups(head).length - groups(tail).length;
+  const all = groups(head).concat(Array(missing).fill('0'), groups(tail));
+  return Buffer.concat(all.map(group => u16(parseInt(group, 16))));
+}
+
+function record(type, subtype, body, timestamp = ORIGINATED) {
+  return Buffer.concat([u32(timestamp), u16(type), u16(subtype), u32(body.length), body]);
+}
+
+// peers: [{ ip, asn, as4 }]; IPv6 when the address has a colon
+function peerIndexTable(peers, viewName = '') {
+  return Buffer.concat([
+    ipv4('192.0.2.254'),
+    u16(viewName.length),
+    Buffer.from(viewName),
+    u16(peers.length),
+    ...peers.map((peer) => {
+      const isIPv6 = peer.ip.includes(':');
+      return Buffer.concat([
+        u8((isIPv6 ? 0x01 : 0) | (peer.as4 ? 0x02 : 0)),
+        ipv4(peer.bgpId || '10.255.0.1'),
+        isIPv6 ? ipv6(peer.ip) : ipv4(peer.ip),
+        peer.as4 ? u32(peer.asn) : u16(peer.asn)
+      ]);
+    })
+  ]);
+}
+
+function attribute(type, value, flags = 0x40) {
+  const extended = value.length > 255 || (flags & 0x10) !== 0;
+  return Buffer.concat([
+    u8(extended ? flags | 0x10 : flags),
+    u8(type),
+    extended ? u16(value.length) : u8(value.length),
+    value
+  ]);
+}
+
+// segments: [[1 (AS_SET) or 2 (AS_SEQUENCE), [asns]]], always four-byte AS numbers
+function asPath(segments) {
+  return Buffer.concat(segments.map(([type, asns]) => Buffer.concat([u8(type), u8(asns.length), ...asns.map(u32)])));
+}
+
+// entries: [{ peerIndex, attributes }]
+function ribRecord(prefixLength, prefixBytes, entries, sequence = 0) {
+  return Buffer.concat([
+    u32(sequence),
+    u8(prefixLength),
+    prefixBytes,
+    u16(entries.length),
+    ...entries.map(entry => Buffer.concat([
+      u16(entry.peerIndex),
+      u32(ORIGINATED),
+      u16(entry.attributes.length),
+      entry.attributes
+    ]))
+  ]);
+}
+
+const PEERS = [
+  { ip: '192.0.2.1', asn: 64500 },
+  { ip: '2001:db8::2', asn: 4200000000, as4: true },
+  { ip: '198.51.100.3', asn: 65536, as4: true }
+];
+
+const IPV4_ATTRIBUTES = Buffer.concat([
+  attribute(1, u8(0)),
+  attribute(2, asPath([[2, [64500, 3333, 4200000000]], [1, [65536, 64512]]])),
+  attribute(3, ipv4('192.0.2.1')),
+  attribute(4, u32(50), 0x80),
+  attribute(5, u32(200)),
+  attribute(8, Buffer.concat([u16(3333), u16(100), u16(65535), u16(666)]), 0xc0),
+  attribute(32, Buffer.concat([u32(4200000000), u32(1), u32(2)]), 0xc0)
+]);
+
+const IPV6_ATTRIBUTES = Buffer.concat([
+  attribute(1, u8(2)),
+  attribute(2, asPath([[2, [4200000000, 3333]]])),
+  // Global and link-local next hops; the global one is kept
+  attribute(14, Buffer.concat([u8(32), ipv6('2001:db8::2'), ipv6('fe80::2')]), 0x80),
+  attribute(16, Buffer.concat([u8(0x00), u8(0x02), u16(65000), u32(100)]), 0xc0)
+]);
+
+function ipv4Rib() {
+  return ribRecord(21, Buffer.from([193, 0, 0]), [
+    { peerIndex: 0, attributes: IPV4_ATTRIBUTES },
+    { peerIndex: 2, attributes: Buffer.concat([attribute(1, u8(1)), attribute(2, asPath([[2, [65536, 3333]]]))]) }
+  ]);
+}
+
+function ipv6Rib() {
+  return ribRecord(32, ipv6('2001:67c::').subarray(0, 4), [{ peerIndex: 1, attributes: IPV6_ATTRIBUTES }], 1);
+}
+
+describe('MRT reader', () => {
+  describe('parsePeerIndexTable', () => {
+    test('reads IPv4 and IPv6 peers with two and four byte AS numbers', () => {
+      const peers = mrt.parsePeerIndexTable(peerIndexTable(PEERS, 'rrc00'));
+
+      expect(peers).toEqual([
+        { peerIp: '192.0.2.1', peerAsn: 64500, bgpId: '10.255.0.1' },
+        { peerIp: '2001:db8::2', peerAsn: 4200000000, bgpId: '10.255.0.1' },
+        { peerIp: '198.51.100.3', peerAsn: 65536, bgpId: '10.255.0.1' }
+      ]);
+    });
+
+    test('rejects a table cut off inside a peer', () => {
+      const table = peerIndexTable(PEERS);
+
+      expect(() => mrt.parsePeerIndexTable(table.subarray(0, table.length - 3)))
+        .toThrow(new MRTParseError(`Truncated PEER_INDEX_TABLE entry 2: 12 bytes needed at offset ${table.length - 12} of ${table.length - 3}`));
+      expect(() => mrt.parsePeerIndexTable(table.subarray(0, 5))).toThrow(MRTParseError);
+    });
+  });
+
+  describe('parseRibRecord', () => {
+    const peers = mrt.parsePeerIndexTable(peerIndexTable(PEERS));
+
+    test('reads RIB_IPV4 entries with four byte AS paths and sets', () => {
+      const routes = mrt.parseRibRecord(ipv4Rib(), 4, peers);
+
+      expect(routes).toEqual([
+        {
+          prefix: '193.0.0.0/21',
+          peerIp: '192.0.2.1',
+          peerAsn: 64500,
+          origin: 'IGP',
+          asPath: [64500, 3333, 4200000000, [65536, 64512]],
+          nextHop: '192.0.2.1',
+          med: 50,
+          localPref: 200,
+          communities: ['3333:100', '65535:666', '4200000000:1:2'],
+          timestamp: '2023-11-14T22:13:20.000Z'
+        },
+        {
+          prefix: '193.0.0.0/21',
+          peerIp: '198.51.100.3',
+          peerAsn: 65536,
+          origin: 'EGP',
+          asPath: [65536, 3333],
+          nextHop: null,
+          med: null,
+          localPref: null,
+          communities: [],
+          timestamp: '2023-11-14T22:13:20.000Z'
+        }
+      ]);
+    });
+
+    test('reads RIB_IPV6 entries with the MP_REACH_NLRI next hop', () => {
+      const [route] = mrt.parseRibRecord(ipv6Rib(), 6, peers);
+
+      expect(route).toMatchObject({
+        prefix: '2001:67c::/32',
+        peerIp: '2001:db8::2',
+        peerAsn: 4200000000,
+        origin: 'INCOMPLETE',
+        asPath: [4200000000, 3333],
+        nextHop: '2001:db8::2',
+        communities: ['rt:65000:100']
+      });
+    });
+
+    test('reads extended length attributes', () => {
+      const longPath = Array.from({ length: 70 }, (_, index) => 4200000000 + index);
+      const body = ribRecord(8, Buffer.from([10]), [{ peerIndex: 0, attributes: attribute(2, asPath([[2, longPath]])) }]);
+
+      const [route] = mrt.parseRibRecord(body, 4, peers);
+
+      expect(route.prefix).toBe('10.0.0.0/8');
+      expect(route.asPath).toEqual(longPath);
+    });
+
+    test('reads a default route with no prefix bytes', () => {
+      const body = ribRecord(0, Buffer.alloc(0), [{ peerIndex: 0, attributes: attribute(1, u8(0)) }]);
+
+      expect(mrt.parseRibRecord(body, 4, peers)[0].prefix).toBe('0.0.0.0/0');
+    });
+
+    test('rejects entries that run past the end of the record', () => {
+      const body = ipv4Rib();
+
+      expect(() => mrt.parseRibRecord(body.subarray(0, body.length - 1), 4, peers))
+        .toThrow(/^Truncated RIB_IPV4 record for 193\.0\.0\.0\/21: /);
+      expect(() => mrt.parseRibRecord(body.subarray(0, 7), 4, peers)).toThrow(MRTParseError);
+      expect(() => mrt.parseRibRecord(ipv6Rib().subarray(0, 20), 6, peers)).toThrow(/^Truncated RIB_IPV6 record for 2001:67c::\/32/);
+    });
+
+    test('rejects AS_PATH segments longer than their attribute', () => {
+      const segment = Buffer.concat([u8(2), u8(3), u32(64500), u32(3333)]);
+      const body = ribRecord(8, Buffer.from([10]), [{ peerIndex: 0, attributes: attribute(2, segment) }]);
+
+      expect(() => mrt.parseRibRecord(body, 4, peers)).toThrow('Truncated AS_PATH segment: 12 bytes needed at offset 2 of 10');
+    });
+
+    test('rejects fixed-size attributes that are too short', () => {
+      const body = ribRecord(8, Buffer.from([10]), [{ peerIndex: 0, attributes: attribute(4, u16(1)) }]);
+
+      expect(() => mrt.parseRibRecord(body, 4, peers)).toThrow('Truncated path attribute 4: 4 bytes needed at offset 0 of 2');
+    });
+
+    test('rejects impossible prefix lengths and unknown peers', () => {
+      expect(() => mrt.parseRibRecord(ribRecord(33, Buffer.alloc(5), []), 4, peers)).toThrow('RIB_IPV4 record has prefix length 33');
+
+      const body = ribRecord(8, Buffer.from([10]), [{ peerIndex: 7, attributes: Buffer.alloc(0) }]);
+      expect(() => mrt.parseRibRecord(body, 4, peers)).toThrow('RIB entry for 10.0.0.0/8 references unknown peer index 7');
+    });
+  });
+
+  describe('readRecords', () => {
+    test('reassembles records split across chunks', async () => {
+      const data = Buffer.concat([record(TABLE_DUMP_V2, PEER_INDEX_TABLE, peerIndexTable(PEERS)), record(TABLE_DUMP_V2, RIB_IPV4_UNICAST, ipv4Rib())]);
+      const chunks = [data.subarray(0, 5), data.subarray(5, 40), data.subarray(40)];
+
+      const records = [];
+      for await (const item of mrt.readRecords(Readable.from(chunks))) records.push(item);
+
+      expect(records.map(item => [item.type, item.subtype, item.timestamp])).toEqual([
+        [TABLE_DUMP_V2, PEER_INDEX_TABLE, ORIGINATED],
+        [TABLE_DUMP_V2, RIB_IPV4_UNICAST, ORIGINATED]
+      ]);
+      expect(records[1].body).toEqual(ipv4Rib());
+    });
+
+    test('rejects a file that ends inside a record', async () => {
+      const data = record(TABLE_DUMP_V2, RIB_IPV4_UNICAST, ipv4Rib());
+      const read = async () => {
+        for await (const item of mrt.readRecords(Readable.from([data.subarray(0, data.length - 4)]))) expect(item).toBeUndefined();
+      };
+
+      await expect(read()).rejects.toThrow(`Truncated MRT record at end of file (${data.length - 4} bytes left)`);
+    });
+  });
+
+  describe('readMrtFile', () => {
+    let directory;
+
+    beforeAll(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mrt-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    function writeDump(name, records, gzip = false) {
+      const file = path.join(directory, name);
+      const data = Buffer.concat(records);
+      fs.writeFileSync(file, gzip ? zlib.gzipSync(data) : data);
+      return file;
+    }
+
+    async function readAll(file) {
+      const routes = [];
+      for await (const route of mrt.readMrtFile(file)) routes.push(route);
+      return routes;
+    }
+
+    const DUMP = [
+      record(TABLE_DUMP_V2, PEER_INDEX_TABLE, peerIndexTable(PEERS)),
+      record(BGP4MP, 4, Buffer.alloc(20)),
+      record(TABLE_DUMP_V2, RIB_IPV4_UNICAST, ipv4Rib()),
+      record(TABLE_DUMP_V2, RIB_IPV6_UNICAST, ipv6Rib())
+    ];
+
+    test.each([['raw', false], ['gzipped', true]])('reads routes from a %s dump, skipping other MRT types', async (name, gzip) => {
+      const file = writeDump(`${name}.mrt`, DUMP, gzip);
+
+      const routes = await readAll(file);
+
+      expect(routes.map(route => [route.prefix, route.peerIp])).toEqual([
+        ['193.0.0.0/21', '192.0.2.1'],
+        ['193.0.0.0/21', '198.51.100.3'],
+        ['2001:67c::/32', '2001:db8::2']
+      ]);
+      expect(await mrt.detectFormat(file)).toBe('mrt');
+    });
+
+    test('rejects RIB records before the peer index table', async () => {
+      const file = writeDump('no-peers.mrt', [record(TABLE_DUMP_V2, RIB_IPV4_UNICAST, ipv4Rib())]);
+
+      await expect(readAll(file)).rejects.toThrow('RIB record found before PEER_INDEX_TABLE');
+    });
+
+    test('rejects a record whose entries overrun it', async () => {
+      const rib = ipv4Rib();
+      const file = writeDump('overrun.mrt', [
+        record(TABLE_DUMP_V2, PEER_INDEX_TABLE, peerIndexTable(PEERS)),
+        record(TABLE_DUMP_V2, RIB_IPV4_UNICAST, rib.subarray(0, rib.length - 10))
+      ]);
+
+      await expect(readAll(file)).rejects.toThrow(MRTParseError);
+    });
+  });
+});
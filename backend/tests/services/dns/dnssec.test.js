@@ -0,0 +1,147 @@
+/**
+ * DNSSEC key tag, DS digest and signature tests
+ * Network Engineers Toolkit Backend
+ */
+
+const crypto = require('crypto');
+const dnssec = require('../../../src/services/dns/dnssec');
+
+// RFC 8080 section 6.1
+const RFC8080_KEY = {
+  flags: 257,
+  algorithm: 15,
+  key: Buffer.from('l02Woi0iS8Aa25FQkUd9RMzZHJpBoRQwAQEX1SxZJA4=', 'base64')
+};
+
+const NOW = 1760000000;
+const TYPE_A = 1;
+
+function nameWire(name) {
+  const labels = name.toLowerCase().split('.').filter(Boolean);
+  return Buffer.concat([...labels.map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])), Buffer.from([0])]);
+}
+
+function u16(value) {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16BE(value);
+  return buffer;
+}
+
+function u32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+}
+
+function rawPublicKey(publicKey, algorithm) {
+  const jwk = publicKey.export({ format: 'jwk' });
+  const x = Buffer.from(jwk.x, 'base64url');
+  return algorithm === 13 ? Buffer.concat([x, Buffer.from(jwk.y, 'base64url')]) : x;
+}
+
+/**
+ * Generate a zone key and sign an A RRset with it, building the signed
+ * data by hand as RFC 4034 3.1.8.1 describes
+ */
+function signedRRset(algorithm, { owner = 'www.example.test', addresses = ['192.0.2.2', '192.0.2.1'], inception = NOW - 3600, expiration = NOW + 86400 } = {}) {
+  const pair = algorithm === 13
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('ed25519');
+  const key = { flags: 256, algorithm, key: rawPublicKey(pair.publicKey, algorithm) };
+
+  const sig = {
+    typeCovered: 'A',
+    algorithm,
+    // A wildcard's "*" label is not counted (RFC 4034 3.1.3)
+    labels: owner.split('.').filter(label => label !== '*').length,
+    originalTTL: 300,
+    expiration,
+    inception,
+    keyTag: dnssec.keyTag(key),
+    signersName: 'example.test'
+  };
+
+  const header = Buffer.concat([
+    u16(TYPE_A), Buffer.from([algorithm, sig.labels]), u32(sig.originalTTL),
+    u32(expiration), u32(inception), u16(sig.keyTag), nameWire(sig.signersName)
+  ]);
+  const rdatas = addresses.map(address => Buffer.from(address.split('.').map(Number))).sort(Buffer.compare);
+  const data = Buffer.concat([header, ...rdatas.map(rdata => Buffer.concat([nameWire(owner), u16(TYPE_A), u16(1), u32(300), u16(4), rdata]))]);
+
+  const signature = crypto.sign(algorithm === 13 ? 'sha256' : null, data, { key: pair.privateKey, dsaEncoding: 'ieee-p1363' });
+
+  return {
+    key,
+    rrset: addresses.map(address => ({ name: owner.toUpperCase(), type: 'A', class: 'IN', ttl: 120, data: address })),
+    signature: { name: owner, type: 'RRSIG', data: { ...sig, signature } }
+  };
+}
+
+describe('DNSSEC', () => {
+  test('computes the key tag and DS digest of the RFC 8080 example key', () => {
+    expect(dnssec.keyTag(RFC8080_KEY)).toBe(3613);
+    expect(dnssec.dsDigest('Example.com.', RFC8080_KEY, 2).toString('hex'))
+      .toBe('3aa5ab37efce57f737fc1627013fee07bdf241bd10f3b1964ab55c78e79a304b');
+    expect(dnssec.dsDigest('example.com', RFC8080_KEY, 3)).toBeNull();
+  });
+
+  test('reads trust anchors from DNS_TRUST_ANCHORS', () => {
+    const saved = process.env.DNS_TRUST_ANCHORS;
+    process.env.DNS_TRUST_ANCHORS = '. IN DS 3613 15 2 3AA5AB37; broken entry';
+    try {
+      expect(dnssec.getTrustAnchors()).toEqual([{ keyTag: 3613, algorithm: 15, digestType: 2, digest: Buffer.from('3aa5ab37', 'hex') }]);
+    } finally {
+      if (saved === undefined) delete process.env.DNS_TRUST_ANCHORS;
+      else process.env.DNS_TRUST_ANCHORS = saved;
+    }
+  });
+
+  describe('verifySignature', () => {
+    test.each([[13, 'ECDSAP256SHA256'], [15, 'ED25519']])('verifies a %i (%s) signature in canonical order and case', (algorithm) => {
+      const { key, rrset, signature } = signedRRset(algorithm);
+
+      expect(dnssec.verifySignature(rrset, signature, [key], NOW)).toEqual({
+        covers: 'A',
+        keyTag: dnssec.keyTag(key),
+        algorithm,
+        signer: 'example.test.',
+        inception: new Date((NOW - 3600) * 1000).toISOString(),
+        expiration: new Date((NOW + 86400) * 1000).toISOString(),
+        valid: true,
+        error: null
+      });
+    });
+
+    test('verifies a wildcard expansion against the wildcard owner', () => {
+      const { key, signature } = signedRRset(15, { owner: '*.example.test', addresses: ['192.0.2.9'] });
+      const expanded = [{ name: 'host.example.test', type: 'A', class: 'IN', ttl: 300, data: '192.0.2.9' }];
+
+      expect(dnssec.verifySignature(expanded, signature, [key], NOW).valid).toBe(true);
+    });
+
+    test('fails when the records were changed', () => {
+      const { key, rrset, signature } = signedRRset(15);
+      rrset[0].data = '192.0.2.99';
+
+      expect(dnssec.verifySignature(rrset, signature, [key], NOW)).toMatchObject({ valid: false, error: 'Signature does not verify' });
+    });
+
+    test.each([
+      [{ inception: NOW + 60 }, 'Signature is not valid yet'],
+      [{ expiration: NOW - 60, inception: NOW - 3600 }, 'Signature has expired']
+    ])('checks the validity period %p', (period, error) => {
+      const { key, rrset, signature } = signedRRset(15, period);
+
+      expect(dnssec.verifySignature(rrset, signature, [key], NOW)).toMatchObject({ valid: false, error });
+    });
+
+    test('needs a zone key with the signature\'s tag and algorithm', () => {
+      const { key, rrset, signature } = signedRRset(15);
+
+      expect(dnssec.verifySignature(rrset, signature, [{ ...key, flags: 0 }], NOW).error).toBe(`No DNSKEY with tag ${signature.data.keyTag}`);
+      expect(dnssec.verifySignature(rrset, signature, [RFC8080_KEY], NOW).error).toBe(`No DNSKEY with tag ${signature.data.keyTag}`);
+      expect(dnssec.verifySignature(rrset, { ...signature, data: { ...signature.data, algorithm: 3 } }, [key], NOW).error)
+        .toBe('Unsupported algorithm 3');
+    });
+  });
+});
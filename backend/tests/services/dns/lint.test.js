@@ -0,0 +1,165 @@
+/**
+ * Zone delegation lint tests
+ * Network Engineers Toolkit Backend
+ */
+
+// Glue points at port 53, so the name servers are answered in-process rather than by local servers
+jest.mock('../../../src/services/dns/client', () => ({
+  ...jest.requireActual('../../../src/services/dns/client'),
+  query: jest.fn()
+}));
+
+const { DNSError, query } = require('../../../src/services/dns/client');
+const dnsService = require('../../../src/services/dns');
+
+const ROOT = '198.41.0.4';
+
+function ns(zone, ...names) {
+  return names.map(name => ({ name: zone, type: 'NS', data: name }));
+}
+
+function soa(zone, serial) {
+  return [{ name: zone, type: 'SOA', data: { mname: `ns1.${zone}`, rname: `hostmaster.${zone}`, serial, refresh: 3600, retry: 600, expire: 604800, minimum: 300 } }];
+}
+
+function glue(name, type, data) {
+  return { name, type, data };
+}
+
+// Answers by server address, then by question; a server missing here does not answer
+let world;
+
+function answerFrom(server, name, type) {
+  const respond = world[server.address];
+  if (!respond) throw new DNSError(`${server.address} did not answer`, 'TIMEOUT', 'server');
+
+  const reply = { rcode: 'NOERROR', aa: false, answers: [], authorities: [], additionals: [], ...respond(name, type) };
+  const section = records => records.map(record => ({ class: 'IN', ttl: 300, ...record }));
+  return {
+    server: server.address,
+    transport: 'udp',
+    time: 1,
+    size: 100,
+    rcode: reply.rcode,
+    flags: { aa: reply.aa, tc: false, rd: false, ra: false, ad: false, cd: false },
+    edns: null,
+    answers: section(reply.answers),
+    authorities: section(reply.authorities),
+    additionals: section(reply.additionals)
+  };
+}
+
+// An authoritative server for example.test with its own view of the zone
+function exampleServer({ serial, nameservers, addresses }) {
+  return (name, type) => {
+    if (name === 'example.test' && type === 'SOA') return { aa: true, answers: soa('example.test', serial) };
+    if (name === 'example.test' && type === 'NS') return { aa: true, answers: ns('example.test', ...nameservers) };
+    const found = (addresses[name] || []).filter(record => record.type === type);
+    return { aa: true, answers: found, authorities: found.length > 0 ? [] : soa('example.test', serial) };
+  };
+}
+
+describe('DNS delegation lint', () => {
+  const savedRoots = process.env.DNS_ROOT_SERVERS;
+
+  beforeAll(() => {
+    process.env.DNS_ROOT_SERVERS = ROOT;
+  });
+
+  afterAll(() => {
+    if (savedRoots === undefined) delete process.env.DNS_ROOT_SERVERS;
+    else process.env.DNS_ROOT_SERVERS = savedRoots;
+  });
+
+  beforeEach(() => {
+    query.mockReset();
+    query.mockImplementation(async (server, name, type) => answerFrom(server, name, type));
+  });
+
+  test('compares the parent\'s NS set and glue with what the zone\'s servers say', async () => {
+    world = {
+      [ROOT]: () => ({
+        authorities: ns('example.test', 'ns1.example.test', 'ns2.example.test'),
+        additionals: [glue('ns1.example.test', 'A', '192.0.2.1'), glue('ns2.example.test', 'A', '192.0.2.2')]
+      }),
+      '192.0.2.1': exampleServer({
+        serial: 2026101801,
+        nameservers: ['ns1.example.test', 'ns2.example.test', 'ns3.example.net'],
+        addresses: {
+          'ns1.example.test': [glue('ns1.example.test', 'A', '192.0.2.1')],
+          'ns2.example.test': [glue('ns2.example.test', 'A', '192.0.2.20')]
+        }
+      }),
+      '192.0.2.2': exampleServer({ serial: 2026101800, nameservers: ['ns1.example.test', 'ns2.example.test'], addresses: {} })
+    };
+
+    const result = await dnsService.lintZone({ name: 'Example.Test' });
+
+    expect(result).toMatchObject({
+      zone: 'example.test.',
+      status: 'error',
+      parent: {
+        zone: '.',
+        server: ROOT,
+        nameservers: [{ name: 'ns1.example.test.', glue: ['192.0.2.1'] }, { name: 'ns2.example.test.', glue: ['192.0.2.2'] }]
+      },
+      child: { nameservers: ['ns1.example.test.', 'ns2.example.test.', 'ns3.example.net.'] }
+    });
+    expect(result.child.servers.map(server => [server.address, server.authoritative, server.serial])).toEqual([
+      ['192.0.2.1', true, 2026101801],
+      ['192.0.2.2', true, 2026101800]
+    ]);
+    expect(result.findings).toEqual([
+      { severity: 'error', code: 'GLUE_MISMATCH', message: 'Glue for ns2.example.test. (192.0.2.2) does not match the zone\'s records (192.0.2.20)' },
+      { severity: 'warning', code: 'NS_MISMATCH', message: 'The parent and the zone list different name servers (only in the zone: ns3.example.net.)' },
+      {
+        severity: 'warning',
+        code: 'NS_INCONSISTENT',
+        message: 'The zone\'s servers disagree on its NS set (ns1.example.test.: ns1.example.test. ns2.example.test. ns3.example.net.; ns2.example.test.: ns1.example.test. ns2.example.test.)'
+      },
+      { severity: 'warning', code: 'SERIAL_MISMATCH', message: 'SOA serials differ between servers: ns1.example.test. 2026101801, ns2.example.test. 2026101800' },
+      { severity: 'info', code: 'SINGLE_NETWORK', message: 'All name servers are in 192.0.2.0/24' }
+    ]);
+
+    // Servers are asked without recursion
+    query.mock.calls.forEach(([, , , options]) => expect(options).toMatchObject({ recursion: false }));
+  });
+
+  test('reports lame servers and skips IPv6 glue while IPv6 probing is off', async () => {
+    world = {
+      [ROOT]: () => ({
+        authorities: ns('lame.test', 'ns1.lame.test', 'ns2.lame.test'),
+        additionals: [
+          glue('ns1.lame.test', 'A', '192.0.2.1'),
+          glue('ns2.lame.test', 'A', '203.0.113.9'),
+          glue('ns2.lame.test', 'AAAA', '2001:db8::53')
+        ]
+      }),
+      '192.0.2.1': () => ({ rcode: 'REFUSED' })
+    };
+
+    const result = await dnsService.lintZone({ name: 'lame.test' });
+
+    expect(result.status).toBe('error');
+    expect(result.findings).toEqual([
+      { severity: 'error', code: 'LAME_DELEGATION', message: 'ns1.lame.test. (192.0.2.1) answered REFUSED for lame.test.' },
+      { severity: 'error', code: 'LAME_UNREACHABLE', message: 'ns2.lame.test.: 203.0.113.9 did not answer' }
+    ]);
+    expect(result.child.servers[2]).toEqual({
+      name: 'ns2.lame.test.',
+      address: '2001:db8::53',
+      responded: null,
+      skipped: 'IPv6 probing is disabled (DNS_IPV6)'
+    });
+  });
+
+  test.each([
+    ['the root zone', '.', {}, 'INVALID_ZONE', 'The root zone has no parent delegation to check'],
+    ['a zone that does not exist', 'nothing.test', { [ROOT]: () => ({ rcode: 'NXDOMAIN', aa: true, authorities: soa('.', 1) }) }, 'NOT_FOUND', 'nothing.test. does not exist'],
+    ['a name inside a zone', 'www.example.test', { [ROOT]: () => ({ aa: true, authorities: soa('example.test', 1) }) }, 'NOT_DELEGATED', 'www.example.test. is not a delegated zone']
+  ])('rejects %s', async (label, name, servers, code, message) => {
+    world = servers;
+
+    await expect(dnsService.lintZone({ name })).rejects.toMatchObject({ code, message, field: 'name' });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * DNS lookup and resolver comparison tests against local DNS servers
+ * Network Engineers Toolkit Backend
+ */
+
+const packet = require('dns-packet');
+const dnsService = require('../../../src/services/dns');
+const records = require('../../../src/services/dns/records');
+const { startDnsServer } = require('./servers');
+
+const ZONE = {
+  'www.example.test A': [{ type: 'A', ttl: 300, data: '192.0.2.10' }],
+  'example.test MX': [
+    { type: 'MX', ttl: 3600, data: { preference: 10, exchange: 'Mail.Example.test' } },
+    { type: 'MX', ttl: 3600, data: { preference: 20, exchange: 'backup.example.test' } }
+  ],
+  'example.test TXT': [{ type: 'TXT', ttl: 60, data: ['v=spf1 -all', 'say "hi"\\'] }],
+  '10.2.0.192.in-addr.arpa PTR': [{ type: 'PTR', ttl: 86400, data: 'www.example.test' }],
+  'big.example.test TXT': [{ type: 'TXT', ttl: 60, data: ['only over TCP'] }]
+};
+
+// Serve ZONE; "big." names only fit over TCP
+function answerFrom(zone) {
+  return (question, transport) => {
+    const answers = zone[`${question.name} ${question.type}`];
+    if (!answers) return { rcode: 'NXDOMAIN' };
+    if (transport === 'udp' && question.name.startsWith('big.')) return { tc: true };
+    return { answers: answers.map(record => ({ name: question.name, ...record })) };
+  };
+}
+
+describe('DNS lookups', () => {
+  let primary;
+  let stale;
+
+  beforeAll(async () => {
+    primary = await startDnsServer(answerFrom(ZONE));
+    stale = await startDnsServer(answerFrom({ ...ZONE, 'www.example.test A': [{ type: 'A', ttl: 300, data: '198.51.100.10' }] }));
+  });
+
+  afterAll(async () => {
+    await primary.close();
+    await stale.close();
+  });
+
+  beforeEach(() => {
+    primary.queries.length = 0;
+  });
+
+  test('asks the resolver and formats answers the way dig prints them', async () => {
+    const result = await dnsService.lookup({ name: 'Example.TEST.', type: 'mx', resolver: primary.address });
+
+    expect(result).toMatchObject({
+      name: 'example.test.',
+      type: 'MX',
+      resolver: primary.address,
+      server: primary.address,
+      transport: 'udp',
+      rcode: 'NOERROR',
+      flags: { rd: true, ra: true, aa: false },
+      answers: [
+        { name: 'example.test.', type: 'MX', ttl: 3600, data: '10 mail.example.test.' },
+        { name: 'example.test.', type: 'MX', ttl: 3600, data: '20 backup.example.test.' }
+      ]
+    });
+    expect(primary.queries).toEqual([{ transport: 'udp', name: 'example.test', type: 'MX', flags: packet.RECURSION_DESIRED }]);
+  });
+
+  test('quotes TXT strings', async () => {
+    const { answers } = await dnsService.lookup({ name: 'example.test', type: 'TXT', resolver: primary.address });
+
+    expect(answers[0].data).toBe('"v=spf1 -all" "say \\"hi\\"\\\\"');
+  });
+
+  test('turns an address into its reverse lookup name', async () => {
+    const result = await dnsService.lookup({ name: '192.0.2.10', resolver: primary.address });
+
+    expect(result).toMatchObject({ name: '10.2.0.192.in-addr.arpa.', type: 'PTR', answers: [{ data: 'www.example.test.' }] });
+  });
+
+  test('retries a truncated answer over TCP', async () => {
+    const result = await dnsService.lookup({ name: 'big.example.test', type: 'TXT', resolver: primary.address });
+
+    expect(result).toMatchObject({ transport: 'tcp', answers: [{ data: '"only over TCP"' }] });
+    expect(primary.queries.map(query => query.transport)).toEqual(['udp', 'tcp']);
+  });
+
+  test('clears RD for norecurse and reports NXDOMAIN', async () => {
+    const result = await dnsService.lookup({ name: 'missing.example.test', resolver: primary.address, norecurse: 'true', tcp: true });
+
+    expect(result).toMatchObject({ rcode: 'NXDOMAIN', transport: 'tcp', answers: [] });
+    expect(primary.queries[0]).toMatchObject({ transport: 'tcp', flags: 0 });
+  });
+
+  test('groups resolvers by the answers they give', async () => {
+    const result = await dnsService.compare({ name: 'www.example.test', resolvers: `${primary.address}, ${stale.address} ${primary.address}` });
+
+    expect(result.consistent).toBe(false);
+    expect(result.answerSets).toEqual([
+      { rcode: 'NOERROR', records: ['www.example.test. A 192.0.2.10'], resolvers: [primary.address, primary.address] },
+      { rcode: 'NOERROR', records: ['www.example.test. A 198.51.100.10'], resolvers: [stale.address] }
+    ]);
+  });
+
+  test.each([
+    [{ name: '' }, { code: 'MISSING_NAME', field: 'name' }],
+    [{ name: 'example.test', type: 'BOGUS!' }, { code: 'INVALID_TYPE', field: 'type' }],
+    [{ name: 'exa mple.test' }, { code: 'INVALID_NAME', field: 'name' }],
+    [{ name: 'example.test', resolver: 'example.net' }, { code: 'INVALID_RESOLVER', field: 'resolver' }],
+    [{ name: 'example.test', resolvers: '127.0.0.1' }, { code: 'INVALID_RESOLVERS', field: 'resolvers' }]
+  ])('rejects %p', async (params, error) => {
+    const run = params.resolvers ? dnsService.compare : dnsService.lookup;
+    await expect(run(params)).rejects.toMatchObject(error);
+  });
+});
+
+describe('DNS record presentation', () => {
+  test.each([
+    ['mx', 'MX'],
+    ['https', 'UNKNOWN_65'],
+    ['TYPE65', 'UNKNOWN_65'],
+    ['TYPE1', 'A'],
+    ['TYPE0', null],
+    ['not a type', null]
+  ])('reads type %p as %p', (text, type) => {
+    expect(records.typeName(text)).toBe(type);
+  });
+
+  test('names types dns-packet only knows by number', () => {
+    expect(records.displayType('UNKNOWN_65')).toBe('HTTPS');
+    expect(records.displayType('UNKNOWN_99')).toBe('TYPE99');
+  });
+
+  test('builds IPv6 reverse names by nibble', () => {
+    expect(records.reverseName('2001:db8::1')).toBe('1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa');
+    expect(records.reverseName('example.test')).toBeNull();
+  });
+
+  test('shows data without a codec in RFC 3597 form', () => {
+    expect(records.formatData({ type: 'UNKNOWN_65', data: Buffer.from([0, 1, 0, 0]) })).toBe('\\# 4 00010000');
+    expect(records.formatData({ type: 'UNKNOWN_65', data: Buffer.alloc(0) })).toBe('\\# 0');
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Local DNS server stand-in for the DNS service tests
+ * Network Engineers Toolkit Backend
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const packet = require('dns-packet');
+
+const RCODES = { NOERROR: 0, SERVFAIL: 2, NXDOMAIN: 3, REFUSED: 5 };
+
+/**
+ * Start a DNS server on UDP and TCP of the same port
+ * @param {Function} answer - Called with (question, transport), returns
+ *   { rcode, aa, tc, answers, authorities, additionals }
+ * @returns {Promise<Object>} { address, queries, close() }
+ */
+async function startDnsServer(answer) {
+  const queries = [];
+
+  function reply(query, transport) {
+    const [question] = query.questions;
+    queries.push({ transport, name: question.name, type: question.type, flags: query.flags });
+
+    const response = answer(question, transport);
+    // The low four bits of the flags are the rcode
+    const flags = (query.flags & packet.RECURSION_DESIRED) | packet.RECURSION_AVAILABLE
+      | (response.aa ? packet.AUTHORITATIVE_ANSWER : 0)
+      | (response.tc ? packet.TRUNCATED_RESPONSE : 0)
+      | RCODES[response.rcode || 'NOERROR'];
+
+    const section = records => (records || []).map(record => ({ class: 'IN', ttl: 300, ...record }));
+    return packet.encode({
+      type: 'response',
+      id: query.id,
+      flags,
+      questions: query.questions,
+      answers: section(response.answers),
+      authorities: section(response.authorities),
+      additionals: section(response.additionals)
+    });
+  }
+
+  const udp = dgram.createSocket('udp4');
+  udp.on('message', (message, remote) => {
+    udp.send(reply(packet.decode(message), 'udp'), remote.port, remote.address);
+  });
+  await new Promise(resolve => udp.bind(0, '127.0.0.1', resolve));
+  const { port } = udp.address();
+
+  const tcp = net.createServer((socket) => {
+    socket.once('data', (data) => {
+      const message = reply(packet.streamDecode(data), 'tcp');
+      const length = Buffer.alloc(2);
+      length.writeUInt16BE(message.length);
+      socket.end(Buffer.concat([length, message]));
+    });
+  });
+  await new Promise((resolve, reject) => {
+    tcp.once('error', reject);
+    tcp.listen(port, '127.0.0.1', resolve);
+  });
+
+  return {
+    address: `127.0.0.1:${port}`,
+    queries,
+    close: () => new Promise(resolve => udp.close(() => tcp.close(() => resolve())))
+  };
+}
+
+module.exports = {
+  startDnsServer
+};
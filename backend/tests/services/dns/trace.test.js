@@ -0,0 +1,101 @@
+/**
+ * Iterative DNS trace tests against a local root stand-in
+ * Network Engineers Toolkit Backend
+ */
+
+process.env.DNS_TIMEOUT_MS = '200';
+
+const net = require('net');
+const dnsService = require('../../../src/services/dns');
+const { startDnsServer } = require('./servers');
+
+// A port nothing listens on right now
+function closedPort() {
+  return new Promise((resolve) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+describe('DNS trace', () => {
+  const savedRoots = process.env.DNS_ROOT_SERVERS;
+  let root;
+  let answer;
+
+  beforeAll(async () => {
+    root = await startDnsServer(question => answer(question));
+  });
+
+  afterAll(async () => {
+    await root.close();
+    if (savedRoots === undefined) delete process.env.DNS_ROOT_SERVERS;
+    else process.env.DNS_ROOT_SERVERS = savedRoots;
+  });
+
+  beforeEach(() => {
+    root.queries.length = 0;
+    process.env.DNS_ROOT_SERVERS = root.address;
+  });
+
+  test('stops at the first authoritative answer, asking without recursion', async () => {
+    answer = question => ({
+      aa: true,
+      answers: [{ name: question.name, type: 'A', data: '192.0.2.10' }]
+    });
+
+    const result = await dnsService.trace({ name: 'www.example.test' });
+
+    expect(result).toMatchObject({
+      name: 'www.example.test.',
+      type: 'A',
+      rcode: 'NOERROR',
+      complete: true,
+      error: null,
+      answers: [{ name: 'www.example.test.', type: 'A', ttl: 300, data: '192.0.2.10' }]
+    });
+    expect(result.steps).toEqual([expect.objectContaining({ zone: '.', server: root.address, authoritative: true, referral: null, failures: [] })]);
+    expect(root.queries).toEqual([{ transport: 'udp', name: 'www.example.test', type: 'A', flags: 0 }]);
+  });
+
+  test('reports NXDOMAIN with the zone\'s SOA as a finished trace', async () => {
+    answer = () => ({
+      rcode: 'NXDOMAIN',
+      aa: true,
+      authorities: [{
+        name: '.',
+        type: 'SOA',
+        data: { mname: 'a.root-servers.net', rname: 'nstld.verisign-grs.com', serial: 2026101800, refresh: 1800, retry: 900, expire: 604800, minimum: 86400 }
+      }]
+    });
+
+    const result = await dnsService.trace({ name: 'nothing.invalid', type: 'AAAA' });
+
+    expect(result).toMatchObject({ type: 'AAAA', rcode: 'NXDOMAIN', complete: true, answers: [] });
+    expect(result.steps[0].authorities[0].data).toBe('a.root-servers.net. nstld.verisign-grs.com. 2026101800 1800 900 604800 86400');
+  });
+
+  test('refuses a referral that does not lead towards the name', async () => {
+    answer = () => ({
+      authorities: [{ name: 'other', type: 'NS', data: 'ns.other' }],
+      additionals: [{ name: 'ns.other', type: 'A', data: '192.0.2.53' }]
+    });
+
+    const result = await dnsService.trace({ name: 'www.example.test' });
+
+    expect(result).toMatchObject({
+      complete: false,
+      error: `${root.address} gave a referral to other., which does not lead towards www.example.test.`
+    });
+  });
+
+  test('gives up when no root server answers', async () => {
+    process.env.DNS_ROOT_SERVERS = `127.0.0.1:${await closedPort()}`;
+
+    const result = await dnsService.trace({ name: 'www.example.test' });
+
+    expect(result).toMatchObject({ steps: [], rcode: null, complete: false });
+    expect(result.error).toMatch(/^No server for \. answered \(127\.0\.0\.1:\d+: 127\.0\.0\.1:\d+ did not answer\)$/);
+  });
+});
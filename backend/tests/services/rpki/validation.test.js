@@ -0,0 +1,162 @@
+/**
+ * RPKI origin validation tests
+ * Network Engineers Toolkit Backend
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rpki = require('../../../src/services/rpki');
+
+const ROAS = {
+  metadata: { generated: 1760000000 },
+  roas: [
+    { prefix: '192.0.2.0/24', maxLength: 24, asn: 'AS64500', ta: 'ripe' },
+    { prefix: '198.51.100.0/22', maxLength: 24, asn: 64501, ta: 'arin' },
+    { prefix: '203.0.113.0/24', max_length: 24, asn: 'AS0' },
+    { prefix: '2001:db8::/32', maxLength: 48, asn: 'AS64502' },
+    { prefix: '10.0.0.0/8', maxLength: 4, asn: 'AS1' },
+    { prefix: 'not-a-prefix', asn: 'AS2' }
+  ]
+};
+
+describe('RPKI origin validation', () => {
+  const savedPath = process.env.RPKI_VRP_PATH;
+  let dir;
+  let mtime = 1700000000;
+
+  // Give each write its own mtime so the service reloads the file
+  function writeVrps(document, file = process.env.RPKI_VRP_PATH) {
+    fs.writeFileSync(file, typeof document === 'string' ? document : JSON.stringify(document));
+    mtime += 60;
+    fs.utimesSync(file, mtime, mtime);
+    return file;
+  }
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rpki-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (savedPath === undefined) delete process.env.RPKI_VRP_PATH;
+    else process.env.RPKI_VRP_PATH = savedPath;
+  });
+
+  beforeEach(() => {
+    process.env.RPKI_VRP_PATH = path.join(dir, 'vrps.json');
+    fs.rmSync(process.env.RPKI_VRP_PATH, { force: true });
+  });
+
+  describe('parseVrpJson', () => {
+    test('reads routinator and rpki-client exports, skipping unusable entries', () => {
+      const parsed = rpki.parseVrpJson(JSON.stringify(ROAS));
+
+      expect(parsed).toMatchObject({ count: 4, skipped: 2, metadata: { generated: 1760000000 } });
+      expect(parsed.vrps.coveringMatches('198.51.100.0/24')[0]).toEqual({
+        prefix: '198.51.100.0/22',
+        routes: [{ prefix: '198.51.100.0/22', asn: 64501, maxLength: 24, ta: 'arin' }]
+      });
+    });
+
+    test('reads a bare array and a "vrps" key', () => {
+      const entry = { prefix: '192.0.2.0/24', asn: 64500 };
+
+      expect(rpki.parseVrpJson(JSON.stringify([entry])).count).toBe(1);
+      expect(rpki.parseVrpJson(JSON.stringify({ vrps: [entry] })).count).toBe(1);
+    });
+
+    test.each([
+      ['{', /^VRP file is not valid JSON: /],
+      ['{"prefixes": []}', /^VRP file must contain a "roas" array$/],
+      ['{"roas": [{"prefix": "192.0.2.0/24"}]}', /^VRP file contains no usable entries$/]
+    ])('rejects %p', (text, message) => {
+      expect(() => rpki.parseVrpJson(text)).toThrow(expect.objectContaining({ message: expect.stringMatching(message), code: 'INVALID_VRP_FILE', field: 'vrps' }));
+    });
+  });
+
+  describe('validate', () => {
+    beforeEach(() => {
+      writeVrps(ROAS);
+    });
+
+    test('returns null without a VRP file', async () => {
+      fs.rmSync(process.env.RPKI_VRP_PATH);
+
+      expect(await rpki.validate('192.0.2.0/24', 64500)).toBeNull();
+      expect(await rpki.validateOrigins('192.0.2.0/24', [64500])).toBeNull();
+    });
+
+    test('is Valid when a covering VRP has the origin and allows the length', async () => {
+      expect(await rpki.validate('198.51.100.0/23', 'AS64501')).toMatchObject({
+        prefix: '198.51.100.0/23',
+        asn: 64501,
+        state: 'Valid',
+        reason: null,
+        matched: [{ prefix: '198.51.100.0/22', asn: 64501, maxLength: 24, ta: 'arin' }]
+      });
+      expect((await rpki.validate('2001:db8:1::/48', 64502)).state).toBe('Valid');
+    });
+
+    test('reports why a covered route is Invalid', async () => {
+      expect(await rpki.validate('192.0.2.0/24', 64999)).toMatchObject({ state: 'Invalid', reason: 'ORIGIN_MISMATCH' });
+      expect(await rpki.validate('192.0.2.0/24', null)).toMatchObject({ asn: null, state: 'Invalid', reason: 'NO_ORIGIN' });
+      expect(await rpki.validate('198.51.100.128/25', 64501)).toMatchObject({ state: 'Invalid', reason: 'MAX_LENGTH', maxLength: 24 });
+      expect(await rpki.validate('2001:db8:1:2::/64', 64502)).toMatchObject({ state: 'Invalid', reason: 'MAX_LENGTH', maxLength: 48 });
+    });
+
+    test('never matches an AS0 VRP', async () => {
+      expect(await rpki.validate('203.0.113.0/24', 0)).toMatchObject({ state: 'Invalid', reason: 'ORIGIN_MISMATCH' });
+    });
+
+    test('is NotFound without a covering VRP', async () => {
+      expect(await rpki.validate('192.0.2.0/23', 64500)).toMatchObject({ state: 'NotFound', reason: null, covering: [] });
+      expect(await rpki.validate('10.1.0.0/16', 1)).toMatchObject({ state: 'NotFound' });
+    });
+
+    test('validates each origin of a prefix', async () => {
+      expect((await rpki.validateOrigins('192.0.2.0/24', [64500, 64999])).map(result => result.state)).toEqual(['Valid', 'Invalid']);
+      expect((await rpki.validateOrigins('192.0.2.0/24', [])).map(result => result.reason)).toEqual(['NO_ORIGIN']);
+    });
+
+    test('rejects prefixes that do not parse', async () => {
+      await expect(rpki.validate('192.0.2.300/24', 64500)).rejects.toMatchObject({ code: 'INVALID_PREFIX', field: 'prefix' });
+    });
+
+    test('reloads the file when it changes', async () => {
+      expect((await rpki.validate('192.0.2.0/24', 64999)).state).toBe('Invalid');
+
+      writeVrps({ roas: [{ prefix: '192.0.2.0/24', asn: 'AS64999' }] });
+
+      expect((await rpki.validate('192.0.2.0/24', 64999)).state).toBe('Valid');
+    });
+  });
+
+  describe('installVrpFile', () => {
+    test('replaces the VRP file with a valid upload and removes the upload', async () => {
+      const upload = writeVrps(ROAS, path.join(dir, 'upload-1'));
+
+      expect(await rpki.installVrpFile(upload)).toMatchObject({
+        loaded: true,
+        path: process.env.RPKI_VRP_PATH,
+        count: 4,
+        skipped: 2,
+        metadata: { generated: 1760000000 }
+      });
+      expect(fs.existsSync(upload)).toBe(false);
+    });
+
+    test('keeps the current file when the upload does not parse', async () => {
+      writeVrps(ROAS);
+      const upload = writeVrps('{"roas": []', path.join(dir, 'upload-2'));
+
+      await expect(rpki.installVrpFile(upload)).rejects.toMatchObject({ code: 'INVALID_VRP_FILE' });
+      expect((await rpki.getStatus()).count).toBe(4);
+      expect(fs.existsSync(upload)).toBe(false);
+    });
+
+    test('reports no set when no file has been installed', async () => {
+      expect(await rpki.getStatus()).toEqual({ loaded: false, path: process.env.RPKI_VRP_PATH });
+    });
+  });
+});
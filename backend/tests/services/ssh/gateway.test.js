@@ -0,0 +1,263 @@
+/**
+ * SSH WebSocket gateway tests against a local SSH server
+ * Network Engineers Toolkit Backend
+ */
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../../../src/database/connection', () => ({ query: jest.fn() }));
+jest.mock('../../../src/services/ssh/recorder', () => ({ startRecording: jest.fn() }));
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const WebSocket = require('ws');
+const { Server, utils } = require('ssh2');
+const db = require('../../../src/database/connection');
+const recorder = require('../../../src/services/ssh/recorder');
+const gateway = require('../../../src/services/ssh');
+const { fingerprintKey } = require('../../../src/services/ssh/session');
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const DEVICE_PASSWORD = 'lab-password';
+
+function generateHostKey() {
+  const key = utils.generateKeyPairSync('ed25519');
+  return { private: key.private, fingerprint: fingerprintKey(utils.parseKey(key.public).getPublicSSH()) };
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+// SSH server with one password account whose shell prints a prompt
+async function startSshServer(hostKey) {
+  const connections = [];
+  const server = new Server({ hostKeys: [hostKey.private] }, (client) => {
+    connections.push(client);
+    client.on('error', () => {});
+    client.on('authentication', (ctx) => {
+      if (ctx.method === 'password' && ctx.password === DEVICE_PASSWORD) return ctx.accept();
+      ctx.reject(['password']);
+    });
+    client.on('ready', () => {
+      client.on('session', (accept) => {
+        const session = accept();
+        session.on('pty', accept => accept && accept());
+        session.on('shell', (accept) => {
+          accept().write('lab-router> ');
+        });
+      });
+    });
+  });
+  const port = await listen(server);
+  return { port, connections, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+describe('SSH gateway', () => {
+  const deviceKey = generateHostKey();
+  const otherKey = generateHostKey();
+  const savedNetworks = process.env.SSH_ALLOWED_NETWORKS;
+  let device;
+  let httpServer;
+  let wss;
+  let gatewayPort;
+  let users;
+  let knownHost;
+
+  beforeAll(async () => {
+    device = await startSshServer(deviceKey);
+    httpServer = http.createServer();
+    wss = gateway.attach(httpServer);
+    gatewayPort = await listen(httpServer);
+  });
+
+  afterAll(async () => {
+    if (savedNetworks === undefined) delete process.env.SSH_ALLOWED_NETWORKS;
+    else process.env.SSH_ALLOWED_NETWORKS = savedNetworks;
+    wss.close();
+    await new Promise(resolve => httpServer.close(resolve));
+    await device.close();
+  });
+
+  beforeEach(() => {
+    process.env.SSH_ALLOWED_NETWORKS = '127.0.0.0/8';
+    device.connections.splice(0);
+    users = { [USER_ID]: { id: USER_ID, username: 'alice', role: 'user', is_active: true } };
+    knownHost = null;
+
+    db.query.mockReset();
+    db.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM users')) return { rows: users[params[0]] ? [users[params[0]]] : [] };
+      if (sql.includes('FROM ssh_known_hosts')) return { rows: knownHost ? [knownHost] : [] };
+      return { rows: [] };
+    });
+    recorder.startRecording.mockReset();
+    recorder.startRecording.mockResolvedValue({
+      id: 'recording-1',
+      output: jest.fn(),
+      input: jest.fn(),
+      resize: jest.fn(),
+      finish: jest.fn().mockResolvedValue()
+    });
+  });
+
+  function connect(overrides = {}) {
+    return {
+      type: 'connect',
+      token: jwt.sign({ userId: USER_ID }, process.env.JWT_SECRET),
+      host: '127.0.0.1',
+      port: device.port,
+      username: 'netops',
+      password: DEVICE_PASSWORD,
+      ...overrides
+    };
+  }
+
+  // Send a connect message and collect JSON frames until the gateway closes or connects
+  function runSession(message) {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(`ws://127.0.0.1:${gatewayPort}/api/ssh`);
+      const messages = [];
+      ws.on('open', () => ws.send(JSON.stringify(message)));
+      ws.on('message', (data, isBinary) => {
+        if (isBinary) return;
+        const parsed = JSON.parse(data);
+        messages.push(parsed);
+        if (parsed.type === 'status' && parsed.status === 'connected') ws.close(1000);
+      });
+      ws.on('close', code => resolve({ code, messages }));
+      ws.on('error', reject);
+    });
+  }
+
+  function knownHostWrites() {
+    return db.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO ssh_known_hosts'));
+  }
+
+  describe('authentication', () => {
+    test.each([
+      ['a token signed with another secret', () => jwt.sign({ userId: USER_ID }, 'other-secret')],
+      ['an expired token', () => jwt.sign({ userId: USER_ID, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET)],
+      ['a missing token', () => undefined]
+    ])('rejects %s', async (name, token) => {
+      const { code, messages } = await runSession(connect({ token: token() }));
+
+      expect(code).toBe(4401);
+      expect(messages).toEqual([{ type: 'error', error: 'Invalid or expired token', code: 'UNAUTHORIZED', field: 'token' }]);
+      expect(db.query).not.toHaveBeenCalled();
+      expect(device.connections).toHaveLength(0);
+    });
+
+    test('refuses a valid token whose account is inactive or deleted', async () => {
+      users = {};
+
+      const { code, messages } = await runSession(connect());
+
+      expect(code).toBe(4401);
+      expect(messages).toEqual([{ type: 'error', error: 'User account not found or inactive', code: 'UNAUTHORIZED', field: 'token' }]);
+      expect(db.query.mock.calls[0][1]).toEqual([USER_ID]);
+      expect(device.connections).toHaveLength(0);
+    });
+
+    test('closes with a server error when the account cannot be checked', async () => {
+      db.query.mockRejectedValue(new Error('connection refused'));
+
+      const { code, messages } = await runSession(connect());
+
+      expect(code).toBe(1011);
+      expect(messages[0]).toMatchObject({ type: 'error', code: 'SSH_ERROR' });
+    });
+  });
+
+  describe('SSH_ALLOWED_NETWORKS', () => {
+    test('allows nothing when empty', async () => {
+      delete process.env.SSH_ALLOWED_NETWORKS;
+
+      const { code, messages } = await runSession(connect());
+
+      expect(code).toBe(4400);
+      expect(messages[0]).toMatchObject({
+        type: 'error',
+        code: 'HOST_NOT_ALLOWED',
+        error: 'SSH sessions are disabled until SSH_ALLOWED_NETWORKS lists the networks they may reach'
+      });
+      expect(device.connections).toHaveLength(0);
+    });
+
+    test('refuses devices outside the listed networks', async () => {
+      process.env.SSH_ALLOWED_NETWORKS = '10.0.0.0/8, 2001:db8::/32';
+
+      const { code, messages } = await runSession(connect());
+
+      expect(code).toBe(4400);
+      expect(messages[0]).toMatchObject({ code: 'HOST_NOT_ALLOWED', error: '127.0.0.1 is outside the networks SSH sessions may reach' });
+      expect(device.connections).toHaveLength(0);
+    });
+  });
+
+  describe('host keys', () => {
+    test('trusts and stores the key of a device seen for the first time', async () => {
+      const { messages } = await runSession(connect());
+
+      expect(messages).toEqual([expect.objectContaining({
+        type: 'status',
+        status: 'connected',
+        message: `Connected to netops@127.0.0.1:${device.port}`,
+        fingerprint: deviceKey.fingerprint,
+        hostKey: 'new'
+      })]);
+      expect(knownHostWrites()).toHaveLength(1);
+      expect(knownHostWrites()[0][1]).toEqual(['127.0.0.1', device.port, '127.0.0.1', deviceKey.fingerprint, USER_ID]);
+      expect(recorder.startRecording).toHaveBeenCalledWith(expect.objectContaining({ userId: USER_ID, address: '127.0.0.1', username: 'netops' }));
+    });
+
+    test('connects when the device still has the stored key', async () => {
+      knownHost = { address: '127.0.0.1', port: device.port, fingerprint: deviceKey.fingerprint };
+
+      const { messages } = await runSession(connect());
+
+      expect(messages[0]).toMatchObject({ status: 'connected', hostKey: 'known' });
+    });
+
+    test('refuses a device whose key differs from the stored one', async () => {
+      knownHost = { address: '127.0.0.1', port: device.port, fingerprint: otherKey.fingerprint };
+
+      const { code, messages } = await runSession(connect());
+
+      expect(code).toBe(4502);
+      expect(messages).toEqual([{
+        type: 'error',
+        code: 'HOST_KEY_MISMATCH',
+        field: 'hostFingerprint',
+        error: `Host key ${deviceKey.fingerprint} differs from ${otherKey.fingerprint} seen on earlier sessions; ` +
+          'reconnect with the new fingerprint if the device\'s key was replaced'
+      }]);
+      expect(knownHostWrites()).toHaveLength(0);
+      expect(recorder.startRecording).not.toHaveBeenCalled();
+    });
+
+    test('refuses a key that does not match the fingerprint given', async () => {
+      const { code, messages } = await runSession(connect({ hostFingerprint: otherKey.fingerprint }));
+
+      expect(code).toBe(4502);
+      expect(messages[0]).toMatchObject({ code: 'HOST_KEY_MISMATCH', error: `Host key ${deviceKey.fingerprint} does not match the expected fingerprint` });
+      expect(knownHostWrites()).toHaveLength(0);
+    });
+
+    test('replaces the stored key when the user names the new one', async () => {
+      knownHost = { address: '127.0.0.1', port: device.port, fingerprint: otherKey.fingerprint };
+
+      const { messages } = await runSession(connect({ hostFingerprint: deviceKey.fingerprint }));
+
+      expect(messages[0]).toMatchObject({ status: 'connected', hostKey: 'changed', fingerprint: deviceKey.fingerprint });
+      expect(knownHostWrites()[0][1][3]).toBe(deviceKey.fingerprint);
+    });
+  });
+
+  test('reports a wrong device password', async () => {
+    const { code, messages } = await runSession(connect({ password: 'wrong' }));
+
+    expect(code).toBe(4502);
+    expect(messages[0]).toMatchObject({ code: 'AUTH_FAILED', field: 'password' });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * SSH session recording tests
+ * Network Engineers Toolkit Backend
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+process.env.SSH_RECORDINGS_DIR = DIR;
+
+jest.mock('../../../src/database/connection', () => ({ query: jest.fn() }));
+
+const db = require('../../../src/database/connection');
+const recorder = require('../../../src/services/ssh/recorder');
+
+const SESSION = {
+  userId: 'user-1',
+  host: 'core-rtr1',
+  address: '192.0.2.1',
+  port: 22,
+  username: 'netops',
+  cols: 80,
+  rows: 24
+};
+
+function readCast(id) {
+  return fs.readFileSync(path.join(DIR, `${id}.cast`), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    stream.on('data', (chunk) => { data += chunk; });
+    stream.on('end', () => resolve(data));
+    stream.on('error', reject);
+  });
+}
+
+describe('SSH session recorder', () => {
+  afterAll(() => {
+    fs.rmSync(DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    db.query.mockReset();
+  });
+
+  test('stripAnsi leaves the plain text of terminal output', () => {
+    expect(recorder.stripAnsi('\x1b[1;32mrouter#\x1b[0m show version\r\n\x1b]0;title\x07Junos\x08 24.2\r\n'))
+      .toBe('router# show version\nJunos 24.2\n');
+  });
+
+  describe('startRecording', () => {
+    test('writes an asciicast v2 file and stores the transcript when the session ends', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'rec-1' }] }).mockResolvedValueOnce({ rows: [] });
+
+      const recording = await recorder.startRecording(SESSION);
+      const euro = Buffer.from('€ \x1b[0mok\r\n');
+      recording.output(euro.subarray(0, 2));
+      recording.output(euro.subarray(2));
+      recording.input('show\r');
+      recording.resize(120, 40);
+      await recording.finish();
+      recording.input('ignored after finish');
+      await recording.finish();
+
+      expect(recording.id).toBe('rec-1');
+      expect(db.query.mock.calls[0][1]).toEqual(['user-1', 'core-rtr1', '192.0.2.1', 22, 'netops', 80, 24, expect.any(Date)]);
+
+      const [header, ...events] = readCast('rec-1');
+      expect(header).toMatchObject({ version: 2, width: 80, height: 24, env: { TERM: 'xterm-256color' }, title: 'netops@core-rtr1:22' });
+      expect(events.map(([seconds, ...rest]) => [typeof seconds, ...rest])).toEqual([
+        ['number', 'o', '€ \x1b[0mok\r\n'],
+        ['number', 'i', 'show\r'],
+        ['number', 'r', '120x40']
+      ]);
+
+      expect(db.query).toHaveBeenCalledTimes(2);
+      const [, [id, duration, bytes, transcript]] = db.query.mock.calls[1];
+      expect({ id, bytes, transcript }).toEqual({ id: 'rec-1', bytes: euro.length, transcript: '€ ok\n' });
+      expect(duration).toBeGreaterThanOrEqual(0);
+    });
+
+    test('writes out a character still split when the session ends', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'rec-2' }] }).mockResolvedValueOnce({ rows: [] });
+
+      const recording = await recorder.startRecording(SESSION);
+      recording.output(Buffer.from('€').subarray(0, 1));
+      await recording.finish();
+
+      expect(readCast('rec-2').slice(1).map(event => event.slice(1))).toEqual([['o', '�']]);
+    });
+  });
+
+  describe('listRecordings', () => {
+    test('filters by transcript, user and host with LIKE wildcards escaped', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ count: '1' }] }).mockResolvedValueOnce({ rows: [{ id: 'rec-1' }] });
+
+      const result = await recorder.listRecordings({ q: '100%_up', user: 'alice', host: 'core', limit: 10, offset: 20 });
+
+      expect(result).toEqual({ recordings: [{ id: 'rec-1' }], total: 1 });
+      expect(db.query.mock.calls[0][0]).toContain('WHERE transcript ILIKE $1 AND username ILIKE $2 AND (host ILIKE $3 OR address ILIKE $3)');
+      expect(db.query.mock.calls[1][1]).toEqual(['%100\\%\\_up%', '%alice%', '%core%', 10, 20]);
+    });
+
+    test('lists everything, newest first, 50 at a time by default', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ count: '0' }] }).mockResolvedValueOnce({ rows: [] });
+
+      await recorder.listRecordings();
+
+      expect(db.query.mock.calls[0][0]).not.toContain('WHERE');
+      expect(db.query.mock.calls[1][0]).toContain('ORDER BY started_at DESC');
+      expect(db.query.mock.calls[1][1]).toEqual([50, 0]);
+    });
+  });
+
+  describe('openCast', () => {
+    test('streams a recording\'s file and gives null when there is none', async () => {
+      fs.writeFileSync(path.join(DIR, 'rec-3.cast'), '{"version":2}\n');
+
+      expect(await readStream(await recorder.openCast('rec-3'))).toBe('{"version":2}\n');
+      expect(await recorder.openCast('missing')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Syslog stream framing tests
+ * Network Engineers Toolkit Backend
+ */
+
+const { FrameDecoder, DEFAULT_MAX_LENGTH } = require('../../../src/services/syslog/framing');
+
+const RFC5424 = '<165>1 2003-10-11T22:14:15.003Z mymachine.example.com evntslog - ID47 - An application event log entry';
+
+function counted(message) {
+  return `${Buffer.byteLength(message)} ${message}`;
+}
+
+// Feed data one chunk at a time and collect every message
+function decode(chunks, options) {
+  const decoder = new FrameDecoder(options);
+  return chunks.flatMap(chunk => decoder.push(Buffer.from(chunk)));
+}
+
+describe('FrameDecoder', () => {
+  describe('octet counting', () => {
+    test('reads consecutive counted frames from one chunk', () => {
+      expect(decode([counted(RFC5424) + counted('<13>second') + counted('<13>with\nnewline')]))
+        .toEqual([RFC5424, '<13>second', '<13>with\nnewline']);
+    });
+
+    test('reassembles frames split anywhere, including inside the count', () => {
+      const data = counted(RFC5424) + counted('<13>second');
+      const bytes = [...Buffer.from(data)].map(byte => Buffer.from([byte]));
+
+      expect(decode(bytes)).toEqual([RFC5424, '<13>second']);
+      expect(decode(['1', '1 <13>hel', 'lo A'])).toEqual(['<13>hello A']);
+    });
+
+    test('counts octets, not characters', () => {
+      const decoder = new FrameDecoder();
+      const data = Buffer.from(counted('<13>héllo wörld'));
+
+      expect(decoder.push(data.subarray(0, 10))).toEqual([]);
+      expect(decoder.push(data.subarray(10))).toEqual(['<13>héllo wörld']);
+    });
+
+    test('truncates frames longer than the limit and keeps reading', () => {
+      expect(decode(['10 0123456789', counted('<13>next')], { maxLength: 5 })).toEqual(['01234', '<13>n']);
+    });
+
+    test('waits for the rest of a count', () => {
+      const decoder = new FrameDecoder();
+
+      expect(decoder.push(Buffer.from('12'))).toEqual([]);
+      expect(decoder.push(Buffer.from('3'))).toEqual([]);
+      expect(decoder.push(Buffer.from(' '))).toEqual([]);
+    });
+
+    test('does not take a leading zero for a count', () => {
+      expect(decode(['05 x\n', '0 y\n'])).toEqual(['05 x', '0 y']);
+    });
+  });
+
+  describe('non-transparent framing', () => {
+    test('splits on LF, drops CR and waits for the last LF', () => {
+      const decoder = new FrameDecoder();
+
+      expect(decoder.push(Buffer.from('<13>first\r\n<13>sec'))).toEqual(['<13>first']);
+      expect(decoder.push(Buffer.from('ond\n'))).toEqual(['<13>second']);
+    });
+
+    test('returns a last message left without its LF at the end', () => {
+      const decoder = new FrameDecoder();
+      decoder.push(Buffer.from('<13>a\n<13>b'));
+
+      expect(decoder.end()).toBe('<13>b');
+      expect(decoder.end()).toBeNull();
+    });
+
+    test('truncates long lines and skips the rest of them', () => {
+      expect(decode(['abcdefgh', 'ij\nnext\n'], { maxLength: 5 })).toEqual(['abcde', 'next']);
+      expect(decode(['0123456789\nok\n'], { maxLength: 5 })).toEqual(['01234', 'ok']);
+    });
+
+    test('drops a truncated line and an unfinished counted frame at the end', () => {
+      const long = new FrameDecoder({ maxLength: 5 });
+      long.push(Buffer.from('abcdefgh'));
+      expect(long.end()).toBeNull();
+
+      const unfinished = new FrameDecoder();
+      unfinished.push(Buffer.from('20 <13>cut'));
+      expect(unfinished.end()).toBeNull();
+    });
+  });
+
+  test('follows a sender that switches framing between messages', () => {
+    expect(decode([`<13>plain\n${counted('<13>counted')}<13>plain again\n`]))
+      .toEqual(['<13>plain', '<13>counted', '<13>plain again']);
+  });
+
+  test('rejects LF framing when octet counting is required (RFC 5425)', () => {
+    const decoder = new FrameDecoder({ octetCountingOnly: true });
+
+    expect(decoder.push(Buffer.from(counted('<13>ok')))).toEqual(['<13>ok']);
+    expect(() => decoder.push(Buffer.from('<13>plain\n'))).toThrow(expect.objectContaining({
+      message: 'Messages must be framed with an octet count (RFC 5425)',
+      code: 'FRAMING_ERROR',
+      field: 'stream'
+    }));
+  });
+
+  test('limits messages to 8192 octets by default', () => {
+    expect(DEFAULT_MAX_LENGTH).toBe(8192);
+    expect(decode([counted('x'.repeat(9000))])[0]).toHaveLength(8192);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Syslog listener tests against local UDP and TCP senders
+ * Network Engineers Toolkit Backend
+ */
+
+jest.mock('../../../src/database/connection', () => ({ query: jest.fn() }));
+jest.mock('../../../src/utils/settings', () => ({ getNumberSetting: jest.fn(async (key, fallback) => fallback) }));
+jest.mock('../../../src/services/syslog/store', () => ({
+  DEFAULT_RETENTION_DAYS: 30,
+  MAX_LIMIT: 5000,
+  insertEvents: jest.fn(),
+  maintainPartitions: jest.fn(),
+  queryEvents: jest.fn()
+}));
+
+const dgram = require('dgram');
+const net = require('net');
+const store = require('../../../src/services/syslog/store');
+const collector = require('../../../src/services/syslog');
+
+const ENV = ['SYSLOG_LISTENERS', 'SYSLOG_BIND_ADDRESS', 'SYSLOG_UDP_PORT', 'SYSLOG_TCP_PORT', 'SYSLOG_ALLOWED_NETWORKS', 'SYSLOG_TLS_CERT', 'SYSLOG_TLS_KEY'];
+
+// A port nothing listens on right now, for the listener to bind
+function freePort() {
+  return new Promise((resolve) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitFor(check) {
+  for (let i = 0; i < 200; i++) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for the collector');
+}
+
+function sendUdp(port, message) {
+  const socket = dgram.createSocket('udp4');
+  return new Promise((resolve, reject) => {
+    socket.send(Buffer.from(message), port, '127.0.0.1', (error) => {
+      socket.close();
+      if (error) reject(error);
+      else resolve();
+    });
+  });
+}
+
+// Write data on a TCP connection, end it and wait for the collector to close its side
+function sendTcp(port, data) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.end(data));
+    socket.on('error', reject);
+    socket.on('close', resolve);
+    socket.resume();
+  });
+}
+
+function storedEvents() {
+  return store.insertEvents.mock.calls.flatMap(([events]) => events);
+}
+
+describe('syslog collector', () => {
+  const saved = {};
+  let ports;
+
+  beforeAll(() => {
+    ENV.forEach((name) => {
+      saved[name] = process.env[name];
+    });
+  });
+
+  afterAll(() => {
+    ENV.forEach((name) => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  });
+
+  beforeEach(async () => {
+    ENV.forEach(name => delete process.env[name]);
+    ports = { udp: await freePort(), tcp: await freePort() };
+    process.env.SYSLOG_BIND_ADDRESS = '127.0.0.1';
+    process.env.SYSLOG_UDP_PORT = String(ports.udp);
+    process.env.SYSLOG_TCP_PORT = String(ports.tcp);
+
+    store.insertEvents.mockReset();
+    store.insertEvents.mockImplementation(async events => events.length);
+    store.maintainPartitions.mockReset();
+    store.maintainPartitions.mockResolvedValue([]);
+  });
+
+  afterEach(async () => {
+    await collector.stop();
+  });
+
+  test('starts no listeners unless SYSLOG_LISTENERS names them', async () => {
+    expect(await collector.start()).toEqual([]);
+    expect(store.maintainPartitions).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses unknown transports without starting any', async () => {
+    process.env.SYSLOG_LISTENERS = 'udp,sctp';
+
+    expect(await collector.start()).toEqual([]);
+  });
+
+  test('reports a TLS listener without a certificate as not listening', async () => {
+    process.env.SYSLOG_LISTENERS = 'tls';
+
+    expect(await collector.start()).toEqual([{
+      transport: 'tls',
+      address: '127.0.0.1',
+      port: 6514,
+      listening: false,
+      connections: 0,
+      error: 'The TLS listener needs SYSLOG_TLS_CERT and SYSLOG_TLS_KEY'
+    }]);
+  });
+
+  test('stores UDP datagrams and TCP messages in both framings', async () => {
+    process.env.SYSLOG_LISTENERS = 'udp, tcp';
+    const status = await collector.start();
+    expect(status.map(listener => [listener.transport, listener.port, listener.listening]))
+      .toEqual([['udp', ports.udp, true], ['tcp', ports.tcp, true]]);
+    const before = (await collector.getStatus()).received;
+
+    await sendUdp(ports.udp, '<34>Oct 11 22:14:15 mymachine su: over udp\n');
+    await sendTcp(ports.tcp, '20 <13>counted\nmessage\n<13>framed\r\nnot syslog');
+    await waitFor(async () => (await collector.getStatus()).received === before + 4);
+    await collector.flush();
+
+    const events = storedEvents();
+    expect(events.map(event => [event.transport, event.sourceAddress, event.entry.message])).toEqual([
+      ['udp', '127.0.0.1', 'over udp'],
+      ['tcp', '127.0.0.1', 'counted\nmessage'],
+      ['tcp', '127.0.0.1', 'framed'],
+      ['tcp', '127.0.0.1', 'not syslog']
+    ]);
+    expect(events[0].entry).toMatchObject({ 'host.name': 'mymachine', 'process.name': 'su', 'log.syslog.severity.code': 2 });
+    expect(events[3].entry).toEqual({ 'event.original': 'not syslog', 'message': 'not syslog', 'host.name': '127.0.0.1' });
+    expect(events[0].receivedAt).toBeInstanceOf(Date);
+  });
+
+  test('drops senders outside SYSLOG_ALLOWED_NETWORKS', async () => {
+    process.env.SYSLOG_LISTENERS = 'udp,tcp';
+    process.env.SYSLOG_ALLOWED_NETWORKS = '10.0.0.0/8, 2001:db8::/32';
+    await collector.start();
+    const before = await collector.getStatus();
+
+    await sendTcp(ports.tcp, '<13>refused\n');
+    await sendUdp(ports.udp, '<13>refused');
+    await waitFor(async () => (await collector.getStatus()).rejected === before.rejected + 2);
+    await collector.flush();
+
+    expect((await collector.getStatus()).received).toBe(before.received);
+    expect(store.insertEvents).not.toHaveBeenCalled();
+  });
+
+  test('counts events the store could not write as dropped', async () => {
+    process.env.SYSLOG_LISTENERS = 'udp';
+    store.insertEvents.mockRejectedValue(new Error('connection refused'));
+    await collector.start();
+    const before = await collector.getStatus();
+
+    await sendUdp(ports.udp, '<13>lost');
+    await waitFor(async () => (await collector.getStatus()).received === before.received + 1);
+    await collector.flush();
+
+    expect(await collector.getStatus()).toMatchObject({ stored: before.stored, dropped: before.dropped + 1, queued: 0, retentionDays: 30 });
+  });
+});
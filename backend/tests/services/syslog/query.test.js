@@ -0,0 +1,115 @@
+/**
+ * Syslog query SQL tests
+ * Network Engineers Toolkit Backend
+ */
+
+const { parse } = require('../../../src/shared/syslogQuery');
+const { toSql, likePattern } = require('../../../src/services/syslog/query');
+
+const NOW = new Date('2026-01-01T12:00:00Z');
+const SEARCH = '(message ILIKE $1 OR host ILIKE $1 OR program ILIKE $1 OR event_code ILIKE $1 OR fields->>\'event.category\' ILIKE $1)';
+
+function sql(text, values = []) {
+  return { sql: toSql(parse(text), values, NOW), values };
+}
+
+describe('syslog query SQL', () => {
+  test('returns null for an empty query', () => {
+    const values = [];
+
+    expect(toSql(parse(''), values, NOW)).toBeNull();
+    expect(values).toEqual([]);
+  });
+
+  test('searches free text in every search column with one parameter', () => {
+    expect(sql('peer')).toEqual({ sql: `COALESCE(${SEARCH}, false)`, values: ['%peer%'] });
+  });
+
+  test('numbers its parameters after the ones already given', () => {
+    expect(sql('host:core', ['tenant', 10])).toEqual({
+      sql: 'COALESCE((host ILIKE $3), false)',
+      values: ['tenant', 10, 'core']
+    });
+  });
+
+  test('keeps precedence with parentheses and NOT', () => {
+    expect(sql('a OR NOT b c').sql).toBe(
+      '(COALESCE((message ILIKE $1 OR host ILIKE $1 OR program ILIKE $1 OR event_code ILIKE $1 OR fields->>\'event.category\' ILIKE $1), false)' +
+      ' OR (NOT COALESCE((message ILIKE $2 OR host ILIKE $2 OR program ILIKE $2 OR event_code ILIKE $2 OR fields->>\'event.category\' ILIKE $2), false)' +
+      ' AND COALESCE((message ILIKE $3 OR host ILIKE $3 OR program ILIKE $3 OR event_code ILIKE $3 OR fields->>\'event.category\' ILIKE $3), false)))'
+    );
+  });
+
+  test('turns wildcards into ILIKE and matches message fields anywhere', () => {
+    expect(sql('host:core-rtr* msg:"50%_up"')).toEqual({
+      sql: '(COALESCE((host ILIKE $1), false) AND COALESCE((message ILIKE $2), false))',
+      values: ['core-rtr%', '%50\\%\\_up%']
+    });
+  });
+
+  test('uses ~ and ~* for regular expressions', () => {
+    expect(sql('msg~/BGP.*Down/ raw~/flap/i')).toEqual({
+      sql: '(COALESCE((message ~ $1), false) AND COALESCE((original ~* $2), false))',
+      values: ['BGP.*Down', 'flap']
+    });
+  });
+
+  test('compares severities and priorities as numbers', () => {
+    expect(sql('severity<=error pri:13')).toEqual({
+      sql: '(COALESCE((severity <= $1), false) AND COALESCE(((facility * 8 + severity) = $2), false))',
+      values: [3, 13]
+    });
+  });
+
+  test('resolves relative and absolute times against now', () => {
+    expect(sql('@timestamp>-2h received<2026-01-01T06:00')).toEqual({
+      sql: '(COALESCE((COALESCE(event_time, received_at) > $1), false) AND COALESCE((received_at < $2), false))',
+      values: [new Date('2026-01-01T10:00:00Z'), new Date('2026-01-01T06:00:00Z')]
+    });
+  });
+
+  test('matches source networks with inet containment', () => {
+    expect(sql('src:10.0.0.0/8 src~/^192/')).toEqual({
+      sql: '(COALESCE((source_address <<= $1::inet), false) AND COALESCE((host(source_address) ~ $2), false))',
+      values: ['10.0.0.0/8', '^192']
+    });
+  });
+
+  test('checks presence of columns and of fields JSONB keys', () => {
+    expect(sql('host:* category:*')).toEqual({
+      sql: '(COALESCE((host IS NOT NULL), false) AND COALESCE((fields ? $1), false))',
+      values: ['event.category']
+    });
+  });
+
+  test('passes field names without a column as parameters', () => {
+    expect(sql('interface.name:ge-0/0/* vlan>100')).toEqual({
+      sql: '(COALESCE(((fields->>$1) ILIKE $2), false) AND COALESCE(((CASE WHEN (fields->>$3) ~ \'^-?[0-9]+(\\.[0-9]+)?$\' ' +
+        'THEN (fields->>$3)::numeric END) > $4), false))',
+      values: ['interface.name', 'ge-0/0/%', 'vlan', 100]
+    });
+  });
+
+  test('searches structured data parameters in any element', () => {
+    const from = "jsonb_each(fields->'log.syslog.structured_data') AS sd(id, params)";
+
+    expect(sql('sd.ip:10.* -sd.seq:*')).toEqual({
+      sql: `(COALESCE((EXISTS (SELECT 1 FROM ${from} WHERE (sd.params->>$1) ILIKE $2)), false)` +
+        ` AND NOT COALESCE((EXISTS (SELECT 1 FROM ${from} WHERE sd.params ? $3)), false))`,
+      values: ['ip', '10.%', 'seq']
+    });
+  });
+
+  test('never puts query text into the SQL', () => {
+    const { sql: condition, values } = sql('"\'; DROP TABLE users; --" host:x\'y msg~/\'/');
+
+    expect(condition).not.toContain('DROP');
+    expect(condition).not.toMatch(/x'y/);
+    expect(values).toEqual(["%'; DROP TABLE users; --%", "x'y", "'"]);
+  });
+
+  test('likePattern escapes LIKE wildcards and keeps * unless literal', () => {
+    expect(likePattern('a*b%c_d\\e', false)).toBe('a%b\\%c\\_d\\\\e');
+    expect(likePattern('a*b', true)).toBe('a*b');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Saved syslog query tests
+ * Network Engineers Toolkit Backend
+ */
+
+jest.mock('../../../src/database/connection', () => ({ query: jest.fn() }));
+
+const db = require('../../../src/database/connection');
+const savedQueries = require('../../../src/services/syslog/savedQueries');
+
+const OWNER = 'user-1';
+const TEAMMATE = 'user-2';
+
+function savedRow(overrides = {}) {
+  return {
+    id: 'query-1',
+    name: 'BGP down',
+    query: 'msg~/BGP.*Down/',
+    description: null,
+    is_shared: false,
+    created_by: OWNER,
+    created_by_username: 'alice',
+    ...overrides
+  };
+}
+
+describe('saved syslog queries', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+  });
+
+  describe('createQuery', () => {
+    test('stores trimmed fields and returns the row with its owner', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'query-1' }] })
+        .mockResolvedValueOnce({ rows: [savedRow({ is_shared: true })] });
+
+      const saved = await savedQueries.createQuery(OWNER, { name: ' BGP down ', query: 'msg~/BGP.*Down/', description: '  ', shared: 1 });
+
+      expect(db.query.mock.calls[0][1]).toEqual(['BGP down', 'msg~/BGP.*Down/', null, true, OWNER]);
+      expect(db.query.mock.calls[1][1]).toEqual(['query-1']);
+      expect(saved).toMatchObject({ id: 'query-1', is_shared: true, created_by_username: 'alice' });
+    });
+
+    test('refuses a query that does not parse', async () => {
+      await expect(savedQueries.createQuery(OWNER, { name: 'broken', query: 'severity:bogus' }))
+        .rejects.toMatchObject({ code: 'INVALID_QUERY', field: 'q' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      [{ query: 'a' }, { code: 'MISSING_FIELD', field: 'name' }],
+      [{ name: 'x' }, { code: 'MISSING_FIELD', field: 'query' }],
+      [{ name: 'x'.repeat(101), query: 'a' }, { code: 'INVALID_FIELD', field: 'name', message: 'name is limited to 100 characters' }],
+      [{ name: 'x', query: 'a', description: 'd'.repeat(501) }, { code: 'INVALID_FIELD', field: 'description' }]
+    ])('checks its fields (%#)', async (fields, error) => {
+      await expect(savedQueries.createQuery(OWNER, fields)).rejects.toMatchObject(error);
+    });
+
+    test('reports a duplicate name', async () => {
+      db.query.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+      await expect(savedQueries.createQuery(OWNER, { name: 'BGP down', query: 'a' }))
+        .rejects.toMatchObject({ code: 'DUPLICATE_NAME', field: 'name' });
+    });
+  });
+
+  describe('getQuery', () => {
+    test('returns the user\'s own and shared queries only', async () => {
+      db.query.mockResolvedValue({ rows: [savedRow()] });
+      expect(await savedQueries.getQuery(OWNER, 'query-1')).toMatchObject({ id: 'query-1' });
+      expect(await savedQueries.getQuery(TEAMMATE, 'query-1')).toBeNull();
+
+      db.query.mockResolvedValue({ rows: [savedRow({ is_shared: true })] });
+      expect(await savedQueries.getQuery(TEAMMATE, 'query-1')).toMatchObject({ id: 'query-1' });
+    });
+  });
+
+  describe('updateQuery', () => {
+    test('sets only the given fields and only on the owner\'s query', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'query-1' }] })
+        .mockResolvedValueOnce({ rows: [savedRow({ query: 'host:core*', is_shared: true })] });
+
+      await savedQueries.updateQuery(OWNER, 'query-1', { query: 'host:core*', shared: true });
+
+      const [sql, values] = db.query.mock.calls[0];
+      expect(sql).toContain('SET query = $1, is_shared = $2');
+      expect(sql).toContain('WHERE id = $3 AND created_by = $4');
+      expect(values).toEqual(['host:core*', true, 'query-1', OWNER]);
+    });
+
+    test('returns null when the user does not own the query', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await savedQueries.updateQuery(TEAMMATE, 'query-1', { name: 'mine now' })).toBeNull();
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('refuses an update with nothing to change', async () => {
+      await expect(savedQueries.updateQuery(OWNER, 'query-1', {})).rejects.toMatchObject({ code: 'NO_CHANGES' });
+    });
+  });
+
+  describe('deleteQuery', () => {
+    test('deletes only the owner\'s query', async () => {
+      db.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+
+      expect(await savedQueries.deleteQuery(OWNER, 'query-1')).toBe(true);
+      expect(await savedQueries.deleteQuery(TEAMMATE, 'query-1')).toBe(false);
+      expect(db.query.mock.calls[1][1]).toEqual(['query-1', TEAMMATE]);
+    });
+  });
+
+  test('listQueries lists own queries first, then shared ones', async () => {
+    db.query.mockResolvedValueOnce({ rows: [savedRow()] });
+
+    await savedQueries.listQueries(OWNER);
+
+    const [sql, values] = db.query.mock.calls[0];
+    expect(sql).toContain('WHERE q.created_by = $1 OR q.is_shared');
+    expect(sql).toContain('ORDER BY q.created_by = $1 DESC, lower(q.name)');
+    expect(values).toEqual([OWNER]);
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Syslog event store tests
+ * Network Engineers Toolkit Backend
+ */
+
+jest.mock('../../../src/database/connection', () => ({ query: jest.fn() }));
+
+const db = require('../../../src/database/connection');
+const store = require('../../../src/services/syslog/store');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+function event(entry, receivedAt = NOW) {
+  return { receivedAt, sourceAddress: '192.0.2.1', transport: 'udp', entry };
+}
+
+function queries() {
+  return db.query.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+}
+
+describe('syslog event store', () => {
+  let retentionDays;
+
+  beforeEach(() => {
+    retentionDays = [];
+    db.query.mockReset();
+    db.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM app_settings')) return { rows: retentionDays };
+      return { rows: [], rowCount: 0 };
+    });
+  });
+
+  describe('insertEvents', () => {
+    const entry = {
+      'event.original': '<34>Oct 11 22:14:15 mymachine su: failed',
+      '@timestamp': '2025-10-11T22:14:15.000Z',
+      'host.name': 'mymachine',
+      'log.syslog.priority': 34,
+      'log.syslog.facility.code': 4,
+      'log.syslog.facility.name': 'auth',
+      'log.syslog.severity.code': 2,
+      'log.syslog.severity.name': 'critical',
+      'log.syslog.format': 'rfc3164',
+      'process.name': 'su',
+      'message': 'failed',
+      'log.syslog.structured_data': { a: { b: 'c' } }
+    };
+
+    test('writes a batch in one statement with the extra fields as JSON', async () => {
+      db.query.mockResolvedValueOnce({ rowCount: 2 });
+
+      expect(await store.insertEvents([event(entry), event({ 'event.original': 'x', message: 'x' })])).toBe(2);
+
+      const [sql, values] = db.query.mock.calls[0];
+      expect(sql).toBe('INSERT INTO syslog_events (received_at, event_time, source_address, transport, host, facility, severity, ' +
+        'program, pid, event_code, format, message, original, fields) VALUES ' +
+        '($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14), ($15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28)');
+      expect(values.slice(0, 14)).toEqual([
+        NOW, '2025-10-11T22:14:15.000Z', '192.0.2.1', 'udp', 'mymachine', 4, 2, 'su', null, null, 'rfc3164', 'failed',
+        entry['event.original'], JSON.stringify({ 'log.syslog.structured_data': { a: { b: 'c' } } })
+      ]);
+      expect(values.slice(14)).toEqual([NOW, null, '192.0.2.1', 'udp', null, null, null, null, null, null, null, 'x', 'x', null]);
+    });
+
+    test('creates missing partitions and retries once', async () => {
+      const yesterday = new Date('2026-03-09T23:59:00Z');
+      db.query
+        .mockRejectedValueOnce(Object.assign(new Error('no partition of relation "syslog_events" found for row'), { code: '23514' }))
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rowCount: 2 });
+
+      expect(await store.insertEvents([event(entry, yesterday), event(entry)])).toBe(2);
+      expect(queries().slice(1, 3)).toEqual([
+        "CREATE TABLE IF NOT EXISTS syslog_events_20260309 PARTITION OF syslog_events FOR VALUES FROM ('2026-03-09T00:00:00.000Z') TO ('2026-03-10T00:00:00.000Z')",
+        "CREATE TABLE IF NOT EXISTS syslog_events_20260310 PARTITION OF syslog_events FOR VALUES FROM ('2026-03-10T00:00:00.000Z') TO ('2026-03-11T00:00:00.000Z')"
+      ]);
+    });
+
+    test('passes other database errors on', async () => {
+      db.query.mockRejectedValueOnce(Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED' }));
+
+      await expect(store.insertEvents([event(entry)])).rejects.toThrow('connection refused');
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('does nothing for an empty batch', async () => {
+      expect(await store.insertEvents([])).toBe(0);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('partition maintenance', () => {
+    function partitions(...names) {
+      db.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM app_settings')) return { rows: retentionDays };
+        if (sql.includes('pg_inherits')) return { rows: names.map(name => ({ name })) };
+        return { rows: [] };
+      });
+    }
+
+    test('creates partitions ahead and drops whole days past the retention period', async () => {
+      retentionDays = [{ setting_value: '7' }];
+      partitions('syslog_events_20260301', 'syslog_events_20260302', 'syslog_events_20260303', 'syslog_events_default');
+
+      expect(await store.maintainPartitions(NOW)).toEqual(['syslog_events_20260301', 'syslog_events_20260302']);
+
+      const sql = queries();
+      expect(sql.filter(text => text.startsWith('CREATE TABLE')).map(text => text.split(' ')[5]))
+        .toEqual(['syslog_events_20260310', 'syslog_events_20260311', 'syslog_events_20260312']);
+      expect(sql.filter(text => text.startsWith('DROP TABLE'))).toEqual([
+        'DROP TABLE IF EXISTS syslog_events_20260301',
+        'DROP TABLE IF EXISTS syslog_events_20260302'
+      ]);
+    });
+
+    test('keeps 30 days without a setting and everything when it is 0', async () => {
+      partitions('syslog_events_20260207', 'syslog_events_20260208');
+      expect(await store.dropExpiredPartitions(NOW)).toEqual(['syslog_events_20260207']);
+
+      retentionDays = [{ setting_value: '0' }];
+      expect(await store.dropExpiredPartitions(NOW)).toEqual([]);
+    });
+  });
+
+  describe('queryEvents', () => {
+    function lastQuery() {
+      const [sql, values] = db.query.mock.calls[db.query.mock.calls.length - 1];
+      return { where: /WHERE (.*) ORDER BY/.exec(sql.replace(/\s+/g, ' '))[1], values };
+    }
+
+    test('combines filters and the query into one parameterised condition', async () => {
+      await store.queryEvents({
+        q: 'msg~/Down/', from: '2026-03-10T10:00:00Z', to: '2026-03-10T11:00:00Z',
+        host: 'core-*', severity: 'warning', facility: 'local7', source: '10.0.0.0/8', transport: 'TCP', search: '50%', limit: '10'
+      });
+
+      expect(lastQuery()).toEqual({
+        where: 'received_at >= $1 AND received_at < $2 AND host ILIKE $3 AND severity <= $4 AND facility = $5 ' +
+          'AND source_address <<= $6::inet AND transport = $7 AND message ILIKE $8 AND COALESCE((message ~ $9), false)',
+        values: [new Date('2026-03-10T10:00:00Z'), new Date('2026-03-10T11:00:00Z'), 'core-%', 4, 23, '10.0.0.0/8', 'tcp', '%50\\%%', 'Down', 11]
+      });
+    });
+
+    test('searches the last hour unless the query sets its own time range', async () => {
+      jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+      try {
+        expect(await store.queryEvents({})).toMatchObject({ from: '2026-03-10T11:00:00.000Z', to: '2026-03-10T12:00:00.000Z' });
+        expect(await store.queryEvents({ q: 'time>-1d' })).toMatchObject({ from: null, to: null });
+        expect(lastQuery().where).toBe('COALESCE((COALESCE(event_time, received_at) > $1), false)');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('maps rows to entries and reports truncation', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          {
+            id: 7, received_at: NOW, event_time: null, source_address: '192.0.2.1', transport: 'udp', host: 'core-rtr1',
+            facility: 23, severity: 5, program: null, pid: null, event_code: 'LINK-3-UPDOWN', format: 'cisco',
+            message: 'down', original: '<189>down', fields: { 'cisco.mnemonic': 'UPDOWN' }
+          },
+          { id: 6, received_at: NOW, facility: null, severity: null, message: 'x', original: 'x', fields: null }
+        ]
+      });
+
+      const result = await store.queryEvents({ limit: 1 });
+
+      expect(result.truncated).toBe(true);
+      expect(result.events).toEqual([{
+        '_id': '7',
+        '@timestamp': NOW.toISOString(),
+        'event.created': NOW.toISOString(),
+        'host.name': 'core-rtr1',
+        'log.source.address': '192.0.2.1',
+        'network.transport': 'udp',
+        'event.code': 'LINK-3-UPDOWN',
+        'log.syslog.format': 'cisco',
+        'message': 'down',
+        'event.original': '<189>down',
+        'log.syslog.priority': 189,
+        'log.syslog.facility.code': 23,
+        'log.syslog.facility.name': 'local7',
+        'log.syslog.severity.code': 5,
+        'log.syslog.severity.name': 'notice',
+        'cisco.mnemonic': 'UPDOWN'
+      }]);
+    });
+
+    test.each([
+      [{ from: 'yesterday' }, { code: 'INVALID_TIME', field: 'from' }],
+      [{ from: '2026-03-10T12:00:00Z', to: '2026-03-10T11:00:00Z' }, { code: 'INVALID_TIME', field: 'from' }],
+      [{ severity: 'loud' }, { code: 'INVALID_FILTER', field: 'severity' }],
+      [{ source: '10.0.0.0/33' }, { code: 'INVALID_FILTER', field: 'source' }],
+      [{ transport: 'sctp' }, { code: 'INVALID_FILTER', field: 'transport' }],
+      [{ host: 'x'.repeat(201) }, { code: 'INVALID_FILTER', field: 'host' }],
+      [{ q: 'a'.repeat(2001) }, { code: 'INVALID_QUERY', field: 'q' }],
+      [{ q: 'severity:loud' }, { code: 'INVALID_QUERY', field: 'q' }]
+    ])('rejects %p', async (filters, error) => {
+      await expect(store.queryEvents(filters)).rejects.toMatchObject(error);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('reports PostgreSQL regular expression errors as query errors', async () => {
+      db.query.mockRejectedValueOnce(Object.assign(new Error('invalid regular expression: invalid escape \\ sequence'), { code: '2201B' }));
+
+      await expect(store.queryEvents({ q: 'msg~/\\q/' })).rejects.toMatchObject({
+        message: 'Invalid regular expression: invalid escape \\ sequence',
+        code: 'INVALID_QUERY',
+        field: 'q'
+      });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * WHOIS / RDAP lookup tests against local registry stand-ins
+ * Network Engineers Toolkit Backend
+ */
+
+jest.mock('../../../src/database/connection', () => ({ query: jest.fn() }));
+
+const db = require('../../../src/database/connection');
+const whois = require('../../../src/services/whois');
+const bootstrap = require('../../../src/services/whois/bootstrap');
+const { startWhoisServer, startRdapServer } = require('./servers');
+
+const ENV_NAMES = ['RDAP_BOOTSTRAP_URL', 'RDAP_SERVER_URL', 'WHOIS_SERVER', 'WHOIS_IANA_SERVER', 'WHOIS_RATE_LIMITS', 'WHOIS_ALLOWED_REFERRALS'];
+
+const RIPE_AUTNUM = `aut-num:        AS3333
+as-name:        RIPE-NCC-AS
+org:            ORG-RIEN1-RIPE
+status:         ASSIGNED
+source:         RIPE
+`;
+
+describe('whois.lookup', () => {
+  const savedEnv = {};
+  const routes = {};
+  let rdapServer;
+  let registry;
+  let registrar;
+  let answers;
+
+  beforeAll(async () => {
+    ENV_NAMES.forEach((name) => {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    });
+
+    answers = {};
+    rdapServer = await startRdapServer(routes);
+    registry = await startWhoisServer(query => answers.registry(query));
+    registrar = await startWhoisServer(query => answers.registrar(query));
+
+    process.env.RDAP_BOOTSTRAP_URL = `${rdapServer.url}/bootstrap`;
+    process.env.WHOIS_RATE_LIMITS = 'default=0';
+    process.env.WHOIS_ALLOWED_REFERRALS = registrar.address;
+  });
+
+  afterAll(async () => {
+    ENV_NAMES.forEach((name) => {
+      if (savedEnv[name] === undefined) delete process.env[name];
+      else process.env[name] = savedEnv[name];
+    });
+    await Promise.all([rdapServer.close(), registry.close(), registrar.close()]);
+  });
+
+  beforeEach(() => {
+    Object.keys(routes).forEach(path => delete routes[path]);
+    routes['/bootstrap/asn.json'] = { services: [[['3154-3353'], [`${rdapServer.url}/rdap/`]]] };
+    routes['/bootstrap/dns.json'] = { services: [[['com'], [`${rdapServer.url}/rdap/`]]] };
+    rdapServer.requests.splice(0);
+    bootstrap.clearRegistries();
+
+    delete process.env.WHOIS_SERVER;
+    answers.registry = () => `Domain Name: EXAMPLE.COM\nRegistrar WHOIS Server: ${registrar.address}\nCreation Date: 1995-08-14T04:00:00Z\n`;
+    answers.registrar = () => 'Domain Name: EXAMPLE.COM\nRegistrar: Example Registrar, Inc.\nRegistrant Organization: Example Org\n';
+
+    db.query.mockReset();
+    db.query.mockResolvedValue({ rows: [] });
+  });
+
+  test('answers from the registry RDAP service the bootstrap data names', async () => {
+    routes['/rdap/autnum/3333'] = { objectClassName: 'autnum', handle: 'AS3333', name: 'RIPE-NCC-AS', startAutnum: 3333 };
+
+    const result = await whois.lookup('AS3333', { useCache: false });
+
+    expect(result).toMatchObject({
+      query: 'AS3333',
+      queryType: 'asn',
+      protocol: 'rdap',
+      server: rdapServer.host,
+      url: `${rdapServer.url}/rdap/autnum/3333`
+    });
+    expect(result.record).toMatchObject({ objectType: 'autnum', asn: 3333, name: 'RIPE-NCC-AS' });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('falls back to port 43 when RDAP fails', async () => {
+    routes['/rdap/autnum/3333'] = [500, { errorCode: 500 }];
+    process.env.WHOIS_SERVER = registry.address;
+    answers.registry = () => RIPE_AUTNUM;
+
+    const result = await whois.lookup('AS3333', { useCache: false });
+
+    expect(result).toMatchObject({ protocol: 'whois', server: registry.address, raw: RIPE_AUTNUM });
+    expect(result.record).toMatchObject({ objectType: 'autnum', registry: 'RIPE', asn: 3333, name: 'RIPE-NCC-AS' });
+    // The whois package sends queries through punycode, which lower-cases them
+    expect(registry.queries).toEqual(['as3333']);
+  });
+
+  test('merges domain answers along the referral chain', async () => {
+    process.env.WHOIS_SERVER = registry.address;
+
+    const result = await whois.lookup('example.com', { protocol: 'whois', useCache: false });
+
+    expect(result.referrals.map(answer => answer.server)).toEqual([registry.address, registrar.address]);
+    expect(result.server).toBe(registrar.address);
+    expect(result.record).toMatchObject({
+      name: 'example.com',
+      registrar: 'Example Registrar, Inc.',
+      registrant: { name: null, organization: 'Example Org', handle: null },
+      created: '1995-08-14T04:00:00.000Z'
+    });
+  });
+
+  test('returns null when the registry has no record', async () => {
+    process.env.WHOIS_SERVER = registry.address;
+    answers.registry = () => 'No match for "EXAMPLE.COM".\n';
+
+    expect(await whois.lookup('example.com', { useCache: false })).toBeNull();
+  });
+
+  test('reports a failure when no registry answers', async () => {
+    routes['/rdap/domain/example.com'] = [503, { errorCode: 503 }];
+    process.env.WHOIS_SERVER = '127.0.0.1:1';
+
+    await expect(whois.lookup('example.com', { useCache: false })).rejects.toMatchObject({ code: 'LOOKUP_FAILED' });
+  });
+
+  test('caches answers by protocol and query', async () => {
+    routes['/rdap/autnum/3333'] = { objectClassName: 'autnum', handle: 'AS3333', startAutnum: 3333 };
+
+    await whois.lookup('AS3333');
+
+    const insert = db.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO whois_cache'));
+    expect(insert[1][0]).toBe('auto:AS3333');
+    expect(insert[1][1]).toMatchObject({ protocol: 'rdap', queryType: 'asn' });
+
+    db.query.mockImplementation(async sql => (sql.includes('FROM whois_cache') ? { rows: [{ whois_data: insert[1][1] }] } : { rows: [] }));
+    rdapServer.requests.splice(0);
+
+    const cached = await whois.lookup('AS3333');
+    expect(cached).toMatchObject({ cached: true, record: { asn: 3333 } });
+    expect(rdapServer.requests).toEqual([]);
+  });
+});
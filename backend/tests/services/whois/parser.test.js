@@ -0,0 +1,343 @@
+/**
+ * WHOIS / RDAP record parser tests
+ * Network Engineers Toolkit Backend
+ */
+
+const parser = require('../../../src/services/whois/parser');
+
+const EMPTY_RECORD = {
+  objectType: 'network',
+  registry: null,
+  handle: null,
+  name: null,
+  registrant: null,
+  netblock: null,
+  asn: null,
+  originAsn: null,
+  abuse: null,
+  registrar: null,
+  created: null,
+  updated: null,
+  expires: null,
+  status: [],
+  nameservers: [],
+  country: null
+};
+
+// "n + 8.8.8.8" lists the covering allocation before the reallocation
+const ARIN_NETWORK = `
+NetRange:       8.0.0.0 - 8.127.255.255
+CIDR:           8.0.0.0/9
+NetName:        LVLT-ORG-8-8
+NetHandle:      NET-8-0-0-0-1
+NetType:        Direct Allocation
+RegDate:        1992-12-01
+Updated:        2018-04-23
+
+NetRange:       8.8.8.0 - 8.8.8.255
+CIDR:           8.8.8.0/24
+NetName:        GOGL
+NetHandle:      NET-8-8-8-0-2
+Parent:         NET8 (NET-8-0-0-0-1)
+NetType:        Reallocated
+OriginAS:       AS15169
+Organization:   Google LLC (GOGL)
+RegDate:        2023-12-28
+Updated:        2023-12-28
+
+OrgName:        Google LLC
+OrgId:          GOGL
+Country:        US
+
+OrgAbuseHandle: ABUSE5250-ARIN
+OrgAbuseEmail:  network-abuse@google.com
+OrgAbusePhone:  +1-650-253-0000
+`;
+
+const RIPE_NETWORK = `% This is the RIPE Database query service.
+% Abuse contact for '193.0.0.0 - 193.0.7.255' is 'abuse@ripe.net'
+
+inetnum:        193.0.0.0 - 193.0.7.255
+netname:        RIPE-NCC
+descr:          RIPE Network Coordination Centre
+org:            ORG-RIEN1-RIPE
+country:        NL
+status:         ASSIGNED PA
+created:        2003-03-17T12:15:57Z
+last-modified:  2017-12-04T14:42:31Z
+source:         RIPE
+
+organisation:   ORG-RIEN1-RIPE
+org-name:       Reseaux IP Europeens Network Coordination Centre (RIPE NCC)
+source:         RIPE
+
+route:          193.0.0.0/21
+origin:         AS3333
+source:         RIPE
+`;
+
+const RIPE_AUTNUM = `aut-num:        AS3333
+as-name:        RIPE-NCC-AS
+org:            ORG-RIEN1-RIPE
+status:         ASSIGNED
+created:        2002-09-17T09:20:18Z
+last-modified:  2024-01-31T07:23:21Z
+source:         RIPE
+
+role:           RIPE NCC Abuse
+abuse-mailbox:  abuse@ripe.net
+`;
+
+const LACNIC_NETWORK = `% Joint Whois - whois.lacnic.net
+
+inetnum:     200.3.12/22
+status:      allocated
+owner:       Example Telecom S.A.
+ownerid:     UY-EXTE-LACNIC
+country:     UY
+abuse-c:     EXA2
+created:     20040101
+changed:     20200101
+
+nic-hdl:     EXA2
+person:      Example Abuse
+e-mail:      abuse@example.com.uy
+phone:       +598 2 555 0100
+`;
+
+const DOMAIN = `   Domain Name: EXAMPLE.COM
+   Registry Domain ID: 2336799_DOMAIN_COM-VRSN
+   Registrar: Example Registrar, Inc.
+   Updated Date: 2024-08-14T07:01:34Z
+   Creation Date: 1995-08-14T04:00:00Z
+   Registry Expiry Date: 2025-08-13T04:00:00Z
+   Domain Status: clientDeleteProhibited https://icann.org/epp#clientDeleteProhibited
+   Domain Status: clientTransferProhibited https://icann.org/epp#clientTransferProhibited
+   Name Server: A.IANA-SERVERS.NET
+   Name Server: B.IANA-SERVERS.NET
+   Registrant Organization: REDACTED FOR PRIVACY
+   Registrant Country: US
+   Registrar Abuse Contact Email: abuse@registrar.example
+   Registrar Abuse Contact Phone: +1.5555550100
+>>> Last update of whois database: 2024-09-01T00:00:00Z <<<
+`;
+
+function vcard(properties) {
+  return ['vcard', [['version', {}, 'text', '4.0'], ...properties]];
+}
+
+const RDAP_NETWORK = {
+  objectClassName: 'ip network',
+  handle: 'NET-8-8-8-0-2',
+  name: 'GOGL',
+  type: 'DIRECT ALLOCATION',
+  port43: 'whois.arin.net',
+  startAddress: '8.8.8.0',
+  endAddress: '8.8.8.255',
+  cidr0_cidrs: [{ v4prefix: '8.8.8.0', length: 24 }],
+  arin_originas0_originautnums: [15169],
+  events: [
+    { eventAction: 'registration', eventDate: '2023-12-28T17:24:33-05:00' },
+    { eventAction: 'last changed', eventDate: '2023-12-28T17:24:56-05:00' }
+  ],
+  entities: [{
+    handle: 'GOGL',
+    roles: ['registrant'],
+    vcardArray: vcard([
+      ['fn', {}, 'text', 'Google LLC'],
+      ['kind', {}, 'text', 'org'],
+      ['adr', {}, 'text', ['', '', '1600 Amphitheatre Parkway', 'Mountain View', 'CA', '94043', 'US']]
+    ]),
+    entities: [{
+      handle: 'ABUSE5250-ARIN',
+      roles: ['abuse'],
+      vcardArray: vcard([
+        ['fn', {}, 'text', 'Abuse'],
+        ['email', {}, 'text', 'network-abuse@google.com'],
+        ['tel', { type: ['work', 'voice'] }, 'uri', 'tel:+1-650-253-0000']
+      ])
+    }]
+  }]
+};
+
+const RDAP_DOMAIN = {
+  objectClassName: 'domain',
+  handle: '2336799_DOMAIN_COM-VRSN',
+  ldhName: 'EXAMPLE.COM',
+  status: ['client delete prohibited'],
+  events: [
+    { eventAction: 'registration', eventDate: '1995-08-14T04:00:00Z' },
+    { eventAction: 'expiration', eventDate: '2025-08-13T04:00:00Z' }
+  ],
+  nameservers: [{ ldhName: 'A.IANA-SERVERS.NET' }, { ldhName: 'B.IANA-SERVERS.NET.' }],
+  entities: [{ roles: ['registrar'], vcardArray: vcard([['fn', {}, 'text', 'Example Registrar, Inc.']]) }]
+};
+
+// The registrar's copy of the domain, which carries the contacts
+const RDAP_REGISTRAR_DOMAIN = {
+  objectClassName: 'domain',
+  entities: [
+    {
+      handle: 'C1',
+      roles: ['registrant'],
+      vcardArray: vcard([
+        ['fn', {}, 'text', 'REDACTED FOR PRIVACY'],
+        ['org', {}, 'text', 'Example Org'],
+        ['adr', {}, 'text', ['', '', '', '', '', '', 'GB']]
+      ])
+    },
+    { roles: ['abuse'], vcardArray: vcard([['email', {}, 'text', 'abuse@registrar.example']]) }
+  ]
+};
+
+describe('whois parser', () => {
+  describe('parseWhois', () => {
+    test('reads the most specific ARIN network', () => {
+      expect(parser.parseWhois(ARIN_NETWORK, { queryType: 'ip', server: 'whois.arin.net' })).toEqual({
+        ...EMPTY_RECORD,
+        registry: 'ARIN',
+        handle: 'NET-8-8-8-0-2',
+        name: 'GOGL',
+        registrant: { name: null, organization: 'Google LLC', handle: 'GOGL' },
+        netblock: { start: '8.8.8.0', end: '8.8.8.255', cidrs: ['8.8.8.0/24'] },
+        originAsn: 15169,
+        abuse: { email: 'network-abuse@google.com', phone: '+1-650-253-0000' },
+        created: '2023-12-28T00:00:00.000Z',
+        updated: '2023-12-28T00:00:00.000Z',
+        status: ['Reallocated'],
+        country: 'US'
+      });
+    });
+
+    test('reads an RPSL network with its organisation, route and abuse comment', () => {
+      expect(parser.parseWhois(RIPE_NETWORK, { queryType: 'ip', server: 'whois.ripe.net' })).toEqual({
+        ...EMPTY_RECORD,
+        registry: 'RIPE',
+        handle: '193.0.0.0 - 193.0.7.255',
+        name: 'RIPE-NCC',
+        registrant: {
+          name: null,
+          organization: 'Reseaux IP Europeens Network Coordination Centre (RIPE NCC)',
+          handle: 'ORG-RIEN1-RIPE'
+        },
+        netblock: { start: '193.0.0.0', end: '193.0.7.255', cidrs: ['193.0.0.0/21'] },
+        originAsn: 3333,
+        abuse: { email: 'abuse@ripe.net', phone: null },
+        created: '2003-03-17T12:15:57.000Z',
+        updated: '2017-12-04T14:42:31.000Z',
+        status: ['ASSIGNED PA'],
+        country: 'NL'
+      });
+    });
+
+    test('reads an RPSL aut-num', () => {
+      expect(parser.parseWhois(RIPE_AUTNUM, { queryType: 'asn', server: 'whois.ripe.net' })).toEqual({
+        ...EMPTY_RECORD,
+        objectType: 'autnum',
+        registry: 'RIPE',
+        handle: 'AS3333',
+        name: 'RIPE-NCC-AS',
+        registrant: { name: null, organization: null, handle: 'ORG-RIEN1-RIPE' },
+        asn: 3333,
+        abuse: { email: 'abuse@ripe.net', phone: null },
+        created: '2002-09-17T09:20:18.000Z',
+        updated: '2024-01-31T07:23:21.000Z',
+        status: ['ASSIGNED']
+      });
+    });
+
+    test('reads LACNIC abbreviated prefixes, owner and abuse-c contact', () => {
+      expect(parser.parseWhois(LACNIC_NETWORK, { queryType: 'ip', server: 'whois.lacnic.net' })).toEqual({
+        ...EMPTY_RECORD,
+        registry: 'LACNIC',
+        handle: '200.3.12/22',
+        name: 'Example Telecom S.A.',
+        registrant: { name: null, organization: 'Example Telecom S.A.', handle: 'UY-EXTE-LACNIC' },
+        netblock: { start: '200.3.12.0', end: '200.3.15.255', cidrs: ['200.3.12.0/22'] },
+        abuse: { email: 'abuse@example.com.uy', phone: '+598 2 555 0100' },
+        created: '2004-01-01T00:00:00.000Z',
+        updated: '2020-01-01T00:00:00.000Z',
+        status: ['allocated'],
+        country: 'UY'
+      });
+    });
+
+    test('reads a domain and drops redacted contacts', () => {
+      expect(parser.parseWhois(DOMAIN, { queryType: 'domain', server: 'whois.verisign-grs.com' })).toEqual({
+        ...EMPTY_RECORD,
+        objectType: 'domain',
+        handle: '2336799_DOMAIN_COM-VRSN',
+        name: 'example.com',
+        abuse: { email: 'abuse@registrar.example', phone: '+1.5555550100' },
+        registrar: 'Example Registrar, Inc.',
+        created: '1995-08-14T04:00:00.000Z',
+        updated: '2024-08-14T07:01:34.000Z',
+        expires: '2025-08-13T04:00:00.000Z',
+        status: ['clientDeleteProhibited', 'clientTransferProhibited'],
+        nameservers: ['a.iana-servers.net', 'b.iana-servers.net'],
+        country: 'US'
+      });
+    });
+
+    test('names the registry from the server when the answer does not', () => {
+      const record = parser.parseWhois('inetnum: 41.0.0.0 - 41.0.255.255\nnetname: EXAMPLE\n', {
+        queryType: 'ip',
+        server: 'whois.afrinic.net:43'
+      });
+      expect(record.registry).toBe('AFRINIC');
+    });
+  });
+
+  describe('parseRdap', () => {
+    test('reads a network with nested abuse contact and origin AS', () => {
+      expect(parser.parseRdap(RDAP_NETWORK)).toEqual({
+        ...EMPTY_RECORD,
+        registry: 'ARIN',
+        handle: 'NET-8-8-8-0-2',
+        name: 'GOGL',
+        registrant: { name: null, organization: 'Google LLC', handle: 'GOGL' },
+        netblock: { start: '8.8.8.0', end: '8.8.8.255', cidrs: ['8.8.8.0/24'] },
+        originAsn: 15169,
+        abuse: { email: 'network-abuse@google.com', phone: '+1-650-253-0000' },
+        created: '2023-12-28T22:24:33.000Z',
+        updated: '2023-12-28T22:24:56.000Z',
+        status: ['DIRECT ALLOCATION'],
+        country: 'US'
+      });
+    });
+
+    test('takes domain contacts from the registrar record', () => {
+      expect(parser.parseRdap(RDAP_DOMAIN, RDAP_REGISTRAR_DOMAIN)).toEqual({
+        ...EMPTY_RECORD,
+        objectType: 'domain',
+        handle: '2336799_DOMAIN_COM-VRSN',
+        name: 'example.com',
+        registrant: { name: null, organization: 'Example Org', handle: 'C1' },
+        abuse: { email: 'abuse@registrar.example', phone: null },
+        registrar: 'Example Registrar, Inc.',
+        created: '1995-08-14T04:00:00.000Z',
+        expires: '2025-08-13T04:00:00.000Z',
+        status: ['client delete prohibited'],
+        nameservers: ['a.iana-servers.net', 'b.iana-servers.net'],
+        country: 'GB'
+      });
+    });
+
+    test('reads an autnum', () => {
+      const record = parser.parseRdap({ objectClassName: 'autnum', handle: 'AS3333', name: 'RIPE-NCC-AS', startAutnum: 3333, port43: 'whois.ripe.net' });
+      expect(record).toEqual({ ...EMPTY_RECORD, objectType: 'autnum', registry: 'RIPE', handle: 'AS3333', name: 'RIPE-NCC-AS', asn: 3333 });
+    });
+  });
+
+  describe('parseNetblock', () => {
+    test.each([
+      ['192.0.2.0 - 192.0.2.255', { start: '192.0.2.0', end: '192.0.2.255', cidrs: ['192.0.2.0/24'] }],
+      ['10.0.0.0 - 10.0.2.255', { start: '10.0.0.0', end: '10.0.2.255', cidrs: ['10.0.0.0/23', '10.0.2.0/24'] }],
+      ['2001:db8::/32', { start: '2001:db8::', end: '2001:db8:ffff:ffff:ffff:ffff:ffff:ffff', cidrs: ['2001:db8::/32'] }],
+      ['10.0.1.0 - 10.0.0.0', null],
+      ['not a range', null]
+    ])('%s', (text, netblock) => {
+      expect(parser.parseNetblock(text)).toEqual(netblock);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Port 43 WHOIS client tests
+ * Network Engineers Toolkit Backend
+ */
+
+const dns = require('dns');
+const port43 = require('../../../src/services/whois/port43');
+const { classifyQuery } = require('../../../src/services/whois/query');
+const { startWhoisServer } = require('./servers');
+
+const ENV_NAMES = ['WHOIS_SERVER', 'WHOIS_IANA_SERVER', 'WHOIS_MAX_REFERRALS', 'WHOIS_TIMEOUT_MS', 'WHOIS_ALLOWED_REFERRALS'];
+
+const REGISTRAR_ANSWER = `Domain Name: EXAMPLE.COM
+Registrar: Example Registrar, Inc.
+Registrant Organization: Example Org
+Registrant Country: GB
+`;
+
+describe('port43.query', () => {
+  const savedEnv = {};
+  let iana;
+  let registry;
+  let registrar;
+  let answers;
+
+  beforeAll(async () => {
+    ENV_NAMES.forEach((name) => {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    });
+
+    answers = {};
+    iana = await startWhoisServer(query => answers.iana(query));
+    registry = await startWhoisServer(query => answers.registry(query));
+    registrar = await startWhoisServer(query => answers.registrar(query));
+  });
+
+  afterAll(async () => {
+    ENV_NAMES.forEach((name) => {
+      if (savedEnv[name] === undefined) delete process.env[name];
+      else process.env[name] = savedEnv[name];
+    });
+    await Promise.all([iana.close(), registry.close(), registrar.close()]);
+  });
+
+  beforeEach(() => {
+    delete process.env.WHOIS_MAX_REFERRALS;
+    // The stand-ins listen on loopback, which referrals may only reach when listed
+    process.env.WHOIS_ALLOWED_REFERRALS = [iana, registry, registrar].map(server => server.address).join(',');
+    [iana, registry, registrar].forEach(server => server.queries.splice(0));
+
+    answers.iana = () => `% IANA WHOIS server\n\nrefer:        ${registry.address}\n\ndomain:       COM\n`;
+    answers.registry = () => `   Domain Name: EXAMPLE.COM\n   Registrar WHOIS Server: ${registrar.address}\n   Creation Date: 1995-08-14T04:00:00Z\n`;
+    answers.registrar = () => REGISTRAR_ANSWER;
+  });
+
+  test('follows refer and Registrar WHOIS Server lines to the registrar', async () => {
+    const result = await port43.query(classifyQuery('example.com'), iana.address);
+
+    expect(result.referrals.map(answer => answer.server)).toEqual([iana.address, registry.address, registrar.address]);
+    expect(result.server).toBe(registrar.address);
+    expect(result.data).toBe(REGISTRAR_ANSWER);
+    expect(result.notFound).toBe(false);
+    expect([iana.queries, registry.queries, registrar.queries]).toEqual([['example.com'], ['example.com'], ['example.com']]);
+    expect(result.refused).toBeNull();
+  });
+
+  test('follows ReferralServer with a whois:// URL and port', async () => {
+    answers.registry = () => `NetRange: 8.0.0.0 - 8.255.255.255\nReferralServer: whois://${registrar.address}\n`;
+    answers.registrar = () => 'inetnum: 8.8.8.0 - 8.8.8.255\nnetname: EXAMPLE\n';
+
+    const result = await port43.query(classifyQuery('8.8.8.8'), registry.address);
+
+    expect(result.referrals.map(answer => answer.server)).toEqual([registry.address, registrar.address]);
+    expect(result.data).toContain('netname: EXAMPLE');
+  });
+
+  test('starts at WHOIS_SERVER when it is set', async () => {
+    process.env.WHOIS_SERVER = registry.address;
+    try {
+      const result = await port43.query(classifyQuery('example.com'), iana.address);
+      expect(result.referrals[0].server).toBe(registry.address);
+      expect(iana.queries).toEqual([]);
+    } finally {
+      delete process.env.WHOIS_SERVER;
+    }
+  });
+
+  test('asks registries for the network address of a prefix', async () => {
+    answers.registry = () => 'inetnum: 193.0.0.0 - 193.0.7.255\n';
+
+    await port43.query(classifyQuery('193.0.6.0/24'), registry.address);
+
+    expect(registry.queries).toEqual(['193.0.6.0']);
+  });
+
+  test('stops after WHOIS_MAX_REFERRALS referrals', async () => {
+    process.env.WHOIS_MAX_REFERRALS = '1';
+
+    const result = await port43.query(classifyQuery('example.com'), iana.address);
+
+    expect(result.referrals.map(answer => answer.server)).toEqual([iana.address, registry.address]);
+    expect(registrar.queries).toEqual([]);
+  });
+
+  test('does not ask a server twice when referrals loop', async () => {
+    answers.registry = () => `Domain Name: EXAMPLE.COM\nWhois Server: ${iana.address}\n`;
+
+    const result = await port43.query(classifyQuery('example.com'), iana.address);
+
+    expect(result.referrals.map(answer => answer.server)).toEqual([iana.address, registry.address]);
+    expect(iana.queries).toHaveLength(1);
+  });
+
+  test('keeps the registry answer when the registrar answers with nothing', async () => {
+    answers.registrar = () => '';
+
+    const result = await port43.query(classifyQuery('example.com'), iana.address);
+
+    expect(result.referrals).toHaveLength(3);
+    expect(result.server).toBe(registry.address);
+    expect(result.data).toContain('Creation Date: 1995-08-14T04:00:00Z');
+  });
+
+  test('flags not found answers', async () => {
+    answers.registry = () => 'No match for "EXAMPLE.COM".\n';
+
+    const result = await port43.query(classifyQuery('example.com'), iana.address);
+
+    expect(result.notFound).toBe(true);
+  });
+
+  describe('referral checks', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('refuses unlisted referrals to ports other than 43 and 4321', async () => {
+      process.env.WHOIS_ALLOWED_REFERRALS = registry.address;
+
+      const result = await port43.query(classifyQuery('example.com'), iana.address);
+
+      expect(result.referrals.map(answer => answer.server)).toEqual([iana.address, registry.address]);
+      expect(result.refused).toEqual({
+        server: registrar.address,
+        reason: `Referral to ${registrar.address} refused: port ${registrar.port} is not a WHOIS port`
+      });
+      expect(registrar.queries).toEqual([]);
+    });
+
+    test.each([
+      ['localhost', 'localhost', /^Referral to localhost refused: (127\.0\.0\.1|::1) is not a public address$/],
+      ['10.0.0.1', '10.0.0.1', /10\.0\.0\.1 is not a public address$/],
+      ['169.254.169.254', '169.254.169.254', /169\.254\.169\.254 is not a public address$/],
+      ['rwhois://[fe80::1]:4321', '[fe80::1]:4321', /^Referral to \[fe80::1\]:4321 refused: fe80::1 is not a public address$/],
+      ['[2001:4860::8888]:8080', '[2001:4860::8888]:8080', /port 8080 is not a WHOIS port$/],
+      ['whois.example.net:25', 'whois.example.net:25', /port 25 is not a WHOIS port$/]
+    ])('refuses a referral to %s', async (referral, server, reason) => {
+      process.env.WHOIS_ALLOWED_REFERRALS = '';
+      answers.iana = () => `refer:        ${referral}\n`;
+
+      const result = await port43.query(classifyQuery('example.com'), iana.address);
+
+      expect(result.referrals).toHaveLength(1);
+      expect(result.refused.server).toBe(server);
+      expect(result.refused.reason).toMatch(reason);
+    });
+
+    test('refuses a name with any non-public address', async () => {
+      process.env.WHOIS_ALLOWED_REFERRALS = '';
+      const lookup = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+        { address: '193.0.6.135', family: 4 },
+        { address: '192.168.1.10', family: 4 }
+      ]);
+      answers.iana = () => 'refer:        whois.example.net\n';
+
+      const result = await port43.query(classifyQuery('example.com'), iana.address);
+
+      expect(lookup).toHaveBeenCalledWith('whois.example.net', expect.objectContaining({ all: true }));
+      expect(result.refused).toEqual({
+        server: 'whois.example.net',
+        reason: 'Referral to whois.example.net refused: 192.168.1.10 is not a public address'
+      });
+    });
+  });
+
+  test('rejects when no server answers anything', async () => {
+    answers.iana = () => '';
+
+    await expect(port43.query(classifyQuery('example.com'), iana.address))
+      .rejects.toThrow(`No response from ${iana.address}`);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Per-registry rate limit tests
+ * Network Engineers Toolkit Backend
+ */
+
+describe('whois rateLimit', () => {
+  const savedRates = process.env.WHOIS_RATE_LIMITS;
+  let rateLimit;
+
+  beforeEach(() => {
+    delete process.env.WHOIS_RATE_LIMITS;
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    // Reserved slots live in the module, so each test starts from a fresh copy
+    jest.isolateModules(() => {
+      rateLimit = require('../../../src/services/whois/rateLimit');
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    if (savedRates === undefined) delete process.env.WHOIS_RATE_LIMITS;
+    else process.env.WHOIS_RATE_LIMITS = savedRates;
+  });
+
+  // Start a burst of acquires and record when each one resolves
+  function burst(registry, count) {
+    const start = Date.now();
+    const resolvedAt = [];
+    const waits = Array.from({ length: count }, (_, index) => rateLimit.acquire(registry).then((wait) => {
+      resolvedAt[index] = Date.now() - start;
+      return wait;
+    }));
+    return { waits: Promise.all(waits), resolvedAt };
+  }
+
+  test('defaults to each RIR\'s published pace', () => {
+    expect(rateLimit.rateFor('ARIN')).toBe(2);
+    expect(rateLimit.rateFor('RIPE')).toBe(2);
+    expect(rateLimit.rateFor('APNIC')).toBe(1);
+    expect(rateLimit.rateFor('AFRINIC')).toBe(1);
+    expect(rateLimit.rateFor('LACNIC')).toBe(0.5);
+    expect(rateLimit.rateFor('rdap.example.net')).toBe(2);
+    expect(rateLimit.rateFor(null)).toBe(2);
+  });
+
+  test('reads WHOIS_RATE_LIMITS overrides', () => {
+    process.env.WHOIS_RATE_LIMITS = 'ripe=4, LACNIC=0.2,default=1,APNIC=0,bogus=x';
+
+    expect(rateLimit.rateFor('RIPE')).toBe(4);
+    expect(rateLimit.rateFor('LACNIC')).toBe(0.2);
+    expect(rateLimit.rateFor('APNIC')).toBe(0);
+    expect(rateLimit.rateFor('ARIN')).toBe(2);
+    expect(rateLimit.rateFor('rdap.example.net')).toBe(1);
+    expect(rateLimit.rateFor('BOGUS')).toBe(1);
+  });
+
+  test('spaces queries to one registry by its rate', async () => {
+    const { waits, resolvedAt } = burst('LACNIC', 3);
+
+    await jest.advanceTimersByTimeAsync(4000);
+
+    expect(await waits).toEqual([0, 2000, 4000]);
+    expect(resolvedAt).toEqual([0, 2000, 4000]);
+  });
+
+  test('keeps separate budgets per registry', async () => {
+    const ripe = burst('RIPE', 2);
+    const apnic = burst('APNIC', 2);
+    const lacnic = burst('lacnic', 2);
+
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(await ripe.waits).toEqual([0, 500]);
+    expect(await apnic.waits).toEqual([0, 1000]);
+    expect(await lacnic.waits).toEqual([0, 2000]);
+  });
+
+  test('does not wait once the interval has passed', async () => {
+    await rateLimit.acquire('ARIN');
+    await jest.advanceTimersByTimeAsync(600);
+
+    expect(await rateLimit.acquire('ARIN')).toBe(0);
+  });
+
+  test('never waits for an unlimited registry', async () => {
+    process.env.WHOIS_RATE_LIMITS = 'RIPE=0';
+
+    const { waits } = burst('RIPE', 5);
+
+    expect(await waits).toEqual([0, 0, 0, 0, 0]);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * RDAP client and bootstrap registry tests
+ * Network Engineers Toolkit Backend
+ */
+
+const rdap = require('../../../src/services/whois/rdap');
+const bootstrap = require('../../../src/services/whois/bootstrap');
+const { classifyQuery } = require('../../../src/services/whois/query');
+const { startRdapServer } = require('./servers');
+
+const ENV_NAMES = ['RDAP_SERVER_URL', 'RDAP_BOOTSTRAP_URL'];
+
+const BOOTSTRAP_FILES = {
+  '/ipv4.json': {
+    services: [
+      [['8.0.0.0/8'], ['https://rdap.arin.net/registry/', 'http://rdap.arin.net/registry/']],
+      [['193.0.0.0/8'], ['https://rdap.db.ripe.net/']],
+      [['193.0.4.0/22'], ['https://rdap.example.net/rdap/']]
+    ]
+  },
+  '/ipv6.json': {
+    services: [[['2001:600::/23'], ['https://rdap.db.ripe.net/']]]
+  },
+  '/asn.json': {
+    services: [
+      [['1-1876', '1902-2042'], ['https://rdap.arin.net/registry/']],
+      [['3154-3353'], ['https://rdap.db.ripe.net/']]
+    ]
+  },
+  '/dns.json': {
+    services: [
+      [['com', 'net'], ['https://rdap.verisign.com/com/v1/']],
+      [['uk'], ['https://rdap.nominet.uk/uk/']],
+      [['co.uk'], ['https://rdap.example.uk/']]
+    ]
+  }
+};
+
+describe('whois RDAP', () => {
+  const savedEnv = {};
+  const routes = {};
+  let server;
+
+  beforeAll(async () => {
+    ENV_NAMES.forEach((name) => {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    });
+    server = await startRdapServer(routes);
+    process.env.RDAP_BOOTSTRAP_URL = `${server.url}/bootstrap/`;
+  });
+
+  afterAll(async () => {
+    ENV_NAMES.forEach((name) => {
+      if (savedEnv[name] === undefined) delete process.env[name];
+      else process.env[name] = savedEnv[name];
+    });
+    await server.close();
+  });
+
+  beforeEach(() => {
+    Object.keys(routes).forEach(path => delete routes[path]);
+    Object.entries(BOOTSTRAP_FILES).forEach(([path, body]) => {
+      routes[`/bootstrap${path}`] = body;
+    });
+    server.requests.splice(0);
+    bootstrap.clearRegistries();
+  });
+
+  describe('bootstrap.findRegistry', () => {
+    test('picks the RIR for an address and its WHOIS server', async () => {
+      expect(await bootstrap.findRegistry(classifyQuery('8.8.8.8'))).toEqual({
+        rdapUrl: 'https://rdap.arin.net/registry',
+        whoisHost: 'whois.arin.net',
+        rir: 'ARIN'
+      });
+    });
+
+    test('prefers the most specific block', async () => {
+      const registry = await bootstrap.findRegistry(classifyQuery('193.0.6.0/24'));
+      expect(registry).toEqual({ rdapUrl: 'https://rdap.example.net/rdap', whoisHost: null, rir: null });
+
+      const covering = await bootstrap.findRegistry(classifyQuery('193.0.0.0/16'));
+      expect(covering.rir).toBe('RIPE');
+    });
+
+    test('reads IPv6, AS number and domain files', async () => {
+      expect((await bootstrap.findRegistry(classifyQuery('2001:67c:2e8::1'))).rir).toBe('RIPE');
+      expect((await bootstrap.findRegistry(classifyQuery('AS3333'))).rir).toBe('RIPE');
+      expect((await bootstrap.findRegistry(classifyQuery('AS1950'))).rir).toBe('ARIN');
+      expect((await bootstrap.findRegistry(classifyQuery('example.com'))).rdapUrl).toBe('https://rdap.verisign.com/com/v1');
+      expect((await bootstrap.findRegistry(classifyQuery('example.co.uk'))).rdapUrl).toBe('https://rdap.example.uk');
+    });
+
+    test('returns null without a matching entry', async () => {
+      expect(await bootstrap.findRegistry(classifyQuery('AS1890'))).toBeNull();
+      expect(await bootstrap.findRegistry(classifyQuery('example.org'))).toBeNull();
+    });
+
+    test('fetches each file once until cleared', async () => {
+      await Promise.all([
+        bootstrap.findRegistry(classifyQuery('8.8.8.8')),
+        bootstrap.findRegistry(classifyQuery('193.0.6.1'))
+      ]);
+      await bootstrap.findRegistry(classifyQuery('8.8.4.4'));
+      expect(server.requests).toEqual(['/bootstrap/ipv4.json']);
+
+      bootstrap.clearRegistries();
+      await bootstrap.findRegistry(classifyQuery('8.8.8.8'));
+      expect(server.requests).toEqual(['/bootstrap/ipv4.json', '/bootstrap/ipv4.json']);
+    });
+
+    test('rejects a file without services', async () => {
+      routes['/bootstrap/asn.json'] = { description: 'empty' };
+      await expect(bootstrap.findRegistry(classifyQuery('AS3333'))).rejects.toThrow('Bootstrap file asn.json has no services');
+    });
+  });
+
+  describe('rdap.query', () => {
+    test('fetches the object for each query type', async () => {
+      routes['/rdap/ip/193.0.6.0/24'] = { objectClassName: 'ip network', handle: '193.0.0.0 - 193.0.7.255' };
+      routes['/rdap/autnum/3333'] = { objectClassName: 'autnum', handle: 'AS3333' };
+
+      const network = await rdap.query(classifyQuery('193.0.6.0/24'), `${server.url}/rdap/`);
+      expect(network).toEqual({
+        server: server.host,
+        url: `${server.url}/rdap/ip/193.0.6.0/24`,
+        data: { objectClassName: 'ip network', handle: '193.0.0.0 - 193.0.7.255' },
+        related: null
+      });
+
+      const autnum = await rdap.query(classifyQuery('AS3333'), `${server.url}/rdap`);
+      expect(autnum.data.handle).toBe('AS3333');
+    });
+
+    test('follows a domain\'s related link to the registrar record', async () => {
+      routes['/registry/domain/example.com'] = {
+        objectClassName: 'domain',
+        ldhName: 'EXAMPLE.COM',
+        links: [
+          { rel: 'self', href: `${server.url}/registry/domain/example.com` },
+          { rel: 'related', type: 'application/rdap+json', href: `${server.url}/registrar/domain/example.com` }
+        ]
+      };
+      routes['/registrar/domain/example.com'] = { objectClassName: 'domain', handle: 'REGISTRAR-1' };
+
+      const result = await rdap.query(classifyQuery('example.com'), `${server.url}/registry`);
+
+      expect(result.related).toEqual({
+        server: server.host,
+        url: `${server.url}/registrar/domain/example.com`,
+        data: { objectClassName: 'domain', handle: 'REGISTRAR-1' }
+      });
+    });
+
+    test('keeps the registry record when the registrar fails', async () => {
+      routes['/registry/domain/example.com'] = {
+        objectClassName: 'domain',
+        links: [{ rel: 'related', href: `${server.url}/registrar/domain/example.com` }]
+      };
+      routes['/registrar/domain/example.com'] = [500, { errorCode: 500 }];
+
+      const result = await rdap.query(classifyQuery('example.com'), `${server.url}/registry`);
+
+      expect(result.data.objectClassName).toBe('domain');
+      expect(result.related).toBeNull();
+    });
+
+    test('returns null for 404 and without a base URL', async () => {
+      expect(await rdap.query(classifyQuery('example.com'), `${server.url}/registry`)).toBeNull();
+      expect(await rdap.query(classifyQuery('example.com'), null)).toBeNull();
+    });
+
+    test('rejects on server errors', async () => {
+      routes['/registry/domain/example.com'] = [503, { errorCode: 503 }];
+      await expect(rdap.query(classifyQuery('example.com'), `${server.url}/registry`)).rejects.toThrow('503');
+    });
+
+    test('sends every query to RDAP_SERVER_URL when it is set', async () => {
+      routes['/override/autnum/3333'] = { objectClassName: 'autnum', handle: 'AS3333' };
+      process.env.RDAP_SERVER_URL = `${server.url}/override`;
+      try {
+        const result = await rdap.query(classifyQuery('AS3333'), 'https://rdap.db.ripe.net');
+        expect(result.url).toBe(`${server.url}/override/autnum/3333`);
+      } finally {
+        delete process.env.RDAP_SERVER_URL;
+      }
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Local WHOIS and RDAP stand-ins for the WHOIS service tests
+ * Network Engineers Toolkit Backend
+ */
+
+const http = require('http');
+const net = require('net');
+
+function listen(server) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+function closeServer(server) {
+  return new Promise(resolve => server.close(() => resolve()));
+}
+
+/**
+ * Start a port 43 server
+ * @param {Function} answer - Called with each query line, returns the reply text
+ * @returns {Promise<Object>} { address, port, queries, close() }
+ */
+async function startWhoisServer(answer) {
+  const queries = [];
+  const server = net.createServer((socket) => {
+    let received = '';
+    socket.on('data', (chunk) => {
+      received += chunk;
+      if (!received.includes('\n')) return;
+
+      const query = received.replace(/\r?\n$/, '');
+      queries.push(query);
+      socket.end(answer(query));
+    });
+  });
+
+  const port = await listen(server);
+  return { address: `127.0.0.1:${port}`, port, queries, close: () => closeServer(server) };
+}
+
+/**
+ * Start an HTTP server answering RDAP and bootstrap paths with JSON
+ * @param {Object} routes - Path -> body, or -> [status, body]
+ * @returns {Promise<Object>} { url, host, requests, close() }
+ */
+async function startRdapServer(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const route = routes[req.url];
+    const [status, body] = route === undefined ? [404, { errorCode: 404 }]
+      : Array.isArray(route) ? route : [200, route];
+
+    res.writeHead(status, { 'Content-Type': 'application/rdap+json' });
+    res.end(JSON.stringify(body));
+  });
+
+  const port = await listen(server);
+  return { url: `http://127.0.0.1:${port}`, host: `127.0.0.1:${port}`, requests, close: () => closeServer(server) };
+}
+
+module.exports = {
+  startWhoisServer,
+  startRdapServer
+};
@@ -0,0 +1,210 @@
+/**
+ * IOS / JUNOS / EOS configuration translation tests
+ * Network Engineers Toolkit Backend
+ */
+
+const { translate } = require('../../src/shared/configTranslate');
+const { decodeCiscoType7 } = require('../../src/shared/passwords');
+
+const IOS = `hostname edge1
+!
+ip prefix-list BOGONS seq 5 permit 10.0.0.0/8 le 24
+ip prefix-list BOGONS seq 10 permit 172.16.0.0/12 ge 16 le 24
+ip prefix-list BOGONS seq 15 permit 192.168.0.0/16 le 32
+ip prefix-list BOGONS seq 20 permit 100.64.0.0/10
+ip prefix-list CUSTOMERS seq 5 permit 198.51.100.0/24
+!
+router bgp 65000
+ neighbor 192.0.2.1 remote-as 65001
+ neighbor 192.0.2.1 password 7 0822455D0A16
+ neighbor 192.0.2.5 remote-as 65002
+ neighbor 192.0.2.5 password lab-key
+ neighbor 192.0.2.5 ebgp-multihop 2
+!
+end
+`;
+
+const JUNOS = `system {
+    host-name edge1;
+}
+policy-options {
+    route-filter-list BOGONS {
+        10.0.0.0/8 upto /24;
+        10.0.0.0/8 exact;
+        172.16.0.0/12 prefix-length-range /16-/24;
+    }
+    policy-statement IMPORT {
+        term DROP {
+            from route-filter-list BOGONS;
+            then reject;
+        }
+        inactive: term OLD {
+            then accept;
+        }
+    }
+}
+routing-options {
+    autonomous-system 65000;
+}
+protocols {
+    bgp {
+        group UPSTREAM {
+            type external;
+            import IMPORT;
+            neighbor 192.0.2.1 {
+                peer-as 65001;
+                authentication-key "$9$dQbYoji.fz6ApBIEhr";
+            }
+        }
+    }
+}`;
+
+const EOS = `hostname sw1
+ip prefix-list PL seq 10 deny 10.0.0.0/8 le 32
+ip prefix-list PL seq 20 permit 0.0.0.0/0 le 24
+!
+router bgp 65000
+   neighbor 192.0.2.1 remote-as 65001
+   neighbor 192.0.2.1 password 7 AQQVyWmBDW0=
+`;
+
+describe('configTranslate', () => {
+  describe('prefix-lists', () => {
+    test('IOS ge/le become JUNOS route-filter-list match types', () => {
+      const { output } = translate(IOS, 'ios', 'junos');
+
+      expect(output).toContain(`policy-options {
+    route-filter-list BOGONS {
+        10.0.0.0/8 upto /24;
+        172.16.0.0/12 prefix-length-range /16-/24;
+        192.168.0.0/16 orlonger;
+        100.64.0.0/10 exact;
+    }
+    prefix-list CUSTOMERS {
+        198.51.100.0/24;
+    }
+}`);
+    });
+
+    test('come back from JUNOS as the IOS entries they started as', () => {
+      const { output } = translate(translate(IOS, 'ios', 'junos').output, 'junos', 'ios');
+
+      expect(output).toContain(`ip prefix-list BOGONS seq 5 permit 10.0.0.0/8 le 24
+ip prefix-list BOGONS seq 10 permit 172.16.0.0/12 ge 16 le 24
+ip prefix-list BOGONS seq 15 permit 192.168.0.0/16 le 32
+ip prefix-list BOGONS seq 20 permit 100.64.0.0/10`);
+      expect(output).toContain('ip prefix-list CUSTOMERS seq 5 permit 198.51.100.0/24');
+    });
+
+    test('give each JUNOS match type of one prefix its own EOS entry', () => {
+      const { output } = translate(JUNOS, 'junos', 'eos');
+
+      expect(output).toContain(`ip prefix-list BOGONS seq 5 permit 10.0.0.0/8 le 24
+ip prefix-list BOGONS seq 10 permit 10.0.0.0/8
+ip prefix-list BOGONS seq 15 permit 172.16.0.0/12 ge 16 le 24`);
+      expect(output).toContain('route-map IMPORT deny 10\n match ip address prefix-list BOGONS');
+    });
+
+    test('keep JUNOS route filters through a JUNOS to JUNOS translation', () => {
+      const { output } = translate(JUNOS, 'junos', 'junos');
+
+      expect(output).toContain(`    route-filter-list BOGONS {
+        10.0.0.0/8 upto /24;
+        10.0.0.0/8 exact;
+        172.16.0.0/12 prefix-length-range /16-/24;
+    }`);
+    });
+
+    test('copy EOS entries to IOS unchanged', () => {
+      const { output } = translate(EOS, 'eos', 'ios');
+
+      expect(output).toContain('ip prefix-list PL seq 10 deny 10.0.0.0/8 le 32\nip prefix-list PL seq 20 permit 0.0.0.0/0 le 24');
+    });
+  });
+
+  describe('BGP keys', () => {
+    test('stay encrypted for the vendor that encrypted them', () => {
+      expect(translate(IOS, 'ios', 'ios').output).toContain(' neighbor 192.0.2.1 password 7 0822455D0A16');
+      expect(translate(EOS, 'eos', 'eos').output).toContain(' neighbor 192.0.2.1 password 7 AQQVyWmBDW0=');
+      expect(translate(JUNOS, 'junos', 'junos').output).toContain('authentication-key "$9$dQbYoji.fz6ApBIEhr";');
+    });
+
+    test('are never decrypted into another vendor\'s output', () => {
+      const result = translate(IOS, 'ios', 'junos');
+
+      expect(result.output).not.toContain(decodeCiscoType7('0822455D0A16'));
+      expect(result.output).not.toContain('0822455D0A16');
+      expect(result.untranslated).toContainEqual({
+        line: 11,
+        text: 'neighbor 192.0.2.1 password 7 0822455D0A16',
+        reason: 'Key is encrypted for IOS; set it again on JUNOS'
+      });
+    });
+
+    test('go in the report when the target cannot take the cipher', () => {
+      expect(translate(EOS, 'eos', 'ios').untranslated).toContainEqual(expect.objectContaining({
+        line: 7,
+        reason: 'Key is encrypted for EOS; set it again on IOS'
+      }));
+
+      const fromJunos = translate(JUNOS, 'junos', 'eos');
+      expect(fromJunos.output).not.toContain('password');
+      expect(fromJunos.untranslated).toContainEqual({
+        line: 30,
+        text: 'set protocols bgp group UPSTREAM neighbor 192.0.2.1 authentication-key',
+        reason: 'Key is encrypted for JUNOS; set it again on EOS'
+      });
+    });
+
+    test('carry clear text keys to every vendor', () => {
+      expect(translate(IOS, 'ios', 'eos').output).toContain(' neighbor 192.0.2.5 password lab-key');
+      expect(translate(IOS, 'ios', 'junos').output).toContain('authentication-key lab-key;');
+    });
+  });
+
+  describe('untranslated report', () => {
+    test('lists lines the translator does not read, in source order', () => {
+      const { untranslated } = translate(IOS, 'ios', 'eos');
+
+      expect(untranslated.map(entry => entry.line)).toEqual([11, 14]);
+      expect(untranslated[1]).toEqual({ line: 14, text: 'neighbor 192.0.2.5 ebgp-multihop 2', reason: 'Not supported by the translator' });
+    });
+
+    test('lists what the target cannot express', () => {
+      const { output, untranslated } = translate(EOS, 'eos', 'junos');
+
+      expect(output).toContain('route-filter-list PL {\n        0.0.0.0/0 upto /24;\n    }');
+      expect(untranslated).toContainEqual({
+        line: 2,
+        text: 'ip prefix-list PL seq 10 deny 10.0.0.0/8 le 32',
+        reason: 'JUNOS route-filter-lists cannot deny a prefix'
+      });
+    });
+
+    test('lists inactive JUNOS statements', () => {
+      const { output, untranslated } = translate(JUNOS, 'junos', 'ios');
+
+      expect(output).not.toContain('OLD');
+      expect(untranslated).toContainEqual({
+        line: 16,
+        text: 'set policy-options policy-statement IMPORT term OLD then accept',
+        reason: 'Inactive in the source configuration'
+      });
+    });
+
+    test('counts what was read', () => {
+      expect(translate(IOS, 'ios', 'junos').counts).toMatchObject({ prefixLists: 2, neighbors: 2 });
+    });
+  });
+
+  describe('errors', () => {
+    test('unknown vendors are rejected', () => {
+      expect(() => translate(IOS, 'nxos', 'junos')).toThrow(expect.objectContaining({ code: 'INVALID_VENDOR', field: 'from' }));
+      expect(() => translate(IOS, 'ios', 'vyos')).toThrow(expect.objectContaining({ code: 'INVALID_VENDOR', field: 'to' }));
+    });
+
+    test('empty input is rejected', () => {
+      expect(() => translate('  \n', 'ios', 'junos')).toThrow(expect.objectContaining({ code: 'MISSING_CONFIG' }));
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * JUNOS configuration audit tests
+ * Network Engineers Toolkit Backend
+ */
+
+const JunosAudit = require('../../src/shared/junosAudit');
+const JunosConfig = require('../../src/shared/junosConfig');
+
+const CONFIG = `set system services telnet
+set system services ssh
+set system login user ops authentication encrypted-password "$6$abc$def"
+set snmp community public authorization read-only
+set snmp community private authorization read-write
+set interfaces ge-0/0/0 unit 0 family inet address 192.0.2.1/30
+set interfaces ge-0/0/1 unit 0 family inet no-redirects
+set interfaces lo0 unit 0 family inet address 10.0.0.1/32
+set routing-options autonomous-system 64500
+set protocols bgp group transit neighbor 192.0.2.2 peer-as 64501
+set protocols bgp group transit export EXPORT
+set protocols bgp group ibgp neighbor 10.0.0.2 peer-as 64500
+set protocols bgp group ibgp authentication-key "$9$abcd"
+set protocols ospf area 0 interface ge-0/0/0 authentication md5 1 key secret123
+set policy-options prefix-list MINE 198.51.100.0/24
+set policy-options prefix-list SPARE 203.0.113.0/24
+set policy-options policy-statement EXPORT term a from prefix-list MINE
+set policy-options policy-statement EXPORT term a then accept
+set policy-options policy-statement OLD then reject
+deactivate system services telnet`;
+
+// Logical systems and routing instances, with settings inherited from the group
+const INSTANCES = `set logical-systems LS1 routing-options autonomous-system 65010
+set logical-systems LS1 protocols bgp group up neighbor 192.0.2.9 peer-as 65011
+set logical-systems LS1 protocols bgp group up neighbor 192.0.2.9 family inet unicast prefix-limit maximum 1000
+set routing-instances VRF protocols bgp group ce type external
+set routing-instances VRF protocols bgp group ce authentication-key-chain KC
+set routing-instances VRF protocols bgp group ce neighbor 198.51.100.2
+set system no-redirects
+set interfaces ge-0/0/0 unit 0 family inet address 192.0.2.1/30
+set system services web-management http
+set system services telnet
+set system radius-server 192.0.2.50 secret "hunter2"
+set snmp community public
+delete snmp community public`;
+
+function brief(result) {
+  return result.findings.map(finding => [finding.rule, finding.severity, finding.message, finding.line]);
+}
+
+describe('JunosAudit', () => {
+  describe('audit', () => {
+    test('reports each built-in rule\'s findings, most severe first, with their lines', () => {
+      const result = JunosAudit.audit(CONFIG);
+
+      expect(brief(result)).toEqual([
+        ['plaintext-secret', 'critical', 'protocols ospf area 0 interface ge-0/0/0 authentication md5 1 key is in plain text', 14],
+        ['snmp-community', 'high', 'SNMP read-write community "private" uses v1/v2c; use SNMPv3', 5],
+        ['bgp-authentication', 'high', 'BGP neighbor 192.0.2.2 (group transit) has no authentication', 10],
+        ['snmp-community', 'medium', 'SNMP community "public" uses v1/v2c; use SNMPv3', 4],
+        ['no-redirects', 'medium', 'ge-0/0/0.0 sends ICMP redirects; set family inet no-redirects or system no-redirects', 6],
+        ['bgp-prefix-limit', 'medium', 'BGP neighbor 192.0.2.2 (group transit) has no prefix limit', 10],
+        ['unused-prefix-list', 'low', 'prefix-list SPARE is not used', 16],
+        ['unused-policy', 'low', 'policy-statement OLD is not used', 19]
+      ]);
+      expect(result.findings[0]).toMatchObject({ title: 'Plaintext secret', statement: 'protocols ospf area 0 interface ge-0/0/0 authentication md5 1 key' });
+      expect(result.summary).toEqual({ total: 8, critical: 1, high: 2, medium: 3, low: 2, info: 0 });
+      expect(result.rules.map(rule => [rule.id, rule.findings])).toEqual([
+        ['no-redirects', 1], ['telnet', 0], ['http-management', 0], ['snmp-community', 2], ['bgp-authentication', 1],
+        ['bgp-prefix-limit', 1], ['unused-policy', 1], ['unused-prefix-list', 1], ['plaintext-secret', 1]
+      ]);
+    });
+
+    test('checks BGP in logical systems and routing instances and skips deleted statements', () => {
+      expect(brief(JunosAudit.audit(INSTANCES))).toEqual([
+        ['plaintext-secret', 'critical', 'system radius-server 192.0.2.50 secret is in plain text', 11],
+        ['bgp-authentication', 'high', 'BGP neighbor 192.0.2.9 (group up in logical-systems LS1) has no authentication', 2],
+        ['http-management', 'high', 'Web management is enabled over HTTP; use HTTPS', 9],
+        ['telnet', 'high', 'Telnet is enabled; use SSH', 10],
+        ['bgp-prefix-limit', 'medium', 'BGP neighbor 198.51.100.2 (group ce in routing-instances VRF) has no prefix limit', 6]
+      ]);
+    });
+
+    test('disables and re-rates rules by id', () => {
+      const result = JunosAudit.audit(INSTANCES, { disabled: ['telnet'], severity: { 'http-management': 'info' } });
+
+      expect(result.findings.map(finding => [finding.rule, finding.severity])).toEqual([
+        ['plaintext-secret', 'critical'],
+        ['bgp-authentication', 'high'],
+        ['bgp-prefix-limit', 'medium'],
+        ['http-management', 'info']
+      ]);
+      expect(result.rules.map(rule => rule.id)).not.toContain('telnet');
+    });
+
+    test('runs added rules through the same context', () => {
+      const hostName = {
+        id: 'host-name',
+        severity: 'info',
+        title: 'No host-name',
+        check(context) {
+          const [system] = context.match(['system']);
+          if (!context.has(system, ['host-name'])) context.report(system, 'system has no host-name');
+        }
+      };
+
+      const result = JunosAudit.audit(INSTANCES, { rules: [...JunosAudit.RULES, hostName] });
+
+      expect(result.findings.filter(finding => finding.rule === 'host-name')).toEqual([
+        { rule: 'host-name', severity: 'info', title: 'No host-name', message: 'system has no host-name', statement: 'system', line: 7 }
+      ]);
+    });
+
+    test('audits JSON input, which has no lines', () => {
+      const json = JunosConfig.convert('set system services telnet', 'set', 'json');
+
+      expect(brief(JunosAudit.audit(json, { from: 'json' }))).toEqual([['telnet', 'high', 'Telnet is enabled; use SSH', null]]);
+    });
+
+    test.each([
+      ['rules that are not a list', { rules: {} }, 'rules must be a list', 'INVALID_RULE'],
+      ['an unknown severity', { rules: [{ id: 'a', severity: 'loud', check() {} }] }, 'Rule 1 (a) severity must be one of critical, high, medium, low, info', 'INVALID_RULE'],
+      ['duplicate ids', { rules: [{ id: 'a', severity: 'low', check() {} }, { id: 'a', severity: 'low', check() {} }] }, 'Rule 2: there is already a rule "a"', 'INVALID_RULE'],
+      ['disabling an unknown rule', { disabled: ['nope'] }, 'There is no rule "nope"', 'INVALID_RULE'],
+      ['re-rating to an unknown severity', { severity: { telnet: 'bad' } }, 'Rule telnet severity must be one of critical, high, medium, low, info', 'INVALID_RULE'],
+      ['a rule that throws', { rules: [{ id: 'x', severity: 'low', check() { throw new Error('boom'); } }] }, 'Rule x failed: boom', 'RULE_FAILED']
+    ])('rejects %s', (label, options, message, code) => {
+      expect(() => JunosAudit.audit('set system host-name a', options))
+        .toThrow(expect.objectContaining({ message, code, field: 'rules' }));
+    });
+  });
+});
@@ -0,0 +1,393 @@
+/**
+ * JUNOS Configuration Model tests
+ * Network Engineers Toolkit Backend
+ *
+ * The same configuration is written out by hand in each of the five
+ * formats; every one must parse to the same tree and every tree must
+ * print back to identical text through any other format.
+ */
+
+const junos = require('../../src/shared/junosConfig');
+
+const { FORMATS, JunosConfigError, parse, format, convert, detectFormat, findNode } = junos;
+
+const SET = `set groups common system ntp server 192.0.2.10
+set apply-groups common
+set system host-name "edge 1"
+protect system
+set interfaces ge-0/0/0 description "Uplink to \\"ISP\\" A"
+set interfaces ge-0/0/0 unit 0 family inet address 192.0.2.1/30
+set interfaces ge-0/0/1 disable
+deactivate interfaces ge-0/0/1
+annotate interfaces "physical ports"
+delete protocols lldp
+set policy-options policy-statement EXPORT term ONE from community [ c1 c2 ]
+set policy-options policy-statement EXPORT term ONE then accept
+`;
+
+const HIERARCHICAL = `## Last commit: 2026-10-01 12:00:00 UTC by admin
+groups {
+    common {
+        system {
+            ntp {
+                server 192.0.2.10;
+            }
+        }
+    }
+}
+apply-groups common;
+protect: system {
+    host-name "edge 1";
+}
+/* physical ports */
+interfaces {
+    ge-0/0/0 {
+        description "Uplink to \\"ISP\\" A";
+        unit 0 {
+            family inet {
+                address 192.0.2.1/30;
+            }
+        }
+    }
+    inactive: ge-0/0/1 {
+        disable;
+    }
+}
+protocols {
+    delete: lldp;
+}
+policy-options {
+    policy-statement EXPORT {
+        term ONE {
+            from community [ c1 c2 ];
+            then accept;
+        }
+    }
+}
+`;
+
+const XML = `<configuration xmlns:junos="http://xml.juniper.net/junos/*/junos">
+  <groups>
+    <name>common</name>
+    <system><ntp><server><name>192.0.2.10</name></server></ntp></system>
+  </groups>
+  <apply-groups>common</apply-groups>
+  <system protect="protect">
+    <host-name>edge 1</host-name>
+  </system>
+  <junos:comment>/* physical ports */</junos:comment>
+  <interfaces>
+    <interface>
+      <name>ge-0/0/0</name>
+      <description>Uplink to &quot;ISP&quot; A</description>
+      <unit>
+        <name>0</name>
+        <family><inet><address><name>192.0.2.1/30</name></address></inet></family>
+      </unit>
+    </interface>
+    <interface inactive="inactive">
+      <name>ge-0/0/1</name>
+      <disable/>
+    </interface>
+  </interfaces>
+  <protocols>
+    <lldp delete="delete"/>
+  </protocols>
+  <policy-options>
+    <policy-statement>
+      <name>EXPORT</name>
+      <term>
+        <name>ONE</name>
+        <from>
+          <community>c1</community>
+          <community>c2</community>
+        </from>
+        <then><accept/></then>
+      </term>
+    </policy-statement>
+  </policy-options>
+</configuration>
+`;
+
+const JSON_CONFIG = `{
+  "configuration": {
+    "groups": [{ "name": "common", "system": { "ntp": { "server": [{ "name": "192.0.2.10" }] } } }],
+    "apply-groups": "common",
+    "system": { "@": { "protect": true }, "host-name": "edge 1" },
+    "interfaces": {
+      "@": { "junos:comment": "/* physical ports */" },
+      "interface": [
+        {
+          "name": "ge-0/0/0",
+          "description": "Uplink to \\"ISP\\" A",
+          "unit": [{ "name": "0", "family": { "inet": { "address": [{ "name": "192.0.2.1/30" }] } } }]
+        },
+        { "@": { "inactive": true }, "name": "ge-0/0/1", "disable": [null] }
+      ]
+    },
+    "protocols": { "lldp": [null], "@lldp": { "operation": "delete" } },
+    "policy-options": {
+      "policy-statement": [{
+        "name": "EXPORT",
+        "term": [{ "name": "ONE", "from": { "community": ["c1", "c2"] }, "then": { "accept": [null] } }]
+      }]
+    }
+  }
+}
+`;
+
+const YAML = `---
+configuration:
+  groups:
+    - name: common
+      system:
+        ntp:
+          server:
+            - name: 192.0.2.10
+  apply-groups: common
+  system:
+    "@":
+      protect: true
+    host-name: edge 1
+  interfaces:
+    "@":
+      junos:comment: /* physical ports */
+    interface:
+      - name: ge-0/0/0
+        description: Uplink to "ISP" A
+        unit:
+          - name: "0"
+            family:
+              inet:
+                address:
+                  - name: 192.0.2.1/30
+      - "@":
+          inactive: true
+        name: ge-0/0/1
+        disable: [null]
+  protocols:
+    lldp: [null]
+    "@lldp":
+      operation: delete
+  policy-options:
+    policy-statement:
+      - name: EXPORT
+        term:
+          - name: ONE
+            from:
+              community:
+                - c1
+                - c2
+            then:
+              accept: [null]
+`;
+
+const INPUTS = { set: SET, hierarchical: HIERARCHICAL, xml: XML, json: JSON_CONFIG, yaml: YAML };
+
+// Set output of every input; annotations are printed after the statements
+const EXPECTED_SET = `set groups common system ntp server 192.0.2.10
+set apply-groups common
+set system host-name "edge 1"
+protect system
+set interfaces ge-0/0/0 description "Uplink to \\"ISP\\" A"
+set interfaces ge-0/0/0 unit 0 family inet address 192.0.2.1/30
+set interfaces ge-0/0/1 disable
+deactivate interfaces ge-0/0/1
+delete protocols lldp
+set policy-options policy-statement EXPORT term ONE from community [ c1 c2 ]
+set policy-options policy-statement EXPORT term ONE then accept
+annotate interfaces "physical ports"`;
+
+describe('junosConfig', () => {
+  describe.each(FORMATS)('%s input', (source) => {
+    const tree = parse(INPUTS[source], source);
+
+    test('is detected', () => {
+      expect(detectFormat(INPUTS[source])).toBe(source);
+    });
+
+    test('parses to the same statements as every other format', () => {
+      expect(format(tree, 'set')).toBe(EXPECTED_SET);
+      expect(format(parse(INPUTS[source]), 'set')).toBe(EXPECTED_SET);
+    });
+
+    test('keeps quoted descriptions as one word', () => {
+      const description = findNode(tree, ['interfaces', 'ge-0/0/0', 'description']);
+      expect(description.children.map(child => child.word)).toEqual(['Uplink to "ISP" A']);
+      expect(format(tree, 'hierarchical')).toContain('description "Uplink to \\"ISP\\" A";');
+    });
+
+    test('keeps [ ] lists', () => {
+      const community = findNode(tree, ['policy-options', 'policy-statement', 'EXPORT', 'term', 'ONE', 'from', 'community']);
+      expect(community.list).toBe(true);
+      expect(community.children.map(child => child.word)).toEqual(['c1', 'c2']);
+    });
+
+    test('keeps inactive and protect', () => {
+      expect(findNode(tree, ['interfaces', 'ge-0/0/1']).inactive).toBe(true);
+      expect(findNode(tree, ['interfaces', 'ge-0/0/0']).inactive).toBe(false);
+      expect(findNode(tree, ['system']).protect).toBe(true);
+    });
+
+    test('keeps delete operations', () => {
+      expect(findNode(tree, ['protocols', 'lldp']).operation).toBe('delete');
+    });
+
+    test('keeps annotations', () => {
+      expect(findNode(tree, ['interfaces']).annotation).toBe('physical ports');
+    });
+
+    test('keeps groups and apply-groups', () => {
+      expect(findNode(tree, ['groups', 'common', 'system', 'ntp', 'server', '192.0.2.10'])).not.toBeNull();
+      expect(findNode(tree, ['apply-groups', 'common'])).not.toBeNull();
+    });
+  });
+
+  describe('set commands', () => {
+    test('deactivate and delete mark existing statements', () => {
+      const tree = parse('set interfaces ge-0/0/2 disable\ndeactivate interfaces ge-0/0/2\ndelete snmp\n', 'set');
+      expect(format(tree, 'hierarchical')).toBe('interfaces {\n    inactive: ge-0/0/2 {\n        disable;\n    }\n}\ndelete: snmp;');
+    });
+
+    test('edit and top change the path of later commands', () => {
+      const tree = parse('edit system\nset host-name r1\ntop\nset snmp location lab\n', 'set');
+      expect(format(tree, 'set')).toBe('set system host-name r1\nset snmp location lab');
+    });
+  });
+
+  describe('round trips', () => {
+    const tree = parse(HIERARCHICAL, 'hierarchical');
+
+    describe.each(FORMATS)('from %s', (source) => {
+      const text = format(tree, source);
+
+      test('prints its own output unchanged', () => {
+        expect(format(parse(text, source), source)).toBe(text);
+      });
+
+      test.each(FORMATS)('through %s and back is identical', (target) => {
+        expect(convert(convert(text, source, target), target, source)).toBe(text);
+      });
+    });
+  });
+
+  describe('route filter match types', () => {
+    const ROUTE_FILTERS = `policy-options {
+    route-filter-list PRIVATE {
+        10.0.0.0/8 upto /24;
+        inactive: 172.16.0.0/12 prefix-length-range /16-/24;
+        192.168.0.0/16 orlonger;
+        100.64.0.0/10 exact;
+        2001:db8::/32 longer;
+    }
+    policy-statement IMPORT {
+        term BOGONS {
+            from {
+                route-filter 10.0.0.0/8 upto /24;
+                route-filter 10.0.0.0/8 prefix-length-range /16-/24;
+                route-filter 0.0.0.0/0 exact reject;
+                route-filter 192.0.2.0/24 orlonger {
+                    metric 10;
+                    accept;
+                }
+            }
+        }
+    }
+}`;
+
+    test('stay on the prefix\'s line with their value', () => {
+      const tree = parse('set policy-options route-filter-list PRIVATE 10.0.0.0/8 upto /24\n'
+        + 'set policy-options policy-statement IMPORT term BOGONS from route-filter 172.16.0.0/12 prefix-length-range /16-/24', 'set');
+
+      expect(format(tree, 'hierarchical')).toBe(`policy-options {
+    route-filter-list PRIVATE {
+        10.0.0.0/8 upto /24;
+    }
+    policy-statement IMPORT {
+        term BOGONS {
+            from {
+                route-filter 172.16.0.0/12 prefix-length-range /16-/24;
+            }
+        }
+    }
+}`);
+    });
+
+    test('give each match type of one prefix its own statement', () => {
+      const tree = parse(ROUTE_FILTERS, 'hierarchical');
+      const prefix = findNode(tree, ['policy-options', 'policy-statement', 'IMPORT', 'term', 'BOGONS', 'from', 'route-filter', '10.0.0.0/8']);
+
+      expect(prefix.children.map(child => child.word)).toEqual(['upto', 'prefix-length-range']);
+      expect(format(tree, 'hierarchical')).toBe(ROUTE_FILTERS);
+    });
+
+    test('carry the marks of their entry', () => {
+      const tree = parse(ROUTE_FILTERS, 'hierarchical');
+
+      expect(findNode(tree, ['policy-options', 'route-filter-list', 'PRIVATE', '172.16.0.0/12', 'prefix-length-range']).inactive).toBe(true);
+      expect(format(tree, 'set')).toContain('deactivate policy-options route-filter-list PRIVATE 172.16.0.0/12 prefix-length-range\n');
+    });
+
+    test.each(FORMATS)('round trip through %s', (target) => {
+      expect(convert(convert(ROUTE_FILTERS, 'hierarchical', target), target, 'hierarchical')).toBe(ROUTE_FILTERS);
+    });
+  });
+
+  describe('JSON and YAML values', () => {
+    const VALUES = `set system host-name yes
+set interfaces ge-0/0/0 unit 0 description "- dash"
+set interfaces ge-0/0/0 unit 0 vlan-id 100
+set snmp contact null
+set snmp description "a \\"quoted\\" 'word' #3: lab"
+set protocols ospf area 0.0.0.0 interface lo0.0 passive`;
+
+    test('quote YAML scalars that would read as another type', () => {
+      const yaml = convert(VALUES, 'set', 'yaml');
+
+      expect(yaml).toContain('    host-name: "yes"\n');
+      expect(yaml).toContain('            description: "- dash"\n            vlan-id: "100"\n');
+      expect(yaml).toContain('    contact: "null"\n');
+      expect(yaml).toMatch(/\n {14}passive: \[null\]$/);
+    });
+
+    test('keep every value a string in JSON, with [null] for empty statements', () => {
+      const json = JSON.parse(convert(VALUES, 'set', 'json'));
+
+      expect(json.configuration.snmp).toEqual({ contact: 'null', description: 'a "quoted" \'word\' #3: lab' });
+      expect(json.configuration.interfaces.interface[0].unit[0]).toEqual({ name: '0', description: '- dash', 'vlan-id': '100' });
+      expect(json.configuration.protocols.ospf.area[0].interface[0].passive).toEqual([null]);
+    });
+
+    test.each(['json', 'yaml'])('come back unchanged through %s', (target) => {
+      expect(convert(convert(VALUES, 'set', target), target, 'set')).toBe(VALUES);
+    });
+  });
+
+  describe('errors', () => {
+    test.each([
+      ['hierarchical', 'system {\n    host-name r1;\n', 'Missing } for "system"', 1],
+      ['hierarchical', 'system {\n    host-name "r1;\n}\n', 'Unterminated quoted string', 2],
+      ['xml', '<configuration><system></configuration>', 'Unexpected </configuration>, expected </system>', 1],
+      ['set', 'set system host-name "r1\n', 'Unterminated quoted string', 1]
+    ])('%s input %j is rejected', (source, text, message, line) => {
+      let error;
+      try {
+        parse(text, source);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).toBeInstanceOf(JunosConfigError);
+      expect(error.code).toBe('INVALID_CONFIG');
+      expect(error.line).toBe(line);
+      expect(error.message).toBe(`${message} at line ${line}`);
+    });
+
+    test('empty input is rejected', () => {
+      expect(() => parse('  \n', 'auto')).toThrow('Configuration is empty');
+    });
+
+    test('unknown formats are rejected', () => {
+      expect(() => convert('set system host-name r1', 'set', 'toml')).toThrow(JunosConfigError);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * JUNOS configuration diff tests
+ * Network Engineers Toolkit Backend
+ */
+
+const JunosDiff = require('../../src/shared/junosDiff');
+
+const BEFORE = `set system host-name old-rtr
+set interfaces ge-0/0/0 description "uplink to core"
+set interfaces ge-0/0/0 unit 0 family inet address 192.0.2.1/30
+set interfaces ge-0/0/1 unit 0 family inet address 198.51.100.1/24
+set interfaces ge-0/0/2 disable
+deactivate interfaces ge-0/0/2
+set protocols bgp group peers export [ A B ]
+set protocols bgp group peers neighbor 192.0.2.2
+protect protocols bgp
+set snmp community public authorization read-only
+`;
+
+const AFTER = `set system host-name new-rtr
+set interfaces ge-0/0/0 description "uplink to \\"core\\" 2"
+set interfaces ge-0/0/0 unit 0 family inet address 192.0.2.1/30
+deactivate interfaces ge-0/0/1
+set interfaces ge-0/0/1 unit 0 family inet address 198.51.100.1/24
+set interfaces ge-0/0/2 disable
+set protocols bgp group peers export [ B A ]
+set protocols bgp group peers neighbor 192.0.2.2
+set protocols bgp group peers neighbor 192.0.2.6
+edit protocols bgp
+annotate group peers "transit peers"
+`;
+
+describe('JunosDiff', () => {
+  test('prints show | compare output', () => {
+    expect(JunosDiff.diff(BEFORE, AFTER).compare).toBe(`[edit system]
+-   host-name old-rtr;
++   host-name new-rtr;
+[edit interfaces ge-0/0/0]
+-   description "uplink to core";
++   description "uplink to \\"core\\" 2";
+[edit interfaces]
+!   inactive: ge-0/0/1 { ... }
+!   active: ge-0/0/2 { ... }
+[edit protocols]
+!   unprotect: bgp { ... }
+[edit protocols bgp]
++   /* transit peers */
+    group peers { ... }
+[edit protocols bgp group peers]
+-   export [ A B ];
++   export [ B A ];
++   neighbor 192.0.2.6;
+[edit]
+-   snmp {
+-       community public {
+-           authorization read-only;
+-       }
+-   }`);
+  });
+
+  test('prints the commands that turn the old configuration into the new one', () => {
+    const { commands } = JunosDiff.diff(BEFORE, AFTER);
+
+    expect(commands).toBe(`delete protocols bgp group peers export
+delete snmp
+set system host-name new-rtr
+set interfaces ge-0/0/0 description "uplink to \\"core\\" 2"
+set protocols bgp group peers export [ B A ]
+set protocols bgp group peers neighbor 192.0.2.6
+deactivate interfaces ge-0/0/1
+activate interfaces ge-0/0/2
+unprotect protocols bgp
+edit protocols bgp
+annotate group peers "transit peers"
+top`);
+
+    // Loading them on top of the old configuration leaves nothing to change
+    expect(JunosDiff.diff(`${BEFORE}${commands}\n`, AFTER)).toEqual({
+      compare: '',
+      commands: '',
+      changes: [],
+      summary: { added: 0, removed: 0, changed: 0, moved: 0 }
+    });
+  });
+
+  test('lists each change with its lines in both configurations', () => {
+    const { changes, summary } = JunosDiff.diff(BEFORE, AFTER);
+
+    expect(changes).toEqual([
+      { type: 'changed', statement: 'system host-name new-rtr', oldLine: 1, newLine: 1 },
+      { type: 'changed', statement: 'interfaces ge-0/0/0 description "uplink to \\"core\\" 2"', oldLine: 2, newLine: 2 },
+      { type: 'changed', statement: 'interfaces ge-0/0/1', oldLine: 4, newLine: 4 },
+      { type: 'changed', statement: 'interfaces ge-0/0/2', oldLine: 5, newLine: 6 },
+      { type: 'changed', statement: 'protocols bgp', oldLine: 7, newLine: 7 },
+      { type: 'changed', statement: 'protocols bgp group peers', oldLine: 7, newLine: 7 },
+      { type: 'changed', statement: 'protocols bgp group peers export', oldLine: 7, newLine: 7 },
+      { type: 'added', statement: 'protocols bgp group peers neighbor 192.0.2.6', oldLine: null, newLine: 9 },
+      { type: 'removed', statement: 'snmp', oldLine: 10, newLine: null }
+    ]);
+    expect(summary).toEqual({ added: 1, removed: 1, changed: 7, moved: 0 });
+  });
+
+  test('moves reordered policy terms with insert', () => {
+    const before = `set policy-options policy-statement EXPORT term a then accept
+set policy-options policy-statement EXPORT term b then reject
+set policy-options policy-statement EXPORT term c then next policy`;
+    const after = `set policy-options policy-statement EXPORT term c then next policy
+set policy-options policy-statement EXPORT term a then accept
+set policy-options policy-statement EXPORT term b then reject`;
+
+    expect(JunosDiff.diff(before, after)).toEqual({
+      compare: '[edit policy-options policy-statement EXPORT]\n!   term c { ... }',
+      commands: 'insert policy-options policy-statement EXPORT term c before term a',
+      changes: [{ type: 'moved', statement: 'policy-options policy-statement EXPORT term c', oldLine: 3, newLine: 1 }],
+      summary: { added: 0, removed: 0, changed: 0, moved: 1 }
+    });
+  });
+
+  test('ignores the order of statements JUNOS does not evaluate in order', () => {
+    const before = 'set interfaces ge-0/0/0 disable\nset interfaces ge-0/0/1 disable\nset protocols bgp group peers neighbor 192.0.2.2\nset protocols bgp group peers neighbor 192.0.2.6';
+    const after = 'set interfaces ge-0/0/1 disable\nset interfaces ge-0/0/0 disable\nset protocols bgp group peers neighbor 192.0.2.6\nset protocols bgp group peers neighbor 192.0.2.2';
+
+    expect(JunosDiff.diff(before, after).changes).toEqual([]);
+  });
+
+  test('compares configurations given in different formats', () => {
+    const result = JunosDiff.diff('system { host-name a; }', '<configuration><system><host-name>b</host-name></system></configuration>');
+
+    expect(result.commands).toBe('set system host-name b');
+  });
+
+  test('names the configuration that does not parse', () => {
+    expect(() => JunosDiff.diff('system { host-name a; }', 'system {', { from: 'hierarchical' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_CONFIG', field: 'after' }));
+    expect(() => JunosDiff.diff('frobnicate system', 'set system host-name a', { from: 'set' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_CONFIG', field: 'before' }));
+  });
+});
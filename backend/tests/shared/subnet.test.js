@@ -0,0 +1,139 @@
+/**
+ * Subnet calculator tests
+ * Network Engineers Toolkit Backend
+ */
+
+const SubnetCalc = require('../../src/shared/subnet');
+
+function errorOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return { message: error.message, code: error.code, field: error.field };
+  }
+  throw new Error('No error thrown');
+}
+
+describe('SubnetCalc', () => {
+  describe('calculateIPv4', () => {
+    test('describes the subnet of an address in CIDR notation', () => {
+      expect(SubnetCalc.calculateIPv4('192.168.10.77/26')).toEqual({
+        version: 4,
+        ipAddress: '192.168.10.77',
+        networkAddress: '192.168.10.64',
+        broadcastAddress: '192.168.10.127',
+        subnetMask: '255.255.255.192',
+        wildcardMask: '0.0.0.63',
+        prefixLength: 26,
+        cidrNotation: '192.168.10.64/26',
+        totalHosts: 64,
+        usableHosts: 62,
+        firstHost: '192.168.10.65',
+        lastHost: '192.168.10.126',
+        networkClass: 'C',
+        binary: {
+          ipAddress: '11000000.10101000.00001010.01001101',
+          subnetMask: '11111111.11111111.11111111.11000000',
+          wildcardMask: '00000000.00000000.00000000.00111111',
+          networkAddress: '11000000.10101000.00001010.01000000',
+          broadcastAddress: '11000000.10101000.00001010.01111111'
+        }
+      });
+    });
+
+    test('takes the mask as a prefix, /prefix or dotted netmask', () => {
+      ['20', '/20', '255.255.240.0', 20].forEach((mask) => {
+        expect(SubnetCalc.calculateIPv4('172.16.35.1', mask)).toMatchObject({ cidrNotation: '172.16.32.0/20', usableHosts: 4094 });
+      });
+    });
+
+    test('prefers an explicit mask over the prefix in the address', () => {
+      expect(SubnetCalc.calculateIPv4('10.1.2.3/24', '8').cidrNotation).toBe('10.0.0.0/8');
+    });
+
+    test('counts every address of /31 and /32 as usable', () => {
+      expect(SubnetCalc.calculateIPv4('10.0.0.1/31')).toMatchObject({ usableHosts: 2, firstHost: '10.0.0.0', lastHost: '10.0.0.1' });
+      expect(SubnetCalc.calculateIPv4('10.0.0.1/32')).toMatchObject({ usableHosts: 1, firstHost: '10.0.0.1', lastHost: '10.0.0.1' });
+    });
+
+    test.each([
+      ['10.0.0.1/24/8', undefined, 'Invalid CIDR notation "10.0.0.1/24/8". Use one prefix, such as 192.168.1.0/24', 'INVALID_PREFIX', 'ipAddress'],
+      ['10.0.0.1//24', undefined, 'Invalid CIDR notation "10.0.0.1//24". Use one prefix, such as 192.168.1.0/24', 'INVALID_PREFIX', 'ipAddress'],
+      ['10.0.0.1/24/8', '16', 'Invalid CIDR notation "10.0.0.1/24/8". Use one prefix, such as 192.168.1.0/24', 'INVALID_PREFIX', 'ipAddress'],
+      ['10.0.0.1/', undefined, 'Subnet mask or CIDR prefix is required', 'MISSING_MASK', 'subnetMask'],
+      ['', '24', 'IP address is required', 'MISSING_ADDRESS', 'ipAddress'],
+      ['256.0.0.1', '24', 'Invalid IPv4 address. Octets must be between 0 and 255', 'INVALID_ADDRESS', 'ipAddress'],
+      ['10.0.0', '24', 'Invalid IPv4 address format. Use xxx.xxx.xxx.xxx', 'INVALID_ADDRESS', 'ipAddress'],
+      ['10.0.0.1', '/33', 'Invalid CIDR notation. Prefix must be between 0 and 32', 'INVALID_PREFIX', 'subnetMask'],
+      ['10.0.0.1', '255.0.255.0', 'Invalid subnet mask. Mask bits must be contiguous', 'INVALID_MASK', 'subnetMask']
+    ])('rejects %p with mask %p', (address, mask, message, code, field) => {
+      expect(errorOf(() => SubnetCalc.calculateIPv4(address, mask))).toEqual({ message, code, field });
+    });
+  });
+
+  describe('calculateIPv6', () => {
+    test('describes the subnet of an address in CIDR notation', () => {
+      expect(SubnetCalc.calculateIPv6('2001:db8:abcd:12::1/64')).toMatchObject({
+        version: 6,
+        networkAddress: '2001:db8:abcd:12::',
+        prefixLength: 64
+      });
+    });
+
+    test('rejects more than one prefix', () => {
+      expect(errorOf(() => SubnetCalc.calculateIPv6('2001:db8::1/64/48'))).toEqual({
+        message: 'Invalid CIDR notation "2001:db8::1/64/48". Use one prefix, such as 2001:db8::/32',
+        code: 'INVALID_PREFIX',
+        field: 'ipAddress'
+      });
+    });
+  });
+
+  describe('prefixForHosts', () => {
+    test.each([
+      [1, 32],
+      [2, 30],
+      [3, 29],
+      [6, 29],
+      [7, 28],
+      [254, 24],
+      [255, 23]
+    ])('plans %i hosts as a /%i', (hosts, prefix) => {
+      expect(SubnetCalc.prefixForHosts(hosts)).toBe(prefix);
+    });
+
+    test('never plans a /31', () => {
+      for (let hosts = 1; hosts <= 4; hosts++) {
+        expect(SubnetCalc.prefixForHosts(hosts)).not.toBe(31);
+      }
+    });
+
+    test('rejects more hosts than IPv4 has', () => {
+      expect(errorOf(() => SubnetCalc.prefixForHosts(Math.pow(2, 32)))).toEqual({
+        message: '4294967296 hosts do not fit in any IPv4 subnet',
+        code: 'INVALID_REQUIREMENT',
+        field: 'requirements'
+      });
+    });
+  });
+
+  describe('planVLSM', () => {
+    test('packs one, two and three host subnets largest first', () => {
+      const plan = SubnetCalc.planVLSM('10.0.0.0/28', [{ name: 'p2p', hosts: 2 }, { name: 'loopback', hosts: 1 }, { name: 'lan', hosts: 3 }]);
+
+      expect(plan.allocations.map(allocation => [allocation.name, allocation.cidrNotation, allocation.usableHosts])).toEqual([
+        ['lan', '10.0.0.0/29', 6],
+        ['p2p', '10.0.0.8/30', 2],
+        ['loopback', '10.0.0.12/32', 1]
+      ]);
+      expect(plan.freeSpace).toEqual(['10.0.0.13/32', '10.0.0.14/31']);
+    });
+  });
+
+  describe('calculate', () => {
+    test('picks the address family from the address', () => {
+      expect(SubnetCalc.calculate('192.0.2.10/24').version).toBe(4);
+      expect(SubnetCalc.calculate('2001:db8::1/64').version).toBe(6);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Syslog parser tests
+ * Network Engineers Toolkit Backend
+ */
+
+const SyslogParser = require('../../src/shared/syslog');
+
+const { parseLine, parse } = SyslogParser;
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+// Examples from RFC 3164 section 5.4 and RFC 5424 section 6.5
+const RFC3164 = {
+  su: "<34>Oct 11 22:14:15 mymachine su: 'su root' failed for lonvick on /dev/pts/8",
+  bfg: '<13>Feb  5 17:32:18 10.0.0.99 Use the BFG!',
+  sshd: 'Mar  9 08:01:02 core-rtr1 sshd[4121]: Accepted publickey for netops'
+};
+
+const RFC5424 = {
+  sd: '<165>1 2003-10-11T22:14:15.003Z mymachine.example.com evntslog - ID47 ' +
+    '[exampleSDID@32473 iut="3" eventSource="Application" eventID="1011"] \uFEFFAn application event log entry',
+  offset: "<165>1 2003-08-24T05:14:15.000003-07:00 192.0.2.1 myproc 8710 - - %% It's time to make the do-nuts.",
+  nil: '<34>1 - - - - - [a b="x\\"y\\]z"][c@1 d=""]',
+  junos: '<28>1 2026-03-10T11:00:00Z fw1 RT_FLOW - RT_FLOW_SESSION_CREATE [junos@2636.1.1.1.2.40 source-address="10.0.0.1"] session created'
+};
+
+const CISCO = '<189>45: core-sw1: *Mar 10 11:59:01.123: %LINEPROTO-5-UPDOWN: Line protocol on Interface Gi0/1, changed state to down';
+const JUNOS = 'Mar 10 11:00:00 mx1 mgd[3046]: UI_COMMIT: User root requested commit';
+
+describe('SyslogParser', () => {
+  describe('decodePriority', () => {
+    test('splits PRI into facility and severity', () => {
+      expect(SyslogParser.decodePriority(165)).toEqual({
+        priority: 165, facility: 20, facilityName: 'local4', severity: 5, severityName: 'notice'
+      });
+      expect(SyslogParser.decodePriority('0')).toMatchObject({ facilityName: 'kern', severityName: 'emergency' });
+    });
+
+    test.each([192, -1, 1.5, 'x'])('rejects %p', (pri) => {
+      expect(SyslogParser.decodePriority(pri)).toBeNull();
+    });
+  });
+
+  describe('RFC 3164', () => {
+    test('reads PRI, timestamp, host, tag and message', () => {
+      expect(parseLine(RFC3164.su, { now: NOW })).toEqual({
+        'event.original': RFC3164.su,
+        'log.syslog.priority': 34,
+        'log.syslog.facility.code': 4,
+        'log.syslog.facility.name': 'auth',
+        'log.syslog.severity.code': 2,
+        'log.syslog.severity.name': 'critical',
+        '@timestamp': '2025-10-11T22:14:15.000Z',
+        'host.name': 'mymachine',
+        'log.syslog.format': 'rfc3164',
+        'process.name': 'su',
+        'message': "'su root' failed for lonvick on /dev/pts/8"
+      });
+    });
+
+    test('reads a message without a tag and an address as the host', () => {
+      expect(parseLine(RFC3164.bfg, { now: NOW })).toMatchObject({
+        '@timestamp': '2026-02-05T17:32:18.000Z',
+        'host.name': '10.0.0.99',
+        'message': 'Use the BFG!'
+      });
+      expect(parseLine(RFC3164.bfg, { now: NOW })).not.toHaveProperty('process.name');
+    });
+
+    test('reads collector lines without a PRI and the pid in the tag', () => {
+      expect(parseLine(RFC3164.sshd, { now: NOW })).toMatchObject({
+        'host.name': 'core-rtr1',
+        'process.name': 'sshd',
+        'process.pid': '4121',
+        'message': 'Accepted publickey for netops'
+      });
+    });
+
+    test('takes dates without a year as the latest one not in the future', () => {
+      expect(parseLine('Mar 11 08:00:00 h x: tomorrow', { now: NOW })['@timestamp']).toBe('2026-03-11T08:00:00.000Z');
+      expect(parseLine('Mar 12 08:00:00 h x: two days ahead', { now: NOW })['@timestamp']).toBe('2025-03-12T08:00:00.000Z');
+      expect(parseLine('2024 Mar 12 08:00:00 h x: explicit', { now: NOW })['@timestamp']).toBe('2024-03-12T08:00:00.000Z');
+    });
+  });
+
+  describe('RFC 5424', () => {
+    test('reads the header, structured data and message without its BOM', () => {
+      expect(parseLine(RFC5424.sd)).toEqual({
+        'event.original': RFC5424.sd,
+        'log.syslog.priority': 165,
+        'log.syslog.facility.code': 20,
+        'log.syslog.facility.name': 'local4',
+        'log.syslog.severity.code': 5,
+        'log.syslog.severity.name': 'notice',
+        'log.syslog.version': 1,
+        '@timestamp': '2003-10-11T22:14:15.003Z',
+        'host.name': 'mymachine.example.com',
+        'process.name': 'evntslog',
+        'log.syslog.msgid': 'ID47',
+        'log.syslog.structured_data': { 'exampleSDID@32473': { iut: '3', eventSource: 'Application', eventID: '1011' } },
+        'message': 'An application event log entry',
+        'log.syslog.format': 'rfc5424'
+      });
+    });
+
+    test('converts timestamps with an offset to UTC', () => {
+      expect(parseLine(RFC5424.offset)).toMatchObject({
+        '@timestamp': '2003-08-24T12:14:15.000Z',
+        'process.pid': '8710',
+        'message': "%% It's time to make the do-nuts."
+      });
+    });
+
+    test('leaves out nil fields and unescapes structured data values', () => {
+      const entry = parseLine(RFC5424.nil);
+
+      expect(entry['log.syslog.structured_data']).toEqual({ a: { b: 'x"y]z' }, 'c@1': { d: '' } });
+      expect(entry.message).toBe('');
+      ['@timestamp', 'host.name', 'process.name', 'process.pid', 'log.syslog.msgid'].forEach((field) => {
+        expect(entry).not.toHaveProperty([field]);
+      });
+    });
+
+    test('recognises Junos structured syslog by the Juniper enterprise number', () => {
+      expect(parseLine(RFC5424.junos)).toMatchObject({
+        'log.syslog.format': 'junos',
+        'observer.vendor': 'Juniper',
+        'event.code': 'RT_FLOW_SESSION_CREATE',
+        'log.syslog.structured_data': { 'junos@2636.1.1.1.2.40': { 'source-address': '10.0.0.1' } }
+      });
+    });
+  });
+
+  describe('vendor formats', () => {
+    test('reads Cisco sequence numbers, origin hosts and device timestamps', () => {
+      expect(parseLine(CISCO, { now: NOW })).toMatchObject({
+        'event.sequence': 45,
+        'host.name': 'core-sw1',
+        '@timestamp': '2026-03-10T11:59:01.123Z',
+        'event.code': 'LINEPROTO-5-UPDOWN',
+        'cisco.facility': 'LINEPROTO',
+        'cisco.mnemonic': 'UPDOWN',
+        'log.syslog.severity.code': 5,
+        'log.syslog.format': 'cisco',
+        'message': 'Line protocol on Interface Gi0/1, changed state to down'
+      });
+    });
+
+    test('reads the severity of a Cisco message without a PRI from the mnemonic', () => {
+      expect(parseLine('%SYS-3-CPUHOG: Task ran for 2004 msec')).toMatchObject({
+        'log.syslog.severity.code': 3,
+        'log.syslog.severity.name': 'error'
+      });
+    });
+
+    test('reads Junos event tags from unstructured messages', () => {
+      expect(parseLine(JUNOS, { now: NOW })).toMatchObject({
+        'process.name': 'mgd',
+        'event.code': 'UI_COMMIT',
+        'log.syslog.format': 'junos',
+        'message': 'User root requested commit'
+      });
+    });
+  });
+
+  describe('malformed lines', () => {
+    test.each([
+      'just some text',
+      '<999>Oct 11 22:14:15 mymachine su: failed',
+      '<192>Oct 11 22:14:15',
+      '<1000>message',
+      'Foo 11 22:14:15 host bad month',
+      '2026-13-45T10:00:00Z host bad date',
+      ''
+    ])('returns null for %p', (line) => {
+      expect(parseLine(line, { now: NOW })).toBeNull();
+    });
+
+    test('reads RFC 5424 lines with broken structured data as RFC 3164', () => {
+      expect(parseLine('<34>1 2026-01-01T00:00:00Z h a p m [unterminated')).toMatchObject({
+        'log.syslog.priority': 34,
+        'log.syslog.format': 'rfc3164',
+        'message': '1 2026-01-01T00:00:00Z h a p m [unterminated'
+      });
+      expect(parseLine('<34>1 2026-01-01T00:00:00Z h a p m [id x=unquoted]')).toMatchObject({ 'log.syslog.format': 'rfc3164' });
+    });
+  });
+
+  describe('parse', () => {
+    const LOG = [
+      RFC3164.su,
+      '    continued on the next line',
+      'not syslog at all',
+      RFC5424.sd,
+      '',
+      CISCO,
+      JUNOS,
+      '<999>garbage'
+    ].join('\r\n');
+
+    test('counts skipped lines and formats and joins continuation lines', () => {
+      const { format, entries, skipped, formats } = parse(LOG, { now: NOW });
+
+      expect(format).toBe('syslog');
+      expect(skipped).toBe(2);
+      expect(formats).toEqual({ rfc3164: 1, rfc5424: 1, cisco: 1, junos: 1 });
+      expect(entries[0].message).toBe("'su root' failed for lonvick on /dev/pts/8\ncontinued on the next line");
+      expect(entries[0]['event.original']).toBe(`${RFC3164.su}\n    continued on the next line`);
+    });
+
+    test('detects and reads CSV exports', () => {
+      const csv = '@timestamp,host.name,message\n2026-03-10T11:00:00Z,core-rtr1,"BGP, down"\nshort,row';
+
+      expect(SyslogParser.detectFormat(csv)).toBe('csv');
+      expect(parse(csv)).toEqual({
+        format: 'csv',
+        entries: [{ '@timestamp': '2026-03-10T11:00:00Z', 'host.name': 'core-rtr1', 'message': 'BGP, down' }],
+        skipped: 1,
+        formats: {}
+      });
+    });
+
+    test('rejects unknown formats and CSV without data rows', () => {
+      expect(() => parse(LOG, { format: 'xml' })).toThrow(expect.objectContaining({ code: 'INVALID_FORMAT', field: 'format' }));
+      expect(() => parse('@timestamp,message', { format: 'csv' })).toThrow(expect.objectContaining({ code: 'INVALID_CSV', field: 'logs' }));
+    });
+  });
+});
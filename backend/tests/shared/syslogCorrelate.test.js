@@ -0,0 +1,162 @@
+/**
+ * Syslog event correlation tests
+ * Network Engineers Toolkit Backend
+ */
+
+const { parseLine } = require('../../src/shared/syslog');
+const SyslogCorrelate = require('../../src/shared/syslogCorrelate');
+
+const START = Date.parse('2026-03-10T12:00:00Z');
+
+function at(seconds) {
+  return new Date(START + seconds * 1000).toISOString();
+}
+
+function cisco(seconds, host, pri, code, message) {
+  return parseLine(`<${pri}>${at(seconds)} ${host} %${code}: ${message}`);
+}
+
+function link(seconds, state) {
+  return cisco(seconds, 'core-rtr1', 187, 'LINK-3-UPDOWN', `Interface GigabitEthernet0/1, changed state to ${state}`);
+}
+
+const EVENTS = [
+  link(0, 'down'),
+  cisco(0, 'core-rtr1', 189, 'LINEPROTO-5-UPDOWN', 'Line protocol on Interface GigabitEthernet0/1, changed state to down'),
+  cisco(5, 'core-rtr2', 189, 'BGP-5-ADJCHANGE', 'neighbor 192.0.2.1 Down BGP Notification sent'),
+  link(10, 'up'),
+  link(20, 'down'),
+  link(30, 'up'),
+  link(40, 'down'),
+  link(50, 'up'),
+  cisco(60, 'core-rtr2', 189, 'BGP-5-ADJCHANGE', 'neighbor 192.0.2.1 Up'),
+  cisco(70, 'core-rtr1', 189, 'SYS-5-CONFIG_I', 'Configured from console by admin on vty0'),
+  link(1000, 'down'),
+  { 'event.original': 'no time', 'message': 'no time' }
+];
+
+describe('SyslogCorrelate', () => {
+  describe('correlate', () => {
+    test('joins down/up transitions per host and subject and counts flaps', () => {
+      // Input order does not matter
+      const result = SyslogCorrelate.correlate(EVENTS.slice().reverse());
+
+      expect(result.incidents.map(({ events, codes, ...incident }) => incident)).toEqual([
+        {
+          id: 'INC-0001', rule: 'Interface', host: 'core-rtr1', subject: 'GigabitEthernet0/1',
+          start: at(0), end: at(50), duration: 50, count: 7,
+          downs: 4, ups: 3, flaps: 3, flapping: true, state: 'up', severity: 3
+        },
+        {
+          id: 'INC-0002', rule: 'BGP neighbor', host: 'core-rtr2', subject: '192.0.2.1',
+          start: at(5), end: at(60), duration: 55, count: 2,
+          downs: 1, ups: 1, flaps: 1, flapping: false, state: 'up', severity: 5
+        },
+        {
+          id: 'INC-0003', rule: 'Interface', host: 'core-rtr1', subject: 'GigabitEthernet0/1',
+          start: at(1000), end: at(1000), duration: 0, count: 1,
+          downs: 1, ups: 0, flaps: 0, flapping: false, state: 'down', severity: 3
+        }
+      ]);
+      expect(result.incidents[0].codes).toEqual([{ code: 'LINK-3-UPDOWN', count: 6 }, { code: 'LINEPROTO-5-UPDOWN', count: 1 }]);
+      expect(result.incidents[1].events.map(event => event.message)).toEqual(['neighbor 192.0.2.1 Down BGP Notification sent', 'neighbor 192.0.2.1 Up']);
+      expect(result).toMatchObject({ total: 12, correlated: 10, untimed: 1, from: at(0), to: at(1000), storms: [] });
+    });
+
+    test('sums incidents per subject, most flaps first', () => {
+      expect(SyslogCorrelate.correlate(EVENTS).subjects).toEqual([
+        {
+          rule: 'Interface', host: 'core-rtr1', subject: 'GigabitEthernet0/1', incidents: 2, events: 8,
+          downs: 5, ups: 3, flaps: 3, first: at(0), last: at(1000), state: 'down', flapping: true
+        },
+        {
+          rule: 'BGP neighbor', host: 'core-rtr2', subject: '192.0.2.1', incidents: 1, events: 2,
+          downs: 1, ups: 1, flaps: 1, first: at(5), last: at(60), state: 'up', flapping: false
+        }
+      ]);
+    });
+
+    test('reads Junos state changes with the default rules', () => {
+      const entries = [
+        parseLine(`<28>${at(0)} mx1 rpd[1234]: BGP_NEIGHBOR_STATE_CHANGED: BGP peer 2001:db8::2 (External AS 64500) changed state from Established to Idle (event RecvNotify)`),
+        parseLine(`<28>${at(30)} mx1 rpd[1234]: BGP_NEIGHBOR_STATE_CHANGED: BGP peer 2001:db8::2 (External AS 64500) changed state from OpenConfirm to Established (event RecvKeepAlive)`)
+      ];
+
+      expect(SyslogCorrelate.correlate(entries).incidents).toEqual([
+        expect.objectContaining({ rule: 'BGP neighbor', host: 'mx1', subject: '2001:db8::2', downs: 1, ups: 1, flaps: 1, state: 'up' })
+      ]);
+    });
+
+    test('finds storms per host, or across all hosts when storm.by is empty', () => {
+      const rules = [];
+
+      expect(SyslogCorrelate.correlate(EVENTS, { rules, storm: { window: 10, threshold: 3 } }).storms).toEqual([{
+        by: 'host.name',
+        value: 'core-rtr1',
+        start: at(0),
+        end: at(10),
+        duration: 10,
+        count: 3,
+        peak: 3,
+        window: 10,
+        codes: [{ code: 'LINK-3-UPDOWN', count: 2 }, { code: 'LINEPROTO-5-UPDOWN', count: 1 }]
+      }]);
+      expect(SyslogCorrelate.correlate(EVENTS, { rules, storm: { window: 10, threshold: 3, by: '' } }).storms)
+        .toEqual([expect.objectContaining({ by: null, value: null, start: at(0), end: at(10), count: 4, peak: 4 })]);
+      expect(SyslogCorrelate.correlate(EVENTS, { rules, storm: null }).storms).toEqual([]);
+    });
+
+    test('lets the first matching rule with a subject take an event', () => {
+      const config = {
+        rules: [
+          { name: 'Uplinks', match: 'code:LINK-*', subject: 'Interface (TenGigabitEthernet\\S+?),', down: 'down' },
+          { name: 'Any link', match: 'code:LINK-*', subject: 'Interface (\\S+?),', down: 'down', up: 'up', window: 5, flapThreshold: 1 }
+        ]
+      };
+
+      const result = SyslogCorrelate.correlate([link(0, 'down'), link(10, 'up')], config);
+
+      expect(result.incidents.map(incident => [incident.rule, incident.count, incident.flapping])).toEqual([['Any link', 1, false], ['Any link', 1, false]]);
+      expect(result.subjects).toEqual([expect.objectContaining({ rule: 'Any link', incidents: 2, flaps: 0 })]);
+    });
+  });
+
+  describe('compileConfig', () => {
+    test('compiles the default rules', () => {
+      const compiled = SyslogCorrelate.compileConfig();
+
+      expect(compiled.rules.map(rule => [rule.name, rule.window, rule.flapThreshold])).toEqual([
+        ['Interface', 300000, 3],
+        ['BGP neighbor', 300000, 3],
+        ['OSPF neighbor', 300000, 3]
+      ]);
+      expect(compiled.storm).toEqual({ window: 60000, threshold: 100, by: 'host.name' });
+    });
+
+    test.each([
+      [null, 'Correlation settings must be an object'],
+      [{ rules: {} }, 'rules must be a list'],
+      [{ rules: Array.from({ length: 51 }, (_, i) => ({ name: `r${i}` })) }, 'At most 50 rules are allowed'],
+      [{ storm: 'often' }, 'storm must be an object or null'],
+      [{ rules: ['x'] }, 'Rule 1 must be an object'],
+      [{ rules: [{ match: 'a', subject: 'b' }] }, 'Rule 1 needs a name'],
+      [{ rules: [{ name: 'A', match: 'a', subject: 'b' }, { name: 'A', match: 'a', subject: 'b' }] }, 'Rule 2: there is already a rule named "A"'],
+      [{ rules: [{ name: 'A', subject: 'b' }] }, 'Rule 1 (A) needs a match query'],
+      [{ rules: [{ name: 'A', match: 'a', subject: 'b', down: '(' }] }, /^Rule 1 \(A\) down is not a valid regular expression: /],
+      [{ rules: [{ name: 'A', match: 'a' }] }, 'Rule 1 (A) subject is required'],
+      [{ rules: [{ name: 'A', match: 'a', subject: 'b', window: -1 }] }, 'Rule 1 (A) window must be a positive number'],
+      [{ rules: [], storm: { threshold: 'many' } }, 'storm threshold must be a positive number']
+    ])('rejects %p', (config, message) => {
+      expect(() => SyslogCorrelate.compileConfig(config)).toThrow(expect.objectContaining({
+        message: typeof message === 'string' ? message : expect.stringMatching(message),
+        code: 'INVALID_RULE',
+        field: 'rules'
+      }));
+    });
+
+    test('names the rule whose match query does not parse', () => {
+      expect(() => SyslogCorrelate.compileConfig({ rules: [{ name: 'A', match: 'severity:loud', subject: 'b' }] }))
+        .toThrow(/^Rule 1 \(A\) match query: /);
+    });
+  });
+});
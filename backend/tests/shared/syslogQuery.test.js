@@ -0,0 +1,221 @@
+/**
+ * Syslog query language tests
+ * Network Engineers Toolkit Backend
+ */
+
+const SyslogQuery = require('../../src/shared/syslogQuery');
+
+const { parse, compile } = SyslogQuery;
+
+const NOW = new Date('2026-01-01T12:00:00Z');
+
+// Query tree with positions left out, to compare shapes
+function shape(text) {
+  return JSON.parse(JSON.stringify(parse(text), (key, value) => (key === 'position' ? undefined : value)));
+}
+
+function search(value) {
+  return { type: 'term', op: ':', value, field: null, kind: 'search' };
+}
+
+function errorOf(text) {
+  try {
+    parse(text);
+  } catch (error) {
+    return { message: error.message, code: error.code, field: error.field, position: error.position };
+  }
+  throw new Error(`"${text}" parsed`);
+}
+
+describe('SyslogQuery', () => {
+  describe('parse', () => {
+    test('returns null for an empty query', () => {
+      expect(parse('')).toBeNull();
+      expect(parse('   ')).toBeNull();
+      expect(parse(undefined)).toBeNull();
+    });
+
+    test('reads field terms through their aliases', () => {
+      expect(shape('host:core-rtr* AND severity<=3 AND msg~/BGP.*Down/ AND @timestamp>-2h')).toEqual({
+        type: 'and',
+        children: [
+          { type: 'term', op: ':', value: 'core-rtr*', field: 'host.name', kind: 'text' },
+          { type: 'term', op: '<=', value: '3', field: 'log.syslog.severity.code', kind: 'severity', number: 3 },
+          { type: 'term', op: '~', value: 'BGP.*Down', field: 'message', kind: 'text', flags: '' },
+          { type: 'term', op: '>', value: '-2h', field: '@timestamp', kind: 'time', time: { offset: -7200000 } }
+        ]
+      });
+    });
+
+    test('reads severities and facilities by name or number', () => {
+      expect(parse('level:warning').number).toBe(4);
+      expect(parse('sev>=ERROR').number).toBe(3);
+      expect(parse('facility:local7').number).toBe(23);
+      expect(parse('facility:4').number).toBe(4);
+    });
+
+    test('reads absolute times as UTC unless they carry a zone', () => {
+      expect(parse('time>=2026-01-01').time).toEqual({ at: '2026-01-01T00:00:00.000Z' });
+      expect(parse('time>=2026-01-01T10:00').time).toEqual({ at: '2026-01-01T10:00:00.000Z' });
+      expect(parse('time<"2026-01-01 10:00:00+02:00"').time).toEqual({ at: '2026-01-01T08:00:00.000Z' });
+      expect(parse('received<now').time).toEqual({ offset: 0 });
+    });
+
+    test('reads quoted values, existence checks, CIDRs and structured data', () => {
+      expect(shape('"peer down" host:*')).toEqual({
+        type: 'and',
+        children: [
+          { ...search('peer down'), quoted: true },
+          { type: 'term', op: ':', value: '*', field: 'host.name', kind: 'text', exists: true }
+        ]
+      });
+      expect(shape('src:10.0.0.0/8')).toMatchObject({ field: 'log.source.address', kind: 'address', cidr: '10.0.0.0/8' });
+      expect(shape('sd.origin:"a \\"b\\""')).toEqual({
+        type: 'term', op: ':', value: 'a "b"', field: 'log.syslog.structured_data', kind: 'sd', param: 'origin', quoted: true
+      });
+    });
+
+    test('turns != into NOT of an equality', () => {
+      expect(shape('program!=sshd')).toEqual({
+        type: 'not',
+        child: { type: 'term', op: ':', value: 'sshd', field: 'process.name', kind: 'text' }
+      });
+    });
+
+    test('keeps the slash and flags of a regular expression', () => {
+      expect(shape('msg~/a\\/b/i')).toMatchObject({ op: '~', value: 'a/b', flags: 'i' });
+    });
+  });
+
+  describe('operator precedence', () => {
+    test('AND binds tighter than OR', () => {
+      expect(shape('a OR b c')).toEqual({ type: 'or', children: [search('a'), { type: 'and', children: [search('b'), search('c')] }] });
+      expect(shape('a AND b || c')).toEqual({ type: 'or', children: [{ type: 'and', children: [search('a'), search('b')] }, search('c')] });
+    });
+
+    test('NOT binds tighter than AND', () => {
+      expect(shape('NOT a b')).toEqual({ type: 'and', children: [{ type: 'not', child: search('a') }, search('b')] });
+      expect(shape('-a OR !b')).toEqual({ type: 'or', children: [{ type: 'not', child: search('a') }, { type: 'not', child: search('b') }] });
+      expect(shape('NOT NOT a')).toEqual({ type: 'not', child: { type: 'not', child: search('a') } });
+    });
+
+    test('parentheses group', () => {
+      expect(shape('(a OR b) c')).toEqual({ type: 'and', children: [{ type: 'or', children: [search('a'), search('b')] }, search('c')] });
+      expect(shape('NOT (a OR b)')).toEqual({ type: 'not', child: { type: 'or', children: [search('a'), search('b')] } });
+    });
+
+    test('a lone - is a word, not NOT', () => {
+      expect(shape('a - b')).toEqual({ type: 'and', children: [search('a'), search('-'), search('b')] });
+    });
+  });
+
+  describe('FIELD_PATTERN', () => {
+    test('reads words that are not field names as free text', () => {
+      expect(shape('3a:b')).toEqual(search('3a:b'));
+      expect(shape("x';drop:1")).toEqual(search("x';drop:1"));
+      expect(shape('"https://example.net"')).toEqual({ ...search('https://example.net'), quoted: true });
+    });
+
+    test('keeps unknown field names as text fields', () => {
+      expect(shape('interface.name:ge-0/0/0')).toEqual({
+        type: 'term', op: ':', value: 'ge-0/0/0', field: 'interface.name', kind: 'text'
+      });
+    });
+  });
+
+  describe('errors', () => {
+    test.each([
+      ['host:', 'Missing value after host: at character 1', 0],
+      ['"peer down', 'Unterminated quoted text at character 1', 0],
+      ['msg~/BGP', 'Unterminated regular expression at character 5', 4],
+      ['a AND', 'Query ends too early', undefined],
+      ['(a OR b', 'Missing ")" at character 1', 0],
+      ['a)', 'Unexpected ")" at character 2', 1],
+      ['a OR OR b', 'Unexpected OR at character 6', 5],
+      ['severity:bogus', 'Unknown severity "bogus"; use emergency, alert, critical, error, warning, notice, informational, debug or 0-7 at character 1', 0],
+      ['facility:24', expect.stringMatching(/^Unknown facility "24"/), 0],
+      ['time:-2h', 'time takes <, <=, > or >=, e.g. time>-2h at character 1', 0],
+      ['time~/x/', 'time takes <, <=, > or >=, not a regular expression at character 1', 0],
+      ['time>yesterday', '"yesterday" is not a time; use -15m, -2h, -7d, now or an ISO date at character 1', 0],
+      ['seq:abc', 'seq takes a number, not "abc" at character 1', 0],
+      ['src>10.0.0.1', 'src takes : or ~, not > at character 1', 0],
+      ['msg~/a/g', 'Only the i flag is supported, not "g" at character 1', 0],
+      ['msg~/(/', expect.stringMatching(/^Invalid regular expression: /), 0]
+    ])('rejects %s', (text, message, position) => {
+      expect(errorOf(text)).toEqual({ message, code: 'INVALID_QUERY', field: 'q', position });
+    });
+  });
+
+  describe('compile', () => {
+    const entries = [
+      {
+        'host.name': 'core-rtr1',
+        'message': 'BGP peer 192.0.2.1 Down',
+        'process.name': 'rpd',
+        'log.syslog.severity.code': 3,
+        'log.source.address': '10.1.1.1',
+        '@timestamp': '2026-01-01T11:30:00Z',
+        'log.syslog.structured_data': { 'origin@32473': { ip: '10.1.1.1' } }
+      },
+      {
+        'host.name': 'edge-sw2',
+        'message': 'Interface ge-0/0/1 up',
+        'process.name': 'mib2d',
+        'log.syslog.severity.name': 'notice',
+        'log.source.address': '192.0.2.9',
+        '@timestamp': '2026-01-01T08:00:00Z'
+      }
+    ];
+
+    function hosts(text) {
+      const match = compile(parse(text), { now: NOW });
+      return entries.filter(match).map(entry => entry['host.name']);
+    }
+
+    test('matches everything for an empty query', () => {
+      expect(hosts('')).toEqual(['core-rtr1', 'edge-sw2']);
+    });
+
+    test('applies wildcards, contains fields and regular expressions', () => {
+      expect(hosts('host:core-*')).toEqual(['core-rtr1']);
+      expect(hosts('host:core')).toEqual([]);
+      expect(hosts('msg:peer')).toEqual(['core-rtr1']);
+      expect(hosts('msg~/bgp.*down/')).toEqual([]);
+      expect(hosts('msg~/bgp.*down/i')).toEqual(['core-rtr1']);
+    });
+
+    test('compares severities, times and networks', () => {
+      expect(hosts('severity<=error')).toEqual(['core-rtr1']);
+      expect(hosts('severity:notice')).toEqual(['edge-sw2']);
+      expect(hosts('@timestamp>-1h')).toEqual(['core-rtr1']);
+      expect(hosts('src:10.0.0.0/8')).toEqual(['core-rtr1']);
+      expect(hosts('sd.ip:10.1.1.1')).toEqual(['core-rtr1']);
+    });
+
+    test('treats NOT of a missing field as a match', () => {
+      expect(hosts('-sd.ip:*')).toEqual(['edge-sw2']);
+      expect(hosts('program!=rpd')).toEqual(['edge-sw2']);
+    });
+
+    test('follows precedence when matching', () => {
+      expect(hosts('rpd OR mib2d severity<3')).toEqual(['core-rtr1']);
+      expect(hosts('(rpd OR mib2d) severity>3')).toEqual(['edge-sw2']);
+    });
+  });
+
+  describe('helpers', () => {
+    test('hasTimeCondition finds time terms anywhere in the tree', () => {
+      expect(SyslogQuery.hasTimeCondition(parse('a OR NOT (b time>-1h)'))).toBe(true);
+      expect(SyslogQuery.hasTimeCondition(parse('a b'))).toBe(false);
+      expect(SyslogQuery.hasTimeCondition(null)).toBe(false);
+    });
+
+    test('highlightPattern covers message terms outside NOT', () => {
+      const pattern = SyslogQuery.highlightPattern(parse('peer* msg~/Down/ -ignored host:x'));
+
+      expect(pattern.source).toBe('(?:peer.*?)|(?:Down)');
+      expect(pattern.flags).toBe('gi');
+      expect(SyslogQuery.highlightPattern(parse('host:x'))).toBeNull();
+    });
+  });
+});
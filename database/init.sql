@@ -65,6 +65,31 @@ CREATE TABLE whois_cache (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Bulk WHOIS lookups; results are kept on the job row
+CREATE TABLE whois_bulk_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+    protocol VARCHAR(10) DEFAULT 'auto',
+    entries JSONB NOT NULL,
+    total_entries INTEGER DEFAULT 0,
+    processed_entries INTEGER DEFAULT 0,
+    lookups_made INTEGER DEFAULT 0,
+    invalid_entries JSONB,
+    error_message TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- One row per address of a bulk job, in the job's order
+CREATE TABLE whois_bulk_results (
+    job_id UUID REFERENCES whois_bulk_jobs(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    result JSONB NOT NULL,
+    PRIMARY KEY (job_id, position)
+);
+
 -- BGP analysis cache
 CREATE TABLE bgp_cache (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -75,6 +100,117 @@ CREATE TABLE bgp_cache (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Uploaded MRT / bgpdump RIB imports
+CREATE TABLE bgp_imports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    filename VARCHAR(255) NOT NULL,
+    file_format VARCHAR(20) CHECK (file_format IN ('mrt', 'bgpdump')),
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+    routes_imported INTEGER DEFAULT 0,
+    replace_existing BOOLEAN DEFAULT false,
+    error_message TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Routes from imported RIB dumps, one row per prefix and peer
+CREATE TABLE bgp_routes (
+    id BIGSERIAL PRIMARY KEY,
+    import_id UUID NOT NULL REFERENCES bgp_imports(id) ON DELETE CASCADE,
+    prefix CIDR NOT NULL,
+    origin_asn BIGINT,
+    as_path TEXT,
+    peer_ip INET,
+    peer_asn BIGINT,
+    next_hop INET,
+    origin VARCHAR(20),
+    local_pref BIGINT,
+    med BIGINT,
+    communities TEXT[],
+    originated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Per-ASN BGP community meanings, maintained by admins
+CREATE TABLE bgp_community_dictionary (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    asn BIGINT NOT NULL,
+    pattern VARCHAR(100) NOT NULL,
+    description TEXT NOT NULL,
+    category VARCHAR(50),
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (asn, pattern)
+);
+
+-- Browser terminal SSH sessions; the asciicast files live in SSH_RECORDINGS_DIR
+CREATE TABLE terminal_recordings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    username VARCHAR(50),
+    host VARCHAR(255) NOT NULL,
+    address VARCHAR(45) NOT NULL,
+    port INTEGER NOT NULL,
+    device_username VARCHAR(64) NOT NULL,
+    cols INTEGER NOT NULL,
+    rows INTEGER NOT NULL,
+    bytes BIGINT DEFAULT 0,
+    duration NUMERIC(12, 6),
+    transcript TEXT,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ended_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Host keys the browser terminal has seen, trusted on first use; sessions to
+-- a device presenting a different key are refused until the user gives it
+CREATE TABLE ssh_known_hosts (
+    address VARCHAR(45) NOT NULL,
+    port INTEGER NOT NULL,
+    host VARCHAR(255) NOT NULL,
+    fingerprint VARCHAR(100) NOT NULL,
+    accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (address, port)
+);
+
+-- Events from the syslog listeners, partitioned by day on received_at; the
+-- collector creates syslog_events_YYYYMMDD partitions ahead and drops those
+-- older than the syslog_retention_days setting
+CREATE TABLE syslog_events (
+    id BIGSERIAL,
+    received_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    event_time TIMESTAMP WITH TIME ZONE,
+    source_address INET,
+    transport VARCHAR(3) NOT NULL CHECK (transport IN ('udp', 'tcp', 'tls')),
+    host TEXT,
+    facility SMALLINT,
+    severity SMALLINT,
+    program TEXT,
+    pid TEXT,
+    event_code TEXT,
+    format VARCHAR(10),
+    message TEXT NOT NULL,
+    original TEXT NOT NULL,
+    fields JSONB,
+    PRIMARY KEY (id, received_at)
+) PARTITION BY RANGE (received_at);
+
+-- Named syslog queries; shared ones are visible to every user
+CREATE TABLE syslog_saved_queries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    query TEXT NOT NULL,
+    description TEXT,
+    is_shared BOOLEAN DEFAULT false,
+    created_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (created_by, name)
+);
+
 -- Application settings
 CREATE TABLE app_settings (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -95,8 +231,21 @@ CREATE INDEX idx_scan_results_target ON scan_results(target);
 CREATE INDEX idx_scan_results_expires_at ON scan_results(expires_at);
 CREATE INDEX idx_whois_cache_domain ON whois_cache(domain);
 CREATE INDEX idx_whois_cache_expires_at ON whois_cache(expires_at);
+CREATE INDEX idx_whois_bulk_jobs_created_by ON whois_bulk_jobs(created_by);
+CREATE INDEX idx_whois_bulk_jobs_status ON whois_bulk_jobs(status);
 CREATE INDEX idx_bgp_cache_asn ON bgp_cache(asn);
+CREATE INDEX idx_bgp_cache_query ON bgp_cache(query);
 CREATE INDEX idx_bgp_cache_expires_at ON bgp_cache(expires_at);
+CREATE INDEX idx_bgp_imports_status ON bgp_imports(status);
+CREATE INDEX idx_bgp_routes_prefix ON bgp_routes USING gist (prefix inet_ops);
+CREATE INDEX idx_bgp_routes_origin_asn ON bgp_routes(origin_asn);
+CREATE INDEX idx_bgp_routes_import_id ON bgp_routes(import_id);
+CREATE INDEX idx_bgp_community_dictionary_asn ON bgp_community_dictionary(asn);
+CREATE INDEX idx_terminal_recordings_started_at ON terminal_recordings(started_at);
+CREATE INDEX idx_terminal_recordings_user_id ON terminal_recordings(user_id);
+CREATE INDEX idx_syslog_events_received_at ON syslog_events(received_at);
+CREATE INDEX idx_syslog_events_severity ON syslog_events(severity, received_at);
+CREATE INDEX idx_syslog_saved_queries_shared ON syslog_saved_queries(is_shared) WHERE is_shared;
 
 -- Default admin user removed for security
 -- Use the setup:admin script to create the initial admin user after deployment
@@ -107,7 +256,8 @@ INSERT INTO app_settings (setting_key, setting_value, description) VALUES
 ('app_version', '1.0.0', 'Application version'),
 ('max_scan_threads', '10', 'Maximum concurrent scan threads'),
 ('cache_expiry_hours', '24', 'Default cache expiry in hours'),
-('rate_limit_per_minute', '60', 'API rate limit per minute per user');
+('rate_limit_per_minute', '60', 'API rate limit per minute per user'),
+('syslog_retention_days', '30', 'Days of received syslog events to keep (0 keeps them all)');
 
 -- API keys will be added through the admin interface after deployment
 -- No default API keys are inserted for security reasons
@@ -127,6 +277,12 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
 CREATE TRIGGER update_api_keys_updated_at BEFORE UPDATE ON api_keys
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_bgp_community_dictionary_updated_at BEFORE UPDATE ON bgp_community_dictionary
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_syslog_saved_queries_updated_at BEFORE UPDATE ON syslog_saved_queries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Referrals table for colleague referral feature
 CREATE TABLE referrals (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -229,6 +229,38 @@ class APIService {
         return this.post(CONFIG.ENDPOINTS.ADMIN_CREATE_KEY, { name, permissions });
     }
 
+    async listRecordings(filter = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filter).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.set(key, value);
+        });
+        const query = params.toString();
+        return this.get(`${CONFIG.ENDPOINTS.ADMIN_RECORDINGS}${query ? `?${query}` : ''}`);
+    }
+
+    async getRecording(recordingId) {
+        return this.get(CONFIG.ENDPOINTS.ADMIN_RECORDING(recordingId));
+    }
+
+    /**
+     * Fetch a recording's asciicast file as text
+     */
+    async getRecordingCast(recordingId) {
+        const response = await fetch(`${this.baseURL}${CONFIG.ENDPOINTS.ADMIN_RECORDING_CAST(recordingId)}`, {
+            headers: { 'Authorization': `Bearer ${this.getToken()}` }
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw {
+                status: response.status,
+                message: data.error || 'Request failed'
+            };
+        }
+
+        return response.text();
+    }
+
     // ===== Tools APIs =====
 
     async listTools() {
@@ -236,7 +268,59 @@ class APIService {
     }
 
     async executeTool(toolName, params) {
-        return this.post(CONFIG.ENDPOINTS.TOOL_EXECUTE(toolName), params);
+        const data = await this.post(CONFIG.ENDPOINTS.TOOL_EXECUTE(toolName), { params });
+        return data.result;
+    }
+
+    /**
+     * Execute a streaming tool (ping, traceroute), calling onEvent(event, data)
+     * for each Server-Sent Event until the stream ends or options.signal aborts
+     */
+    async streamTool(toolName, params, onEvent, options = {}) {
+        const response = await fetch(`${this.baseURL}${CONFIG.ENDPOINTS.TOOL_EXECUTE(toolName)}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream',
+                'Authorization': `Bearer ${this.getToken()}`
+            },
+            body: JSON.stringify({ params }),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw {
+                status: response.status,
+                message: data.error || data.message || 'Request failed',
+                code: data.code,
+                field: data.field
+            };
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+            const blocks = buffer.split('\n\n');
+            buffer = done ? '' : blocks.pop();
+
+            blocks.filter(block => block.trim()).forEach(block => {
+                let event = 'message';
+                const data = [];
+                block.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    if (line.startsWith('data:')) data.push(line.slice(5).trim());
+                });
+                onEvent(event, data.length > 0 ? JSON.parse(data.join('\n')) : null);
+            });
+
+            if (done) break;
+        }
     }
 }
 
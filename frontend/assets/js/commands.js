@@ -0,0 +1,747 @@
+// Network Engineers Toolkit - Terminal Command Registry
+//
+// Commands available in the browser terminal. Each toolkit tool registers
+// its commands with terminalCommands.register(); the registry parses
+// arguments and options, prints help and answers tab completion, so a
+// command only describes its arguments and what to run.
+
+/**
+ * Error for a command line that does not match the command's usage
+ */
+class CommandUsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CommandUsageError';
+    }
+}
+
+class CommandRegistry {
+    constructor() {
+        this.commands = new Map();
+        this.aliases = new Map();
+    }
+
+    /**
+     * Register a command
+     * @param {Object} definition
+     * @param {string} definition.name - Command word
+     * @param {Array<string>} [definition.aliases] - Other words that run it
+     * @param {string} definition.summary - One line description for help
+     * @param {Array<Object>} [definition.args] - Positional arguments in order:
+     *   { name, description, choices, optional, rest } where rest collects the remaining words
+     * @param {Array<Object>} [definition.options] - Flags: { name, alias, description,
+     *   type: 'string' | 'number' | 'boolean', choices, default }
+     * @param {Function} [definition.complete] - (argName, partial) => candidates for free-form arguments
+     * @param {Function} definition.run - async ({ args, options }, context)
+     */
+    register(definition) {
+        const command = { args: [], options: [], aliases: [], ...definition };
+        this.commands.set(command.name, command);
+        command.aliases.forEach(alias => this.aliases.set(alias, command.name));
+        return command;
+    }
+
+    get(name) {
+        const word = String(name || '').toLowerCase();
+        return this.commands.get(word) || this.commands.get(this.aliases.get(word));
+    }
+
+    list() {
+        return Array.from(this.commands.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Split a command line into words, honouring quotes and backslashes
+     * @returns {Array<Object>} { value, start, end } with positions in the line
+     */
+    tokenize(line) {
+        const tokens = [];
+        let token = null;
+        let quote = null;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (!token && /\s/.test(char)) continue;
+            if (!token) token = { value: '', start: i, end: i };
+
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                } else {
+                    token.value += char;
+                }
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '\\' && i + 1 < line.length) {
+                token.value += line[++i];
+            } else if (/\s/.test(char)) {
+                token.end = i;
+                tokens.push(token);
+                token = null;
+                continue;
+            } else {
+                token.value += char;
+            }
+            token.end = i + 1;
+        }
+
+        if (token) tokens.push(token);
+        return tokens;
+    }
+
+    findOption(command, word) {
+        if (word.startsWith('--')) {
+            return command.options.find(option => option.name === word.slice(2));
+        }
+        return command.options.find(option => option.alias && `-${option.alias}` === word);
+    }
+
+    /**
+     * Match words against a command's arguments and options
+     * @returns {Object} { args, options }
+     */
+    parse(command, words) {
+        const args = {};
+        const options = {};
+        const positional = [];
+
+        command.options.forEach(option => {
+            if (option.default !== undefined) options[option.name] = option.default;
+        });
+
+        for (let i = 0; i < words.length; i++) {
+            const word = words[i];
+            const option = /^--?[a-z]/i.test(word) ? this.findOption(command, word) : null;
+
+            if (!option) {
+                if (/^--?[a-z]/i.test(word) && command.options.length > 0) {
+                    throw new CommandUsageError(`Unknown option ${word}`);
+                }
+                positional.push(word);
+                continue;
+            }
+
+            if (option.type === 'boolean') {
+                options[option.name] = true;
+                continue;
+            }
+            if (i + 1 >= words.length) {
+                throw new CommandUsageError(`Option ${word} needs a value`);
+            }
+            options[option.name] = this.checkValue(option, words[++i], word);
+        }
+
+        command.args.forEach(arg => {
+            if (arg.rest) {
+                args[arg.name] = positional.splice(0);
+                if (args[arg.name].length === 0 && !arg.optional) {
+                    throw new CommandUsageError(`Missing ${arg.name}`);
+                }
+                return;
+            }
+            if (positional.length === 0) {
+                if (!arg.optional) throw new CommandUsageError(`Missing ${arg.name}`);
+                return;
+            }
+            args[arg.name] = this.checkValue(arg, positional.shift(), arg.name);
+        });
+
+        if (positional.length > 0) {
+            throw new CommandUsageError(`Unexpected argument ${positional[0]}`);
+        }
+
+        return { args, options };
+    }
+
+    checkValue(spec, value, label) {
+        if (spec.choices && !spec.choices.includes(value.toLowerCase())) {
+            throw new CommandUsageError(`${label} must be one of ${spec.choices.join(', ')}`);
+        }
+        if (spec.type === 'number') {
+            const number = Number(value);
+            if (!Number.isFinite(number)) throw new CommandUsageError(`${label} must be a number`);
+            return number;
+        }
+        return spec.choices ? value.toLowerCase() : value;
+    }
+
+    /**
+     * Usage line, e.g. "ping [-c count] <host>"
+     */
+    usage(command) {
+        const options = command.options.map(option => {
+            const flag = option.alias ? `-${option.alias}` : `--${option.name}`;
+            return option.type === 'boolean' ? `[${flag}]` : `[${flag} ${option.name}]`;
+        });
+        const args = command.args.map(arg => {
+            const name = arg.choices ? arg.choices.join('|') : arg.name;
+            const text = arg.rest ? `${name}...` : name;
+            return arg.optional ? `[${text}]` : `<${text}>`;
+        });
+        return [command.name, ...options, ...args].join(' ');
+    }
+
+    /**
+     * Full help for one command
+     * @returns {Array<string>} Lines
+     */
+    help(command) {
+        const lines = [`${command.name} - ${command.summary}`, '', `Usage: ${this.usage(command)}`];
+
+        if (command.aliases.length > 0) {
+            lines.push(`Aliases: ${command.aliases.join(', ')}`);
+        }
+        const described = [
+            ...command.args.filter(arg => arg.description).map(arg => [arg.name, arg.description]),
+            ...command.options.map(option => [
+                `${option.alias ? `-${option.alias}, ` : ''}--${option.name}`,
+                `${option.description}${option.default !== undefined ? ` (default ${option.default})` : ''}`
+            ])
+        ];
+        if (described.length > 0) {
+            const width = Math.max(...described.map(([name]) => name.length));
+            lines.push('');
+            described.forEach(([name, text]) => lines.push(`  ${name.padEnd(width)}  ${text}`));
+        }
+        if (command.examples) {
+            lines.push('', 'Examples:', ...command.examples.map(example => `  ${example}`));
+        }
+        return lines;
+    }
+
+    /**
+     * Completions for the word under the cursor at the end of a line
+     * @returns {Object} { start, candidates } where start is the position of the word being completed
+     */
+    complete(line) {
+        const tokens = this.tokenize(line);
+        const endsWithSpace = line.length === 0 || /\s$/.test(line);
+        const current = endsWithSpace ? { value: '', start: line.length } : tokens.pop();
+        const matching = values => values.filter(value => value.startsWith(current.value)).sort();
+
+        if (tokens.length === 0) {
+            const names = [...this.commands.keys(), ...this.aliases.keys()];
+            return { start: current.start, candidates: matching(names) };
+        }
+
+        const command = this.get(tokens[0].value);
+        if (!command) return { start: current.start, candidates: [] };
+
+        const words = tokens.slice(1).map(token => token.value);
+
+        // Value for the option just before the cursor
+        const previous = words.length > 0 ? this.findOption(command, words[words.length - 1]) : null;
+        if (previous && previous.type !== 'boolean') {
+            return { start: current.start, candidates: previous.choices ? matching(previous.choices) : [] };
+        }
+
+        if (current.value.startsWith('-')) {
+            const flags = command.options.map(option => `--${option.name}`);
+            return { start: current.start, candidates: matching(flags) };
+        }
+
+        // Which positional argument the cursor is on
+        let position = 0;
+        for (let i = 0; i < words.length; i++) {
+            const option = this.findOption(command, words[i]);
+            if (option) {
+                if (option.type !== 'boolean') i++;
+            } else {
+                position++;
+            }
+        }
+        const arg = command.args[Math.min(position, command.args.length - 1)];
+        if (!arg || (position >= command.args.length && !arg.rest)) {
+            return { start: current.start, candidates: [] };
+        }
+
+        if (arg.choices) {
+            return { start: current.start, candidates: matching(arg.choices) };
+        }
+        if (command.complete) {
+            return { start: current.start, candidates: matching(command.complete(arg.name, current.value) || []) };
+        }
+        return { start: current.start, candidates: [] };
+    }
+
+    /**
+     * Parse and run a command line
+     * @param {string} line
+     * @param {Object} context - { terminal, writeLine, write, signal }
+     */
+    async execute(line, context) {
+        const tokens = this.tokenize(line);
+        if (tokens.length === 0) return;
+
+        const command = this.get(tokens[0].value);
+        if (!command) {
+            context.writeLine(`Command not found: ${tokens[0].value}`);
+            context.writeLine('Type "help" for available commands');
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = this.parse(command, tokens.slice(1).map(token => token.value));
+        } catch (error) {
+            if (!(error instanceof CommandUsageError)) throw error;
+            context.writeLine(`${command.name}: ${error.message}`);
+            context.writeLine(`Usage: ${this.usage(command)}`);
+            return;
+        }
+
+        // Ctrl+C returns to the prompt even when the request cannot be cancelled
+        const running = Promise.resolve().then(() => command.run(parsed, context));
+        const aborted = new Promise(resolve => {
+            if (context.signal) context.signal.addEventListener('abort', resolve, { once: true });
+        });
+        running.catch(() => {});
+
+        try {
+            await Promise.race([running, aborted]);
+        } catch (error) {
+            if (error.name === 'AbortError' || (context.signal && context.signal.aborted)) return;
+            context.writeLine(`${command.name}: ${error.message || 'Command failed'}`);
+        }
+    }
+}
+
+const terminalCommands = new CommandRegistry();
+
+// ===== Output helpers =====
+
+function writeFields(context, fields) {
+    const shown = fields.filter(([, value]) => value !== null && value !== undefined && value !== '');
+    const width = Math.max(0, ...shown.map(([label]) => label.length));
+    shown.forEach(([label, value]) => {
+        String(value).split('\n').forEach((line, index) => {
+            context.writeLine(`${(index === 0 ? `${label}:` : '').padEnd(width + 1)} ${line}`);
+        });
+    });
+}
+
+function camelToLabel(key) {
+    const text = key.replace(/([A-Z])/g, ' $1');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatASPath(asPath) {
+    return asPath.map(hop => Array.isArray(hop) ? `{${hop.join(',')}}` : hop).join(' ');
+}
+
+function formatRpkiStates(validations) {
+    if (!validations) return null;
+    return validations.map(validation => `${validation.asn === null ? 'No single origin' : `AS${validation.asn}`}: ${validation.state}`).join('\n');
+}
+
+function formatMs(value) {
+    return value === null || value === undefined ? '-' : value.toFixed(1);
+}
+
+// ===== Terminal commands =====
+
+terminalCommands.register({
+    name: 'help',
+    summary: 'List commands, or show help for one',
+    args: [{ name: 'command', optional: true, description: 'Command to describe' }],
+    complete: () => terminalCommands.list().map(command => command.name),
+    run({ args }, context) {
+        if (args.command) {
+            const command = terminalCommands.get(args.command);
+            if (!command) {
+                context.writeLine(`No such command: ${args.command}`);
+                return;
+            }
+            terminalCommands.help(command).forEach(line => context.writeLine(line));
+            return;
+        }
+
+        const commands = terminalCommands.list();
+        const width = Math.max(...commands.map(command => command.name.length));
+        context.writeLine('Available commands:');
+        commands.forEach(command => context.writeLine(`  ${command.name.padEnd(width)}  ${command.summary}`));
+        context.writeLine('');
+        context.writeLine('Type "help <command>" for usage. Tab completes, Up/Down and Ctrl+R search history.');
+    }
+});
+
+terminalCommands.register({
+    name: 'clear',
+    summary: 'Clear the terminal screen',
+    run(parsed, context) {
+        context.terminal.clear();
+    }
+});
+
+terminalCommands.register({
+    name: 'echo',
+    summary: 'Echo text',
+    args: [{ name: 'text', rest: true, optional: true }],
+    run({ args }, context) {
+        context.writeLine(args.text.join(' '));
+    }
+});
+
+terminalCommands.register({
+    name: 'date',
+    summary: 'Show current date/time',
+    run(parsed, context) {
+        context.writeLine(new Date().toString());
+    }
+});
+
+terminalCommands.register({
+    name: 'history',
+    summary: 'Show command history',
+    options: [{ name: 'clear', alias: 'c', type: 'boolean', description: 'Forget all saved commands' }],
+    run({ options }, context) {
+        if (options.clear) {
+            context.terminal.clearHistory();
+            return;
+        }
+        const history = context.terminal.history;
+        const width = String(history.length).length;
+        history.forEach((line, index) => context.writeLine(`  ${String(index + 1).padStart(width)}  ${line}`));
+    }
+});
+
+terminalCommands.register({
+    name: 'exit',
+    aliases: ['quit'],
+    summary: 'Exit terminal',
+    run(parsed, context) {
+        context.writeLine('Use the tool navigation to switch tools');
+    }
+});
+
+// ===== Toolkit tool commands =====
+
+terminalCommands.register({
+    name: 'ping',
+    summary: 'Ping a host from the toolkit server',
+    args: [{ name: 'host', description: 'Host name or address' }],
+    options: [
+        { name: 'count', alias: 'c', type: 'number', default: 4, description: 'Echo requests to send' },
+        { name: 'interval', alias: 'i', type: 'number', description: 'Seconds between requests' },
+        { name: 'size', alias: 's', type: 'number', description: 'Payload bytes' },
+        { name: 'source', alias: 'I', type: 'string', description: 'Source interface or address' },
+        { name: 'df', alias: 'D', type: 'boolean', description: 'Set the don\'t fragment bit' }
+    ],
+    examples: ['ping 1.1.1.1', 'ping -c 10 -s 1472 --df 192.0.2.1'],
+    async run({ args, options }, context) {
+        const params = {
+            host: args.host,
+            count: options.count,
+            interval: options.interval,
+            size: options.size,
+            sourceInterface: options.source,
+            df: options.df
+        };
+
+        await api.streamTool('ping', params, (event, data) => {
+            if (event === 'start') {
+                context.writeLine(`PING ${data.host} (${data.address})`);
+            } else if (event === 'packet' && data.status === 'reply') {
+                context.writeLine(`${data.bytes} bytes from ${data.from}: icmp_seq=${data.sequence} ttl=${data.ttl} time=${data.time} ms${data.duplicate ? ' (DUP!)' : ''}${data.late ? ' (late)' : ''}`);
+            } else if (event === 'packet' && data.status === 'timeout') {
+                context.writeLine(`Request timeout for icmp_seq ${data.sequence}`);
+            } else if (event === 'packet') {
+                context.writeLine(`${data.from ? `From ${data.from} ` : ''}icmp_seq=${data.sequence === null ? '-' : data.sequence} ${data.message}`);
+            } else if (event === 'summary') {
+                const summary = data.summary;
+                context.writeLine('');
+                context.writeLine(`--- ${data.host} ping statistics ---`);
+                context.writeLine(`${summary.sent} packets transmitted, ${summary.received} received, ${summary.loss}% packet loss`);
+                if (summary.received > 0) {
+                    context.writeLine(`rtt min/avg/max/mdev = ${summary.min}/${summary.avg}/${summary.max}/${summary.mdev} ms`);
+                }
+            } else if (event === 'error') {
+                context.writeLine(`ping: ${data.error}`);
+            }
+        }, { signal: context.signal });
+    }
+});
+
+terminalCommands.register({
+    name: 'traceroute',
+    aliases: ['tracert', 'mtr'],
+    summary: 'Trace the path to a host from the toolkit server',
+    args: [{ name: 'host', description: 'Host name or address' }],
+    options: [
+        { name: 'mode', alias: 'P', type: 'string', choices: ['icmp', 'udp', 'tcp'], default: 'icmp', description: 'Probe protocol' },
+        { name: 'port', alias: 'p', type: 'number', description: 'UDP base port or TCP port' },
+        { name: 'max-hops', alias: 'm', type: 'number', description: 'Highest TTL probed' },
+        { name: 'rounds', alias: 'q', type: 'number', description: 'Times the path is probed' },
+        { name: 'source', alias: 's', type: 'string', description: 'Source interface or address' }
+    ],
+    examples: ['traceroute 1.1.1.1', 'traceroute -P tcp -p 443 -q 5 example.com'],
+    async run({ args, options }, context) {
+        const params = {
+            host: args.host,
+            mode: options.mode,
+            port: options.port,
+            maxHops: options['max-hops'],
+            rounds: options.rounds,
+            sourceInterface: options.source
+        };
+
+        await api.streamTool('traceroute', params, (event, data) => {
+            if (event === 'start') {
+                context.writeLine(`traceroute to ${data.host} (${data.address}), ${data.options.maxHops} hops max, ${data.options.rounds} rounds, ${data.options.mode.toUpperCase()}`);
+            } else if (event === 'round') {
+                context.writeLine(`Round ${data.round}/${data.rounds} complete`);
+            } else if (event === 'summary') {
+                context.writeLine('');
+                context.writeLine(`${'Hop'.padStart(3)}  ${'Host'.padEnd(40)} ${'AS'.padEnd(10)} ${'Loss%'.padStart(6)} ${'Snt'.padStart(4)} ${'Last'.padStart(7)} ${'Avg'.padStart(7)} ${'Best'.padStart(7)} ${'Wrst'.padStart(7)} ${'StDev'.padStart(7)}`);
+                data.hops.forEach(hop => {
+                    const name = hop.address
+                        ? `${hop.host ? `${hop.host} (${hop.address})` : hop.address}${hop.annotation ? ` [${hop.annotation}]` : ''}`
+                        : '???';
+                    context.writeLine(`${String(hop.hop).padStart(3)}  ${name.padEnd(40)} ${(hop.asn ? `AS${hop.asn}` : '').padEnd(10)} ${String(hop.loss).padStart(6)} ${String(hop.sent).padStart(4)} ${formatMs(hop.last).padStart(7)} ${formatMs(hop.avg).padStart(7)} ${formatMs(hop.best).padStart(7)} ${formatMs(hop.worst).padStart(7)} ${formatMs(hop.stdev).padStart(7)}`);
+                });
+                if (!data.reached) context.writeLine(`${data.address} did not answer`);
+            } else if (event === 'error') {
+                context.writeLine(`traceroute: ${data.error}`);
+            }
+        }, { signal: context.signal });
+    }
+});
+
+function formatDnsRecord(record) {
+    return `${record.name.padEnd(24)} ${String(record.ttl).padEnd(7)} IN ${record.type.padEnd(6)} ${record.data}`;
+}
+
+terminalCommands.register({
+    name: 'dig',
+    aliases: ['nslookup'],
+    summary: 'DNS lookup, or a trace from the root servers',
+    args: [
+        { name: 'name', description: 'Domain name, or an address for a PTR lookup' },
+        { name: 'type', optional: true, description: 'Record type, e.g. A, MX or TXT (default A)' }
+    ],
+    options: [
+        { name: 'server', alias: 's', type: 'string', description: 'Resolver: system, cloudflare, google, quad9, opendns or an address' },
+        { name: 'trace', alias: 't', type: 'boolean', description: 'Follow referrals from the root servers' },
+        { name: 'dnssec', type: 'boolean', description: 'Ask for RRSIG records' },
+        { name: 'tcp', type: 'boolean', description: 'Query over TCP' },
+        { name: 'short', type: 'boolean', description: 'Print only the answer data' }
+    ],
+    async run({ args, options }, context) {
+        if (options.trace) {
+            const result = await api.executeTool('dns-lookup', {
+                mode: 'trace',
+                name: args.name,
+                type: args.type,
+                dnssec: options.dnssec
+            });
+
+            result.steps.forEach(step => {
+                (step.answers.length > 0 ? step.answers : step.authorities).forEach(record => context.writeLine(formatDnsRecord(record)));
+                context.writeLine(`;; ${step.rcode} from ${step.server} (${step.address}) for ${step.zone} in ${step.time} ms`);
+                context.writeLine('');
+            });
+            if (result.error) context.writeLine(`;; ${result.error}`);
+            return;
+        }
+
+        const result = await api.executeTool('dns-lookup', {
+            name: args.name,
+            type: args.type,
+            resolver: options.server,
+            dnssec: options.dnssec,
+            tcp: options.tcp
+        });
+
+        if (options.short) {
+            result.answers.forEach(record => context.writeLine(record.data));
+            return;
+        }
+
+        const flags = Object.keys(result.flags).filter(flag => result.flags[flag]);
+        context.writeLine(`;; ${result.name} ${result.type}: ${result.rcode}, flags: ${flags.join(' ')}`);
+        [['ANSWER', result.answers], ['AUTHORITY', result.authorities], ['ADDITIONAL', result.additionals]]
+            .filter(([, records]) => records.length > 0)
+            .forEach(([section, records]) => {
+                context.writeLine('');
+                context.writeLine(`;; ${section} SECTION:`);
+                records.forEach(record => context.writeLine(formatDnsRecord(record)));
+            });
+        context.writeLine('');
+        context.writeLine(`;; Server: ${result.server} (${result.resolver}) over ${result.transport.toUpperCase()}, ${result.time} ms, ${result.size} bytes`);
+    }
+});
+
+terminalCommands.register({
+    name: 'whois',
+    summary: 'WHOIS/RDAP lookup of a domain, address, prefix or AS number',
+    args: [{ name: 'query', description: 'e.g. example.com, 192.0.2.1 or AS13335' }],
+    options: [
+        { name: 'protocol', type: 'string', choices: ['auto', 'rdap', 'whois'], default: 'auto', description: 'Lookup protocol' },
+        { name: 'refresh', alias: 'r', type: 'boolean', description: 'Skip the cache' },
+        { name: 'raw', type: 'boolean', description: 'Print the registry answer as received' }
+    ],
+    async run({ args, options }, context) {
+        context.writeLine(`WHOIS lookup for ${args.query}...`);
+        const result = await api.executeTool('whois-lookup', {
+            query: args.query,
+            protocol: options.protocol,
+            refresh: options.refresh
+        });
+
+        context.writeLine(`Server: ${result.server}${result.cached ? ' (cached)' : ''}`);
+        context.writeLine('');
+
+        if (options.raw) {
+            result.raw.split('\n').forEach(line => context.writeLine(line));
+            return;
+        }
+
+        const record = result.record;
+        const registrant = record.registrant || {};
+        writeFields(context, [
+            ['Name', record.name],
+            ['Handle', record.handle],
+            ['Registry', record.registry],
+            ['Organisation', registrant.organization],
+            ['Country', record.country],
+            ['Registrar', record.registrar],
+            ['Range', record.netblock ? `${record.netblock.start} - ${record.netblock.end}` : null],
+            ['CIDRs', record.netblock ? record.netblock.cidrs.join(', ') : null],
+            ['AS Number', record.asn !== null ? `AS${record.asn}` : null],
+            ['Origin AS', record.originAsn !== null ? `AS${record.originAsn}` : null],
+            ['Abuse', record.abuse ? [record.abuse.email, record.abuse.phone].filter(Boolean).join(' / ') : null],
+            ['Created', record.created],
+            ['Updated', record.updated],
+            ['Expires', record.expires],
+            ['Status', record.status.join(', ')],
+            ['Name Servers', record.nameservers.join(', ')]
+        ]);
+    }
+});
+
+terminalCommands.register({
+    name: 'subnet',
+    summary: 'Subnet details for an IPv4 or IPv6 address and prefix',
+    args: [
+        { name: 'address', description: 'Address with prefix, e.g. 10.0.0.0/22 or 2001:db8::/48' },
+        { name: 'mask', optional: true, description: 'Dotted mask when the address has no prefix' }
+    ],
+    examples: ['subnet 10.0.0.0/22', 'subnet 192.168.1.10 255.255.255.192'],
+    async run({ args }, context) {
+        const result = await api.executeTool('subnet-calculator', {
+            ipAddress: args.address,
+            subnetMask: args.mask
+        });
+
+        writeFields(context, Object.entries(result)
+            .filter(([, value]) => typeof value !== 'object' || Array.isArray(value))
+            .map(([key, value]) => [camelToLabel(key), Array.isArray(value) ? value.join(', ') : value]));
+    }
+});
+
+terminalCommands.register({
+    name: 'summarise',
+    aliases: ['summarize', 'supernet'],
+    summary: 'Summarise prefixes into the fewest covering routes',
+    args: [{ name: 'prefixes', rest: true, description: 'Prefixes to summarise' }],
+    examples: ['summarise 10.0.0.0/24 10.0.1.0/24'],
+    async run({ args }, context) {
+        const result = await api.executeTool('subnet-calculator', { mode: 'summarise', prefixes: args.prefixes });
+        result.aggregates.forEach(prefix => context.writeLine(prefix));
+        context.writeLine('');
+        context.writeLine(`Supernet: ${result.supernet.cidrNotation} (${result.supernet.extraAddresses} extra addresses)`);
+    }
+});
+
+const BGP_ANALYSIS_TYPES = ['route', 'origin', 'prefix', 'asn', 'community', 'announcements', 'aspath-regex'];
+
+terminalCommands.register({
+    name: 'bgp',
+    summary: 'BGP route, origin, AS path and community lookups',
+    args: [
+        { name: 'type', choices: BGP_ANALYSIS_TYPES, description: 'Lookup to run' },
+        { name: 'query', description: 'Prefix or address; origin ASN for announcements; regex for aspath-regex' }
+    ],
+    examples: ['bgp origin 1.1.1.0/24', 'bgp route 8.8.8.8', 'bgp announcements AS13335', 'bgp aspath-regex _3356_13335$'],
+    async run({ args }, context) {
+        const field = args.type === 'announcements' ? 'asn' : args.type === 'aspath-regex' ? 'pattern' : 'prefix';
+        const result = await api.executeTool('bgp-tools', { analysisType: args.type, [field]: args.query });
+
+        const paths = result.paths || [];
+        const communities = result.communities;
+        writeFields(context, [
+            ['Prefix', result.prefix],
+            ['Origin AS', result.origins ? result.origins.map(asn => `AS${asn}`).join(', ') || 'Unknown' : null],
+            ['AS Paths', paths.length > 0 ? paths.map(path => formatASPath(path.asPath)).join('\n') : null],
+            ['Communities', communities ? [...communities.standard, ...communities.extended, ...communities.large].join(' ') || 'None' : null],
+            ['Meanings', (result.decodedCommunities || [])
+                .filter(entry => entry.name || entry.description)
+                .map(entry => `${entry.text}  ${[entry.name, entry.description].filter(Boolean).join(' - ')}`)
+                .join('\n')],
+            ['RPKI', formatRpkiStates(result.rpki)],
+            ['Prefixes', result.prefixes ? result.prefixes.map(entry => entry.prefix).join('\n') + (result.truncated ? '\n...' : '') : null],
+            ['Matches', result.matches ? result.matches.map(route => `${route.prefix}  ${formatASPath(route.asPath)}`).join('\n') + (result.truncated ? '\n...' : '') : null]
+        ]);
+    }
+});
+
+terminalCommands.register({
+    name: 'community',
+    summary: 'Decode BGP communities',
+    args: [{ name: 'communities', rest: true, description: 'Standard, extended or large communities' }],
+    examples: ['community 65535:666 no-export rt:65000:100'],
+    async run({ args }, context) {
+        const result = await api.executeTool('community-decoder', { communities: args.communities });
+        result.communities.forEach(entry => {
+            const meaning = [entry.name, entry.description].filter(Boolean).join(' - ');
+            context.writeLine(`${entry.text.padEnd(24)} ${entry.type}${meaning ? `  ${meaning}` : ''}`);
+        });
+    }
+});
+
+terminalCommands.register({
+    name: 'rpki',
+    summary: 'RPKI origin validation of a prefix and origin AS',
+    args: [
+        { name: 'prefix', description: 'Announced prefix' },
+        { name: 'asn', description: 'Origin AS, e.g. AS13335' }
+    ],
+    async run({ args }, context) {
+        const result = await api.executeTool('rpki-validator', { prefix: args.prefix, asn: args.asn });
+        writeFields(context, [
+            ['Prefix', result.prefix],
+            ['Origin', `AS${result.asn}`],
+            ['State', result.state],
+            ['Reason', result.reason],
+            ['Covering ROAs', (result.covering || []).map(vrp => `${vrp.prefix}-${vrp.maxLength} AS${vrp.asn}`).join('\n') || 'None']
+        ]);
+    }
+});
+
+terminalCommands.register({
+    name: 'decrypt',
+    summary: 'Recover a Cisco type 7 or Juniper $9$ password',
+    args: [
+        { name: 'type', choices: ['7', '9'], description: '7 for Cisco type 7, 9 for Juniper $9$' },
+        { name: 'password', description: 'Encoded password (quote $9$ values containing spaces)' }
+    ],
+    examples: ['decrypt 7 0822455D0A16', 'decrypt 9 $9$dkVb2Zj.PTQ'],
+    async run({ args }, context) {
+        const result = await api.executeTool('password-decrypt', { type: args.type, password: args.password });
+        context.writeLine(result.decoded);
+    }
+});
+
+terminalCommands.register({
+    name: 'ssh',
+    summary: 'SSH to a device (Ctrl+] disconnects)',
+    args: [{ name: 'destination', description: 'user@host or user@host:port' }],
+    options: [
+        { name: 'port', alias: 'p', type: 'number', default: 22, description: 'SSH port' },
+        { name: 'fingerprint', alias: 'f', type: 'string', description: 'Expected SHA256 host key, replaces the stored one' }
+    ],
+    run({ args, options }, context) {
+        return context.terminal.executeSSH(args.destination, options.port, options.fingerprint);
+    }
+});
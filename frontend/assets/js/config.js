@@ -37,10 +37,14 @@ const CONFIG = {
         ADMIN_STATS: '/admin/stats',
         ADMIN_KEYS: '/admin/keys',
         ADMIN_CREATE_KEY: '/admin/keys',
+        ADMIN_RECORDINGS: '/admin/terminal-recordings',
+        ADMIN_RECORDING: (recordingId) => `/admin/terminal-recordings/${recordingId}`,
+        ADMIN_RECORDING_CAST: (recordingId) => `/admin/terminal-recordings/${recordingId}/cast`,
         
         // Tools
         TOOLS_LIST: '/tools',
         TOOL_EXECUTE: (toolName) => `/tools/${toolName}/execute`,
+        SSH_GATEWAY: '/ssh',
         
         // Referrals
         REFERRALS: '/referrals',
@@ -50,6 +54,10 @@ const CONFIG = {
     // UI Configuration
     NOTIFICATION_DURATION: 5000, // 5 seconds
     
+    // Terminal command history, kept across reloads
+    TERMINAL_HISTORY_KEY: 'nettools_terminal_history',
+    TERMINAL_HISTORY_SIZE: 500,
+    
     // Pagination
     DEFAULT_PAGE_SIZE: 20,
     
@@ -92,6 +100,14 @@ const CONFIG = {
             url: 'whois-lookup.html',
             icon: '🔍'
         },
+        {
+            id: 'dns-lookup',
+            name: 'DNS Toolkit',
+            description: 'Record lookups, root traces, resolver comparison and DNSSEC checks',
+            category: 'NETWORK',
+            url: 'dns-lookup.html',
+            icon: '📡'
+        },
         {
             id: 'junos-convertor',
             name: 'Configuration Convertor',
@@ -0,0 +1,425 @@
+/**
+ * Network Engineers Toolkit - Terminal Recordings Module
+ * Lists recorded SSH sessions and replays their asciicast v2 files (admin only)
+ */
+
+const RECORDINGS_PAGE_SIZE = 25;
+const IDLE_LIMIT_SECONDS = 2;
+const ANSI_PATTERN = /\x1b(?:\[[0-?]*[ -/]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)|[@-Z\\-_])/g;
+
+function escapeRecordingText(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function formatDuration(seconds) {
+    const total = Math.floor(seconds || 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Replays an asciicast v2 recording into an xterm.js terminal
+ */
+class RecordingPlayer {
+    constructor(container) {
+        this.container = container;
+        this.terminal = null;
+        this.header = null;
+        this.events = [];
+        this.duration = 0;
+        this.position = 0;
+        this.next = 0;
+        this.speed = 1;
+        this.skipIdle = true;
+        this.playing = false;
+        this.timer = null;
+        this.lastTick = 0;
+        this.onProgress = () => {};
+    }
+
+    /**
+     * Load a cast file; event times are kept as recorded and as played
+     */
+    load(castText) {
+        const lines = castText.split('\n').filter(line => line.trim());
+        this.header = JSON.parse(lines[0]);
+        if (this.header.version !== 2) {
+            throw new Error(`Unsupported asciicast version ${this.header.version}`);
+        }
+
+        this.events = lines.slice(1).map(line => {
+            const [time, code, data] = JSON.parse(line);
+            return { time, code, data };
+        });
+        this.retime();
+
+        if (this.terminal) this.terminal.dispose();
+        this.terminal = new Terminal({
+            cols: this.header.width,
+            rows: this.header.height,
+            fontSize: 14,
+            fontFamily: 'Monaco, Courier New, monospace',
+            disableStdin: true,
+            convertEol: false
+        });
+        this.terminal.open(this.container);
+        this.seek(0);
+    }
+
+    /**
+     * Work out play times, shortening long pauses when skipIdle is set
+     */
+    retime() {
+        let previous = 0;
+        let shift = 0;
+        this.events.forEach(event => {
+            const gap = event.time - previous;
+            if (this.skipIdle && gap > IDLE_LIMIT_SECONDS) {
+                shift += gap - IDLE_LIMIT_SECONDS;
+            }
+            previous = event.time;
+            event.at = event.time - shift;
+        });
+        this.duration = this.events.length > 0 ? this.events[this.events.length - 1].at : 0;
+    }
+
+    setSkipIdle(skipIdle) {
+        const recorded = this.recordedTime(this.position);
+        this.skipIdle = skipIdle;
+        this.retime();
+        this.seek(this.playTime(recorded));
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    /**
+     * Convert between recorded seconds and play seconds
+     */
+    recordedTime(position) {
+        const event = this.events.find(item => item.at >= position);
+        return event ? event.time - (event.at - position) : position;
+    }
+
+    playTime(recorded) {
+        const event = this.events.find(item => item.time >= recorded);
+        return event ? Math.max(0, event.at - (event.time - recorded)) : this.duration;
+    }
+
+    apply(event) {
+        if (event.code === 'o') {
+            this.terminal.write(event.data);
+        } else if (event.code === 'r') {
+            const [cols, rows] = event.data.split('x').map(Number);
+            if (cols > 0 && rows > 0) this.terminal.resize(cols, rows);
+        }
+    }
+
+    /**
+     * Jump to a play time by redrawing everything up to it
+     */
+    seek(position) {
+        this.position = Math.max(0, Math.min(position, this.duration));
+        this.terminal.reset();
+        this.terminal.resize(this.header.width, this.header.height);
+
+        let output = '';
+        this.next = 0;
+        while (this.next < this.events.length && this.events[this.next].at <= this.position) {
+            const event = this.events[this.next];
+            if (event.code === 'o') {
+                output += event.data;
+            } else if (event.code === 'r') {
+                this.terminal.write(output);
+                output = '';
+                this.apply(event);
+            }
+            this.next++;
+        }
+        this.terminal.write(output);
+        this.onProgress(this.position, this.duration);
+    }
+
+    play() {
+        if (this.playing) return;
+        if (this.position >= this.duration) this.seek(0);
+        this.playing = true;
+        this.lastTick = performance.now();
+        this.tick();
+    }
+
+    pause() {
+        this.playing = false;
+        clearTimeout(this.timer);
+    }
+
+    tick() {
+        if (!this.playing) return;
+
+        const now = performance.now();
+        this.position = Math.min(this.duration, this.position + ((now - this.lastTick) / 1000) * this.speed);
+        this.lastTick = now;
+
+        while (this.next < this.events.length && this.events[this.next].at <= this.position) {
+            this.apply(this.events[this.next]);
+            this.next++;
+        }
+        this.onProgress(this.position, this.duration);
+
+        if (this.next >= this.events.length) {
+            this.pause();
+            this.onProgress(this.duration, this.duration);
+            return;
+        }
+
+        const wait = ((this.events[this.next].at - this.position) * 1000) / this.speed;
+        this.timer = setTimeout(() => this.tick(), Math.max(10, Math.min(wait, 250)));
+    }
+
+    /**
+     * Find text in the output and keystrokes, matching across event boundaries
+     * @returns {Array<Object>} { at, code, context }
+     */
+    search(text) {
+        const needle = text.toLowerCase();
+        if (!needle) return [];
+
+        const matches = [];
+        ['o', 'i'].forEach(code => {
+            let transcript = '';
+            const offsets = [];
+            this.events.filter(event => event.code === code).forEach(event => {
+                offsets.push({ start: transcript.length, event });
+                transcript += code === 'o' ? event.data.replace(ANSI_PATTERN, '') : event.data;
+            });
+
+            const haystack = transcript.toLowerCase();
+            let index = haystack.indexOf(needle);
+            while (index !== -1 && matches.length < 500) {
+                let owner = offsets[0];
+                for (const offset of offsets) {
+                    if (offset.start > index) break;
+                    owner = offset;
+                }
+                matches.push({
+                    at: owner.event.at,
+                    code,
+                    context: transcript.slice(Math.max(0, index - 30), index + needle.length + 30).replace(/[\r\n]+/g, ' ')
+                });
+                index = haystack.indexOf(needle, index + needle.length);
+            }
+        });
+
+        return matches.sort((a, b) => a.at - b.at);
+    }
+
+    dispose() {
+        this.pause();
+        if (this.terminal) this.terminal.dispose();
+        this.terminal = null;
+    }
+}
+
+const recordingsState = {
+    player: null,
+    castText: null,
+    recordingId: null,
+    offset: 0,
+    filter: {},
+    initialized: false
+};
+
+/**
+ * Load terminal recordings page
+ */
+async function loadRecordingsPage() {
+    if (!recordingsState.initialized) {
+        setupRecordingsPage();
+        recordingsState.initialized = true;
+    }
+    await loadRecordingsList();
+}
+
+function setupRecordingsPage() {
+    document.getElementById('recordings-search-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        recordingsState.filter = {
+            q: document.getElementById('recordings-search-text').value.trim(),
+            user: document.getElementById('recordings-search-user').value.trim(),
+            host: document.getElementById('recordings-search-host').value.trim()
+        };
+        recordingsState.offset = 0;
+        loadRecordingsList();
+
+        // Carry the search into the player
+        document.getElementById('recording-find').value = recordingsState.filter.q;
+    });
+
+    document.getElementById('recording-play').addEventListener('click', () => {
+        const player = recordingsState.player;
+        if (!player) return;
+        if (player.playing) {
+            player.pause();
+        } else {
+            player.play();
+        }
+        updatePlayButton();
+    });
+
+    document.getElementById('recording-seek').addEventListener('input', (e) => {
+        if (recordingsState.player) recordingsState.player.seek(parseFloat(e.target.value));
+    });
+
+    document.getElementById('recording-speed').addEventListener('change', (e) => {
+        if (recordingsState.player) recordingsState.player.setSpeed(parseFloat(e.target.value));
+    });
+
+    document.getElementById('recording-skip-idle').addEventListener('change', (e) => {
+        if (recordingsState.player) {
+            recordingsState.player.setSkipIdle(e.target.checked);
+            findInRecording();
+        }
+    });
+
+    document.getElementById('recording-find').addEventListener('input', findInRecording);
+
+    document.getElementById('recording-download').addEventListener('click', (e) => {
+        e.preventDefault();
+        const { castText, recordingId } = recordingsState;
+        if (!castText) return;
+        const url = URL.createObjectURL(new Blob([castText], { type: 'application/x-asciicast' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${recordingId}.cast`;
+        link.click();
+        URL.revokeObjectURL(url);
+    });
+}
+
+async function loadRecordingsList() {
+    const list = document.getElementById('recordings-list');
+
+    try {
+        const data = await api.listRecordings({
+            ...recordingsState.filter,
+            limit: RECORDINGS_PAGE_SIZE,
+            offset: recordingsState.offset
+        });
+
+        if (data.recordings.length === 0) {
+            list.innerHTML = '<tr><td colspan="5">No recordings found</td></tr>';
+        } else {
+            list.innerHTML = data.recordings.map(recording => `
+                <tr>
+                    <td>${new Date(recording.started_at).toLocaleString()}</td>
+                    <td>${escapeRecordingText(recording.username || 'deleted user')}</td>
+                    <td>${escapeRecordingText(`${recording.device_username}@${recording.host}:${recording.port}`)}
+                        ${recording.host !== recording.address ? `<br><small>${escapeRecordingText(recording.address)}</small>` : ''}</td>
+                    <td>${recording.ended_at ? formatDuration(recording.duration) : '<span class="badge badge-warning">open or interrupted</span>'}</td>
+                    <td><button class="btn btn-sm btn-secondary" onclick="openRecording('${recording.id}')">Play</button></td>
+                </tr>
+            `).join('');
+        }
+
+        renderRecordingsPagination(data.total);
+    } catch (error) {
+        console.error('Failed to load recordings:', error);
+        showNotification(error.message || 'Failed to load recordings', 'error');
+    }
+}
+
+function renderRecordingsPagination(total) {
+    const pagination = document.getElementById('recordings-pagination');
+    const { offset } = recordingsState;
+
+    pagination.innerHTML = total > RECORDINGS_PAGE_SIZE ? `
+        <button class="btn btn-sm btn-secondary" ${offset === 0 ? 'disabled' : ''} data-offset="${offset - RECORDINGS_PAGE_SIZE}">Previous</button>
+        <span>${offset + 1}-${Math.min(offset + RECORDINGS_PAGE_SIZE, total)} of ${total}</span>
+        <button class="btn btn-sm btn-secondary" ${offset + RECORDINGS_PAGE_SIZE >= total ? 'disabled' : ''} data-offset="${offset + RECORDINGS_PAGE_SIZE}">Next</button>
+    ` : '';
+
+    pagination.querySelectorAll('button').forEach(button => {
+        button.addEventListener('click', () => {
+            recordingsState.offset = parseInt(button.dataset.offset);
+            loadRecordingsList();
+        });
+    });
+}
+
+/**
+ * Open a recording in the player
+ */
+async function openRecording(recordingId) {
+    try {
+        const [{ recording }, castText] = await Promise.all([
+            api.getRecording(recordingId),
+            api.getRecordingCast(recordingId)
+        ]);
+
+        if (recordingsState.player) recordingsState.player.dispose();
+
+        const section = document.getElementById('recording-player-section');
+        section.style.display = 'block';
+        document.getElementById('recording-title').textContent =
+            `${recording.username || 'deleted user'} → ${recording.device_username}@${recording.host}:${recording.port}, ${new Date(recording.started_at).toLocaleString()}`;
+
+        const player = new RecordingPlayer(document.getElementById('recording-terminal'));
+        player.setSpeed(parseFloat(document.getElementById('recording-speed').value));
+        player.skipIdle = document.getElementById('recording-skip-idle').checked;
+        player.onProgress = (position, duration) => {
+            const seek = document.getElementById('recording-seek');
+            seek.max = duration;
+            seek.value = position;
+            document.getElementById('recording-time').textContent = `${formatDuration(position)} / ${formatDuration(duration)}`;
+            updatePlayButton();
+        };
+        player.load(castText);
+
+        Object.assign(recordingsState, { player, castText, recordingId });
+        findInRecording();
+        section.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        console.error('Failed to open recording:', error);
+        showNotification(error.message || 'Failed to open recording', 'error');
+    }
+}
+
+function updatePlayButton() {
+    const player = recordingsState.player;
+    document.getElementById('recording-play').textContent = player && player.playing ? 'Pause' : 'Play';
+}
+
+/**
+ * List matches for the find box; clicking one jumps to it
+ */
+function findInRecording() {
+    const matchesList = document.getElementById('recording-matches');
+    const player = recordingsState.player;
+    const text = document.getElementById('recording-find').value;
+
+    matchesList.innerHTML = '';
+    if (!player || !text) return;
+
+    const matches = player.search(text);
+    if (matches.length === 0) {
+        matchesList.innerHTML = '<li>No matches</li>';
+        return;
+    }
+
+    matches.forEach(match => {
+        const item = document.createElement('li');
+        item.innerHTML = `<a href="#">${formatDuration(match.at)}</a> ${match.code === 'i' ? '<span class="badge badge-info">typed</span>' : ''} <code>${escapeRecordingText(match.context)}</code>`;
+        item.querySelector('a').addEventListener('click', (e) => {
+            e.preventDefault();
+            player.pause();
+            // Land just after the event so the match is on screen
+            player.seek(match.at + 0.001);
+        });
+        matchesList.appendChild(item);
+    });
+}
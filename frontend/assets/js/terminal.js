@@ -6,6 +6,13 @@ class TerminalManager {
         this.fitAddon = null;
         this.websocket = null;
         this.isConnected = false;
+        this.secretPrompt = null;
+        this.line = '';
+        this.history = this.loadHistory();
+        this.historyIndex = null;
+        this.draft = '';
+        this.search = null;
+        this.running = null;
     }
 
     /**
@@ -94,205 +101,285 @@ class TerminalManager {
     setupEventHandlers() {
         if (!this.terminal) return;
 
-        let currentLine = '';
+        // Keep the remote pty the same size as the terminal
+        this.terminal.onResize(({ cols, rows }) => {
+            if (this.isConnected) {
+                this.sendSSH({ type: 'resize', cols, rows });
+            }
+        });
 
         this.terminal.onData(data => {
-            // Handle special keys
-            const code = data.charCodeAt(0);
+            // Connected sessions get every keystroke; Ctrl+] disconnects
+            if (this.websocket) {
+                if (data === '\x1d') {
+                    this.disconnectSSH();
+                } else if (this.isConnected) {
+                    this.sendSSH({ type: 'data', data });
+                }
+                return;
+            }
 
-            if (code === 13) { // Enter
-                this.terminal.write('\r\n');
-                this.processCommand(currentLine.trim());
-                currentLine = '';
-                this.prompt();
-            } else if (code === 127) { // Backspace
-                if (currentLine.length > 0) {
-                    currentLine = currentLine.slice(0, -1);
-                    this.terminal.write('\b \b');
+            if (this.secretPrompt) {
+                this.handleSecretInput(data);
+                return;
+            }
+
+            // Only Ctrl+C is read while a command runs
+            if (this.running) {
+                if (data === '\x03') {
+                    this.terminal.write('^C\r\n');
+                    this.running.abort();
                 }
-            } else if (code === 3) { // Ctrl+C
-                this.terminal.write('^C\r\n');
-                currentLine = '';
-                this.prompt();
-            } else if (code >= 32 && code <= 126) { // Printable characters
-                currentLine += data;
-                this.terminal.write(data);
+                return;
+            }
+
+            if (this.search) {
+                this.handleSearchInput(data);
+            } else {
+                this.handleLineInput(data);
             }
         });
     }
 
     /**
-     * Process terminal command
+     * Edit the command line
      */
-    async processCommand(command) {
-        if (!command) return;
+    handleLineInput(data) {
+        switch (data) {
+            case '\r': // Enter
+                this.terminal.write('\r\n');
+                this.runLine(this.line);
+                return;
 
-        const parts = command.split(' ');
-        const cmd = parts[0].toLowerCase();
-        const args = parts.slice(1);
+            case '\x7f': // Backspace
+                if (this.line.length > 0) {
+                    this.line = this.line.slice(0, -1);
+                    this.terminal.write('\b \b');
+                }
+                return;
 
-        switch (cmd) {
-            case 'help':
-                this.showHelp();
-                break;
+            case '\x03': // Ctrl+C
+                this.terminal.write('^C\r\n');
+                this.line = '';
+                this.historyIndex = null;
+                this.prompt();
+                return;
 
-            case 'clear':
+            case '\x0c': // Ctrl+L
                 this.terminal.clear();
-                break;
+                this.setLine(this.line);
+                return;
 
-            case 'ping':
-                if (args.length === 0) {
-                    this.writeLine('Usage: ping <host>');
-                } else {
-                    await this.executePing(args[0]);
-                }
-                break;
-
-            case 'traceroute':
-            case 'tracert':
-                if (args.length === 0) {
-                    this.writeLine('Usage: traceroute <host>');
-                } else {
-                    this.writeLine(`Traceroute to ${args[0]}...`);
-                    this.writeLine('This feature requires server-side implementation');
-                }
-                break;
+            case '\t':
+                this.completeLine();
+                return;
 
-            case 'nslookup':
-                if (args.length === 0) {
-                    this.writeLine('Usage: nslookup <domain>');
-                } else {
-                    await this.executeDNSLookup(args[0]);
-                }
-                break;
+            case '\x12': // Ctrl+R
+                this.startSearch();
+                return;
 
-            case 'whois':
-                if (args.length === 0) {
-                    this.writeLine('Usage: whois <domain>');
-                } else {
-                    await this.executeWhois(args[0]);
-                }
-                break;
-
-            case 'echo':
-                this.writeLine(args.join(' '));
-                break;
+            case '\x1b[A': // Up
+                this.showHistory(-1);
+                return;
 
-            case 'date':
-                this.writeLine(new Date().toString());
-                break;
+            case '\x1b[B': // Down
+                this.showHistory(1);
+                return;
+        }
 
-            case 'exit':
-            case 'quit':
-                this.writeLine('Use the tool navigation to switch tools');
-                break;
+        // Printable characters, including pasted text
+        if (data.startsWith('\x1b')) return;
+        const text = data.replace(/[\x00-\x1f\x7f]/g, '');
+        if (text) {
+            this.line += text;
+            this.terminal.write(text);
+        }
+    }
 
-            default:
-                this.writeLine(`Command not found: ${cmd}`);
-                this.writeLine('Type "help" for available commands');
+    /**
+     * Run a command line through the command registry, then prompt again
+     */
+    async runLine(line) {
+        const command = line.trim();
+        this.line = '';
+        this.historyIndex = null;
+
+        if (command) {
+            this.addHistory(command);
+            this.running = new AbortController();
+            const { signal } = this.running;
+            try {
+                // Output of a cancelled command is dropped
+                await terminalCommands.execute(command, {
+                    terminal: this,
+                    writeLine: text => !signal.aborted && this.writeLine(text),
+                    write: text => !signal.aborted && this.write(text),
+                    signal
+                });
+            } finally {
+                this.running = null;
+            }
         }
+
+        this.prompt();
     }
 
     /**
-     * Show help text
+     * Replace the command line shown after the prompt
      */
-    showHelp() {
-        this.writeLine('Available commands:');
-        this.writeLine('  help              - Show this help message');
-        this.writeLine('  clear             - Clear the terminal screen');
-        this.writeLine('  ping <host>       - Ping a host');
-        this.writeLine('  traceroute <host> - Trace route to host');
-        this.writeLine('  nslookup <domain> - DNS lookup');
-        this.writeLine('  whois <domain>    - WHOIS lookup');
-        this.writeLine('  echo <text>       - Echo text');
-        this.writeLine('  date              - Show current date/time');
-        this.writeLine('  exit              - Exit terminal');
-        this.writeLine('');
+    setLine(text) {
+        this.line = text;
+        this.write(`\r\x1b[K${this.promptText()}${text}`);
     }
 
     /**
-     * Execute ping command
+     * Tab completion: fill in a single match or the longest common prefix,
+     * otherwise list the matches
      */
-    async executePing(host) {
-        this.writeLine(`PING ${host}...`);
-        
-        try {
-            // Note: Browser cannot do real ICMP ping, this simulates the output
-            const startTime = Date.now();
-            const response = await fetch(`https://${host}`, { 
-                method: 'HEAD', 
-                mode: 'no-cors',
-                cache: 'no-cache'
-            });
-            const endTime = Date.now();
-            const time = endTime - startTime;
+    completeLine() {
+        const { start, candidates } = terminalCommands.complete(this.line);
+        if (candidates.length === 0) return;
+
+        const word = this.line.slice(start);
+        if (candidates.length === 1) {
+            this.setLine(`${this.line.slice(0, start)}${candidates[0]} `);
+            return;
+        }
 
-            this.writeLine(`Reply from ${host}: time=${time}ms`);
-            this.writeLine('');
-            this.writeLine('Note: This is a simulated ping using HTTP HEAD request');
-            this.writeLine('For accurate ICMP ping, use the Network Scanner tool');
+        let common = candidates[0];
+        candidates.forEach(candidate => {
+            while (!candidate.startsWith(common)) common = common.slice(0, -1);
+        });
 
-        } catch (error) {
-            this.writeLine(`Request timeout for ${host}`);
+        if (common.length > word.length) {
+            this.setLine(`${this.line.slice(0, start)}${common}`);
+            return;
         }
+
+        this.write('\r\n');
+        this.writeLine(candidates.join('  '));
+        this.setLine(this.line);
     }
 
     /**
-     * Execute DNS lookup
+     * Load saved command history
      */
-    async executeDNSLookup(domain) {
-        this.writeLine(`Looking up ${domain}...`);
-
+    loadHistory() {
         try {
-            const result = await api.dnsLookup(domain, 'A');
-            
-            if (result.success && result.data.results) {
-                this.writeLine(`Server: API DNS Resolver`);
-                this.writeLine('');
-                this.writeLine(`Name: ${domain}`);
-                
-                if (result.data.results.A) {
-                    result.data.results.A.forEach(ip => {
-                        this.writeLine(`Address: ${ip}`);
-                    });
-                } else if (result.data.results.error) {
-                    this.writeLine(`Error: ${result.data.results.error}`);
-                }
-            }
-
+            const saved = JSON.parse(localStorage.getItem(CONFIG.TERMINAL_HISTORY_KEY));
+            return Array.isArray(saved) ? saved : [];
         } catch (error) {
-            this.writeLine(`Error: ${error.message}`);
+            return [];
         }
     }
 
+    addHistory(command) {
+        if (this.history[this.history.length - 1] !== command) {
+            this.history.push(command);
+            this.history.splice(0, this.history.length - CONFIG.TERMINAL_HISTORY_SIZE);
+        }
+        localStorage.setItem(CONFIG.TERMINAL_HISTORY_KEY, JSON.stringify(this.history));
+    }
+
+    clearHistory() {
+        this.history = [];
+        localStorage.removeItem(CONFIG.TERMINAL_HISTORY_KEY);
+    }
+
     /**
-     * Execute WHOIS lookup
+     * Step through history with the arrow keys
+     * @param {number} step - -1 for older, 1 for newer
      */
-    async executeWhois(domain) {
-        this.writeLine(`WHOIS lookup for ${domain}...`);
-        this.writeLine('Please wait...');
+    showHistory(step) {
+        if (this.historyIndex === null) {
+            if (step > 0 || this.history.length === 0) return;
+            this.draft = this.line;
+            this.historyIndex = this.history.length;
+        }
 
-        try {
-            const result = await api.whoisLookup(domain);
-            
-            if (result.success && result.data) {
-                this.writeLine('');
-                if (result.data.raw) {
-                    // Display raw WHOIS data
-                    const lines = result.data.raw.split('\n');
-                    lines.forEach(line => {
-                        if (line.trim()) {
-                            this.writeLine(line);
-                        }
-                    });
-                } else {
-                    this.writeLine(JSON.stringify(result.data, null, 2));
-                }
+        this.historyIndex = Math.max(0, this.historyIndex + step);
+        if (this.historyIndex >= this.history.length) {
+            this.historyIndex = null;
+            this.setLine(this.draft);
+        } else {
+            this.setLine(this.history[this.historyIndex]);
+        }
+    }
+
+    /**
+     * Start Ctrl+R reverse search through history
+     */
+    startSearch() {
+        this.search = { query: '', index: null, original: this.line };
+        this.showSearch();
+    }
+
+    /**
+     * Newest history entry at or before from that contains the query
+     */
+    findInHistory(query, from) {
+        if (!query) return null;
+        for (let i = Math.min(from, this.history.length - 1); i >= 0; i--) {
+            if (this.history[i].includes(query)) return i;
+        }
+        return null;
+    }
+
+    showSearch(failed = false) {
+        const { query, index } = this.search;
+        const match = index === null ? '' : this.history[index];
+        this.write(`\r\x1b[K(${failed ? 'failed ' : ''}reverse-i-search)\`${query}': ${match}`);
+    }
+
+    handleSearchInput(data) {
+        const search = this.search;
+        const match = search.index === null ? search.original : this.history[search.index];
+
+        switch (data) {
+            case '\x12': { // Ctrl+R: next older match
+                const index = search.index === null ? null : this.findInHistory(search.query, search.index - 1);
+                if (index !== null) search.index = index;
+                this.showSearch(index === null);
+                return;
             }
 
-        } catch (error) {
-            this.writeLine(`Error: ${error.message}`);
+            case '\x7f':
+                search.query = search.query.slice(0, -1);
+                search.index = this.findInHistory(search.query, this.history.length - 1);
+                this.showSearch();
+                return;
+
+            case '\x1b': // Esc
+            case '\x07': // Ctrl+G
+                this.search = null;
+                this.setLine(search.original);
+                return;
+
+            case '\x03':
+                this.search = null;
+                this.setLine(match);
+                this.handleLineInput(data);
+                return;
+
+            case '\r':
+                this.search = null;
+                this.setLine(match);
+                this.handleLineInput(data);
+                return;
+        }
+
+        if (data.length === 1 && data >= ' ' && data !== '\x7f') {
+            search.query += data;
+            const index = this.findInHistory(search.query, search.index === null ? this.history.length - 1 : search.index);
+            if (index !== null) search.index = index;
+            this.showSearch(index === null);
+            return;
         }
+
+        // Any other key keeps the match on the line and is handled as usual
+        this.search = null;
+        this.setLine(match);
+        this.handleLineInput(data);
     }
 
     /**
@@ -317,45 +404,152 @@ class TerminalManager {
      * Show prompt
      */
     prompt() {
-        const user = auth.getCurrentUser();
+        this.write(this.promptText());
+    }
+
+    promptText() {
+        const user = authManager.getCurrentUser();
         const username = user ? user.username : 'guest';
-        this.write(`\x1b[32m${username}@nettools\x1b[0m:\x1b[34m~\x1b[0m$ `);
+        return `\x1b[32m${username}@nettools\x1b[0m:\x1b[34m~\x1b[0m$ `;
+    }
+
+    /**
+     * SSH to "user@host[:port]", prompting for the password
+     */
+    async executeSSH(destination, port = 22, hostFingerprint = null) {
+        const match = destination.match(/^([^@\s]+)@(\[[^\]]+\]|[^:]+)(?::(\d+))?$/);
+        if (!match) {
+            this.writeLine('Usage: ssh [-p port] [-f fingerprint] user@host');
+            return;
+        }
+
+        const password = await this.readSecret(`${match[1]}@${match[2]}'s password: `);
+        if (password === null) return;
+
+        await this.connectSSH(match[2].replace(/^\[|\]$/g, ''), match[3] ? parseInt(match[3]) : port, match[1], password, {
+            hostFingerprint
+        });
+    }
+
+    /**
+     * Read a line without echoing it; resolves null on Ctrl+C
+     */
+    readSecret(promptText) {
+        this.write(promptText);
+        return new Promise(resolve => {
+            this.secretPrompt = { value: '', resolve };
+        });
+    }
+
+    handleSecretInput(data) {
+        const pending = this.secretPrompt;
+
+        for (const char of data) {
+            if (char === '\r') {
+                this.secretPrompt = null;
+                this.write('\r\n');
+                pending.resolve(pending.value);
+                return;
+            } else if (char === '\x03') {
+                this.secretPrompt = null;
+                this.write('^C\r\n');
+                pending.resolve(null);
+                return;
+            } else if (char === '\x7f') {
+                pending.value = pending.value.slice(0, -1);
+            } else if (char >= ' ') {
+                pending.value += char;
+            }
+        }
+    }
+
+    /**
+     * WebSocket URL of the backend SSH gateway
+     */
+    getSSHGatewayUrl() {
+        const base = CONFIG.API_BASE_URL.startsWith('http')
+            ? CONFIG.API_BASE_URL.replace(/^http/, 'ws')
+            : `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}${CONFIG.API_BASE_URL}`;
+        return `${base}${CONFIG.ENDPOINTS.SSH_GATEWAY}`;
+    }
+
+    sendSSH(message) {
+        if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
+            this.websocket.send(JSON.stringify(message));
+        }
     }
 
     /**
-     * Connect to SSH (WebSocket implementation)
+     * Connect to SSH through the backend WebSocket gateway
+     * Resolves once the session has ended.
      */
-    async connectSSH(host, port, username, password) {
+    connectSSH(host, port, username, password, options = {}) {
+        if (this.websocket) {
+            this.writeLine('An SSH session is already open');
+            return Promise.resolve();
+        }
+
         this.writeLine(`Connecting to ${username}@${host}:${port}...`);
-        this.writeLine('');
-        this.writeLine('Note: SSH functionality requires WebSocket backend implementation');
-        this.writeLine('This is a placeholder for future SSH terminal support');
-        this.writeLine('');
-
-        // TODO: Implement WebSocket connection for real SSH
-        // const wsUrl = `ws://${window.location.host}/ssh`;
-        // this.websocket = new WebSocket(wsUrl);
-        // 
-        // this.websocket.onopen = () => {
-        //     this.isConnected = true;
-        //     this.websocket.send(JSON.stringify({
-        //         type: 'connect',
-        //         host, port, username, password
-        //     }));
-        // };
-        //
-        // this.websocket.onmessage = (event) => {
-        //     this.write(event.data);
-        // };
-        //
-        // this.websocket.onerror = (error) => {
-        //     this.writeLine(`Connection error: ${error}`);
-        // };
-        //
-        // this.websocket.onclose = () => {
-        //     this.isConnected = false;
-        //     this.writeLine('Connection closed');
-        // };
+
+        return new Promise(resolve => {
+            const websocket = new WebSocket(this.getSSHGatewayUrl());
+            websocket.binaryType = 'arraybuffer';
+            this.websocket = websocket;
+
+            websocket.onopen = () => {
+                websocket.send(JSON.stringify({
+                    type: 'connect',
+                    token: api.getToken(),
+                    host,
+                    port,
+                    username,
+                    password,
+                    privateKey: options.privateKey,
+                    passphrase: options.passphrase,
+                    hostFingerprint: options.hostFingerprint,
+                    cols: this.terminal.cols,
+                    rows: this.terminal.rows
+                }));
+            };
+
+            websocket.onmessage = (event) => {
+                // Shell output arrives as binary frames, control messages as JSON
+                if (typeof event.data !== 'string') {
+                    this.terminal.write(new Uint8Array(event.data));
+                    return;
+                }
+
+                const message = JSON.parse(event.data);
+                if (message.type === 'status' && message.status === 'connected') {
+                    this.isConnected = true;
+                    this.writeLine(`${message.message} (host key ${message.fingerprint})`);
+                    if (message.hostKey === 'new') {
+                        this.writeLine('First connection to this device: its host key has been stored and will be checked next time');
+                    } else if (message.hostKey === 'changed') {
+                        this.writeLine('Warning: the device\'s host key has changed; the new key replaces the stored one');
+                    }
+                    this.writeLine('Press Ctrl+] to disconnect');
+                } else if (message.type === 'status') {
+                    this.writeLine(`\r\n${message.message}`);
+                } else if (message.type === 'error') {
+                    this.writeLine(`ssh: ${message.error}`);
+                }
+            };
+
+            websocket.onerror = () => {
+                this.writeLine('ssh: connection to the SSH gateway failed');
+            };
+
+            websocket.onclose = () => {
+                const wasConnected = this.isConnected;
+                this.websocket = null;
+                this.isConnected = false;
+                if (wasConnected) {
+                    this.writeLine('Connection closed');
+                }
+                resolve();
+            };
+        });
     }
 
     /**
@@ -363,9 +557,8 @@ class TerminalManager {
      */
     disconnectSSH() {
         if (this.websocket) {
+            this.sendSSH({ type: 'disconnect' });
             this.websocket.close();
-            this.websocket = null;
-            this.isConnected = false;
         }
     }
 
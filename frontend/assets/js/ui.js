@@ -78,6 +78,8 @@ function setupNavigation() {
                 // Load page data if needed
                 if (targetPage === 'account') {
                     loadAccountPage();
+                } else if (targetPage === 'recordings') {
+                    loadRecordingsPage();
                 }
             }
         });
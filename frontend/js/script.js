@@ -274,6 +274,111 @@ window.collectToolState = function() {
     return state;
 };
 
+/**
+ * Base URL of the backend API
+ */
+const API_BASE_URL = window.location.origin.includes('localhost')
+    ? 'http://localhost:3000/api'
+    : '/api';
+
+/**
+ * Make an authenticated request to the backend API
+ * Rejects with an Error carrying the API's status, code and field.
+ */
+async function apiRequest(endpoint, options = {}) {
+    const token = localStorage.getItem('nettools_token');
+    // Let the browser set the multipart boundary for file uploads
+    const headers = options.body instanceof FormData
+        ? { ...options.headers }
+        : { 'Content-Type': 'application/json', ...options.headers };
+    
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, { ...options, headers });
+    const data = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+        const error = new Error(data.error || data.message || `Request failed: ${response.status}`);
+        error.status = response.status;
+        error.code = data.code;
+        error.field = data.field;
+        throw error;
+    }
+    
+    return data;
+}
+
+/**
+ * Execute a tool through POST /api/tools/:toolId/execute
+ */
+async function executeTool(toolId, params) {
+    const data = await apiRequest(`/tools/${toolId}/execute`, {
+        method: 'POST',
+        body: JSON.stringify({ params })
+    });
+    return data.result;
+}
+
+/**
+ * Execute a streaming tool, calling onEvent(event, data) for each
+ * Server-Sent Event. EventSource cannot send the auth header or a POST
+ * body, so the response stream is read directly. Pass an AbortSignal in
+ * options.signal to stop early.
+ */
+async function streamTool(toolId, params, onEvent, options = {}) {
+    const token = localStorage.getItem('nettools_token');
+    const headers = {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream'
+    };
+
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${API_BASE_URL}/tools/${toolId}/execute`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ params }),
+        signal: options.signal
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.error || data.message || `Request failed: ${response.status}`);
+        error.status = response.status;
+        error.code = data.code;
+        error.field = data.field;
+        throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+        const blocks = buffer.split('\n\n');
+        buffer = done ? '' : blocks.pop();
+
+        blocks.filter(block => block.trim()).forEach(block => {
+            let event = 'message';
+            const data = [];
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                if (line.startsWith('data:')) data.push(line.slice(5).trim());
+            });
+            onEvent(event, data.length > 0 ? JSON.parse(data.join('\n')) : null);
+        });
+
+        if (done) break;
+    }
+}
+
 /**
  * Format data for display
  */
@@ -341,3 +446,6 @@ window.scrollToElement = scrollToElement;
 window.createTable = createTable;
 window.formatData = formatData;
 window.handleLogout = handleLogout;
+window.apiRequest = apiRequest;
+window.executeTool = executeTool;
+window.streamTool = streamTool;
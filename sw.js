@@ -17,6 +17,7 @@ const PRECACHE_URLS = [
     '/assets/js/auth.js',
     '/assets/js/ui.js',
     '/assets/js/terminal.js',
+    '/assets/js/commands.js',
     '/assets/js/main.js'
 ];
 